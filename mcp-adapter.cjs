@@ -113,17 +113,17 @@ let adapterState = {
 // Initialize tools service with a stub module registry containing the module definitions
 const stubModuleRegistry = {
     getAllModules: () => [
-        { id: 'mail', name: 'mail', capabilities: ['getInbox', 'sendEmail', 'searchEmails', 'flagEmail', 'getEmailDetails', 'markAsRead', 'readMailDetails', 'getMailAttachments', 'markEmailRead', 'addMailAttachment', 'removeMailAttachment'] },
-        { id: 'calendar', name: 'calendar', capabilities: ['getEvents', 'create', 'update', 'getAvailability', 'findMeetingTimes', 'cancelEvent', 'acceptEvent', 'tentativelyAcceptEvent', 'declineEvent', 'addAttachment', 'removeAttachment'] },
-        { id: 'files', name: 'files', capabilities: ['listFiles', 'searchFiles', 'downloadFile', 'uploadFile', 'getFileMetadata', 'getFileContent', 'setFileContent', 'updateFileContent', 'createSharingLink', 'getSharingLinks', 'removeSharingPermission'] },
-        { id: 'people', name: 'people', capabilities: ['find', 'search', 'getRelevantPeople', 'getPersonById'] }
+        { id: 'mail', name: 'mail', capabilities: ['getInbox', 'sendEmail', 'searchEmails', 'flagEmail', 'getEmailDetails', 'markAsRead', 'readMailDetails', 'getMailAttachments', 'markEmailRead', 'addMailAttachment', 'removeMailAttachment', 'replyToEmail', 'replyAllToEmail', 'forwardEmail', 'createDraft', 'updateDraft', 'listDrafts', 'sendDraft', 'deleteDraft', 'listMailFolders', 'getMessagesInFolder', 'createMailFolder', 'moveEmail', 'copyEmail', 'getConversation', 'getMailChanges', 'listMailRules', 'createMailRule', 'updateMailRule', 'deleteMailRule', 'getMailboxSettings', 'updateMailboxSettings', 'getAutomaticReplies', 'setAutomaticReplies', 'exportEmailAsMime', 'importMimeMessage', 'listScheduledEmails', 'cancelScheduledEmail', 'bulkMailAction', 'listCategories', 'createCategory', 'updateCategory', 'deleteCategory', 'setEmailCategories', 'setEmailImportance', 'searchEmailsByCriteria'] },
+        { id: 'calendar', name: 'calendar', capabilities: ['getEvents', 'create', 'update', 'getAvailability', 'findMeetingTimes', 'cancelEvent', 'acceptEvent', 'tentativelyAcceptEvent', 'declineEvent', 'addAttachment', 'removeAttachment', 'setEventCategories', 'getEventInstances', 'getMeetingJoinInfo', 'exportEvents', 'importEvents', 'getCalendarView', 'getCalendarGroups', 'createCalendarGroup', 'updateCalendarGroup', 'deleteCalendarGroup', 'createCalendar', 'updateCalendar', 'deleteCalendar', 'getCalendarPermissions', 'shareCalendar', 'updateCalendarPermission', 'revokeCalendarPermission', 'forwardEvent', 'getPendingProposals', 'acceptProposedTime', 'getResponseStatus', 'draftResponseReminder', 'autoSchedule', 'rollbackSchedule'] },
+        { id: 'files', name: 'files', capabilities: ['listFiles', 'searchFiles', 'downloadFile', 'uploadFile', 'getFileMetadata', 'getFileContent', 'setFileContent', 'updateFileContent', 'createSharingLink', 'getSharingLinks', 'removeSharingPermission', 'saveEmailToOneDrive'] },
+        { id: 'people', name: 'people', capabilities: ['find', 'search', 'getRelevantPeople', 'getPersonById', 'listContacts', 'searchContacts', 'getContact', 'createContact', 'updateContact', 'deleteContact', 'listContactFolders'] }
     ],
     getModule: (moduleName) => {
         const modules = {
-            'mail': { id: 'mail', capabilities: ['getInbox', 'sendEmail', 'searchEmails', 'flagEmail', 'getEmailDetails', 'markAsRead', 'readMailDetails', 'getMailAttachments', 'markEmailRead', 'addMailAttachment', 'removeMailAttachment'] },
-            'calendar': { id: 'calendar', capabilities: ['getEvents', 'create', 'update', 'getAvailability', 'findMeetingTimes', 'cancelEvent', 'acceptEvent', 'tentativelyAcceptEvent', 'declineEvent', 'addAttachment', 'removeAttachment'] },
-            'files': { id: 'files', capabilities: ['listFiles', 'searchFiles', 'downloadFile', 'uploadFile', 'getFileMetadata', 'getFileContent', 'setFileContent', 'updateFileContent', 'createSharingLink', 'getSharingLinks', 'removeSharingPermission'] },
-            'people': { id: 'people', capabilities: ['find', 'search', 'getRelevantPeople', 'getPersonById'] }
+            'mail': { id: 'mail', capabilities: ['getInbox', 'sendEmail', 'searchEmails', 'flagEmail', 'getEmailDetails', 'markAsRead', 'readMailDetails', 'getMailAttachments', 'markEmailRead', 'addMailAttachment', 'removeMailAttachment', 'replyToEmail', 'replyAllToEmail', 'forwardEmail', 'createDraft', 'updateDraft', 'listDrafts', 'sendDraft', 'deleteDraft', 'listMailFolders', 'getMessagesInFolder', 'createMailFolder', 'moveEmail', 'copyEmail', 'getConversation', 'getMailChanges', 'listMailRules', 'createMailRule', 'updateMailRule', 'deleteMailRule', 'getMailboxSettings', 'updateMailboxSettings', 'getAutomaticReplies', 'setAutomaticReplies', 'exportEmailAsMime', 'importMimeMessage', 'listScheduledEmails', 'cancelScheduledEmail', 'bulkMailAction', 'listCategories', 'createCategory', 'updateCategory', 'deleteCategory', 'setEmailCategories', 'setEmailImportance', 'searchEmailsByCriteria'] },
+            'calendar': { id: 'calendar', capabilities: ['getEvents', 'create', 'update', 'getAvailability', 'findMeetingTimes', 'cancelEvent', 'acceptEvent', 'tentativelyAcceptEvent', 'declineEvent', 'addAttachment', 'removeAttachment', 'setEventCategories', 'getEventInstances', 'getMeetingJoinInfo', 'exportEvents', 'importEvents', 'getCalendarView', 'getCalendarGroups', 'createCalendarGroup', 'updateCalendarGroup', 'deleteCalendarGroup', 'createCalendar', 'updateCalendar', 'deleteCalendar', 'getCalendarPermissions', 'shareCalendar', 'updateCalendarPermission', 'revokeCalendarPermission', 'forwardEvent', 'getPendingProposals', 'acceptProposedTime', 'getResponseStatus', 'draftResponseReminder', 'autoSchedule', 'rollbackSchedule'] },
+            'files': { id: 'files', capabilities: ['listFiles', 'searchFiles', 'downloadFile', 'uploadFile', 'getFileMetadata', 'getFileContent', 'setFileContent', 'updateFileContent', 'createSharingLink', 'getSharingLinks', 'removeSharingPermission', 'saveEmailToOneDrive'] },
+            'people': { id: 'people', capabilities: ['find', 'search', 'getRelevantPeople', 'getPersonById', 'listContacts', 'searchContacts', 'getContact', 'createContact', 'updateContact', 'deleteContact', 'listContactFolders'] }
         };
         return modules[moduleName] || null;
     }
@@ -277,6 +277,8 @@ async function callApi(method, path, data = null, _retryCount = 0) {
                                 const err = new Error(`API error: ${res.statusCode} ${parsedData.error || responseData}`);
                                 // Treat 5xx errors as potentially retryable
                                 if (res.statusCode >= 500) err.isRetryable = true;
+                                // A blocked calendar write explains itself with a conflict report
+                                if (parsedData.conflicts) err.conflicts = parsedData.conflicts;
                                 reject(err);
                             } else {
                                 resolve(parsedData);
@@ -799,8 +801,10 @@ async function executeModuleMethod(moduleName, methodName, params = {}) {
                     bcc: params.bcc, // Pass BCC if provided
                     subject: params.subject,
                     body: params.body,
-                    contentType: looksLikeHtml ? 'HTML' : 'Text', // Set content type
-                    attachments: params.attachments // Pass attachments if provided
+                    contentType: params.contentType || (looksLikeHtml ? 'HTML' : 'Text'), // Set content type
+                    attachments: params.attachments, // Pass attachments if provided
+                    sendAt: params.sendAt, // Schedule instead of sending now
+                    sendAtTimeZone: params.sendAtTimeZone
                 };
                 
                 // Log if attachments are being sent
@@ -883,10 +887,19 @@ async function executeModuleMethod(moduleName, methodName, params = {}) {
                     attachmentParams.push(`includeContent=${transformedParams.includeContent}`);
                 }
                 
+                if (transformedParams.mailbox) {
+                    attachmentParams.push(`mailbox=${encodeURIComponent(transformedParams.mailbox)}`);
+                }
+                
                 // Add query parameters to the API path
                 if (attachmentParams.length > 0) {
                     apiPath += `?${attachmentParams.join('&')}`;
                 }
+                // Already in the query string, so keep them out of the generic GET parameters below
+                delete params.id;
+                delete params.attachmentId;
+                delete params.includeContent;
+                delete params.mailbox;
                 
                 // Log the API call for debugging
                 
@@ -927,12 +940,365 @@ async function executeModuleMethod(moduleName, methodName, params = {}) {
                 apiMethod = 'DELETE';
                 break;
 
+            case 'mail.replyToEmail':
+            case 'mail.replyAllToEmail':
+            case 'mail.forwardEmail': {
+                if (!transformedParams.id) {
+                    const errorMessage = 'Email ID is required for replying or forwarding. Please provide an ID parameter with the email ID.';
+                    throw new Error(errorMessage);
+                }
+                
+                const responseAction = {
+                    replyToEmail: 'reply',
+                    replyAllToEmail: 'replyAll',
+                    forwardEmail: 'forward'
+                }[methodName];
+                apiPath = `/v1/mail/${transformedParams.id}/${responseAction}`;
+                apiMethod = 'POST';
+                apiData = {
+                    comment: transformedParams.comment,
+                    to: transformedParams.to,
+                    cc: transformedParams.cc,
+                    bcc: transformedParams.bcc,
+                    attachments: transformedParams.attachments
+                };
+                break;
+            }
+
+            case 'mail.createDraft':
+                apiPath = '/v1/mail/drafts';
+                apiMethod = 'POST';
+                apiData = {
+                    subject: transformedParams.subject,
+                    body: transformedParams.body,
+                    contentType: transformedParams.contentType,
+                    to: transformedParams.to,
+                    cc: transformedParams.cc,
+                    bcc: transformedParams.bcc,
+                    importance: transformedParams.importance,
+                    attachments: transformedParams.attachments
+                };
+                break;
+
+            case 'mail.updateDraft': {
+                if (!transformedParams.id) {
+                    const errorMessage = 'Draft ID is required for updating a draft. Please provide an ID parameter with the draft ID.';
+                    throw new Error(errorMessage);
+                }
+                
+                apiPath = `/v1/mail/drafts/${transformedParams.id}`;
+                apiMethod = 'PATCH';
+                // Only send the fields being changed so the rest of the draft is left untouched
+                const { id: draftId, ...draftUpdates } = transformedParams;
+                apiData = Object.fromEntries(Object.entries(draftUpdates).filter(([key, value]) => value !== undefined && !key.startsWith('_')));
+                break;
+            }
+
+            case 'mail.listDrafts':
+                apiPath = '/v1/mail/drafts';
+                apiMethod = 'GET';
+                break;
+
+            case 'mail.sendDraft':
+                if (!transformedParams.id) {
+                    const errorMessage = 'Draft ID is required for sending a draft. Please provide an ID parameter with the draft ID.';
+                    throw new Error(errorMessage);
+                }
+                
+                apiPath = `/v1/mail/drafts/${transformedParams.id}/send`;
+                apiMethod = 'POST';
+                apiData = {};
+                break;
+
+            case 'mail.deleteDraft':
+                if (!transformedParams.id) {
+                    const errorMessage = 'Draft ID is required for deleting a draft. Please provide an ID parameter with the draft ID.';
+                    throw new Error(errorMessage);
+                }
+                
+                apiPath = `/v1/mail/drafts/${transformedParams.id}`;
+                apiMethod = 'DELETE';
+                break;
+
+            case 'mail.listMailFolders':
+                apiPath = '/v1/mail/folders';
+                apiMethod = 'GET';
+                break;
+
+            case 'mail.getMessagesInFolder': {
+                const folderId = transformedParams.folderId || transformedParams.folder;
+                if (!folderId) {
+                    const errorMessage = 'Folder ID or well-known folder name is required. Please provide a folderId parameter (e.g. sentitems or archive).';
+                    throw new Error(errorMessage);
+                }
+                
+                apiPath = `/v1/mail/folders/${encodeURIComponent(folderId)}/messages`;
+                apiMethod = 'GET';
+                // The folder is part of the path, so keep it out of the query string
+                delete params.folderId;
+                delete params.folder;
+                break;
+            }
+
+            case 'mail.createMailFolder':
+                apiPath = '/v1/mail/folders';
+                apiMethod = 'POST';
+                apiData = {
+                    displayName: transformedParams.displayName,
+                    parentFolderId: transformedParams.parentFolderId
+                };
+                break;
+
+            case 'mail.moveEmail':
+            case 'mail.copyEmail':
+                if (!transformedParams.id) {
+                    const errorMessage = 'Email ID is required for moving or copying. Please provide an ID parameter with the email ID.';
+                    throw new Error(errorMessage);
+                }
+                if (!transformedParams.destinationFolderId) {
+                    const errorMessage = 'Destination folder is required. Please provide a destinationFolderId parameter (folder ID or well-known name).';
+                    throw new Error(errorMessage);
+                }
+                
+                apiPath = `/v1/mail/${transformedParams.id}/${methodName === 'moveEmail' ? 'move' : 'copy'}`;
+                apiMethod = 'POST';
+                apiData = {
+                    destinationFolderId: transformedParams.destinationFolderId
+                };
+                break;
+
+            case 'mail.getConversation':
+                // Accept the generic id parameter as the message to resolve the thread from
+                if (params.id && !params.messageId) {
+                    params.messageId = params.id;
+                    delete params.id;
+                }
+                if (!params.conversationId && !params.messageId) {
+                    const errorMessage = 'A messageId or conversationId is required to get an email thread.';
+                    throw new Error(errorMessage);
+                }
+                
+                apiPath = '/v1/mail/conversation';
+                apiMethod = 'GET';
+                break;
+
+            case 'mail.getMailChanges':
+                apiPath = '/v1/mail/changes';
+                apiMethod = 'GET';
+                break;
+
+            case 'mail.listMailRules':
+                apiPath = '/v1/mail/rules';
+                apiMethod = 'GET';
+                break;
+
+            case 'mail.createMailRule':
+                apiPath = '/v1/mail/rules';
+                apiMethod = 'POST';
+                apiData = {
+                    name: transformedParams.name,
+                    conditions: transformedParams.conditions,
+                    exceptions: transformedParams.exceptions,
+                    actions: transformedParams.actions,
+                    sequence: transformedParams.sequence,
+                    isEnabled: transformedParams.isEnabled,
+                    preview: transformedParams.preview
+                };
+                break;
+
+            case 'mail.updateMailRule': {
+                if (!transformedParams.id) {
+                    const errorMessage = 'Rule ID is required for updating a rule. Please provide an ID parameter from listMailRules.';
+                    throw new Error(errorMessage);
+                }
+                
+                apiPath = `/v1/mail/rules/${transformedParams.id}`;
+                apiMethod = 'PATCH';
+                const { id: ruleId, ...ruleUpdates } = transformedParams;
+                apiData = Object.fromEntries(Object.entries(ruleUpdates).filter(([key, value]) => value !== undefined && !key.startsWith('_')));
+                break;
+            }
+
+            case 'mail.deleteMailRule':
+                if (!transformedParams.id) {
+                    const errorMessage = 'Rule ID is required for deleting a rule. Please provide an ID parameter from listMailRules.';
+                    throw new Error(errorMessage);
+                }
+                
+                apiPath = `/v1/mail/rules/${transformedParams.id}${transformedParams.preview ? '?preview=true' : ''}`;
+                apiMethod = 'DELETE';
+                break;
+
+            case 'mail.getMailboxSettings':
+                apiPath = '/v1/mail/settings';
+                apiMethod = 'GET';
+                break;
+
+            case 'mail.updateMailboxSettings':
+                apiPath = '/v1/mail/settings';
+                apiMethod = 'PATCH';
+                apiData = {
+                    workingHours: transformedParams.workingHours,
+                    language: transformedParams.language,
+                    timeFormat: transformedParams.timeFormat,
+                    dateFormat: transformedParams.dateFormat
+                };
+                break;
+
+            case 'mail.getAutomaticReplies':
+                apiPath = '/v1/mail/settings/automaticReplies';
+                apiMethod = 'GET';
+                break;
+
+            case 'mail.setAutomaticReplies':
+                apiPath = '/v1/mail/settings/automaticReplies';
+                apiMethod = 'PATCH';
+                apiData = {
+                    status: transformedParams.status,
+                    startDateTime: transformedParams.startDateTime,
+                    endDateTime: transformedParams.endDateTime,
+                    timeZone: transformedParams.timeZone,
+                    internalReplyMessage: transformedParams.internalReplyMessage,
+                    externalReplyMessage: transformedParams.externalReplyMessage,
+                    externalAudience: transformedParams.externalAudience
+                };
+                break;
+
+            case 'mail.bulkMailAction':
+                apiPath = '/v1/mail/bulk';
+                apiMethod = 'POST';
+                apiData = {
+                    action: transformedParams.action,
+                    ids: transformedParams.ids,
+                    destinationFolderId: transformedParams.destinationFolderId
+                };
+                break;
+
+            case 'mail.searchEmailsByCriteria':
+                apiPath = '/v1/mail/search';
+                apiMethod = 'POST';
+                apiData = {
+                    query: transformedParams.query,
+                    from: transformedParams.from,
+                    to: transformedParams.to,
+                    subject: transformedParams.subject,
+                    hasAttachments: transformedParams.hasAttachments,
+                    receivedAfter: transformedParams.receivedAfter,
+                    receivedBefore: transformedParams.receivedBefore,
+                    folder: transformedParams.folder,
+                    importance: transformedParams.importance,
+                    isRead: transformedParams.isRead,
+                    top: transformedParams.top
+                };
+                break;
+
+            case 'mail.listCategories':
+                apiPath = '/v1/mail/categories';
+                apiMethod = 'GET';
+                break;
+
+            case 'mail.createCategory':
+                apiPath = '/v1/mail/categories';
+                apiMethod = 'POST';
+                apiData = {
+                    displayName: transformedParams.displayName,
+                    color: transformedParams.color
+                };
+                break;
+
+            case 'mail.updateCategory':
+                if (!transformedParams.id) {
+                    throw new Error('Category ID is required for updating a category. Please provide an ID parameter from listCategories.');
+                }
+                apiPath = `/v1/mail/categories/${transformedParams.id}`;
+                apiMethod = 'PATCH';
+                apiData = {
+                    color: transformedParams.color
+                };
+                break;
+
+            case 'mail.deleteCategory':
+                if (!transformedParams.id) {
+                    throw new Error('Category ID is required for deleting a category. Please provide an ID parameter from listCategories.');
+                }
+                apiPath = `/v1/mail/categories/${transformedParams.id}`;
+                apiMethod = 'DELETE';
+                break;
+
+            case 'mail.setEmailCategories':
+                if (!transformedParams.id) {
+                    throw new Error('Email ID is required for updating categories');
+                }
+                apiPath = `/v1/mail/${transformedParams.id}/categories`;
+                apiMethod = 'PATCH';
+                apiData = {
+                    add: transformedParams.add,
+                    remove: transformedParams.remove,
+                    set: transformedParams.set
+                };
+                break;
+
+            case 'mail.setEmailImportance':
+                if (!transformedParams.id) {
+                    throw new Error('Email ID is required for changing importance');
+                }
+                apiPath = `/v1/mail/${transformedParams.id}/importance`;
+                apiMethod = 'PATCH';
+                apiData = {
+                    importance: transformedParams.importance
+                };
+                break;
+
+            case 'mail.listScheduledEmails':
+                apiPath = '/v1/mail/scheduled';
+                apiMethod = 'GET';
+                break;
+
+            case 'mail.cancelScheduledEmail':
+                if (!transformedParams.id) {
+                    const errorMessage = 'Email ID is required for cancelling a scheduled email. Please provide an ID parameter.';
+                    throw new Error(errorMessage);
+                }
+                
+                apiPath = `/v1/mail/scheduled/${transformedParams.id}/cancel`;
+                apiMethod = 'POST';
+                apiData = { discard: transformedParams.discard };
+                break;
+
+            case 'mail.exportEmailAsMime':
+                if (!transformedParams.id) {
+                    const errorMessage = 'Email ID is required for exporting an email. Please provide an ID parameter.';
+                    throw new Error(errorMessage);
+                }
+                
+                apiPath = `/v1/mail/${transformedParams.id}/mime`;
+                apiMethod = 'GET';
+                // Ask for JSON with base64 content rather than a binary .eml download
+                delete params.id;
+                params.format = 'json';
+                break;
+
+            case 'mail.importMimeMessage':
+                apiPath = '/v1/mail/import';
+                apiMethod = 'POST';
+                apiData = {
+                    mimeContent: transformedParams.mimeContent,
+                    contentBytes: transformedParams.contentBytes,
+                    fileId: transformedParams.fileId,
+                    folder: transformedParams.folder
+                };
+                break;
+
             // Calendar module endpoints
             case 'calendar.getEvents':
             case 'calendar.getCalendar':
                 apiPath = '/v1/calendar';
                 apiMethod = 'GET';
                 break;
+            case 'calendar.getCalendarView':
+                apiPath = '/v1/calendar/view';
+                apiMethod = 'GET';
+                break;
             case 'calendar.createEvent':
             case 'calendar.create':
                 apiPath = '/v1/calendar/events';
@@ -975,6 +1341,10 @@ async function executeModuleMethod(moduleName, methodName, params = {}) {
                 if (start && typeof start === 'object') eventData.start = transformDateTime(start, timeZone);
                 if (end && typeof end === 'object') eventData.end = transformDateTime(end, timeZone);
                 if (transformedParams.isOnlineMeeting !== undefined) eventData.isOnlineMeeting = transformedParams.isOnlineMeeting;
+                if (transformedParams.onlineMeetingProvider) eventData.onlineMeetingProvider = transformedParams.onlineMeetingProvider;
+                if (transformedParams.recurrence && typeof transformedParams.recurrence === 'object') eventData.recurrence = transformedParams.recurrence;
+                if (transformedParams.conflictPolicy) eventData.conflictPolicy = transformedParams.conflictPolicy;
+                if (transformedParams.calendarId) eventData.calendarId = transformedParams.calendarId;
                 // Normalize location
                 if (transformedParams.location && typeof transformedParams.location === 'object' && transformedParams.location.displayName) {
                     eventData.location = { displayName: transformedParams.location.displayName };
@@ -1116,6 +1486,9 @@ async function executeModuleMethod(moduleName, methodName, params = {}) {
                     if (transformedParams.isOnlineMeeting !== undefined) {
                         updateData.isOnlineMeeting = transformedParams.isOnlineMeeting;
                     }
+                    if (transformedParams.onlineMeetingProvider) {
+                        updateData.onlineMeetingProvider = transformedParams.onlineMeetingProvider;
+                    }
                     
                     // Normalize and filter input fields for updateEvent
                     // Only send fields that are present and valid, never null
@@ -1124,6 +1497,7 @@ async function executeModuleMethod(moduleName, methodName, params = {}) {
                     if (updateData.start && typeof updateData.start === 'object') safeUpdateData.start = updateData.start;
                     if (updateData.end && typeof updateData.end === 'object') safeUpdateData.end = updateData.end;
                     if (updateData.isOnlineMeeting !== undefined) safeUpdateData.isOnlineMeeting = updateData.isOnlineMeeting;
+                    if (updateData.onlineMeetingProvider) safeUpdateData.onlineMeetingProvider = updateData.onlineMeetingProvider;
                     if (updateData.isAllDay !== undefined) safeUpdateData.isAllDay = updateData.isAllDay;
                     // Normalize location
                     if (updateData.location && typeof updateData.location === 'object' && updateData.location.displayName) {
@@ -1148,6 +1522,16 @@ async function executeModuleMethod(moduleName, methodName, params = {}) {
                     }
                     // Remove any null/undefined fields
                     apiData = Object.fromEntries(Object.entries(safeUpdateData).filter(([_, value]) => value !== null && value !== undefined));
+                    // Recurrence may be null on purpose: that turns a series back into a single event
+                    if (transformedParams.recurrence !== undefined) {
+                        apiData.recurrence = transformedParams.recurrence;
+                    }
+                    if (transformedParams.applyTo) {
+                        apiData.applyTo = transformedParams.applyTo;
+                    }
+                    if (transformedParams.conflictPolicy) {
+                        apiData.conflictPolicy = transformedParams.conflictPolicy;
+                    }
                 } catch (error) {
                     
                     throw new Error(`Failed to transform updateEvent parameters: ${error.message}`);
@@ -1223,6 +1607,10 @@ async function executeModuleMethod(moduleName, methodName, params = {}) {
                 } else {
                     apiData = {};
                 }
+                // Optional counter-proposal sent to the organizer
+                if (params.proposedNewTime) {
+                    apiData.proposedNewTime = params.proposedNewTime;
+                }
                 
                 // Log the API call for debugging
                 
@@ -1242,6 +1630,10 @@ async function executeModuleMethod(moduleName, methodName, params = {}) {
                 } else {
                     apiData = {};
                 }
+                // Optional counter-proposal sent to the organizer
+                if (params.proposedNewTime) {
+                    apiData.proposedNewTime = params.proposedNewTime;
+                }
                 
                 // Log the API call for debugging
                 
@@ -1262,6 +1654,9 @@ async function executeModuleMethod(moduleName, methodName, params = {}) {
                 } else {
                     apiData = {};
                 }
+                if (transformedParams.applyTo) {
+                    apiData.applyTo = transformedParams.applyTo;
+                }
                 
                 // Log the cancel request
                 
@@ -1457,27 +1852,196 @@ async function executeModuleMethod(moduleName, methodName, params = {}) {
                 apiPath = '/v1/calendar/calendars';
                 apiMethod = 'GET';
                 
-                // Transform parameters for calendar options
-                if (transformedParams) {
-                    const queryParams = [];
-                    
-                    // Add optional filters
-                    if (transformedParams.includeDelegated !== undefined) {
-                        queryParams.push(`includeDelegated=${transformedParams.includeDelegated}`);
-                    }
-                    
-                    if (transformedParams.includeShared !== undefined) {
-                        queryParams.push(`includeShared=${transformedParams.includeShared}`);
-                    }
-                    
-                    // Add query parameters to the API path
-                    if (queryParams.length > 0) {
-                        apiPath += `?${queryParams.join('&')}`;
-                    }
-                }
+                // includeShared, includePermissions and mailbox flow through as query parameters below;
+                // the API has no includeDelegated filter (delegated calendars are flagged per calendar)
+                delete params.includeDelegated;
                 
                 // Log the API call for debugging
                 
+                break;
+            case 'calendar.createCalendar':
+                apiPath = '/v1/calendar/calendars';
+                apiMethod = 'POST';
+                apiData = {
+                    name: transformedParams.name,
+                    color: transformedParams.color,
+                    calendarGroupId: transformedParams.calendarGroupId
+                };
+                break;
+            case 'calendar.updateCalendar':
+                if (!transformedParams.calendarId) {
+                    throw new Error('Calendar ID is required for updating a calendar. Use getCalendars to find it.');
+                }
+                apiPath = `/v1/calendar/calendars/${encodeURIComponent(transformedParams.calendarId)}`;
+                apiMethod = 'PATCH';
+                apiData = {
+                    name: transformedParams.name,
+                    color: transformedParams.color
+                };
+                break;
+            case 'calendar.deleteCalendar':
+                if (!transformedParams.calendarId) {
+                    throw new Error('Calendar ID is required for deleting a calendar. Use getCalendars to find it.');
+                }
+                apiPath = `/v1/calendar/calendars/${encodeURIComponent(transformedParams.calendarId)}`;
+                apiMethod = 'DELETE';
+                break;
+            case 'calendar.getCalendarGroups':
+                apiPath = '/v1/calendar/calendarGroups';
+                apiMethod = 'GET';
+                break;
+            case 'calendar.createCalendarGroup':
+                apiPath = '/v1/calendar/calendarGroups';
+                apiMethod = 'POST';
+                apiData = { name: transformedParams.name };
+                break;
+            case 'calendar.updateCalendarGroup':
+                if (!transformedParams.groupId) {
+                    throw new Error('Calendar group ID is required for renaming a calendar group. Use getCalendarGroups to find it.');
+                }
+                apiPath = `/v1/calendar/calendarGroups/${encodeURIComponent(transformedParams.groupId)}`;
+                apiMethod = 'PATCH';
+                apiData = { name: transformedParams.name };
+                break;
+            case 'calendar.deleteCalendarGroup':
+                if (!transformedParams.groupId) {
+                    throw new Error('Calendar group ID is required for deleting a calendar group. Use getCalendarGroups to find it.');
+                }
+                apiPath = `/v1/calendar/calendarGroups/${encodeURIComponent(transformedParams.groupId)}`;
+                apiMethod = 'DELETE';
+                break;
+            case 'calendar.getCalendarPermissions':
+                if (!transformedParams.calendarId) {
+                    throw new Error('Calendar ID is required for listing calendar permissions. Use getCalendars to find it.');
+                }
+                apiPath = `/v1/calendar/calendars/${encodeURIComponent(transformedParams.calendarId)}/permissions`;
+                apiMethod = 'GET';
+                delete params.calendarId;
+                break;
+            case 'calendar.shareCalendar':
+                if (!transformedParams.calendarId) {
+                    throw new Error('Calendar ID is required for sharing a calendar. Use getCalendars to find it.');
+                }
+                apiPath = `/v1/calendar/calendars/${encodeURIComponent(transformedParams.calendarId)}/permissions`;
+                apiMethod = 'POST';
+                apiData = {
+                    email: transformedParams.email,
+                    name: transformedParams.name,
+                    role: transformedParams.role
+                };
+                break;
+            case 'calendar.updateCalendarPermission':
+            case 'calendar.revokeCalendarPermission': {
+                const permission = transformedParams.permissionId || transformedParams.email;
+                if (!transformedParams.calendarId || !permission) {
+                    throw new Error('Calendar ID and a permissionId or email are required. Use getCalendarPermissions to find them.');
+                }
+                // The permission segment takes the permission ID or the recipient's email address
+                apiPath = `/v1/calendar/calendars/${encodeURIComponent(transformedParams.calendarId)}/permissions/${encodeURIComponent(permission)}`;
+                if (methodName === 'updateCalendarPermission') {
+                    apiMethod = 'PATCH';
+                    apiData = { role: transformedParams.role };
+                } else {
+                    apiMethod = 'DELETE';
+                }
+                break;
+            }
+            case 'calendar.getEventInstances':
+                if (!transformedParams.id) {
+                    throw new Error('Event ID is required for listing occurrences')
+                }
+                apiPath = `/v1/calendar/events/${transformedParams.id}/instances`;
+                apiMethod = 'GET';
+                // The ID travels in the path; the remaining params become the query string
+                delete params.id;
+                break;
+            case 'calendar.forwardEvent':
+                if (!transformedParams.id) {
+                    throw new Error('Event ID is required for forwarding an event')
+                }
+                apiPath = `/v1/calendar/events/${transformedParams.id}/forward`;
+                apiMethod = 'POST';
+                apiData = {
+                    recipients: transformedParams.recipients,
+                    comment: transformedParams.comment
+                };
+                break;
+            case 'calendar.getPendingProposals':
+                apiPath = '/v1/calendar/proposals';
+                apiMethod = 'GET';
+                break;
+            case 'calendar.acceptProposedTime':
+                if (!transformedParams.id) {
+                    throw new Error('Event ID is required for accepting a proposed time. Use getPendingProposals to find it.')
+                }
+                apiPath = `/v1/calendar/events/${transformedParams.id}/acceptProposal`;
+                apiMethod = 'POST';
+                apiData = {
+                    attendee: transformedParams.attendee,
+                    conflictPolicy: transformedParams.conflictPolicy
+                };
+                break;
+            case 'calendar.getResponseStatus':
+                apiPath = '/v1/calendar/responses';
+                apiMethod = 'GET';
+                break;
+            case 'calendar.draftResponseReminder':
+                if (!transformedParams.id) {
+                    throw new Error('Event ID is required for drafting a response reminder. Use getResponseStatus to find it.')
+                }
+                apiPath = `/v1/calendar/events/${transformedParams.id}/responseReminder`;
+                apiMethod = 'POST';
+                apiData = {
+                    includeTentative: transformedParams.includeTentative,
+                    message: transformedParams.message
+                };
+                break;
+            case 'calendar.autoSchedule':
+                apiPath = '/v1/calendar/schedule';
+                apiMethod = 'POST';
+                apiData = {
+                    focusHoursPerWeek: transformedParams.focusHoursPerWeek,
+                    minFocusMinutes: transformedParams.minFocusMinutes,
+                    maxFocusMinutes: transformedParams.maxFocusMinutes,
+                    focusSubject: transformedParams.focusSubject,
+                    travelMinutesBefore: transformedParams.travelMinutesBefore,
+                    travelMinutesAfter: transformedParams.travelMinutesAfter,
+                    start: transformedParams.start,
+                    end: transformedParams.end,
+                    dryRun: transformedParams.dryRun
+                };
+                break;
+            case 'calendar.rollbackSchedule':
+                if (!transformedParams.runId) {
+                    throw new Error('Run ID is required for rolling back a scheduling run. autoSchedule returns it.')
+                }
+                apiPath = `/v1/calendar/schedule/${transformedParams.runId}/rollback`;
+                apiMethod = 'POST';
+                apiData = {};
+                break;
+            case 'calendar.getMeetingJoinInfo':
+                if (!transformedParams.id) {
+                    throw new Error('Event ID is required for meeting join info')
+                }
+                apiPath = `/v1/calendar/events/${transformedParams.id}/joinInfo`;
+                apiMethod = 'GET';
+                delete params.id;
+                break;
+            case 'calendar.exportEvents':
+                apiPath = '/v1/calendar/export';
+                apiMethod = 'GET';
+                // Ask for JSON with the .ics text rather than a file download
+                params.format = 'json';
+                break;
+            case 'calendar.importEvents':
+                apiPath = '/v1/calendar/import';
+                apiMethod = 'POST';
+                apiData = {
+                    content: transformedParams.content,
+                    fileId: transformedParams.fileId,
+                    inviteAttendees: transformedParams.inviteAttendees,
+                    timeZone: transformedParams.timeZone
+                };
                 break;
             case 'calendar.addAttachment':
                 if (!transformedParams.id) {
@@ -1502,6 +2066,18 @@ async function executeModuleMethod(moduleName, methodName, params = {}) {
                 apiPath = `/v1/calendar/events/${transformedParams.eventId}/attachments/${transformedParams.attachmentId}`;
                 apiMethod = 'DELETE';
                 break;
+            case 'calendar.setEventCategories':
+                if (!transformedParams.id) {
+                    throw new Error('Event ID is required for updating categories')
+                }
+                apiPath = `/v1/calendar/events/${transformedParams.id}/categories`;
+                apiMethod = 'PATCH';
+                apiData = {
+                    add: transformedParams.add,
+                    remove: transformedParams.remove,
+                    set: transformedParams.set
+                };
+                break;
 
             // Files module endpoints
             case 'files.listFiles':
@@ -1521,6 +2097,15 @@ async function executeModuleMethod(moduleName, methodName, params = {}) {
                 apiMethod = 'POST';
                 apiData = params;
                 break;
+            case 'files.saveEmailToOneDrive':
+                apiPath = '/v1/files/saveEmail';
+                apiMethod = 'POST';
+                apiData = {
+                    messageId: params.messageId || params.id,
+                    folderPath: params.folderPath,
+                    fileName: params.fileName
+                };
+                break;
             case 'files.getFileMetadata':
                 apiPath = '/v1/files/metadata';
                 apiMethod = 'GET';
@@ -1596,6 +2181,54 @@ async function executeModuleMethod(moduleName, methodName, params = {}) {
                 apiPath = `/v1/people/${params.id}`;
                 apiMethod = 'GET';
                 break;
+            case 'people.listContacts':
+                apiPath = '/v1/contacts';
+                apiMethod = 'GET';
+                if (params.limit) {
+                    params.limit = parseInt(params.limit, 10);
+                }
+                break;
+            case 'people.searchContacts':
+                apiPath = '/v1/contacts/search';
+                apiMethod = 'GET';
+                if (!params.query && params.q) {
+                    params.query = params.q;
+                    delete params.q;
+                }
+                break;
+            case 'people.getContact':
+                if (!params.id) {
+                    throw new Error('Contact ID is required for getContact');
+                }
+                apiPath = `/v1/contacts/${params.id}`;
+                apiMethod = 'GET';
+                break;
+            case 'people.createContact':
+                apiPath = '/v1/contacts';
+                apiMethod = 'POST';
+                apiData = params;
+                break;
+            case 'people.updateContact': {
+                if (!params.id) {
+                    throw new Error('Contact ID is required for updateContact. Use searchContacts to find it.');
+                }
+                const { id: contactId, ...contactUpdates } = params;
+                apiPath = `/v1/contacts/${contactId}`;
+                apiMethod = 'PATCH';
+                apiData = contactUpdates;
+                break;
+            }
+            case 'people.deleteContact':
+                if (!params.id) {
+                    throw new Error('Contact ID is required for deleteContact');
+                }
+                apiPath = `/v1/contacts/${params.id}`;
+                apiMethod = 'DELETE';
+                break;
+            case 'people.listContactFolders':
+                apiPath = '/v1/contacts/folders';
+                apiMethod = 'GET';
+                break;
 
             // System endpoints
             case 'system.getToolDefinitions':
@@ -1616,6 +2249,16 @@ async function executeModuleMethod(moduleName, methodName, params = {}) {
                 throw new Error(`Unknown API endpoint for ${moduleName}.${methodName}`);
         }
 
+        // Shared/delegated mailbox: GET requests pick it up with the other query parameters below,
+        // other requests carry it in the body, or in the query string when they have no body
+        if (params.mailbox && apiMethod !== 'GET') {
+            if (apiData && typeof apiData === 'object' && !Array.isArray(apiData)) {
+                apiData.mailbox = params.mailbox;
+            } else {
+                apiPath += `${apiPath.includes('?') ? '&' : '?'}mailbox=${encodeURIComponent(params.mailbox)}`;
+            }
+        }
+
         // For GET requests with params, add them as query parameters
         if (apiMethod === 'GET' && Object.keys(params).length > 0) {
             const queryParams = new URLSearchParams();
@@ -1686,7 +2329,8 @@ async function executeModuleMethod(moduleName, methodName, params = {}) {
         }
         return { 
             error: `Error executing ${moduleName}.${methodName}: ${error.message}`,
-            errorType: 'module_error'
+            errorType: 'module_error',
+            ...(error.conflicts && { conflicts: error.conflicts })
         };
     }
 }
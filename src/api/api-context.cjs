@@ -12,19 +12,25 @@ const cacheService = require('../core/cache-service.cjs');
 const eventService = require('../core/event-service.cjs');
 const graphClientFactory = require('../graph/graph-client.cjs');
 const calendarService = require('../graph/calendar-service.cjs');
+const icsService = require('../graph/ics-service.cjs');
+const calendarManagementService = require('../graph/calendar-management-service.cjs');
+const schedulingService = require('../graph/scheduling-service.cjs');
 const mailService = require('../graph/mail-service.cjs');
 const filesService = require('../graph/files-service.cjs');
 const peopleService = require('../graph/people-service.cjs');
+const mailboxSettingsService = require('../graph/mailbox-settings-service.cjs');
+const categoriesService = require('../graph/categories-service.cjs');
+const contactsService = require('../graph/contacts-service.cjs');
 
 // Import error and monitoring services
 const ErrorService = require('../core/error-service.cjs');
 const MonitoringService = require('../core/monitoring-service.cjs');
 
 // Initialize modules with their dependencies
-const mailModule = MailModule.init({ graphService: mailService, cacheService, eventService, errorService: ErrorService, monitoringService: MonitoringService });
-const calendarModule = CalendarModule.init({ graphService: calendarService, cacheService, eventService, errorService: ErrorService, monitoringService: MonitoringService });
+const mailModule = MailModule.init({ graphService: mailService, mailboxSettingsService, categoriesService, cacheService, eventService, errorService: ErrorService, monitoringService: MonitoringService });
+const calendarModule = CalendarModule.init({ graphService: calendarService, categoriesService, icsService, calendarManagementService, schedulingService, mailModule, cacheService, eventService, errorService: ErrorService, monitoringService: MonitoringService });
 const filesModule = FilesModule.init({ graphService: filesService, cacheService, eventService, errorService: ErrorService, monitoringService: MonitoringService });
-const peopleModule = PeopleModule.init({ graphService: peopleService, cacheService, eventService, errorService: ErrorService, monitoringService: MonitoringService });
+const peopleModule = PeopleModule.init({ graphService: peopleService, contactsService, cacheService, eventService, errorService: ErrorService, monitoringService: MonitoringService });
 
 // Register modules
 moduleRegistry.registerModule(mailModule);
@@ -328,9 +334,15 @@ module.exports = {
   eventService,
   graphClientFactory,
   calendarService,
+  icsService,
+  calendarManagementService,
+  schedulingService,
   mailService,
   filesService,
   peopleService,
+  mailboxSettingsService,
+  categoriesService,
+  contactsService,
   toolsService,
   nluAgent,
   contextService,
@@ -48,6 +48,57 @@ const isModuleMethodAvailable = (methodName, module) => {
     return typeof module[methodName] === 'function';
 };
 
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Recurrence accepted on create and update: a simple description, or Graph's own { pattern, range }
+const recurrenceSchema = Joi.alternatives().try(
+    Joi.object({
+        frequency: Joi.string().valid('daily', 'weekly', 'monthly', 'yearly').insensitive().required(),
+        interval: Joi.number().integer().min(1).max(99).optional(),
+        daysOfWeek: Joi.array().items(Joi.string().valid(...DAYS_OF_WEEK).insensitive()).single().min(1).optional(),
+        weekIndex: Joi.string().valid('first', 'second', 'third', 'fourth', 'last').insensitive().optional(),
+        dayOfMonth: Joi.number().integer().min(1).max(31).optional(),
+        month: Joi.number().integer().min(1).max(12).optional(),
+        firstDayOfWeek: Joi.string().valid(...DAYS_OF_WEEK).insensitive().optional(),
+        startDate: Joi.string().pattern(DATE_ONLY_PATTERN).optional(),
+        endDate: Joi.string().pattern(DATE_ONLY_PATTERN).optional(),
+        occurrences: Joi.number().integer().min(1).max(999).optional()
+    }).oxor('endDate', 'occurrences'),
+    Joi.object({
+        pattern: Joi.object().required(),
+        range: Joi.object().required()
+    })
+);
+
+// Whether an update or cancel on an occurrence of a series affects just that occurrence or the whole series
+const applyToSchema = Joi.string().valid('occurrence', 'series');
+
+// Online meeting providers Graph can attach a join link for
+const onlineMeetingProviderSchema = Joi.string().valid('teamsForBusiness', 'skypeForBusiness', 'skypeForConsumer');
+
+// What to do when the organizer or attendees are already busy: report, refuse or skip the check
+const conflictPolicySchema = Joi.string().valid('warn', 'block', 'ignore').insensitive();
+
+// Calendar color presets Outlook offers
+const calendarColorSchema = Joi.string().valid('auto', 'lightBlue', 'lightGreen', 'lightOrange', 'lightGray', 'lightYellow', 'lightTeal', 'lightPink', 'lightBrown', 'lightRed').insensitive();
+
+// Roles a calendar can be shared with, from free/busy only up to full delegate access
+const calendarShareRoleSchema = Joi.string().valid('freeBusyRead', 'limitedRead', 'read', 'write', 'delegateWithoutPrivateEventAccess', 'delegateWithPrivateEventAccess').insensitive();
+
+// A new meeting time proposed with a decline or tentative accept; bounds are ISO date-times or { dateTime, timeZone }
+const proposedTimeBoundSchema = Joi.alternatives().try(
+    Joi.string().isoDate().raw(),
+    Joi.object({
+        dateTime: Joi.string().isoDate().raw().required(),
+        timeZone: Joi.string().optional()
+    })
+);
+const proposedNewTimeSchema = Joi.object({
+    start: proposedTimeBoundSchema.required(),
+    end: proposedTimeBoundSchema.required()
+});
+
 /**
  * Factory for calendar controller with dependency injection.
  * @param {object} deps - { calendarModule }
@@ -107,7 +158,12 @@ module.exports = ({ calendarModule }) => ({
                 organizer: Joi.string().optional(),
                 subject: Joi.string().optional(),
                 location: Joi.string().optional(),
-                attendee: Joi.string().optional()
+                attendee: Joi.string().optional(),
+                bodyFormat: Joi.string().lowercase().valid('html', 'text', 'markdown', 'summary-ready').optional(),
+                // Secondary calendar to read from instead of the default one
+                calendarId: Joi.string().trim().optional(),
+                // Shared or delegated calendar owner (email address or user ID)
+                mailbox: Joi.string().trim().optional()
             });
             
             // Convert query parameters for validation
@@ -121,7 +177,10 @@ module.exports = ({ calendarModule }) => ({
                 organizer: req.query.organizer,
                 subject: req.query.subject,
                 location: req.query.location,
-                attendee: req.query.attendee
+                attendee: req.query.attendee,
+                bodyFormat: req.query.bodyFormat,
+                calendarId: req.query.calendarId,
+                mailbox: req.query.mailbox
             };
             
             const { error, value } = querySchema.validate(queryParams);
@@ -140,7 +199,7 @@ module.exports = ({ calendarModule }) => ({
                 });
             }
             
-            const { limit: top, filter, debug, organizer, subject, location, attendee } = value;
+            const { limit: top, filter, debug, organizer, subject, location, attendee, bodyFormat, calendarId, mailbox } = value;
             let rawEvents = null;
             
             // For debugging, get raw events if requested
@@ -158,7 +217,7 @@ module.exports = ({ calendarModule }) => ({
                     }, 'calendar', null, actualUserId, deviceId);
                     // Pass req object for user-scoped token selection, but don't pass internal userId to Graph API
                     // The internal userId is only for token storage - Graph API should use 'me' (default)
-                    rawEvents = await calendarModule.getEventsRaw({ top, filter, organizer, subject, location, attendee }, req);
+                    rawEvents = await calendarModule.getEventsRaw({ top, filter, organizer, subject, location, attendee, mailbox }, req);
                     MonitoringService?.info(`Retrieved ${rawEvents.length} raw events`, { 
                         count: rawEvents.length, 
                         userId: actualUserId, 
@@ -193,7 +252,7 @@ module.exports = ({ calendarModule }) => ({
                 if (isModuleMethodAvailable('getEvents', calendarModule)) {
                     // Pass req object for user-scoped token selection, but don't pass internal userId to Graph API
                     // The internal userId is only for token storage - Graph API should use 'me' (default)
-                    events = await calendarModule.getEvents({ top, filter, organizer, subject, location, attendee }, req);
+                    events = await calendarModule.getEvents({ top, filter, organizer, subject, location, attendee, bodyFormat, calendarId, mailbox }, req);
                     MonitoringService?.info(`Successfully retrieved ${events.length} real calendar events`, { 
                         count: events.length, 
                         userId: actualUserId, 
@@ -206,7 +265,7 @@ module.exports = ({ calendarModule }) => ({
                         userId: actualUserId, 
                         deviceId 
                     }, 'calendar', null, actualUserId, deviceId);
-                    const result = await calendarModule.handleIntent('readCalendar', { count: top, filter, organizer, subject, location, attendee }, { req });
+                    const result = await calendarModule.handleIntent('readCalendar', { count: top, filter, organizer, subject, location, attendee, mailbox }, { req });
                     events = result && result.items ? result.items : [];
                     MonitoringService?.info(`Retrieved ${events.length} events via handleIntent`, { 
                         count: events.length, 
@@ -425,7 +484,12 @@ module.exports = ({ calendarModule }) => ({
                 ).optional(),
                 isAllDay: Joi.boolean().optional(),
                 isOnlineMeeting: Joi.boolean().optional(),
-                recurrence: Joi.object().optional()
+                onlineMeetingProvider: onlineMeetingProviderSchema.optional(),
+                recurrence: recurrenceSchema.optional(),
+                conflictPolicy: conflictPolicySchema.optional(),
+                // Secondary calendar to create the event in instead of the default one
+                calendarId: Joi.string().trim().optional(),
+                mailbox: Joi.string().trim().optional()
             });
             
             // Log the incoming request body for debugging (redacting sensitive data)
@@ -489,6 +553,15 @@ module.exports = ({ calendarModule }) => ({
                     throw new Error('No calendar module method available for event creation');
                 }
             } catch (moduleError) {
+                // conflictPolicy 'block' refused to double-book; hand the conflict report back
+                if (moduleError.conflicts) {
+                    return res.status(409).json({
+                        error: 'calendar_conflict',
+                        error_description: 'The event overlaps existing events for the organizer or attendees',
+                        conflicts: moduleError.conflicts
+                    });
+                }
+                
                 const moduleCallError = ErrorService?.createError('api', 'Error calling calendar module for event creation', 'error', { 
                     error: moduleError.message,
                     subject: value.subject,
@@ -676,7 +749,11 @@ module.exports = ({ calendarModule }) => ({
                 ).optional(),
                 isAllDay: Joi.boolean().optional(),
                 isOnlineMeeting: Joi.boolean().optional(),
-                recurrence: Joi.object().optional()
+                onlineMeetingProvider: onlineMeetingProviderSchema.optional(),
+                recurrence: recurrenceSchema.allow(null).optional(),
+                applyTo: applyToSchema.optional(),
+                conflictPolicy: conflictPolicySchema.optional(),
+                mailbox: Joi.string().trim().optional()
             });
             
             // Create a sanitized request body for logging (redact sensitive data)
@@ -720,6 +797,15 @@ module.exports = ({ calendarModule }) => ({
                     throw new Error(`calendarModule.${methodName} is not implemented`);
                 }
             } catch (moduleError) {
+                // conflictPolicy 'block' refused to double-book; hand the conflict report back
+                if (moduleError.conflicts) {
+                    return res.status(409).json({
+                        error: 'calendar_conflict',
+                        error_description: 'The update overlaps existing events for the organizer or attendees',
+                        conflicts: moduleError.conflicts
+                    });
+                }
+                
                 const moduleCallError = ErrorService?.createError('api', `Error updating event ${eventId}`, 'error', { 
                     error: moduleError.message,
                     eventId,
@@ -863,7 +949,8 @@ module.exports = ({ calendarModule }) => ({
             
             // Validate request body
             const acceptSchema = Joi.object({
-                comment: Joi.string().optional()
+                comment: Joi.string().optional(),
+                mailbox: Joi.string().trim().optional()
             });
             
             const { error, value } = validateAndLog(req, acceptSchema, 'Accept event', { eventId, endpoint });
@@ -886,7 +973,7 @@ module.exports = ({ calendarModule }) => ({
                 const methodName = 'acceptEvent';
                 
                 if (isModuleMethodAvailable(methodName, calendarModule)) {
-                    result = await calendarModule[methodName](eventId, value.comment, req);
+                    result = await calendarModule[methodName](eventId, value.mailbox ? { comment: value.comment, mailbox: value.mailbox } : value.comment, req);
                     MonitoringService?.info(`Successfully accepted event ${eventId} using module`, { eventId }, 'calendar');
                 } else {
                     throw new Error(`calendarModule.${methodName} is not implemented`);
@@ -1032,7 +1119,9 @@ module.exports = ({ calendarModule }) => ({
             
             // Validate request body
             const acceptSchema = Joi.object({
-                comment: Joi.string().optional()
+                comment: Joi.string().optional(),
+                proposedNewTime: proposedNewTimeSchema.optional(),
+                mailbox: Joi.string().trim().optional()
             });
             
             const { error, value } = validateAndLog(req, acceptSchema, 'Tentative accept event', { eventId, endpoint });
@@ -1055,7 +1144,7 @@ module.exports = ({ calendarModule }) => ({
                 const methodName = 'tentativelyAcceptEvent';
                 
                 if (isModuleMethodAvailable(methodName, calendarModule)) {
-                    result = await calendarModule[methodName](eventId, value.comment, req);
+                    result = await calendarModule[methodName](eventId, value.mailbox || value.proposedNewTime ? { comment: value.comment, mailbox: value.mailbox, proposedNewTime: value.proposedNewTime } : value.comment, req);
                     MonitoringService?.info(`Successfully tentatively accepted event ${eventId} using module`, { eventId }, 'calendar');
                 } else {
                     throw new Error(`calendarModule.${methodName} is not implemented`);
@@ -1201,7 +1290,9 @@ module.exports = ({ calendarModule }) => ({
             
             // Validate request body
             const declineSchema = Joi.object({
-                comment: Joi.string().optional()
+                comment: Joi.string().optional(),
+                proposedNewTime: proposedNewTimeSchema.optional(),
+                mailbox: Joi.string().trim().optional()
             });
             
             const { error, value } = validateAndLog(req, declineSchema, 'Decline event', { eventId, endpoint });
@@ -1224,7 +1315,7 @@ module.exports = ({ calendarModule }) => ({
                 const methodName = 'declineEvent';
                 
                 if (isModuleMethodAvailable(methodName, calendarModule)) {
-                    result = await calendarModule[methodName](eventId, value.comment, req);
+                    result = await calendarModule[methodName](eventId, value.mailbox || value.proposedNewTime ? { comment: value.comment, mailbox: value.mailbox, proposedNewTime: value.proposedNewTime } : value.comment, req);
                     MonitoringService?.info(`Successfully declined event ${eventId} using module`, { eventId }, 'calendar');
                 } else {
                     throw new Error(`calendarModule.${methodName} is not implemented`);
@@ -1370,7 +1461,9 @@ module.exports = ({ calendarModule }) => ({
             
             // Validate request body
             const cancelSchema = Joi.object({
-                comment: Joi.string().optional()
+                comment: Joi.string().optional(),
+                applyTo: applyToSchema.optional(),
+                mailbox: Joi.string().trim().optional()
             });
             
             const { error, value } = validateAndLog(req, cancelSchema, 'Cancel event', { eventId, endpoint, userId: actualUserId, deviceId });
@@ -1395,7 +1488,8 @@ module.exports = ({ calendarModule }) => ({
                 const methodName = 'cancelEvent';
                 
                 if (isModuleMethodAvailable(methodName, calendarModule)) {
-                    result = await calendarModule[methodName](eventId, value.comment, req);
+                    const cancelOptions = value.mailbox || value.applyTo ? { comment: value.comment, mailbox: value.mailbox, applyTo: value.applyTo } : value.comment;
+                    result = await calendarModule[methodName](eventId, cancelOptions, req);
                     MonitoringService?.info(`Successfully cancelled event ${eventId} using module`, { eventId, userId: actualUserId, deviceId }, 'calendar', null, actualUserId, deviceId);
                 } else {
                     throw new Error(`calendarModule.${methodName} is not implemented`);
@@ -1847,7 +1941,8 @@ module.exports = ({ calendarModule }) => ({
                 maxCandidates: Joi.number().min(1).max(100).default(20),
                 minimumAttendeePercentage: Joi.number().min(0).max(100).default(50),
                 returnSuggestionReasons: Joi.boolean().default(true),
-                isOrganizerOptional: Joi.boolean().default(false)
+                isOrganizerOptional: Joi.boolean().default(false),
+                mailbox: Joi.string().trim().optional()
             }).or('timeConstraint', 'timeConstraints'); // Require at least one time constraint
             
             const { error, value } = validateAndLog(req, optionsSchema, 'Find meeting times', { endpoint });
@@ -2286,7 +2381,9 @@ module.exports = ({ calendarModule }) => ({
             
             // Validate query parameters
             const querySchema = Joi.object({
-                includeShared: Joi.boolean().default(true).optional()
+                includeShared: Joi.boolean().default(true).optional(),
+                includePermissions: Joi.boolean().optional(),
+                mailbox: Joi.string().trim().optional()
             });
             
             const { error, value } = querySchema.validate(req.query);
@@ -2494,7 +2591,8 @@ module.exports = ({ calendarModule }) => ({
                 name: Joi.string().required(),
                 contentType: Joi.string().required(),
                 contentBytes: Joi.string().required(), // Base64 encoded content
-                isInline: Joi.boolean().default(false)
+                isInline: Joi.boolean().default(false),
+                mailbox: Joi.string().trim().optional()
             });
             
             const { error, value } = validateAndLog(req, attachmentSchema, 'Add attachment', { eventId, endpoint });
@@ -2531,7 +2629,8 @@ module.exports = ({ calendarModule }) => ({
                         id: eventId,
                         name: value.name,
                         contentBytes: value.contentBytes,
-                        contentType: value.contentType
+                        contentType: value.contentType,
+                        mailbox: value.mailbox
                     };
                     const result = await calendarModule.handleIntent('addAttachment', entities, { req });
                     attachment = result.attachment;
@@ -2708,7 +2807,8 @@ module.exports = ({ calendarModule }) => ({
                 if (isModuleMethodAvailable('handleIntent', calendarModule)) {
                     const entities = {
                         eventId: eventId,
-                        attachmentId: attachmentId
+                        attachmentId: attachmentId,
+                        mailbox: req.query.mailbox
                     };
                     const intentResult = await calendarModule.handleIntent('removeAttachment', entities, { req });
                     result = intentResult.success;
@@ -2802,5 +2902,3057 @@ module.exports = ({ calendarModule }) => ({
                 details: 'Please try again later or contact support if the issue persists'
             });
         }
+    },
+
+    /**
+     * PATCH /api/calendar/events/:id/categories
+     * Assign or remove categories on a calendar event
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async setEventCategories(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/events/:id/categories';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar event categories update', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    eventId: req.params.id,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            // Get event ID from URL parameters
+            const eventId = req.params.id;
+            if (!eventId) {
+                const validationError = ErrorService?.createError('api', 'Event ID is required for updating categories', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Event ID is required' });
+            }
+            
+            // Validate request body
+            const categoriesSchema = Joi.object({
+                add: Joi.array().items(Joi.string().trim().min(1)).single().optional(),
+                remove: Joi.array().items(Joi.string().trim().min(1)).single().optional(),
+                set: Joi.array().items(Joi.string().trim().min(1)).single().optional()
+            }).or('add', 'remove', 'set');
+            
+            const { error, value } = validateAndLog(req, categoriesSchema, 'Set event categories', { eventId, endpoint, userId: actualUserId, deviceId });
+            if (error) {
+                return res.status(400).json({ 
+                    error: 'Invalid request', 
+                    details: error.details 
+                });
+            }
+            
+            if (!isModuleMethodAvailable('setEventCategories', calendarModule)) {
+                throw new Error('calendarModule.setEventCategories is not implemented');
+            }
+            const result = await calendarModule.setEventCategories(eventId, value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar event categories updated successfully', {
+                    eventId: eventId,
+                    categoryCount: result.categories.length,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar event categories updated with session', {
+                    sessionId: req.session.id,
+                    eventId: eventId,
+                    categoryCount: result.categories.length,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track update time
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.setEventCategories.duration', duration, { 
+                eventId,
+                categoryCount: result.categories.length
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to update calendar event categories',
+                'error',
+                {
+                    endpoint: '/api/calendar/events/:id/categories',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'setEventCategories',
+                    eventId: req.params?.id,
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar event categories update failed', {
+                    error: err.message,
+                    eventId: req.params?.id,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar event categories update failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    eventId: req.params?.id,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.setEventCategories.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_categories_error',
+                error_description: 'Unable to update calendar event categories',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * GET /api/calendar/view
+     * List the events in a time window with recurring series expanded into their occurrences
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async getCalendarView(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/view';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar view request', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    query: req.query,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            // Validate query parameters; dates are kept as given so a date-only end stays inclusive
+            const querySchema = Joi.object({
+                start: Joi.string().isoDate().raw(),
+                end: Joi.string().isoDate().raw(),
+                timeframe: Joi.string().valid('today', 'tomorrow', 'this_week', 'next_week', 'this_month', 'next_month').insensitive(),
+                calendarId: Joi.string().trim().optional(),
+                top: Joi.number().integer().min(1).max(1000).optional(),
+                bodyFormat: Joi.string().valid('html', 'text', 'markdown', 'summary-ready').optional(),
+                mailbox: Joi.string().trim().optional()
+            }).xor('start', 'timeframe').and('start', 'end');
+            
+            const { error, value } = querySchema.validate(req.query);
+            if (error) {
+                const validationError = ErrorService?.createError('api', 'Calendar view query validation error', 'warning', { 
+                    details: error.details,
+                    endpoint
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ 
+                    error: 'Invalid query parameters', 
+                    details: error.details 
+                });
+            }
+            
+            if (!isModuleMethodAvailable('getCalendarView', calendarModule)) {
+                throw new Error('calendarModule.getCalendarView is not implemented');
+            }
+            const result = await calendarModule.getCalendarView(value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar view retrieved successfully', {
+                    eventCount: result.events.length,
+                    timeframe: value.timeframe,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar view retrieved with session', {
+                    sessionId: req.session.id,
+                    eventCount: result.events.length,
+                    timeframe: value.timeframe,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track retrieval time
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.getCalendarView.duration', duration, { 
+                eventCount: result.events.length,
+                hasCalendarId: !!value.calendarId
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to retrieve calendar view',
+                'error',
+                {
+                    endpoint: '/api/calendar/view',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'getCalendarView',
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar view retrieval failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar view retrieval failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.getCalendarView.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_view_error',
+                error_description: 'Unable to retrieve the calendar view',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * GET /api/calendar/events/:id/instances
+     * List the occurrences of a recurring series in a time window
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async getEventInstances(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/events/:id/instances';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar event occurrences request', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    eventId: req.params.id,
+                    query: req.query,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            // Get event ID from URL parameters
+            const eventId = req.params.id;
+            if (!eventId) {
+                const validationError = ErrorService?.createError('api', 'Event ID is required for listing occurrences', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Event ID is required' });
+            }
+            
+            // Validate query parameters
+            const querySchema = Joi.object({
+                start: Joi.string().isoDate().optional(),
+                end: Joi.string().isoDate().optional(),
+                top: Joi.number().integer().min(1).max(250).optional(),
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = querySchema.validate(req.query);
+            if (error) {
+                const validationError = ErrorService?.createError('api', 'Event occurrences query validation error', 'warning', { 
+                    details: error.details,
+                    endpoint
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ 
+                    error: 'Invalid query parameters', 
+                    details: error.details 
+                });
+            }
+            
+            if (!isModuleMethodAvailable('getEventInstances', calendarModule)) {
+                throw new Error('calendarModule.getEventInstances is not implemented');
+            }
+            const result = await calendarModule.getEventInstances(eventId, value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar event occurrences retrieved successfully', {
+                    eventId: eventId,
+                    instanceCount: result.instances.length,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar event occurrences retrieved with session', {
+                    sessionId: req.session.id,
+                    eventId: eventId,
+                    instanceCount: result.instances.length,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track retrieval time
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.getEventInstances.duration', duration, { 
+                eventId,
+                instanceCount: result.instances.length
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to retrieve calendar event occurrences',
+                'error',
+                {
+                    endpoint: '/api/calendar/events/:id/instances',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'getEventInstances',
+                    eventId: req.params?.id,
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar event occurrences retrieval failed', {
+                    error: err.message,
+                    eventId: req.params?.id,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar event occurrences retrieval failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    eventId: req.params?.id,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.getEventInstances.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_instances_error',
+                error_description: 'Unable to retrieve occurrences of the recurring event',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * GET /api/calendar/events/:id/joinInfo
+     * Get the join link and dial-in details of an online meeting
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async getMeetingJoinInfo(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/events/:id/joinInfo';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing meeting join info request', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    eventId: req.params.id,
+                    query: req.query,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            // Get event ID from URL parameters
+            const eventId = req.params.id;
+            if (!eventId) {
+                const validationError = ErrorService?.createError('api', 'Event ID is required for meeting join info', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Event ID is required' });
+            }
+            
+            // Validate query parameters
+            const querySchema = Joi.object({
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = querySchema.validate(req.query);
+            if (error) {
+                const validationError = ErrorService?.createError('api', 'Meeting join info query validation error', 'warning', { 
+                    details: error.details,
+                    endpoint
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ 
+                    error: 'Invalid query parameters', 
+                    details: error.details 
+                });
+            }
+            
+            if (!isModuleMethodAvailable('getMeetingJoinInfo', calendarModule)) {
+                throw new Error('calendarModule.getMeetingJoinInfo is not implemented');
+            }
+            const result = await calendarModule.getMeetingJoinInfo(eventId, value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Meeting join info retrieved successfully', {
+                    eventId: eventId,
+                    isOnlineMeeting: result.isOnlineMeeting,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Meeting join info retrieved with session', {
+                    sessionId: req.session.id,
+                    eventId: eventId,
+                    isOnlineMeeting: result.isOnlineMeeting,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track retrieval time
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.getMeetingJoinInfo.duration', duration, { 
+                eventId,
+                isOnlineMeeting: result.isOnlineMeeting
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to retrieve meeting join info',
+                'error',
+                {
+                    endpoint: '/api/calendar/events/:id/joinInfo',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'getMeetingJoinInfo',
+                    eventId: req.params?.id,
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Meeting join info retrieval failed', {
+                    error: err.message,
+                    eventId: req.params?.id,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Meeting join info retrieval failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    eventId: req.params?.id,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.getMeetingJoinInfo.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_join_info_error',
+                error_description: 'Unable to retrieve the meeting join info',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * GET /api/calendar/export - Export events as an iCalendar (.ics) file.
+     * Exports one event (eventId) or the events between start and end. Returns the file as a
+     * download, or as JSON with the text in content when format=json.
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async exportEvents(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/export';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar export request', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    query: req.query,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            // Validate query parameters
+            const querySchema = Joi.object({
+                eventId: Joi.string().trim().optional(),
+                start: Joi.string().isoDate().optional(),
+                end: Joi.string().isoDate().optional(),
+                mailbox: Joi.string().trim().optional(),
+                format: Joi.string().valid('ics', 'json').default('ics')
+            }).oxor('eventId', 'start').oxor('eventId', 'end');
+            
+            const { error, value } = querySchema.validate(req.query);
+            if (error) {
+                const validationError = ErrorService?.createError('api', 'Calendar export query validation error', 'warning', { 
+                    details: error.details,
+                    endpoint
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ 
+                    error: 'Invalid query parameters', 
+                    details: error.details 
+                });
+            }
+            
+            if (!isModuleMethodAvailable('exportEvents', calendarModule)) {
+                throw new Error('calendarModule.exportEvents is not implemented');
+            }
+            const { format, ...options } = value;
+            const result = await calendarModule.exportEvents(options, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar events exported successfully', {
+                    eventCount: result.eventCount,
+                    format,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar events exported with session', {
+                    sessionId: req.session.id,
+                    eventCount: result.eventCount,
+                    format,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track export time
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.exportEvents.duration', duration, { 
+                eventCount: result.eventCount,
+                format
+            });
+            
+            if (format === 'json') {
+                // JSON form for callers that cannot take a file download (e.g. MCP tools)
+                return res.json(result);
+            }
+            
+            res.setHeader('Content-Type', result.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${result.filename.replace(/[^\x20-\x7e]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(result.filename)}`);
+            res.send(result.content);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to export calendar events',
+                'error',
+                {
+                    endpoint: '/api/calendar/export',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'exportEvents',
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar export failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar export failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.exportEvents.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_export_error',
+                error_description: 'Unable to export calendar events',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * POST /api/calendar/import - Import the events of an iCalendar (.ics) file as new events.
+     * Takes the file's text (content) or the ID of a .ics file in OneDrive (fileId).
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async importEvents(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/import';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar import request', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    source: req.body?.fileId ? 'onedrive' : 'content',
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const importSchema = Joi.object({
+                content: Joi.string().optional(),
+                fileId: Joi.string().trim().optional(),
+                inviteAttendees: Joi.boolean().default(false),
+                timeZone: Joi.string().trim().optional(),
+                mailbox: Joi.string().trim().optional()
+            }).xor('content', 'fileId');
+            
+            const { error, value } = validateAndLog(req, importSchema, 'Import events', { endpoint, userId: actualUserId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            if (!isModuleMethodAvailable('importEvents', calendarModule)) {
+                throw new Error('calendarModule.importEvents is not implemented');
+            }
+            const result = await calendarModule.importEvents(value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar events imported successfully', {
+                    importedCount: result.imported.length,
+                    failedCount: result.failed.length,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar events imported with session', {
+                    sessionId: req.session.id,
+                    importedCount: result.imported.length,
+                    failedCount: result.failed.length,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track import time
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.importEvents.duration', duration, { 
+                importedCount: result.imported.length,
+                failedCount: result.failed.length
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to import calendar events',
+                'error',
+                {
+                    endpoint: '/api/calendar/import',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'importEvents',
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar import failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar import failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.importEvents.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_import_error',
+                error_description: 'Unable to import calendar events',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * GET /api/calendar/calendarGroups
+     * List calendar groups, optionally with the calendars in each group
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async getCalendarGroups(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/calendarGroups';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar groups request', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    query: req.query,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const querySchema = Joi.object({
+                includeCalendars: Joi.boolean().default(false),
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = querySchema.validate(req.query);
+            if (error) {
+                const validationError = ErrorService?.createError('api', 'Calendar groups query validation error', 'warning', { 
+                    details: error.details,
+                    endpoint
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ 
+                    error: 'Invalid query parameters', 
+                    details: error.details 
+                });
+            }
+            
+            if (!isModuleMethodAvailable('getCalendarGroups', calendarModule)) {
+                throw new Error('calendarModule.getCalendarGroups is not implemented');
+            }
+            const result = await calendarModule.getCalendarGroups(value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar groups retrieved successfully', {
+                    groupCount: result.length,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar groups retrieved with session', {
+                    sessionId: req.session.id,
+                    groupCount: result.length,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.getCalendarGroups.duration', duration, { 
+                groupCount: result.length
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to list calendar groups',
+                'error',
+                {
+                    endpoint: '/api/calendar/calendarGroups',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'getCalendarGroups',
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar groups retrieval failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar groups retrieval failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.getCalendarGroups.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_groups_error',
+                error_description: 'Unable to list calendar groups',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * POST /api/calendar/calendarGroups
+     * Create a calendar group
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async createCalendarGroup(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/calendarGroups';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar group creation', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const createCalendarGroupSchema = Joi.object({
+                name: Joi.string().trim().min(1).required(),
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = validateAndLog(req, createCalendarGroupSchema, 'Create calendar group', { endpoint, userId: actualUserId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            if (!isModuleMethodAvailable('createCalendarGroup', calendarModule)) {
+                throw new Error('calendarModule.createCalendarGroup is not implemented');
+            }
+            const result = await calendarModule.createCalendarGroup(value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar group created successfully', {
+                    groupId: result.id,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar group created with session', {
+                    sessionId: req.session.id,
+                    groupId: result.id,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.createCalendarGroup.duration', duration, { 
+                groupId: result.id
+            });
+            
+            res.status(201).json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to create calendar group',
+                'error',
+                {
+                    endpoint: '/api/calendar/calendarGroups',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'createCalendarGroup',
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar group creation failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar group creation failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.createCalendarGroup.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_group_create_error',
+                error_description: 'Unable to create calendar group',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * PATCH /api/calendar/calendarGroups/:groupId
+     * Rename a calendar group
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async updateCalendarGroup(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/calendarGroups/:groupId';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar group rename', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    groupId: req.params.groupId,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const groupId = req.params.groupId;
+            if (!groupId) {
+                const validationError = ErrorService?.createError('api', 'Calendar group ID is required', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Calendar group ID is required' });
+            }
+            
+            const updateCalendarGroupSchema = Joi.object({
+                name: Joi.string().trim().min(1).required(),
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = validateAndLog(req, updateCalendarGroupSchema, 'Update calendar group', { endpoint, userId: actualUserId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            if (!isModuleMethodAvailable('updateCalendarGroup', calendarModule)) {
+                throw new Error('calendarModule.updateCalendarGroup is not implemented');
+            }
+            const result = await calendarModule.updateCalendarGroup(groupId, value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar group renamed successfully', {
+                    groupId: groupId,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar group renamed with session', {
+                    sessionId: req.session.id,
+                    groupId: groupId,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.updateCalendarGroup.duration', duration, { 
+                groupId: groupId
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to rename calendar group',
+                'error',
+                {
+                    endpoint: '/api/calendar/calendarGroups/:groupId',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'updateCalendarGroup',
+                    groupId: req.params?.groupId,
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar group rename failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar group rename failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.updateCalendarGroup.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_group_update_error',
+                error_description: 'Unable to rename calendar group',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * DELETE /api/calendar/calendarGroups/:groupId
+     * Delete an empty calendar group
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async deleteCalendarGroup(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/calendarGroups/:groupId';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar group deletion', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    query: req.query,
+                    groupId: req.params.groupId,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const groupId = req.params.groupId;
+            if (!groupId) {
+                const validationError = ErrorService?.createError('api', 'Calendar group ID is required', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Calendar group ID is required' });
+            }
+            
+            const querySchema = Joi.object({
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = querySchema.validate(req.query);
+            if (error) {
+                const validationError = ErrorService?.createError('api', 'Delete calendar group query validation error', 'warning', { 
+                    details: error.details,
+                    endpoint
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ 
+                    error: 'Invalid query parameters', 
+                    details: error.details 
+                });
+            }
+            
+            if (!isModuleMethodAvailable('deleteCalendarGroup', calendarModule)) {
+                throw new Error('calendarModule.deleteCalendarGroup is not implemented');
+            }
+            const result = await calendarModule.deleteCalendarGroup(groupId, value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar group deleted successfully', {
+                    groupId: groupId,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar group deleted with session', {
+                    sessionId: req.session.id,
+                    groupId: groupId,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.deleteCalendarGroup.duration', duration, { 
+                groupId: groupId
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to delete calendar group',
+                'error',
+                {
+                    endpoint: '/api/calendar/calendarGroups/:groupId',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'deleteCalendarGroup',
+                    groupId: req.params?.groupId,
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar group deletion failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar group deletion failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.deleteCalendarGroup.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_group_delete_error',
+                error_description: 'Unable to delete calendar group',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * POST /api/calendar/calendars
+     * Create a secondary calendar, optionally inside a calendar group
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async createCalendar(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/calendars';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar creation', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const createCalendarSchema = Joi.object({
+                name: Joi.string().trim().min(1).required(),
+                color: calendarColorSchema.optional(),
+                calendarGroupId: Joi.string().trim().optional(),
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = validateAndLog(req, createCalendarSchema, 'Create calendar', { endpoint, userId: actualUserId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            if (!isModuleMethodAvailable('createCalendar', calendarModule)) {
+                throw new Error('calendarModule.createCalendar is not implemented');
+            }
+            const result = await calendarModule.createCalendar(value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar created successfully', {
+                    calendarId: result.id,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar created with session', {
+                    sessionId: req.session.id,
+                    calendarId: result.id,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.createCalendar.duration', duration, { 
+                calendarId: result.id
+            });
+            
+            res.status(201).json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to create calendar',
+                'error',
+                {
+                    endpoint: '/api/calendar/calendars',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'createCalendar',
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar creation failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar creation failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.createCalendar.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_create_error',
+                error_description: 'Unable to create calendar',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * PATCH /api/calendar/calendars/:calendarId
+     * Rename a calendar or change its color
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async updateCalendar(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/calendars/:calendarId';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar update', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    calendarId: req.params.calendarId,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const calendarId = req.params.calendarId;
+            if (!calendarId) {
+                const validationError = ErrorService?.createError('api', 'Calendar ID is required', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Calendar ID is required' });
+            }
+            
+            const updateCalendarSchema = Joi.object({
+                name: Joi.string().trim().min(1).optional(),
+                color: calendarColorSchema.optional(),
+                mailbox: Joi.string().trim().optional()
+            }).or('name', 'color');
+            
+            const { error, value } = validateAndLog(req, updateCalendarSchema, 'Update calendar', { endpoint, userId: actualUserId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            if (!isModuleMethodAvailable('updateCalendar', calendarModule)) {
+                throw new Error('calendarModule.updateCalendar is not implemented');
+            }
+            const result = await calendarModule.updateCalendar(calendarId, value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar updated successfully', {
+                    calendarId: calendarId,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar updated with session', {
+                    sessionId: req.session.id,
+                    calendarId: calendarId,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.updateCalendar.duration', duration, { 
+                calendarId: calendarId
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to update calendar',
+                'error',
+                {
+                    endpoint: '/api/calendar/calendars/:calendarId',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'updateCalendar',
+                    calendarId: req.params?.calendarId,
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar update failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar update failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.updateCalendar.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_update_error',
+                error_description: 'Unable to update calendar',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * DELETE /api/calendar/calendars/:calendarId
+     * Delete a secondary calendar and the events in it
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async deleteCalendar(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/calendars/:calendarId';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar deletion', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    query: req.query,
+                    calendarId: req.params.calendarId,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const calendarId = req.params.calendarId;
+            if (!calendarId) {
+                const validationError = ErrorService?.createError('api', 'Calendar ID is required', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Calendar ID is required' });
+            }
+            
+            const querySchema = Joi.object({
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = querySchema.validate(req.query);
+            if (error) {
+                const validationError = ErrorService?.createError('api', 'Delete calendar query validation error', 'warning', { 
+                    details: error.details,
+                    endpoint
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ 
+                    error: 'Invalid query parameters', 
+                    details: error.details 
+                });
+            }
+            
+            if (!isModuleMethodAvailable('deleteCalendar', calendarModule)) {
+                throw new Error('calendarModule.deleteCalendar is not implemented');
+            }
+            const result = await calendarModule.deleteCalendar(calendarId, value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar deleted successfully', {
+                    calendarId: calendarId,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar deleted with session', {
+                    sessionId: req.session.id,
+                    calendarId: calendarId,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.deleteCalendar.duration', duration, { 
+                calendarId: calendarId
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to delete calendar',
+                'error',
+                {
+                    endpoint: '/api/calendar/calendars/:calendarId',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'deleteCalendar',
+                    calendarId: req.params?.calendarId,
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar deletion failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar deletion failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.deleteCalendar.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_delete_error',
+                error_description: 'Unable to delete calendar',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * GET /api/calendar/calendars/:calendarId/permissions
+     * List who a calendar is shared with and at which role
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async getCalendarPermissions(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/calendars/:calendarId/permissions';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar permissions request', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    query: req.query,
+                    calendarId: req.params.calendarId,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const calendarId = req.params.calendarId;
+            if (!calendarId) {
+                const validationError = ErrorService?.createError('api', 'Calendar ID is required', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Calendar ID is required' });
+            }
+            
+            const querySchema = Joi.object({
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = querySchema.validate(req.query);
+            if (error) {
+                const validationError = ErrorService?.createError('api', 'Calendar permissions query validation error', 'warning', { 
+                    details: error.details,
+                    endpoint
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ 
+                    error: 'Invalid query parameters', 
+                    details: error.details 
+                });
+            }
+            
+            if (!isModuleMethodAvailable('getCalendarPermissions', calendarModule)) {
+                throw new Error('calendarModule.getCalendarPermissions is not implemented');
+            }
+            const result = await calendarModule.getCalendarPermissions(calendarId, value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar permissions retrieved successfully', {
+                    calendarId: calendarId,
+                    permissionCount: result.length,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar permissions retrieved with session', {
+                    sessionId: req.session.id,
+                    calendarId: calendarId,
+                    permissionCount: result.length,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.getCalendarPermissions.duration', duration, { 
+                calendarId: calendarId,
+                permissionCount: result.length
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to list calendar permissions',
+                'error',
+                {
+                    endpoint: '/api/calendar/calendars/:calendarId/permissions',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'getCalendarPermissions',
+                    calendarId: req.params?.calendarId,
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar permissions retrieval failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar permissions retrieval failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.getCalendarPermissions.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_permissions_error',
+                error_description: 'Unable to list calendar permissions',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * POST /api/calendar/calendars/:calendarId/permissions
+     * Share a calendar with someone, read-only by default
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async shareCalendar(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/calendars/:calendarId/permissions';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar share request', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    calendarId: req.params.calendarId,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const calendarId = req.params.calendarId;
+            if (!calendarId) {
+                const validationError = ErrorService?.createError('api', 'Calendar ID is required', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Calendar ID is required' });
+            }
+            
+            const shareCalendarSchema = Joi.object({
+                email: Joi.string().trim().email().required(),
+                name: Joi.string().trim().optional(),
+                role: calendarShareRoleSchema.default('read'),
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = validateAndLog(req, shareCalendarSchema, 'Share calendar', { endpoint, userId: actualUserId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            if (!isModuleMethodAvailable('shareCalendar', calendarModule)) {
+                throw new Error('calendarModule.shareCalendar is not implemented');
+            }
+            const result = await calendarModule.shareCalendar(calendarId, value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar shared successfully', {
+                    calendarId: calendarId,
+                    role: result.role,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar shared with session', {
+                    sessionId: req.session.id,
+                    calendarId: calendarId,
+                    role: result.role,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.shareCalendar.duration', duration, { 
+                calendarId: calendarId,
+                role: result.role
+            });
+            
+            res.status(201).json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to share calendar',
+                'error',
+                {
+                    endpoint: '/api/calendar/calendars/:calendarId/permissions',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'shareCalendar',
+                    calendarId: req.params?.calendarId,
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar sharing failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar sharing failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.shareCalendar.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_share_error',
+                error_description: 'Unable to share calendar',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * PATCH /api/calendar/calendars/:calendarId/permissions/:permission
+     * Change someone's role on a calendar. :permission is the permission ID or the recipient's email address
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async updateCalendarPermission(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/calendars/:calendarId/permissions/:permission';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar permission update', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    calendarId: req.params.calendarId,
+                    permission: req.params.permission,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const calendarId = req.params.calendarId;
+            if (!calendarId) {
+                const validationError = ErrorService?.createError('api', 'Calendar ID is required', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Calendar ID is required' });
+            }
+            
+            const permission = req.params.permission;
+            if (!permission) {
+                const validationError = ErrorService?.createError('api', 'Permission ID or email address is required', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Permission ID or email address is required' });
+            }
+            
+            const updateCalendarPermissionSchema = Joi.object({
+                role: calendarShareRoleSchema.required(),
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = validateAndLog(req, updateCalendarPermissionSchema, 'Update calendar permission', { endpoint, userId: actualUserId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            if (!isModuleMethodAvailable('updateCalendarPermission', calendarModule)) {
+                throw new Error('calendarModule.updateCalendarPermission is not implemented');
+            }
+            // Permissions are addressed by their ID or, more conveniently, by the recipient's address
+            const target = permission.includes('@') ? { email: permission } : { permissionId: permission };
+            const result = await calendarModule.updateCalendarPermission(calendarId, { ...value, ...target }, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar permission updated successfully', {
+                    calendarId: calendarId,
+                    role: result.role,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar permission updated with session', {
+                    sessionId: req.session.id,
+                    calendarId: calendarId,
+                    role: result.role,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.updateCalendarPermission.duration', duration, { 
+                calendarId: calendarId,
+                role: result.role
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to update calendar permission',
+                'error',
+                {
+                    endpoint: '/api/calendar/calendars/:calendarId/permissions/:permission',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'updateCalendarPermission',
+                    calendarId: req.params?.calendarId,
+                    permission: req.params?.permission,
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar permission update failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar permission update failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.updateCalendarPermission.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_permission_update_error',
+                error_description: 'Unable to update calendar permission',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * DELETE /api/calendar/calendars/:calendarId/permissions/:permission
+     * Stop sharing a calendar with someone. :permission is the permission ID or the recipient's email address
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async revokeCalendarPermission(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/calendars/:calendarId/permissions/:permission';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar permission revocation', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    query: req.query,
+                    calendarId: req.params.calendarId,
+                    permission: req.params.permission,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const calendarId = req.params.calendarId;
+            if (!calendarId) {
+                const validationError = ErrorService?.createError('api', 'Calendar ID is required', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Calendar ID is required' });
+            }
+            
+            const permission = req.params.permission;
+            if (!permission) {
+                const validationError = ErrorService?.createError('api', 'Permission ID or email address is required', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Permission ID or email address is required' });
+            }
+            
+            const querySchema = Joi.object({
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = querySchema.validate(req.query);
+            if (error) {
+                const validationError = ErrorService?.createError('api', 'Revoke calendar permission query validation error', 'warning', { 
+                    details: error.details,
+                    endpoint
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ 
+                    error: 'Invalid query parameters', 
+                    details: error.details 
+                });
+            }
+            
+            if (!isModuleMethodAvailable('revokeCalendarPermission', calendarModule)) {
+                throw new Error('calendarModule.revokeCalendarPermission is not implemented');
+            }
+            // Permissions are addressed by their ID or, more conveniently, by the recipient's address
+            const target = permission.includes('@') ? { email: permission } : { permissionId: permission };
+            const result = await calendarModule.revokeCalendarPermission(calendarId, { ...value, ...target }, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar permission revoked successfully', {
+                    calendarId: calendarId,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar permission revoked with session', {
+                    sessionId: req.session.id,
+                    calendarId: calendarId,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.revokeCalendarPermission.duration', duration, { 
+                calendarId: calendarId
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to revoke calendar permission',
+                'error',
+                {
+                    endpoint: '/api/calendar/calendars/:calendarId/permissions/:permission',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'revokeCalendarPermission',
+                    calendarId: req.params?.calendarId,
+                    permission: req.params?.permission,
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar permission revocation failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar permission revocation failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.revokeCalendarPermission.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_permission_revoke_error',
+                error_description: 'Unable to revoke calendar permission',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * POST /api/calendar/events/:id/forward
+     * Forward a meeting invitation to new recipients
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async forwardEvent(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/events/:id/forward';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing calendar event forward', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    id: req.params.id,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const eventId = req.params.id;
+            if (!eventId) {
+                const validationError = ErrorService?.createError('api', 'Event ID is required', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Event ID is required' });
+            }
+            
+            const forwardEventSchema = Joi.object({
+                recipients: Joi.array().items(Joi.alternatives().try(
+                    Joi.string().trim().email(),
+                    Joi.object({
+                        email: Joi.string().trim().email().required(),
+                        name: Joi.string().trim().optional()
+                    })
+                )).single().min(1).required(),
+                comment: Joi.string().allow('').optional(),
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = validateAndLog(req, forwardEventSchema, 'Forward event', { endpoint, userId: actualUserId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            if (!isModuleMethodAvailable('forwardEvent', calendarModule)) {
+                throw new Error('calendarModule.forwardEvent is not implemented');
+            }
+            const result = await calendarModule.forwardEvent(eventId, value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Calendar event forwarded successfully', {
+                    eventId: eventId,
+                    recipientCount: result.recipients.length,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Calendar event forwarded with session', {
+                    sessionId: req.session.id,
+                    eventId: eventId,
+                    recipientCount: result.recipients.length,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.forwardEvent.duration', duration, { 
+                eventId: eventId,
+                recipientCount: result.recipients.length
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to forward calendar event',
+                'error',
+                {
+                    endpoint: '/api/calendar/events/:id/forward',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'forwardEvent',
+                    id: req.params?.id,
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Calendar event forward failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Calendar event forward failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.forwardEvent.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_forward_error',
+                error_description: 'Unable to forward calendar event',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * GET /api/calendar/proposals
+     * Summarize the new times attendees proposed for upcoming events the user organizes
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async getPendingProposals(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/proposals';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing pending time proposals request', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    query: req.query,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const querySchema = Joi.object({
+                start: Joi.string().isoDate().raw().optional(),
+                end: Joi.string().isoDate().raw().optional(),
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = querySchema.validate(req.query);
+            if (error) {
+                const validationError = ErrorService?.createError('api', 'Pending proposals query validation error', 'warning', { 
+                    details: error.details,
+                    endpoint
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ 
+                    error: 'Invalid query parameters', 
+                    details: error.details 
+                });
+            }
+            
+            if (!isModuleMethodAvailable('getPendingProposals', calendarModule)) {
+                throw new Error('calendarModule.getPendingProposals is not implemented');
+            }
+            const result = await calendarModule.getPendingProposals(value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Pending time proposals retrieved successfully', {
+                    eventCount: result.eventCount,
+                    proposalCount: result.proposalCount,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Pending time proposals retrieved with session', {
+                    sessionId: req.session.id,
+                    eventCount: result.eventCount,
+                    proposalCount: result.proposalCount,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.getPendingProposals.duration', duration, { 
+                eventCount: result.eventCount,
+                proposalCount: result.proposalCount
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to get pending time proposals',
+                'error',
+                {
+                    endpoint: '/api/calendar/proposals',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'getPendingProposals',
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Pending time proposals retrieval failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Pending time proposals retrieval failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.getPendingProposals.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_proposals_error',
+                error_description: 'Unable to retrieve pending time proposals',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * POST /api/calendar/events/:id/acceptProposal
+     * Move an event the user organizes to an attendee's proposed time
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async acceptProposedTime(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/events/:id/acceptProposal';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing proposed time acceptance', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    id: req.params.id,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const eventId = req.params.id;
+            if (!eventId) {
+                const validationError = ErrorService?.createError('api', 'Event ID is required', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Event ID is required' });
+            }
+            
+            const acceptProposedTimeSchema = Joi.object({
+                attendee: Joi.string().trim().email().optional(),
+                conflictPolicy: conflictPolicySchema.optional(),
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = validateAndLog(req, acceptProposedTimeSchema, 'Accept proposed time', { endpoint, userId: actualUserId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            if (!isModuleMethodAvailable('acceptProposedTime', calendarModule)) {
+                throw new Error('calendarModule.acceptProposedTime is not implemented');
+            }
+            const result = await calendarModule.acceptProposedTime(eventId, value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Proposed time accepted successfully', {
+                    eventId: eventId,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Proposed time accepted with session', {
+                    sessionId: req.session.id,
+                    eventId: eventId,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.acceptProposedTime.duration', duration, { 
+                eventId: eventId
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // conflictPolicy 'block' refused to double-book; hand the conflict report back
+            if (err.conflicts) {
+                return res.status(409).json({
+                    error: 'calendar_conflict',
+                    error_description: 'The proposed time overlaps existing events for the organizer or attendees',
+                    conflicts: err.conflicts
+                });
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to accept proposed time',
+                'error',
+                {
+                    endpoint: '/api/calendar/events/:id/acceptProposal',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'acceptProposedTime',
+                    id: req.params?.id,
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Proposed time acceptance failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Proposed time acceptance failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.acceptProposedTime.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_accept_proposal_error',
+                error_description: 'Unable to accept the proposed time',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * GET /api/calendar/responses
+     * Group attendees of one organized event, or of upcoming organized events, by response
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async getResponseStatus(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/responses';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing attendee response status request', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    query: req.query,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const querySchema = Joi.object({
+                eventId: Joi.string().trim().optional(),
+                start: Joi.string().isoDate().raw().optional(),
+                end: Joi.string().isoDate().raw().optional(),
+                pendingOnly: Joi.boolean().optional(),
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = querySchema.validate(req.query);
+            if (error) {
+                const validationError = ErrorService?.createError('api', 'Response status query validation error', 'warning', { 
+                    details: error.details,
+                    endpoint
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ 
+                    error: 'Invalid query parameters', 
+                    details: error.details 
+                });
+            }
+            
+            if (!isModuleMethodAvailable('getResponseStatus', calendarModule)) {
+                throw new Error('calendarModule.getResponseStatus is not implemented');
+            }
+            const result = await calendarModule.getResponseStatus(value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Attendee response status retrieved successfully', {
+                    eventCount: result.eventCount,
+                    pendingCount: result.totals.none,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Attendee response status retrieved with session', {
+                    sessionId: req.session.id,
+                    eventCount: result.eventCount,
+                    pendingCount: result.totals.none,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.getResponseStatus.duration', duration, { 
+                eventCount: result.eventCount,
+                pendingCount: result.totals.none
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to get attendee response status',
+                'error',
+                {
+                    endpoint: '/api/calendar/responses',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'getResponseStatus',
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Attendee response status retrieval failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Attendee response status retrieval failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.getResponseStatus.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_response_status_error',
+                error_description: 'Unable to retrieve attendee response status',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * POST /api/calendar/events/:id/responseReminder
+     * Draft a reminder email to the attendees who have not responded to an event the user organizes
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async draftResponseReminder(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/events/:id/responseReminder';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing response reminder draft request', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    id: req.params.id,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const eventId = req.params.id;
+            if (!eventId) {
+                const validationError = ErrorService?.createError('api', 'Event ID is required', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Event ID is required' });
+            }
+            
+            const responseReminderSchema = Joi.object({
+                includeTentative: Joi.boolean().optional(),
+                message: Joi.string().trim().max(4000).optional(),
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = validateAndLog(req, responseReminderSchema, 'Draft response reminder', { endpoint, userId: actualUserId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            if (!isModuleMethodAvailable('draftResponseReminder', calendarModule)) {
+                throw new Error('calendarModule.draftResponseReminder is not implemented');
+            }
+            const result = await calendarModule.draftResponseReminder(eventId, value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Response reminder drafted successfully', {
+                    eventId: eventId,
+                    recipientCount: result.recipients.length,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Response reminder drafted with session', {
+                    sessionId: req.session.id,
+                    eventId: eventId,
+                    recipientCount: result.recipients.length,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.draftResponseReminder.duration', duration, { 
+                eventId: eventId
+            });
+            
+            res.status(201).json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to draft response reminder',
+                'error',
+                {
+                    endpoint: '/api/calendar/events/:id/responseReminder',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'draftResponseReminder',
+                    id: req.params?.id,
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Response reminder draft failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Response reminder draft failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.draftResponseReminder.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_response_reminder_error',
+                error_description: 'Unable to draft the response reminder',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * POST /api/calendar/schedule
+     * Book focus time and travel buffers, or preview them with dryRun
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async autoSchedule(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/schedule';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing automatic scheduling request', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    dryRun: req.body?.dryRun,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const autoScheduleSchema = Joi.object({
+                focusHoursPerWeek: Joi.number().min(0).max(60).optional(),
+                minFocusMinutes: Joi.number().integer().min(15).max(480).optional(),
+                maxFocusMinutes: Joi.number().integer().min(15).max(480).optional(),
+                focusSubject: Joi.string().trim().max(255).optional(),
+                travelMinutesBefore: Joi.number().integer().min(0).max(240).optional(),
+                travelMinutesAfter: Joi.number().integer().min(0).max(240).optional(),
+                start: Joi.string().isoDate().raw().optional(),
+                end: Joi.string().isoDate().raw().optional(),
+                dryRun: Joi.boolean().optional(),
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = validateAndLog(req, autoScheduleSchema, 'Automatic scheduling', { endpoint, userId: actualUserId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            if (!isModuleMethodAvailable('autoSchedule', calendarModule)) {
+                throw new Error('calendarModule.autoSchedule is not implemented');
+            }
+            const result = await calendarModule.autoSchedule(value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Automatic scheduling completed successfully', {
+                    runId: result.runId,
+                    dryRun: result.dryRun,
+                    createdCount: result.created.length,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Automatic scheduling completed with session', {
+                    sessionId: req.session.id,
+                    runId: result.runId,
+                    dryRun: result.dryRun,
+                    createdCount: result.created.length,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.autoSchedule.duration', duration, { 
+                dryRun: result.dryRun,
+                createdCount: result.created.length
+            });
+            
+            res.status(result.dryRun ? 200 : 201).json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to run automatic scheduling',
+                'error',
+                {
+                    endpoint: '/api/calendar/schedule',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'autoSchedule',
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Automatic scheduling failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Automatic scheduling failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.autoSchedule.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_schedule_error',
+                error_description: 'Unable to run automatic scheduling',
+                errorId: mcpError.id
+            });
+        }
+    },
+    
+    /**
+     * POST /api/calendar/schedule/:runId/rollback
+     * Remove every event an automatic scheduling run created
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    async rollbackSchedule(req, res) {
+        // Extract user context from Express session (for web-based auth) or auth middleware (for device auth)
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionUserId = req.session?.id ? `user:${req.session.id}` : null;
+        const actualUserId = userId || sessionUserId;
+        
+        try {
+            // Start timing for performance tracking
+            const startTime = Date.now();
+            const endpoint = '/api/calendar/schedule/:runId/rollback';
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService?.debug('Processing scheduling rollback request', {
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    method: req.method,
+                    path: req.path,
+                    runId: req.params.runId,
+                    userId: actualUserId,
+                    deviceId
+                }, 'calendar');
+            }
+            
+            const runId = req.params.runId;
+            if (!runId) {
+                const validationError = ErrorService?.createError('api', 'Scheduling run ID is required', 'warning', { 
+                    endpoint 
+                });
+                MonitoringService?.logError(validationError);
+                return res.status(400).json({ error: 'Scheduling run ID is required' });
+            }
+            
+            const rollbackScheduleSchema = Joi.object({
+                mailbox: Joi.string().trim().optional()
+            });
+            
+            const { error, value } = validateAndLog(req, rollbackScheduleSchema, 'Scheduling rollback', { endpoint, userId: actualUserId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            if (!isModuleMethodAvailable('rollbackSchedule', calendarModule)) {
+                throw new Error('calendarModule.rollbackSchedule is not implemented');
+            }
+            const result = await calendarModule.rollbackSchedule(runId, value, req);
+            
+            // Pattern 2: User Activity Logs
+            if (actualUserId) {
+                MonitoringService?.info('Scheduling run rolled back successfully', {
+                    runId: runId,
+                    removedCount: result.removedCount,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.info('Scheduling run rolled back with session', {
+                    sessionId: req.session.id,
+                    runId: runId,
+                    removedCount: result.removedCount,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            const duration = Date.now() - startTime;
+            MonitoringService?.trackMetric('calendar.rollbackSchedule.duration', duration, { 
+                removedCount: result.removedCount
+            });
+            
+            res.json(result);
+        } catch (err) {
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService?.createError(
+                'calendar',
+                'Failed to roll back scheduling run',
+                'error',
+                {
+                    endpoint: '/api/calendar/schedule/:runId/rollback',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'rollbackSchedule',
+                    runId: req.params?.runId,
+                    userId: actualUserId,
+                    deviceId
+                }
+            );
+            MonitoringService?.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (actualUserId) {
+                MonitoringService?.error('Scheduling rollback failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar', null, actualUserId, deviceId);
+            } else if (req.session?.id) {
+                MonitoringService?.error('Scheduling rollback failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'calendar');
+            }
+            
+            // Track error metric
+            MonitoringService?.trackMetric('calendar.rollbackSchedule.error', 1, { 
+                errorId: mcpError.id,
+                reason: err.message
+            });
+            
+            res.status(500).json({ 
+                error: 'calendar_schedule_rollback_error',
+                error_description: 'Unable to roll back the scheduling run',
+                errorId: mcpError.id
+            });
+        }
     }
 });
@@ -1532,6 +1532,151 @@ module.exports = ({ filesModule, errorService = ErrorService, monitoringService
                 deviceId
             });
             
+            res.status(500).json({ error: 'Internal error', message: err.message });
+        }
+    },
+
+    /**
+     * POST /api/files/saveEmail
+     * Saves an email to OneDrive as an .eml file.
+     */
+    async saveEmailToOneDrive(req, res) {
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        
+        // Start tracking execution time
+        const startTime = Date.now();
+        
+        try {
+            // Validate input
+            const schema = Joi.object({
+                messageId: Joi.string().min(1).required(),
+                folderPath: Joi.string().max(400).optional(),
+                fileName: Joi.string().min(1).max(255).pattern(/^[^\u003c\u003e:"/\\|?*]+$/).optional()
+            });
+            
+            const { error, value } = schema.validate(req.body);
+            if (error) {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'files',
+                    'Save email to OneDrive validation failed',
+                    'error',
+                    { 
+                        endpoint: '/api/files/saveEmail',
+                        error: error.details[0].message,
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                monitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    monitoringService.error('Save email to OneDrive validation failed', {
+                        error: error.details[0].message,
+                        timestamp: new Date().toISOString()
+                    }, 'files', null, userId);
+                } else if (req.session?.id) {
+                    monitoringService.error('Save email to OneDrive validation failed', {
+                        sessionId: req.session.id,
+                        error: error.details[0].message,
+                        timestamp: new Date().toISOString()
+                    }, 'files');
+                }
+                
+                return res.status(400).json({ 
+                    error: 'FILES_SAVE_EMAIL_INVALID_REQUEST',
+                    error_description: error.details[0].message
+                });
+            }
+            
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                monitoringService.debug('Save email to OneDrive requested', { 
+                    folderPath: value.folderPath,
+                    sessionId: req.session?.id,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString()
+                }, 'files');
+            }
+            
+            // Call the module method
+            const result = await filesModule.saveEmailToOneDrive(value.messageId, {
+                folderPath: value.folderPath,
+                fileName: value.fileName
+            }, req);
+            
+            // Calculate execution time
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                monitoringService.info('Email saved to OneDrive successfully', {
+                    fileName: result.name,
+                    size: result.size,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'files', null, userId);
+            } else if (req.session?.id) {
+                monitoringService.info('Email saved to OneDrive with session', {
+                    sessionId: req.session.id,
+                    fileName: result.name,
+                    size: result.size,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'files');
+            }
+            
+            // Log success metrics with user context
+            monitoringService.trackMetric('files_save_email_api_success', executionTime, {
+                size: result.size,
+                timestamp: new Date().toISOString(),
+                userId,
+                deviceId
+            });
+            
+            res.status(201).json(result);
+        } catch (err) {
+            // Calculate execution time even for failures
+            const executionTime = Date.now() - startTime;
+            
+            // Create standardized error with user context
+            const mcpError = ErrorService.createError(
+                ErrorService.CATEGORIES.API, 
+                `Files save email error: ${err.message}`, 
+                ErrorService.SEVERITIES.ERROR, 
+                { 
+                    messageId: req.body?.messageId,
+                    stack: err.stack,
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }
+            );
+            monitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                monitoringService.error('Save email to OneDrive failed', {
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'files', null, userId);
+            } else if (req.session?.id) {
+                monitoringService.error('Save email to OneDrive failed', {
+                    sessionId: req.session.id,
+                    error: err.message,
+                    timestamp: new Date().toISOString()
+                }, 'files');
+            }
+            
+            // Track failure metrics with user context
+            monitoringService.trackMetric('files_save_email_api_failure', executionTime, {
+                errorType: err.code || 'unknown',
+                timestamp: new Date().toISOString(),
+                userId,
+                deviceId
+            });
+            
             res.status(500).json({ error: 'Internal error', message: err.message });
         }
     }
@@ -38,6 +38,75 @@ const validateAndLog = (req, schema, endpoint, additionalContext = {}) => {
     return result;
 };
 
+/**
+ * Attachment accepted on outgoing messages: a OneDrive file ID or an inline attachment object
+ */
+const attachmentSchema = Joi.alternatives(
+    Joi.string(),
+    Joi.object({
+        name: Joi.string().required(),
+        contentType: Joi.string().required(),
+        contentBytes: Joi.string().optional(),
+        content: Joi.string().optional(),
+        isInline: Joi.boolean().optional()
+    }).or('contentBytes', 'content')
+);
+
+/**
+ * Shared or delegated mailbox to act on: an email address or user ID. Omitted means the signed-in user's own.
+ */
+const mailboxSchema = Joi.string().trim().min(1);
+
+/**
+ * Inbox rule conditions/exceptions (Graph messageRulePredicates). Single values are accepted
+ * wherever Graph expects a list.
+ */
+const stringList = Joi.array().items(Joi.string().min(1)).single();
+const addressList = Joi.array().items(Joi.string().email()).single();
+const rulePredicatesSchema = Joi.object({
+    fromAddresses: addressList,
+    sentToAddresses: addressList,
+    senderContains: stringList,
+    recipientContains: stringList,
+    subjectContains: stringList,
+    bodyContains: stringList,
+    bodyOrSubjectContains: stringList,
+    headerContains: stringList,
+    categories: stringList,
+    importance: Joi.string().valid('low', 'normal', 'high'),
+    sensitivity: Joi.string().valid('normal', 'personal', 'private', 'confidential'),
+    hasAttachments: Joi.boolean(),
+    isAutomaticReply: Joi.boolean(),
+    isMeetingRequest: Joi.boolean(),
+    isMeetingResponse: Joi.boolean(),
+    sentToMe: Joi.boolean(),
+    sentOnlyToMe: Joi.boolean(),
+    sentCcMe: Joi.boolean(),
+    sentToOrCcMe: Joi.boolean(),
+    notSentToMe: Joi.boolean(),
+    withinSizeRange: Joi.object({
+        minimumSize: Joi.number().integer().min(0),
+        maximumSize: Joi.number().integer().min(0)
+    })
+}).min(1);
+
+/**
+ * Inbox rule actions (Graph messageRuleActions). Folder actions take a folder ID or well-known name.
+ */
+const ruleActionsSchema = Joi.object({
+    moveToFolder: Joi.string(),
+    copyToFolder: Joi.string(),
+    delete: Joi.boolean(),
+    permanentDelete: Joi.boolean(),
+    markAsRead: Joi.boolean(),
+    markImportance: Joi.string().valid('low', 'normal', 'high'),
+    assignCategories: stringList,
+    forwardTo: addressList,
+    forwardAsAttachmentTo: addressList,
+    redirectTo: addressList,
+    stopProcessingRules: Joi.boolean()
+}).min(1);
+
 /**
  * Joi validation schemas for mail endpoints
  */
@@ -45,7 +114,8 @@ const schemas = {
     getMail: Joi.object({
         limit: Joi.number().integer().min(1).max(100).optional(),
         filter: Joi.string().optional(),
-        debug: Joi.boolean().optional()
+        debug: Joi.boolean().optional(),
+        mailbox: mailboxSchema.optional()
     }),
     
     sendMail: Joi.object({
@@ -63,38 +133,339 @@ const schemas = {
             Joi.string().email(),
             Joi.array().items(Joi.string().email())
         ).optional(),
-        contentType: Joi.string().valid('Text', 'HTML').optional().default('Text')
+        contentType: Joi.string().valid('Text', 'HTML').optional().default('Text'),
+        // OneDrive file IDs or { name, contentBytes, contentType, isInline } objects
+        attachments: Joi.array().items(Joi.alternatives(
+            Joi.string(),
+            Joi.object({
+                name: Joi.string().required(),
+                contentBytes: Joi.string().optional(),
+                content: Joi.string().optional(),
+                contentType: Joi.string().optional(),
+                isInline: Joi.boolean().optional()
+            })
+        )).optional(),
+        sendAt: Joi.string().isoDate().raw().optional(),
+        sendAtTimeZone: Joi.string().optional(),
+        mailbox: mailboxSchema.optional()
     }),
     
     flagMail: Joi.object({
         id: Joi.string().required(),
-        flag: Joi.boolean().optional().default(true)
+        flag: Joi.boolean().optional().default(true),
+        mailbox: mailboxSchema.optional()
     }),
     
     searchMail: Joi.object({
         q: Joi.string().min(1).optional(),
         query: Joi.string().min(1).optional(),
-        limit: Joi.number().integer().min(1).max(100).optional()
+        limit: Joi.number().integer().min(1).max(100).optional(),
+        mailbox: mailboxSchema.optional()
     }).or('q', 'query'),
     
+    searchEmailsByCriteria: Joi.object({
+        query: Joi.string().trim().min(1).optional(),
+        from: Joi.string().trim().min(1).optional(),
+        to: Joi.string().trim().min(1).optional(),
+        subject: Joi.string().trim().min(1).optional(),
+        hasAttachments: Joi.boolean().optional(),
+        receivedAfter: Joi.string().isoDate().raw().optional(),
+        receivedBefore: Joi.string().isoDate().raw().optional(),
+        folder: Joi.string().trim().min(1).optional(),
+        importance: Joi.string().lowercase().valid('low', 'normal', 'high').optional(),
+        isRead: Joi.boolean().optional(),
+        top: Joi.number().integer().min(1).max(100).default(25),
+        mailbox: mailboxSchema.optional()
+    }).or('query', 'from', 'to', 'subject', 'hasAttachments', 'receivedAfter', 'receivedBefore', 'importance', 'isRead'),
+    
+    getEmailDetails: Joi.object({
+        bodyFormat: Joi.string().lowercase().valid('html', 'text', 'markdown', 'summary-ready').optional(),
+        includeBody: Joi.boolean().optional(),
+        includeAttachments: Joi.boolean().optional(),
+        mailbox: mailboxSchema.optional()
+    }),
+    
     markAsRead: Joi.object({
-        isRead: Joi.boolean().optional().default(true)
+        isRead: Joi.boolean().optional().default(true),
+        mailbox: mailboxSchema.optional()
     }),
     
     getMailAttachments: Joi.object({
-        id: Joi.string().required()
+        id: Joi.string().required(),
+        mailbox: mailboxSchema.optional()
     }),
     
     addMailAttachment: Joi.object({
         name: Joi.string().required(),
         contentBytes: Joi.string().required(),
         contentType: Joi.string().optional(),
-        isInline: Joi.boolean().optional().default(false)
+        isInline: Joi.boolean().optional().default(false),
+        mailbox: mailboxSchema.optional()
     }),
     
     removeMailAttachment: Joi.object({
-        // No body parameters needed - ID and attachmentId come from URL params
-    })
+        // ID and attachmentId come from URL params
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    replyToEmail: Joi.object({
+        comment: Joi.string().allow('').optional(),
+        to: Joi.alternatives(
+            Joi.string().email(),
+            Joi.array().items(Joi.string().email())
+        ).optional(),
+        cc: Joi.alternatives(
+            Joi.string().email(),
+            Joi.array().items(Joi.string().email())
+        ).optional(),
+        bcc: Joi.alternatives(
+            Joi.string().email(),
+            Joi.array().items(Joi.string().email())
+        ).optional(),
+        attachments: Joi.array().items(attachmentSchema).optional(),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    forwardEmail: Joi.object({
+        comment: Joi.string().allow('').optional(),
+        to: Joi.alternatives(
+            Joi.string().email(),
+            Joi.array().items(Joi.string().email()).min(1)
+        ).required(),
+        cc: Joi.alternatives(
+            Joi.string().email(),
+            Joi.array().items(Joi.string().email())
+        ).optional(),
+        bcc: Joi.alternatives(
+            Joi.string().email(),
+            Joi.array().items(Joi.string().email())
+        ).optional(),
+        attachments: Joi.array().items(attachmentSchema).optional(),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    createDraft: Joi.object({
+        subject: Joi.string().allow('').optional(),
+        body: Joi.string().allow('').optional(),
+        contentType: Joi.string().valid('Text', 'HTML').optional(),
+        to: Joi.alternatives(
+            Joi.string().email(),
+            Joi.array().items(Joi.string().email())
+        ).optional(),
+        cc: Joi.alternatives(
+            Joi.string().email(),
+            Joi.array().items(Joi.string().email())
+        ).optional(),
+        bcc: Joi.alternatives(
+            Joi.string().email(),
+            Joi.array().items(Joi.string().email())
+        ).optional(),
+        importance: Joi.string().valid('low', 'normal', 'high').optional(),
+        attachments: Joi.array().items(attachmentSchema).optional(),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    updateDraft: Joi.object({
+        subject: Joi.string().allow('').optional(),
+        body: Joi.string().allow('').optional(),
+        contentType: Joi.string().valid('Text', 'HTML').optional(),
+        to: Joi.alternatives(
+            Joi.string().email(),
+            Joi.array().items(Joi.string().email())
+        ).optional(),
+        cc: Joi.alternatives(
+            Joi.string().email(),
+            Joi.array().items(Joi.string().email())
+        ).optional(),
+        bcc: Joi.alternatives(
+            Joi.string().email(),
+            Joi.array().items(Joi.string().email())
+        ).optional(),
+        importance: Joi.string().valid('low', 'normal', 'high').optional(),
+        attachments: Joi.array().items(attachmentSchema).optional(),
+        mailbox: mailboxSchema.optional()
+    }).min(1),
+    
+    sendDraft: Joi.object({
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    deleteDraft: Joi.object({
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    listDrafts: Joi.object({
+        top: Joi.number().integer().min(1).max(100).optional(),
+        skip: Joi.number().integer().min(0).optional(),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    listMailFolders: Joi.object({
+        parentFolderId: Joi.string().optional(),
+        includeChildren: Joi.boolean().optional(),
+        maxDepth: Joi.number().integer().min(1).max(10).optional(),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    getMessagesInFolder: Joi.object({
+        top: Joi.number().integer().min(1).max(100).optional(),
+        skip: Joi.number().integer().min(0).optional(),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    createMailFolder: Joi.object({
+        displayName: Joi.string().min(1).required(),
+        parentFolderId: Joi.string().optional(),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    transferEmail: Joi.object({
+        destinationFolderId: Joi.string().min(1).required(),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    getConversation: Joi.object({
+        conversationId: Joi.string().optional(),
+        messageId: Joi.string().optional(),
+        maxMessages: Joi.number().integer().min(1).max(500).optional(),
+        mailbox: mailboxSchema.optional()
+    }).or('conversationId', 'messageId'),
+    
+    getMailChanges: Joi.object({
+        folder: Joi.string().default('inbox'),
+        reset: Joi.boolean().optional(),
+        maxPages: Joi.number().integer().min(1).max(50).optional(),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    listMailRules: Joi.object({
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    createMailRule: Joi.object({
+        name: Joi.string().min(1).required(),
+        sequence: Joi.number().integer().min(1).optional(),
+        isEnabled: Joi.boolean().optional(),
+        conditions: rulePredicatesSchema.optional(),
+        exceptions: rulePredicatesSchema.optional(),
+        actions: ruleActionsSchema.required(),
+        preview: Joi.boolean().optional(),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    updateMailRule: Joi.object({
+        name: Joi.string().min(1).optional(),
+        sequence: Joi.number().integer().min(1).optional(),
+        isEnabled: Joi.boolean().optional(),
+        conditions: rulePredicatesSchema.optional(),
+        exceptions: rulePredicatesSchema.optional(),
+        actions: ruleActionsSchema.optional(),
+        preview: Joi.boolean().optional(),
+        mailbox: mailboxSchema.optional()
+    }).or('name', 'sequence', 'isEnabled', 'conditions', 'exceptions', 'actions'),
+    
+    deleteMailRule: Joi.object({
+        preview: Joi.boolean().optional(),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    getMailboxSettings: Joi.object({
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    updateMailboxSettings: Joi.object({
+        workingHours: Joi.object({
+            daysOfWeek: Joi.array().items(
+                Joi.string().valid('sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday').insensitive()
+            ).min(1).single().optional(),
+            startTime: Joi.string().pattern(/^\d{1,2}:\d{2}(:\d{2})?$/).optional(),
+            endTime: Joi.string().pattern(/^\d{1,2}:\d{2}(:\d{2})?$/).optional(),
+            timeZone: Joi.string().optional()
+        }).min(1).optional(),
+        language: Joi.string().optional(),
+        timeFormat: Joi.string().optional(),
+        dateFormat: Joi.string().optional(),
+        mailbox: mailboxSchema.optional()
+    }).or('workingHours', 'language', 'timeFormat', 'dateFormat'),
+    
+    getAutomaticReplies: Joi.object({
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    setAutomaticReplies: Joi.object({
+        status: Joi.string().valid('disabled', 'alwaysEnabled', 'scheduled').optional(),
+        startDateTime: Joi.string().isoDate().raw().optional(),
+        endDateTime: Joi.string().isoDate().raw().optional(),
+        timeZone: Joi.string().optional(),
+        internalReplyMessage: Joi.string().allow('').optional(),
+        externalReplyMessage: Joi.string().allow('').optional(),
+        externalAudience: Joi.string().valid('none', 'contactsOnly', 'all').optional(),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    listCategories: Joi.object({
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    createCategory: Joi.object({
+        displayName: Joi.string().trim().min(1).max(255).required(),
+        color: Joi.string().optional(),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    updateCategory: Joi.object({
+        color: Joi.string().required(),
+        displayName: Joi.any().forbidden().messages({
+            'any.unknown': 'Category names cannot be changed; create a new category instead'
+        }),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    deleteCategory: Joi.object({
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    setEmailCategories: Joi.object({
+        add: Joi.array().items(Joi.string().trim().min(1)).single().optional(),
+        remove: Joi.array().items(Joi.string().trim().min(1)).single().optional(),
+        set: Joi.array().items(Joi.string().trim().min(1)).single().optional(),
+        mailbox: mailboxSchema.optional()
+    }).or('add', 'remove', 'set'),
+    
+    setEmailImportance: Joi.object({
+        importance: Joi.string().lowercase().valid('low', 'normal', 'high').required(),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    bulkMailAction: Joi.object({
+        action: Joi.string().valid('markRead', 'markUnread', 'flag', 'unflag', 'move', 'delete').required(),
+        ids: Joi.array().items(Joi.string().min(1)).single().min(1).max(500).required(),
+        destinationFolderId: Joi.string().when('action', { is: 'move', then: Joi.required() }),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    listScheduledEmails: Joi.object({
+        top: Joi.number().integer().min(1).max(100).optional(),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    cancelScheduledEmail: Joi.object({
+        discard: Joi.boolean().optional().default(false),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    exportEmailAsMime: Joi.object({
+        format: Joi.string().valid('eml', 'json').default('eml'),
+        mailbox: mailboxSchema.optional()
+    }),
+    
+    importMimeMessage: Joi.object({
+        mimeContent: Joi.string().min(1),
+        contentBytes: Joi.string().base64({ paddingRequired: false }),
+        fileId: Joi.string().min(1),
+        folder: Joi.string().optional(),
+        mailbox: mailboxSchema.optional()
+    }).xor('mimeContent', 'contentBytes', 'fileId')
 };
 
 /**
@@ -153,13 +524,14 @@ module.exports = ({ mailModule }) => ({
             const top = queryValue.limit || 20;
             const filter = queryValue.filter;
             const debug = queryValue.debug;
+            const mailbox = queryValue.mailbox;
             let rawMessages = null;
             
             // For development/testing, return mock data if module methods aren't fully implemented
             if (typeof mailModule.getInboxRaw === 'function' && debug) {
                 try {
                     // If raw fetch is exposed, use it for debug - pass userId for token selection
-                    rawMessages = await mailModule.getInboxRaw({ top, filter }, req);
+                    rawMessages = await mailModule.getInboxRaw({ top, filter, mailbox }, req);
                 } catch (fetchError) {
                     const error = ErrorService.createError(
                         ErrorService.CATEGORIES.API,
@@ -216,7 +588,7 @@ module.exports = ({ mailModule }) => ({
                     }, 'mail', null, userId, deviceId);
                     try {
                         // Pass userId for user-scoped token selection
-                        messages = await mailModule.getInbox({ top, filter }, req);
+                        messages = await mailModule.getInbox({ top, filter, mailbox }, req);
                     } catch (inboxError) {
                         const error = ErrorService.createError(
                             ErrorService.CATEGORIES.API,
@@ -241,7 +613,7 @@ module.exports = ({ mailModule }) => ({
                                 userId,
                                 deviceId
                             }, 'mail', null, userId, deviceId);
-                            const result = await mailModule.handleIntent('readMail', { count: top, filter }, { req });
+                            const result = await mailModule.handleIntent('readMail', { count: top, filter, mailbox }, { req });
                             messages = result && result.items ? result.items : [];
                         } else {
                             throw inboxError; // Re-throw if we can't recover
@@ -255,7 +627,7 @@ module.exports = ({ mailModule }) => ({
                         deviceId
                     }, 'mail', null, userId, deviceId);
                     // Try using the module's handleIntent method instead
-                    const result = await mailModule.handleIntent('readMail', { count: top, filter }, { req });
+                    const result = await mailModule.handleIntent('readMail', { count: top, filter, mailbox }, { req });
                     messages = result && result.items ? result.items : [];
                 }
                 
@@ -635,7 +1007,7 @@ module.exports = ({ mailModule }) => ({
                 return res.status(400).json({ error: 'Invalid request', details: error.details });
             }
             
-            const { id, flag = true } = value;
+            const { id, flag = true, mailbox } = value;
             
             MonitoringService.info('Flagging email', {
                 emailId: id,
@@ -648,7 +1020,7 @@ module.exports = ({ mailModule }) => ({
             let success = false;
             try {
                 if (typeof mailModule.flagEmail === 'function') {
-                    success = await mailModule.flagEmail(id, flag, req);
+                    success = await mailModule.flagEmail(id, flag, req, userId, sessionId, { mailbox });
                     MonitoringService.info('Email flagged successfully', {
                         emailId: id,
                         flag,
@@ -659,7 +1031,7 @@ module.exports = ({ mailModule }) => ({
                     }, 'mail', null, userId, deviceId);
                 } else if (typeof mailModule.handleIntent === 'function') {
                     // Try using the module's handleIntent method instead
-                    const result = await mailModule.handleIntent('flagMail', { mailId: id, flag }, { req });
+                    const result = await mailModule.handleIntent('flagMail', { mailId: id, flag, mailbox }, { req });
                     success = result && result.flagged === true;
                     MonitoringService.info('Email flagged via handleIntent', {
                         method: 'handleIntent',
@@ -823,6 +1195,7 @@ module.exports = ({ mailModule }) => ({
             
             const searchQuery = queryValue.q || queryValue.query;
             const limit = queryValue.limit || 20;
+            const mailbox = queryValue.mailbox;
             
             MonitoringService.info('Searching emails', {
                 searchQuery,
@@ -854,7 +1227,7 @@ module.exports = ({ mailModule }) => ({
                         deviceId
                     }, 'mail', null, userId, deviceId);
                     
-                    messages = await mailModule.searchEmails(searchQuery, { limit }, req);
+                    messages = await mailModule.searchEmails(searchQuery, { limit, mailbox }, req);
                     
                     MonitoringService.info('Found emails matching query', {
                         messageCount: messages.length,
@@ -873,7 +1246,7 @@ module.exports = ({ mailModule }) => ({
                         deviceId
                     }, 'mail', null, userId, deviceId);
                     
-                    const result = await mailModule.handleIntent('searchMail', { query: searchQuery, limit }, { req });
+                    const result = await mailModule.handleIntent('searchMail', { query: searchQuery, limit, mailbox }, { req });
                     messages = result && result.items ? result.items : [];
                     
                     MonitoringService.info('Found emails via handleIntent', {
@@ -1101,6 +1474,13 @@ module.exports = ({ mailModule }) => ({
                 return res.status(400).json({ error: 'Email ID is required' });
             }
             
+            // Validate query parameters using helper function
+            const { error, value } = validateAndLog({ body: req.query }, schemas.getEmailDetails, 'getEmailDetails', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            const { bodyFormat, mailbox } = value;
+            
             MonitoringService.info('Getting details for email', {
                 emailId,
                 userId,
@@ -1110,7 +1490,7 @@ module.exports = ({ mailModule }) => ({
             let emailDetails = null;
             try {
                 if (typeof mailModule.getEmailDetails === 'function') {
-                    emailDetails = await mailModule.getEmailDetails(emailId, req);
+                    emailDetails = await mailModule.getEmailDetails(emailId, { bodyFormat, mailbox }, req);
                     MonitoringService.info('Retrieved email details', {
                         emailId,
                         method: 'getEmailDetails',
@@ -1119,7 +1499,7 @@ module.exports = ({ mailModule }) => ({
                     }, 'mail', null, userId, deviceId);
                 } else if (typeof mailModule.handleIntent === 'function') {
                     // Try using the module's handleIntent method instead
-                    const result = await mailModule.handleIntent('readMailDetails', { id: emailId }, { req });
+                    const result = await mailModule.handleIntent('readMailDetails', { id: emailId, bodyFormat, mailbox }, { req });
                     emailDetails = result && result.email ? result.email : null;
                     MonitoringService.info('Retrieved email details via handleIntent', {
                         method: 'handleIntent',
@@ -1297,7 +1677,7 @@ module.exports = ({ mailModule }) => ({
                 return res.status(400).json({ error: 'Invalid request', details: error.details });
             }
             
-            const isRead = value.isRead;
+            const { isRead, mailbox } = value;
             
             MonitoringService.info('Marking email read status', {
                 emailId,
@@ -1310,7 +1690,7 @@ module.exports = ({ mailModule }) => ({
             let success = false;
             try {
                 if (typeof mailModule.markAsRead === 'function') {
-                    success = await mailModule.markAsRead(emailId, isRead, req);
+                    success = await mailModule.markAsRead(emailId, isRead, req, userId, sessionId, { mailbox });
                     MonitoringService.info('Marked email read status successfully', {
                         emailId,
                         isRead,
@@ -1321,7 +1701,7 @@ module.exports = ({ mailModule }) => ({
                     }, 'mail', null, userId, deviceId);
                 } else if (typeof mailModule.handleIntent === 'function') {
                     // Try using the module's handleIntent method instead
-                    const result = await mailModule.handleIntent('markEmailRead', { id: emailId, isRead }, { req });
+                    const result = await mailModule.handleIntent('markEmailRead', { id: emailId, isRead, mailbox }, { req });
                     success = result && result.success === true;
                     MonitoringService.info('Marked email via handleIntent', {
                         method: 'handleIntent',
@@ -1495,6 +1875,7 @@ module.exports = ({ mailModule }) => ({
             }
             
             let { id } = queryValue;
+            const { mailbox } = queryValue;
             
             // Fix malformed IDs that might contain the parameter name again
             if (id.includes('?id=') || id.includes('&id=')) {
@@ -1522,7 +1903,7 @@ module.exports = ({ mailModule }) => ({
             let attachments = [];
             try {
                 if (typeof mailModule.getAttachments === 'function') {
-                    attachments = await mailModule.getAttachments(id, req);
+                    attachments = await mailModule.getAttachments(id, req, userId, sessionId, { mailbox });
                     MonitoringService.info('Retrieved attachments', {
                         emailId: id,
                         attachmentCount: attachments.length,
@@ -1532,7 +1913,7 @@ module.exports = ({ mailModule }) => ({
                     }, 'mail', null, userId, deviceId);
                 } else if (typeof mailModule.handleIntent === 'function') {
                     // Try using the module's handleIntent method instead
-                    const result = await mailModule.handleIntent('getMailAttachments', { mailId: id }, { req });
+                    const result = await mailModule.handleIntent('getMailAttachments', { mailId: id, mailbox }, { req });
                     attachments = result && result.attachments ? result.attachments : [];
                     MonitoringService.info('Retrieved attachments via handleIntent', {
                         method: 'handleIntent',
@@ -1810,7 +2191,7 @@ module.exports = ({ mailModule }) => ({
             }, 'mail', null, userId, deviceId);
             
             // Call the mail module to add the attachment
-            const result = await mailModule.addMailAttachment(emailId, attachment, req);
+            const result = await mailModule.addMailAttachment(emailId, attachment, req, userId, sessionId, { mailbox: bodyValue.mailbox });
             
             // Track performance
             const duration = Date.now() - startTime;
@@ -1939,6 +2320,12 @@ module.exports = ({ mailModule }) => ({
                 return res.status(400).json({ error: 'Invalid attachment ID' });
             }
             
+            // Validate query parameters using helper function
+            const { error, value } = validateAndLog({ body: req.query }, schemas.removeMailAttachment, 'removeMailAttachment', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
             MonitoringService.debug('Removing attachment from email', {
                 emailId: emailId,
                 attachmentId: attachmentId,
@@ -1948,7 +2335,7 @@ module.exports = ({ mailModule }) => ({
             }, 'mail', null, userId, deviceId);
             
             // Call the mail module to remove the attachment
-            const result = await mailModule.removeMailAttachment(emailId, attachmentId, req);
+            const result = await mailModule.removeMailAttachment(emailId, attachmentId, req, userId, sessionId, { mailbox: value.mailbox });
             
             // Track performance
             const duration = Date.now() - startTime;
@@ -2035,5 +2422,4213 @@ module.exports = ({ mailModule }) => ({
                 error_description: 'Failed to remove email attachment'
             });
         }
+    },
+
+    /**
+     * POST /api/mail/:id/reply
+     * Reply to the sender of an email, keeping it in the same conversation
+     */
+    async replyToEmail(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing replyToEmail request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate email ID from URL params
+            const emailId = req.params.id;
+            if (!emailId || typeof emailId !== 'string') {
+                return res.status(400).json({ error: 'Invalid email ID' });
+            }
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.replyToEmail, 'replyToEmail', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.replyToEmail(emailId, value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.replyToEmail.duration', duration, {
+                emailId: emailId,
+                attachmentCount: value.attachments ? value.attachments.length : 0,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email reply sent successfully', {
+                    emailId: emailId,
+                    attachmentCount: value.attachments ? value.attachments.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email reply sent with session', {
+                    sessionId,
+                    emailId: emailId,
+                    attachmentCount: value.attachments ? value.attachments.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.replyToEmail.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to reply to email',
+                'error',
+                { 
+                    endpoint: '/api/mail/:id/reply',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'replyToEmail',
+                    emailId: req.params.id,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to reply to email', {
+                    error: err.message,
+                    operation: 'replyToEmail',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to reply to email', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'replyToEmail',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'EMAIL_REPLY_FAILED',
+                error_description: 'Failed to reply to email'
+            });
+        }
+    },
+
+    /**
+     * POST /api/mail/:id/replyAll
+     * Reply to the sender and all recipients of an email
+     */
+    async replyAllToEmail(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing replyAllToEmail request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate email ID from URL params
+            const emailId = req.params.id;
+            if (!emailId || typeof emailId !== 'string') {
+                return res.status(400).json({ error: 'Invalid email ID' });
+            }
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.replyToEmail, 'replyAllToEmail', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.replyAllToEmail(emailId, value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.replyAllToEmail.duration', duration, {
+                emailId: emailId,
+                attachmentCount: value.attachments ? value.attachments.length : 0,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email reply-all sent successfully', {
+                    emailId: emailId,
+                    attachmentCount: value.attachments ? value.attachments.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email reply-all sent with session', {
+                    sessionId,
+                    emailId: emailId,
+                    attachmentCount: value.attachments ? value.attachments.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.replyAllToEmail.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to reply all to email',
+                'error',
+                { 
+                    endpoint: '/api/mail/:id/replyAll',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'replyAllToEmail',
+                    emailId: req.params.id,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to reply all to email', {
+                    error: err.message,
+                    operation: 'replyAllToEmail',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to reply all to email', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'replyAllToEmail',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'EMAIL_REPLY_ALL_FAILED',
+                error_description: 'Failed to reply all to email'
+            });
+        }
+    },
+
+    /**
+     * POST /api/mail/:id/forward
+     * Forward an email to new recipients
+     */
+    async forwardEmail(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing forwardEmail request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate email ID from URL params
+            const emailId = req.params.id;
+            if (!emailId || typeof emailId !== 'string') {
+                return res.status(400).json({ error: 'Invalid email ID' });
+            }
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.forwardEmail, 'forwardEmail', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.forwardEmail(emailId, value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.forwardEmail.duration', duration, {
+                emailId: emailId,
+                attachmentCount: value.attachments ? value.attachments.length : 0,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email forwarded successfully', {
+                    emailId: emailId,
+                    attachmentCount: value.attachments ? value.attachments.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email forwarded with session', {
+                    sessionId,
+                    emailId: emailId,
+                    attachmentCount: value.attachments ? value.attachments.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.forwardEmail.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to forward email',
+                'error',
+                { 
+                    endpoint: '/api/mail/:id/forward',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'forwardEmail',
+                    emailId: req.params.id,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to forward email', {
+                    error: err.message,
+                    operation: 'forwardEmail',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to forward email', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'forwardEmail',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'EMAIL_FORWARD_FAILED',
+                error_description: 'Failed to forward email'
+            });
+        }
+    },
+
+    /**
+     * POST /api/mail/drafts
+     * Create a draft email for review instead of sending it
+     */
+    async createDraft(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing createDraft request', {
+                    method: req.method,
+                    path: req.path,
+                    hasSubject: !!(req.body && req.body.subject),
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate request using helper function
+            const { error, value } = validateAndLog(req, schemas.createDraft, 'createDraft', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.createDraft(value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.createDraft.duration', duration, {
+                attachmentCount: value.attachments ? value.attachments.length : 0,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Draft created successfully', {
+                    draftId: result && result.id ? result.id.substring(0, 20) + '...' : null,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Draft created with session', {
+                    sessionId,
+                    draftId: result && result.id ? result.id.substring(0, 20) + '...' : null,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.createDraft.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to create draft',
+                'error',
+                { 
+                    endpoint: '/api/mail/drafts',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'createDraft',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to create draft', {
+                    error: err.message,
+                    operation: 'createDraft',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to create draft', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'createDraft',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'DRAFT_CREATE_FAILED',
+                error_description: 'Failed to create draft'
+            });
+        }
+    },
+
+    /**
+     * PATCH /api/mail/drafts/:id
+     * Update the recipients, body, subject or attachments of a draft
+     */
+    async updateDraft(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing updateDraft request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate draft ID from URL params
+            const draftId = req.params.id;
+            if (!draftId || typeof draftId !== 'string') {
+                return res.status(400).json({ error: 'Invalid draft ID' });
+            }
+            
+            // Validate request using helper function
+            const { error, value } = validateAndLog(req, schemas.updateDraft, 'updateDraft', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.updateDraft(draftId, value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.updateDraft.duration', duration, {
+                updatedFields: Object.keys(value).length,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Draft updated successfully', {
+                    draftId: draftId.substring(0, 20) + '...',
+                    updatedFields: Object.keys(value),
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Draft updated with session', {
+                    sessionId,
+                    draftId: draftId.substring(0, 20) + '...',
+                    updatedFields: Object.keys(value),
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.updateDraft.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to update draft',
+                'error',
+                { 
+                    endpoint: '/api/mail/drafts/:id',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'updateDraft',
+                    draftId: req.params.id,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to update draft', {
+                    error: err.message,
+                    operation: 'updateDraft',
+                    draftId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to update draft', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'updateDraft',
+                    draftId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'DRAFT_UPDATE_FAILED',
+                error_description: 'Failed to update draft'
+            });
+        }
+    },
+
+    /**
+     * GET /api/mail/drafts
+     * List drafts awaiting review
+     */
+    async listDrafts(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing listDrafts request', {
+                    method: req.method,
+                    path: req.path,
+                    query: req.query,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate query parameters using helper function
+            const { error, value } = validateAndLog({ body: req.query }, schemas.listDrafts, 'listDrafts', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.listDrafts(value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.listDrafts.duration', duration, {
+                draftCount: Array.isArray(result) ? result.length : 0,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Drafts retrieved successfully', {
+                    draftCount: Array.isArray(result) ? result.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Drafts retrieved with session', {
+                    sessionId,
+                    draftCount: Array.isArray(result) ? result.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.listDrafts.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to list drafts',
+                'error',
+                { 
+                    endpoint: '/api/mail/drafts',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'listDrafts',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to list drafts', {
+                    error: err.message,
+                    operation: 'listDrafts',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to list drafts', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'listDrafts',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'DRAFT_LIST_FAILED',
+                error_description: 'Failed to list drafts'
+            });
+        }
+    },
+
+    /**
+     * POST /api/mail/drafts/:id/send
+     * Send a draft once it has been reviewed
+     */
+    async sendDraft(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing sendDraft request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate draft ID from URL params
+            const draftId = req.params.id;
+            if (!draftId || typeof draftId !== 'string') {
+                return res.status(400).json({ error: 'Invalid draft ID' });
+            }
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.sendDraft, 'sendDraft', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.sendDraft(draftId, req, userId, sessionId, value);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.sendDraft.duration', duration, {
+                draftId: draftId,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Draft sent successfully', {
+                    draftId: draftId.substring(0, 20) + '...',
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Draft sent with session', {
+                    sessionId,
+                    draftId: draftId.substring(0, 20) + '...',
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.sendDraft.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to send draft',
+                'error',
+                { 
+                    endpoint: '/api/mail/drafts/:id/send',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'sendDraft',
+                    draftId: req.params.id,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to send draft', {
+                    error: err.message,
+                    operation: 'sendDraft',
+                    draftId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to send draft', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'sendDraft',
+                    draftId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'DRAFT_SEND_FAILED',
+                error_description: 'Failed to send draft'
+            });
+        }
+    },
+
+    /**
+     * DELETE /api/mail/drafts/:id
+     * Delete a draft that should not be sent
+     */
+    async deleteDraft(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing deleteDraft request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate draft ID from URL params
+            const draftId = req.params.id;
+            if (!draftId || typeof draftId !== 'string') {
+                return res.status(400).json({ error: 'Invalid draft ID' });
+            }
+            
+            // Validate query parameters using helper function
+            const { error, value } = validateAndLog({ body: req.query }, schemas.deleteDraft, 'deleteDraft', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.deleteDraft(draftId, req, userId, sessionId, value);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.deleteDraft.duration', duration, {
+                draftId: draftId,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Draft deleted successfully', {
+                    draftId: draftId.substring(0, 20) + '...',
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Draft deleted with session', {
+                    sessionId,
+                    draftId: draftId.substring(0, 20) + '...',
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.deleteDraft.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to delete draft',
+                'error',
+                { 
+                    endpoint: '/api/mail/drafts/:id',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'deleteDraft',
+                    draftId: req.params.id,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to delete draft', {
+                    error: err.message,
+                    operation: 'deleteDraft',
+                    draftId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to delete draft', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'deleteDraft',
+                    draftId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'DRAFT_DELETE_FAILED',
+                error_description: 'Failed to delete draft'
+            });
+        }
+    },
+
+    /**
+     * GET /api/mail/folders
+     * List mail folders with unread counts and child folders
+     */
+    async listMailFolders(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing listMailFolders request', {
+                    method: req.method,
+                    path: req.path,
+                    query: req.query,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate query parameters using helper function
+            const { error, value } = validateAndLog({ body: req.query }, schemas.listMailFolders, 'listMailFolders', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.listMailFolders(value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.listMailFolders.duration', duration, {
+                folderCount: Array.isArray(result) ? result.length : 0,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mail folders retrieved successfully', {
+                    folderCount: Array.isArray(result) ? result.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mail folders retrieved with session', {
+                    sessionId,
+                    folderCount: Array.isArray(result) ? result.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.listMailFolders.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to list mail folders',
+                'error',
+                { 
+                    endpoint: '/api/mail/folders',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'listMailFolders',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to list mail folders', {
+                    error: err.message,
+                    operation: 'listMailFolders',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to list mail folders', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'listMailFolders',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_FOLDERS_LIST_FAILED',
+                error_description: 'Failed to list mail folders'
+            });
+        }
+    },
+
+    /**
+     * GET /api/mail/folders/:folderId/messages
+     * Get messages from a folder by ID or well-known name (inbox, sentitems, archive, deleteditems)
+     */
+    async getMessagesInFolder(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing getMessagesInFolder request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate folder ID or well-known name from URL params
+            const folderId = req.params.folderId;
+            if (!folderId || typeof folderId !== 'string') {
+                return res.status(400).json({ error: 'Invalid folder ID' });
+            }
+            
+            // Validate query parameters using helper function
+            const { error, value } = validateAndLog({ body: req.query }, schemas.getMessagesInFolder, 'getMessagesInFolder', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.getMessagesInFolder(folderId, value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.getMessagesInFolder.duration', duration, {
+                emailCount: Array.isArray(result) ? result.length : 0,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Folder messages retrieved successfully', {
+                    folderId: folderId,
+                    emailCount: Array.isArray(result) ? result.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Folder messages retrieved with session', {
+                    sessionId,
+                    folderId: folderId,
+                    emailCount: Array.isArray(result) ? result.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.getMessagesInFolder.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to get folder messages',
+                'error',
+                { 
+                    endpoint: '/api/mail/folders/:folderId/messages',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'getMessagesInFolder',
+                    folderId: req.params.folderId,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to get folder messages', {
+                    error: err.message,
+                    operation: 'getMessagesInFolder',
+                    folderId: req.params.folderId,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to get folder messages', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'getMessagesInFolder',
+                    folderId: req.params.folderId,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_FOLDER_MESSAGES_FAILED',
+                error_description: 'Failed to get messages in folder'
+            });
+        }
+    },
+
+    /**
+     * POST /api/mail/folders
+     * Create a mail folder, optionally under a parent folder
+     */
+    async createMailFolder(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing createMailFolder request', {
+                    method: req.method,
+                    path: req.path,
+                    hasParent: !!(req.body && req.body.parentFolderId),
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.createMailFolder, 'createMailFolder', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.createMailFolder(value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.createMailFolder.duration', duration, {
+                hasParent: !!value.parentFolderId,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mail folder created successfully', {
+                    hasParent: !!value.parentFolderId,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mail folder created with session', {
+                    sessionId,
+                    hasParent: !!value.parentFolderId,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.createMailFolder.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to create mail folder',
+                'error',
+                { 
+                    endpoint: '/api/mail/folders',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'createMailFolder',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to create mail folder', {
+                    error: err.message,
+                    operation: 'createMailFolder',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to create mail folder', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'createMailFolder',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_FOLDER_CREATE_FAILED',
+                error_description: 'Failed to create mail folder'
+            });
+        }
+    },
+
+    /**
+     * POST /api/mail/:id/move
+     * Move an email to another folder
+     */
+    async moveEmail(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing moveEmail request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate email ID from URL params
+            const emailId = req.params.id;
+            if (!emailId || typeof emailId !== 'string') {
+                return res.status(400).json({ error: 'Invalid email ID' });
+            }
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.transferEmail, 'moveEmail', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.moveEmail(emailId, value.destinationFolderId, req, userId, sessionId, { mailbox: value.mailbox });
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.moveEmail.duration', duration, {
+                destinationFolderId: value.destinationFolderId,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email moved successfully', {
+                    emailId: emailId,
+                    destinationFolderId: value.destinationFolderId,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email moved with session', {
+                    sessionId,
+                    emailId: emailId,
+                    destinationFolderId: value.destinationFolderId,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.moveEmail.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to move email',
+                'error',
+                { 
+                    endpoint: '/api/mail/:id/move',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'moveEmail',
+                    emailId: req.params.id,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to move email', {
+                    error: err.message,
+                    operation: 'moveEmail',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to move email', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'moveEmail',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'EMAIL_MOVE_FAILED',
+                error_description: 'Failed to move email'
+            });
+        }
+    },
+
+    /**
+     * POST /api/mail/:id/copy
+     * Copy an email to another folder
+     */
+    async copyEmail(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing copyEmail request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate email ID from URL params
+            const emailId = req.params.id;
+            if (!emailId || typeof emailId !== 'string') {
+                return res.status(400).json({ error: 'Invalid email ID' });
+            }
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.transferEmail, 'copyEmail', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.copyEmail(emailId, value.destinationFolderId, req, userId, sessionId, { mailbox: value.mailbox });
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.copyEmail.duration', duration, {
+                destinationFolderId: value.destinationFolderId,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email copied successfully', {
+                    emailId: emailId,
+                    destinationFolderId: value.destinationFolderId,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email copied with session', {
+                    sessionId,
+                    emailId: emailId,
+                    destinationFolderId: value.destinationFolderId,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.copyEmail.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to copy email',
+                'error',
+                { 
+                    endpoint: '/api/mail/:id/copy',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'copyEmail',
+                    emailId: req.params.id,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to copy email', {
+                    error: err.message,
+                    operation: 'copyEmail',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to copy email', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'copyEmail',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'EMAIL_COPY_FAILED',
+                error_description: 'Failed to copy email'
+            });
+        }
+    },
+
+    /**
+     * GET /api/mail/conversation
+     * Get a whole email thread by conversation ID, or by the ID of any message in it
+     */
+    async getConversation(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing getConversation request', {
+                    method: req.method,
+                    path: req.path,
+                    query: req.query,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate query parameters using helper function
+            const { error, value } = validateAndLog({ body: req.query }, schemas.getConversation, 'getConversation', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.getConversation(value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.getConversation.duration', duration, {
+                messageCount: result && result.messageCount ? result.messageCount : 0,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Conversation retrieved successfully', {
+                    messageCount: result && result.messageCount ? result.messageCount : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Conversation retrieved with session', {
+                    sessionId,
+                    messageCount: result && result.messageCount ? result.messageCount : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.getConversation.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to get conversation',
+                'error',
+                { 
+                    endpoint: '/api/mail/conversation',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'getConversation',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to get conversation', {
+                    error: err.message,
+                    operation: 'getConversation',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to get conversation', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'getConversation',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'CONVERSATION_GET_FAILED',
+                error_description: 'Failed to get conversation'
+            });
+        }
+    },
+
+    /**
+     * GET /api/mail/changes
+     * Get what's new in a mail folder since the last check, using Graph delta sync
+     */
+    async getMailChanges(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing getMailChanges request', {
+                    method: req.method,
+                    path: req.path,
+                    query: req.query,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate query parameters using helper function
+            const { error, value } = validateAndLog({ body: req.query }, schemas.getMailChanges, 'getMailChanges', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const { folder, ...options } = value;
+            const result = await mailModule.getMailChanges(folder, options, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.getMailChanges.duration', duration, {
+                isInitialSync: !!(result && result.isInitialSync),
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mail changes retrieved successfully', {
+                    folder: folder,
+                    isInitialSync: !!(result && result.isInitialSync),
+                    addedCount: result && result.added ? result.added.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mail changes retrieved with session', {
+                    sessionId,
+                    folder: folder,
+                    isInitialSync: !!(result && result.isInitialSync),
+                    addedCount: result && result.added ? result.added.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.getMailChanges.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to get mail changes',
+                'error',
+                { 
+                    endpoint: '/api/mail/changes',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'getMailChanges',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to get mail changes', {
+                    error: err.message,
+                    operation: 'getMailChanges',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to get mail changes', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'getMailChanges',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_CHANGES_FAILED',
+                error_description: 'Failed to get mail changes'
+            });
+        }
+    },
+
+    /**
+     * GET /api/mail/rules
+     * List inbox rules in the order they are applied
+     */
+    async listMailRules(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing listMailRules request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate query parameters using helper function
+            const { error, value } = validateAndLog({ body: req.query }, schemas.listMailRules, 'listMailRules', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.listMailRules(req, userId, sessionId, value);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.listMailRules.duration', duration, {
+                ruleCount: Array.isArray(result) ? result.length : 0,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mail rules retrieved successfully', {
+                    ruleCount: Array.isArray(result) ? result.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mail rules retrieved with session', {
+                    sessionId,
+                    ruleCount: Array.isArray(result) ? result.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.listMailRules.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to list mail rules',
+                'error',
+                { 
+                    endpoint: '/api/mail/rules',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'listMailRules',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to list mail rules', {
+                    error: err.message,
+                    operation: 'listMailRules',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to list mail rules', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'listMailRules',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_RULES_LIST_FAILED',
+                error_description: 'Failed to list mail rules'
+            });
+        }
+    },
+
+    /**
+     * POST /api/mail/rules
+     * Create an inbox rule; preview: true validates and returns it without saving
+     */
+    async createMailRule(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing createMailRule request', {
+                    method: req.method,
+                    path: req.path,
+                    hasConditions: !!(req.body && req.body.conditions),
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.createMailRule, 'createMailRule', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const { preview, mailbox, ...ruleData } = value;
+            const result = await mailModule.createMailRule(ruleData, { preview, mailbox }, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.createMailRule.duration', duration, {
+                preview: !!value.preview,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mail rule created successfully', {
+                    preview: !!value.preview,
+                    actionKeys: Object.keys(value.actions),
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mail rule created with session', {
+                    sessionId,
+                    preview: !!value.preview,
+                    actionKeys: Object.keys(value.actions),
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.createMailRule.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to create mail rule',
+                'error',
+                { 
+                    endpoint: '/api/mail/rules',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'createMailRule',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to create mail rule', {
+                    error: err.message,
+                    operation: 'createMailRule',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to create mail rule', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'createMailRule',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_RULE_CREATE_FAILED',
+                error_description: 'Failed to create mail rule'
+            });
+        }
+    },
+
+    /**
+     * PATCH /api/mail/rules/:id
+     * Update an inbox rule; preview: true returns the current and proposed rule without saving
+     */
+    async updateMailRule(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing updateMailRule request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate rule ID from URL params
+            const ruleId = req.params.id;
+            if (!ruleId || typeof ruleId !== 'string') {
+                return res.status(400).json({ error: 'Invalid rule ID' });
+            }
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.updateMailRule, 'updateMailRule', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const { preview, mailbox, ...updates } = value;
+            const result = await mailModule.updateMailRule(ruleId, updates, { preview, mailbox }, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.updateMailRule.duration', duration, {
+                preview: !!value.preview,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mail rule updated successfully', {
+                    ruleId: ruleId.substring(0, 20) + '...',
+                    preview: !!value.preview,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mail rule updated with session', {
+                    sessionId,
+                    ruleId: ruleId.substring(0, 20) + '...',
+                    preview: !!value.preview,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.updateMailRule.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to update mail rule',
+                'error',
+                { 
+                    endpoint: '/api/mail/rules/:id',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'updateMailRule',
+                    ruleId: req.params.id,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to update mail rule', {
+                    error: err.message,
+                    operation: 'updateMailRule',
+                    ruleId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to update mail rule', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'updateMailRule',
+                    ruleId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_RULE_UPDATE_FAILED',
+                error_description: 'Failed to update mail rule'
+            });
+        }
+    },
+
+    /**
+     * DELETE /api/mail/rules/:id
+     * Delete an inbox rule; ?preview=true returns the rule that would be deleted
+     */
+    async deleteMailRule(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing deleteMailRule request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate rule ID from URL params
+            const ruleId = req.params.id;
+            if (!ruleId || typeof ruleId !== 'string') {
+                return res.status(400).json({ error: 'Invalid rule ID' });
+            }
+            
+            // Validate query parameters using helper function
+            const { error, value } = validateAndLog({ body: req.query }, schemas.deleteMailRule, 'deleteMailRule', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.deleteMailRule(ruleId, { preview: value.preview, mailbox: value.mailbox }, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.deleteMailRule.duration', duration, {
+                preview: !!value.preview,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mail rule deleted successfully', {
+                    ruleId: ruleId.substring(0, 20) + '...',
+                    preview: !!value.preview,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mail rule deleted with session', {
+                    sessionId,
+                    ruleId: ruleId.substring(0, 20) + '...',
+                    preview: !!value.preview,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.deleteMailRule.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to delete mail rule',
+                'error',
+                { 
+                    endpoint: '/api/mail/rules/:id',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'deleteMailRule',
+                    ruleId: req.params.id,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to delete mail rule', {
+                    error: err.message,
+                    operation: 'deleteMailRule',
+                    ruleId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to delete mail rule', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'deleteMailRule',
+                    ruleId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_RULE_DELETE_FAILED',
+                error_description: 'Failed to delete mail rule'
+            });
+        }
+    },
+
+    /**
+     * GET /api/mail/settings
+     * Get mailbox settings (time zone, language, formats, working hours, automatic replies)
+     */
+    async getMailboxSettings(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing getMailboxSettings request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate query parameters using helper function
+            const { error, value } = validateAndLog({ body: req.query }, schemas.getMailboxSettings, 'getMailboxSettings', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.getMailboxSettings(req, userId, sessionId, value);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.getMailboxSettings.duration', duration, {
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mailbox settings retrieved successfully', {
+                    timeZone: result?.timeZone,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mailbox settings retrieved with session', {
+                    sessionId,
+                    timeZone: result?.timeZone,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.getMailboxSettings.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to get mailbox settings',
+                'error',
+                { 
+                    endpoint: '/api/mail/settings',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'getMailboxSettings',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to get mailbox settings', {
+                    error: err.message,
+                    operation: 'getMailboxSettings',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to get mailbox settings', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'getMailboxSettings',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAILBOX_SETTINGS_GET_FAILED',
+                error_description: 'Failed to get mailbox settings'
+            });
+        }
+    },
+
+    /**
+     * PATCH /api/mail/settings
+     * Update working hours, language, time format or date format
+     */
+    async updateMailboxSettings(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing updateMailboxSettings request', {
+                    method: req.method,
+                    path: req.path,
+                    updateFields: Object.keys(req.body || {}),
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.updateMailboxSettings, 'updateMailboxSettings', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.updateMailboxSettings(value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.updateMailboxSettings.duration', duration, {
+                updateFieldCount: Object.keys(value).length,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mailbox settings updated successfully', {
+                    updateFields: Object.keys(value),
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mailbox settings updated with session', {
+                    sessionId,
+                    updateFields: Object.keys(value),
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.updateMailboxSettings.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to update mailbox settings',
+                'error',
+                { 
+                    endpoint: '/api/mail/settings',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'updateMailboxSettings',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to update mailbox settings', {
+                    error: err.message,
+                    operation: 'updateMailboxSettings',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to update mailbox settings', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'updateMailboxSettings',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAILBOX_SETTINGS_UPDATE_FAILED',
+                error_description: 'Failed to update mailbox settings'
+            });
+        }
+    },
+
+    /**
+     * GET /api/mail/settings/automaticReplies
+     * Get the automatic replies (out-of-office) setting
+     */
+    async getAutomaticReplies(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing getAutomaticReplies request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate query parameters using helper function
+            const { error, value } = validateAndLog({ body: req.query }, schemas.getAutomaticReplies, 'getAutomaticReplies', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.getAutomaticReplies(req, userId, sessionId, value);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.getAutomaticReplies.duration', duration, {
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Automatic replies retrieved successfully', {
+                    status: result?.status,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Automatic replies retrieved with session', {
+                    sessionId,
+                    status: result?.status,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.getAutomaticReplies.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to get automatic replies',
+                'error',
+                { 
+                    endpoint: '/api/mail/settings/automaticReplies',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'getAutomaticReplies',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to get automatic replies', {
+                    error: err.message,
+                    operation: 'getAutomaticReplies',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to get automatic replies', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'getAutomaticReplies',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'AUTOMATIC_REPLIES_GET_FAILED',
+                error_description: 'Failed to get automatic replies'
+            });
+        }
+    },
+
+    /**
+     * PATCH /api/mail/settings/automaticReplies
+     * Set automatic replies (out-of-office), optionally scheduled between two dates
+     */
+    async setAutomaticReplies(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing setAutomaticReplies request', {
+                    method: req.method,
+                    path: req.path,
+                    status: req.body?.status,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.setAutomaticReplies, 'setAutomaticReplies', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.setAutomaticReplies(value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.setAutomaticReplies.duration', duration, {
+                status: result?.status,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Automatic replies updated successfully', {
+                    status: result?.status,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Automatic replies updated with session', {
+                    sessionId,
+                    status: result?.status,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.setAutomaticReplies.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to set automatic replies',
+                'error',
+                { 
+                    endpoint: '/api/mail/settings/automaticReplies',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'setAutomaticReplies',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to set automatic replies', {
+                    error: err.message,
+                    operation: 'setAutomaticReplies',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to set automatic replies', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'setAutomaticReplies',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'AUTOMATIC_REPLIES_SET_FAILED',
+                error_description: 'Failed to set automatic replies'
+            });
+        }
+    },
+
+    /**
+     * GET /api/mail/:id/mime
+     * Download an email as an .eml file (message/rfc822); ?format=json returns base64 content instead
+     */
+    async exportEmailAsMime(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing exportEmailAsMime request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate email ID from URL params
+            const emailId = req.params.id;
+            if (!emailId || typeof emailId !== 'string') {
+                return res.status(400).json({ error: 'Invalid email ID' });
+            }
+            
+            // Validate query parameters using helper function
+            const { error, value } = validateAndLog({ body: req.query }, schemas.exportEmailAsMime, 'exportEmailAsMime', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.exportEmailAsMime(emailId, req, userId, sessionId, { mailbox: value.mailbox });
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.exportEmailAsMime.duration', duration, {
+                size: result.size,
+                format: value.format,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email exported as MIME successfully', {
+                    emailId: emailId.substring(0, 20) + '...',
+                    size: result.size,
+                    format: value.format,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email exported as MIME with session', {
+                    sessionId,
+                    emailId: emailId.substring(0, 20) + '...',
+                    size: result.size,
+                    format: value.format,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            if (value.format === 'json') {
+                // JSON form for callers that cannot take a binary download (e.g. MCP tools)
+                const { content, ...metadata } = result;
+                return res.json({ ...metadata, contentBytes: content.toString('base64') });
+            }
+            
+            res.setHeader('Content-Type', result.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${result.fileName.replace(/[^\x20-\x7e]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(result.fileName)}`);
+            res.setHeader('Content-Length', result.size);
+            res.send(result.content);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.exportEmailAsMime.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to export email as MIME',
+                'error',
+                { 
+                    endpoint: '/api/mail/:id/mime',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'exportEmailAsMime',
+                    emailId: req.params.id,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to export email as MIME', {
+                    error: err.message,
+                    operation: 'exportEmailAsMime',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to export email as MIME', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'exportEmailAsMime',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_EXPORT_MIME_FAILED',
+                error_description: 'Failed to export email as MIME'
+            });
+        }
+    },
+
+    /**
+     * POST /api/mail/import
+     * Import an email from MIME content (raw or base64) or a OneDrive .eml file
+     */
+    async importMimeMessage(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing importMimeMessage request', {
+                    method: req.method,
+                    path: req.path,
+                    hasFileId: !!(req.body && req.body.fileId),
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.importMimeMessage, 'importMimeMessage', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.importMimeMessage(value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.importMimeMessage.duration', duration, {
+                fromFile: !!value.fileId,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email imported from MIME successfully', {
+                    folder: value.folder || 'drafts',
+                    fromFile: !!value.fileId,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email imported from MIME with session', {
+                    sessionId,
+                    folder: value.folder || 'drafts',
+                    fromFile: !!value.fileId,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(201).json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.importMimeMessage.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to import MIME message',
+                'error',
+                { 
+                    endpoint: '/api/mail/import',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'importMimeMessage',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to import MIME message', {
+                    error: err.message,
+                    operation: 'importMimeMessage',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to import MIME message', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'importMimeMessage',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_IMPORT_MIME_FAILED',
+                error_description: 'Failed to import MIME message'
+            });
+        }
+    },
+
+    /**
+     * GET /api/mail/scheduled
+     * List scheduled emails waiting in the Outbox, next to go out first
+     */
+    async listScheduledEmails(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing listScheduledEmails request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate query parameters using helper function
+            const { error, value } = validateAndLog({ body: req.query }, schemas.listScheduledEmails, 'listScheduledEmails', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.listScheduledEmails(value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.listScheduledEmails.duration', duration, {
+                scheduledCount: Array.isArray(result) ? result.length : 0,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Scheduled emails retrieved successfully', {
+                    scheduledCount: Array.isArray(result) ? result.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Scheduled emails retrieved with session', {
+                    sessionId,
+                    scheduledCount: Array.isArray(result) ? result.length : 0,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.listScheduledEmails.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to list scheduled emails',
+                'error',
+                { 
+                    endpoint: '/api/mail/scheduled',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'listScheduledEmails',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to list scheduled emails', {
+                    error: err.message,
+                    operation: 'listScheduledEmails',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to list scheduled emails', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'listScheduledEmails',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_LIST_SCHEDULED_FAILED',
+                error_description: 'Failed to list scheduled emails'
+            });
+        }
+    },
+
+    /**
+     * POST /api/mail/scheduled/:id/cancel
+     * Cancel a scheduled email; it is moved back to Drafts unless discard is true
+     */
+    async cancelScheduledEmail(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing cancelScheduledEmail request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate email ID from URL params
+            const emailId = req.params.id;
+            if (!emailId || typeof emailId !== 'string') {
+                return res.status(400).json({ error: 'Invalid email ID' });
+            }
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.cancelScheduledEmail, 'cancelScheduledEmail', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.cancelScheduledEmail(emailId, value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.cancelScheduledEmail.duration', duration, {
+                action: result.action,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Scheduled email cancelled successfully', {
+                    emailId: emailId.substring(0, 20) + '...',
+                    action: result.action,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Scheduled email cancelled with session', {
+                    sessionId,
+                    emailId: emailId.substring(0, 20) + '...',
+                    action: result.action,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.cancelScheduledEmail.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to cancel scheduled email',
+                'error',
+                { 
+                    endpoint: '/api/mail/scheduled/:id/cancel',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'cancelScheduledEmail',
+                    emailId: req.params.id,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to cancel scheduled email', {
+                    error: err.message,
+                    operation: 'cancelScheduledEmail',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to cancel scheduled email', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'cancelScheduledEmail',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_CANCEL_SCHEDULED_FAILED',
+                error_description: 'Failed to cancel scheduled email'
+            });
+        }
+    },
+
+    /**
+     * POST /api/mail/bulk
+     * Apply one action to many emails; returns a result for every message ID
+     */
+    async bulkMailAction(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing bulkMailAction request', {
+                    method: req.method,
+                    path: req.path,
+                    action: req.body?.action,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.bulkMailAction, 'bulkMailAction', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.bulkMailAction(value.action, value.ids, { destinationFolderId: value.destinationFolderId, mailbox: value.mailbox }, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.bulkMailAction.duration', duration, {
+                action: value.action,
+                total: result.total,
+                failed: result.failed,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Bulk mail action completed successfully', {
+                    action: value.action,
+                    total: result.total,
+                    failed: result.failed,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Bulk mail action completed with session', {
+                    sessionId,
+                    action: value.action,
+                    total: result.total,
+                    failed: result.failed,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.bulkMailAction.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to run bulk mail action',
+                'error',
+                { 
+                    endpoint: '/api/mail/bulk',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'bulkMailAction',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to run bulk mail action', {
+                    error: err.message,
+                    operation: 'bulkMailAction',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to run bulk mail action', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'bulkMailAction',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_BULK_ACTION_FAILED',
+                error_description: 'Failed to run bulk mail action'
+            });
+        }
+    },
+
+    /**
+     * GET /api/mail/categories
+     * List the master categories with their colors
+     */
+    async listCategories(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing listCategories request', {
+                    method: req.method,
+                    path: req.path,
+                    params: req.params,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate query parameters using helper function
+            const { error, value } = validateAndLog({ body: req.query }, schemas.listCategories, 'listCategories', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.listCategories(req, userId, sessionId, value);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.listCategories.duration', duration, {
+                categoryCount: result.length,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Categories retrieved successfully', {
+                    categoryCount: result.length,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Categories retrieved with session', {
+                    sessionId,
+                    categoryCount: result.length,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.listCategories.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to list categories',
+                'error',
+                { 
+                    endpoint: '/api/mail/categories',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'listCategories',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to list categories', {
+                    error: err.message,
+                    operation: 'listCategories',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to list categories', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'listCategories',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_CATEGORIES_LIST_FAILED',
+                error_description: 'Failed to list categories'
+            });
+        }
+    },
+
+    /**
+     * POST /api/mail/categories
+     * Create a master category with a color preset or color name
+     */
+    async createCategory(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing createCategory request', {
+                    method: req.method,
+                    path: req.path,
+                    color: req.body?.color,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.createCategory, 'createCategory', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.createCategory(value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.createCategory.duration', duration, {
+                color: result.color,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Category created successfully', {
+                    categoryId: result.id,
+                    color: result.color,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Category created with session', {
+                    sessionId,
+                    categoryId: result.id,
+                    color: result.color,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(201).json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.createCategory.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to create category',
+                'error',
+                { 
+                    endpoint: '/api/mail/categories',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'createCategory',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to create category', {
+                    error: err.message,
+                    operation: 'createCategory',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to create category', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'createCategory',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_CATEGORY_CREATE_FAILED',
+                error_description: 'Failed to create category'
+            });
+        }
+    },
+
+    /**
+     * PATCH /api/mail/categories/:id
+     * Change a master category's color (names cannot be changed)
+     */
+    async updateCategory(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing updateCategory request', {
+                    method: req.method,
+                    path: req.path,
+                    categoryId: req.params.id,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate category ID from URL params
+            const categoryId = req.params.id;
+            if (!categoryId || typeof categoryId !== 'string') {
+                return res.status(400).json({ error: 'Invalid category ID' });
+            }
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.updateCategory, 'updateCategory', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.updateCategory(categoryId, value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.updateCategory.duration', duration, {
+                color: result.color,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Category updated successfully', {
+                    categoryId,
+                    color: result.color,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Category updated with session', {
+                    sessionId,
+                    categoryId,
+                    color: result.color,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.updateCategory.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to update category',
+                'error',
+                { 
+                    endpoint: '/api/mail/categories/:id',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'updateCategory',
+                    categoryId: req.params.id,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to update category', {
+                    error: err.message,
+                    operation: 'updateCategory',
+                    categoryId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to update category', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'updateCategory',
+                    categoryId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_CATEGORY_UPDATE_FAILED',
+                error_description: 'Failed to update category'
+            });
+        }
+    },
+
+    /**
+     * DELETE /api/mail/categories/:id
+     * Delete a master category; items keep the name without a color
+     */
+    async deleteCategory(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing deleteCategory request', {
+                    method: req.method,
+                    path: req.path,
+                    categoryId: req.params.id,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate category ID from URL params
+            const categoryId = req.params.id;
+            if (!categoryId || typeof categoryId !== 'string') {
+                return res.status(400).json({ error: 'Invalid category ID' });
+            }
+            
+            // Validate query parameters using helper function
+            const { error, value } = validateAndLog({ body: req.query }, schemas.deleteCategory, 'deleteCategory', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const deleted = await mailModule.deleteCategory(categoryId, req, userId, sessionId, value);
+            const result = { deleted, id: categoryId };
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.deleteCategory.duration', duration, {
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Category deleted successfully', {
+                    categoryId,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Category deleted with session', {
+                    sessionId,
+                    categoryId,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.deleteCategory.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to delete category',
+                'error',
+                { 
+                    endpoint: '/api/mail/categories/:id',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'deleteCategory',
+                    categoryId: req.params.id,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to delete category', {
+                    error: err.message,
+                    operation: 'deleteCategory',
+                    categoryId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to delete category', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'deleteCategory',
+                    categoryId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_CATEGORY_DELETE_FAILED',
+                error_description: 'Failed to delete category'
+            });
+        }
+    },
+
+    /**
+     * PATCH /api/mail/:id/categories
+     * Assign or remove categories on an email (add, remove or replace with set)
+     */
+    async setEmailCategories(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing setEmailCategories request', {
+                    method: req.method,
+                    path: req.path,
+                    emailId: req.params.id,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate email ID from URL params
+            const emailId = req.params.id;
+            if (!emailId || typeof emailId !== 'string') {
+                return res.status(400).json({ error: 'Invalid email ID' });
+            }
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.setEmailCategories, 'setEmailCategories', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.setEmailCategories(emailId, value, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.setEmailCategories.duration', duration, {
+                categoryCount: result.categories.length,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email categories updated successfully', {
+                    emailId: emailId.substring(0, 20) + '...',
+                    categoryCount: result.categories.length,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email categories updated with session', {
+                    sessionId,
+                    emailId: emailId.substring(0, 20) + '...',
+                    categoryCount: result.categories.length,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.setEmailCategories.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to update email categories',
+                'error',
+                { 
+                    endpoint: '/api/mail/:id/categories',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'setEmailCategories',
+                    emailId: req.params.id,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to update email categories', {
+                    error: err.message,
+                    operation: 'setEmailCategories',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to update email categories', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'setEmailCategories',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_CATEGORIES_UPDATE_FAILED',
+                error_description: 'Failed to update email categories'
+            });
+        }
+    },
+
+    /**
+     * PATCH /api/mail/:id/importance
+     * Change the importance of an email (low, normal or high)
+     */
+    async setEmailImportance(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing setEmailImportance request', {
+                    method: req.method,
+                    path: req.path,
+                    emailId: req.params.id,
+                    importance: req.body?.importance,
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate email ID from URL params
+            const emailId = req.params.id;
+            if (!emailId || typeof emailId !== 'string') {
+                return res.status(400).json({ error: 'Invalid email ID' });
+            }
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.setEmailImportance, 'setEmailImportance', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const result = await mailModule.setEmailImportance(emailId, value.importance, req, userId, sessionId, { mailbox: value.mailbox });
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.setEmailImportance.duration', duration, {
+                importance: value.importance,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email importance updated successfully', {
+                    emailId: emailId.substring(0, 20) + '...',
+                    importance: value.importance,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email importance updated with session', {
+                    sessionId,
+                    emailId: emailId.substring(0, 20) + '...',
+                    importance: value.importance,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.setEmailImportance.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to set email importance',
+                'error',
+                { 
+                    endpoint: '/api/mail/:id/importance',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'setEmailImportance',
+                    emailId: req.params.id,
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to set email importance', {
+                    error: err.message,
+                    operation: 'setEmailImportance',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to set email importance', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'setEmailImportance',
+                    emailId: req.params.id,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_IMPORTANCE_UPDATE_FAILED',
+                error_description: 'Failed to set email importance'
+            });
+        }
+    },
+
+    /**
+     * POST /api/mail/search
+     * Search emails with structured criteria; the response reports whether Graph ran it as search or filter
+     */
+    async searchEmailsByCriteria(req, res) {
+        const startTime = Date.now();
+        
+        // Extract user context from auth middleware
+        const { userId = null, deviceId = null } = req.user || {};
+        const sessionId = req.session?.id;
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Processing searchEmailsByCriteria request', {
+                    method: req.method,
+                    path: req.path,
+                    criteria: Object.keys(req.body || {}),
+                    sessionId,
+                    userAgent: req.get('User-Agent'),
+                    timestamp: new Date().toISOString(),
+                    userId,
+                    deviceId
+                }, 'mail');
+            }
+            
+            // Ensure content type is set explicitly
+            res.setHeader('Content-Type', 'application/json');
+            
+            // Validate request body using helper function
+            const { error, value } = validateAndLog(req, schemas.searchEmailsByCriteria, 'searchEmailsByCriteria', { userId, deviceId });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid request', details: error.details });
+            }
+            
+            const { top, mailbox, ...criteria } = value;
+            const result = await mailModule.searchEmailsByCriteria(criteria, { top, mailbox }, req);
+            
+            // Track performance
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.searchEmailsByCriteria.duration', duration, {
+                mode: result.mode,
+                resultCount: result.count,
+                success: true,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Searched emails by criteria successfully', {
+                    mode: result.mode,
+                    resultCount: result.count,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Searched emails by criteria with session', {
+                    sessionId,
+                    mode: result.mode,
+                    resultCount: result.count,
+                    duration: duration,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.json(result);
+        } catch (err) {
+            // Track error metrics
+            const duration = Date.now() - startTime;
+            MonitoringService.trackMetric('mail.searchEmailsByCriteria.error', 1, {
+                errorMessage: err.message,
+                duration,
+                success: false,
+                userId,
+                deviceId
+            });
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                'Failed to search emails by criteria',
+                'error',
+                { 
+                    endpoint: '/api/mail/search',
+                    error: err.message,
+                    stack: err.stack,
+                    operation: 'searchEmailsByCriteria',
+                    userId,
+                    deviceId,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to search emails by criteria', {
+                    error: err.message,
+                    operation: 'searchEmailsByCriteria',
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to search emails by criteria', {
+                    sessionId,
+                    error: err.message,
+                    operation: 'searchEmailsByCriteria',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            res.status(500).json({ 
+                error: 'MAIL_SEARCH_FAILED',
+                error_description: 'Failed to search emails by criteria'
+            });
+        }
     }
 });
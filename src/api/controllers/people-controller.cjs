@@ -20,9 +20,12 @@ function validateAndLog(req, schema, operation, userContext = {}) {
     
     // Determine what to validate based on the schema
     let dataToValidate;
-    if (schema === schemas.getPersonById) {
+    if (schema === schemas.getPersonById || schema === schemas.getContact || schema === schemas.deleteContact) {
         // For path parameters
         dataToValidate = req.params;
+    } else if (schema === schemas.createContact || schema === schemas.updateContact) {
+        // For request bodies
+        dataToValidate = req.body;
     } else {
         // For query parameters
         dataToValidate = req.query;
@@ -50,6 +53,42 @@ function validateAndLog(req, schema, operation, userContext = {}) {
     return { error, value };
 };
 
+// Contact fields accepted on create and update; single values are allowed where Graph takes a list
+const contactAddressSchema = Joi.object({
+    street: Joi.string().allow('').optional(),
+    city: Joi.string().allow('').optional(),
+    state: Joi.string().allow('').optional(),
+    postalCode: Joi.string().allow('').optional(),
+    countryOrRegion: Joi.string().allow('').optional()
+});
+const contactEmailSchema = Joi.alternatives().try(
+    Joi.string().email(),
+    Joi.object({
+        address: Joi.string().email().required(),
+        name: Joi.string().optional()
+    })
+);
+const contactPhonesSchema = Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()));
+const contactFields = {
+    displayName: Joi.string().optional(),
+    givenName: Joi.string().allow('').optional(),
+    surname: Joi.string().allow('').optional(),
+    nickName: Joi.string().allow('').optional(),
+    emailAddresses: Joi.alternatives().try(contactEmailSchema, Joi.array().items(contactEmailSchema).max(3)).optional(),
+    mobilePhone: Joi.string().allow('').optional(),
+    businessPhones: contactPhonesSchema.optional(),
+    homePhones: contactPhonesSchema.optional(),
+    jobTitle: Joi.string().allow('').optional(),
+    companyName: Joi.string().allow('').optional(),
+    department: Joi.string().allow('').optional(),
+    officeLocation: Joi.string().allow('').optional(),
+    businessAddress: contactAddressSchema.optional(),
+    homeAddress: contactAddressSchema.optional(),
+    birthday: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(null, '').optional(),
+    notes: Joi.string().allow('').optional(),
+    categories: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())).optional()
+};
+
 /**
  * Joi validation schemas for people endpoints
  */
@@ -73,7 +112,34 @@ const schemas = {
     
     getPersonById: Joi.object({
         id: Joi.string().required()
-    })
+    }),
+    
+    listContacts: Joi.object({
+        limit: Joi.number().integer().min(1).max(100).optional(),
+        skip: Joi.number().integer().min(0).optional(),
+        folderId: Joi.string().optional()
+    }),
+    
+    searchContacts: Joi.object({
+        query: Joi.string().trim().min(1).required(),
+        limit: Joi.number().integer().min(1).max(100).optional(),
+        folderId: Joi.string().optional()
+    }),
+    
+    getContact: Joi.object({
+        id: Joi.string().required()
+    }),
+    
+    deleteContact: Joi.object({
+        id: Joi.string().required()
+    }),
+    
+    createContact: Joi.object({
+        ...contactFields,
+        folderId: Joi.string().optional()
+    }).or('displayName', 'givenName', 'surname', 'companyName', 'emailAddresses'),
+    
+    updateContact: Joi.object(contactFields).min(1)
 };
 
 /**
@@ -603,6 +669,793 @@ function createPeopleController({ peopleModule }) {
                     error_description: 'Failed to find people'
                 });
             }
+        },
+        
+        /**
+         * List the user's Outlook contacts.
+         * @param {object} req - Express request
+         * @param {object} res - Express response
+         */
+        async listContacts(req, res) {
+            // Extract user context from auth middleware
+            const { userId = null, deviceId = null } = req.user || {};
+            const sessionId = req.session?.id;
+            
+            const startTime = Date.now();
+            try {
+                // Pattern 1: Development Debug Logs
+                if (process.env.NODE_ENV === 'development') {
+                    MonitoringService.debug('Processing listContacts request', {
+                        method: req.method,
+                        path: req.path,
+                        sessionId,
+                        userAgent: req.get('User-Agent'),
+                        timestamp: new Date().toISOString(),
+                        userId,
+                        deviceId
+                    }, 'people');
+                }
+                
+                // Validate query parameters
+                const { error: queryError, value: queryValue } = validateAndLog(req, schemas.listContacts, 'listContacts', { userId, deviceId });
+                if (queryError) {
+                    return res.status(400).json({ error: 'Invalid request', details: queryError.details });
+                }
+                
+                const options = {
+                    top: queryValue.limit || 50,
+                    skip: queryValue.skip,
+                    folderId: queryValue.folderId
+                };
+                
+                const contacts = await peopleModule.listContacts(options, req);
+                
+                // Pattern 2: User Activity Logs
+                if (userId) {
+                    MonitoringService.info('listContacts completed successfully', {
+                        contactCount: contacts.length,
+                        limit: options.top,
+                        duration: Date.now() - startTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.info('listContacts completed with session', {
+                        sessionId,
+                        contactCount: contacts.length,
+                        limit: options.top,
+                        duration: Date.now() - startTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                // Track performance with user context
+                const duration = Date.now() - startTime;
+                MonitoringService.trackMetric('people.listContacts.duration', duration, {
+                    contactCount: contacts.length,
+                    success: true,
+                    userId,
+                    deviceId
+                });
+                
+                res.json({ contacts });
+            } catch (error) {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'people',
+                    'Failed to list contacts',
+                    'error',
+                    { 
+                        endpoint: '/api/v1/contacts',
+                        error: error.message,
+                        stack: error.stack,
+                        operation: 'listContacts',
+                        userId,
+                        deviceId,
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('listContacts failed', {
+                        error: error.message,
+                        operation: 'listContacts',
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('listContacts failed', {
+                        sessionId,
+                        error: error.message,
+                        operation: 'listContacts',
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                // Track error metrics with user context
+                const duration = Date.now() - startTime;
+                MonitoringService.trackMetric('people.listContacts.error', 1, {
+                    errorMessage: error.message,
+                    duration,
+                    success: false,
+                    userId,
+                    deviceId
+                });
+                
+                res.status(500).json({ 
+                    error: 'CONTACTS_RETRIEVAL_FAILED',
+                    error_description: 'Failed to retrieve contacts'
+                });
+            }
+        },
+        
+        /**
+         * Search Outlook contacts by name, company or email address.
+         * @param {object} req - Express request
+         * @param {object} res - Express response
+         */
+        async searchContacts(req, res) {
+            // Extract user context from auth middleware
+            const { userId = null, deviceId = null } = req.user || {};
+            const sessionId = req.session?.id;
+            
+            const startTime = Date.now();
+            try {
+                // Pattern 1: Development Debug Logs
+                if (process.env.NODE_ENV === 'development') {
+                    MonitoringService.debug('Processing searchContacts request', {
+                        method: req.method,
+                        path: req.path,
+                        sessionId,
+                        userAgent: req.get('User-Agent'),
+                        timestamp: new Date().toISOString(),
+                        userId,
+                        deviceId
+                    }, 'people');
+                }
+                
+                // Validate query parameters
+                const { error: queryError, value: queryValue } = validateAndLog(req, schemas.searchContacts, 'searchContacts', { userId, deviceId });
+                if (queryError) {
+                    return res.status(400).json({ error: 'Invalid request', details: queryError.details });
+                }
+                
+                const contacts = await peopleModule.searchContacts(queryValue.query, {
+                    top: queryValue.limit || 25,
+                    folderId: queryValue.folderId
+                }, req);
+                
+                // Pattern 2: User Activity Logs
+                if (userId) {
+                    MonitoringService.info('searchContacts completed successfully', {
+                        contactCount: contacts.length,
+                        duration: Date.now() - startTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.info('searchContacts completed with session', {
+                        sessionId,
+                        contactCount: contacts.length,
+                        duration: Date.now() - startTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                // Track performance with user context
+                const duration = Date.now() - startTime;
+                MonitoringService.trackMetric('people.searchContacts.duration', duration, {
+                    contactCount: contacts.length,
+                    queryLength: queryValue.query.length,
+                    success: true,
+                    userId,
+                    deviceId
+                });
+                
+                res.json({ contacts });
+            } catch (error) {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'people',
+                    'Failed to search contacts',
+                    'error',
+                    { 
+                        endpoint: '/api/v1/contacts/search',
+                        error: error.message,
+                        stack: error.stack,
+                        operation: 'searchContacts',
+                        userId,
+                        deviceId,
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('searchContacts failed', {
+                        error: error.message,
+                        operation: 'searchContacts',
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('searchContacts failed', {
+                        sessionId,
+                        error: error.message,
+                        operation: 'searchContacts',
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                // Track error metrics with user context
+                const duration = Date.now() - startTime;
+                MonitoringService.trackMetric('people.searchContacts.error', 1, {
+                    errorMessage: error.message,
+                    duration,
+                    success: false,
+                    userId,
+                    deviceId
+                });
+                
+                res.status(500).json({ 
+                    error: 'CONTACTS_SEARCH_FAILED',
+                    error_description: 'Failed to search contacts'
+                });
+            }
+        },
+        
+        /**
+         * Get a single Outlook contact by ID.
+         * @param {object} req - Express request
+         * @param {object} res - Express response
+         */
+        async getContact(req, res) {
+            // Extract user context from auth middleware
+            const { userId = null, deviceId = null } = req.user || {};
+            const sessionId = req.session?.id;
+            
+            const startTime = Date.now();
+            try {
+                // Pattern 1: Development Debug Logs
+                if (process.env.NODE_ENV === 'development') {
+                    MonitoringService.debug('Processing getContact request', {
+                        method: req.method,
+                        path: req.path,
+                        sessionId,
+                        userAgent: req.get('User-Agent'),
+                        timestamp: new Date().toISOString(),
+                        userId,
+                        deviceId
+                    }, 'people');
+                }
+                
+                // Validate path parameters
+                const { error: paramsError, value: paramsValue } = validateAndLog(req, schemas.getContact, 'getContact', { userId, deviceId });
+                if (paramsError) {
+                    return res.status(400).json({ error: 'Invalid request', details: paramsError.details });
+                }
+                
+                const contact = await peopleModule.getContact(paramsValue.id, req);
+                
+                // Pattern 2: User Activity Logs
+                if (userId) {
+                    MonitoringService.info('getContact completed successfully', {
+                        contactId: contact.id,
+                        duration: Date.now() - startTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.info('getContact completed with session', {
+                        sessionId,
+                        contactId: contact.id,
+                        duration: Date.now() - startTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                // Track performance with user context
+                const duration = Date.now() - startTime;
+                MonitoringService.trackMetric('people.getContact.duration', duration, {
+                    success: true,
+                    userId,
+                    deviceId
+                });
+                
+                res.json(contact);
+            } catch (error) {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'people',
+                    'Failed to get contact',
+                    'error',
+                    { 
+                        endpoint: '/api/v1/contacts/:id',
+                        error: error.message,
+                        stack: error.stack,
+                        operation: 'getContact',
+                        contactId: req.params?.id,
+                        userId,
+                        deviceId,
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('getContact failed', {
+                        error: error.message,
+                        operation: 'getContact',
+                        contactId: req.params?.id,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('getContact failed', {
+                        sessionId,
+                        error: error.message,
+                        operation: 'getContact',
+                        contactId: req.params?.id,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                // Track error metrics with user context
+                const duration = Date.now() - startTime;
+                MonitoringService.trackMetric('people.getContact.error', 1, {
+                    errorMessage: error.message,
+                    duration,
+                    success: false,
+                    userId,
+                    deviceId
+                });
+                
+                res.status(500).json({ 
+                    error: 'CONTACT_RETRIEVAL_FAILED',
+                    error_description: 'Failed to retrieve contact'
+                });
+            }
+        },
+        
+        /**
+         * Create an Outlook contact.
+         * @param {object} req - Express request
+         * @param {object} res - Express response
+         */
+        async createContact(req, res) {
+            // Extract user context from auth middleware
+            const { userId = null, deviceId = null } = req.user || {};
+            const sessionId = req.session?.id;
+            
+            const startTime = Date.now();
+            try {
+                // Pattern 1: Development Debug Logs
+                if (process.env.NODE_ENV === 'development') {
+                    MonitoringService.debug('Processing createContact request', {
+                        method: req.method,
+                        path: req.path,
+                        sessionId,
+                        userAgent: req.get('User-Agent'),
+                        timestamp: new Date().toISOString(),
+                        userId,
+                        deviceId
+                    }, 'people');
+                }
+                
+                // Validate request body
+                const { error: bodyError, value: bodyValue } = validateAndLog(req, schemas.createContact, 'createContact', { userId, deviceId });
+                if (bodyError) {
+                    return res.status(400).json({ error: 'Invalid request', details: bodyError.details });
+                }
+                
+                const contact = await peopleModule.createContact(bodyValue, req);
+                
+                // Pattern 2: User Activity Logs
+                if (userId) {
+                    MonitoringService.info('createContact completed successfully', {
+                        contactId: contact.id,
+                        emailCount: contact.emailAddresses?.length || 0,
+                        duration: Date.now() - startTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.info('createContact completed with session', {
+                        sessionId,
+                        contactId: contact.id,
+                        emailCount: contact.emailAddresses?.length || 0,
+                        duration: Date.now() - startTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                // Track performance with user context
+                const duration = Date.now() - startTime;
+                MonitoringService.trackMetric('people.createContact.duration', duration, {
+                    hasFolder: !!bodyValue.folderId,
+                    success: true,
+                    userId,
+                    deviceId
+                });
+                
+                res.status(201).json(contact);
+            } catch (error) {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'people',
+                    'Failed to create contact',
+                    'error',
+                    { 
+                        endpoint: '/api/v1/contacts',
+                        error: error.message,
+                        stack: error.stack,
+                        operation: 'createContact',
+                        userId,
+                        deviceId,
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('createContact failed', {
+                        error: error.message,
+                        operation: 'createContact',
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('createContact failed', {
+                        sessionId,
+                        error: error.message,
+                        operation: 'createContact',
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                // Track error metrics with user context
+                const duration = Date.now() - startTime;
+                MonitoringService.trackMetric('people.createContact.error', 1, {
+                    errorMessage: error.message,
+                    duration,
+                    success: false,
+                    userId,
+                    deviceId
+                });
+                
+                res.status(500).json({ 
+                    error: 'CONTACT_CREATE_FAILED',
+                    error_description: 'Failed to create contact'
+                });
+            }
+        },
+        
+        /**
+         * Update fields of an Outlook contact.
+         * @param {object} req - Express request
+         * @param {object} res - Express response
+         */
+        async updateContact(req, res) {
+            // Extract user context from auth middleware
+            const { userId = null, deviceId = null } = req.user || {};
+            const sessionId = req.session?.id;
+            
+            const startTime = Date.now();
+            try {
+                // Pattern 1: Development Debug Logs
+                if (process.env.NODE_ENV === 'development') {
+                    MonitoringService.debug('Processing updateContact request', {
+                        method: req.method,
+                        path: req.path,
+                        sessionId,
+                        userAgent: req.get('User-Agent'),
+                        timestamp: new Date().toISOString(),
+                        userId,
+                        deviceId
+                    }, 'people');
+                }
+                
+                // Validate request body
+                const { error: bodyError, value: bodyValue } = validateAndLog(req, schemas.updateContact, 'updateContact', { userId, deviceId });
+                if (bodyError) {
+                    return res.status(400).json({ error: 'Invalid request', details: bodyError.details });
+                }
+                
+                const contact = await peopleModule.updateContact(req.params.id, bodyValue, req);
+                
+                // Pattern 2: User Activity Logs
+                if (userId) {
+                    MonitoringService.info('updateContact completed successfully', {
+                        contactId: contact.id,
+                        fields: Object.keys(bodyValue),
+                        duration: Date.now() - startTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.info('updateContact completed with session', {
+                        sessionId,
+                        contactId: contact.id,
+                        fields: Object.keys(bodyValue),
+                        duration: Date.now() - startTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                // Track performance with user context
+                const duration = Date.now() - startTime;
+                MonitoringService.trackMetric('people.updateContact.duration', duration, {
+                    fieldCount: Object.keys(bodyValue).length,
+                    success: true,
+                    userId,
+                    deviceId
+                });
+                
+                res.json(contact);
+            } catch (error) {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'people',
+                    'Failed to update contact',
+                    'error',
+                    { 
+                        endpoint: '/api/v1/contacts/:id',
+                        error: error.message,
+                        stack: error.stack,
+                        operation: 'updateContact',
+                        contactId: req.params?.id,
+                        userId,
+                        deviceId,
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('updateContact failed', {
+                        error: error.message,
+                        operation: 'updateContact',
+                        contactId: req.params?.id,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('updateContact failed', {
+                        sessionId,
+                        error: error.message,
+                        operation: 'updateContact',
+                        contactId: req.params?.id,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                // Track error metrics with user context
+                const duration = Date.now() - startTime;
+                MonitoringService.trackMetric('people.updateContact.error', 1, {
+                    errorMessage: error.message,
+                    duration,
+                    success: false,
+                    userId,
+                    deviceId
+                });
+                
+                res.status(500).json({ 
+                    error: 'CONTACT_UPDATE_FAILED',
+                    error_description: 'Failed to update contact'
+                });
+            }
+        },
+        
+        /**
+         * Delete an Outlook contact.
+         * @param {object} req - Express request
+         * @param {object} res - Express response
+         */
+        async deleteContact(req, res) {
+            // Extract user context from auth middleware
+            const { userId = null, deviceId = null } = req.user || {};
+            const sessionId = req.session?.id;
+            
+            const startTime = Date.now();
+            try {
+                // Pattern 1: Development Debug Logs
+                if (process.env.NODE_ENV === 'development') {
+                    MonitoringService.debug('Processing deleteContact request', {
+                        method: req.method,
+                        path: req.path,
+                        sessionId,
+                        userAgent: req.get('User-Agent'),
+                        timestamp: new Date().toISOString(),
+                        userId,
+                        deviceId
+                    }, 'people');
+                }
+                
+                // Validate path parameters
+                const { error: paramsError, value: paramsValue } = validateAndLog(req, schemas.deleteContact, 'deleteContact', { userId, deviceId });
+                if (paramsError) {
+                    return res.status(400).json({ error: 'Invalid request', details: paramsError.details });
+                }
+                
+                const result = await peopleModule.deleteContact(paramsValue.id, req);
+                
+                // Pattern 2: User Activity Logs
+                if (userId) {
+                    MonitoringService.info('deleteContact completed successfully', {
+                        contactId: paramsValue.id,
+                        duration: Date.now() - startTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.info('deleteContact completed with session', {
+                        sessionId,
+                        contactId: paramsValue.id,
+                        duration: Date.now() - startTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                // Track performance with user context
+                const duration = Date.now() - startTime;
+                MonitoringService.trackMetric('people.deleteContact.duration', duration, {
+                    success: true,
+                    userId,
+                    deviceId
+                });
+                
+                res.json(result);
+            } catch (error) {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'people',
+                    'Failed to delete contact',
+                    'error',
+                    { 
+                        endpoint: '/api/v1/contacts/:id',
+                        error: error.message,
+                        stack: error.stack,
+                        operation: 'deleteContact',
+                        contactId: req.params?.id,
+                        userId,
+                        deviceId,
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('deleteContact failed', {
+                        error: error.message,
+                        operation: 'deleteContact',
+                        contactId: req.params?.id,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('deleteContact failed', {
+                        sessionId,
+                        error: error.message,
+                        operation: 'deleteContact',
+                        contactId: req.params?.id,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                // Track error metrics with user context
+                const duration = Date.now() - startTime;
+                MonitoringService.trackMetric('people.deleteContact.error', 1, {
+                    errorMessage: error.message,
+                    duration,
+                    success: false,
+                    userId,
+                    deviceId
+                });
+                
+                res.status(500).json({ 
+                    error: 'CONTACT_DELETE_FAILED',
+                    error_description: 'Failed to delete contact'
+                });
+            }
+        },
+        
+        /**
+         * List the user's contact folders.
+         * @param {object} req - Express request
+         * @param {object} res - Express response
+         */
+        async listContactFolders(req, res) {
+            // Extract user context from auth middleware
+            const { userId = null, deviceId = null } = req.user || {};
+            const sessionId = req.session?.id;
+            
+            const startTime = Date.now();
+            try {
+                // Pattern 1: Development Debug Logs
+                if (process.env.NODE_ENV === 'development') {
+                    MonitoringService.debug('Processing listContactFolders request', {
+                        method: req.method,
+                        path: req.path,
+                        sessionId,
+                        userAgent: req.get('User-Agent'),
+                        timestamp: new Date().toISOString(),
+                        userId,
+                        deviceId
+                    }, 'people');
+                }
+                
+                const folders = await peopleModule.listContactFolders(req);
+                
+                // Pattern 2: User Activity Logs
+                if (userId) {
+                    MonitoringService.info('listContactFolders completed successfully', {
+                        folderCount: folders.length,
+                        duration: Date.now() - startTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.info('listContactFolders completed with session', {
+                        sessionId,
+                        folderCount: folders.length,
+                        duration: Date.now() - startTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                // Track performance with user context
+                const duration = Date.now() - startTime;
+                MonitoringService.trackMetric('people.listContactFolders.duration', duration, {
+                    folderCount: folders.length,
+                    success: true,
+                    userId,
+                    deviceId
+                });
+                
+                res.json({ folders });
+            } catch (error) {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'people',
+                    'Failed to list contact folders',
+                    'error',
+                    { 
+                        endpoint: '/api/v1/contacts/folders',
+                        error: error.message,
+                        stack: error.stack,
+                        operation: 'listContactFolders',
+                        userId,
+                        deviceId,
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('listContactFolders failed', {
+                        error: error.message,
+                        operation: 'listContactFolders',
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('listContactFolders failed', {
+                        sessionId,
+                        error: error.message,
+                        operation: 'listContactFolders',
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                // Track error metrics with user context
+                const duration = Date.now() - startTime;
+                MonitoringService.trackMetric('people.listContactFolders.error', 1, {
+                    errorMessage: error.message,
+                    duration,
+                    success: false,
+                    userId,
+                    deviceId
+                });
+                
+                res.status(500).json({ 
+                    error: 'CONTACT_FOLDERS_RETRIEVAL_FAILED',
+                    error_description: 'Failed to retrieve contact folders'
+                });
+            }
         }
     };
 }
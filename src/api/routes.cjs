@@ -238,15 +238,58 @@ function registerRoutes(router) {
     // TODO: Apply rate limiting
     mailRouter.post('/send', placeholderRateLimit, mailController.sendMail); // Corresponds to /v1/mail/send
     mailRouter.get('/search', mailController.searchMail); // Corresponds to /v1/mail/search
+    mailRouter.post('/search', mailController.searchEmailsByCriteria); // Corresponds to /v1/mail/search
     mailRouter.get('/attachments', mailController.getMailAttachments); // Corresponds to /v1/mail/attachments
+    // Draft routes (create, review, edit, then send or discard)
+    mailRouter.get('/drafts', mailController.listDrafts); // Corresponds to /v1/mail/drafts
+    mailRouter.post('/drafts', placeholderRateLimit, mailController.createDraft); // Corresponds to /v1/mail/drafts
+    mailRouter.patch('/drafts/:id', placeholderRateLimit, mailController.updateDraft); // Corresponds to /v1/mail/drafts/:id
+    mailRouter.post('/drafts/:id/send', placeholderRateLimit, mailController.sendDraft); // Corresponds to /v1/mail/drafts/:id/send
+    mailRouter.delete('/drafts/:id', mailController.deleteDraft); // Corresponds to /v1/mail/drafts/:id
+    // Scheduled send routes
+    mailRouter.get('/scheduled', mailController.listScheduledEmails); // Corresponds to /v1/mail/scheduled
+    mailRouter.post('/scheduled/:id/cancel', placeholderRateLimit, mailController.cancelScheduledEmail); // Corresponds to /v1/mail/scheduled/:id/cancel
+    // Mail folder routes
+    mailRouter.get('/folders', mailController.listMailFolders); // Corresponds to /v1/mail/folders
+    mailRouter.post('/folders', placeholderRateLimit, mailController.createMailFolder); // Corresponds to /v1/mail/folders
+    mailRouter.get('/folders/:folderId/messages', mailController.getMessagesInFolder); // Corresponds to /v1/mail/folders/:folderId/messages
+    mailRouter.get('/conversation', mailController.getConversation); // Corresponds to /v1/mail/conversation
+    mailRouter.get('/changes', mailController.getMailChanges); // Corresponds to /v1/mail/changes
+    // Inbox rule routes
+    mailRouter.get('/rules', mailController.listMailRules); // Corresponds to /v1/mail/rules
+    mailRouter.post('/rules', placeholderRateLimit, mailController.createMailRule); // Corresponds to /v1/mail/rules
+    mailRouter.patch('/rules/:id', placeholderRateLimit, mailController.updateMailRule); // Corresponds to /v1/mail/rules/:id
+    mailRouter.delete('/rules/:id', mailController.deleteMailRule); // Corresponds to /v1/mail/rules/:id
+    // Mailbox settings routes
+    mailRouter.get('/settings', mailController.getMailboxSettings); // Corresponds to /v1/mail/settings
+    mailRouter.patch('/settings', placeholderRateLimit, mailController.updateMailboxSettings); // Corresponds to /v1/mail/settings
+    mailRouter.get('/settings/automaticReplies', mailController.getAutomaticReplies); // Corresponds to /v1/mail/settings/automaticReplies
+    mailRouter.patch('/settings/automaticReplies', placeholderRateLimit, mailController.setAutomaticReplies); // Corresponds to /v1/mail/settings/automaticReplies
+    mailRouter.post('/import', placeholderRateLimit, mailController.importMimeMessage); // Corresponds to /v1/mail/import
+    mailRouter.post('/bulk', placeholderRateLimit, mailController.bulkMailAction); // Corresponds to /v1/mail/bulk
+    // Category routes
+    mailRouter.get('/categories', mailController.listCategories); // Corresponds to /v1/mail/categories
+    mailRouter.post('/categories', placeholderRateLimit, mailController.createCategory); // Corresponds to /v1/mail/categories
+    mailRouter.patch('/categories/:id', placeholderRateLimit, mailController.updateCategory); // Corresponds to /v1/mail/categories/:id
+    mailRouter.delete('/categories/:id', mailController.deleteCategory); // Corresponds to /v1/mail/categories/:id
     // IMPORTANT: Route order matters! Put specific routes before parametrized routes
     // Route order problem fixed: Specific routes now come before the :id pattern
     mailRouter.patch('/:id/read', placeholderRateLimit, mailController.markAsRead); // Corresponds to /v1/mail/:id/read
+    mailRouter.patch('/:id/categories', placeholderRateLimit, mailController.setEmailCategories); // Corresponds to /v1/mail/:id/categories
+    mailRouter.patch('/:id/importance', placeholderRateLimit, mailController.setEmailImportance); // Corresponds to /v1/mail/:id/importance
     // Flag/unflag email route
     mailRouter.post('/flag', placeholderRateLimit, mailController.flagMail); // Corresponds to /v1/mail/flag
     // Mail attachment routes
     mailRouter.post('/:id/attachments', placeholderRateLimit, mailController.addMailAttachment); // Corresponds to /v1/mail/:id/attachments
     mailRouter.delete('/:id/attachments/:attachmentId', mailController.removeMailAttachment); // Corresponds to /v1/mail/:id/attachments/:attachmentId
+    // Reply, reply-all and forward routes
+    mailRouter.post('/:id/reply', placeholderRateLimit, mailController.replyToEmail); // Corresponds to /v1/mail/:id/reply
+    mailRouter.post('/:id/replyAll', placeholderRateLimit, mailController.replyAllToEmail); // Corresponds to /v1/mail/:id/replyAll
+    mailRouter.post('/:id/forward', placeholderRateLimit, mailController.forwardEmail); // Corresponds to /v1/mail/:id/forward
+    // Move/copy routes
+    mailRouter.post('/:id/move', placeholderRateLimit, mailController.moveEmail); // Corresponds to /v1/mail/:id/move
+    mailRouter.post('/:id/copy', placeholderRateLimit, mailController.copyEmail); // Corresponds to /v1/mail/:id/copy
+    mailRouter.get('/:id/mime', mailController.exportEmailAsMime); // Corresponds to /v1/mail/:id/mime
     mailRouter.get('/:id', mailController.getEmailDetails); // Corresponds to /v1/mail/:id
     v1.use('/mail', mailRouter);
 
@@ -255,6 +298,7 @@ function registerRoutes(router) {
     // Apply controller logger middleware
     calendarRouter.use(controllerLogger());
     calendarRouter.get('/', calendarController.getEvents); // /v1/calendar
+    calendarRouter.get('/view', calendarController.getCalendarView); // /v1/calendar/view
     // TODO: Apply rate limiting
     calendarRouter.post('/events', placeholderRateLimit, calendarController.createEvent); // /v1/calendar/events
     calendarRouter.put('/events/:id', calendarController.updateEvent); // /v1/calendar/events/:id 
@@ -269,13 +313,36 @@ function registerRoutes(router) {
     calendarRouter.post('/events/:id/decline', placeholderRateLimit, calendarController.declineEvent);
     // TODO: Apply rate limiting
     calendarRouter.post('/events/:id/cancel', placeholderRateLimit, calendarController.cancelEvent);
+    calendarRouter.get('/events/:id/instances', calendarController.getEventInstances); // /v1/calendar/events/:id/instances
+    calendarRouter.get('/events/:id/joinInfo', calendarController.getMeetingJoinInfo); // /v1/calendar/events/:id/joinInfo
+    calendarRouter.post('/events/:id/forward', placeholderRateLimit, calendarController.forwardEvent); // /v1/calendar/events/:id/forward
+    calendarRouter.get('/proposals', calendarController.getPendingProposals); // /v1/calendar/proposals
+    calendarRouter.post('/events/:id/acceptProposal', placeholderRateLimit, calendarController.acceptProposedTime); // /v1/calendar/events/:id/acceptProposal
+    calendarRouter.get('/responses', calendarController.getResponseStatus); // /v1/calendar/responses
+    calendarRouter.post('/events/:id/responseReminder', placeholderRateLimit, calendarController.draftResponseReminder); // /v1/calendar/events/:id/responseReminder
+    calendarRouter.post('/schedule', placeholderRateLimit, calendarController.autoSchedule); // /v1/calendar/schedule
+    calendarRouter.post('/schedule/:runId/rollback', placeholderRateLimit, calendarController.rollbackSchedule); // /v1/calendar/schedule/:runId/rollback
     // TODO: Apply rate limiting
     calendarRouter.post('/findMeetingTimes', placeholderRateLimit, calendarController.findMeetingTimes);
     calendarRouter.get('/rooms', calendarController.getRooms);
     calendarRouter.get('/calendars', calendarController.getCalendars);
+    calendarRouter.post('/calendars', placeholderRateLimit, calendarController.createCalendar); // /v1/calendar/calendars
+    calendarRouter.patch('/calendars/:calendarId', placeholderRateLimit, calendarController.updateCalendar); // /v1/calendar/calendars/:calendarId
+    calendarRouter.delete('/calendars/:calendarId', calendarController.deleteCalendar); // /v1/calendar/calendars/:calendarId
+    calendarRouter.get('/calendars/:calendarId/permissions', calendarController.getCalendarPermissions); // /v1/calendar/calendars/:calendarId/permissions
+    calendarRouter.post('/calendars/:calendarId/permissions', placeholderRateLimit, calendarController.shareCalendar); // /v1/calendar/calendars/:calendarId/permissions
+    calendarRouter.patch('/calendars/:calendarId/permissions/:permission', placeholderRateLimit, calendarController.updateCalendarPermission); // /v1/calendar/calendars/:calendarId/permissions/:permission
+    calendarRouter.delete('/calendars/:calendarId/permissions/:permission', calendarController.revokeCalendarPermission); // /v1/calendar/calendars/:calendarId/permissions/:permission
+    calendarRouter.get('/calendarGroups', calendarController.getCalendarGroups); // /v1/calendar/calendarGroups
+    calendarRouter.post('/calendarGroups', placeholderRateLimit, calendarController.createCalendarGroup); // /v1/calendar/calendarGroups
+    calendarRouter.patch('/calendarGroups/:groupId', placeholderRateLimit, calendarController.updateCalendarGroup); // /v1/calendar/calendarGroups/:groupId
+    calendarRouter.delete('/calendarGroups/:groupId', calendarController.deleteCalendarGroup); // /v1/calendar/calendarGroups/:groupId
+    calendarRouter.get('/export', calendarController.exportEvents); // /v1/calendar/export
+    calendarRouter.post('/import', placeholderRateLimit, calendarController.importEvents); // /v1/calendar/import
     // TODO: Apply rate limiting
     calendarRouter.post('/events/:id/attachments', placeholderRateLimit, calendarController.addAttachment);
     calendarRouter.delete('/events/:id/attachments/:attachmentId', calendarController.removeAttachment);
+    calendarRouter.patch('/events/:id/categories', placeholderRateLimit, calendarController.setEventCategories);
     v1.use('/calendar', calendarRouter);
 
     // --- Files Router --- 
@@ -298,6 +365,7 @@ function registerRoutes(router) {
     filesRouter.get('/sharing', filesController.getSharingLinks);
     // TODO: Apply rate limiting
     filesRouter.post('/sharing/remove', placeholderRateLimit, filesController.removeSharingPermission);
+    filesRouter.post('/saveEmail', placeholderRateLimit, filesController.saveEmailToOneDrive); // /v1/files/saveEmail
     v1.use('/files', filesRouter);
 
     // --- People Router --- 
@@ -309,6 +377,19 @@ function registerRoutes(router) {
     peopleRouter.get('/:id', peopleController.getPersonById); // /v1/people/:id
     v1.use('/people', peopleRouter);
 
+    // --- Contacts Router --- (Outlook personal contacts, served by the people controller)
+    const contactsRouter = express.Router();
+    // Apply controller logger middleware
+    contactsRouter.use(controllerLogger());
+    contactsRouter.get('/', peopleController.listContacts); // /v1/contacts
+    contactsRouter.get('/search', peopleController.searchContacts); // /v1/contacts/search?query=
+    contactsRouter.get('/folders', peopleController.listContactFolders); // /v1/contacts/folders
+    contactsRouter.get('/:id', peopleController.getContact); // /v1/contacts/:id
+    contactsRouter.post('/', placeholderRateLimit, peopleController.createContact); // /v1/contacts
+    contactsRouter.patch('/:id', placeholderRateLimit, peopleController.updateContact); // /v1/contacts/:id
+    contactsRouter.delete('/:id', peopleController.deleteContact); // /v1/contacts/:id
+    v1.use('/contacts', contactsRouter);
+
     // --- Log Router --- (No Auth required for logs)
     const logRouter = express.Router();
     // Apply controller logger middleware
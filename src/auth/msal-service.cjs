@@ -23,6 +23,7 @@ const SCOPES = [
     'Calendars.ReadWrite',  // Full access to user calendars
     'Mail.ReadWrite',      // Read and write access to user mail
     'Mail.Send',          // Send mail as a user
+    'Contacts.ReadWrite',  // Read and write the user's Outlook contacts
     'Files.ReadWrite'      // Full access to user files
 ];
 
@@ -7,6 +7,24 @@
 const ErrorService = require('./error-service.cjs');
 const MonitoringService = require('./monitoring-service.cjs');
 
+/**
+ * Optional parameter for mail and calendar tools that can act on a shared or delegated mailbox
+ */
+const MAILBOX_PARAMETER = {
+    type: 'string',
+    description: 'Shared or delegated mailbox to use (email address or user ID); defaults to your own',
+    optional: true
+};
+
+/**
+ * Optional parameter for calendar tools that can double-book the organizer or attendees
+ */
+const CONFLICT_POLICY_PARAMETER = {
+    type: 'string',
+    description: 'What to do if the organizer or an attendee is already busy: "warn" (default) saves and returns a conflicts report with alternative slots, "block" saves nothing and returns the report, "ignore" skips the check',
+    optional: true
+};
+
 // Log service initialization
 MonitoringService.info('Tools service factory initialized', {
     serviceName: 'tools-service',
@@ -150,6 +168,32 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
         markEmailRead: { moduleName: 'mail', methodName: 'markAsRead' },
         addMailAttachment: { moduleName: 'mail', methodName: 'addMailAttachment' },
         removeMailAttachment: { moduleName: 'mail', methodName: 'removeMailAttachment' },
+        replyToMail: { moduleName: 'mail', methodName: 'replyToEmail' },
+        replyAllToMail: { moduleName: 'mail', methodName: 'replyAllToEmail' },
+        forwardMail: { moduleName: 'mail', methodName: 'forwardEmail' },
+        createMailDraft: { moduleName: 'mail', methodName: 'createDraft' },
+        updateMailDraft: { moduleName: 'mail', methodName: 'updateDraft' },
+        listMailDrafts: { moduleName: 'mail', methodName: 'listDrafts' },
+        sendMailDraft: { moduleName: 'mail', methodName: 'sendDraft' },
+        deleteMailDraft: { moduleName: 'mail', methodName: 'deleteDraft' },
+        getMailFolders: { moduleName: 'mail', methodName: 'listMailFolders' },
+        getFolderMail: { moduleName: 'mail', methodName: 'getMessagesInFolder' },
+        moveMail: { moduleName: 'mail', methodName: 'moveEmail' },
+        copyMail: { moduleName: 'mail', methodName: 'copyEmail' },
+        getMailThread: { moduleName: 'mail', methodName: 'getConversation' },
+        checkNewMail: { moduleName: 'mail', methodName: 'getMailChanges' },
+        getMailRules: { moduleName: 'mail', methodName: 'listMailRules' },
+        getOutOfOffice: { moduleName: 'mail', methodName: 'getAutomaticReplies' },
+        setOutOfOffice: { moduleName: 'mail', methodName: 'setAutomaticReplies' },
+        exportMail: { moduleName: 'mail', methodName: 'exportEmailAsMime' },
+        getScheduledMail: { moduleName: 'mail', methodName: 'listScheduledEmails' },
+        bulkMail: { moduleName: 'mail', methodName: 'bulkMailAction' },
+        getCategories: { moduleName: 'mail', methodName: 'listCategories' },
+        findMail: { moduleName: 'mail', methodName: 'searchEmailsByCriteria' },
+        categorizeMail: { moduleName: 'mail', methodName: 'setEmailCategories' },
+        setMailImportance: { moduleName: 'mail', methodName: 'setEmailImportance' },
+        cancelScheduledMail: { moduleName: 'mail', methodName: 'cancelScheduledEmail' },
+        importMail: { moduleName: 'mail', methodName: 'importMimeMessage' },
         
         // Calendar module tools
         getCalendar: { moduleName: 'calendar', methodName: 'getEvents' },
@@ -164,12 +208,18 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
         findMeetingTimes: { moduleName: 'calendar', methodName: 'findMeetingTimes' },
         addAttachment: { moduleName: 'calendar', methodName: 'addAttachment' },
         removeAttachment: { moduleName: 'calendar', methodName: 'removeAttachment' },
+        categorizeEvent: { moduleName: 'calendar', methodName: 'setEventCategories' },
+        getSeriesOccurrences: { moduleName: 'calendar', methodName: 'getEventInstances' },
+        exportIcs: { moduleName: 'calendar', methodName: 'exportEvents' },
+        importIcs: { moduleName: 'calendar', methodName: 'importEvents' },
+        unshareCalendar: { moduleName: 'calendar', methodName: 'revokeCalendarPermission' },
         
         // Files module tools
         listFiles: { moduleName: 'files', methodName: 'listFiles' },
         searchFiles: { moduleName: 'files', methodName: 'searchFiles' },
         downloadFile: { moduleName: 'files', methodName: 'downloadFile' },
         uploadFile: { moduleName: 'files', methodName: 'uploadFile' },
+        saveMailToOneDrive: { moduleName: 'files', methodName: 'saveEmailToOneDrive' },
         getFileMetadata: { moduleName: 'files', methodName: 'getFileMetadata' },
         getFileContent: { moduleName: 'files', methodName: 'getFileContent' },
         setFileContent: { moduleName: 'files', methodName: 'setFileContent' },
@@ -182,6 +232,10 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
         findPeople: { moduleName: 'people', methodName: 'find' },
         getRelevantPeople: { moduleName: 'people', methodName: 'getRelevantPeople' },
         getPersonById: { moduleName: 'people', methodName: 'getPersonById' },
+        getContacts: { moduleName: 'people', methodName: 'listContacts' },
+        findContacts: { moduleName: 'people', methodName: 'searchContacts' },
+        saveContact: { moduleName: 'people', methodName: 'createContact' },
+        getContactFolders: { moduleName: 'people', methodName: 'listContactFolders' },
         
         // Query module
         query: { moduleName: 'query', methodName: 'processQuery' }
@@ -245,7 +299,8 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                 toolDef.parameters = {
                     limit: { type: 'number', description: 'Maximum number of messages to retrieve', optional: true, default: 20 },
                     filter: { type: 'string', description: 'Filter string for messages', optional: true },
-                    debug: { type: 'boolean', description: 'Enable debug mode to return raw message data', optional: true, default: false }
+                    debug: { type: 'boolean', description: 'Enable debug mode to return raw message data', optional: true, default: false },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 break;
             case 'sendEmail':
@@ -292,7 +347,18 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                         type: 'array', 
                         description: 'File attachments', 
                         optional: true 
-                    }
+                    },
+                    sendAt: { 
+                        type: 'string', 
+                        description: 'Schedule the email instead of sending now. ISO 8601 date/time, e.g. 2026-10-20T08:00:00; include an offset or set sendAtTimeZone', 
+                        optional: true 
+                    },
+                    sendAtTimeZone: { 
+                        type: 'string', 
+                        description: 'Time zone for sendAt without an offset, e.g. the recipient\'s "Pacific Standard Time" or "Europe/Oslo" (default: your mailbox time zone)', 
+                        optional: true 
+                    },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 break;
             case 'searchEmails':
@@ -311,7 +377,8 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                         description: 'Maximum number of results to return', 
                         optional: true,
                         default: 20
-                    }
+                    },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 break;
             case 'flagEmail':
@@ -330,7 +397,8 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                         description: 'Whether to flag (true) or unflag (false) the email',
                         optional: true,
                         default: true
-                    }
+                    },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 break;
             case 'getAttachments':
@@ -343,10 +411,12 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                         type: 'string', 
                         description: 'Email ID to get attachments for',
                         required: true
-                    }
+                    },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 toolDef.parameterMapping = {
-                    id: { inQuery: true }
+                    id: { inQuery: true },
+                    mailbox: { inQuery: true }
                 };
                 break;
             case 'getEmailDetails':
@@ -356,7 +426,14 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                 toolDef.endpoint = '/api/v1/mail/:id';
                 toolDef.method = 'GET';
                 toolDef.parameters = {
-                    id: { type: 'string', description: 'Email ID to retrieve details for', required: true }
+                    id: { type: 'string', description: 'Email ID to retrieve details for', required: true },
+                    bodyFormat: {
+                        type: 'string',
+                        description: 'Body format: html (as sent), text, markdown, or summary-ready (plain text without links, signatures or quoted history). markdown or summary-ready use far fewer tokens than html',
+                        enum: ['html', 'text', 'markdown', 'summary-ready'],
+                        optional: true
+                    },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 // Ensure this tool is properly registered with the /v1/mail/:id endpoint
                 // Note: The :id in the path is a placeholder for the actual ID value
@@ -372,13 +449,15 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                 toolDef.method = 'PATCH';
                 toolDef.parameters = {
                     id: { type: 'string', description: 'Email ID to mark as read/unread' },
-                    isRead: { type: 'boolean', description: 'Whether to mark as read (true) or unread (false)', optional: true, default: true }
+                    isRead: { type: 'boolean', description: 'Whether to mark as read (true) or unread (false)', optional: true, default: true },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 // Ensure this tool is properly registered with the /api/v1/mail/:id/read endpoint
                 // Note: The :id in the path is a placeholder for the actual ID value
                 toolDef.parameterMapping = {
                     id: { inPath: true },
-                    isRead: { inBody: true }
+                    isRead: { inBody: true },
+                    mailbox: { inBody: true }
                 };
                 break;
 
@@ -391,14 +470,16 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                     name: { type: 'string', description: 'Name of the attachment file' },
                     contentBytes: { type: 'string', description: 'Base64 encoded content of the attachment' },
                     contentType: { type: 'string', description: 'MIME type of the attachment', optional: true },
-                    isInline: { type: 'boolean', description: 'Whether the attachment is inline', optional: true, default: false }
+                    isInline: { type: 'boolean', description: 'Whether the attachment is inline', optional: true, default: false },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 toolDef.parameterMapping = {
                     id: { inPath: true },
                     name: { inBody: true },
                     contentBytes: { inBody: true },
                     contentType: { inBody: true },
-                    isInline: { inBody: true }
+                    isInline: { inBody: true },
+                    mailbox: { inBody: true }
                 };
                 break;
             case 'removeMailAttachment':
@@ -407,11 +488,590 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                 toolDef.method = 'DELETE';
                 toolDef.parameters = {
                     id: { type: 'string', description: 'Email ID to remove attachment from' },
-                    attachmentId: { type: 'string', description: 'ID of the attachment to remove' }
+                    attachmentId: { type: 'string', description: 'ID of the attachment to remove' },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    attachmentId: { inPath: true },
+                    mailbox: { inQuery: true }
+                };
+                break;
+
+            case 'replyToEmail':
+            case 'replyToMail':
+            case 'replyAllToEmail':
+            case 'replyAllToMail': {
+                const isReplyAll = capability.startsWith('replyAll');
+                toolDef.description = isReplyAll
+                    ? 'Reply to the sender and all recipients of an email, keeping the conversation thread intact'
+                    : 'Reply to the sender of an email, keeping the conversation thread intact';
+                toolDef.endpoint = isReplyAll ? '/api/v1/mail/:id/replyAll' : '/api/v1/mail/:id/reply';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'ID of the email to reply to', required: true },
+                    comment: { type: 'string', description: 'Reply text, added above the quoted original message', optional: true },
+                    to: { type: 'string', description: 'Additional recipient email address(es). Can be a single email, comma-separated list, or array of emails', optional: true },
+                    cc: { type: 'string', description: 'Additional CC recipient email address(es)', optional: true },
+                    bcc: { type: 'string', description: 'BCC recipient email address(es)', optional: true },
+                    attachments: { type: 'array', description: 'File attachments (OneDrive file IDs or { name, contentType, contentBytes } objects)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    comment: { inBody: true },
+                    to: { inBody: true },
+                    cc: { inBody: true },
+                    bcc: { inBody: true },
+                    attachments: { inBody: true }
+                };
+                break;
+            }
+            case 'forwardEmail':
+            case 'forwardMail':
+                toolDef.description = 'Forward an email to new recipients, keeping the original message and its attachments';
+                toolDef.endpoint = '/api/v1/mail/:id/forward';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'ID of the email to forward', required: true },
+                    to: { type: 'string', description: 'Recipient email address(es). Can be a single email, comma-separated list, or array of emails', required: true },
+                    comment: { type: 'string', description: 'Text added above the forwarded message', optional: true },
+                    cc: { type: 'string', description: 'CC recipient email address(es)', optional: true },
+                    bcc: { type: 'string', description: 'BCC recipient email address(es)', optional: true },
+                    attachments: { type: 'array', description: 'Additional file attachments (OneDrive file IDs or { name, contentType, contentBytes } objects)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    to: { inBody: true },
+                    comment: { inBody: true },
+                    cc: { inBody: true },
+                    bcc: { inBody: true },
+                    attachments: { inBody: true }
+                };
+                break;
+
+            case 'createDraft':
+            case 'createMailDraft':
+                toolDef.description = 'Create a draft email for a person to review before it is sent. Use this instead of sendMail when the user wants to approve messages first';
+                toolDef.endpoint = '/api/v1/mail/drafts';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    subject: { type: 'string', description: 'Email subject', optional: true },
+                    body: { type: 'string', description: 'Email body content', optional: true },
+                    contentType: { type: 'string', description: 'Body format: Text or HTML (default: Text)', optional: true, enum: ['Text', 'HTML'] },
+                    to: { type: 'string', description: 'Recipient email address(es). Can be a single email, comma-separated list, or array of emails', optional: true },
+                    cc: { type: 'string', description: 'CC recipient email address(es)', optional: true },
+                    bcc: { type: 'string', description: 'BCC recipient email address(es)', optional: true },
+                    importance: { type: 'string', description: 'Message importance', optional: true, enum: ['low', 'normal', 'high'] },
+                    attachments: { type: 'array', description: 'File attachments (OneDrive file IDs or { name, contentType, contentBytes } objects)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    subject: { inBody: true },
+                    body: { inBody: true },
+                    contentType: { inBody: true },
+                    to: { inBody: true },
+                    cc: { inBody: true },
+                    bcc: { inBody: true },
+                    importance: { inBody: true },
+                    attachments: { inBody: true }
+                };
+                break;
+            case 'updateDraft':
+            case 'updateMailDraft':
+                toolDef.description = 'Update an existing draft email. Only the fields provided are changed; recipients replace the current list and attachments are added';
+                toolDef.endpoint = '/api/v1/mail/drafts/:id';
+                toolDef.method = 'PATCH';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'ID of the draft to update', required: true },
+                    subject: { type: 'string', description: 'Email subject', optional: true },
+                    body: { type: 'string', description: 'Email body content', optional: true },
+                    contentType: { type: 'string', description: 'Body format: Text or HTML (default: Text)', optional: true, enum: ['Text', 'HTML'] },
+                    to: { type: 'string', description: 'Recipient email address(es). Can be a single email, comma-separated list, or array of emails', optional: true },
+                    cc: { type: 'string', description: 'CC recipient email address(es)', optional: true },
+                    bcc: { type: 'string', description: 'BCC recipient email address(es)', optional: true },
+                    importance: { type: 'string', description: 'Message importance', optional: true, enum: ['low', 'normal', 'high'] },
+                    attachments: { type: 'array', description: 'File attachments (OneDrive file IDs or { name, contentType, contentBytes } objects)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    subject: { inBody: true },
+                    body: { inBody: true },
+                    contentType: { inBody: true },
+                    to: { inBody: true },
+                    cc: { inBody: true },
+                    bcc: { inBody: true },
+                    importance: { inBody: true },
+                    attachments: { inBody: true }
+                };
+                break;
+            case 'listDrafts':
+            case 'listMailDrafts':
+                toolDef.description = 'List draft emails awaiting review, most recently edited first';
+                toolDef.endpoint = '/api/v1/mail/drafts';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    top: { type: 'number', description: 'Maximum number of drafts to return (default: 25)', optional: true },
+                    skip: { type: 'number', description: 'Number of drafts to skip for paging', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    top: { inQuery: true },
+                    skip: { inQuery: true }
+                };
+                break;
+            case 'sendDraft':
+            case 'sendMailDraft':
+                toolDef.description = 'Send a draft email after it has been reviewed and approved';
+                toolDef.endpoint = '/api/v1/mail/drafts/:id/send';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'ID of the draft to send', required: true },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 toolDef.parameterMapping = {
                     id: { inPath: true },
-                    attachmentId: { inPath: true }
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'deleteDraft':
+            case 'deleteMailDraft':
+                toolDef.description = 'Delete a draft email that should not be sent';
+                toolDef.endpoint = '/api/v1/mail/drafts/:id';
+                toolDef.method = 'DELETE';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'ID of the draft to delete', required: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    mailbox: { inQuery: true }
+                };
+                break;
+
+            case 'listMailFolders':
+            case 'getMailFolders':
+                toolDef.description = 'List mail folders with unread and total counts. Child folders are nested under each folder';
+                toolDef.endpoint = '/api/v1/mail/folders';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    parentFolderId: { type: 'string', description: 'Only list folders under this folder ID or well-known name', optional: true },
+                    includeChildren: { type: 'boolean', description: 'Include nested child folders (default: true)', optional: true },
+                    maxDepth: { type: 'number', description: 'How many folder levels to walk when including children (default: 3)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    parentFolderId: { inQuery: true },
+                    includeChildren: { inQuery: true },
+                    maxDepth: { inQuery: true }
+                };
+                break;
+            case 'getMessagesInFolder':
+            case 'getFolderMail':
+                toolDef.description = 'Get emails from any mail folder by folder ID or well-known name (inbox, sentitems, archive, deleteditems, drafts, junkemail)';
+                toolDef.endpoint = '/api/v1/mail/folders/:folderId/messages';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    folderId: { type: 'string', description: 'Folder ID from listMailFolders or a well-known folder name such as sentitems or archive', required: true },
+                    top: { type: 'number', description: 'Maximum number of emails to return (default: 10)', optional: true },
+                    skip: { type: 'number', description: 'Number of emails to skip for paging', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    folderId: { inPath: true },
+                    top: { inQuery: true },
+                    skip: { inQuery: true }
+                };
+                break;
+            case 'createMailFolder':
+                toolDef.description = 'Create a mail folder at the top level or inside another folder';
+                toolDef.endpoint = '/api/v1/mail/folders';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    displayName: { type: 'string', description: 'Name of the new folder', required: true },
+                    parentFolderId: { type: 'string', description: 'Parent folder ID or well-known name (omit for a top-level folder)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    displayName: { inBody: true },
+                    parentFolderId: { inBody: true }
+                };
+                break;
+            case 'moveEmail':
+            case 'moveMail':
+            case 'copyEmail':
+            case 'copyMail': {
+                const isMove = capability.startsWith('move');
+                toolDef.description = isMove
+                    ? 'Move an email to another folder. The moved email gets a new ID, which is returned'
+                    : 'Copy an email to another folder, leaving the original in place';
+                toolDef.endpoint = isMove ? '/api/v1/mail/:id/move' : '/api/v1/mail/:id/copy';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    id: { type: 'string', description: `ID of the email to ${isMove ? 'move' : 'copy'}`, required: true },
+                    destinationFolderId: { type: 'string', description: 'Destination folder ID or well-known name (inbox, archive, deleteditems, ...)', required: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    destinationFolderId: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            }
+
+            case 'getConversation':
+            case 'getMailThread':
+                toolDef.description = 'Get a whole email thread across all folders, oldest first, with participants and each message\'s new text (quoted replies removed). Use this to answer questions about what was agreed in a thread';
+                toolDef.endpoint = '/api/v1/mail/conversation';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    messageId: { type: 'string', description: 'ID of any email in the thread', optional: true },
+                    conversationId: { type: 'string', description: 'Conversation ID of the thread (use instead of messageId if known)', optional: true },
+                    maxMessages: { type: 'number', description: 'Maximum number of messages to include (default: 100)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    messageId: { inQuery: true },
+                    conversationId: { inQuery: true },
+                    maxMessages: { inQuery: true }
+                };
+                break;
+
+            case 'getMailChanges':
+            case 'checkNewMail':
+                toolDef.description = 'What\'s new since the last check: returns only the emails added, changed (e.g. read or flagged) and removed in a folder since this tool was last called. The first call sets the baseline and returns the folder\'s current messages';
+                toolDef.endpoint = '/api/v1/mail/changes';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    folder: { type: 'string', description: 'Folder ID or well-known name to track (default: inbox)', optional: true },
+                    reset: { type: 'boolean', description: 'Discard the saved sync point and start a new baseline', optional: true },
+                    maxPages: { type: 'number', description: 'Maximum pages of changes to fetch in one call (default: 10); hasMore is true if more remain', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    folder: { inQuery: true },
+                    reset: { inQuery: true },
+                    maxPages: { inQuery: true }
+                };
+                break;
+
+            case 'listMailRules':
+            case 'getMailRules':
+                toolDef.description = 'List Outlook inbox rules with their conditions and actions, in the order they run';
+                toolDef.endpoint = '/api/v1/mail/rules';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    mailbox: MAILBOX_PARAMETER
+                };
+                break;
+            case 'createMailRule':
+                toolDef.description = 'Create an Outlook inbox rule, e.g. "always move newsletters from X into a folder". Set preview to true to check the rule before saving it';
+                toolDef.endpoint = '/api/v1/mail/rules';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    name: { type: 'string', description: 'Rule name', required: true },
+                    conditions: { type: 'object', description: 'When the rule applies, e.g. { fromAddresses: [\'news@example.com\'] } or { subjectContains: [\'newsletter\'] }. Supports fromAddresses, sentToAddresses, senderContains, subjectContains, bodyContains, bodyOrSubjectContains, importance, hasAttachments, sentToMe and more', optional: true },
+                    exceptions: { type: 'object', description: 'Conditions that stop the rule from applying (same fields as conditions)', optional: true },
+                    actions: { type: 'object', description: 'What the rule does, e.g. { moveToFolder: \'<folderId or archive>\', markAsRead: true }. Supports moveToFolder, copyToFolder, delete, markAsRead, markImportance, assignCategories, forwardTo, redirectTo, stopProcessingRules', required: true },
+                    sequence: { type: 'number', description: 'Order in which the rule runs (1 runs first)', optional: true },
+                    isEnabled: { type: 'boolean', description: 'Whether the rule is active (default: true)', optional: true },
+                    preview: { type: 'boolean', description: 'Return what would be saved without changing anything', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    name: { inBody: true },
+                    conditions: { inBody: true },
+                    exceptions: { inBody: true },
+                    actions: { inBody: true },
+                    sequence: { inBody: true },
+                    isEnabled: { inBody: true },
+                    preview: { inBody: true }
+                };
+                break;
+            case 'updateMailRule':
+                toolDef.description = 'Change an existing inbox rule. Use preview: true first to show the user the current and proposed rule before applying the change';
+                toolDef.endpoint = '/api/v1/mail/rules/:id';
+                toolDef.method = 'PATCH';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'ID of the rule to update', required: true },
+                    name: { type: 'string', description: 'Rule name', optional: true },
+                    conditions: { type: 'object', description: 'When the rule applies, e.g. { fromAddresses: [\'news@example.com\'] } or { subjectContains: [\'newsletter\'] }. Supports fromAddresses, sentToAddresses, senderContains, subjectContains, bodyContains, bodyOrSubjectContains, importance, hasAttachments, sentToMe and more', optional: true },
+                    exceptions: { type: 'object', description: 'Conditions that stop the rule from applying (same fields as conditions)', optional: true },
+                    actions: { type: 'object', description: 'What the rule does, e.g. { moveToFolder: \'<folderId or archive>\', markAsRead: true }. Supports moveToFolder, copyToFolder, delete, markAsRead, markImportance, assignCategories, forwardTo, redirectTo, stopProcessingRules', optional: true },
+                    sequence: { type: 'number', description: 'Order in which the rule runs (1 runs first)', optional: true },
+                    isEnabled: { type: 'boolean', description: 'Whether the rule is active (default: true)', optional: true },
+                    preview: { type: 'boolean', description: 'Return what would be saved without changing anything', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    name: { inBody: true },
+                    conditions: { inBody: true },
+                    exceptions: { inBody: true },
+                    actions: { inBody: true },
+                    sequence: { inBody: true },
+                    isEnabled: { inBody: true },
+                    preview: { inBody: true }
+                };
+                break;
+            case 'deleteMailRule':
+                toolDef.description = 'Delete an inbox rule. Use preview: true first to show the user which rule will be removed';
+                toolDef.endpoint = '/api/v1/mail/rules/:id';
+                toolDef.method = 'DELETE';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'ID of the rule to delete', required: true },
+                    preview: { type: 'boolean', description: 'Return the rule that would be deleted without deleting it', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    preview: { inQuery: true }
+                };
+                break;
+
+            case 'getMailboxSettings':
+                toolDef.description = 'Get mailbox settings: time zone, language, date and time formats, working hours and the current automatic replies (out-of-office) setting';
+                toolDef.endpoint = '/api/v1/mail/settings';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    mailbox: MAILBOX_PARAMETER
+                };
+                break;
+            case 'updateMailboxSettings':
+                toolDef.description = 'Change working hours, language, time format or date format. Working hours can be partial, e.g. only a new endTime';
+                toolDef.endpoint = '/api/v1/mail/settings';
+                toolDef.method = 'PATCH';
+                toolDef.parameters = {
+                    workingHours: { type: 'object', description: 'Working hours, e.g. { daysOfWeek: [\'monday\', \'tuesday\'], startTime: \'09:00\', endTime: \'17:30\', timeZone: \'Pacific Standard Time\' }', optional: true },
+                    language: { type: 'string', description: 'Mailbox language locale, e.g. en-US', optional: true },
+                    timeFormat: { type: 'string', description: 'Time format, e.g. HH:mm or h:mm tt', optional: true },
+                    dateFormat: { type: 'string', description: 'Date format, e.g. yyyy-MM-dd or M/d/yyyy', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    workingHours: { inBody: true },
+                    language: { inBody: true },
+                    timeFormat: { inBody: true },
+                    dateFormat: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'getAutomaticReplies':
+            case 'getOutOfOffice':
+                toolDef.description = 'Get the automatic replies (out-of-office) setting, including the schedule and reply messages';
+                toolDef.endpoint = '/api/v1/mail/settings/automaticReplies';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    mailbox: MAILBOX_PARAMETER
+                };
+                break;
+            case 'setAutomaticReplies':
+            case 'setOutOfOffice':
+                toolDef.description = 'Turn automatic replies (out-of-office) on or off. Give startDateTime and endDateTime to schedule them, e.g. for next week; use status disabled to turn them off';
+                toolDef.endpoint = '/api/v1/mail/settings/automaticReplies';
+                toolDef.method = 'PATCH';
+                toolDef.parameters = {
+                    status: { type: 'string', description: 'disabled, alwaysEnabled or scheduled (default: scheduled when dates are given, otherwise alwaysEnabled)', enum: ['disabled', 'alwaysEnabled', 'scheduled'], optional: true },
+                    startDateTime: { type: 'string', description: 'Start of the out-of-office period (ISO 8601, e.g. 2024-06-03T00:00:00)', optional: true },
+                    endDateTime: { type: 'string', description: 'End of the out-of-office period (ISO 8601)', optional: true },
+                    timeZone: { type: 'string', description: 'Time zone for the start and end times (default: mailbox time zone)', optional: true },
+                    internalReplyMessage: { type: 'string', description: 'Reply sent to people inside the organization', optional: true },
+                    externalReplyMessage: { type: 'string', description: 'Reply sent to people outside the organization', optional: true },
+                    externalAudience: { type: 'string', description: 'Who outside the organization gets a reply: none, contactsOnly or all', enum: ['none', 'contactsOnly', 'all'], optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    status: { inBody: true },
+                    startDateTime: { inBody: true },
+                    endDateTime: { inBody: true },
+                    timeZone: { inBody: true },
+                    internalReplyMessage: { inBody: true },
+                    externalReplyMessage: { inBody: true },
+                    externalAudience: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+
+            case 'searchEmailsByCriteria':
+            case 'findMail':
+                toolDef.description = 'Find emails by sender, recipient, subject, date range, folder, importance, read state or attachments. Runs as an exact $filter when possible, otherwise as a KQL search; the result says which mode was used';
+                toolDef.endpoint = '/api/v1/mail/search';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    query: { type: 'string', description: 'Free-text words to search for (forces search mode)', optional: true },
+                    from: { type: 'string', description: 'Sender email address, or a name (a name forces search mode)', optional: true },
+                    to: { type: 'string', description: 'Recipient email address or name (forces search mode)', optional: true },
+                    subject: { type: 'string', description: 'Text the subject contains', optional: true },
+                    hasAttachments: { type: 'boolean', description: 'Only emails with (true) or without (false) attachments', optional: true },
+                    receivedAfter: { type: 'string', description: 'Received on or after this date/time (ISO 8601, UTC unless an offset is given)', optional: true },
+                    receivedBefore: { type: 'string', description: 'Received before this date/time (ISO 8601, UTC unless an offset is given)', optional: true },
+                    folder: { type: 'string', description: 'Folder ID or well-known name (e.g. inbox, sentitems, archive); default: all folders', optional: true },
+                    importance: { type: 'string', description: 'Importance', enum: ['low', 'normal', 'high'], optional: true },
+                    isRead: { type: 'boolean', description: 'Only read (true) or unread (false) emails', optional: true },
+                    top: { type: 'number', description: 'Maximum number of results (default: 25, max: 100)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                break;
+            case 'listCategories':
+            case 'getCategories':
+                toolDef.description = 'List the Outlook color categories (master category list) with their colors';
+                toolDef.endpoint = '/api/v1/mail/categories';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    mailbox: MAILBOX_PARAMETER
+                };
+                break;
+            case 'createCategory':
+                toolDef.description = 'Create an Outlook color category that can then be assigned to emails and events';
+                toolDef.endpoint = '/api/v1/mail/categories';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    displayName: { type: 'string', description: 'Category name, e.g. Follow up', required: true },
+                    color: { type: 'string', description: 'Color: preset0-preset24 or a color name: Red, Orange, Brown, Yellow, Green, Teal, Olive, Blue, Purple, Cranberry, Steel, Gray, Black, or Dark plus one of these (e.g. DarkBlue). Default: none', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    displayName: { inBody: true },
+                    color: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'updateCategory':
+                toolDef.description = 'Change the color of an Outlook category. Category names cannot be changed';
+                toolDef.endpoint = '/api/v1/mail/categories/:id';
+                toolDef.method = 'PATCH';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'Category ID from getCategories', required: true },
+                    color: { type: 'string', description: 'New color: preset0-preset24 or a color name: Red, Orange, Brown, Yellow, Green, Teal, Olive, Blue, Purple, Cranberry, Steel, Gray, Black, or Dark plus one of these (e.g. DarkBlue)', required: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    color: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'deleteCategory':
+                toolDef.description = 'Delete an Outlook category from the master list. Emails and events keep the name but lose its color';
+                toolDef.endpoint = '/api/v1/mail/categories/:id';
+                toolDef.method = 'DELETE';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'Category ID from getCategories', required: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    mailbox: { inQuery: true }
+                };
+                break;
+            case 'setEmailCategories':
+            case 'categorizeMail':
+                toolDef.description = 'Assign or remove categories on an email, e.g. for triage. Use category names from getCategories';
+                toolDef.endpoint = '/api/v1/mail/:id/categories';
+                toolDef.method = 'PATCH';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'Email ID', required: true },
+                    add: { type: 'array', items: { type: 'string' }, description: 'Category names to add', optional: true },
+                    remove: { type: 'array', items: { type: 'string' }, description: 'Category names to remove', optional: true },
+                    set: { type: 'array', items: { type: 'string' }, description: 'Replace all categories with these names (use [] to clear)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    add: { inBody: true },
+                    remove: { inBody: true },
+                    set: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'setEmailImportance':
+            case 'setMailImportance':
+                toolDef.description = 'Change the importance of an email';
+                toolDef.endpoint = '/api/v1/mail/:id/importance';
+                toolDef.method = 'PATCH';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'Email ID', required: true },
+                    importance: { type: 'string', description: 'New importance', required: true, enum: ['low', 'normal', 'high'] },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    importance: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'bulkMailAction':
+            case 'bulkMail':
+                toolDef.description = 'Apply one action to many emails at once (up to 500), e.g. to triage newsletters: markRead, markUnread, flag, unflag, move or delete. Returns a result for every email ID';
+                toolDef.endpoint = '/api/v1/mail/bulk';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    action: { type: 'string', description: 'Action to apply', required: true, enum: ['markRead', 'markUnread', 'flag', 'unflag', 'move', 'delete'] },
+                    ids: { type: 'array', items: { type: 'string' }, description: 'Email IDs to act on', required: true },
+                    destinationFolderId: { type: 'string', description: 'Target folder ID or well-known name (e.g. archive) — required for move', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                break;
+            case 'listScheduledEmails':
+            case 'getScheduledMail':
+                toolDef.description = 'List scheduled emails that have not been sent yet, with their send times (UTC), next to go out first';
+                toolDef.endpoint = '/api/v1/mail/scheduled';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    top: { type: 'number', description: 'Maximum number of messages to check (default: 25)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                break;
+            case 'cancelScheduledEmail':
+            case 'cancelScheduledMail':
+                toolDef.description = 'Cancel a scheduled email before it is sent. It is moved back to Drafts for editing unless discard is true';
+                toolDef.endpoint = '/api/v1/mail/scheduled/:id/cancel';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'ID of the scheduled email', required: true },
+                    discard: { type: 'boolean', description: 'Delete the message instead of moving it to Drafts (default: false)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    discard: { inBody: true }
+                };
+                break;
+            case 'exportEmailAsMime':
+            case 'exportMail':
+                toolDef.description = 'Export an email as raw MIME (.eml). Returns the file name and base64 contentBytes, e.g. for archiving';
+                toolDef.endpoint = '/api/v1/mail/:id/mime';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'ID of the email to export', required: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    mailbox: { inQuery: true }
+                };
+                break;
+            case 'importMimeMessage':
+            case 'importMail':
+                toolDef.description = 'Import an email from MIME (.eml) content or from an .eml file in OneDrive. Provide exactly one of mimeContent, contentBytes or fileId. Imported messages are created as drafts';
+                toolDef.endpoint = '/api/v1/mail/import';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    mimeContent: { type: 'string', description: 'Raw MIME text of the message', optional: true },
+                    contentBytes: { type: 'string', description: 'Base64-encoded MIME content', optional: true },
+                    fileId: { type: 'string', description: 'OneDrive file ID of an .eml file', optional: true },
+                    folder: { type: 'string', description: 'Target folder ID or well-known name (default: drafts)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    mimeContent: { inBody: true },
+                    contentBytes: { inBody: true },
+                    fileId: { inBody: true },
+                    folder: { inBody: true },
+                    mailbox: { inBody: true }
                 };
                 break;
 
@@ -498,18 +1158,28 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                     // Time-based filters
                     timeframe: { 
                         type: 'string', 
-                        description: 'Predefined time range (today, tomorrow, this_week, next_week, this_month)', 
+                        description: 'Predefined time range (today, tomorrow, this_week, next_week, this_month). On its own it returns every occurrence of recurring events in the range, like getCalendarView', 
                         optional: true,
                         enum: ['today', 'tomorrow', 'this_week', 'next_week', 'this_month', 'next_month']
                     },
                     
+                    // Body conversion
+                    bodyFormat: {
+                        type: 'string',
+                        description: 'Event body format: html (as sent), text, markdown, or summary-ready (plain text without links). Use markdown or summary-ready to save tokens',
+                        optional: true,
+                        enum: ['html', 'text', 'markdown', 'summary-ready']
+                    },
+                    
                     // Response options
                     debug: { 
                         type: 'boolean', 
                         description: 'Enable debug mode to return additional metadata', 
                         optional: true, 
                         default: false 
-                    }
+                    },
+                    calendarId: { type: 'string', description: 'Calendar to read, from getCalendars (default: your main calendar)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 break;
             case 'createEvent':
@@ -565,7 +1235,27 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                             }
                         }
                     },
-                    isOnlineMeeting: { type: 'boolean', description: 'Whether this is an online meeting', optional: true }
+                    isOnlineMeeting: { type: 'boolean', description: 'Add an online meeting (Teams by default) with a join link and dial-in details. A join link cannot be removed once added', optional: true },
+                    onlineMeetingProvider: { type: 'string', description: 'Online meeting provider: teamsForBusiness, skypeForBusiness or skypeForConsumer (defaults to the calendar\'s provider; implies isOnlineMeeting)', optional: true },
+                    recurrence: {
+                        type: 'object',
+                        description: 'Make this a recurring series, e.g. { frequency: "weekly", daysOfWeek: ["monday", "wednesday"], occurrences: 10 } or { frequency: "monthly", weekIndex: "second", daysOfWeek: ["tuesday"], endDate: "2026-12-31" }',
+                        optional: true,
+                        properties: {
+                            frequency: { type: 'string', description: 'daily, weekly, monthly or yearly', required: true },
+                            interval: { type: 'number', description: 'Repeat every N days/weeks/months/years (default 1)', optional: true },
+                            daysOfWeek: { type: 'array', items: { type: 'string' }, description: 'Weekly: days to repeat on. Monthly/yearly: the weekday for patterns like "second Tuesday"', optional: true },
+                            weekIndex: { type: 'string', description: 'Monthly/yearly: first, second, third, fourth or last', optional: true },
+                            dayOfMonth: { type: 'number', description: 'Monthly/yearly: day of the month (defaults to the start day)', optional: true },
+                            month: { type: 'number', description: 'Yearly: month 1-12 (defaults to the start month)', optional: true },
+                            startDate: { type: 'string', description: 'First date of the series, YYYY-MM-DD (defaults to the event start)', optional: true },
+                            endDate: { type: 'string', description: 'Last date of the series, YYYY-MM-DD', optional: true },
+                            occurrences: { type: 'number', description: 'Number of occurrences (use instead of endDate)', optional: true }
+                        }
+                    },
+                    conflictPolicy: CONFLICT_POLICY_PARAMETER,
+                    calendarId: { type: 'string', description: 'Calendar to create the event in, from getCalendars (default: your main calendar)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 break;
             case 'updateEvent':
@@ -623,7 +1313,27 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                         }
                     },
                     isAllDay: { type: 'boolean', description: 'Whether this is an all-day event', optional: true },
-                    isOnlineMeeting: { type: 'boolean', description: 'Whether this is an online meeting', optional: true }
+                    isOnlineMeeting: { type: 'boolean', description: 'Add an online meeting (Teams by default) with a join link and dial-in details. A join link cannot be removed once added', optional: true },
+                    onlineMeetingProvider: { type: 'string', description: 'Online meeting provider: teamsForBusiness, skypeForBusiness or skypeForConsumer (defaults to the calendar\'s provider; implies isOnlineMeeting)', optional: true },
+                    recurrence: {
+                        type: 'object',
+                        description: 'Change the recurrence pattern of a series, e.g. { frequency: "weekly", daysOfWeek: ["monday", "wednesday"], occurrences: 10 } or { frequency: "monthly", weekIndex: "second", daysOfWeek: ["tuesday"], endDate: "2026-12-31" }. Send null to turn a series back into a single event',
+                        optional: true,
+                        properties: {
+                            frequency: { type: 'string', description: 'daily, weekly, monthly or yearly', required: true },
+                            interval: { type: 'number', description: 'Repeat every N days/weeks/months/years (default 1)', optional: true },
+                            daysOfWeek: { type: 'array', items: { type: 'string' }, description: 'Weekly: days to repeat on. Monthly/yearly: the weekday for patterns like "second Tuesday"', optional: true },
+                            weekIndex: { type: 'string', description: 'Monthly/yearly: first, second, third, fourth or last', optional: true },
+                            dayOfMonth: { type: 'number', description: 'Monthly/yearly: day of the month (defaults to the start day)', optional: true },
+                            month: { type: 'number', description: 'Yearly: month 1-12 (defaults to the start month)', optional: true },
+                            startDate: { type: 'string', description: 'First date of the series, YYYY-MM-DD (defaults to the event start)', optional: true },
+                            endDate: { type: 'string', description: 'Last date of the series, YYYY-MM-DD', optional: true },
+                            occurrences: { type: 'number', description: 'Number of occurrences (use instead of endDate)', optional: true }
+                        }
+                    },
+                    applyTo: { type: 'string', description: 'For an occurrence of a recurring series: "occurrence" (default) changes only this occurrence, "series" changes the whole series', optional: true },
+                    conflictPolicy: CONFLICT_POLICY_PARAMETER,
+                    mailbox: MAILBOX_PARAMETER
                 };
                 break;
             case 'deleteEvent':
@@ -642,13 +1352,21 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                         type: 'string', 
                         description: 'Optional cancellation comment', 
                         optional: true 
-                    }
+                    },
+                    applyTo: {
+                        type: 'string',
+                        description: 'For an occurrence of a recurring series: "occurrence" (default) cancels only this occurrence, "series" cancels the whole series',
+                        optional: true
+                    },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 // Ensure this tool is properly registered with the /api/v1/calendar/events/:id/cancel endpoint
                 // Note: The :id in the path is a placeholder for the actual ID value
                 toolDef.parameterMapping = {
                     id: { inPath: true },
-                    comment: { inBody: true }
+                    comment: { inBody: true },
+                    applyTo: { inBody: true },
+                    mailbox: { inBody: true }
                 };
                 break;
             case 'acceptEvent':
@@ -666,7 +1384,8 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                         type: 'string', 
                         description: 'Optional comment to include with the acceptance', 
                         optional: true 
-                    }
+                    },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 break;
             case 'declineEvent':
@@ -684,7 +1403,13 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                         type: 'string', 
                         description: 'Optional comment to include with the decline', 
                         optional: true 
-                    }
+                    },
+                    proposedNewTime: {
+                        type: 'object',
+                        description: 'Propose a different time to the organizer: { start, end } as ISO date-times (in your time zone unless they carry an offset). Only works if the organizer allows new time proposals',
+                        optional: true
+                    },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 break;
             case 'tentativelyAcceptEvent':
@@ -702,7 +1427,13 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                         type: 'string', 
                         description: 'Optional comment to include with the tentative acceptance', 
                         optional: true 
-                    }
+                    },
+                    proposedNewTime: {
+                        type: 'object',
+                        description: 'Propose a different time to the organizer: { start, end } as ISO date-times (in your time zone unless they carry an offset). Only works if the organizer allows new time proposals',
+                        optional: true
+                    },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 break;
             case 'getAvailability':
@@ -872,7 +1603,8 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                             min: 1, 
                             max: 100, 
                             default: 10 
-                        }
+                        },
+                        mailbox: MAILBOX_PARAMETER
                     };
                 break;
             case 'getRooms':
@@ -904,13 +1636,15 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                         type: 'string', 
                         description: 'MIME type of the attachment',
                         optional: true
-                    }
+                    },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 toolDef.parameterMapping = {
                     id: { inPath: true },
                     name: { inBody: true },
                     contentBytes: { inBody: true },
-                    contentType: { inBody: true }
+                    contentType: { inBody: true },
+                    mailbox: { inBody: true }
                 };
                 break;
             case 'removeAttachment':
@@ -927,11 +1661,471 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                         type: 'string', 
                         description: 'Attachment ID to remove',
                         required: true
-                    }
+                    },
+                    mailbox: MAILBOX_PARAMETER
                 };
                 toolDef.parameterMapping = {
                     eventId: { inPath: true },
-                    attachmentId: { inPath: true }
+                    attachmentId: { inPath: true },
+                    mailbox: { inQuery: true }
+                };
+                break;
+            case 'setEventCategories':
+            case 'categorizeEvent':
+                toolDef.description = 'Assign or remove categories on a calendar event. Use category names from getCategories';
+                toolDef.endpoint = '/api/v1/calendar/events/:id/categories';
+                toolDef.method = 'PATCH';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'Event ID', required: true },
+                    add: { type: 'array', items: { type: 'string' }, description: 'Category names to add', optional: true },
+                    remove: { type: 'array', items: { type: 'string' }, description: 'Category names to remove', optional: true },
+                    set: { type: 'array', items: { type: 'string' }, description: 'Replace all categories with these names (use [] to clear)', optional: true }
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    add: { inBody: true },
+                    remove: { inBody: true },
+                    set: { inBody: true }
+                };
+                break;
+            case 'getCalendarView':
+                toolDef.description = 'List everything on the calendar in a time window, with recurring events expanded into their individual occurrences. Use this rather than getEvents to answer "what is on my calendar" for a day, week or date range';
+                toolDef.endpoint = '/api/v1/calendar/view';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    start: { type: 'string', description: 'Window start as a date (YYYY-MM-DD, in your time zone) or ISO date-time. Use with end, or use timeframe', optional: true },
+                    end: { type: 'string', description: 'Window end as a date (YYYY-MM-DD, inclusive) or ISO date-time', optional: true },
+                    timeframe: {
+                        type: 'string',
+                        description: 'Predefined window instead of start and end',
+                        optional: true,
+                        enum: ['today', 'tomorrow', 'this_week', 'next_week', 'this_month', 'next_month']
+                    },
+                    calendarId: { type: 'string', description: 'Calendar to read, from getCalendars (default: your main calendar)', optional: true },
+                    top: { type: 'number', description: 'Maximum number of events to return (default: all in the window)', optional: true },
+                    bodyFormat: {
+                        type: 'string',
+                        description: 'Event body format: html (as sent), text, markdown, or summary-ready',
+                        optional: true,
+                        enum: ['html', 'text', 'markdown', 'summary-ready']
+                    },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    start: { inQuery: true },
+                    end: { inQuery: true },
+                    timeframe: { inQuery: true },
+                    calendarId: { inQuery: true },
+                    top: { inQuery: true },
+                    bodyFormat: { inQuery: true },
+                    mailbox: { inQuery: true }
+                };
+                break;
+            case 'forwardEvent':
+                toolDef.description = 'Forward a meeting invitation to people who were not invited. The organizer is told the meeting was forwarded';
+                toolDef.endpoint = '/api/v1/calendar/events/:id/forward';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'Event ID to forward', required: true },
+                    recipients: { type: 'array', description: 'Email addresses to forward the invitation to', required: true },
+                    comment: { type: 'string', description: 'Optional message to include with the invitation', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    recipients: { inBody: true },
+                    comment: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'getPendingProposals':
+                toolDef.description = 'List the new times attendees have proposed for upcoming meetings you organize, grouped by meeting. Take one with acceptProposedTime';
+                toolDef.endpoint = '/api/v1/calendar/proposals';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    start: { type: 'string', description: 'Window start as a date (YYYY-MM-DD) or ISO date-time (defaults to now)', optional: true },
+                    end: { type: 'string', description: 'Window end as a date (YYYY-MM-DD, inclusive) or ISO date-time (defaults to 30 days after start)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    start: { inQuery: true },
+                    end: { inQuery: true },
+                    mailbox: { inQuery: true }
+                };
+                break;
+            case 'acceptProposedTime':
+                toolDef.description = 'Move a meeting you organize to the time an attendee proposed and send the update to all attendees. The new time is checked for conflicts';
+                toolDef.endpoint = '/api/v1/calendar/events/:id/acceptProposal';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'Event ID, from getPendingProposals', required: true },
+                    attendee: { type: 'string', description: 'Email of the attendee whose proposal to accept (optional when only one attendee proposed a time)', optional: true },
+                    conflictPolicy: {
+                        type: 'string',
+                        description: 'What to do if the new time clashes: warn (default) moves it and reports the conflicts, block leaves the meeting as it is, ignore skips the check',
+                        optional: true,
+                        enum: ['warn', 'block', 'ignore']
+                    },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    attendee: { inBody: true },
+                    conflictPolicy: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'getResponseStatus':
+                toolDef.description = 'Show who has accepted, tentatively accepted, declined or not yet responded to a meeting you organize, or to every upcoming meeting you organize, with response times';
+                toolDef.endpoint = '/api/v1/calendar/responses';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    eventId: { type: 'string', description: 'Event ID to report on (omit to report on upcoming meetings you organize)', optional: true },
+                    start: { type: 'string', description: 'Window start as a date (YYYY-MM-DD) or ISO date-time, when no eventId is given (defaults to now)', optional: true },
+                    end: { type: 'string', description: 'Window end as a date (YYYY-MM-DD, inclusive) or ISO date-time (defaults to 30 days after start)', optional: true },
+                    pendingOnly: { type: 'boolean', description: 'Only list meetings that still have attendees who have not responded', optional: true, default: false },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    eventId: { inQuery: true },
+                    start: { inQuery: true },
+                    end: { inQuery: true },
+                    pendingOnly: { inQuery: true },
+                    mailbox: { inQuery: true }
+                };
+                break;
+            case 'draftResponseReminder':
+                toolDef.description = 'Save a draft email reminding the attendees who have not responded to a meeting you organize to accept or decline. The draft is left in Drafts for you to review and send';
+                toolDef.endpoint = '/api/v1/calendar/events/:id/responseReminder';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'Event ID, from getResponseStatus', required: true },
+                    includeTentative: { type: 'boolean', description: 'Also remind attendees who only tentatively accepted', optional: true, default: false },
+                    message: { type: 'string', description: 'Custom text for the reminder (a polite default is used otherwise)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    includeTentative: { inBody: true },
+                    message: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'autoSchedule':
+                toolDef.description = 'Book focus time in free working hours (from your mailbox working hours) up to a weekly target, and add travel time before and after in-person meetings, without overlapping anything already on the calendar. Run with dryRun first to preview the plan; a real run returns a runId for rollbackSchedule';
+                toolDef.endpoint = '/api/v1/calendar/schedule';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    focusHoursPerWeek: { type: 'number', description: 'Focus time wanted per week, in hours. Focus time booked by earlier runs counts toward it (omit or 0 for no focus time)', optional: true },
+                    minFocusMinutes: { type: 'number', description: 'Shortest focus block in minutes (default: 60)', optional: true },
+                    maxFocusMinutes: { type: 'number', description: 'Longest focus block in minutes (default: 120)', optional: true },
+                    focusSubject: { type: 'string', description: 'Subject for focus blocks (default: "Focus time")', optional: true },
+                    travelMinutesBefore: { type: 'number', description: 'Travel time to add before each in-person meeting, in minutes (omit or 0 for none)', optional: true },
+                    travelMinutesAfter: { type: 'number', description: 'Travel time to add after each in-person meeting, in minutes (omit or 0 for none)', optional: true },
+                    start: { type: 'string', description: 'Window start as a date (YYYY-MM-DD) or ISO date-time (defaults to now)', optional: true },
+                    end: { type: 'string', description: 'Window end as a date (YYYY-MM-DD, inclusive) or ISO date-time (defaults to 14 days after start)', optional: true },
+                    dryRun: { type: 'boolean', description: 'Return the plan without creating any events', optional: true, default: false },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    focusHoursPerWeek: { inBody: true },
+                    minFocusMinutes: { inBody: true },
+                    maxFocusMinutes: { inBody: true },
+                    focusSubject: { inBody: true },
+                    travelMinutesBefore: { inBody: true },
+                    travelMinutesAfter: { inBody: true },
+                    start: { inBody: true },
+                    end: { inBody: true },
+                    dryRun: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'rollbackSchedule':
+                toolDef.description = 'Remove every event an autoSchedule run created (focus time and travel), using the runId it returned';
+                toolDef.endpoint = '/api/v1/calendar/schedule/:runId/rollback';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    runId: { type: 'string', description: 'Run ID returned by autoSchedule', required: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    runId: { inPath: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'getMeetingJoinInfo':
+                toolDef.description = 'Get the join link, conference ID and dial-in numbers of an online (Teams) meeting';
+                toolDef.endpoint = '/api/v1/calendar/events/:id/joinInfo';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'Event ID', required: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    mailbox: { inQuery: true }
+                };
+                break;
+            case 'getEventInstances':
+            case 'getSeriesOccurrences':
+                toolDef.description = 'List the occurrences of a recurring event series in a time window, including edited occurrences. Accepts the series ID or the ID of any occurrence';
+                toolDef.endpoint = '/api/v1/calendar/events/:id/instances';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'Series master ID or the ID of one of its occurrences', required: true },
+                    start: { type: 'string', description: 'Window start as ISO date (defaults to now)', optional: true },
+                    end: { type: 'string', description: 'Window end as ISO date (defaults to 90 days after start)', optional: true },
+                    top: { type: 'number', description: 'Maximum number of occurrences to return (default 50, max 250)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    start: { inQuery: true },
+                    end: { inQuery: true },
+                    top: { inQuery: true },
+                    mailbox: { inQuery: true }
+                };
+                break;
+            case 'exportEvents':
+            case 'exportIcs':
+                toolDef.description = 'Export calendar events as an iCalendar (.ics) file, either one event by ID or all events in a date range. Recurring series are exported once with their recurrence rule. Returns the file name and the .ics text in content';
+                toolDef.endpoint = '/api/v1/calendar/export';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    eventId: { type: 'string', description: 'Export only this event (instead of a date range)', optional: true },
+                    start: { type: 'string', description: 'Range start as ISO date (defaults to now)', optional: true },
+                    end: { type: 'string', description: 'Range end as ISO date (defaults to 30 days after start, at most 366 days)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    eventId: { inQuery: true },
+                    start: { inQuery: true },
+                    end: { inQuery: true },
+                    mailbox: { inQuery: true }
+                };
+                break;
+            case 'importEvents':
+            case 'importIcs':
+                toolDef.description = 'Import the events of an iCalendar (.ics) file as new calendar events, from the file text or from a .ics file in OneDrive. Provide exactly one of content or fileId. Attendees are only added (and invited) when inviteAttendees is true';
+                toolDef.endpoint = '/api/v1/calendar/import';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    content: { type: 'string', description: 'Text of the .ics file', optional: true },
+                    fileId: { type: 'string', description: 'OneDrive file ID of a .ics file', optional: true },
+                    inviteAttendees: { type: 'boolean', description: 'Add the attendees from the file, which sends them meeting invitations (default: false)', optional: true },
+                    timeZone: { type: 'string', description: 'Time zone for times the file gives without one (default: your mailbox time zone)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    content: { inBody: true },
+                    fileId: { inBody: true },
+                    inviteAttendees: { inBody: true },
+                    timeZone: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+
+            case 'getCalendars':
+                toolDef.description = 'List your calendars with their owner, color and what you can do with each. Set includePermissions to also see who each of your calendars is shared with';
+                toolDef.endpoint = '/api/v1/calendar/calendars';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    includePermissions: { type: 'boolean', description: 'Also list who each calendar you own is shared with and at which role (default: false)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    includePermissions: { inQuery: true },
+                    mailbox: { inQuery: true }
+                };
+                break;
+            case 'createCalendar':
+                toolDef.description = 'Create a secondary calendar, e.g. for a project or a team rota. Use its ID as calendarId in createEvent and getEvents';
+                toolDef.endpoint = '/api/v1/calendar/calendars';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    name: { type: 'string', description: 'Calendar name', required: true },
+                    color: {
+                        type: 'string',
+                        description: 'Calendar color (default: auto)',
+                        optional: true,
+                        enum: ['auto', 'lightBlue', 'lightGreen', 'lightOrange', 'lightGray', 'lightYellow', 'lightTeal', 'lightPink', 'lightBrown', 'lightRed']
+                    },
+                    calendarGroupId: { type: 'string', description: 'Calendar group to create the calendar in, from getCalendarGroups (default: My Calendars)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    name: { inBody: true },
+                    color: { inBody: true },
+                    calendarGroupId: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'updateCalendar':
+                toolDef.description = 'Rename a calendar or change its color';
+                toolDef.endpoint = '/api/v1/calendar/calendars/:calendarId';
+                toolDef.method = 'PATCH';
+                toolDef.parameters = {
+                    calendarId: { type: 'string', description: 'Calendar ID, from getCalendars', required: true },
+                    name: { type: 'string', description: 'New calendar name', optional: true },
+                    color: {
+                        type: 'string',
+                        description: 'New calendar color',
+                        optional: true,
+                        enum: ['auto', 'lightBlue', 'lightGreen', 'lightOrange', 'lightGray', 'lightYellow', 'lightTeal', 'lightPink', 'lightBrown', 'lightRed']
+                    },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    calendarId: { inPath: true },
+                    name: { inBody: true },
+                    color: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'deleteCalendar':
+                toolDef.description = 'Delete a secondary calendar together with all events in it. The main calendar cannot be deleted';
+                toolDef.endpoint = '/api/v1/calendar/calendars/:calendarId';
+                toolDef.method = 'DELETE';
+                toolDef.parameters = {
+                    calendarId: { type: 'string', description: 'Calendar ID, from getCalendars', required: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    calendarId: { inPath: true },
+                    mailbox: { inQuery: true }
+                };
+                break;
+            case 'getCalendarGroups':
+                toolDef.description = 'List calendar groups (such as "My Calendars" and "Other Calendars"), optionally with the calendars in each';
+                toolDef.endpoint = '/api/v1/calendar/calendarGroups';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    includeCalendars: { type: 'boolean', description: 'Also list the calendars in each group (default: false)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    includeCalendars: { inQuery: true },
+                    mailbox: { inQuery: true }
+                };
+                break;
+            case 'createCalendarGroup':
+                toolDef.description = 'Create a calendar group to organize calendars';
+                toolDef.endpoint = '/api/v1/calendar/calendarGroups';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    name: { type: 'string', description: 'Calendar group name', required: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    name: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'updateCalendarGroup':
+                toolDef.description = 'Rename a calendar group';
+                toolDef.endpoint = '/api/v1/calendar/calendarGroups/:groupId';
+                toolDef.method = 'PATCH';
+                toolDef.parameters = {
+                    groupId: { type: 'string', description: 'Calendar group ID, from getCalendarGroups', required: true },
+                    name: { type: 'string', description: 'New calendar group name', required: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    groupId: { inPath: true },
+                    name: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'deleteCalendarGroup':
+                toolDef.description = 'Delete a calendar group. Outlook only deletes groups that no longer hold calendars';
+                toolDef.endpoint = '/api/v1/calendar/calendarGroups/:groupId';
+                toolDef.method = 'DELETE';
+                toolDef.parameters = {
+                    groupId: { type: 'string', description: 'Calendar group ID, from getCalendarGroups', required: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    groupId: { inPath: true },
+                    mailbox: { inQuery: true }
+                };
+                break;
+            case 'getCalendarPermissions':
+                toolDef.description = 'List who a calendar is shared with and at which role. Includes built-in entries such as "My Organization" that can be changed but not removed';
+                toolDef.endpoint = '/api/v1/calendar/calendars/:calendarId/permissions';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    calendarId: { type: 'string', description: 'Calendar ID, from getCalendars', required: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    calendarId: { inPath: true },
+                    mailbox: { inQuery: true }
+                };
+                break;
+            case 'shareCalendar':
+                toolDef.description = 'Share one of your calendars with a colleague. They receive a sharing invitation. Sharing again with the same person changes their role';
+                toolDef.endpoint = '/api/v1/calendar/calendars/:calendarId/permissions';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    calendarId: { type: 'string', description: 'Calendar ID, from getCalendars', required: true },
+                    email: { type: 'string', description: 'Email address of the person to share with', required: true },
+                    name: { type: 'string', description: 'Display name of the person to share with', optional: true },
+                    role: {
+                        type: 'string',
+                        description: 'What they can do: freeBusyRead (see when you are busy), limitedRead (also subjects and locations), read (default), write (also edit), or delegate roles that also let them respond to invitations',
+                        optional: true,
+                        enum: ['freeBusyRead', 'limitedRead', 'read', 'write', 'delegateWithoutPrivateEventAccess', 'delegateWithPrivateEventAccess']
+                    },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    calendarId: { inPath: true },
+                    email: { inBody: true },
+                    name: { inBody: true },
+                    role: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'updateCalendarPermission':
+                toolDef.description = 'Change the role someone has on one of your calendars, e.g. from read to write';
+                toolDef.endpoint = '/api/v1/calendar/calendars/:calendarId/permissions/:permission';
+                toolDef.method = 'PATCH';
+                toolDef.parameters = {
+                    calendarId: { type: 'string', description: 'Calendar ID, from getCalendars', required: true },
+                    permissionId: { type: 'string', description: 'Permission ID, from getCalendarPermissions (or use email)', optional: true },
+                    email: { type: 'string', description: 'Email address of the person whose role to change (instead of permissionId)', optional: true },
+                    role: {
+                        type: 'string',
+                        description: 'New role',
+                        required: true,
+                        enum: ['freeBusyRead', 'limitedRead', 'read', 'write', 'delegateWithoutPrivateEventAccess', 'delegateWithPrivateEventAccess']
+                    },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    calendarId: { inPath: true },
+                    permissionId: { inPath: true },
+                    email: { inPath: true },
+                    role: { inBody: true },
+                    mailbox: { inBody: true }
+                };
+                break;
+            case 'revokeCalendarPermission':
+            case 'unshareCalendar':
+                toolDef.description = 'Stop sharing one of your calendars with someone';
+                toolDef.endpoint = '/api/v1/calendar/calendars/:calendarId/permissions/:permission';
+                toolDef.method = 'DELETE';
+                toolDef.parameters = {
+                    calendarId: { type: 'string', description: 'Calendar ID, from getCalendars', required: true },
+                    permissionId: { type: 'string', description: 'Permission ID, from getCalendarPermissions (or use email)', optional: true },
+                    email: { type: 'string', description: 'Email address of the person to stop sharing with (instead of permissionId)', optional: true },
+                    mailbox: MAILBOX_PARAMETER
+                };
+                toolDef.parameterMapping = {
+                    calendarId: { inPath: true },
+                    permissionId: { inPath: true },
+                    email: { inPath: true },
+                    mailbox: { inQuery: true }
                 };
                 break;
 
@@ -966,6 +2160,17 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                     q: { inQuery: true }
                 };
                 break;
+            case 'saveEmailToOneDrive':
+            case 'saveMailToOneDrive':
+                toolDef.description = 'Save an email to OneDrive as an .eml file (raw MIME), e.g. to archive an important thread';
+                toolDef.endpoint = '/api/v1/files/saveEmail';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    messageId: { type: 'string', description: 'ID of the email to save', required: true },
+                    folderPath: { type: 'string', description: 'OneDrive folder path, e.g. Archive/Contracts (default: root)', optional: true },
+                    fileName: { type: 'string', description: 'File name (default: the email subject); .eml is added if missing', optional: true }
+                };
+                break;
             case 'uploadFile':
                 toolDef.description = 'Upload a file to OneDrive or SharePoint';
                 toolDef.endpoint = '/api/v1/files/upload';
@@ -1231,6 +2436,155 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                 };
                 break;
 
+            case 'listContacts':
+            case 'getContacts':
+                toolDef.description = 'List the Outlook contacts the user has saved (their address book), sorted by name';
+                toolDef.endpoint = '/api/v1/contacts';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    limit: { type: 'number', description: 'Maximum number of contacts (default: 50, max: 100)', optional: true },
+                    skip: { type: 'number', description: 'Number of contacts to skip, for paging', optional: true },
+                    folderId: { type: 'string', description: 'Contact folder ID from listContactFolders (default: the main Contacts folder)', optional: true }
+                };
+                toolDef.parameterMapping = {
+                    limit: { inQuery: true },
+                    skip: { inQuery: true },
+                    folderId: { inQuery: true }
+                };
+                break;
+            case 'searchContacts':
+            case 'findContacts':
+                toolDef.description = 'Search saved Outlook contacts by the start of a name or company, or by an exact email address. Use this to check whether someone is already a contact before saving them';
+                toolDef.endpoint = '/api/v1/contacts/search';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    query: { type: 'string', description: 'Name, company or email address', required: true },
+                    limit: { type: 'number', description: 'Maximum number of results (default: 25, max: 100)', optional: true },
+                    folderId: { type: 'string', description: 'Contact folder ID to search in', optional: true }
+                };
+                toolDef.parameterMapping = {
+                    query: { inQuery: true },
+                    limit: { inQuery: true },
+                    folderId: { inQuery: true }
+                };
+                break;
+            case 'getContact':
+                toolDef.description = 'Get all details of a saved Outlook contact';
+                toolDef.endpoint = '/api/v1/contacts/:id';
+                toolDef.method = 'GET';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'Contact ID', required: true }
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true }
+                };
+                break;
+            case 'createContact':
+            case 'saveContact':
+                toolDef.description = 'Save a person as an Outlook contact, e.g. the sender of an email together with the phone number, title and company from their signature (read the email with getEmailDetails first). Needs at least a name, company or email address';
+                toolDef.endpoint = '/api/v1/contacts';
+                toolDef.method = 'POST';
+                toolDef.parameters = {
+                    displayName: { type: 'string', description: 'Full name as shown in Outlook. Built from givenName and surname when omitted', optional: true },
+                    givenName: { type: 'string', description: 'First name', optional: true },
+                    surname: { type: 'string', description: 'Last name', optional: true },
+                    emailAddresses: { type: 'array', items: { type: 'string' }, description: 'Email addresses (at most 3)', optional: true },
+                    mobilePhone: { type: 'string', description: 'Mobile phone number', optional: true },
+                    businessPhones: { type: 'array', items: { type: 'string' }, description: 'Work phone numbers', optional: true },
+                    homePhones: { type: 'array', items: { type: 'string' }, description: 'Home phone numbers', optional: true },
+                    jobTitle: { type: 'string', description: 'Job title', optional: true },
+                    companyName: { type: 'string', description: 'Company', optional: true },
+                    department: { type: 'string', description: 'Department', optional: true },
+                    officeLocation: { type: 'string', description: 'Office location', optional: true },
+                    businessAddress: { type: 'object', description: 'Work address: { street, city, state, postalCode, countryOrRegion }', optional: true },
+                    homeAddress: { type: 'object', description: 'Home address: { street, city, state, postalCode, countryOrRegion }', optional: true },
+                    birthday: { type: 'string', description: 'Birthday (YYYY-MM-DD)', optional: true },
+                    notes: { type: 'string', description: 'Notes', optional: true },
+                    categories: { type: 'array', items: { type: 'string' }, description: 'Category names', optional: true },
+                    folderId: { type: 'string', description: 'Contact folder ID to save the contact in (default: the main Contacts folder)', optional: true }
+                };
+                toolDef.parameterMapping = {
+                    displayName: { inBody: true },
+                    givenName: { inBody: true },
+                    surname: { inBody: true },
+                    emailAddresses: { inBody: true },
+                    mobilePhone: { inBody: true },
+                    businessPhones: { inBody: true },
+                    homePhones: { inBody: true },
+                    jobTitle: { inBody: true },
+                    companyName: { inBody: true },
+                    department: { inBody: true },
+                    officeLocation: { inBody: true },
+                    businessAddress: { inBody: true },
+                    homeAddress: { inBody: true },
+                    birthday: { inBody: true },
+                    notes: { inBody: true },
+                    categories: { inBody: true },
+                    folderId: { inBody: true }
+                };
+                break;
+            case 'updateContact':
+                toolDef.description = 'Update a saved Outlook contact. Only the fields given are changed; list fields such as emailAddresses and businessPhones replace the existing list';
+                toolDef.endpoint = '/api/v1/contacts/:id';
+                toolDef.method = 'PATCH';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'Contact ID', required: true },
+                    displayName: { type: 'string', description: 'Full name as shown in Outlook. Built from givenName and surname when omitted', optional: true },
+                    givenName: { type: 'string', description: 'First name', optional: true },
+                    surname: { type: 'string', description: 'Last name', optional: true },
+                    emailAddresses: { type: 'array', items: { type: 'string' }, description: 'Email addresses (at most 3)', optional: true },
+                    mobilePhone: { type: 'string', description: 'Mobile phone number', optional: true },
+                    businessPhones: { type: 'array', items: { type: 'string' }, description: 'Work phone numbers', optional: true },
+                    homePhones: { type: 'array', items: { type: 'string' }, description: 'Home phone numbers', optional: true },
+                    jobTitle: { type: 'string', description: 'Job title', optional: true },
+                    companyName: { type: 'string', description: 'Company', optional: true },
+                    department: { type: 'string', description: 'Department', optional: true },
+                    officeLocation: { type: 'string', description: 'Office location', optional: true },
+                    businessAddress: { type: 'object', description: 'Work address: { street, city, state, postalCode, countryOrRegion }', optional: true },
+                    homeAddress: { type: 'object', description: 'Home address: { street, city, state, postalCode, countryOrRegion }', optional: true },
+                    birthday: { type: 'string', description: 'Birthday (YYYY-MM-DD)', optional: true },
+                    notes: { type: 'string', description: 'Notes', optional: true },
+                    categories: { type: 'array', items: { type: 'string' }, description: 'Category names', optional: true }
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true },
+                    displayName: { inBody: true },
+                    givenName: { inBody: true },
+                    surname: { inBody: true },
+                    emailAddresses: { inBody: true },
+                    mobilePhone: { inBody: true },
+                    businessPhones: { inBody: true },
+                    homePhones: { inBody: true },
+                    jobTitle: { inBody: true },
+                    companyName: { inBody: true },
+                    department: { inBody: true },
+                    officeLocation: { inBody: true },
+                    businessAddress: { inBody: true },
+                    homeAddress: { inBody: true },
+                    birthday: { inBody: true },
+                    notes: { inBody: true },
+                    categories: { inBody: true }
+                };
+                break;
+            case 'deleteContact':
+                toolDef.description = 'Delete a saved Outlook contact';
+                toolDef.endpoint = '/api/v1/contacts/:id';
+                toolDef.method = 'DELETE';
+                toolDef.parameters = {
+                    id: { type: 'string', description: 'Contact ID', required: true }
+                };
+                toolDef.parameterMapping = {
+                    id: { inPath: true }
+                };
+                break;
+            case 'listContactFolders':
+            case 'getContactFolders':
+                toolDef.description = 'List the user\'s Outlook contact folders';
+                toolDef.endpoint = '/api/v1/contacts/folders';
+                toolDef.method = 'GET';
+                toolDef.parameters = {};
+                break;
+
             // Default for unknown capabilities
             default:
                 MonitoringService.warn(`No specific definition found for capability '${capability}' in module '${moduleName}'. Using defaults.`, {
@@ -1682,9 +3036,50 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                     subject: transformedParams.subject,
                     body: transformedParams.body,
                     cc: transformAttendees(transformedParams.cc),
-                    bcc: transformAttendees(transformedParams.bcc)
+                    bcc: transformAttendees(transformedParams.bcc),
+                    contentType: transformedParams.contentType,
+                    attachments: transformedParams.attachments,
+                    sendAt: transformedParams.sendAt,
+                    sendAtTimeZone: transformedParams.sendAtTimeZone,
+                    mailbox: transformedParams.mailbox
+                };
+                
+            case 'mail.replyToEmail':
+            case 'mail.replyAllToEmail':
+            case 'mail.forwardEmail':
+                return {
+                    id: transformedParams.id,
+                    comment: transformedParams.comment,
+                    to: transformAttendees(transformedParams.to),
+                    cc: transformAttendees(transformedParams.cc),
+                    bcc: transformAttendees(transformedParams.bcc),
+                    attachments: transformedParams.attachments,
+                    mailbox: transformedParams.mailbox
+                };
+                
+            case 'mail.createDraft':
+            case 'mail.updateDraft':
+                return {
+                    id: transformedParams.id,
+                    subject: transformedParams.subject,
+                    body: transformedParams.body,
+                    contentType: transformedParams.contentType,
+                    to: transformAttendees(transformedParams.to),
+                    cc: transformAttendees(transformedParams.cc),
+                    bcc: transformAttendees(transformedParams.bcc),
+                    importance: transformedParams.importance,
+                    attachments: transformedParams.attachments,
+                    mailbox: transformedParams.mailbox
                 };
                 
+            case 'mail.getConversation':
+                // Accept the generic id parameter as the message to resolve the thread from
+                if (transformedParams.id && !transformedParams.messageId) {
+                    transformedParams.messageId = transformedParams.id;
+                    delete transformedParams.id;
+                }
+                return transformedParams;
+                
             case 'mail.searchEmails':
             case 'mail.searchMail':
                 // Ensure query parameter is properly named
@@ -1704,7 +3099,12 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                     location: transformedParams.location,
                     body: transformedParams.body,
                     attendees: transformAttendees(transformedParams.attendees),
-                    isOnlineMeeting: transformedParams.isOnlineMeeting
+                    isOnlineMeeting: transformedParams.isOnlineMeeting,
+                    onlineMeetingProvider: transformedParams.onlineMeetingProvider,
+                    recurrence: transformedParams.recurrence,
+                    conflictPolicy: transformedParams.conflictPolicy,
+                    calendarId: transformedParams.calendarId,
+                    mailbox: transformedParams.mailbox
                 };
                 
             case 'calendar.update':
@@ -1744,6 +3144,26 @@ function createToolsService({ moduleRegistry, logger = console, schemaValidator
                     updateData.isOnlineMeeting = transformedParams.isOnlineMeeting;
                 }
                 
+                if (transformedParams.onlineMeetingProvider !== undefined) {
+                    updateData.onlineMeetingProvider = transformedParams.onlineMeetingProvider;
+                }
+                
+                if (transformedParams.recurrence !== undefined) {
+                    updateData.recurrence = transformedParams.recurrence;
+                }
+                
+                if (transformedParams.applyTo !== undefined) {
+                    updateData.applyTo = transformedParams.applyTo;
+                }
+                
+                if (transformedParams.conflictPolicy !== undefined) {
+                    updateData.conflictPolicy = transformedParams.conflictPolicy;
+                }
+                
+                if (transformedParams.mailbox !== undefined) {
+                    updateData.mailbox = transformedParams.mailbox;
+                }
+                
                 return updateData;
                 
             case 'calendar.getAvailability':
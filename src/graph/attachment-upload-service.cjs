@@ -0,0 +1,231 @@
+/**
+ * @fileoverview AttachmentUploadService - Adds file attachments to messages and events.
+ * Files within Graph's inline limit are posted in a single request; larger files go through
+ * an attachment upload session in chunks, resuming from the ranges Graph still expects when
+ * a chunk fails. Upload progress is published through the event service.
+ */
+
+const MonitoringService = require('../core/monitoring-service.cjs');
+const ErrorService = require('../core/error-service.cjs');
+const EventService = require('../core/event-service.cjs');
+
+// Graph rejects inline fileAttachment posts above 3 MB
+const INLINE_UPLOAD_LIMIT = 3 * 1024 * 1024;
+
+// Upload session chunks must stay below 4 MB; Graph recommends multiples of 320 KiB
+const UPLOAD_CHUNK_SIZE = 10 * 320 * 1024;
+
+// Largest attachment Outlook accepts through an upload session
+const MAX_UPLOAD_SIZE = 150 * 1024 * 1024;
+
+// Attempts to resume a failed range before giving up
+const MAX_RANGE_RETRIES = 3;
+
+const UPLOAD_EVENTS = {
+  PROGRESS: 'attachment:upload:progress',
+  COMPLETED: 'attachment:upload:completed'
+};
+
+/**
+ * Decodes attachment content into a Buffer.
+ * @param {Buffer|string} contentBytes - Buffer or base64 string
+ * @returns {Buffer|null} Decoded content, or null for unsupported input
+ */
+function toBuffer(contentBytes) {
+  if (Buffer.isBuffer(contentBytes)) {
+    return contentBytes;
+  }
+  if (typeof contentBytes === 'string') {
+    return Buffer.from(contentBytes, 'base64');
+  }
+  return null;
+}
+
+/**
+ * Reads the first byte Graph still expects from nextExpectedRanges (e.g. ["3276800-"]).
+ * @param {Array<string>} ranges - nextExpectedRanges from an upload session response
+ * @returns {number|null} Offset to upload next, or null when nothing is pending
+ */
+function getNextRangeStart(ranges) {
+  if (!Array.isArray(ranges) || ranges.length === 0) {
+    return null;
+  }
+  const start = parseInt(String(ranges[0]).split('-')[0], 10);
+  return Number.isNaN(start) ? null : start;
+}
+
+/**
+ * Extracts the attachment ID from the Location header returned when an upload completes.
+ * @param {string|null} location - Location header value
+ * @returns {string|null} Attachment ID
+ */
+function getAttachmentIdFromLocation(location) {
+  const match = /attachments\('([^']+)'\)/i.exec(location || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether a failed range upload is worth resuming: network failures, server errors and
+ * range mismatches are; other client errors (expired or invalid session) are not.
+ * @param {object} error - Error thrown by the range upload
+ * @returns {boolean}
+ */
+function isResumableUploadError(error) {
+  const statusCode = error?.context?.statusCode;
+  return !statusCode || statusCode >= 500 || statusCode === 416;
+}
+
+/**
+ * Uploads a file attachment to a message or event, using an upload session when the file
+ * is larger than Graph's inline limit.
+ * @param {object} client - Graph client from graphClientFactory.createClient
+ * @param {string} parentPath - Message or event path, e.g. /me/messages/{id}
+ * @param {object} attachment - { name, contentBytes (base64 or Buffer), contentType, isInline, contentId }
+ * @param {object} [context] - { category, parentType, parentId, userId, sessionId } for logging and progress events
+ * @returns {Promise<object>} Created attachment with uploadMethod ('inline' or 'uploadSession')
+ */
+async function uploadFileAttachment(client, parentPath, attachment, context = {}) {
+  const { category = 'graph', parentType = 'message', parentId = null, userId, sessionId } = context;
+  const content = toBuffer(attachment?.contentBytes);
+
+  if (!content || content.length === 0 || content.length > MAX_UPLOAD_SIZE) {
+    const mcpError = ErrorService.createError(
+      category,
+      `Attachment content must be a non-empty Buffer or base64 string of at most ${MAX_UPLOAD_SIZE / (1024 * 1024)}MB`,
+      'warning',
+      {
+        service: 'attachment-upload-service',
+        method: 'uploadFileAttachment',
+        parentType,
+        size: content ? content.length : null,
+        timestamp: new Date().toISOString()
+      }
+    );
+    MonitoringService.logError(mcpError);
+    throw mcpError;
+  }
+
+  const contentType = attachment.contentType || 'application/octet-stream';
+  const isInline = attachment.isInline || false;
+  const progressContext = {
+    parentType,
+    parentId: parentId ? parentId.substring(0, 20) + '...' : null,
+    name: attachment.name,
+    totalBytes: content.length
+  };
+
+  if (content.length <= INLINE_UPLOAD_LIMIT) {
+    const attachmentData = {
+      '@odata.type': '#microsoft.graph.fileAttachment',
+      name: attachment.name,
+      contentBytes: content.toString('base64'),
+      contentType,
+      isInline
+    };
+    if (attachment.contentId) {
+      attachmentData.contentId = attachment.contentId;
+    }
+
+    const result = await client.api(`${parentPath}/attachments`, userId, sessionId).post(attachmentData);
+    EventService.emit(UPLOAD_EVENTS.COMPLETED, {
+      ...progressContext,
+      uploadMethod: 'inline',
+      timestamp: new Date().toISOString()
+    }, { userId, sessionId });
+
+    return { ...result, uploadMethod: 'inline' };
+  }
+
+  const attachmentItem = {
+    attachmentType: 'file',
+    name: attachment.name,
+    size: content.length,
+    contentType,
+    isInline
+  };
+  if (attachment.contentId) {
+    attachmentItem.contentId = attachment.contentId;
+  }
+
+  const session = await client.api(`${parentPath}/attachments/createUploadSession`, userId, sessionId).post({ AttachmentItem: attachmentItem });
+
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Attachment upload session created', {
+      ...progressContext,
+      chunkSize: UPLOAD_CHUNK_SIZE,
+      expirationDateTime: session.expirationDateTime,
+      timestamp: new Date().toISOString()
+    }, category);
+  }
+
+  let rangeStart = getNextRangeStart(session.nextExpectedRanges) ?? 0;
+  let location = null;
+  let chunkCount = 0;
+  let retries = 0;
+
+  while (rangeStart !== null && rangeStart < content.length) {
+    const chunk = content.subarray(rangeStart, Math.min(rangeStart + UPLOAD_CHUNK_SIZE, content.length));
+
+    try {
+      const response = await client.uploadRange(session.uploadUrl, chunk, rangeStart, content.length);
+      const uploadedBytes = rangeStart + chunk.length;
+      chunkCount++;
+      retries = 0;
+
+      EventService.emit(UPLOAD_EVENTS.PROGRESS, {
+        ...progressContext,
+        uploadedBytes,
+        percent: Math.round((uploadedBytes / content.length) * 100),
+        timestamp: new Date().toISOString()
+      }, { userId, sessionId });
+
+      // The final range is answered with 201 Created and the new attachment's Location
+      if (response.status === 201 || uploadedBytes >= content.length) {
+        location = response.location;
+        break;
+      }
+      rangeStart = getNextRangeStart(response.nextExpectedRanges) ?? uploadedBytes;
+    } catch (error) {
+      if (retries >= MAX_RANGE_RETRIES || !isResumableUploadError(error)) {
+        throw error;
+      }
+      retries++;
+
+      MonitoringService.warn('Attachment range upload failed, resuming from the session state', {
+        ...progressContext,
+        rangeStart,
+        attempt: retries,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }, category);
+
+      // Ask the session which bytes it still needs rather than assuming the failed range was lost
+      const state = await client.getUploadSession(session.uploadUrl);
+      rangeStart = getNextRangeStart(state.nextExpectedRanges);
+    }
+  }
+
+  EventService.emit(UPLOAD_EVENTS.COMPLETED, {
+    ...progressContext,
+    uploadMethod: 'uploadSession',
+    chunkCount,
+    timestamp: new Date().toISOString()
+  }, { userId, sessionId });
+
+  return {
+    id: getAttachmentIdFromLocation(location),
+    name: attachment.name,
+    contentType,
+    size: content.length,
+    isInline,
+    uploadMethod: 'uploadSession',
+    chunkCount
+  };
+}
+
+module.exports = {
+  INLINE_UPLOAD_LIMIT,
+  MAX_UPLOAD_SIZE,
+  UPLOAD_EVENTS,
+  uploadFileAttachment
+};
@@ -0,0 +1,1429 @@
+/**
+ * @fileoverview CalendarManagementService - Microsoft Graph calendar and calendar group
+ * management. Creates, renames and deletes secondary calendars and calendar groups, and
+ * manages who a calendar is shared with through its calendarPermissions.
+ * All methods are async, take { req, mailbox } options and use GraphClient.
+ */
+
+const graphClientFactory = require('./graph-client.cjs');
+const { normalizeCalendar, normalizeCalendarPermission } = require('./normalizers.cjs');
+const { scopeClientToMailbox } = require('./mailbox-access.cjs');
+const MonitoringService = require('../core/monitoring-service.cjs');
+const ErrorService = require('../core/error-service.cjs');
+
+// Calendar color presets Outlook offers for calendars
+const CALENDAR_COLORS = ['auto', 'lightBlue', 'lightGreen', 'lightOrange', 'lightGray', 'lightYellow', 'lightTeal', 'lightPink', 'lightBrown', 'lightRed'];
+
+// Roles a calendar can be shared with, from free/busy only up to full delegate access
+const CALENDAR_SHARE_ROLES = ['freeBusyRead', 'limitedRead', 'read', 'write', 'delegateWithoutPrivateEventAccess', 'delegateWithPrivateEventAccess'];
+
+const EMAIL_ADDRESS_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Creates, logs and returns a validation error for calendar management input.
+ * @param {string} message - What is wrong with the input
+ * @param {string} method - Service method that rejected it
+ * @returns {object} MCP error
+ */
+function calendarInputError(message, method) {
+  const mcpError = ErrorService.createError(
+    'calendar',
+    message,
+    'warning',
+    {
+      service: 'graph-calendar-management-service',
+      method,
+      timestamp: new Date().toISOString()
+    }
+  );
+  MonitoringService.logError(mcpError);
+  return mcpError;
+}
+
+/**
+ * Resolves a calendar color given in any letter case ("LightBlue", "lightblue").
+ * @param {string} color - Color preset
+ * @param {string} method - Calling service method, for error reporting
+ * @returns {string} Graph calendarColor value
+ */
+function resolveCalendarColor(color, method) {
+  const key = String(color || '').trim().toLowerCase();
+  const resolved = CALENDAR_COLORS.find(preset => preset.toLowerCase() === key);
+  if (!resolved) {
+    throw calendarInputError(`Unknown calendar color "${color}". Use one of: ${CALENDAR_COLORS.join(', ')}`, method);
+  }
+  return resolved;
+}
+
+/**
+ * Resolves a sharing role given in any letter case ("Write", "freebusyread").
+ * @param {string} role - Sharing role
+ * @param {string} method - Calling service method, for error reporting
+ * @returns {string} Graph calendarRoleType value
+ */
+function resolveShareRole(role, method) {
+  const key = String(role || '').trim().toLowerCase();
+  const resolved = CALENDAR_SHARE_ROLES.find(value => value.toLowerCase() === key);
+  if (!resolved) {
+    throw calendarInputError(`Unknown sharing role "${role}". Use one of: ${CALENDAR_SHARE_ROLES.join(', ')}`, method);
+  }
+  return resolved;
+}
+
+/**
+ * Returns a trimmed, non-empty name or throws a validation error.
+ * @param {string} name - Calendar or calendar group name
+ * @param {string} label - What is being named, for the error message
+ * @param {string} method - Calling service method, for error reporting
+ * @returns {string} Trimmed name
+ */
+function requireName(name, label, method) {
+  const value = typeof name === 'string' ? name.trim() : '';
+  if (!value) {
+    throw calendarInputError(`${label} name must be a non-empty string`, method);
+  }
+  return value;
+}
+
+/**
+ * Normalizes a Graph calendarGroup resource.
+ * @param {object} group - Raw calendarGroup
+ * @param {Array<object>} [calendars] - Normalized calendars in the group, when loaded
+ * @returns {object} { id, name, classId, calendars? }
+ */
+function normalizeCalendarGroup(group, calendars) {
+  return {
+    id: group.id,
+    name: group.name || '',
+    classId: group.classId || null,
+    ...(calendars ? { calendars } : {})
+  };
+}
+
+/**
+ * Finds the permission to change or revoke, by permission ID or by the recipient's address.
+ * @param {object} client - Graph client (already scoped to the target mailbox)
+ * @param {string} calendarId - Calendar ID
+ * @param {object} target - { permissionId } or { email }
+ * @param {string} method - Calling service method, for error reporting
+ * @returns {Promise<object>} Raw calendarPermission
+ */
+async function findCalendarPermission(client, calendarId, target, method) {
+  if (target.permissionId) {
+    return client.api(`/me/calendars/${encodeURIComponent(calendarId)}/calendarPermissions/${encodeURIComponent(target.permissionId)}`).get();
+  }
+
+  const email = typeof target.email === 'string' ? target.email.trim().toLowerCase() : '';
+  if (!email) {
+    throw calendarInputError('permissionId or email is required to identify the permission', method);
+  }
+
+  const res = await client.api(`/me/calendars/${encodeURIComponent(calendarId)}/calendarPermissions`).get();
+  const permission = (res.value || []).find(item => (item.emailAddress?.address || '').toLowerCase() === email);
+  if (!permission) {
+    throw calendarInputError(`The calendar is not shared with ${target.email}`, method);
+  }
+  return permission;
+}
+
+/**
+ * Lists the calendar groups of the mailbox, optionally with the calendars in each group.
+ * @param {object} [options]
+ * @param {boolean} [options.includeCalendars=false] - Also load each group's calendars
+ * @param {string} [options.mailbox] - Shared or delegated calendar owner
+ * @param {object} [options.req] - Request object
+ * @returns {Promise<Array<object>>} Normalized calendar groups
+ */
+async function listCalendarGroups(options = {}) {
+  const { req, includeCalendars = false } = options;
+  const startTime = Date.now();
+  const contextUserId = req?.user?.userId;
+  const contextSessionId = req?.session?.id;
+
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Listing calendar groups', {
+      method: 'listCalendarGroups',
+      includeCalendars,
+      sessionId: contextSessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'calendar');
+  }
+
+  try {
+    const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'listCalendarGroups' });
+    const res = await client.api('/me/calendarGroups').get();
+    const groups = [];
+    for (const group of res.value || []) {
+      let calendars;
+      if (includeCalendars) {
+        const calendarRes = await client.api(`/me/calendarGroups/${encodeURIComponent(group.id)}/calendars`).get();
+        calendars = (calendarRes.value || []).map(calendar => normalizeCalendar(calendar));
+      }
+      groups.push(normalizeCalendarGroup(group, calendars));
+    }
+
+    const executionTime = Date.now() - startTime;
+
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Calendar groups retrieved successfully', {
+        groupCount: groups.length,
+        includeCalendars,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Calendar groups retrieved with session', {
+        sessionId: contextSessionId,
+        groupCount: groups.length,
+        includeCalendars,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_groups_list_success', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'listCalendarGroups',
+      groupCount: groups.length,
+      timestamp: new Date().toISOString()
+    });
+
+    return groups;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Failed to list calendar groups: ${error.message}`,
+      'error',
+      {
+        service: 'graph-calendar-management-service',
+        method: 'listCalendarGroups',
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+
+    MonitoringService.logError(mcpError);
+
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error listing calendar groups', {
+        errorMessage: 'Failed to list calendar groups',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error listing calendar groups', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to list calendar groups',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_groups_list_failure', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'listCalendarGroups',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+
+    throw mcpError;
+  }
+}
+
+/**
+ * Creates a calendar group.
+ * @param {object} groupData - { name }
+ * @param {object} [options] - { mailbox, req }
+ * @returns {Promise<object>} Normalized calendar group
+ */
+async function createCalendarGroup(groupData = {}, options = {}) {
+  const { req } = options;
+  const startTime = Date.now();
+  const contextUserId = req?.user?.userId;
+  const contextSessionId = req?.session?.id;
+
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Creating calendar group', {
+      method: 'createCalendarGroup',
+      sessionId: contextSessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'calendar');
+  }
+
+  try {
+    const name = requireName(groupData.name, 'Calendar group', 'createCalendarGroup');
+
+    const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'createCalendarGroup' });
+    const created = await client.api('/me/calendarGroups').post({ name });
+
+    const executionTime = Date.now() - startTime;
+
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Calendar group created successfully', {
+        groupId: created.id,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Calendar group created with session', {
+        sessionId: contextSessionId,
+        groupId: created.id,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_group_create_success', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'createCalendarGroup',
+      timestamp: new Date().toISOString()
+    });
+
+    return normalizeCalendarGroup(created);
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Failed to create calendar group: ${error.message}`,
+      'error',
+      {
+        service: 'graph-calendar-management-service',
+        method: 'createCalendarGroup',
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+
+    MonitoringService.logError(mcpError);
+
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error creating calendar group', {
+        errorMessage: 'Failed to create calendar group',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error creating calendar group', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to create calendar group',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_group_create_failure', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'createCalendarGroup',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+
+    throw mcpError;
+  }
+}
+
+/**
+ * Renames a calendar group.
+ * @param {string} groupId - Calendar group ID
+ * @param {object} updates - { name }
+ * @param {object} [options] - { mailbox, req }
+ * @returns {Promise<object>} Normalized calendar group
+ */
+async function updateCalendarGroup(groupId, updates = {}, options = {}) {
+  const { req } = options;
+  const startTime = Date.now();
+  const contextUserId = req?.user?.userId;
+  const contextSessionId = req?.session?.id;
+
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Renaming calendar group', {
+      method: 'updateCalendarGroup',
+      groupId,
+      sessionId: contextSessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'calendar');
+  }
+
+  try {
+    if (!groupId) {
+      throw calendarInputError('Calendar group ID is required', 'updateCalendarGroup');
+    }
+    const name = requireName(updates.name, 'Calendar group', 'updateCalendarGroup');
+
+    const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'updateCalendarGroup' });
+    const updated = await client.api(`/me/calendarGroups/${encodeURIComponent(groupId)}`).patch({ name });
+
+    const executionTime = Date.now() - startTime;
+
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Calendar group renamed successfully', {
+        groupId,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Calendar group renamed with session', {
+        sessionId: contextSessionId,
+        groupId,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_group_update_success', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'updateCalendarGroup',
+      timestamp: new Date().toISOString()
+    });
+
+    return normalizeCalendarGroup({ id: groupId, name, ...updated });
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Failed to rename calendar group: ${error.message}`,
+      'error',
+      {
+        service: 'graph-calendar-management-service',
+        method: 'updateCalendarGroup',
+        groupId,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+
+    MonitoringService.logError(mcpError);
+
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error renaming calendar group', {
+        errorMessage: 'Failed to rename calendar group',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error renaming calendar group', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to rename calendar group',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_group_update_failure', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'updateCalendarGroup',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+
+    throw mcpError;
+  }
+}
+
+/**
+ * Deletes a calendar group. Outlook only deletes groups that hold no calendars.
+ * @param {string} groupId - Calendar group ID
+ * @param {object} [options] - { mailbox, req }
+ * @returns {Promise<object>} { id, deleted: true }
+ */
+async function deleteCalendarGroup(groupId, options = {}) {
+  const { req } = options;
+  const startTime = Date.now();
+  const contextUserId = req?.user?.userId;
+  const contextSessionId = req?.session?.id;
+
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Deleting calendar group', {
+      method: 'deleteCalendarGroup',
+      groupId,
+      sessionId: contextSessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'calendar');
+  }
+
+  try {
+    if (!groupId) {
+      throw calendarInputError('Calendar group ID is required', 'deleteCalendarGroup');
+    }
+
+    const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'deleteCalendarGroup' });
+    await client.api(`/me/calendarGroups/${encodeURIComponent(groupId)}`).delete();
+
+    const executionTime = Date.now() - startTime;
+
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Calendar group deleted successfully', {
+        groupId,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Calendar group deleted with session', {
+        sessionId: contextSessionId,
+        groupId,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_group_delete_success', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'deleteCalendarGroup',
+      timestamp: new Date().toISOString()
+    });
+
+    return { id: groupId, deleted: true };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Failed to delete calendar group: ${error.message}`,
+      'error',
+      {
+        service: 'graph-calendar-management-service',
+        method: 'deleteCalendarGroup',
+        groupId,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+
+    MonitoringService.logError(mcpError);
+
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error deleting calendar group', {
+        errorMessage: 'Failed to delete calendar group',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error deleting calendar group', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to delete calendar group',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_group_delete_failure', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'deleteCalendarGroup',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+
+    throw mcpError;
+  }
+}
+
+/**
+ * Creates a secondary calendar, in the default group or in a given calendar group.
+ * @param {object} calendarData - { name, color, calendarGroupId }
+ * @param {object} [options] - { mailbox, req }
+ * @returns {Promise<object>} Normalized calendar
+ */
+async function createCalendar(calendarData = {}, options = {}) {
+  const { req } = options;
+  const startTime = Date.now();
+  const contextUserId = req?.user?.userId;
+  const contextSessionId = req?.session?.id;
+
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Creating calendar', {
+      method: 'createCalendar',
+      hasColor: calendarData.color !== undefined,
+      hasCalendarGroupId: !!calendarData.calendarGroupId,
+      sessionId: contextSessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'calendar');
+  }
+
+  try {
+    const payload = { name: requireName(calendarData.name, 'Calendar', 'createCalendar') };
+    if (calendarData.color !== undefined) {
+      payload.color = resolveCalendarColor(calendarData.color, 'createCalendar');
+    }
+
+    const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'createCalendar' });
+    const path = calendarData.calendarGroupId ? `/me/calendarGroups/${encodeURIComponent(calendarData.calendarGroupId)}/calendars` : '/me/calendars';
+    const created = await client.api(path).post(payload);
+
+    const executionTime = Date.now() - startTime;
+
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Calendar created successfully', {
+        calendarId: created.id,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Calendar created with session', {
+        sessionId: contextSessionId,
+        calendarId: created.id,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_create_success', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'createCalendar',
+      timestamp: new Date().toISOString()
+    });
+
+    return normalizeCalendar(created);
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Failed to create calendar: ${error.message}`,
+      'error',
+      {
+        service: 'graph-calendar-management-service',
+        method: 'createCalendar',
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+
+    MonitoringService.logError(mcpError);
+
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error creating calendar', {
+        errorMessage: 'Failed to create calendar',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error creating calendar', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to create calendar',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_create_failure', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'createCalendar',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+
+    throw mcpError;
+  }
+}
+
+/**
+ * Renames a calendar or changes its color.
+ * @param {string} calendarId - Calendar ID
+ * @param {object} updates - { name, color }; at least one is required
+ * @param {object} [options] - { mailbox, req }
+ * @returns {Promise<object>} Normalized calendar
+ */
+async function updateCalendar(calendarId, updates = {}, options = {}) {
+  const { req } = options;
+  const startTime = Date.now();
+  const contextUserId = req?.user?.userId;
+  const contextSessionId = req?.session?.id;
+
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Updating calendar', {
+      method: 'updateCalendar',
+      calendarId,
+      fields: Object.keys(updates),
+      sessionId: contextSessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'calendar');
+  }
+
+  try {
+    if (!calendarId) {
+      throw calendarInputError('Calendar ID is required', 'updateCalendar');
+    }
+
+    const payload = {};
+    if (updates.name !== undefined) {
+      payload.name = requireName(updates.name, 'Calendar', 'updateCalendar');
+    }
+    if (updates.color !== undefined) {
+      payload.color = resolveCalendarColor(updates.color, 'updateCalendar');
+    }
+    if (Object.keys(payload).length === 0) {
+      throw calendarInputError('Provide a new name or color for the calendar', 'updateCalendar');
+    }
+
+    const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'updateCalendar' });
+    const updated = await client.api(`/me/calendars/${encodeURIComponent(calendarId)}`).patch(payload);
+
+    const executionTime = Date.now() - startTime;
+
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Calendar updated successfully', {
+        calendarId,
+        fields: Object.keys(payload),
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Calendar updated with session', {
+        sessionId: contextSessionId,
+        calendarId,
+        fields: Object.keys(payload),
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_update_success', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'updateCalendar',
+      timestamp: new Date().toISOString()
+    });
+
+    return normalizeCalendar({ id: calendarId, ...payload, ...updated });
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Failed to update calendar: ${error.message}`,
+      'error',
+      {
+        service: 'graph-calendar-management-service',
+        method: 'updateCalendar',
+        calendarId,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+
+    MonitoringService.logError(mcpError);
+
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error updating calendar', {
+        errorMessage: 'Failed to update calendar',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error updating calendar', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to update calendar',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_update_failure', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'updateCalendar',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+
+    throw mcpError;
+  }
+}
+
+/**
+ * Deletes a secondary calendar and the events in it. The default calendar cannot be deleted.
+ * @param {string} calendarId - Calendar ID
+ * @param {object} [options] - { mailbox, req }
+ * @returns {Promise<object>} { id, deleted: true }
+ */
+async function deleteCalendar(calendarId, options = {}) {
+  const { req } = options;
+  const startTime = Date.now();
+  const contextUserId = req?.user?.userId;
+  const contextSessionId = req?.session?.id;
+
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Deleting calendar', {
+      method: 'deleteCalendar',
+      calendarId,
+      sessionId: contextSessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'calendar');
+  }
+
+  try {
+    if (!calendarId) {
+      throw calendarInputError('Calendar ID is required', 'deleteCalendar');
+    }
+
+    const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'deleteCalendar' });
+
+    // Graph answers a delete of the default calendar with a generic error; say what is wrong instead
+    const calendar = await client.api(`/me/calendars/${encodeURIComponent(calendarId)}?$select=id,isDefaultCalendar`).get();
+    if (calendar.isDefaultCalendar) {
+      throw calendarInputError('The default calendar cannot be deleted', 'deleteCalendar');
+    }
+
+    await client.api(`/me/calendars/${encodeURIComponent(calendarId)}`).delete();
+
+    const executionTime = Date.now() - startTime;
+
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Calendar deleted successfully', {
+        calendarId,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Calendar deleted with session', {
+        sessionId: contextSessionId,
+        calendarId,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_delete_success', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'deleteCalendar',
+      timestamp: new Date().toISOString()
+    });
+
+    return { id: calendarId, deleted: true };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Failed to delete calendar: ${error.message}`,
+      'error',
+      {
+        service: 'graph-calendar-management-service',
+        method: 'deleteCalendar',
+        calendarId,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+
+    MonitoringService.logError(mcpError);
+
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error deleting calendar', {
+        errorMessage: 'Failed to delete calendar',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error deleting calendar', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to delete calendar',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_delete_failure', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'deleteCalendar',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+
+    throw mcpError;
+  }
+}
+
+/**
+ * Lists who a calendar is shared with. Besides the people it was shared with, Outlook
+ * reports built-in entries such as "My Organization" that cannot be removed.
+ * @param {string} calendarId - Calendar ID
+ * @param {object} [options] - { mailbox, req }
+ * @returns {Promise<Array<object>>} Normalized calendar permissions
+ */
+async function listCalendarPermissions(calendarId, options = {}) {
+  const { req } = options;
+  const startTime = Date.now();
+  const contextUserId = req?.user?.userId;
+  const contextSessionId = req?.session?.id;
+
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Listing calendar permissions', {
+      method: 'listCalendarPermissions',
+      calendarId,
+      sessionId: contextSessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'calendar');
+  }
+
+  try {
+    if (!calendarId) {
+      throw calendarInputError('Calendar ID is required', 'listCalendarPermissions');
+    }
+
+    const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'listCalendarPermissions' });
+    const res = await client.api(`/me/calendars/${encodeURIComponent(calendarId)}/calendarPermissions`).get();
+    const permissions = (res.value || []).map(normalizeCalendarPermission);
+
+    const executionTime = Date.now() - startTime;
+
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Calendar permissions retrieved successfully', {
+        calendarId,
+        permissionCount: permissions.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Calendar permissions retrieved with session', {
+        sessionId: contextSessionId,
+        calendarId,
+        permissionCount: permissions.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_permissions_list_success', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'listCalendarPermissions',
+      permissionCount: permissions.length,
+      timestamp: new Date().toISOString()
+    });
+
+    return permissions;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Failed to list calendar permissions: ${error.message}`,
+      'error',
+      {
+        service: 'graph-calendar-management-service',
+        method: 'listCalendarPermissions',
+        calendarId,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+
+    MonitoringService.logError(mcpError);
+
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error listing calendar permissions', {
+        errorMessage: 'Failed to list calendar permissions',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error listing calendar permissions', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to list calendar permissions',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_permissions_list_failure', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'listCalendarPermissions',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+
+    throw mcpError;
+  }
+}
+
+/**
+ * Shares a calendar with someone. Sharing again with a person who already has access
+ * changes their role instead of adding a second permission.
+ * @param {string} calendarId - Calendar ID
+ * @param {object} shareData - { email, name, role } where role defaults to 'read'
+ * @param {object} [options] - { mailbox, req }
+ * @returns {Promise<object>} Normalized calendar permission
+ */
+async function shareCalendar(calendarId, shareData = {}, options = {}) {
+  const { req } = options;
+  const startTime = Date.now();
+  const contextUserId = req?.user?.userId;
+  const contextSessionId = req?.session?.id;
+
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Sharing calendar', {
+      method: 'shareCalendar',
+      calendarId,
+      role: shareData.role,
+      sessionId: contextSessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'calendar');
+  }
+
+  try {
+    if (!calendarId) {
+      throw calendarInputError('Calendar ID is required', 'shareCalendar');
+    }
+    const email = typeof shareData.email === 'string' ? shareData.email.trim() : '';
+    if (!EMAIL_ADDRESS_PATTERN.test(email)) {
+      throw calendarInputError('A valid email address is required to share a calendar', 'shareCalendar');
+    }
+    const role = resolveShareRole(shareData.role === undefined ? 'read' : shareData.role, 'shareCalendar');
+
+    const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'shareCalendar' });
+    const permissionsPath = `/me/calendars/${encodeURIComponent(calendarId)}/calendarPermissions`;
+    const existing = (await client.api(permissionsPath).get()).value || [];
+    const current = existing.find(item => (item.emailAddress?.address || '').toLowerCase() === email.toLowerCase());
+
+    const permission = current ?
+      { ...current, ...(await client.api(`${permissionsPath}/${encodeURIComponent(current.id)}`).patch({ role })), role } :
+      await client.api(permissionsPath).post({
+        emailAddress: { address: email, name: shareData.name || email },
+        role
+      });
+
+    const executionTime = Date.now() - startTime;
+
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Calendar shared successfully', {
+        calendarId,
+        role,
+        updatedExisting: !!current,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Calendar shared with session', {
+        sessionId: contextSessionId,
+        calendarId,
+        role,
+        updatedExisting: !!current,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_share_success', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'shareCalendar',
+      role,
+      timestamp: new Date().toISOString()
+    });
+
+    return normalizeCalendarPermission(permission);
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Failed to share calendar: ${error.message}`,
+      'error',
+      {
+        service: 'graph-calendar-management-service',
+        method: 'shareCalendar',
+        calendarId,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+
+    MonitoringService.logError(mcpError);
+
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error sharing calendar', {
+        errorMessage: 'Failed to share calendar',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error sharing calendar', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to share calendar',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_share_failure', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'shareCalendar',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+
+    throw mcpError;
+  }
+}
+
+/**
+ * Changes the role of an existing calendar permission.
+ * @param {string} calendarId - Calendar ID
+ * @param {object} permissionData - { permissionId } or { email } to identify the permission, and the new role
+ * @param {object} [options] - { mailbox, req }
+ * @returns {Promise<object>} Normalized calendar permission
+ */
+async function updateCalendarPermission(calendarId, permissionData = {}, options = {}) {
+  const { req } = options;
+  const startTime = Date.now();
+  const contextUserId = req?.user?.userId;
+  const contextSessionId = req?.session?.id;
+
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Updating calendar permission', {
+      method: 'updateCalendarPermission',
+      calendarId,
+      role: permissionData.role,
+      hasPermissionId: !!permissionData.permissionId,
+      sessionId: contextSessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'calendar');
+  }
+
+  try {
+    if (!calendarId) {
+      throw calendarInputError('Calendar ID is required', 'updateCalendarPermission');
+    }
+    if (permissionData.role === undefined) {
+      throw calendarInputError('role is required to change a calendar permission', 'updateCalendarPermission');
+    }
+    const role = resolveShareRole(permissionData.role, 'updateCalendarPermission');
+
+    const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'updateCalendarPermission' });
+    const current = await findCalendarPermission(client, calendarId, permissionData, 'updateCalendarPermission');
+
+    // Built-in entries only accept the roles Outlook lists for them
+    if (Array.isArray(current.allowedRoles) && current.allowedRoles.length > 0 && !current.allowedRoles.includes(role)) {
+      throw calendarInputError(`Role ${role} is not allowed for this permission. Allowed roles: ${current.allowedRoles.join(', ')}`, 'updateCalendarPermission');
+    }
+
+    const updated = await client.api(`/me/calendars/${encodeURIComponent(calendarId)}/calendarPermissions/${encodeURIComponent(current.id)}`).patch({ role });
+
+    const executionTime = Date.now() - startTime;
+
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Calendar permission updated successfully', {
+        calendarId,
+        role,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Calendar permission updated with session', {
+        sessionId: contextSessionId,
+        calendarId,
+        role,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_permission_update_success', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'updateCalendarPermission',
+      role,
+      timestamp: new Date().toISOString()
+    });
+
+    return normalizeCalendarPermission({ ...current, ...updated, role });
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Failed to update calendar permission: ${error.message}`,
+      'error',
+      {
+        service: 'graph-calendar-management-service',
+        method: 'updateCalendarPermission',
+        calendarId,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+
+    MonitoringService.logError(mcpError);
+
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error updating calendar permission', {
+        errorMessage: 'Failed to update calendar permission',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error updating calendar permission', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to update calendar permission',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_permission_update_failure', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'updateCalendarPermission',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+
+    throw mcpError;
+  }
+}
+
+/**
+ * Stops sharing a calendar with someone.
+ * @param {string} calendarId - Calendar ID
+ * @param {object} permissionData - { permissionId } or { email } to identify the permission
+ * @param {object} [options] - { mailbox, req }
+ * @returns {Promise<object>} { id, calendarId, email, revoked: true }
+ */
+async function revokeCalendarPermission(calendarId, permissionData = {}, options = {}) {
+  const { req } = options;
+  const startTime = Date.now();
+  const contextUserId = req?.user?.userId;
+  const contextSessionId = req?.session?.id;
+
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Revoking calendar permission', {
+      method: 'revokeCalendarPermission',
+      calendarId,
+      hasPermissionId: !!permissionData.permissionId,
+      sessionId: contextSessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'calendar');
+  }
+
+  try {
+    if (!calendarId) {
+      throw calendarInputError('Calendar ID is required', 'revokeCalendarPermission');
+    }
+
+    const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'revokeCalendarPermission' });
+    const current = await findCalendarPermission(client, calendarId, permissionData, 'revokeCalendarPermission');
+    if (current.isRemovable === false) {
+      throw calendarInputError(`The ${current.emailAddress?.name || 'built-in'} permission cannot be removed. Change its role instead`, 'revokeCalendarPermission');
+    }
+
+    await client.api(`/me/calendars/${encodeURIComponent(calendarId)}/calendarPermissions/${encodeURIComponent(current.id)}`).delete();
+
+    const executionTime = Date.now() - startTime;
+
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Calendar permission revoked successfully', {
+        calendarId,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Calendar permission revoked with session', {
+        sessionId: contextSessionId,
+        calendarId,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_permission_revoke_success', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'revokeCalendarPermission',
+      timestamp: new Date().toISOString()
+    });
+
+    return {
+      id: current.id,
+      calendarId,
+      email: current.emailAddress?.address || '',
+      revoked: true
+    };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Failed to revoke calendar permission: ${error.message}`,
+      'error',
+      {
+        service: 'graph-calendar-management-service',
+        method: 'revokeCalendarPermission',
+        calendarId,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+
+    MonitoringService.logError(mcpError);
+
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error revoking calendar permission', {
+        errorMessage: 'Failed to revoke calendar permission',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error revoking calendar permission', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to revoke calendar permission',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_permission_revoke_failure', executionTime, {
+      service: 'graph-calendar-management-service',
+      method: 'revokeCalendarPermission',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+
+    throw mcpError;
+  }
+}
+
+module.exports = {
+  CALENDAR_COLORS,
+  CALENDAR_SHARE_ROLES,
+  listCalendarGroups,
+  createCalendarGroup,
+  updateCalendarGroup,
+  deleteCalendarGroup,
+  createCalendar,
+  updateCalendar,
+  deleteCalendar,
+  listCalendarPermissions,
+  shareCalendar,
+  updateCalendarPermission,
+  revokeCalendarPermission
+};
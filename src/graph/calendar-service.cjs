@@ -10,6 +10,7 @@ const MonitoringService = require('../core/monitoring-service.cjs');
 const ErrorService = require('../core/error-service.cjs');
 const EventService = require('../core/event-service.cjs');
 const GraphFilterValidator = require('./graph-filter-validator.cjs');
+const { uploadFileAttachment } = require('./attachment-upload-service.cjs');
 
 // Configuration for time zones
 const CONFIG = {
@@ -277,14 +278,118 @@ async function getUserPreferredTimeZone(client, userId = 'me') {
   return CONFIG.DEFAULT_TIMEZONE;
 }
 
+/**
+ * Resolves a Windows, informal or IANA time zone name to an IANA identifier.
+ * @param {string} timeZone - Time zone name, e.g. 'W. Europe Standard Time', 'PST' or 'Asia/Tokyo'
+ * @returns {string|null} IANA time zone, or null if the name is not recognized
+ */
+function resolveIanaTimeZone(timeZone) {
+  if (!timeZone) {
+    return null;
+  }
+  if (CONFIG.TIMEZONE_MAPPING[timeZone]) {
+    return CONFIG.TIMEZONE_MAPPING[timeZone];
+  }
+  try {
+    // Intl accepts any IANA zone and throws on unknown names
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Offset of an IANA time zone from UTC at a given instant, in milliseconds.
+ * @param {string} ianaTimeZone - IANA time zone
+ * @param {number} timestamp - Instant in epoch milliseconds
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimeZoneOffsetMs(ianaTimeZone, timestamp) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: ianaTimeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+  const value = type => Number(parts.find(part => part.type === type).value);
+  const wallClockAsUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return wallClockAsUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Converts a date/time to a UTC ISO string. Date objects and values with a 'Z' or offset are
+ * taken as-is; wall-clock values (e.g. '2026-10-20T08:00:00') are read in the given time zone.
+ * @param {string|Date} dateTime - ISO 8601 date/time
+ * @param {string} [timeZone] - Windows, informal or IANA time zone for wall-clock values
+ * @returns {string|null} UTC ISO string, or null if the value or time zone is invalid
+ */
+function toUtcDateTime(dateTime, timeZone) {
+  if (dateTime instanceof Date) {
+    return Number.isNaN(dateTime.getTime()) ? null : dateTime.toISOString();
+  }
+
+  if (typeof dateTime !== 'string') {
+    return null;
+  }
+
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(dateTime.trim())) {
+    const instant = new Date(dateTime);
+    return Number.isNaN(instant.getTime()) ? null : instant.toISOString();
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/.exec(dateTime.trim());
+  const ianaTimeZone = resolveIanaTimeZone(timeZone);
+  if (!match || !ianaTimeZone) {
+    return null;
+  }
+
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(part => Number(part || 0));
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Two passes so times next to a DST change pick up the offset in effect at the result
+  let utc = wallClockAsUtc - getTimeZoneOffsetMs(ianaTimeZone, wallClockAsUtc);
+  utc = wallClockAsUtc - getTimeZoneOffsetMs(ianaTimeZone, utc);
+  return new Date(utc).toISOString();
+}
+
 // Import normalizeEvent from the central normalizers module
-const { normalizeEvent } = require('./normalizers.cjs');
+const { BODY_FORMATS, formatBody, normalizeEvent, normalizeOnlineMeeting, normalizeCalendar } = require('./normalizers.cjs');
+const { scopeClientToMailbox } = require('./mailbox-access.cjs');
+const { buildRecurrence, resolveSeriesTarget } = require('./event-recurrence.cjs');
 
 // Error and monitoring services are now imported at the top of the file
 
+// Timeframe shortcuts understood by getTimeframeRange
+const TIMEFRAMES = ['today', 'tomorrow', 'this_week', 'next_week', 'this_month', 'next_month'];
+
 // ISO date format validation regex
 const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
 
+// Online meeting providers Graph can attach a join link for
+const ONLINE_MEETING_PROVIDERS = ['teamsForBusiness', 'skypeForBusiness', 'skypeForConsumer'];
+
+// How createEvent and updateEvent react when the organizer or attendees are already booked
+const CONFLICT_POLICIES = ['warn', 'block', 'ignore'];
+
+// Free/busy statuses that count as a clash; free and workingElsewhere do not
+const CONFLICTING_STATUSES = ['busy', 'oof', 'tentative'];
+
+// Alternative slots offered alongside a conflict report
+const MAX_CONFLICT_SUGGESTIONS = 5;
+
+// How far ahead the organizer reports (pending proposals, response status) look when no end is given
+const ORGANIZER_LOOKAHEAD_DAYS = 30;
+
+// Attendee responses as reported by getResponseStatus; anything else counts as no response
+const ATTENDEE_RESPONSE_GROUPS = {
+  accepted: 'accepted',
+  tentativelyAccepted: 'tentative',
+  declined: 'declined'
+};
+
 /**
  * Helper method to redact sensitive data from objects before logging
  * @param {object} data - The data object to redact
@@ -351,65 +456,61 @@ function isValidISODate(dateString) {
 /**
  * Converts timeframe shortcuts to date ranges
  * @param {string} timeframe - Timeframe shortcut
- * @returns {object} Object with start and end dates in YYYY-MM-DD format
+ * @param {string} [ianaTimeZone] - Time zone that decides what "today" is (default: the server's)
+ * @returns {object} Object with start and end dates in YYYY-MM-DD format (both inclusive)
  */
-function getTimeframeRange(timeframe) {
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+function getTimeframeRange(timeframe, ianaTimeZone) {
+  const now = Date.now();
+  const offsetMs = ianaTimeZone ? getTimeZoneOffsetMs(ianaTimeZone, now) : -new Date(now).getTimezoneOffset() * 60000;
+  // Calendar arithmetic on the local date, held as a UTC midnight
+  const local = new Date(now + offsetMs);
+  const today = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+  const toDate = date => date.toISOString().split('T')[0];
+  const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
   
   switch (timeframe.toLowerCase()) {
     case 'today':
       return {
-        start: today.toISOString().split('T')[0],
-        end: today.toISOString().split('T')[0]
+        start: toDate(today),
+        end: toDate(today)
       };
       
     case 'tomorrow':
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
       return {
-        start: tomorrow.toISOString().split('T')[0],
-        end: tomorrow.toISOString().split('T')[0]
+        start: toDate(addDays(today, 1)),
+        end: toDate(addDays(today, 1))
       };
       
-    case 'this_week':
-      const startOfWeek = new Date(today);
-      startOfWeek.setDate(today.getDate() - today.getDay()); // Sunday
-      const endOfWeek = new Date(startOfWeek);
-      endOfWeek.setDate(startOfWeek.getDate() + 6); // Saturday
+    case 'this_week': {
+      const startOfWeek = addDays(today, -today.getUTCDay()); // Sunday
       return {
-        start: startOfWeek.toISOString().split('T')[0],
-        end: endOfWeek.toISOString().split('T')[0]
+        start: toDate(startOfWeek),
+        end: toDate(addDays(startOfWeek, 6)) // Saturday
       };
+    }
       
-    case 'next_week':
-      const nextWeekStart = new Date(today);
-      nextWeekStart.setDate(today.getDate() - today.getDay() + 7); // Next Sunday
-      const nextWeekEnd = new Date(nextWeekStart);
-      nextWeekEnd.setDate(nextWeekStart.getDate() + 6); // Next Saturday
+    case 'next_week': {
+      const nextWeekStart = addDays(today, 7 - today.getUTCDay()); // Next Sunday
       return {
-        start: nextWeekStart.toISOString().split('T')[0],
-        end: nextWeekEnd.toISOString().split('T')[0]
+        start: toDate(nextWeekStart),
+        end: toDate(addDays(nextWeekStart, 6)) // Next Saturday
       };
+    }
       
     case 'this_month':
-      const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
-      const endOfMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0);
       return {
-        start: startOfMonth.toISOString().split('T')[0],
-        end: endOfMonth.toISOString().split('T')[0]
+        start: toDate(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1))),
+        end: toDate(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 0)))
       };
       
     case 'next_month':
-      const nextMonthStart = new Date(today.getFullYear(), today.getMonth() + 1, 1);
-      const nextMonthEnd = new Date(today.getFullYear(), today.getMonth() + 2, 0);
       return {
-        start: nextMonthStart.toISOString().split('T')[0],
-        end: nextMonthEnd.toISOString().split('T')[0]
+        start: toDate(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 1))),
+        end: toDate(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 2, 0)))
       };
       
     default:
-      throw new Error(`Unknown timeframe: ${timeframe}. Supported values: today, tomorrow, this_week, next_week, this_month, next_month`);
+      throw new Error(`Unknown timeframe: ${timeframe}. Supported values: ${TIMEFRAMES.join(', ')}`);
   }
 }
 
@@ -429,7 +530,10 @@ function getTimeframeRange(timeframe) {
  * @param {string} [options.attendee] - Filter by attendee email (convenience)
  * @param {string} [options.location] - Filter by location containing text (convenience)
  * @param {string} [options.timeframe] - Predefined time range
+ * @param {string} [options.bodyFormat] - 'html', 'text', 'markdown' or 'summary-ready'; default returns bodies as Graph sent them
+ * @param {string} [options.calendarId] - Read from this calendar instead of the default one
  * @param {string} [options.userId='me'] - User ID to get events for
+ * @param {string} [options.mailbox] - Shared or delegated calendar owner (email address or user ID); default: signed-in user
  * @param {object} [options.req] - Request object
  * @returns {Promise<Array<object>>} Normalized calendar events
  */
@@ -449,6 +553,8 @@ async function getEvents(options = {}) {
     attendee,
     location,
     timeframe,
+    bodyFormat,
+    calendarId,
     userId = 'me', 
     req 
   } = options;
@@ -477,16 +583,24 @@ async function getEvents(options = {}) {
         maxResults,
         orderby,
         timeframe,
+        hasCalendarId: !!calendarId,
         targetUserId: userId
       }
     }, 'calendar');
   }
   
+  // A timeframe is answered from the calendar view, which expands recurring series into their
+  // occurrences; /events would return each series once, as its master
+  if (timeframe && !start && !end && userId === 'me' && !filter && !select && !expand && !subject && !organizer && !attendee && !location) {
+    const view = await getCalendarView({ timeframe, top: maxResults, bodyFormat, calendarId, mailbox: options.mailbox, req });
+    return view.events;
+  }
+  
   let endpoint;
   const startTime = Date.now();
   
   try {
-    const client = await graphClientFactory.createClient(req);
+    const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'getEvents' });
     
     // Handle timeframe shortcuts
     let effectiveStart = start;
@@ -507,6 +621,10 @@ async function getEvents(options = {}) {
       throw new Error(`Invalid end date format: ${effectiveEnd}. Expected YYYY-MM-DD.`);
     }
     
+    if (bodyFormat !== undefined && !BODY_FORMATS.includes(bodyFormat)) {
+      throw new Error(`Invalid bodyFormat: ${bodyFormat}. Expected one of: ${BODY_FORMATS.join(', ')}.`);
+    }
+    
     // Build query parameters array
     let queryParams = [];
     
@@ -646,7 +764,8 @@ async function getEvents(options = {}) {
     const queryString = queryParams.length > 0 ? `?${queryParams.join('&')}` : '';
     
     // Make API request using our helper function
-    endpoint = getEndpointPath(userId, `/events${queryString}`);
+    const calendarPath = calendarId ? `/calendars/${encodeURIComponent(calendarId)}` : '';
+    endpoint = getEndpointPath(userId, `${calendarPath}/events${queryString}`);
     MonitoringService?.debug(`Fetching calendar events with $filter (no $search support)`, {
       endpoint,
       userId: redactSensitiveData({ userId }),
@@ -687,6 +806,13 @@ async function getEvents(options = {}) {
     } else {
       // Use full normalization for complete event objects
       events = (res.value || []).map(normalizeEvent);
+      
+      if (bodyFormat) {
+        events = events.map((event, index) => {
+          const formatted = formatBody(res.value[index].body, bodyFormat);
+          return { ...event, body: formatted.content, bodyType: formatted.contentType };
+        });
+      }
     }
     
     // Emit event for UI updates with redacted data
@@ -784,12 +910,495 @@ async function getEvents(options = {}) {
   }
 }
 
+/**
+ * Resolves a calendar view bound to a UTC instant. Dates (YYYY-MM-DD) mean midnight in the
+ * calendar's time zone, and an end date is inclusive, so it resolves to the following midnight.
+ * Date-times without an offset are read in the calendar's time zone.
+ * @param {string} value - Date or date-time
+ * @param {string} timeZone - Calendar time zone (Windows or IANA)
+ * @param {boolean} isEnd - Whether the value ends the window
+ * @returns {string|null} UTC ISO string, or null if the value is invalid
+ */
+function resolveViewBound(value, timeZone, isEnd) {
+  if (isValidISODate(value)) {
+    const date = isEnd ? new Date(Date.parse(`${value}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().substring(0, 10) : value;
+    return toUtcDateTime(`${date}T00:00:00`, timeZone) || toUtcDateTime(`${date}T00:00:00`, 'UTC');
+  }
+  return toUtcDateTime(value, timeZone) || toUtcDateTime(value, 'UTC');
+}
+
+/**
+ * Retrieves the events in a time window from the calendar view. Unlike getEvents, recurring
+ * series are expanded into the occurrences (and edited occurrences) that fall in the window,
+ * and every page of results is followed.
+ * @param {object} options - Query options
+ * @param {string} [options.start] - Window start, date (YYYY-MM-DD) or ISO date-time
+ * @param {string} [options.end] - Window end, date (inclusive) or ISO date-time
+ * @param {string} [options.timeframe] - Window shortcut instead of start and end (see getTimeframeRange)
+ * @param {string} [options.calendarId] - Calendar to read (default: the default calendar)
+ * @param {number} [options.top] - Maximum number of events to return (default: all)
+ * @param {string} [options.bodyFormat] - 'html', 'text', 'markdown' or 'summary-ready'
+ * @param {string} [options.mailbox] - Shared or delegated calendar owner
+ * @param {object} [options.req] - Request object
+ * @returns {Promise<object>} { start, end, calendarId, events } with the window in UTC
+ */
+async function getCalendarView(options = {}) {
+  const { req, timeframe, calendarId, bodyFormat } = options;
+  const requestUserId = req?.user?.userId;
+  const sessionId = req?.session?.id;
+  const startTime = Date.now();
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Processing getCalendarView request', {
+      sessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString(),
+      userId: requestUserId,
+      parameters: {
+        start: options.start,
+        end: options.end,
+        timeframe,
+        hasCalendarId: !!calendarId
+      }
+    }, 'calendar');
+  }
+  
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'getCalendarView' });
+  
+  try {
+    const createValidationError = message => {
+      const validationError = ErrorService.createError(
+        'calendar',
+        message,
+        'warning',
+        {
+          start: options.start,
+          end: options.end,
+          timeframe,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(validationError);
+      return validationError;
+    };
+    
+    if (timeframe && !TIMEFRAMES.includes(String(timeframe).toLowerCase())) {
+      throw createValidationError(`timeframe must be one of: ${TIMEFRAMES.join(', ')}`);
+    }
+    if (bodyFormat !== undefined && !BODY_FORMATS.includes(bodyFormat)) {
+      throw createValidationError(`bodyFormat must be one of: ${BODY_FORMATS.join(', ')}`);
+    }
+    if (!timeframe && (!options.start || !options.end)) {
+      throw createValidationError('start and end (or a timeframe) are required for a calendar view');
+    }
+    
+    // Dates and the timeframe are days in the calendar owner's time zone
+    const timeZone = await getUserPreferredTimeZone(client);
+    const range = timeframe ? getTimeframeRange(timeframe, resolveIanaTimeZone(timeZone) || 'UTC') : { start: options.start, end: options.end };
+    const windowStart = resolveViewBound(range.start, timeZone, false);
+    const windowEnd = resolveViewBound(range.end, timeZone, true);
+    if (!windowStart || !windowEnd || windowEnd <= windowStart) {
+      throw createValidationError('start and end must be valid dates or date-times with end after start');
+    }
+    
+    const maxEvents = options.top ? Math.max(parseInt(options.top, 10) || 1, 1) : Infinity;
+    const basePath = calendarId ? `/me/calendars/${encodeURIComponent(calendarId)}/calendarView` : '/me/calendarView';
+    const rawEvents = [];
+    let pageCount = 0;
+    let nextLink = `${basePath}?startDateTime=${encodeURIComponent(windowStart)}&endDateTime=${encodeURIComponent(windowEnd)}&$orderby=${encodeURIComponent('start/dateTime')}&$top=${Math.min(maxEvents, 100)}`;
+    while (nextLink && rawEvents.length < maxEvents) {
+      const page = await client.api(nextLink).get();
+      rawEvents.push(...(page.value || []));
+      nextLink = page['@odata.nextLink'];
+      pageCount++;
+    }
+    
+    let events = rawEvents.slice(0, maxEvents).map(normalizeEvent);
+    if (bodyFormat) {
+      events = events.map((event, index) => {
+        const formatted = formatBody(rawEvents[index].body, bodyFormat);
+        return { ...event, body: formatted.content, bodyType: formatted.contentType };
+      });
+    }
+    
+    // Pattern 2: User Activity Logs
+    const duration = Date.now() - startTime;
+    if (requestUserId) {
+      MonitoringService.info('Calendar view retrieved successfully', {
+        eventCount: events.length,
+        pageCount,
+        hasCalendarId: !!calendarId,
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.info('Calendar view retrieved with session', {
+        sessionId,
+        eventCount: events.length,
+        pageCount,
+        hasCalendarId: !!calendarId,
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+    
+    MonitoringService.trackMetric('calendar_view_fetch_time', duration, {
+      eventCount: events.length,
+      pageCount,
+      timestamp: new Date().toISOString()
+    });
+    
+    return {
+      start: windowStart,
+      end: windowEnd,
+      calendarId: calendarId || null,
+      events
+    };
+  } catch (error) {
+    // Validation and mailbox access errors are already MCP errors
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Error fetching calendar view: ${error.message || 'Unknown error'}`,
+      'error',
+      {
+        hasCalendarId: !!calendarId,
+        statusCode: error.statusCode || 'unknown',
+        errorMessage: error.message || 'No message',
+        timestamp: new Date().toISOString()
+      }
+    );
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (requestUserId) {
+      MonitoringService.error('Failed to get calendar view', {
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.error('Failed to get calendar view', {
+        sessionId,
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Picks the provider for an online meeting. An explicit provider is validated; otherwise
+ * the calendar's default provider is used, falling back to Teams.
+ * @param {object} client - Graph client (already scoped to the target mailbox)
+ * @param {string} [requestedProvider] - teamsForBusiness, skypeForBusiness or skypeForConsumer
+ * @param {string} operation - Calling operation, for error reporting
+ * @returns {Promise<string>} Online meeting provider
+ */
+async function resolveOnlineMeetingProvider(client, requestedProvider, operation) {
+  if (requestedProvider) {
+    const provider = ONLINE_MEETING_PROVIDERS.find(value => value.toLowerCase() === String(requestedProvider).toLowerCase());
+    if (!provider) {
+      const validationError = ErrorService.createError(
+        'calendar',
+        `onlineMeetingProvider must be one of: ${ONLINE_MEETING_PROVIDERS.join(', ')}`,
+        'warning',
+        {
+          operation,
+          onlineMeetingProvider: requestedProvider,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(validationError);
+      throw validationError;
+    }
+    return provider;
+  }
+
+  try {
+    const calendar = await client.api('/me/calendar?$select=defaultOnlineMeetingProvider,allowedOnlineMeetingProviders').get();
+    if (ONLINE_MEETING_PROVIDERS.includes(calendar.defaultOnlineMeetingProvider)) {
+      return calendar.defaultOnlineMeetingProvider;
+    }
+    const allowed = (calendar.allowedOnlineMeetingProviders || []).find(value => ONLINE_MEETING_PROVIDERS.includes(value));
+    if (allowed) {
+      return allowed;
+    }
+  } catch (error) {
+    MonitoringService.warn('Could not read the default online meeting provider, using Teams', {
+      operation,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, 'calendar');
+  }
+  return 'teamsForBusiness';
+}
+
+/**
+ * Validates a conflict policy, defaulting to 'warn'.
+ * @param {string} [conflictPolicy] - warn, block or ignore
+ * @param {string} operation - Calling operation, for error reporting
+ * @returns {string} Conflict policy
+ */
+function resolveConflictPolicy(conflictPolicy, operation) {
+  if (conflictPolicy === undefined || conflictPolicy === null) {
+    return 'warn';
+  }
+
+  const policy = CONFLICT_POLICIES.find(value => value === String(conflictPolicy).toLowerCase());
+  if (!policy) {
+    const validationError = ErrorService.createError(
+      'calendar',
+      `conflictPolicy must be one of: ${CONFLICT_POLICIES.join(', ')}`,
+      'warning',
+      {
+        operation,
+        conflictPolicy,
+        timestamp: new Date().toISOString()
+      }
+    );
+    MonitoringService.logError(validationError);
+    throw validationError;
+  }
+  return policy;
+}
+
+/**
+ * Finds the spans the event being moved occupies in the calendar owner's own calendar. Free/busy
+ * items carry no event ID, so the calendar view is read for the window and matched by ID or iCalUId.
+ * @param {object} client - Graph client (already scoped to the target mailbox)
+ * @param {{id: string, iCalUId: string}} ignoreEvent - Event being moved
+ * @param {string} start - Window start as a UTC ISO string
+ * @param {string} end - Window end as a UTC ISO string
+ * @param {string} operation - Calling operation, for logging
+ * @returns {Promise<Array<{start: string, end: string}>>} UTC spans of the event's own copies
+ */
+async function findOwnEventSpans(client, ignoreEvent, start, end, operation) {
+  const spans = [];
+  try {
+    let nextLink = `/me/calendarView?startDateTime=${encodeURIComponent(start)}&endDateTime=${encodeURIComponent(end)}&$select=id,iCalUId,seriesMasterId,start,end&$top=100`;
+    while (nextLink) {
+      const page = await client.api(nextLink).get();
+      for (const event of page.value || []) {
+        const isSameEvent = (ignoreEvent.id && (event.id === ignoreEvent.id || event.seriesMasterId === ignoreEvent.id)) ||
+          (ignoreEvent.iCalUId && event.iCalUId === ignoreEvent.iCalUId);
+        if (isSameEvent) {
+          spans.push({
+            start: toUtcDateTime(event.start?.dateTime, event.start?.timeZone || 'UTC'),
+            end: toUtcDateTime(event.end?.dateTime, event.end?.timeZone || 'UTC')
+          });
+        }
+      }
+      nextLink = page['@odata.nextLink'];
+    }
+  } catch (error) {
+    MonitoringService.warn('Could not read the calendar view to recognize the event being moved', {
+      operation,
+      errorMessage: error.message,
+      timestamp: new Date().toISOString()
+    }, 'calendar');
+  }
+  return spans;
+}
+
+/**
+ * Checks the organizer's and attendees' free/busy for a time window before an event is written.
+ * Alternative slots are only looked up when there is a clash. Failing to read free/busy does not
+ * stop the caller; the report then has checked set to false.
+ * @param {object} client - Graph client (already scoped to the target mailbox)
+ * @param {object} params
+ * @param {string} params.start - Window start as a UTC ISO string
+ * @param {string} params.end - Window end as a UTC ISO string
+ * @param {Array<object>} [params.attendees] - Attendees in Graph format
+ * @param {string} [params.organizer] - Organizer address; looked up from the mailbox if omitted
+ * @param {{id: string, iCalUId: string}} [params.ignoreEvent] - Event being moved; only the organizer's own copy of it is ignored
+ * @param {string} params.policy - Conflict policy in effect
+ * @param {string} [params.mailbox] - Delegated calendar owner
+ * @param {object} [params.req] - Request object
+ * @param {string} params.operation - Calling operation, for logging
+ * @returns {Promise<object>} Conflict report
+ */
+async function checkSchedulingConflicts(client, { start, end, attendees = [], organizer, ignoreEvent, policy, mailbox, req, operation }) {
+  const report = {
+    checked: false,
+    policy,
+    hasConflicts: false,
+    start,
+    end,
+    overlappingEvents: [],
+    busyAttendees: [],
+    suggestions: []
+  };
+
+  if (!start || !end) {
+    report.reason = 'Event start or end could not be resolved to UTC';
+    return report;
+  }
+
+  let organizerAddress = organizer;
+  if (!organizerAddress) {
+    try {
+      const profile = await client.api('/me?$select=mail,userPrincipalName').get();
+      organizerAddress = profile?.mail || profile?.userPrincipalName;
+    } catch (error) {
+      MonitoringService.warn('Could not read the organizer address for the conflict check', {
+        operation,
+        errorMessage: error.message,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+  }
+
+  const attendeeAddresses = (attendees || [])
+    .map(attendee => attendee?.emailAddress?.address)
+    .filter(address => typeof address === 'string' && address.includes('@'));
+  const schedules = [...new Set([organizerAddress, ...attendeeAddresses]
+    .filter(address => typeof address === 'string' && address.includes('@'))
+    .map(address => address.toLowerCase()))];
+
+  if (schedules.length === 0) {
+    report.reason = 'No organizer or attendee addresses to check';
+    return report;
+  }
+
+  let availability;
+  try {
+    // Ask for UTC so schedule items compare directly with the window
+    availability = await getAvailability(schedules, start, end, { timeZone: 'UTC', req });
+  } catch (error) {
+    MonitoringService.warn('Could not read free/busy for the conflict check', {
+      operation,
+      scheduleCount: schedules.length,
+      errorMessage: error.message,
+      timestamp: new Date().toISOString()
+    }, 'calendar');
+    report.reason = 'Free/busy information could not be retrieved';
+    return report;
+  }
+
+  report.checked = true;
+  const organizerSchedule = organizerAddress ? organizerAddress.toLowerCase() : null;
+  let ownSpans = null;
+  for (const schedule of availability) {
+    const isOrganizer = String(schedule.email || '').toLowerCase() === organizerSchedule;
+    for (const item of schedule.scheduleItems) {
+      if (!CONFLICTING_STATUSES.includes(item.status) || !item.start || !item.end) {
+        continue;
+      }
+      if (item.start >= end || item.end <= start) {
+        continue;
+      }
+      // The organizer's own copy of the event being moved is skipped once per matching copy, so another
+      // meeting at the same time still counts; attendees' items are always reported
+      if (ignoreEvent && isOrganizer) {
+        if (!ownSpans) {
+          ownSpans = await findOwnEventSpans(client, ignoreEvent, start, end, operation);
+        }
+        const ownIndex = ownSpans.findIndex(span => span.start === item.start && span.end === item.end);
+        if (ownIndex !== -1) {
+          ownSpans.splice(ownIndex, 1);
+          continue;
+        }
+      }
+      report.overlappingEvents.push({
+        attendee: schedule.email,
+        subject: item.subject,
+        status: item.status,
+        start: item.start,
+        end: item.end,
+        isPrivate: item.isPrivate
+      });
+      if (!report.busyAttendees.includes(schedule.email)) {
+        report.busyAttendees.push(schedule.email);
+      }
+    }
+  }
+  report.hasConflicts = report.overlappingEvents.length > 0;
+
+  if (report.hasConflicts) {
+    const durationMinutes = Math.max(1, Math.round((Date.parse(end) - Date.parse(start)) / 60000));
+    try {
+      const found = await findMeetingTimes({
+        attendees: attendeeAddresses.filter(address => address.toLowerCase() !== organizerAddress?.toLowerCase()),
+        startDateTime: start.replace(/\.\d+Z$/, ''),
+        endDateTime: new Date(Date.parse(start) + 7 * 24 * 60 * 60 * 1000).toISOString().replace(/\.\d+Z$/, ''),
+        meetingDuration: `PT${durationMinutes}M`,
+        maxCandidates: MAX_CONFLICT_SUGGESTIONS,
+        minimumAttendeePercentage: 100,
+        mailbox,
+        req
+      });
+      report.suggestions = found.meetingTimeSuggestions.slice(0, MAX_CONFLICT_SUGGESTIONS).map(suggestion => ({
+        start: toUtcDateTime(suggestion.meetingTimeSlot?.start?.dateTime, suggestion.meetingTimeSlot?.start?.timeZone || 'UTC'),
+        end: toUtcDateTime(suggestion.meetingTimeSlot?.end?.dateTime, suggestion.meetingTimeSlot?.end?.timeZone || 'UTC'),
+        confidence: suggestion.confidence,
+        organizerAvailability: suggestion.organizerAvailability,
+        suggestionReason: suggestion.suggestionReason
+      }));
+    } catch (error) {
+      MonitoringService.warn('Could not find alternative slots for the conflict report', {
+        operation,
+        errorMessage: error.message,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+  }
+
+  MonitoringService.debug('Scheduling conflict check completed', {
+    operation,
+    policy,
+    scheduleCount: schedules.length,
+    overlapCount: report.overlappingEvents.length,
+    suggestionCount: report.suggestions.length,
+    timestamp: new Date().toISOString()
+  }, 'calendar');
+
+  return report;
+}
+
+/**
+ * Builds the error thrown when the block policy refuses to double-book.
+ * @param {object} report - Conflict report from checkSchedulingConflicts
+ * @param {string} operation - Calling operation
+ * @returns {object} MCP error carrying the report in conflicts
+ */
+function createConflictError(report, operation) {
+  const conflictError = ErrorService.createError(
+    'calendar',
+    `Event overlaps ${report.overlappingEvents.length} existing event(s) for ${report.busyAttendees.length} participant(s)`,
+    'warning',
+    {
+      operation,
+      busyAttendeeCount: report.busyAttendees.length,
+      overlapCount: report.overlappingEvents.length,
+      timestamp: new Date().toISOString()
+    }
+  );
+  MonitoringService.logError(conflictError);
+
+  // Attached after logging so attendee details stay out of the logs
+  conflictError.conflicts = report;
+  return conflictError;
+}
+
 /**
  * Creates a calendar event using Microsoft Graph API.
  * @param {object} eventData - Event data including attendees, time, and other event properties
  * @param {string} [userId='me'] - User ID to create event for
+ * @param {string} [options.mailbox] - Delegated calendar owner to create the event in
+ * @param {string} [options.calendarId] - Create the event in this calendar instead of the default one
+ * @param {string} [options.conflictPolicy='warn'] - 'warn' creates the event and attaches a conflict report,
+ *   'block' throws a ConflictError instead of double-booking, 'ignore' skips the free/busy check
  * @param {object} [options.req] - Request object
- * @returns {Promise<object>} Normalized created event
+ * @returns {Promise<object>} Normalized created event, with a conflicts report unless the policy is 'ignore'
  */
 async function createEvent(eventData, userId = 'me', options = {}) {
   // Extract user context for logging
@@ -810,6 +1419,7 @@ async function createEvent(eventData, userId = 'me', options = {}) {
       deviceId,
       parameters: {
         targetUserId: userId,
+        hasCalendarId: !!options.calendarId,
         eventSubject: eventData?.subject,
         hasAttendees: eventData?.attendees?.length > 0,
         startTime: eventData?.start?.dateTime,
@@ -844,6 +1454,7 @@ async function createEvent(eventData, userId = 'me', options = {}) {
   //     })
   //   ),
   //   isOnlineMeeting: Joi.boolean().default(false),
+  //   onlineMeetingProvider: Joi.string().valid(...ONLINE_MEETING_PROVIDERS),
   //   location: Joi.object({
   //     displayName: Joi.string()
   //   })
@@ -855,7 +1466,8 @@ async function createEvent(eventData, userId = 'me', options = {}) {
   //   throw new Error(`Invalid event data: ${error.message}`);
   // }
   
-  const client = await graphClientFactory.createClient(options.req);
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(options.req), options.mailbox, { category: 'calendar', operation: 'createEvent' });
+  const conflictPolicy = resolveConflictPolicy(options.conflictPolicy, 'createEvent');
   
   if (process.env.NODE_ENV !== 'production') {
     MonitoringService?.debug('Attempting to create event in development environment', {
@@ -1020,10 +1632,16 @@ async function createEvent(eventData, userId = 'me', options = {}) {
       dateTime: eventData.end.dateTime,
       timeZone: eventEndTimeZone
     },
-    isOnlineMeeting: eventData.isOnlineMeeting || false,
+    // Naming a provider is enough to ask for an online meeting
+    isOnlineMeeting: !!(eventData.isOnlineMeeting || eventData.onlineMeetingProvider),
     responseRequested: true
   };
 
+  // Graph generates the join link and dial-in details for the chosen provider
+  if (graphEvent.isOnlineMeeting) {
+    graphEvent.onlineMeetingProvider = await resolveOnlineMeetingProvider(client, eventData.onlineMeetingProvider, 'createEvent');
+  }
+
   // Add location if provided
   if (eventData.location) {
     if (typeof eventData.location === 'string') {
@@ -1053,6 +1671,31 @@ async function createEvent(eventData, userId = 'me', options = {}) {
     graphEvent.allowNewTimeProposals = eventData.allowNewTimeProposals;
   }
 
+  // Make the event a recurring series if a recurrence was given
+  if (eventData.recurrence) {
+    graphEvent.recurrence = buildRecurrence(eventData.recurrence, {
+      startDateTime: eventData.start.dateTime,
+      timeZone: eventStartTimeZone
+    });
+  }
+
+  // Check free/busy before writing so a clash can be reported or refused
+  let conflictReport = null;
+  if (conflictPolicy !== 'ignore') {
+    conflictReport = await checkSchedulingConflicts(client, {
+      start: toUtcDateTime(graphEvent.start.dateTime, graphEvent.start.timeZone),
+      end: toUtcDateTime(graphEvent.end.dateTime, graphEvent.end.timeZone),
+      attendees: graphEvent.attendees,
+      policy: conflictPolicy,
+      mailbox: options.mailbox,
+      req,
+      operation: 'createEvent'
+    });
+    if (conflictPolicy === 'block' && conflictReport.hasConflicts) {
+      throw createConflictError(conflictReport, 'createEvent');
+    }
+  }
+
   // Create the event with retry logic for transient errors
   const maxRetries = 3;
   let retryCount = 0;
@@ -1063,7 +1706,8 @@ async function createEvent(eventData, userId = 'me', options = {}) {
   while (retryCount < maxRetries) {
     try {
       // Make the API call to create the event
-      const endpointPath = userId === 'me' ? `/me/events` : `/users/${userId}/events`;
+      const calendarPath = options.calendarId ? `/calendars/${encodeURIComponent(options.calendarId)}` : '';
+      const endpointPath = userId === 'me' ? `/me${calendarPath}/events` : `/users/${userId}${calendarPath}/events`;
       MonitoringService?.debug(`Creating event with endpoint`, {
         endpoint: endpointPath,
         userId: redactSensitiveData({ userId }),
@@ -1082,6 +1726,9 @@ async function createEvent(eventData, userId = 'me', options = {}) {
       
       // Normalize the created event
       const normalizedEvent = normalizeEvent(createdGraphEvent);
+      if (conflictReport) {
+        normalizedEvent.conflicts = conflictReport;
+      }
 
       // Emit event for UI updates with redacted data
       EventService?.emit('calendar:event:created', {
@@ -1599,8 +2246,8 @@ function normalizeAvailabilityResults(results) {
     const scheduleItems = (result.scheduleItems || []).map(item => ({
       subject: item.subject || 'Busy',
       status: item.status || 'busy',
-      start: item.start?.dateTime ? new Date(item.start.dateTime).toISOString() : null,
-      end: item.end?.dateTime ? new Date(item.end.dateTime).toISOString() : null,
+      start: item.start?.dateTime ? (toUtcDateTime(item.start.dateTime, item.start.timeZone) || new Date(item.start.dateTime).toISOString()) : null,
+      end: item.end?.dateTime ? (toUtcDateTime(item.end.dateTime, item.end.timeZone) || new Date(item.end.dateTime).toISOString()) : null,
       isPrivate: !!item.isPrivate
     }));
     
@@ -1626,6 +2273,7 @@ function normalizeAvailabilityResults(results) {
  * @param {string} [options.select] - Comma-separated list of properties to include
  * @param {string} [options.orderby='start/dateTime'] - Property to sort by
  * @param {string} [userId='me'] - User ID to get events for
+ * @param {string} [options.mailbox] - Delegated calendar owner
  * @returns {Promise<Array<Object>>} Raw event data from Graph API
  */
 async function getEventsRaw(options = {}, userId = 'me') {
@@ -1641,7 +2289,7 @@ async function getEventsRaw(options = {}, userId = 'me') {
   
   // Extract req from options
   const { req, start, end, top, select, orderby } = options;
-  const client = await graphClientFactory.createClient(req);
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'getEventsRaw' });
   
   // Build query parameters
   const queryParams = [];
@@ -1694,12 +2342,46 @@ async function getEventsRaw(options = {}, userId = 'me') {
 }
 
 /**
- * Helper function to respond to a calendar event invitation.
- * @param {string} eventId - ID of the event to respond to
- * @param {string} responseType - Type of response ('accept', 'tentativelyAccept', or 'decline')
- * @param {Object} options - Additional options
- * @param {string} [options.comment=''] - Optional comment to include with the response
- * @param {string} [options.userId='me'] - User ID to respond as
+ * Converts a proposed meeting time to Graph's { start, end } in UTC. Bounds without an offset
+ * or time zone of their own are read in the given time zone, or the calendar owner's.
+ * @param {object} client - Graph client (already scoped to the target mailbox)
+ * @param {object} proposedNewTime - { start, end }, each an ISO date-time or { dateTime, timeZone }
+ * @param {string} [timeZone] - Time zone for wall-clock bounds
+ * @returns {Promise<object|null>} { start, end } as dateTimeTimeZone objects, or null if invalid
+ */
+async function resolveProposedNewTime(client, proposedNewTime, timeZone) {
+  const readBound = value => (value && typeof value === 'object' && !(value instanceof Date)
+    ? { dateTime: value.dateTime, timeZone: value.timeZone }
+    : { dateTime: value });
+  const start = readBound(proposedNewTime.start);
+  const end = readBound(proposedNewTime.end);
+  
+  const isWallClock = bound => !bound.timeZone && typeof bound.dateTime === 'string' && !/(Z|[+-]\d{2}:?\d{2})$/i.test(bound.dateTime.trim());
+  const fallbackTimeZone = isWallClock(start) || isWallClock(end) ? (timeZone || await getUserPreferredTimeZone(client)) : timeZone;
+  
+  const startUtc = toUtcDateTime(start.dateTime, start.timeZone || fallbackTimeZone);
+  const endUtc = toUtcDateTime(end.dateTime, end.timeZone || fallbackTimeZone);
+  if (!startUtc || !endUtc || endUtc <= startUtc) {
+    return null;
+  }
+  return {
+    start: { dateTime: startUtc.replace(/Z$/, ''), timeZone: 'UTC' },
+    end: { dateTime: endUtc.replace(/Z$/, ''), timeZone: 'UTC' }
+  };
+}
+
+/**
+ * Helper function to respond to a calendar event invitation.
+ * @param {string} eventId - ID of the event to respond to
+ * @param {string} responseType - Type of response ('accept', 'tentativelyAccept', or 'decline')
+ * @param {Object} options - Additional options
+ * @param {string} [options.comment=''] - Optional comment to include with the response
+ * @param {string} [options.userId='me'] - User ID to respond as
+ * @param {string} [options.mailbox] - Delegated calendar owner to respond for
+ * @param {object} [options.proposedNewTime] - Counter-proposal { start, end } sent with a decline or
+ *   tentative accept; each bound is an ISO date-time or a { dateTime, timeZone } object
+ * @param {string} [options.timeZone] - Time zone for proposed times without an offset (default: the
+ *   calendar owner's preferred time zone)
  * @returns {Promise<object>} Updated event with response status
  */
 async function respondToEvent(eventId, responseType, options = {}) {
@@ -1711,6 +2393,10 @@ async function respondToEvent(eventId, responseType, options = {}) {
     throw new Error('Invalid response type. Must be one of: accept, tentativelyAccept, decline');
   }
   
+  if (options.proposedNewTime && responseType === 'accept') {
+    throw new Error('A new time can only be proposed when declining or tentatively accepting an event');
+  }
+  
   const { comment = '', userId = 'me', req } = options;
   
   // Extract user context for logging
@@ -1732,14 +2418,23 @@ async function respondToEvent(eventId, responseType, options = {}) {
         eventId,
         responseType,
         targetUserId: userId,
-        hasComment: !!comment
+        hasComment: !!comment,
+        hasProposedNewTime: !!options.proposedNewTime
       }
     }, 'calendar');
   }
   
-  const client = await graphClientFactory.createClient(req);
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'respondToEvent' });
   const respondStartTime = Date.now();
   
+  let proposedNewTime = null;
+  if (options.proposedNewTime) {
+    proposedNewTime = await resolveProposedNewTime(client, options.proposedNewTime, options.timeZone);
+    if (!proposedNewTime) {
+      throw new Error('proposedNewTime needs a valid start and end, with end after start');
+    }
+  }
+  
   // Set up retry logic for handling 409 conflicts
   const maxRetries = 3;
   let retryCount = 0;
@@ -1749,7 +2444,12 @@ async function respondToEvent(eventId, responseType, options = {}) {
     try {
       // Make the API call to respond to the event
       const endpoint = userId === 'me' ? `/me/events/${eventId}/${responseType}` : `/users/${userId}/events/${eventId}/${responseType}`;
-      await client.api(endpoint).post({
+      // Graph only passes a proposal on to the organizer when the response is sent
+      await client.api(endpoint).post(proposedNewTime ? {
+        comment: comment,
+        sendResponse: true,
+        proposedNewTime
+      } : {
         comment: comment
       });
       
@@ -1776,6 +2476,7 @@ async function respondToEvent(eventId, responseType, options = {}) {
           responseType,
           duration,
           hasComment: !!comment,
+          hasProposedNewTime: !!proposedNewTime,
           targetUserId: userId,
           timestamp: new Date().toISOString()
         }, 'calendar', null, requestUserId, deviceId);
@@ -1786,6 +2487,7 @@ async function respondToEvent(eventId, responseType, options = {}) {
           responseType,
           duration,
           hasComment: !!comment,
+          hasProposedNewTime: !!proposedNewTime,
           targetUserId: userId,
           timestamp: new Date().toISOString()
         }, 'calendar');
@@ -1797,7 +2499,8 @@ async function respondToEvent(eventId, responseType, options = {}) {
         eventId,
         responseType,
         comment,
-        message: `Successfully ${responseType === 'tentativelyAccept' ? 'tentatively accepted' : responseType + 'ed'} the event${comment ? ' with comment' : ''}`,
+        ...(proposedNewTime ? { proposedNewTime } : {}),
+        message: `Successfully ${{ accept: 'accepted', tentativelyAccept: 'tentatively accepted', decline: 'declined' }[responseType]} the event${comment ? ' with comment' : ''}${proposedNewTime ? ' and proposed a new time' : ''}`,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -1968,6 +2671,7 @@ async function acceptEvent(eventId, commentOrOptions = '', req) {
  * @param {string|Object} commentOrOptions - Optional comment or options object
  * @param {string} [commentOrOptions.comment=''] - Optional comment to include with the response
  * @param {string} [commentOrOptions.userId='me'] - User ID to respond as
+ * @param {object} [commentOrOptions.proposedNewTime] - { start, end } to propose to the organizer instead
  * @returns {Promise<object>} Updated event with response status
  */
 async function tentativelyAcceptEvent(eventId, commentOrOptions = '', req) {
@@ -1993,6 +2697,7 @@ async function tentativelyAcceptEvent(eventId, commentOrOptions = '', req) {
  * @param {string|Object} commentOrOptions - Optional comment or options object
  * @param {string} [commentOrOptions.comment=''] - Optional comment to include with the response
  * @param {string} [commentOrOptions.userId='me'] - User ID to respond as
+ * @param {object} [commentOrOptions.proposedNewTime] - { start, end } to propose to the organizer instead
  * @returns {Promise<object>} Updated event with response status
  */
 async function declineEvent(eventId, commentOrOptions = '', req) {
@@ -2008,8 +2713,701 @@ async function declineEvent(eventId, commentOrOptions = '', req) {
   if (req) {
     options.req = req;
   }
-  
-  return respondToEvent(eventId, 'decline', options);
+  
+  return respondToEvent(eventId, 'decline', options);
+}
+
+/**
+ * Forwards a meeting invitation to new recipients. The organizer is notified that the
+ * meeting was forwarded; the recipients get the invitation but are not added to the event
+ * until the organizer includes them.
+ * @param {string} eventId - ID of the event to forward
+ * @param {Array<string|object>} recipients - Email addresses, or { email, name } objects
+ * @param {object} [options] - Options
+ * @param {string} [options.comment=''] - Message to include with the forwarded invitation
+ * @param {string} [options.mailbox] - Delegated calendar owner
+ * @param {object} [options.req] - Request object
+ * @returns {Promise<object>} { success, eventId, recipients, comment, message }
+ */
+async function forwardEvent(eventId, recipients, options = {}) {
+  const { req, comment = '' } = options;
+  const requestUserId = req?.user?.userId;
+  const sessionId = req?.session?.id;
+  const startTime = Date.now();
+  
+  if (!eventId) {
+    throw new Error('Event ID is required to forward an event');
+  }
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Processing forwardEvent request', {
+      sessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString(),
+      userId: requestUserId,
+      parameters: {
+        eventId: redactSensitiveData({ eventId }),
+        recipientCount: Array.isArray(recipients) ? recipients.length : 0,
+        hasComment: !!comment
+      }
+    }, 'calendar');
+  }
+  
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'forwardEvent' });
+  
+  try {
+    const recipientList = Array.isArray(recipients) ? recipients : (recipients ? [recipients] : []);
+    const toRecipients = formatAttendees(recipientList).map(({ emailAddress }) => ({ emailAddress }));
+    if (toRecipients.length === 0 || toRecipients.length !== recipientList.length) {
+      const validationError = ErrorService.createError(
+        'calendar',
+        'Forwarding needs at least one recipient, and every recipient must be a valid email address',
+        'warning',
+        {
+          recipientCount: recipientList.length,
+          validRecipientCount: toRecipients.length,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(validationError);
+      throw validationError;
+    }
+    
+    await client.api(`/me/events/${eventId}/forward`).post({
+      toRecipients,
+      comment
+    });
+    
+    const forwardedTo = toRecipients.map(recipient => recipient.emailAddress.address);
+    
+    // Pattern 2: User Activity Logs
+    const duration = Date.now() - startTime;
+    if (requestUserId) {
+      MonitoringService.info('Calendar event forwarded successfully', {
+        recipientCount: forwardedTo.length,
+        hasComment: !!comment,
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.info('Calendar event forwarded with session', {
+        sessionId,
+        recipientCount: forwardedTo.length,
+        hasComment: !!comment,
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+    
+    MonitoringService.trackMetric('calendar_event_forward_time', duration, {
+      recipientCount: forwardedTo.length,
+      timestamp: new Date().toISOString()
+    });
+    
+    return {
+      success: true,
+      eventId,
+      recipients: forwardedTo,
+      comment,
+      message: `Forwarded the event to ${forwardedTo.join(', ')}`,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    // Validation and mailbox access errors are already MCP errors
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Error forwarding event: ${error.message || 'Unknown error'}`,
+      'error',
+      {
+        eventId: redactSensitiveData({ eventId }),
+        statusCode: error.statusCode || 'unknown',
+        errorMessage: error.message || 'No message',
+        timestamp: new Date().toISOString()
+      }
+    );
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (requestUserId) {
+      MonitoringService.error('Failed to forward calendar event', {
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.error('Failed to forward calendar event', {
+        sessionId,
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Resolves the window of an organizer report. Dates are days in the calendar owner's time
+ * zone; without a start the window opens now, and without an end it runs
+ * ORGANIZER_LOOKAHEAD_DAYS past the start.
+ * @param {object} client - Graph client (already scoped to the target mailbox)
+ * @param {string} [start] - Date (YYYY-MM-DD) or ISO date-time
+ * @param {string} [end] - Date (inclusive) or ISO date-time
+ * @returns {Promise<object|null>} { start, end } in UTC, or null if the bounds are invalid
+ */
+async function resolveOrganizerWindow(client, start, end) {
+  const timeZone = start || end ? await getUserPreferredTimeZone(client) : 'UTC';
+  const windowStart = start ? resolveViewBound(start, timeZone, false) : new Date().toISOString();
+  const windowEnd = end
+    ? resolveViewBound(end, timeZone, true)
+    : (windowStart ? new Date(Date.parse(windowStart) + ORGANIZER_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000).toISOString() : null);
+  if (!windowStart || !windowEnd || windowEnd <= windowStart) {
+    return null;
+  }
+  return { start: windowStart, end: windowEnd };
+}
+
+/**
+ * Reads the events the calendar owner organizes in a window, recurring series expanded and
+ * cancelled events left out, following every page of the calendar view.
+ * @param {object} client - Graph client (already scoped to the target mailbox)
+ * @param {object} window - { start, end } in UTC
+ * @returns {Promise<object>} { events, pageCount } with raw Graph events including attendees
+ */
+async function listOrganizedEvents(client, window) {
+  const select = 'id,subject,start,end,location,type,seriesMasterId,isOrganizer,isCancelled,attendees,webLink';
+  const events = [];
+  let pageCount = 0;
+  let nextLink = `/me/calendarView?startDateTime=${encodeURIComponent(window.start)}&endDateTime=${encodeURIComponent(window.end)}&$select=${select}&$orderby=${encodeURIComponent('start/dateTime')}&$top=100`;
+  while (nextLink) {
+    const page = await client.api(nextLink).get();
+    events.push(...(page.value || []).filter(event => event.isOrganizer && !event.isCancelled));
+    nextLink = page['@odata.nextLink'];
+    pageCount++;
+  }
+  return { events, pageCount };
+}
+
+/**
+ * Lists the attendees' counter-proposals on an event: those who declined or tentatively
+ * accepted with a proposed new time.
+ * @param {object} event - Raw Graph event with attendees
+ * @returns {Array<object>} { email, name, response, responseTime, proposedStart, proposedEnd }
+ */
+function extractTimeProposals(event) {
+  return (event.attendees || [])
+    .filter(attendee => attendee?.proposedNewTime?.start && attendee.proposedNewTime.end)
+    .map(attendee => ({
+      email: attendee.emailAddress?.address || '',
+      name: attendee.emailAddress?.name || '',
+      response: attendee.status?.response || 'none',
+      responseTime: attendee.status?.time || null,
+      proposedStart: attendee.proposedNewTime.start,
+      proposedEnd: attendee.proposedNewTime.end
+    }));
+}
+
+/**
+ * Summarizes the new times attendees have proposed for upcoming events the user organizes.
+ * Each proposal can be taken with acceptProposedTime.
+ * @param {object} [options] - Options
+ * @param {string} [options.start] - Window start, date (YYYY-MM-DD) or ISO date-time (default: now)
+ * @param {string} [options.end] - Window end, date (inclusive) or ISO date-time (default: 30 days after start)
+ * @param {string} [options.mailbox] - Delegated calendar owner
+ * @param {object} [options.req] - Request object
+ * @returns {Promise<object>} { start, end, eventCount, proposalCount, events } where each event lists its proposals
+ */
+async function getPendingProposals(options = {}) {
+  const { req } = options;
+  const requestUserId = req?.user?.userId;
+  const sessionId = req?.session?.id;
+  const startTime = Date.now();
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Processing getPendingProposals request', {
+      sessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString(),
+      userId: requestUserId,
+      parameters: {
+        start: options.start,
+        end: options.end
+      }
+    }, 'calendar');
+  }
+  
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'getPendingProposals' });
+  
+  try {
+    const window = await resolveOrganizerWindow(client, options.start, options.end);
+    if (!window) {
+      const validationError = ErrorService.createError(
+        'calendar',
+        'start and end must be valid dates or date-times with end after start',
+        'warning',
+        {
+          start: options.start,
+          end: options.end,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(validationError);
+      throw validationError;
+    }
+    
+    const { events: organizedEvents, pageCount } = await listOrganizedEvents(client, window);
+    const events = organizedEvents
+      .map(event => ({
+        eventId: event.id,
+        subject: event.subject || '',
+        start: event.start,
+        end: event.end,
+        eventType: event.type || 'singleInstance',
+        seriesMasterId: event.seriesMasterId || null,
+        webLink: event.webLink,
+        proposals: extractTimeProposals(event)
+      }))
+      .filter(event => event.proposals.length > 0);
+    const proposalCount = events.reduce((count, event) => count + event.proposals.length, 0);
+    
+    // Pattern 2: User Activity Logs
+    const duration = Date.now() - startTime;
+    if (requestUserId) {
+      MonitoringService.info('Pending time proposals retrieved successfully', {
+        eventCount: events.length,
+        proposalCount,
+        pageCount,
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.info('Pending time proposals retrieved with session', {
+        sessionId,
+        eventCount: events.length,
+        proposalCount,
+        pageCount,
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+    
+    MonitoringService.trackMetric('calendar_pending_proposals_time', duration, {
+      eventCount: events.length,
+      proposalCount,
+      timestamp: new Date().toISOString()
+    });
+    
+    return {
+      start: window.start,
+      end: window.end,
+      eventCount: events.length,
+      proposalCount,
+      events
+    };
+  } catch (error) {
+    // Validation and mailbox access errors are already MCP errors
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Error fetching pending time proposals: ${error.message || 'Unknown error'}`,
+      'error',
+      {
+        statusCode: error.statusCode || 'unknown',
+        errorMessage: error.message || 'No message',
+        timestamp: new Date().toISOString()
+      }
+    );
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (requestUserId) {
+      MonitoringService.error('Failed to get pending time proposals', {
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.error('Failed to get pending time proposals', {
+        sessionId,
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Moves an event the user organizes to the time an attendee proposed. Attendees receive
+ * the updated invitation, and the new time is checked for conflicts like any other update.
+ * @param {string} eventId - ID of the event (an occurrence for a recurring meeting)
+ * @param {object} [options] - Options
+ * @param {string} [options.attendee] - Email of the attendee whose proposal to accept; may be
+ *   left out when only one attendee proposed a new time
+ * @param {string} [options.conflictPolicy='warn'] - 'warn', 'block' or 'ignore' (see updateEvent)
+ * @param {string} [options.mailbox] - Delegated calendar owner
+ * @param {object} [options.req] - Request object
+ * @returns {Promise<object>} Normalized updated event with acceptedProposal and conflicts
+ */
+async function acceptProposedTime(eventId, options = {}) {
+  const { req } = options;
+  const requestUserId = req?.user?.userId;
+  const sessionId = req?.session?.id;
+  const startTime = Date.now();
+  
+  if (!eventId) {
+    throw new Error('Event ID is required to accept a proposed time');
+  }
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Processing acceptProposedTime request', {
+      sessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString(),
+      userId: requestUserId,
+      parameters: {
+        eventId: redactSensitiveData({ eventId }),
+        hasAttendee: !!options.attendee,
+        conflictPolicy: options.conflictPolicy
+      }
+    }, 'calendar');
+  }
+  
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'acceptProposedTime' });
+  
+  try {
+    const createValidationError = message => {
+      const validationError = ErrorService.createError(
+        'calendar',
+        message,
+        'warning',
+        {
+          eventId: redactSensitiveData({ eventId }),
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(validationError);
+      return validationError;
+    };
+    
+    const event = await client.api(`/me/events/${eventId}?$select=id,subject,start,end,isOrganizer,attendees`).get();
+    if (!event.isOrganizer) {
+      throw createValidationError('Only the organizer can accept a proposed time for this event');
+    }
+    
+    const proposals = extractTimeProposals(event);
+    if (proposals.length === 0) {
+      throw createValidationError('No attendee has proposed a new time for this event');
+    }
+    
+    let proposal;
+    if (options.attendee) {
+      const attendee = String(options.attendee).trim().toLowerCase();
+      proposal = proposals.find(candidate => candidate.email.toLowerCase() === attendee);
+      if (!proposal) {
+        throw createValidationError(`${options.attendee} has not proposed a new time. Proposals came from: ${proposals.map(candidate => candidate.email).join(', ')}`);
+      }
+    } else if (proposals.length > 1) {
+      throw createValidationError(`Several attendees proposed new times (${proposals.map(candidate => candidate.email).join(', ')}). Name the attendee whose proposal to accept`);
+    } else {
+      proposal = proposals[0];
+    }
+    
+    const updated = await updateEvent(eventId, {
+      start: proposal.proposedStart,
+      end: proposal.proposedEnd
+    }, 'me', {
+      req,
+      mailbox: options.mailbox,
+      conflictPolicy: options.conflictPolicy
+    });
+    
+    // Pattern 2: User Activity Logs
+    const duration = Date.now() - startTime;
+    if (requestUserId) {
+      MonitoringService.info('Proposed time accepted successfully', {
+        proposalCount: proposals.length,
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.info('Proposed time accepted with session', {
+        sessionId,
+        proposalCount: proposals.length,
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+    
+    MonitoringService.trackMetric('calendar_accept_proposal_time', duration, {
+      proposalCount: proposals.length,
+      timestamp: new Date().toISOString()
+    });
+    
+    return {
+      ...updated,
+      acceptedProposal: {
+        email: proposal.email,
+        name: proposal.name,
+        start: proposal.proposedStart,
+        end: proposal.proposedEnd,
+        previousStart: event.start,
+        previousEnd: event.end
+      }
+    };
+  } catch (error) {
+    // Validation, conflict and mailbox access errors are already MCP errors
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Error accepting proposed time: ${error.message || 'Unknown error'}`,
+      'error',
+      {
+        eventId: redactSensitiveData({ eventId }),
+        statusCode: error.statusCode || 'unknown',
+        errorMessage: error.message || 'No message',
+        timestamp: new Date().toISOString()
+      }
+    );
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (requestUserId) {
+      MonitoringService.error('Failed to accept proposed time', {
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.error('Failed to accept proposed time', {
+        sessionId,
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Groups an event's attendees by their response. Rooms and other resources answer
+ * automatically and are left out, as is the organizer; 'notResponded' counts as no response.
+ * @param {object} event - Raw Graph event with attendees
+ * @returns {object} { accepted, tentative, declined, none }, each a list of { email, name, type, responseTime }
+ */
+function groupAttendeeResponses(event) {
+  const groups = { accepted: [], tentative: [], declined: [], none: [] };
+  for (const attendee of event.attendees || []) {
+    if (!attendee || attendee.type === 'resource' || attendee.status?.response === 'organizer') {
+      continue;
+    }
+    const group = ATTENDEE_RESPONSE_GROUPS[attendee.status?.response] || 'none';
+    groups[group].push({
+      email: attendee.emailAddress?.address || '',
+      name: attendee.emailAddress?.name || '',
+      type: attendee.type || 'required',
+      // Graph reports 0001-01-01 for attendees who have not responded
+      responseTime: group !== 'none' && attendee.status?.time && !attendee.status.time.startsWith('0001-') ? attendee.status.time : null
+    });
+  }
+  return groups;
+}
+
+/**
+ * Reports who has accepted, tentatively accepted, declined or not yet responded to an event the
+ * user organizes, or to every upcoming event they organize.
+ * @param {object} [options] - Options
+ * @param {string} [options.eventId] - One event to report on; otherwise every organized event in the window
+ * @param {string} [options.start] - Window start, date (YYYY-MM-DD) or ISO date-time (default: now)
+ * @param {string} [options.end] - Window end, date (inclusive) or ISO date-time (default: 30 days after start)
+ * @param {boolean} [options.pendingOnly=false] - Only list events that still have attendees who have not responded
+ * @param {string} [options.mailbox] - Delegated calendar owner
+ * @param {object} [options.req] - Request object
+ * @returns {Promise<object>} { start, end, timeZone, eventCount, totals, events } where each event carries
+ *   its counts and the accepted, tentative, declined and none attendee lists; times are UTC and
+ *   timeZone is the calendar owner's, for presenting them
+ */
+async function getResponseStatus(options = {}) {
+  const { req, eventId } = options;
+  const requestUserId = req?.user?.userId;
+  const sessionId = req?.session?.id;
+  const startTime = Date.now();
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Processing getResponseStatus request', {
+      sessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString(),
+      userId: requestUserId,
+      parameters: {
+        hasEventId: !!eventId,
+        start: options.start,
+        end: options.end,
+        pendingOnly: !!options.pendingOnly
+      }
+    }, 'calendar');
+  }
+  
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'getResponseStatus' });
+  
+  try {
+    const createValidationError = message => {
+      const validationError = ErrorService.createError(
+        'calendar',
+        message,
+        'warning',
+        {
+          hasEventId: !!eventId,
+          start: options.start,
+          end: options.end,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(validationError);
+      return validationError;
+    };
+    
+    let window = null;
+    let organizedEvents;
+    if (eventId) {
+      const event = await client.api(`/me/events/${eventId}?$select=id,subject,start,end,location,type,seriesMasterId,isOrganizer,isCancelled,attendees,webLink`).get();
+      // Only the organizer's copy of an event records how attendees responded
+      if (!event.isOrganizer) {
+        throw createValidationError('Responses are only tracked for events you organize');
+      }
+      organizedEvents = [event];
+    } else {
+      window = await resolveOrganizerWindow(client, options.start, options.end);
+      if (!window) {
+        throw createValidationError('start and end must be valid dates or date-times with end after start');
+      }
+      ({ events: organizedEvents } = await listOrganizedEvents(client, window));
+    }
+    
+    const totals = { accepted: 0, tentative: 0, declined: 0, none: 0 };
+    const events = organizedEvents
+      .map(event => {
+        const groups = groupAttendeeResponses(event);
+        const counts = {
+          accepted: groups.accepted.length,
+          tentative: groups.tentative.length,
+          declined: groups.declined.length,
+          none: groups.none.length,
+          total: groups.accepted.length + groups.tentative.length + groups.declined.length + groups.none.length
+        };
+        return {
+          eventId: event.id,
+          subject: event.subject || '',
+          start: event.start,
+          end: event.end,
+          location: event.location?.displayName || '',
+          eventType: event.type || 'singleInstance',
+          seriesMasterId: event.seriesMasterId || null,
+          webLink: event.webLink,
+          counts,
+          ...groups
+        };
+      })
+      // Events without attendees have no responses to track
+      .filter(event => event.counts.total > 0 && (!options.pendingOnly || event.counts.none > 0));
+    for (const event of events) {
+      for (const group of Object.keys(totals)) {
+        totals[group] += event.counts[group];
+      }
+    }
+    
+    // Pattern 2: User Activity Logs
+    const duration = Date.now() - startTime;
+    if (requestUserId) {
+      MonitoringService.info('Attendee response status retrieved successfully', {
+        eventCount: events.length,
+        awaitingResponse: totals.none,
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.info('Attendee response status retrieved with session', {
+        sessionId,
+        eventCount: events.length,
+        awaitingResponse: totals.none,
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+    
+    MonitoringService.trackMetric('calendar_response_status_time', duration, {
+      eventCount: events.length,
+      timestamp: new Date().toISOString()
+    });
+    
+    return {
+      start: window ? window.start : null,
+      end: window ? window.end : null,
+      timeZone: await getUserPreferredTimeZone(client),
+      eventCount: events.length,
+      totals,
+      events
+    };
+  } catch (error) {
+    // Validation and mailbox access errors are already MCP errors
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Error fetching attendee response status: ${error.message || 'Unknown error'}`,
+      'error',
+      {
+        hasEventId: !!eventId,
+        statusCode: error.statusCode || 'unknown',
+        errorMessage: error.message || 'No message',
+        timestamp: new Date().toISOString()
+      }
+    );
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (requestUserId) {
+      MonitoringService.error('Failed to get attendee response status', {
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.error('Failed to get attendee response status', {
+        sessionId,
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+    
+    throw mcpError;
+  }
 }
 
 /**
@@ -2019,6 +3417,9 @@ async function declineEvent(eventId, commentOrOptions = '', req) {
  * @param {Object} req - Request object for authentication (3rd parameter for module compatibility)
  * @param {string} [options.comment=''] - Optional comment to include with the cancellation
  * @param {boolean} [options.sendCancellation=true] - Whether to send cancellation notices to attendees
+ * @param {string} [options.mailbox] - Delegated calendar owner
+ * @param {string} [options.applyTo='occurrence'] - For an occurrence of a series: 'occurrence' cancels just
+ *   that occurrence, 'series' cancels the whole series
  * @param {string} [userId='me'] - User ID for the calendar
  * @returns {Promise<object>} Response status with confirmation of success
  */
@@ -2031,6 +3432,8 @@ async function cancelEvent(eventId, options = {}, req) {
   let comment = '';
   let sendCancellation = true;
   let userId = 'me';
+  let mailbox;
+  let applyTo;
   
   if (typeof options === 'string') {
     comment = options;
@@ -2038,9 +3441,14 @@ async function cancelEvent(eventId, options = {}, req) {
     comment = options.comment || '';
     sendCancellation = options.sendCancellation !== false; // Default to true unless explicitly set to false
     userId = options.userId || 'me';
+    mailbox = options.mailbox;
+    applyTo = options.applyTo;
   }
   
-  const client = await graphClientFactory.createClient(req);
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(req), mailbox, { category: 'calendar', operation: 'cancelEvent' });
+  
+  // Cancelling the whole series means cancelling its master instead of the given occurrence
+  const targetEventId = await resolveSeriesTarget(client, eventId, applyTo, { operation: 'cancelEvent' });
   
   // Set up retry logic for transient errors
   const maxRetries = 3;
@@ -2053,12 +3461,12 @@ async function cancelEvent(eventId, options = {}, req) {
       
       if (sendCancellation) {
         // Use the cancel endpoint to send cancellation notices to attendees
-        response = await client.api(userId === 'me' ? `/me/events/${eventId}/cancel` : `/users/${userId}/events/${eventId}/cancel`).post({
+        response = await client.api(userId === 'me' ? `/me/events/${targetEventId}/cancel` : `/users/${userId}/events/${targetEventId}/cancel`).post({
           comment: comment
         });
       } else {
         // If not sending cancellation, just delete the event
-        response = await client.api(userId === 'me' ? `/me/events/${eventId}` : `/users/${userId}/events/${eventId}`).delete();
+        response = await client.api(userId === 'me' ? `/me/events/${targetEventId}` : `/users/${userId}/events/${targetEventId}`).delete();
       }
       
       // Verify success by checking response status and content
@@ -2102,7 +3510,8 @@ async function cancelEvent(eventId, options = {}, req) {
       
       return {
         success: true,
-        eventId,
+        eventId: targetEventId,
+        appliedTo: targetEventId === eventId ? 'event' : 'series',
         sendCancellation,
         response
       };
@@ -2180,12 +3589,263 @@ async function cancelEvent(eventId, options = {}, req) {
 }
 
 /**
+ * Lists the occurrences of a recurring series in a time window, including edited
+ * occurrences (exceptions). An occurrence ID may be passed instead of the series ID.
+ * @param {string} eventId - Series master or occurrence ID
+ * @param {object} [options] - Options
+ * @param {string} [options.start] - Window start, ISO date-time (default: now)
+ * @param {string} [options.end] - Window end, ISO date-time (default: 90 days after start)
+ * @param {number} [options.top=50] - Maximum number of occurrences (max 250)
+ * @param {string} [options.mailbox] - Delegated calendar owner
+ * @param {object} [options.req] - Request object
+ * @returns {Promise<object>} { seriesMasterId, instances }
+ */
+async function getEventInstances(eventId, options = {}) {
+  const { req } = options;
+  const requestUserId = req?.user?.userId;
+  const sessionId = req?.session?.id;
+  const startTime = Date.now();
+  
+  if (!eventId) {
+    throw new Error('Event ID is required to list occurrences');
+  }
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Processing getEventInstances request', {
+      sessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString(),
+      userId: requestUserId,
+      parameters: {
+        eventId: redactSensitiveData({ eventId }),
+        start: options.start,
+        end: options.end
+      }
+    }, 'calendar');
+  }
+  
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'getEventInstances' });
+  
+  try {
+    const windowStart = options.start ? new Date(options.start) : new Date();
+    const windowEnd = options.end ? new Date(options.end) : new Date(windowStart.getTime() + 90 * 24 * 60 * 60 * 1000);
+    if (isNaN(windowStart.getTime()) || isNaN(windowEnd.getTime()) || windowEnd <= windowStart) {
+      const validationError = ErrorService.createError(
+        'calendar',
+        'start and end must be valid date-times with end after start',
+        'warning',
+        {
+          start: options.start,
+          end: options.end,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(validationError);
+      throw validationError;
+    }
+    const top = Math.min(Math.max(parseInt(options.top, 10) || 50, 1), 250);
+    
+    const seriesMasterId = await resolveSeriesTarget(client, eventId, 'series', { operation: 'getEventInstances' });
+    const response = await client.api(`/me/events/${seriesMasterId}/instances?startDateTime=${encodeURIComponent(windowStart.toISOString())}&endDateTime=${encodeURIComponent(windowEnd.toISOString())}&$top=${top}`).get();
+    const instances = (response.value || []).map(instance => normalizeEvent(instance));
+    
+    // Pattern 2: User Activity Logs
+    const duration = Date.now() - startTime;
+    if (requestUserId) {
+      MonitoringService.info('Event occurrences retrieved successfully', {
+        instanceCount: instances.length,
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.info('Event occurrences retrieved with session', {
+        sessionId,
+        instanceCount: instances.length,
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+    
+    MonitoringService.trackMetric('calendar_event_instances_time', duration, {
+      instanceCount: instances.length,
+      timestamp: new Date().toISOString()
+    });
+    
+    return {
+      seriesMasterId,
+      start: windowStart.toISOString(),
+      end: windowEnd.toISOString(),
+      instances
+    };
+  } catch (error) {
+    // Validation and mailbox access errors are already MCP errors
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Error fetching event occurrences: ${error.message || 'Unknown error'}`,
+      'error',
+      {
+        eventId: redactSensitiveData({ eventId }),
+        statusCode: error.statusCode || 'unknown',
+        errorMessage: error.message || 'No message',
+        timestamp: new Date().toISOString()
+      }
+    );
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (requestUserId) {
+      MonitoringService.error('Failed to get event occurrences', {
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.error('Failed to get event occurrences', {
+        sessionId,
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Gets the join link and dial-in details of an online meeting event.
+ * @param {string} eventId - Event ID
+ * @param {object} [options] - Options
+ * @param {string} [options.mailbox] - Delegated calendar owner
+ * @param {object} [options.req] - Request object
+ * @returns {Promise<object>} { eventId, subject, start, end, isOnlineMeeting, provider, joinUrl, conferenceId, dialIn }
+ */
+async function getMeetingJoinInfo(eventId, options = {}) {
+  const { req } = options;
+  const requestUserId = req?.user?.userId;
+  const sessionId = req?.session?.id;
+  const startTime = Date.now();
+  
+  if (!eventId) {
+    throw new Error('Event ID is required to get meeting join info');
+  }
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Processing getMeetingJoinInfo request', {
+      sessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString(),
+      userId: requestUserId,
+      parameters: {
+        eventId: redactSensitiveData({ eventId })
+      }
+    }, 'calendar');
+  }
+  
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'getMeetingJoinInfo' });
+  
+  try {
+    const event = await client.api(`/me/events/${eventId}?$select=id,subject,start,end,isOnlineMeeting,onlineMeetingProvider,onlineMeeting,onlineMeetingUrl,webLink`).get();
+    const onlineMeeting = normalizeOnlineMeeting(event);
+    
+    // Pattern 2: User Activity Logs
+    const duration = Date.now() - startTime;
+    if (requestUserId) {
+      MonitoringService.info('Meeting join info retrieved successfully', {
+        isOnlineMeeting: !!onlineMeeting,
+        provider: onlineMeeting?.provider,
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.info('Meeting join info retrieved with session', {
+        sessionId,
+        isOnlineMeeting: !!onlineMeeting,
+        provider: onlineMeeting?.provider,
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+    
+    MonitoringService.trackMetric('calendar_meeting_join_info_time', duration, {
+      isOnlineMeeting: !!onlineMeeting,
+      timestamp: new Date().toISOString()
+    });
+    
+    return {
+      eventId: event.id || eventId,
+      subject: event.subject || '',
+      start: event.start,
+      end: event.end,
+      webLink: event.webLink || null,
+      isOnlineMeeting: !!onlineMeeting,
+      provider: onlineMeeting?.provider || null,
+      // The link can be missing for a moment after the meeting is created while Graph provisions it
+      joinUrl: onlineMeeting?.joinUrl || null,
+      conferenceId: onlineMeeting?.conferenceId || null,
+      dialIn: onlineMeeting ? {
+        tollNumber: onlineMeeting.tollNumber,
+        tollFreeNumbers: onlineMeeting.tollFreeNumbers,
+        quickDial: onlineMeeting.quickDial,
+        phones: onlineMeeting.phones
+      } : null
+    };
+  } catch (error) {
+    // Mailbox access errors are already MCP errors
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Error fetching meeting join info: ${error.message || 'Unknown error'}`,
+      'error',
+      {
+        eventId: redactSensitiveData({ eventId }),
+        statusCode: error.statusCode || 'unknown',
+        errorMessage: error.message || 'No message',
+        timestamp: new Date().toISOString()
+      }
+    );
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (requestUserId) {
+      MonitoringService.error('Failed to get meeting join info', {
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.error('Failed to get meeting join info', {
+        sessionId,
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Find suitable meeting times for attendees./**
  * Find suitable meeting times for attendees.
  * @param {object} options - Options for finding meeting times
  * @param {Array<object>} [options.attendees=[]] - Attendees with type and emailAddress
  * @param {object} [options.timeConstraints] - Time constraints for the meeting
  * @param {string} [options.meetingDuration='PT30M'] - Duration in ISO8601 format
  * @param {number} [options.maxCandidates=20] - Maximum number of meeting time suggestions
+ * @param {string} [options.mailbox] - Delegated calendar owner who organizes the meeting
  * @param {string} [userId='me'] - User ID to find meeting times for
  * @returns {Promise<object>} Meeting time suggestions
  */
@@ -2197,7 +3857,7 @@ async function findMeetingTimes(options = {}) {
 
   // Get an authenticated client
   // Extract req from options for authentication
-  const { req, userId = 'me', ...otherOptions } = options;
+  const { req, userId = 'me', mailbox, ...otherOptions } = options;
   
   // Extract user context for logging
   const requestUserId = req?.user?.userId;
@@ -2224,7 +3884,7 @@ async function findMeetingTimes(options = {}) {
     }, 'calendar');
   }
   
-  const client = await graphClientFactory.createClient(req);
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(req), mailbox, { category: 'calendar', operation: 'findMeetingTimes' });
   const findMeetingStartTime = Date.now();
   
   // Process attendees if provided
@@ -2882,41 +4542,15 @@ function filterRooms(rooms, options = {}) {
   return filteredRooms;
 }
 
-/**
- * Normalizes a calendar object from Microsoft Graph API
- * @param {Object} calendar - Calendar object from Graph API
- * @returns {Object} Normalized calendar object
- */
-function normalizeCalendar(calendar) {
-  if (!calendar) return null;
-  
-  return {
-    id: calendar.id,
-    name: calendar.name,
-    color: calendar.color || 'auto',
-    owner: calendar.owner ? {
-      name: calendar.owner.name || '',
-      email: calendar.owner.address || ''
-    } : null,
-    canEdit: calendar.canEdit === true,
-    canShare: calendar.canShare === true,
-    canViewPrivateItems: calendar.canViewPrivateItems === true,
-    isDefaultCalendar: calendar.isDefaultCalendar === true,
-    // Add a flag to easily identify delegated calendars
-    isDelegated: calendar.owner && calendar.owner.address && 
-                !calendar.isDefaultCalendar,
-    // Original data for reference if needed
-    _raw: calendar
-  };
-}
-
 /**
  * Get user calendars including delegated calendars.
  * @param {Object} options - Options for retrieving calendars
  * @param {boolean} [options.includeDelegated=true] - Whether to include delegated calendars
  * @param {boolean} [options.includeShared=true] - Whether to include shared calendars
  * @param {boolean} [options.normalize=true] - Whether to normalize the calendar objects
+ * @param {boolean} [options.includePermissions=false] - Load who each shareable calendar is shared with
  * @param {string} [options.userId='me'] - User ID to get calendars for
+ * @param {string} [options.mailbox] - Shared or delegated calendar owner
  * @returns {Promise<Array>} List of calendars, normalized if specified
  */
 async function getCalendars(options = {}) {
@@ -2925,10 +4559,11 @@ async function getCalendars(options = {}) {
     userId = 'me',
     includeDelegated = true,
     includeShared = true,
+    includePermissions = false,
     normalize = true
   } = options;
 
-  const client = await graphClientFactory.createClient(req);
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'getCalendars' });
   
   try {
     // Get the user's own calendars - use correct endpoint
@@ -2973,7 +4608,27 @@ async function getCalendars(options = {}) {
     
     // Normalize the calendars if requested
     if (normalize) {
-      calendars = calendars.map(normalizeCalendar);
+      // Ownership is judged against the mailbox the calendars belong to
+      const ownerEmail = typeof options.mailbox === 'string' && options.mailbox.includes('@') ? options.mailbox : undefined;
+      const normalized = [];
+      for (const calendar of calendars) {
+        let permissions;
+        // Only the owner can read a calendar's permissions
+        if (includePermissions && calendar.canShare) {
+          try {
+            const permissionRes = await client.api(`${endpoint}/${encodeURIComponent(calendar.id)}/calendarPermissions`).get();
+            permissions = permissionRes.value || [];
+          } catch (permissionError) {
+            MonitoringService?.warn('Could not load calendar permissions', {
+              errorMessage: permissionError.message || 'No message',
+              statusCode: permissionError.statusCode || 'unknown',
+              timestamp: new Date().toISOString()
+            }, 'calendar');
+          }
+        }
+        normalized.push(normalizeCalendar(calendar, { ownerEmail, permissions }));
+      }
+      calendars = normalized;
     }
     
     return calendars;
@@ -3013,12 +4668,9 @@ async function getCalendars(options = {}) {
   }
 }
 
-// Constants for attachment handling
-const MAX_ATTACHMENT_SIZE = 3 * 1024 * 1024; // 3MB - Microsoft Graph limit
-const LARGE_ATTACHMENT_THRESHOLD = 1 * 1024 * 1024; // 1MB - Threshold for streaming
-
 /**
- * Add an attachment to an event with size validation and streaming for large files.
+ * Add an attachment to an event. Files above Graph's 3 MB inline limit are uploaded in
+ * chunks through an upload session.
  * @param {string} eventId - ID of the event to add attachment to
  * @param {object} attachment - Attachment data
  * @param {string} attachment.name - Name of the attachment
@@ -3026,6 +4678,7 @@ const LARGE_ATTACHMENT_THRESHOLD = 1 * 1024 * 1024; // 1MB - Threshold for strea
  * @param {string|Buffer} attachment.contentBytes - Base64 encoded content or Buffer
  * @param {boolean} [attachment.isInline=false] - Whether the attachment is inline
  * @param {string} [options.userId='me'] - User ID to add attachment for
+ * @param {string} [options.mailbox] - Delegated calendar owner
  * @returns {Promise<object>} Created attachment with success status
  */
 async function addEventAttachment(eventId, attachment, req, options = {}) {
@@ -3056,63 +4709,22 @@ async function addEventAttachment(eventId, attachment, req, options = {}) {
   }
   
   const userId = options.userId || 'me';
-  const client = await graphClientFactory.createClient(req);
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'addEventAttachment' });
   
-  // Check attachment size
-  let contentSize = 0;
-  let contentBytes = attachment.contentBytes;
-  
-  // Handle different content formats (Buffer or Base64 string)
-  if (Buffer.isBuffer(contentBytes)) {
-    contentSize = contentBytes.length;
-  } else if (typeof contentBytes === 'string') {
-    // For Base64 strings, the actual size is 3/4 of the string length
-    contentSize = Math.ceil(contentBytes.length * 0.75);
-  } else {
+  if (!Buffer.isBuffer(attachment.contentBytes) && typeof attachment.contentBytes !== 'string') {
     throw new Error('Attachment content must be a Buffer or Base64 encoded string');
   }
   
-  // Enforce size limit
-  if (contentSize > MAX_ATTACHMENT_SIZE) {
-    throw new Error(`Attachment size exceeds the maximum allowed size of ${MAX_ATTACHMENT_SIZE / (1024 * 1024)}MB`);
-  }
-  
-  // Format the attachment according to Microsoft Graph API requirements
-  const requestBody = {
-    '@odata.type': '#microsoft.graph.fileAttachment',
-    name: attachment.name,
-    contentType: attachment.contentType,
-    contentBytes: contentBytes,
-    isInline: attachment.isInline || false
-  };
-  
   try {
-    let response;
-    
-    // For large attachments, use a different approach with streaming
-    if (contentSize > LARGE_ATTACHMENT_THRESHOLD) {
-      if (process.env.NODE_ENV !== 'production') {
-        MonitoringService?.debug(`Using streaming approach for large attachment`, {
-          sizeKB: Math.round(contentSize / 1024),
-          eventId: redactSensitiveData({ eventId }),
-          timestamp: new Date().toISOString()
-        }, 'calendar');
-      }
-      
-      // TODO: Implement streaming for large attachments when needed
-      // This would require breaking the content into chunks and using a session-based upload
-      // For now, we'll use the standard approach but log that we should implement streaming
-      if (process.env.NODE_ENV !== 'production') {
-        MonitoringService?.warn('Streaming upload not yet implemented - using standard upload', {
-          contentSize: Math.round(contentSize / 1024) + 'KB',
-          timestamp: new Date().toISOString()
-        }, 'calendar');
-      }
-    }
-    
-    // Standard approach for smaller attachments
-    const endpoint = userId === 'me' ? `/me/events/${eventId}/attachments` : `/users/${userId}/events/${eventId}/attachments`;
-    response = await client.api(endpoint).post(requestBody);
+    // Small files are posted inline; larger ones go through an upload session with progress events
+    const eventPath = userId === 'me' ? `/me/events/${eventId}` : `/users/${userId}/events/${eventId}`;
+    const response = await uploadFileAttachment(client, eventPath, attachment, {
+      category: 'calendar',
+      parentType: 'event',
+      parentId: eventId,
+      userId: req?.user?.userId,
+      sessionId: req?.session?.id
+    });
 
     if (process.env.NODE_ENV !== 'production') {
       MonitoringService?.info(`Successfully added attachment to event`, {
@@ -3127,9 +4739,10 @@ async function addEventAttachment(eventId, attachment, req, options = {}) {
       id: response.id,
       name: response.name,
       contentType: response.contentType,
-      size: response.size || contentSize, // Use response size if available, otherwise calculated size
+      size: response.size,
       isInline: response.isInline,
-      lastModifiedDateTime: response.lastModifiedDateTime
+      lastModifiedDateTime: response.lastModifiedDateTime,
+      uploadMethod: response.uploadMethod
     };
   } catch (error) {
     const mcpError = ErrorService?.createError(
@@ -3174,6 +4787,7 @@ async function addEventAttachment(eventId, attachment, req, options = {}) {
  * @param {string} attachmentId - ID of the attachment to remove
  * @param {Object} options - Additional options
  * @param {string} [options.userId='me'] - User ID to remove attachment for
+ * @param {string} [options.mailbox] - Delegated calendar owner
  * @returns {Promise<object>} Success status and metadata
  */
 async function removeEventAttachment(eventId, attachmentId, req, options = {}) {
@@ -3196,7 +4810,7 @@ async function removeEventAttachment(eventId, attachmentId, req, options = {}) {
   }
   
   const userId = options.userId || 'me';
-  const client = await graphClientFactory.createClient(req);
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'removeEventAttachment' });
   
   try {
     // Get attachment details before deletion for confirmation
@@ -3510,8 +5124,14 @@ async function resolveAttendeeNames(attendees, client) {
  * @param {string} id - ID of the event to update
  * @param {object} eventData - Updated event data
  * @param {string} [userId='me'] - User ID to update event for
+ * @param {object} [eventData.recurrence] - New recurrence (see buildRecurrence), or null to stop repeating
  * @param {object} [options.req] - Request object
- * @returns {Promise<object>} Normalized updated event
+ * @param {string} [options.mailbox] - Delegated calendar owner
+ * @param {string} [options.applyTo='occurrence'] - For an occurrence of a series: 'occurrence' edits just
+ *   that occurrence, 'series' edits the whole series
+ * @param {string} [options.conflictPolicy='warn'] - How to treat clashes when the time or attendees change:
+ *   'warn' updates and attaches a conflict report, 'block' throws a ConflictError, 'ignore' skips the check
+ * @returns {Promise<object>} Normalized updated event, with a conflicts report when a check ran
  */
 async function updateEvent(id, eventData, userId = 'me', options = {}) {
   if (!id) {
@@ -3549,15 +5169,19 @@ async function updateEvent(id, eventData, userId = 'me', options = {}) {
     }, 'calendar');
   }
   
-  const client = await graphClientFactory.createClient(options.req);
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(options.req), options.mailbox, { category: 'calendar', operation: 'updateEvent' });
+  const conflictPolicy = resolveConflictPolicy(options.conflictPolicy, 'updateEvent');
   
   // Start timer for performance tracking
   const updateStartTime = Date.now();
   
+  // Editing the whole series means patching its master instead of the given occurrence
+  const eventId = await resolveSeriesTarget(client, id, options.applyTo, { operation: 'updateEvent' });
+  
   // First, get the current event to obtain the ETag for concurrency control
   let currentEvent;
   try {
-    currentEvent = await client.api(userId === 'me' ? `/me/events/${id}` : `/users/${userId}/events/${id}`).get();
+    currentEvent = await client.api(userId === 'me' ? `/me/events/${eventId}` : `/users/${userId}/events/${eventId}`).get();
   } catch (error) {
     if (process.env.NODE_ENV !== 'production') {
       // Create standardized error object
@@ -3692,6 +5316,23 @@ async function updateEvent(id, eventData, userId = 'me', options = {}) {
     }
   }
   
+  // Turn on an online meeting if requested. Once Graph has provisioned the meeting it
+  // ignores isOnlineMeeting false, so an existing join link cannot be removed this way
+  if (eventData.isOnlineMeeting !== undefined || eventData.onlineMeetingProvider) {
+    patch.isOnlineMeeting = !!(eventData.isOnlineMeeting || eventData.onlineMeetingProvider);
+    if (patch.isOnlineMeeting) {
+      patch.onlineMeetingProvider = await resolveOnlineMeetingProvider(client, eventData.onlineMeetingProvider, 'updateEvent');
+    }
+  }
+  
+  // Update recurrence if provided; null turns a series back into a single event
+  if (eventData.recurrence !== undefined) {
+    patch.recurrence = eventData.recurrence === null ? null : buildRecurrence(eventData.recurrence, {
+      startDateTime: eventData.start?.dateTime || currentEvent.start?.dateTime,
+      timeZone: eventData.start?.timeZone || userTimeZone
+    });
+  }
+  
   // Update attendees if provided
   if (eventData.attendees && Array.isArray(eventData.attendees)) {
     try {
@@ -3706,6 +5347,28 @@ async function updateEvent(id, eventData, userId = 'me', options = {}) {
     }
   }
   
+  // Moving the event or changing who attends can create a clash. A series is checked at its
+  // first occurrence, the time the master carries
+  let conflictReport = null;
+  if (conflictPolicy !== 'ignore' && (patch.start || patch.end || patch.attendees)) {
+    const currentStart = toUtcDateTime(currentEvent.start?.dateTime, currentEvent.start?.timeZone || 'UTC');
+    const currentEnd = toUtcDateTime(currentEvent.end?.dateTime, currentEvent.end?.timeZone || 'UTC');
+    conflictReport = await checkSchedulingConflicts(client, {
+      start: patch.start ? toUtcDateTime(patch.start.dateTime, patch.start.timeZone) : currentStart,
+      end: patch.end ? toUtcDateTime(patch.end.dateTime, patch.end.timeZone) : currentEnd,
+      attendees: patch.attendees || currentEvent.attendees,
+      organizer: currentEvent.organizer?.emailAddress?.address,
+      ignoreEvent: { id: currentEvent.id || eventId, iCalUId: currentEvent.iCalUId },
+      policy: conflictPolicy,
+      mailbox: options.mailbox,
+      req,
+      operation: 'updateEvent'
+    });
+    if (conflictPolicy === 'block' && conflictReport.hasConflicts) {
+      throw createConflictError(conflictReport, 'updateEvent');
+    }
+  }
+  
   // Add the event to the calendar with retry logic for transient errors
   const maxRetries = 3;
   let retryCount = 0;
@@ -3770,7 +5433,7 @@ async function updateEvent(id, eventData, userId = 'me', options = {}) {
       
       // Update the event with PATCH to only send changed fields
       // Use sendUpdates=all to ensure attendees are notified of changes
-      const endpoint = userId === 'me' ? `/me/events/${id}` : `/users/${userId}/events/${id}`;
+      const endpoint = userId === 'me' ? `/me/events/${eventId}` : `/users/${userId}/events/${eventId}`;
       const updatedEvent = await client.api(`${endpoint}?sendUpdates=all`).patch(patch, { headers: options.headers });
 
       // Calculate execution time and track performance
@@ -3782,6 +5445,9 @@ async function updateEvent(id, eventData, userId = 'me', options = {}) {
       
       // Normalize event for consistent response format
       const normalizedEvent = normalizeEvent(updatedEvent);
+      if (conflictReport) {
+        normalizedEvent.conflicts = conflictReport;
+      }
       
       // Emit event for UI updates with redacted data
       EventService?.emit('calendar:event:updated', {
@@ -3832,7 +5498,7 @@ async function updateEvent(id, eventData, userId = 'me', options = {}) {
         
         // Fetch the latest version of the event and its new ETag
         try {
-          currentEvent = await client.api(userId === 'me' ? `/me/events/${id}` : `/users/${userId}/events/${id}`).get();
+          currentEvent = await client.api(userId === 'me' ? `/me/events/${eventId}` : `/users/${userId}/events/${eventId}`).get();
           if (process.env.NODE_ENV !== 'production') {
             MonitoringService?.debug('Retrieved updated event with new ETag, retrying update', {
               eventId: redactSensitiveData({ id }),
@@ -4087,6 +5753,7 @@ async function resolveAttendeeNames(attendees, client) {
 
 module.exports = {
   getEvents,
+  getCalendarView,
   createEvent,
   updateEvent,
   getAvailability,
@@ -4094,13 +5761,23 @@ module.exports = {
   acceptEvent,
   tentativelyAcceptEvent,
   declineEvent,
+  forwardEvent,
+  getPendingProposals,
+  acceptProposedTime,
+  getResponseStatus,
   cancelEvent,
+  getEventInstances,
+  getMeetingJoinInfo,
   findMeetingTimes,
   getRooms,
   getCalendars,
   addEventAttachment,
   removeEventAttachment,
   getUserPreferredTimeZone,
+  resolveIanaTimeZone,
+  toUtcDateTime,
+  getTimeZoneOffsetMs,
+  resolveViewBound,
   resolveAttendeeNames,
   formatAttendees
 };
\ No newline at end of file
@@ -0,0 +1,828 @@
+/**
+ * @fileoverview CategoriesService - Microsoft Graph Outlook category operations.
+ * Manages the mailbox's master category list (name and color preset) and assigns or
+ * removes categories on messages and events. All methods are async and use GraphClient.
+ */
+
+const graphClientFactory = require('./graph-client.cjs');
+const MonitoringService = require('../core/monitoring-service.cjs');
+const ErrorService = require('../core/error-service.cjs');
+const { scopeClientToMailbox } = require('./mailbox-access.cjs');
+
+const MASTER_CATEGORIES_PATH = '/me/outlook/masterCategories';
+
+// Outlook stores category colors as presets; these are the color names Outlook shows for them
+const CATEGORY_COLOR_NAMES = {
+  none: 'None',
+  preset0: 'Red',
+  preset1: 'Orange',
+  preset2: 'Brown',
+  preset3: 'Yellow',
+  preset4: 'Green',
+  preset5: 'Teal',
+  preset6: 'Olive',
+  preset7: 'Blue',
+  preset8: 'Purple',
+  preset9: 'Cranberry',
+  preset10: 'Steel',
+  preset11: 'DarkSteel',
+  preset12: 'Gray',
+  preset13: 'DarkGray',
+  preset14: 'Black',
+  preset15: 'DarkRed',
+  preset16: 'DarkOrange',
+  preset17: 'DarkBrown',
+  preset18: 'DarkYellow',
+  preset19: 'DarkGreen',
+  preset20: 'DarkTeal',
+  preset21: 'DarkOlive',
+  preset22: 'DarkBlue',
+  preset23: 'DarkPurple',
+  preset24: 'DarkCranberry'
+};
+
+// Items that carry a categories collection
+const CATEGORY_ITEM_PATHS = {
+  message: '/me/messages',
+  event: '/me/events'
+};
+
+/**
+ * Resolves a category color given as a preset ("preset7") or a color name ("Blue", "dark blue").
+ * @param {string} color - Preset or color name
+ * @returns {string|null} Graph color preset, or null when the color is unknown
+ */
+function resolveCategoryColor(color) {
+  const key = String(color || '').trim().toLowerCase().replace(/[\s_-]/g, '');
+  return Object.keys(CATEGORY_COLOR_NAMES).find(preset =>
+    preset.toLowerCase() === key || CATEGORY_COLOR_NAMES[preset].toLowerCase() === key
+  ) || null;
+}
+
+/**
+ * Normalizes a Graph outlookCategory resource.
+ * @param {object} category - Raw outlookCategory
+ * @returns {object} { id, name, color, colorName }
+ */
+function normalizeCategory(category) {
+  const color = category.color || 'none';
+  return {
+    id: category.id,
+    name: category.displayName,
+    color,
+    colorName: CATEGORY_COLOR_NAMES[color] || 'None'
+  };
+}
+
+/**
+ * Applies category changes to an item's current categories. `set` replaces the list,
+ * then `add` appends and `remove` drops names. Names compare case-insensitively, as in Outlook.
+ * @param {Array<string>} current - Categories currently on the item
+ * @param {object} changes - { add, remove, set } as names or arrays of names
+ * @returns {Array<string>} New category list
+ */
+function mergeCategories(current, changes) {
+  const toList = value => (Array.isArray(value) ? value : [value])
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim());
+  const base = changes.set !== undefined ? toList(changes.set) : (current || []);
+  const removed = new Set(toList(changes.remove).map(name => name.toLowerCase()));
+  const seen = new Set();
+
+  return [...base, ...toList(changes.add)].filter(name => {
+    const key = name.toLowerCase();
+    if (removed.has(key) || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Lists the mailbox's master categories with their colors.
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @param {object} [options] - { mailbox }
+ * @returns {Promise<Array<object>>} Normalized categories
+ */
+async function listCategories(req, userId, sessionId, options = {}) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Listing master categories', {
+      method: 'listCategories',
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'listCategories' });
+    const res = await client.api(MASTER_CATEGORIES_PATH, contextUserId, contextSessionId).get();
+    const categories = (res.value || []).map(normalizeCategory);
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Categories retrieved successfully', {
+        categoryCount: categories.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Categories retrieved with session', {
+        sessionId: contextSessionId,
+        categoryCount: categories.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_categories_list_success', executionTime, {
+      service: 'graph-categories-service',
+      method: 'listCategories',
+      categoryCount: categories.length,
+      timestamp: new Date().toISOString()
+    });
+    
+    return categories;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to list categories: ${error.message}`,
+      'error',
+      {
+        service: 'graph-categories-service',
+        method: 'listCategories',
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error listing categories', {
+        errorMessage: 'Failed to list categories',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error listing categories', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to list categories',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_categories_list_failure', executionTime, {
+      service: 'graph-categories-service',
+      method: 'listCategories',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Adds a category to the master category list.
+ * @param {object} categoryData - { displayName, color, mailbox } where color is a preset or color name (default: none)
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @returns {Promise<object>} Normalized category
+ */
+async function createCategory(categoryData = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Creating master category', {
+      method: 'createCategory',
+      hasColor: categoryData.color !== undefined,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    const displayName = typeof categoryData.displayName === 'string' ? categoryData.displayName.trim() : '';
+    if (!displayName) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Category displayName must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-categories-service',
+          method: 'createCategory',
+          displayNameType: typeof categoryData.displayName,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const color = categoryData.color === undefined ? 'none' : resolveCategoryColor(categoryData.color);
+    if (!color) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        `Unknown category color "${categoryData.color}". Use a preset (preset0-preset24, none) or a color name such as Red, Blue or DarkGreen`,
+        'warning',
+        {
+          service: 'graph-categories-service',
+          method: 'createCategory',
+          color: categoryData.color,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, categoryData.mailbox, { category: 'mail', operation: 'createCategory' });
+    const created = await client.api(MASTER_CATEGORIES_PATH, contextUserId, contextSessionId).post({ displayName, color });
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Category created successfully', {
+        categoryId: created.id,
+        color: created.color,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Category created with session', {
+        sessionId: contextSessionId,
+        categoryId: created.id,
+        color: created.color,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_category_create_success', executionTime, {
+      service: 'graph-categories-service',
+      method: 'createCategory',
+      timestamp: new Date().toISOString()
+    });
+    
+    return normalizeCategory(created);
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to create category: ${error.message}`,
+      'error',
+      {
+        service: 'graph-categories-service',
+        method: 'createCategory',
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error creating category', {
+        errorMessage: 'Failed to create category',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error creating category', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to create category',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_category_create_failure', executionTime, {
+      service: 'graph-categories-service',
+      method: 'createCategory',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Changes a master category's color. Category names cannot be changed.
+ * @param {string} id - Category ID
+ * @param {object} updates - { color, mailbox } with color as a preset or color name
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @returns {Promise<object>} Normalized category
+ */
+async function updateCategory(id, updates = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Updating master category', {
+      method: 'updateCategory',
+      categoryId: id,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!id || typeof id !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Category ID must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-categories-service',
+          method: 'updateCategory',
+          idType: typeof id,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    // Outlook keeps category names immutable; renaming means creating a new category
+    if (updates.displayName !== undefined) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Category names cannot be changed. Create a new category and reassign it instead',
+        'warning',
+        {
+          service: 'graph-categories-service',
+          method: 'updateCategory',
+          categoryId: id,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const color = resolveCategoryColor(updates.color);
+    if (!color) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        `Unknown category color "${updates.color}". Use a preset (preset0-preset24, none) or a color name such as Red, Blue or DarkGreen`,
+        'warning',
+        {
+          service: 'graph-categories-service',
+          method: 'updateCategory',
+          color: updates.color,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, updates.mailbox, { category: 'mail', operation: 'updateCategory' });
+    const updated = await client.api(`${MASTER_CATEGORIES_PATH}/${id}`, contextUserId, contextSessionId).patch({ color });
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Category updated successfully', {
+        categoryId: id,
+        color,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Category updated with session', {
+        sessionId: contextSessionId,
+        categoryId: id,
+        color,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_category_update_success', executionTime, {
+      service: 'graph-categories-service',
+      method: 'updateCategory',
+      timestamp: new Date().toISOString()
+    });
+    
+    return normalizeCategory({ id, color, ...updated });
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to update category: ${error.message}`,
+      'error',
+      {
+        service: 'graph-categories-service',
+        method: 'updateCategory',
+        categoryId: id,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error updating category', {
+        errorMessage: 'Failed to update category',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error updating category', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to update category',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_category_update_failure', executionTime, {
+      service: 'graph-categories-service',
+      method: 'updateCategory',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Removes a category from the master category list. Items keep the category name,
+ * which Outlook then shows without a color.
+ * @param {string} id - Category ID
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @param {object} [options] - { mailbox }
+ * @returns {Promise<boolean>} True when deleted
+ */
+async function deleteCategory(id, req, userId, sessionId, options = {}) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Deleting master category', {
+      method: 'deleteCategory',
+      categoryId: id,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!id || typeof id !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Category ID must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-categories-service',
+          method: 'deleteCategory',
+          idType: typeof id,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'deleteCategory' });
+    await client.api(`${MASTER_CATEGORIES_PATH}/${id}`, contextUserId, contextSessionId).delete();
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Category deleted successfully', {
+        categoryId: id,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Category deleted with session', {
+        sessionId: contextSessionId,
+        categoryId: id,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_category_delete_success', executionTime, {
+      service: 'graph-categories-service',
+      method: 'deleteCategory',
+      timestamp: new Date().toISOString()
+    });
+    
+    return true;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to delete category: ${error.message}`,
+      'error',
+      {
+        service: 'graph-categories-service',
+        method: 'deleteCategory',
+        categoryId: id,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error deleting category', {
+        errorMessage: 'Failed to delete category',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error deleting category', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to delete category',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_category_delete_failure', executionTime, {
+      service: 'graph-categories-service',
+      method: 'deleteCategory',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Assigns or removes categories on a message or event.
+ * @param {string} itemType - 'message' or 'event'
+ * @param {string} id - Message or event ID
+ * @param {object} changes - { add, remove, set } as category names or arrays of names, plus an optional mailbox
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @returns {Promise<object>} { id, itemType, categories } with the resulting category list
+ */
+async function updateItemCategories(itemType, id, changes = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Updating item categories', {
+      method: 'updateItemCategories',
+      itemType,
+      itemId: id ? id.substring(0, 20) + '...' : null,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    const itemPath = CATEGORY_ITEM_PATHS[itemType];
+    if (!itemPath) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        `Unsupported item type "${itemType}". Use message or event`,
+        'warning',
+        {
+          service: 'graph-categories-service',
+          method: 'updateItemCategories',
+          itemType,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    if (!id || typeof id !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Item ID must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-categories-service',
+          method: 'updateItemCategories',
+          itemType,
+          idType: typeof id,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    if (!changes || (changes.add === undefined && changes.remove === undefined && changes.set === undefined)) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'At least one of add, remove or set is required',
+        'warning',
+        {
+          service: 'graph-categories-service',
+          method: 'updateItemCategories',
+          itemType,
+          changeFields: Object.keys(changes || {}),
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, changes.mailbox, { category: itemType === 'event' ? 'calendar' : 'mail', operation: 'updateItemCategories' });
+    
+    // Graph replaces the categories collection as a whole, so apply changes to the current list
+    const item = await client.api(`${itemPath}/${id}?$select=categories`, contextUserId, contextSessionId).get();
+    const categories = mergeCategories(item.categories, changes);
+    await client.api(`${itemPath}/${id}`, contextUserId, contextSessionId).patch({ categories });
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Item categories updated successfully', {
+        itemType,
+        itemId: id ? id.substring(0, 20) + '...' : null,
+        categoryCount: categories.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Item categories updated with session', {
+        sessionId: contextSessionId,
+        itemType,
+        itemId: id ? id.substring(0, 20) + '...' : null,
+        categoryCount: categories.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_item_categories_success', executionTime, {
+      service: 'graph-categories-service',
+      method: 'updateItemCategories',
+      itemType,
+      timestamp: new Date().toISOString()
+    });
+    
+    return { id, itemType, categories };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to update item categories: ${error.message}`,
+      'error',
+      {
+        service: 'graph-categories-service',
+        method: 'updateItemCategories',
+        itemType,
+        itemId: id ? id.substring(0, 20) + '...' : null,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error updating item categories', {
+        errorMessage: 'Failed to update item categories',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error updating item categories', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to update item categories',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_item_categories_failure', executionTime, {
+      service: 'graph-categories-service',
+      method: 'updateItemCategories',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+module.exports = {
+  listCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  updateItemCategories
+};
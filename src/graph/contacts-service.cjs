@@ -0,0 +1,939 @@
+/**
+ * @fileoverview ContactsService - Microsoft Graph Outlook personal contact operations.
+ * Lists, searches, creates, updates and deletes contacts in /me/contacts and its contact
+ * folders. Unlike PeopleService (relevance-ranked /me/people), these are the contacts the
+ * user saved. All methods are async and use GraphClient.
+ */
+
+const graphClientFactory = require('./graph-client.cjs');
+const { normalizeContact } = require('./normalizers.cjs');
+const MonitoringService = require('../core/monitoring-service.cjs');
+const ErrorService = require('../core/error-service.cjs');
+
+// Properties requested for contact lists; everything normalizeContact reads
+const CONTACT_SELECT_FIELDS = [
+  'id', 'displayName', 'givenName', 'surname', 'nickName', 'emailAddresses', 'mobilePhone',
+  'businessPhones', 'homePhones', 'jobTitle', 'companyName', 'department', 'officeLocation',
+  'businessAddress', 'homeAddress', 'birthday', 'personalNotes', 'categories', 'parentFolderId',
+  'createdDateTime', 'lastModifiedDateTime'
+].join(',');
+
+// Fields copied to Graph unchanged
+const CONTACT_TEXT_FIELDS = ['displayName', 'givenName', 'surname', 'nickName', 'jobTitle', 'companyName', 'department', 'officeLocation', 'mobilePhone'];
+const CONTACT_ADDRESS_FIELDS = ['street', 'city', 'state', 'postalCode', 'countryOrRegion'];
+const EMAIL_ADDRESS_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Creates, logs and returns a validation error for contact input.
+ * @param {string} message - What is wrong with the input
+ * @param {string} method - Service method that rejected it
+ * @returns {object} MCP error
+ */
+function contactInputError(message, method) {
+  const mcpError = ErrorService.createError(
+    'people',
+    message,
+    'warning',
+    {
+      service: 'graph-contacts-service',
+      method,
+      timestamp: new Date().toISOString()
+    }
+  );
+  MonitoringService.logError(mcpError);
+  return mcpError;
+}
+
+/**
+ * Returns the collection path for contacts, optionally inside a contact folder.
+ * @param {string} [folderId] - Contact folder ID
+ * @returns {string} Graph path
+ */
+function getContactsPath(folderId) {
+  return folderId ? `/me/contactFolders/${encodeURIComponent(folderId)}/contacts` : '/me/contacts';
+}
+
+/**
+ * Turns friendly contact input into a Graph contact payload. Single values are accepted
+ * wherever Graph expects a list, and email addresses may be plain strings.
+ * @param {object} data - { displayName, givenName, surname, nickName, emailAddresses, mobilePhone,
+ *   businessPhones, homePhones, jobTitle, companyName, department, officeLocation,
+ *   businessAddress, homeAddress, birthday (YYYY-MM-DD), notes, categories }
+ * @param {string} method - Calling service method, for error reporting
+ * @returns {object} Graph contact properties (only those present in data)
+ */
+function buildContactPayload(data, method) {
+  const toList = value => (Array.isArray(value) ? value : [value]).filter(item => item !== undefined && item !== null && item !== '');
+  const payload = {};
+  
+  CONTACT_TEXT_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      payload[field] = data[field];
+    }
+  });
+  
+  if (data.emailAddresses !== undefined) {
+    payload.emailAddresses = toList(data.emailAddresses).map(email => {
+      const entry = typeof email === 'string' ? { address: email } : email;
+      const address = typeof entry?.address === 'string' ? entry.address.trim() : '';
+      if (!EMAIL_ADDRESS_PATTERN.test(address)) {
+        throw contactInputError(`Invalid contact email address: ${address || typeof email}`, method);
+      }
+      return { address, name: entry.name || data.displayName || [data.givenName, data.surname].filter(Boolean).join(' ') || address };
+    });
+    if (payload.emailAddresses.length > 3) {
+      throw contactInputError('Outlook contacts hold at most 3 email addresses', method);
+    }
+  }
+  
+  ['businessPhones', 'homePhones', 'categories'].forEach(field => {
+    if (data[field] !== undefined) {
+      payload[field] = toList(data[field]).map(String);
+    }
+  });
+  
+  ['businessAddress', 'homeAddress'].forEach(field => {
+    if (data[field] !== undefined) {
+      payload[field] = CONTACT_ADDRESS_FIELDS.reduce((address, key) => {
+        address[key] = data[field]?.[key] || '';
+        return address;
+      }, {});
+    }
+  });
+  
+  if (data.birthday !== undefined) {
+    if (data.birthday && !/^\d{4}-\d{2}-\d{2}$/.test(data.birthday)) {
+      throw contactInputError('Contact birthday must be a date in YYYY-MM-DD format', method);
+    }
+    payload.birthday = data.birthday ? `${data.birthday}T00:00:00Z` : null;
+  }
+  
+  if (data.notes !== undefined) {
+    payload.personalNotes = data.notes;
+  }
+  
+  return payload;
+}
+
+/**
+ * Escapes a value for use inside an OData string literal.
+ * @param {string} value - Raw value
+ * @returns {string} Value with single quotes doubled
+ */
+function escapeODataString(value) {
+  return String(value).replace(/'/g, "''");
+}
+
+
+/**
+ * Lists the user's contacts, sorted by display name.
+ * @param {object} options - { top (default 50, max 100), skip, folderId: contact folder to list instead of the default one }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @returns {Promise<Array<object>>} Normalized contacts
+ */
+async function listContacts(options = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Listing contacts', {
+      method: 'listContacts',
+      top: options.top,
+      hasFolder: !!options.folderId,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'people');
+  }
+  
+  try {
+    const top = Math.min(Math.max(parseInt(options.top, 10) || 50, 1), 100);
+    const params = [`$top=${top}`, '$orderby=displayName', `$select=${CONTACT_SELECT_FIELDS}`];
+    if (options.skip) {
+      params.push(`$skip=${parseInt(options.skip, 10) || 0}`);
+    }
+    
+    const client = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const res = await client.api(`${getContactsPath(options.folderId)}?${params.join('&')}`, contextUserId, contextSessionId).get();
+    const contacts = (res.value || []).map(contact => normalizeContact(contact, contextUserId, contextSessionId));
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Contacts listed successfully', {
+        contactCount: contacts.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Contacts listed with session', {
+        sessionId: contextSessionId,
+        contactCount: contacts.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people');
+    }
+    
+    MonitoringService.trackMetric('graph_contacts_list_success', executionTime, {
+      service: 'graph-contacts-service',
+      method: 'listContacts',
+      timestamp: new Date().toISOString()
+    });
+    
+    return contacts;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'people',
+      `Failed to list contacts: ${error.message}`,
+      'error',
+      {
+        service: 'graph-contacts-service',
+        method: 'listContacts',
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error listing contacts', {
+        errorMessage: 'Failed to list contacts',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error listing contacts', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to list contacts',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people');
+    }
+    
+    MonitoringService.trackMetric('graph_contacts_list_failure', executionTime, {
+      service: 'graph-contacts-service',
+      method: 'listContacts',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Finds contacts whose name or company starts with the query, or whose email address matches it.
+ * @param {string} query - Name, company or email address
+ * @param {object} options - { top (default 25, max 100), folderId }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @returns {Promise<Array<object>>} Normalized contacts
+ */
+async function searchContacts(query, options = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Searching contacts', {
+      method: 'searchContacts',
+      queryLength: query ? String(query).length : 0,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'people');
+  }
+  
+  try {
+    const term = typeof query === 'string' ? query.trim() : '';
+    if (!term) {
+      throw contactInputError('Search query must be a non-empty string', 'searchContacts');
+    }
+    
+    // Contacts do not support $search; match name prefixes and exact email addresses instead
+    const literal = escapeODataString(term);
+    const filter = term.includes('@')
+      ? `emailAddresses/any(a:a/address eq '${literal}')`
+      : ['displayName', 'givenName', 'surname', 'companyName'].map(field => `startswith(${field},'${literal}')`).join(' or ');
+    const top = Math.min(Math.max(parseInt(options.top, 10) || 25, 1), 100);
+    const path = `${getContactsPath(options.folderId)}?$filter=${encodeURIComponent(filter)}&$top=${top}&$select=${CONTACT_SELECT_FIELDS}`;
+    
+    const client = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const res = await client.api(path, contextUserId, contextSessionId).get();
+    const contacts = (res.value || []).map(contact => normalizeContact(contact, contextUserId, contextSessionId));
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Contacts searched successfully', {
+        contactCount: contacts.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Contacts searched with session', {
+        sessionId: contextSessionId,
+        contactCount: contacts.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people');
+    }
+    
+    MonitoringService.trackMetric('graph_contacts_search_success', executionTime, {
+      service: 'graph-contacts-service',
+      method: 'searchContacts',
+      timestamp: new Date().toISOString()
+    });
+    
+    return contacts;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'people',
+      `Failed to search contacts: ${error.message}`,
+      'error',
+      {
+        service: 'graph-contacts-service',
+        method: 'searchContacts',
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error searching contacts', {
+        errorMessage: 'Failed to search contacts',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error searching contacts', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to search contacts',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people');
+    }
+    
+    MonitoringService.trackMetric('graph_contacts_search_failure', executionTime, {
+      service: 'graph-contacts-service',
+      method: 'searchContacts',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Gets a single contact.
+ * @param {string} id - Contact ID
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @returns {Promise<object>} Normalized contact
+ */
+async function getContact(id, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Getting contact', {
+      method: 'getContact',
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'people');
+  }
+  
+  try {
+    if (!id) {
+      throw contactInputError('Contact ID is required', 'getContact');
+    }
+    
+    const client = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const raw = await client.api(`/me/contacts/${encodeURIComponent(id)}`, contextUserId, contextSessionId).get();
+    const contact = normalizeContact(raw, contextUserId, contextSessionId);
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Contact retrieved successfully', {
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Contact retrieved with session', {
+        sessionId: contextSessionId,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people');
+    }
+    
+    MonitoringService.trackMetric('graph_contacts_get_success', executionTime, {
+      service: 'graph-contacts-service',
+      method: 'getContact',
+      timestamp: new Date().toISOString()
+    });
+    
+    return contact;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'people',
+      `Failed to get contact: ${error.message}`,
+      'error',
+      {
+        service: 'graph-contacts-service',
+        method: 'getContact',
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error getting contact', {
+        errorMessage: 'Failed to get contact',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error getting contact', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to get contact',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people');
+    }
+    
+    MonitoringService.trackMetric('graph_contacts_get_failure', executionTime, {
+      service: 'graph-contacts-service',
+      method: 'getContact',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Creates a contact. Without a displayName one is built from the given name and surname,
+ * or from the first email address.
+ * @param {object} contactData - Contact fields (see buildContactPayload) plus folderId to save it in a contact folder
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @returns {Promise<object>} Normalized contact
+ */
+async function createContact(contactData = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Creating contact', {
+      method: 'createContact',
+      hasFolder: !!contactData.folderId,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'people');
+  }
+  
+  try {
+    const payload = buildContactPayload(contactData, 'createContact');
+    if (!payload.displayName) {
+      payload.displayName = [payload.givenName, payload.surname].filter(Boolean).join(' ') ||
+        payload.companyName || payload.emailAddresses?.[0]?.address || '';
+    }
+    if (!payload.displayName) {
+      throw contactInputError('A contact needs a name, company or email address', 'createContact');
+    }
+    
+    const client = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const raw = await client.api(getContactsPath(contactData.folderId), contextUserId, contextSessionId).post(payload);
+    const contact = normalizeContact(raw, contextUserId, contextSessionId);
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Contact created successfully', {
+        emailCount: contact.emailAddresses.length,
+        hasPhone: !!contact.phone,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Contact created with session', {
+        sessionId: contextSessionId,
+        emailCount: contact.emailAddresses.length,
+        hasPhone: !!contact.phone,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people');
+    }
+    
+    MonitoringService.trackMetric('graph_contacts_create_success', executionTime, {
+      service: 'graph-contacts-service',
+      method: 'createContact',
+      timestamp: new Date().toISOString()
+    });
+    
+    return contact;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'people',
+      `Failed to create contact: ${error.message}`,
+      'error',
+      {
+        service: 'graph-contacts-service',
+        method: 'createContact',
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error creating contact', {
+        errorMessage: 'Failed to create contact',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error creating contact', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to create contact',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people');
+    }
+    
+    MonitoringService.trackMetric('graph_contacts_create_failure', executionTime, {
+      service: 'graph-contacts-service',
+      method: 'createContact',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Updates a contact. Only the fields given are changed; list fields such as emailAddresses
+ * and businessPhones replace the existing list.
+ * @param {string} id - Contact ID
+ * @param {object} updates - Contact fields to change (see buildContactPayload)
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @returns {Promise<object>} Normalized contact
+ */
+async function updateContact(id, updates = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Updating contact', {
+      method: 'updateContact',
+      fields: Object.keys(updates || {}),
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'people');
+  }
+  
+  try {
+    if (!id) {
+      throw contactInputError('Contact ID is required', 'updateContact');
+    }
+    
+    const payload = buildContactPayload(updates, 'updateContact');
+    if (Object.keys(payload).length === 0) {
+      throw contactInputError('No contact fields to update', 'updateContact');
+    }
+    
+    const client = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const raw = await client.api(`/me/contacts/${encodeURIComponent(id)}`, contextUserId, contextSessionId).patch(payload);
+    const contact = normalizeContact(raw, contextUserId, contextSessionId);
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Contact updated successfully', {
+        fields: Object.keys(payload),
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Contact updated with session', {
+        sessionId: contextSessionId,
+        fields: Object.keys(payload),
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people');
+    }
+    
+    MonitoringService.trackMetric('graph_contacts_update_success', executionTime, {
+      service: 'graph-contacts-service',
+      method: 'updateContact',
+      timestamp: new Date().toISOString()
+    });
+    
+    return contact;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'people',
+      `Failed to update contact: ${error.message}`,
+      'error',
+      {
+        service: 'graph-contacts-service',
+        method: 'updateContact',
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error updating contact', {
+        errorMessage: 'Failed to update contact',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error updating contact', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to update contact',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people');
+    }
+    
+    MonitoringService.trackMetric('graph_contacts_update_failure', executionTime, {
+      service: 'graph-contacts-service',
+      method: 'updateContact',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Deletes a contact (it moves to Deleted Items).
+ * @param {string} id - Contact ID
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @returns {Promise<object>} { id, deleted: true }
+ */
+async function deleteContact(id, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Deleting contact', {
+      method: 'deleteContact',
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'people');
+  }
+  
+  try {
+    if (!id) {
+      throw contactInputError('Contact ID is required', 'deleteContact');
+    }
+    
+    const client = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    await client.api(`/me/contacts/${encodeURIComponent(id)}`, contextUserId, contextSessionId).delete();
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Contact deleted successfully', {
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Contact deleted with session', {
+        sessionId: contextSessionId,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people');
+    }
+    
+    MonitoringService.trackMetric('graph_contacts_delete_success', executionTime, {
+      service: 'graph-contacts-service',
+      method: 'deleteContact',
+      timestamp: new Date().toISOString()
+    });
+    
+    return { id, deleted: true };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'people',
+      `Failed to delete contact: ${error.message}`,
+      'error',
+      {
+        service: 'graph-contacts-service',
+        method: 'deleteContact',
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error deleting contact', {
+        errorMessage: 'Failed to delete contact',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error deleting contact', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to delete contact',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people');
+    }
+    
+    MonitoringService.trackMetric('graph_contacts_delete_failure', executionTime, {
+      service: 'graph-contacts-service',
+      method: 'deleteContact',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Lists the user's contact folders below the default Contacts folder.
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @returns {Promise<Array<object>>} { id, name, parentFolderId }
+ */
+async function listContactFolders(req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Listing contact folders', {
+      method: 'listContactFolders',
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'people');
+  }
+  
+  try {
+    const client = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const res = await client.api('/me/contactFolders?$top=100', contextUserId, contextSessionId).get();
+    const folders = (res.value || []).map(folder => ({
+      id: folder.id,
+      name: folder.displayName,
+      parentFolderId: folder.parentFolderId || null
+    }));
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Contact folders listed successfully', {
+        folderCount: folders.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Contact folders listed with session', {
+        sessionId: contextSessionId,
+        folderCount: folders.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people');
+    }
+    
+    MonitoringService.trackMetric('graph_contacts_folders_list_success', executionTime, {
+      service: 'graph-contacts-service',
+      method: 'listContactFolders',
+      timestamp: new Date().toISOString()
+    });
+    
+    return folders;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'people',
+      `Failed to list contact folders: ${error.message}`,
+      'error',
+      {
+        service: 'graph-contacts-service',
+        method: 'listContactFolders',
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error listing contact folders', {
+        errorMessage: 'Failed to list contact folders',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error listing contact folders', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to list contact folders',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'people');
+    }
+    
+    MonitoringService.trackMetric('graph_contacts_folders_list_failure', executionTime, {
+      service: 'graph-contacts-service',
+      method: 'listContactFolders',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+module.exports = {
+  listContacts,
+  searchContacts,
+  getContact,
+  createContact,
+  updateContact,
+  deleteContact,
+  listContactFolders
+};
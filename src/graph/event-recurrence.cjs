@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Event recurrence - turns a simple recurrence description into a Graph
+ * patternedRecurrence and resolves which event a series operation should act on.
+ * A recurring series is stored as one seriesMaster event; its occurrences (and edited
+ * occurrences, called exceptions) have their own IDs and point back via seriesMasterId.
+ */
+
+const ErrorService = require('../core/error-service.cjs');
+const MonitoringService = require('../core/monitoring-service.cjs');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEK_INDEXES = ['first', 'second', 'third', 'fourth', 'last'];
+const APPLY_TO_VALUES = ['occurrence', 'series'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Creates, logs and returns a validation error for recurrence input.
+ * @param {string} message - What is wrong
+ * @param {object} [context] - Extra error context
+ * @returns {object} MCP error
+ */
+function createRecurrenceError(message, context = {}) {
+  const mcpError = ErrorService.createError(
+    'calendar',
+    message,
+    'warning',
+    {
+      service: 'event-recurrence',
+      ...context,
+      timestamp: new Date().toISOString()
+    }
+  );
+  MonitoringService.logError(mcpError);
+  return mcpError;
+}
+
+/**
+ * Builds a Graph patternedRecurrence from a simple description. A value that already has
+ * Graph's { pattern: {...}, range: {...} } shape is passed through unchanged.
+ * @param {object} recurrence - Recurrence description
+ * @param {string} recurrence.frequency - 'daily', 'weekly', 'monthly' or 'yearly'
+ * @param {number} [recurrence.interval=1] - Repeat every N days/weeks/months/years
+ * @param {Array<string>} [recurrence.daysOfWeek] - Weekly: days to repeat on (default: the start day).
+ *   Monthly/yearly: the day for a relative pattern such as "second Tuesday"
+ * @param {string} [recurrence.weekIndex] - Monthly/yearly relative pattern: first, second, third, fourth or last
+ * @param {number} [recurrence.dayOfMonth] - Monthly/yearly: day of the month (default: the start day)
+ * @param {number} [recurrence.month] - Yearly: month 1-12 (default: the start month)
+ * @param {string} [recurrence.firstDayOfWeek='sunday'] - Weekly: first day of the week
+ * @param {string} [recurrence.startDate] - First date of the series, YYYY-MM-DD (default: the event start date)
+ * @param {string} [recurrence.endDate] - Last date of the series, YYYY-MM-DD
+ * @param {number} [recurrence.occurrences] - Number of occurrences
+ * @param {object} defaults - { startDateTime, timeZone } of the event
+ * @returns {object} Graph patternedRecurrence
+ */
+function buildRecurrence(recurrence, defaults = {}) {
+  if (!recurrence || typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+    throw createRecurrenceError('recurrence must be an object');
+  }
+
+  if (recurrence.pattern && typeof recurrence.pattern === 'object' && recurrence.range && typeof recurrence.range === 'object') {
+    return recurrence;
+  }
+
+  const frequency = typeof recurrence.frequency === 'string' ? recurrence.frequency.toLowerCase() : '';
+  if (!FREQUENCIES.includes(frequency)) {
+    throw createRecurrenceError(`recurrence.frequency must be one of: ${FREQUENCIES.join(', ')}`, { frequency: recurrence.frequency });
+  }
+
+  const interval = recurrence.interval === undefined ? 1 : Number(recurrence.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 99) {
+    throw createRecurrenceError('recurrence.interval must be a whole number from 1 to 99', { interval: recurrence.interval });
+  }
+
+  const startDate = recurrence.startDate || (typeof defaults.startDateTime === 'string' ? defaults.startDateTime.substring(0, 10) : '');
+  if (!DATE_PATTERN.test(startDate)) {
+    throw createRecurrenceError('recurrence.startDate must be a date in YYYY-MM-DD format');
+  }
+  const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+  const startWeekday = DAYS_OF_WEEK[new Date(Date.UTC(startYear, startMonth - 1, startDay)).getUTCDay()];
+
+  let daysOfWeek;
+  if (recurrence.daysOfWeek !== undefined) {
+    daysOfWeek = (Array.isArray(recurrence.daysOfWeek) ? recurrence.daysOfWeek : [recurrence.daysOfWeek]).map(day => String(day).toLowerCase());
+    const invalidDay = daysOfWeek.find(day => !DAYS_OF_WEEK.includes(day));
+    if (daysOfWeek.length === 0 || invalidDay !== undefined) {
+      throw createRecurrenceError('recurrence.daysOfWeek must list days such as monday or friday', { invalidDay });
+    }
+  }
+
+  const weekIndex = recurrence.weekIndex ? String(recurrence.weekIndex).toLowerCase() : undefined;
+  if (weekIndex && !WEEK_INDEXES.includes(weekIndex)) {
+    throw createRecurrenceError(`recurrence.weekIndex must be one of: ${WEEK_INDEXES.join(', ')}`, { weekIndex });
+  }
+
+  const dayOfMonth = recurrence.dayOfMonth === undefined ? startDay : Number(recurrence.dayOfMonth);
+  if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+    throw createRecurrenceError('recurrence.dayOfMonth must be a day from 1 to 31', { dayOfMonth: recurrence.dayOfMonth });
+  }
+
+  const month = recurrence.month === undefined ? startMonth : Number(recurrence.month);
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    throw createRecurrenceError('recurrence.month must be a month from 1 to 12', { month: recurrence.month });
+  }
+
+  // A weekIndex or daysOfWeek on a monthly/yearly series means "the second Tuesday" rather than "the 14th"
+  const relative = !!weekIndex || (frequency !== 'weekly' && !!daysOfWeek);
+  const pattern = { interval };
+  switch (frequency) {
+    case 'daily':
+      pattern.type = 'daily';
+      break;
+    case 'weekly':
+      pattern.type = 'weekly';
+      pattern.daysOfWeek = daysOfWeek || [startWeekday];
+      pattern.firstDayOfWeek = DAYS_OF_WEEK.includes(String(recurrence.firstDayOfWeek).toLowerCase())
+        ? String(recurrence.firstDayOfWeek).toLowerCase()
+        : 'sunday';
+      break;
+    case 'monthly':
+    case 'yearly':
+      if (relative) {
+        pattern.type = frequency === 'monthly' ? 'relativeMonthly' : 'relativeYearly';
+        pattern.daysOfWeek = daysOfWeek || [startWeekday];
+        pattern.index = weekIndex || WEEK_INDEXES[Math.min(Math.floor((startDay - 1) / 7), 4)];
+      } else {
+        pattern.type = frequency === 'monthly' ? 'absoluteMonthly' : 'absoluteYearly';
+        pattern.dayOfMonth = dayOfMonth;
+      }
+      if (frequency === 'yearly') {
+        pattern.month = month;
+      }
+      break;
+  }
+
+  if (recurrence.endDate !== undefined && recurrence.occurrences !== undefined) {
+    throw createRecurrenceError('recurrence takes either endDate or occurrences, not both');
+  }
+
+  const range = { type: 'noEnd', startDate };
+  if (defaults.timeZone) {
+    range.recurrenceTimeZone = defaults.timeZone;
+  }
+  if (recurrence.endDate !== undefined) {
+    if (!DATE_PATTERN.test(recurrence.endDate) || recurrence.endDate < startDate) {
+      throw createRecurrenceError('recurrence.endDate must be a date in YYYY-MM-DD format on or after the start date', { endDate: recurrence.endDate });
+    }
+    range.type = 'endDate';
+    range.endDate = recurrence.endDate;
+  } else if (recurrence.occurrences !== undefined) {
+    const occurrences = Number(recurrence.occurrences);
+    if (!Number.isInteger(occurrences) || occurrences < 1 || occurrences > 999) {
+      throw createRecurrenceError('recurrence.occurrences must be a whole number from 1 to 999', { occurrences: recurrence.occurrences });
+    }
+    range.type = 'numbered';
+    range.numberOfOccurrences = occurrences;
+  }
+
+  return { pattern, range };
+}
+
+/**
+ * Resolves the event an operation should act on. Acting on an occurrence or exception ID
+ * with applyTo 'series' targets its series master; 'occurrence' (the default) keeps the ID.
+ * @param {object} client - Graph client (already scoped to the target mailbox)
+ * @param {string} eventId - Event, occurrence or series master ID
+ * @param {string} [applyTo='occurrence'] - 'occurrence' or 'series'
+ * @param {object} [context] - { operation } for error reporting
+ * @returns {Promise<string>} Event ID to use
+ */
+async function resolveSeriesTarget(client, eventId, applyTo = 'occurrence', context = {}) {
+  if (!APPLY_TO_VALUES.includes(applyTo)) {
+    throw createRecurrenceError(`applyTo must be one of: ${APPLY_TO_VALUES.join(', ')}`, { applyTo, operation: context.operation });
+  }
+  if (applyTo === 'occurrence') {
+    return eventId;
+  }
+
+  const event = await client.api(`/me/events/${eventId}?$select=id,type,seriesMasterId`).get();
+  if (event.type === 'seriesMaster') {
+    return event.id || eventId;
+  }
+  if (event.seriesMasterId) {
+    return event.seriesMasterId;
+  }
+  throw createRecurrenceError('Event is not part of a recurring series', { operation: context.operation, eventType: event.type });
+}
+
+module.exports = {
+  APPLY_TO_VALUES,
+  buildRecurrence,
+  resolveSeriesTarget
+};
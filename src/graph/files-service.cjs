@@ -390,7 +390,7 @@ async function downloadFile(id, req, userId, sessionId) {
     }
     
     // Get the raw content from the Graph API
-    const content = await client.api(`/me/drive/items/${id}/content`).get();
+    const content = await client.api(`/me/drive/items/${id}/content`).get({ responseType: 'buffer' });
     
     // Ensure content is always returned as a Buffer
     let bufferContent;
@@ -1726,6 +1726,152 @@ async function updateFileContent(id, content, req, options = {}, userId, session
   }
 }
 
+/**
+ * Saves an email to OneDrive as an .eml file using its raw MIME content.
+ * @param {string} messageId - ID of the message to save
+ * @param {object} [options] - Save options
+ * @param {string} [options.folderPath] - OneDrive folder path, e.g. 'Archive/Contracts' (default: root)
+ * @param {string} [options.fileName] - File name (default: the message subject); .eml is appended if missing
+ * @param {object} req - Express request object
+ * @param {string} [userId] - User ID for logging context
+ * @param {string} [sessionId] - Session ID for logging context
+ * @returns {Promise<object>} Uploaded drive item with the source messageId
+ */
+async function saveEmailToOneDrive(messageId, options = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const resolvedUserId = userId || req?.user?.userId;
+  const resolvedSessionId = sessionId || req?.session?.id;
+  
+  // Validate input
+  if (!messageId) {
+    const mcpError = ErrorService.createError(
+      'files',
+      'Message ID is required for saveEmailToOneDrive',
+      'error',
+      { 
+        timestamp: new Date().toISOString(),
+        validationError: 'missing_message_id'
+      }
+    );
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking for validation
+    if (resolvedUserId) {
+      MonitoringService.error('Save email validation failed: missing message ID', {
+        validationError: 'missing_message_id',
+        timestamp: new Date().toISOString()
+      }, 'files', null, resolvedUserId);
+    } else if (resolvedSessionId) {
+      MonitoringService.error('Save email validation failed: missing message ID', {
+        sessionId: resolvedSessionId,
+        validationError: 'missing_message_id',
+        timestamp: new Date().toISOString()
+      }, 'files');
+    }
+    
+    throw mcpError;
+  }
+  
+  try {
+    // Pattern 1: Development Debug Logs
+    if (process.env.NODE_ENV === 'development') {
+      MonitoringService.debug('Save email to OneDrive requested', {
+        messageId: messageId.substring(0, 20) + '...',
+        folderPath: options.folderPath || 'root',
+        sessionId: resolvedSessionId,
+        userAgent: req?.get('User-Agent'),
+        timestamp: new Date().toISOString()
+      }, 'files');
+    }
+    
+    // Import the mail service here to avoid a load-time cycle with mail attachments
+    const mailService = require('./mail-service.cjs');
+    const mime = await mailService.exportEmailAsMime(messageId, req, resolvedUserId, resolvedSessionId);
+    
+    const requestedName = options.fileName ? String(options.fileName).trim() : mime.fileName;
+    const fileName = /\.eml$/i.test(requestedName) ? requestedName : `${requestedName}.eml`;
+    const folderPath = (options.folderPath || '').replace(/^\/+|\/+$/g, '');
+    const itemPath = [...folderPath.split('/').filter(Boolean), fileName].map(encodeURIComponent).join('/');
+    
+    const client = await graphClientFactory.createClient(req, resolvedUserId, resolvedSessionId);
+    
+    // Keep earlier exports of the same message instead of overwriting them
+    const result = await client.api(`/me/drive/root:/${itemPath}:/content?@microsoft.graph.conflictBehavior=rename`, resolvedUserId, resolvedSessionId)
+      .put(mime.content, { headers: { 'Content-Type': mime.contentType } });
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (resolvedUserId) {
+      MonitoringService.info('Email saved to OneDrive successfully', {
+        fileId: result.id,
+        fileSize: mime.size,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'files', null, resolvedUserId);
+    } else if (resolvedSessionId) {
+      MonitoringService.info('Email saved to OneDrive with session', {
+        sessionId: resolvedSessionId,
+        fileId: result.id,
+        fileSize: mime.size,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'files');
+    }
+    
+    MonitoringService.trackMetric('file_save_email_success', executionTime, {
+      fileSize: mime.size,
+      userId: resolvedUserId,
+      timestamp: new Date().toISOString()
+    });
+    
+    return { ...result, messageId };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'files',
+      `Failed to save email to OneDrive: ${error.message}`,
+      'error',
+      {
+        messageId: messageId.substring(0, 20) + '...',
+        folderPath: options.folderPath || 'root',
+        error: error.message,
+        stack: error.stack,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }
+    );
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (resolvedUserId) {
+      MonitoringService.error('Save email to OneDrive failed', {
+        error: error.message,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'files', null, resolvedUserId);
+    } else if (resolvedSessionId) {
+      MonitoringService.error('Save email to OneDrive failed', {
+        sessionId: resolvedSessionId,
+        error: error.message,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'files');
+    }
+    
+    MonitoringService.trackMetric('file_save_email_failure', executionTime, {
+      errorType: error.code || 'unknown',
+      userId: resolvedUserId,
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
 // Export all file service methods
 module.exports = {
   listFiles,              // List files and folders in a directory
@@ -1737,5 +1883,6 @@ module.exports = {
   updateFileContent,      // Handles both update and set operations with options.setContent
   createSharingLink,      // Create sharing links for files
   getSharingLinks,        // Get sharing links for files
-  removeSharingPermission // Remove sharing permissions from files
+  removeSharingPermission, // Remove sharing permissions from files
+  saveEmailToOneDrive     // Save an email as an .eml file via its MIME content
 };
@@ -10,6 +10,9 @@ const ErrorService = require('../core/error-service.cjs');
 const MonitoringService = require('../core/monitoring-service.cjs');
 const fetch = require('node-fetch');
 
+// Graph endpoint root; overridable so tests can point the client at a local Graph stand-in
+const GRAPH_BASE_URL = process.env.MICROSOFT_GRAPH_BASE_URL || 'https://graph.microsoft.com/v1.0';
+
 // Log service initialization - use optional chaining to prevent errors if service not fully initialized
 MonitoringService?.info?.('Graph Client initialized', {
     serviceName: 'graph-client',
@@ -282,14 +285,76 @@ class GraphClient {
     }
 
     /**
-     * Batch multiple Graph API requests.
-     * @param {Array<{method: string, url: string, body?: any}>} requests
-     * @returns {Promise<Array<any>>}
+     * Uploads one byte range to an attachment upload session (createUploadSession).
+     * The upload URL carries its own token, so no Authorization header is sent.
+     * @param {string} uploadUrl - Upload session URL
+     * @param {Buffer} chunk - Bytes to upload
+     * @param {number} rangeStart - Offset of the first byte of the chunk
+     * @param {number} totalSize - Total file size in bytes
+     * @returns {Promise<{status: number, location: string|null, nextExpectedRanges: Array<string>}>}
      */
-    async batch(requests) {
-        const response = await _fetchWithRetry('/$batch', this.token, 'POST', { requests }, {});
-        return (response.responses || []).map(r => r.body);
+    async uploadRange(uploadUrl, chunk, rangeStart, totalSize) {
+        const rangeEnd = rangeStart + chunk.length - 1;
+        const res = await fetch(uploadUrl, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': String(chunk.length),
+                'Content-Range': `bytes ${rangeStart}-${rangeEnd}/${totalSize}`
+            },
+            body: chunk
+        });
+        return await _readUploadSessionResponse(res, 'uploadRange');
+    }
+
+    /**
+     * Reads the state of an upload session, used to resume after a failed range.
+     * @param {string} uploadUrl - Upload session URL
+     * @returns {Promise<{status: number, location: string|null, nextExpectedRanges: Array<string>}>}
+     */
+    async getUploadSession(uploadUrl) {
+        const res = await fetch(uploadUrl, { method: 'GET' });
+        return await _readUploadSessionResponse(res, 'getUploadSession');
+    }
+}
+
+/**
+ * Parses an upload session response, throwing an MCP error that carries the status code on failure.
+ * @param {Response} res - fetch response
+ * @param {string} method - Calling method for error context
+ * @returns {Promise<{status: number, location: string|null, nextExpectedRanges: Array<string>}>}
+ */
+async function _readUploadSessionResponse(res, method) {
+    const text = await res.text().catch(() => '');
+    let data = {};
+    try {
+        data = text ? JSON.parse(text) : {};
+    } catch (parseError) {
+        data = {};
+    }
+
+    if (!res.ok) {
+        const mcpError = ErrorService.createError(
+            'graph',
+            `Upload session request failed: ${res.status} - ${data.error?.message || text.substring(0, 200)}`,
+            'error',
+            {
+                service: 'graph-client',
+                method,
+                statusCode: res.status,
+                errorCode: data.error?.code || 'unknown',
+                timestamp: new Date().toISOString()
+            }
+        );
+        MonitoringService.logError(mcpError);
+        throw mcpError;
     }
+
+    return {
+        status: res.status,
+        location: res.headers.get('location'),
+        nextExpectedRanges: data.nextExpectedRanges || []
+    };
 }
 
 /**
@@ -298,18 +363,20 @@ class GraphClient {
  * @param {string} path
  * @param {string} token
  * @param {string} method
- * @param {object|null} body
- * @param {object} options
+ * @param {object|Buffer|string|null} body - JSON-serialized unless a Buffer or string
+ * @param {object} options - { headers, responseType: 'buffer' | 'text' } (JSON by default)
  * @param {number} retries
  * @param {string} userId - User ID for logging context (optional)
  * @param {string} sessionId - Session ID for logging context (optional)
  */
 async function _fetchWithRetry(path, token, method, body, options, retries = 2, userId, sessionId) {
     const startTime = Date.now();
-    const url = (path.startsWith('http') ? path : `https://graph.microsoft.com/v1.0${path}`);
+    const url = (path.startsWith('http') ? path : `${GRAPH_BASE_URL}${path}`);
+    // Buffers and strings (file content, MIME) are sent as-is; everything else as JSON
+    const isRawBody = Buffer.isBuffer(body) || typeof body === 'string';
     const headers = Object.assign({
         Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json'
+        'Content-Type': isRawBody ? 'application/octet-stream' : 'application/json'
     }, options.headers || {});
     
     // Pattern 1: Development Debug Logs
@@ -332,7 +399,7 @@ async function _fetchWithRetry(path, token, method, body, options, retries = 2,
             const res = await fetch(url, {
                 method,
                 headers,
-                body: body ? JSON.stringify(body) : undefined
+                body: body ? (isRawBody ? body : JSON.stringify(body)) : undefined
             });
             
             const responseTime = Date.now() - requestStartTime;
@@ -390,7 +457,15 @@ async function _fetchWithRetry(path, token, method, body, options, retries = 2,
                 if (res.status === 204 || res.headers.get('content-length') === '0') {
                     return { success: true, status: res.status };
                 }
+                // Raw content such as a message's MIME ($value) or a file's bytes
+                if (options.responseType === 'buffer') {
+                    return await res.buffer();
+                }
+                if (options.responseType === 'text') {
+                    return await res.text();
+                }
                 
+
                 // For responses with content, try to parse JSON
                 try {
                     return await res.json();
@@ -538,6 +613,11 @@ async function _fetchWithRetry(path, token, method, body, options, retries = 2,
                     
                     throw mcpError;
                 } catch (parseError) {
+                    // The error built from the JSON body is thrown from the try block above; keep it
+                    if (parseError.category) {
+                        throw parseError;
+                    }
+                    
                     // If we can't parse the error response as JSON
                     const errorText = await res.text().catch(() => 'Unable to read error response');
                     
@@ -658,11 +738,15 @@ async function _fetchWithRetry(path, token, method, body, options, retries = 2,
 }
 
 /**
- * Enhanced batch method: retries only failed requests (429) after retry-after delay.
- * @param {Array} requests - Array of batch requests
- * @param {number} retries - Number of retry attempts (default: 2)
+ * Batch multiple Graph API requests. Throttled (429) sub-requests are sent again after their
+ * Retry-After delay. Graph may answer sub-requests in any order, so callers should match the
+ * results to their requests by id rather than by position.
+ * @param {Array<{id?: string, method: string, url: string, body?: any}>} requests - Batch requests (at most 20; ids are assigned when missing)
+ * @param {number} retries - Number of retry attempts for throttled sub-requests (default: 2)
  * @param {string} userId - User ID for logging context (optional)
  * @param {string} sessionId - Session ID for logging context (optional)
+ * @returns {Promise<Array<{id: string, status: number, body: any}>>} One result per request; body is undefined for empty responses such as 204.
+ *   Sub-requests still throttled after the last retry come back with status 429
  */
 GraphClient.prototype.batch = async function(requests, retries = 2, userId, sessionId) {
     const startTime = Date.now();
@@ -679,13 +763,13 @@ GraphClient.prototype.batch = async function(requests, retries = 2, userId, sess
     }
     
     try {
-        let pending = requests.map((req, i) => ({ ...req, _idx: i }));
+        let pending = requests.map((req, i) => ({ ...req, id: String(req.id || i + 1), _idx: i }));
         let results = new Array(requests.length);
         let attempts = 0;
         
         while (pending.length && attempts <= retries) {
             const batchStartTime = Date.now();
-            const response = await _fetchWithRetry('/$batch', this.token, 'POST', { requests: pending }, {}, 2, userId, sessionId);
+            const response = await _fetchWithRetry('/$batch', this.token, 'POST', { requests: pending.map(({ _idx, ...req }) => req) }, {}, 2, userId, sessionId);
             const batchTime = Date.now() - batchStartTime;
             
             MonitoringService.trackMetric('graph_api_batch_request', batchTime, {
@@ -700,15 +784,18 @@ GraphClient.prototype.batch = async function(requests, retries = 2, userId, sess
             let successCount = 0;
             let throttledCount = 0;
             
-            (response.responses || []).forEach((r, idx) => {
-                const origIdx = pending[idx]._idx;
+            const pendingById = new Map(pending.map(req => [req.id, req]));
+            (response.responses || []).forEach(r => {
+                const request = pendingById.get(String(r.id));
+                if (!request) return;
                 if (r.status === 429) {
-                    const retryAfter = Number((r.headers && r.headers['retry-after']) || 1);
+                    const retryAfter = Number((r.headers && (r.headers['retry-after'] || r.headers['Retry-After'])) || 1);
                     maxRetryAfter = Math.max(maxRetryAfter, retryAfter);
-                    retryRequests.push(pending[idx]);
+                    retryRequests.push(request);
+                    results[request._idx] = { id: request.id, status: r.status, body: r.body };
                     throttledCount++;
                 } else {
-                    results[origIdx] = r.body;
+                    results[request._idx] = { id: request.id, status: r.status, body: r.body };
                     successCount++;
                 }
             });
@@ -769,7 +856,8 @@ GraphClient.prototype.batch = async function(requests, retries = 2, userId, sess
                     }, 'graph');
                 }
                 
-                throw mcpError;
+                // Keep what did go through; the still-throttled sub-requests report their 429
+                break;
             }
             
             await new Promise(r => setTimeout(r, maxRetryAfter * 1000));
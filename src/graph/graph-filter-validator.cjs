@@ -54,7 +54,13 @@ const PROPERTY_FILTER_SUPPORT = {
   'location/displayName': ['eq', 'contains'],
   'organizer/emailAddress/name': ['eq'], // Supported - filter by organizer display name
   // 'organizer/emailAddress/address': [], // NOT SUPPORTED - Microsoft Graph always returns HTTP 501
-  'attendees/emailAddress/address': ['eq'] // Note: 'ne' is NOT supported
+  'attendees/emailAddress/address': ['eq'], // Note: 'ne' is NOT supported
+  // Mail message properties
+  'from/emailAddress/address': ['eq'],
+  'receivedDateTime': ['eq', 'ne', 'gt', 'ge', 'lt', 'le'],
+  'hasAttachments': ['eq', 'ne'],
+  'isRead': ['eq', 'ne']
+  // 'toRecipients/emailAddress/address': [], // NOT SUPPORTED - recipient collections cannot be filtered; use $search (to:)
 };
 
 /**
@@ -389,6 +395,18 @@ function transformFilter(filter, userId, sessionId) {
   }
 }
 
+/**
+ * Checks whether a property supports an operator according to PROPERTY_FILTER_SUPPORT.
+ * Properties that are not listed are treated as unsupported.
+ * @param {string} property - Property path, e.g. 'from/emailAddress/address'
+ * @param {string} operator - OData operator or function, e.g. 'eq' or 'contains'
+ * @returns {boolean} Whether Graph accepts the operator on the property
+ */
+function isFilterOperatorSupported(property, operator) {
+  const operators = PROPERTY_FILTER_SUPPORT[property];
+  return Array.isArray(operators) && operators.includes(operator);
+}
+
 /**
  * Creates a standardized error for filter validation failures
  * @param {Error} error - Original error
@@ -700,6 +718,7 @@ module.exports = {
   validateFilter,
   validateFilterOrThrow,
   transformFilter,
+  isFilterOperatorSupported,
   createFilterValidationError,
   getSupportedFilterOperations,
   GraphFilterError
@@ -0,0 +1,1202 @@
+/**
+ * @fileoverview IcsService - iCalendar (RFC 5545) export and import for calendar events.
+ * Export serializes normalized events (see normalizeEvent) into a .ics file: recurring
+ * series become a VEVENT with an RRULE, edited occurrences a VEVENT with RECURRENCE-ID, and
+ * the time zones of series get VTIMEZONE definitions. Import parses .ics text, or a .ics
+ * file in OneDrive, and creates each VEVENT as a new event.
+ */
+
+const graphClientFactory = require('./graph-client.cjs');
+const filesService = require('./files-service.cjs');
+const { formatBody, normalizeEvent } = require('./normalizers.cjs');
+const { scopeClientToMailbox } = require('./mailbox-access.cjs');
+const { resolveIanaTimeZone, toUtcDateTime, getTimeZoneOffsetMs, getUserPreferredTimeZone } = require('./calendar-service.cjs');
+const MonitoringService = require('../core/monitoring-service.cjs');
+const ErrorService = require('../core/error-service.cjs');
+
+const ICS_PRODID = '-//mcp-web//Calendar Export//EN';
+const ICS_CONTENT_TYPE = 'text/calendar; charset=utf-8';
+
+// Properties requested for exported events; everything normalizeEvent and the serializer read
+const EVENT_SELECT_FIELDS = [
+  'id', 'iCalUId', 'subject', 'body', 'start', 'end', 'isAllDay', 'isCancelled', 'location',
+  'organizer', 'attendees', 'recurrence', 'type', 'seriesMasterId', 'originalStart', 'categories',
+  'importance', 'isOnlineMeeting', 'onlineMeetingProvider', 'onlineMeeting', 'webLink',
+  'createdDateTime', 'lastModifiedDateTime'
+].join(',');
+
+const MAX_EXPORT_DAYS = 366;
+const MAX_EXPORT_EVENTS = 1000;
+const MAX_IMPORT_EVENTS = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY_CODES = { sunday: 'SU', monday: 'MO', tuesday: 'TU', wednesday: 'WE', thursday: 'TH', friday: 'FR', saturday: 'SA' };
+const CODE_WEEKDAYS = Object.fromEntries(Object.entries(WEEKDAY_CODES).map(([day, code]) => [code, day]));
+const DAYS_OF_WEEK = Object.keys(WEEKDAY_CODES);
+const WEEK_INDEX_SETPOS = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+const SETPOS_WEEK_INDEX = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+// Attendee response (Graph) <-> participation status (iCalendar)
+const PARTSTAT_BY_RESPONSE = { accepted: 'ACCEPTED', organizer: 'ACCEPTED', tentativelyAccepted: 'TENTATIVE', declined: 'DECLINED' };
+
+// RRULE parts Graph's recurrence patterns can express
+const SUPPORTED_RRULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYSETPOS', 'BYMONTHDAY', 'BYMONTH', 'WKST'];
+
+/**
+ * Creates, logs and returns a validation error for export or import input.
+ * @param {string} message - What is wrong
+ * @param {object} [context] - Extra error context
+ * @returns {object} MCP error
+ */
+function icsError(message, context = {}) {
+  const mcpError = ErrorService.createError(
+    'calendar',
+    message,
+    'warning',
+    {
+      service: 'ics-service',
+      ...context,
+      timestamp: new Date().toISOString()
+    }
+  );
+  MonitoringService.logError(mcpError);
+  return mcpError;
+}
+
+// --- Text format helpers ---
+
+function escapeText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (match, character) => (character === 'n' || character === 'N' ? '\n' : character));
+}
+
+/**
+ * Quotes a parameter value when it contains characters with a meaning in content lines.
+ * @param {string} value - Parameter value
+ * @returns {string} Value safe to use after PARAM=
+ */
+function formatParamValue(value) {
+  const text = String(value).replace(/"/g, '\'');
+  return /[:;,]/.test(text) ? `"${text}"` : text;
+}
+
+/**
+ * Folds a content line at 75 octets; continuation lines start with a space (RFC 5545 3.1).
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF
+ */
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+  for (const character of line) {
+    const characterSize = Buffer.byteLength(character);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (size + characterSize > limit) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += character;
+    size += characterSize;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Splits a string on a separator that is not inside double quotes.
+ * @param {string} text - Text to split
+ * @param {string} separator - Single-character separator
+ * @returns {Array<string>} Parts
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+  for (const character of text) {
+    if (character === '"') {
+      inQuotes = !inQuotes;
+    }
+    if (character === separator && !inQuotes) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += character;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Parses one unfolded content line: NAME;PARAM=VALUE;PARAM="QUOTED":value
+ * @param {string} line - Content line
+ * @returns {object|null} { name, params, value }, or null when the line has no value
+ */
+function parseContentLine(line) {
+  let separatorIndex = -1;
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      separatorIndex = i;
+      break;
+    }
+  }
+  if (separatorIndex === -1) {
+    return null;
+  }
+
+  const [name, ...paramParts] = splitOutsideQuotes(line.substring(0, separatorIndex), ';');
+  const params = {};
+  for (const part of paramParts) {
+    const equalsIndex = part.indexOf('=');
+    if (equalsIndex > 0) {
+      params[part.substring(0, equalsIndex).toUpperCase()] = part.substring(equalsIndex + 1).replace(/^"|"$/g, '');
+    }
+  }
+  return { name: name.trim().toUpperCase(), params, value: line.substring(separatorIndex + 1) };
+}
+
+// --- Date and time helpers ---
+
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+}
+
+function formatDate(dateTime) {
+  return String(dateTime).substring(0, 10).replace(/-/g, '');
+}
+
+function formatWallClock(dateTime) {
+  return String(dateTime).substring(0, 19).replace(/[-:]/g, '');
+}
+
+/**
+ * Wall-clock time in a time zone for a UTC instant.
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} ianaTimeZone - IANA time zone
+ * @returns {string} 'YYYY-MM-DDTHH:MM:SS'
+ */
+function toWallClock(timestamp, ianaTimeZone) {
+  return new Date(timestamp + getTimeZoneOffsetMs(ianaTimeZone, timestamp)).toISOString().substring(0, 19);
+}
+
+function formatOffset(offsetMs) {
+  const minutes = Math.round(Math.abs(offsetMs) / 60000);
+  return `${offsetMs < 0 ? '-' : '+'}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Date of the nth weekday of a month (nth -1 is the last one).
+ * @returns {number} Day of the month
+ */
+function nthWeekdayOfMonth(year, month, weekday, nth) {
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (nth === -1) {
+    const lastWeekday = new Date(Date.UTC(year, month - 1, daysInMonth)).getUTCDay();
+    return daysInMonth - ((lastWeekday - weekday + 7) % 7);
+  }
+  const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  return 1 + ((weekday - firstWeekday + 7) % 7) + (nth - 1) * 7;
+}
+
+/**
+ * Finds the instants in a year at which a time zone's UTC offset changes.
+ * @param {string} ianaTimeZone - IANA time zone
+ * @param {number} year - Year to scan
+ * @returns {Array<object>} [{ at, from, to }] with epoch milliseconds and offsets in milliseconds
+ */
+function findOffsetTransitions(ianaTimeZone, year) {
+  const transitions = [];
+  const yearEnd = Date.UTC(year + 1, 0, 1);
+  let previous = getTimeZoneOffsetMs(ianaTimeZone, Date.UTC(year, 0, 1));
+  for (let day = Date.UTC(year, 0, 1); day < yearEnd; day += DAY_MS) {
+    const next = getTimeZoneOffsetMs(ianaTimeZone, day + DAY_MS);
+    if (next === previous) {
+      continue;
+    }
+    // Narrow the change down to the minute
+    let low = day;
+    let high = day + DAY_MS;
+    while (high - low > 60000) {
+      const middle = low + Math.max(1, Math.floor((high - low) / 120000)) * 60000;
+      if (getTimeZoneOffsetMs(ianaTimeZone, middle) === previous) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    transitions.push({ at: high, from: previous, to: next });
+    previous = next;
+  }
+  return transitions;
+}
+
+/**
+ * Builds a VTIMEZONE for an IANA time zone. Daylight saving changes found in the reference
+ * year are written as yearly rules such as "last Sunday of March", starting the year before
+ * so that every exported date is covered.
+ * @param {string} ianaTimeZone - IANA time zone
+ * @param {number} year - Reference year (the earliest year the zone is used in)
+ * @returns {Array<string>} Content lines
+ */
+function buildVTimeZone(ianaTimeZone, year) {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${ianaTimeZone}`, `X-LIC-LOCATION:${ianaTimeZone}`];
+  const transitions = findOffsetTransitions(ianaTimeZone, year);
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(getTimeZoneOffsetMs(ianaTimeZone, Date.UTC(year, 0, 1)));
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+  }
+
+  for (const transition of transitions) {
+    // Observance onsets are given in the local time in effect before the change
+    const onset = new Date(transition.at + transition.from);
+    const month = onset.getUTCMonth() + 1;
+    const weekday = onset.getUTCDay();
+    const dayOfMonth = onset.getUTCDate();
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const nth = dayOfMonth + 7 > daysInMonth ? -1 : Math.ceil(dayOfMonth / 7);
+    const firstOnset = new Date(Date.UTC(year - 1, month - 1, nthWeekdayOfMonth(year - 1, month, weekday, nth),
+      onset.getUTCHours(), onset.getUTCMinutes()));
+    const kind = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatWallClock(firstOnset.toISOString())}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${month};BYDAY=${nth}${WEEKDAY_CODES[DAYS_OF_WEEK[weekday]]}`,
+      `TZOFFSETFROM:${formatOffset(transition.from)}`,
+      `TZOFFSETTO:${formatOffset(transition.to)}`,
+      `END:${kind}`
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+// --- Export ---
+
+/**
+ * Converts a Graph recurrence to an RRULE value.
+ * @param {object} recurrence - Graph patternedRecurrence
+ * @param {object} context - { isAllDay, timeZone } of the series
+ * @returns {string|null} RRULE value, or null for a pattern iCalendar cannot express or that
+ *   is missing the days, day of month or month it depends on
+ */
+function recurrenceToRRule(recurrence, context = {}) {
+  const pattern = recurrence?.pattern || {};
+  const range = recurrence?.range || {};
+  const days = (pattern.daysOfWeek || []).map(day => WEEKDAY_CODES[String(day).toLowerCase()]).filter(Boolean);
+  const setPosition = WEEK_INDEX_SETPOS[pattern.index || 'first'];
+  const parts = [];
+
+  // Relative patterns need weekdays, absolute ones a day of month, yearly ones a month
+  if (pattern.type?.startsWith('relative') && days.length === 0) {
+    return null;
+  }
+  if (pattern.type?.startsWith('absolute') && !pattern.dayOfMonth) {
+    return null;
+  }
+  if (pattern.type?.endsWith('Yearly') && !pattern.month) {
+    return null;
+  }
+
+  switch (pattern.type) {
+    case 'daily':
+      parts.push('FREQ=DAILY');
+      break;
+    case 'weekly':
+      parts.push('FREQ=WEEKLY');
+      if (days.length > 0) {
+        parts.push(`BYDAY=${days.join(',')}`);
+      }
+      if (pattern.firstDayOfWeek && WEEKDAY_CODES[pattern.firstDayOfWeek]) {
+        parts.push(`WKST=${WEEKDAY_CODES[pattern.firstDayOfWeek]}`);
+      }
+      break;
+    case 'absoluteMonthly':
+      parts.push('FREQ=MONTHLY', `BYMONTHDAY=${pattern.dayOfMonth}`);
+      break;
+    case 'relativeMonthly':
+      parts.push('FREQ=MONTHLY', `BYDAY=${days.join(',')}`, `BYSETPOS=${setPosition}`);
+      break;
+    case 'absoluteYearly':
+      parts.push('FREQ=YEARLY', `BYMONTH=${pattern.month}`, `BYMONTHDAY=${pattern.dayOfMonth}`);
+      break;
+    case 'relativeYearly':
+      parts.push('FREQ=YEARLY', `BYMONTH=${pattern.month}`, `BYDAY=${days.join(',')}`, `BYSETPOS=${setPosition}`);
+      break;
+    default:
+      return null;
+  }
+
+  if (pattern.interval > 1) {
+    parts.push(`INTERVAL=${pattern.interval}`);
+  }
+
+  if (range.type === 'endDate' && range.endDate) {
+    // UNTIL is inclusive: the end of the last day, in UTC for timed series
+    const until = context.isAllDay || !context.timeZone ? null : toUtcDateTime(`${range.endDate}T23:59:59`, context.timeZone);
+    parts.push(`UNTIL=${until ? formatUtcDateTime(new Date(until)) : formatDate(range.endDate)}`);
+  } else if (range.type === 'numbered' && range.numberOfOccurrences) {
+    parts.push(`COUNT=${range.numberOfOccurrences}`);
+  }
+
+  return parts.join(';');
+}
+
+/**
+ * Formats a DTSTART/DTEND style property. Times of a series are written as wall-clock time
+ * in the series time zone so daylight saving is applied per occurrence; others in UTC.
+ * @param {string} name - Property name
+ * @param {object} value - { dateTime, timeZone }
+ * @param {string|null} seriesTimeZone - IANA time zone of the series
+ * @param {object} context - Serialization context (collects the time zones used)
+ * @returns {string} Content line
+ */
+function formatDateTimeProperty(name, value, seriesTimeZone, context) {
+  const utc = toUtcDateTime(value?.dateTime, value?.timeZone || 'UTC');
+  if (!utc) {
+    return `${name}:${formatWallClock(value?.dateTime || '')}`;
+  }
+  if (seriesTimeZone && seriesTimeZone !== 'UTC') {
+    const year = new Date(utc).getUTCFullYear();
+    context.timeZones.set(seriesTimeZone, Math.min(context.timeZones.get(seriesTimeZone) || year, year));
+    return `${name};TZID=${seriesTimeZone}:${formatWallClock(toWallClock(Date.parse(utc), seriesTimeZone))}`;
+  }
+  return `${name}:${formatUtcDateTime(new Date(utc))}`;
+}
+
+/**
+ * Serializes one normalized event as a VEVENT.
+ * @param {object} event - Event from normalizeEvent
+ * @param {object} context - { dtstamp, series: Map(seriesMasterId -> { uid, timeZone }), timeZones }
+ * @returns {Array<string>} Content lines
+ */
+function buildVEvent(event, context) {
+  const series = event.eventType === 'exception' ? context.series.get(event.seriesMasterId) : null;
+  const ownSeries = event.eventType === 'seriesMaster' ? context.series.get(event.id) : null;
+  const timeZone = (ownSeries || series)?.timeZone || null;
+  const lines = ['BEGIN:VEVENT', `UID:${series?.uid || event.iCalUId || event.id}`, `DTSTAMP:${context.dtstamp}`];
+
+  if (event.isAllDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start.dateTime)}`, `DTEND;VALUE=DATE:${formatDate(event.end.dateTime)}`);
+  } else {
+    lines.push(formatDateTimeProperty('DTSTART', event.start, timeZone, context), formatDateTimeProperty('DTEND', event.end, timeZone, context));
+  }
+
+  if (series && event.originalStart) {
+    lines.push(event.isAllDay
+      ? `RECURRENCE-ID;VALUE=DATE:${formatDate(event.originalStart)}`
+      : formatDateTimeProperty('RECURRENCE-ID', { dateTime: event.originalStart, timeZone: 'UTC' }, timeZone, context));
+  }
+
+  if (ownSeries && event.recurrence) {
+    const rrule = recurrenceToRRule(event.recurrence, { isAllDay: event.isAllDay, timeZone });
+    if (rrule) {
+      lines.push(`RRULE:${rrule}`);
+    } else {
+      MonitoringService.warn('Recurrence could not be expressed as an RRULE; series exported as its first occurrence', {
+        patternType: event.recurrence.pattern?.type || null,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.subject || '')}`);
+
+  const description = formatBody({ content: event.body || '', contentType: event.bodyType }, 'text').content;
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  if (event.location?.displayName) {
+    lines.push(`LOCATION:${escapeText(event.location.displayName)}`);
+  }
+  if (event.onlineMeeting?.joinUrl) {
+    lines.push(`URL:${event.onlineMeeting.joinUrl}`);
+  }
+  const categories = Array.isArray(event.categories) ? event.categories : [];
+  if (categories.length > 0) {
+    lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+  }
+  if (event.isCancelled) {
+    lines.push('STATUS:CANCELLED');
+  }
+
+  if (event.organizer?.email) {
+    lines.push(`ORGANIZER${event.organizer.name ? `;CN=${formatParamValue(event.organizer.name)}` : ''}:mailto:${event.organizer.email}`);
+  }
+  for (const attendee of Array.isArray(event.attendees) ? event.attendees : []) {
+    if (!attendee?.email) {
+      continue;
+    }
+    const params = [
+      attendee.type === 'resource' ? 'CUTYPE=RESOURCE' : 'CUTYPE=INDIVIDUAL',
+      `ROLE=${{ required: 'REQ-PARTICIPANT', resource: 'NON-PARTICIPANT' }[attendee.type] || 'OPT-PARTICIPANT'}`,
+      `PARTSTAT=${PARTSTAT_BY_RESPONSE[attendee.status] || 'NEEDS-ACTION'}`
+    ];
+    if (attendee.name) {
+      params.push(`CN=${formatParamValue(attendee.name)}`);
+    }
+    lines.push(`ATTENDEE;${params.join(';')}:mailto:${attendee.email}`);
+  }
+
+  if (event.created) {
+    lines.push(`CREATED:${formatUtcDateTime(new Date(event.created))}`);
+  }
+  if (event.lastModified) {
+    lines.push(`LAST-MODIFIED:${formatUtcDateTime(new Date(event.lastModified))}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Serializes normalized events into an iCalendar file.
+ * @param {Array<object>} events - Events from normalizeEvent; series masters, singles and exceptions
+ * @param {object} [options] - { calendarName }
+ * @returns {string} .ics content with CRLF line endings
+ */
+function serializeEvents(events, options = {}) {
+  const context = {
+    dtstamp: formatUtcDateTime(new Date()),
+    series: new Map(),
+    timeZones: new Map()
+  };
+  for (const event of events) {
+    if (event.eventType === 'seriesMaster') {
+      context.series.set(event.id, {
+        uid: event.iCalUId || event.id,
+        timeZone: event.isAllDay ? null : resolveIanaTimeZone(event.recurrence?.range?.recurrenceTimeZone || event.start?.timeZone)
+      });
+    }
+  }
+
+  const eventLines = events.flatMap(event => buildVEvent(event, context));
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  if (options.calendarName) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.calendarName)}`);
+  }
+  for (const [timeZone, year] of context.timeZones) {
+    lines.push(...buildVTimeZone(timeZone, year));
+  }
+  lines.push(...eventLines, 'END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// --- Import ---
+
+/**
+ * Parses iCalendar text into its VEVENTs and the time zones it defines.
+ * @param {string} text - .ics content
+ * @returns {object} { events: [{ properties: [{ name, params, value }] }], timeZones: Map(TZID -> location) }
+ */
+function parseIcs(text) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const stack = [];
+  const events = [];
+  const timeZones = new Map();
+  let sawCalendar = false;
+  let currentEvent = null;
+  let currentTimeZone = null;
+
+  for (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    const property = parseContentLine(line);
+    if (!property) {
+      continue;
+    }
+
+    if (property.name === 'BEGIN') {
+      const component = property.value.trim().toUpperCase();
+      stack.push(component);
+      if (component === 'VCALENDAR') {
+        sawCalendar = true;
+      } else if (component === 'VEVENT') {
+        currentEvent = { properties: [] };
+      } else if (component === 'VTIMEZONE') {
+        currentTimeZone = {};
+      }
+    } else if (property.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && currentEvent) {
+        events.push(currentEvent);
+        currentEvent = null;
+      } else if (component === 'VTIMEZONE' && currentTimeZone) {
+        if (currentTimeZone.tzid) {
+          timeZones.set(currentTimeZone.tzid, currentTimeZone.location || null);
+        }
+        currentTimeZone = null;
+      }
+    } else if (stack[stack.length - 1] === 'VEVENT' && currentEvent) {
+      // Properties of nested components such as VALARM are not collected
+      currentEvent.properties.push(property);
+    } else if (stack[stack.length - 1] === 'VTIMEZONE' && currentTimeZone) {
+      if (property.name === 'TZID') {
+        currentTimeZone.tzid = property.value;
+      } else if (property.name === 'X-LIC-LOCATION') {
+        currentTimeZone.location = property.value;
+      }
+    }
+  }
+
+  if (!sawCalendar) {
+    throw icsError('Content is not an iCalendar file (no BEGIN:VCALENDAR)');
+  }
+  return { events, timeZones };
+}
+
+/**
+ * Resolves a TZID to a time zone Graph accepts. Outlook writes Windows names, other systems
+ * IANA names, sometimes with a vendor prefix or only in the VTIMEZONE's X-LIC-LOCATION.
+ * @param {string} tzid - TZID parameter
+ * @param {object} context - Import context with timeZones and warnings
+ * @returns {string} Time zone, 'UTC' when it cannot be resolved
+ */
+function resolveTzid(tzid, context) {
+  const candidates = [tzid, context.timeZones.get(tzid), (/[A-Za-z]+\/[A-Za-z_+-]+(?:\/[A-Za-z_+-]+)?$/.exec(tzid) || [])[0]];
+  for (const candidate of candidates) {
+    const timeZone = resolveIanaTimeZone(candidate);
+    if (timeZone) {
+      return timeZone;
+    }
+  }
+  if (!context.unknownTimeZones.has(tzid)) {
+    context.unknownTimeZones.add(tzid);
+    context.warnings.push(`Unknown time zone "${tzid}"; its times were read as UTC`);
+  }
+  return 'UTC';
+}
+
+/**
+ * Reads a DTSTART/DTEND/RECURRENCE-ID/EXDATE style value.
+ * @param {string} value - Single date or date-time value
+ * @param {object} params - Property parameters
+ * @param {object} context - Import context
+ * @returns {object|null} { dateTime, timeZone, isDate }
+ */
+function parseIcsDateTime(value, params, context) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  if (!match[4] || params.VALUE === 'DATE') {
+    return { dateTime: `${date}T00:00:00`, timeZone: context.defaultTimeZone, isDate: true };
+  }
+  const dateTime = `${date}T${match[4]}:${match[5]}:${match[6] || '00'}`;
+  if (match[7]) {
+    return { dateTime, timeZone: 'UTC', isDate: false };
+  }
+  // Floating times (no zone) are read in the calendar's own time zone
+  return { dateTime, timeZone: params.TZID ? resolveTzid(params.TZID, context) : context.defaultTimeZone, isDate: false };
+}
+
+/**
+ * Parses an iCalendar duration such as PT1H30M, P1D or P2W.
+ * @param {string} value - Duration
+ * @returns {number|null} Milliseconds
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const total = (Number(weeks || 0) * 7 + Number(days || 0)) * DAY_MS +
+    (Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+  return sign === '-' ? -total : total;
+}
+
+function addToWallClock(dateTime, milliseconds) {
+  return new Date(Date.parse(`${dateTime}Z`) + milliseconds).toISOString().substring(0, 19);
+}
+
+/**
+ * Converts an RRULE to a Graph recurrence.
+ * @param {string} rrule - RRULE value
+ * @param {object} start - Parsed DTSTART { dateTime, timeZone, isDate }
+ * @returns {object|null} Graph patternedRecurrence, or null when Graph cannot express the rule
+ */
+function rruleToRecurrence(rrule, start) {
+  const rule = {};
+  for (const part of String(rrule).split(';')) {
+    const [key, value] = part.split('=');
+    if (key && value !== undefined) {
+      rule[key.trim().toUpperCase()] = value.trim().toUpperCase();
+    }
+  }
+  if (Object.keys(rule).some(key => !SUPPORTED_RRULE_PARTS.includes(key))) {
+    return null;
+  }
+
+  const startDate = start.dateTime.substring(0, 10);
+  const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+  const startWeekday = DAYS_OF_WEEK[new Date(Date.UTC(startYear, startMonth - 1, startDay)).getUTCDay()];
+  const interval = rule.INTERVAL ? parseInt(rule.INTERVAL, 10) : 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > 99) {
+    return null;
+  }
+
+  const byDay = rule.BYDAY ? rule.BYDAY.split(',').map(entry => /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry.trim())) : [];
+  if (byDay.some(entry => !entry)) {
+    return null;
+  }
+  const days = byDay.map(entry => CODE_WEEKDAYS[entry[2]]);
+  const ordinal = byDay.find(entry => entry[1])?.[1] ?? rule.BYSETPOS;
+  const index = ordinal === undefined ? undefined : SETPOS_WEEK_INDEX[String(parseInt(ordinal, 10))];
+  if (ordinal !== undefined && !index) {
+    return null;
+  }
+  const dayOfMonth = rule.BYMONTHDAY === undefined ? startDay : Number(rule.BYMONTHDAY);
+  const month = rule.BYMONTH === undefined ? startMonth : Number(rule.BYMONTH);
+  if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31 || !Number.isInteger(month) || month < 1 || month > 12) {
+    return null;
+  }
+
+  const pattern = { interval };
+  switch (rule.FREQ) {
+    case 'DAILY':
+      if (days.length > 0) {
+        // e.g. every weekday
+        Object.assign(pattern, { type: 'weekly', daysOfWeek: days, firstDayOfWeek: 'sunday' });
+      } else {
+        pattern.type = 'daily';
+      }
+      break;
+    case 'WEEKLY':
+      Object.assign(pattern, { type: 'weekly', daysOfWeek: days.length > 0 ? days : [startWeekday], firstDayOfWeek: CODE_WEEKDAYS[rule.WKST] || 'sunday' });
+      break;
+    case 'MONTHLY':
+    case 'YEARLY':
+      if (days.length > 0) {
+        if (!index) {
+          return null;
+        }
+        Object.assign(pattern, { type: rule.FREQ === 'MONTHLY' ? 'relativeMonthly' : 'relativeYearly', daysOfWeek: days, index });
+      } else {
+        Object.assign(pattern, { type: rule.FREQ === 'MONTHLY' ? 'absoluteMonthly' : 'absoluteYearly', dayOfMonth });
+      }
+      if (rule.FREQ === 'YEARLY') {
+        pattern.month = month;
+      }
+      break;
+    default:
+      return null;
+  }
+
+  const range = { type: 'noEnd', startDate };
+  if (!start.isDate && start.timeZone) {
+    range.recurrenceTimeZone = start.timeZone;
+  }
+  if (rule.COUNT) {
+    range.type = 'numbered';
+    range.numberOfOccurrences = parseInt(rule.COUNT, 10);
+  } else if (rule.UNTIL) {
+    const until = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(rule.UNTIL);
+    if (!until) {
+      return null;
+    }
+    let endDate = `${until[1]}-${until[2]}-${until[3]}`;
+    // A UTC UNTIL can fall on the next day in UTC; the series ends on the local date
+    if (until[4] && rule.UNTIL.endsWith('Z') && start.timeZone && start.timeZone !== 'UTC') {
+      const ianaTimeZone = resolveIanaTimeZone(start.timeZone);
+      if (ianaTimeZone) {
+        endDate = toWallClock(Date.parse(`${endDate}T${until[4]}:${until[5]}:${until[6]}Z`), ianaTimeZone).substring(0, 10);
+      }
+    }
+    range.type = 'endDate';
+    range.endDate = endDate < startDate ? startDate : endDate;
+  }
+
+  return { pattern, range };
+}
+
+/**
+ * Builds the Graph event for a VEVENT.
+ * @param {object} vevent - Parsed VEVENT
+ * @param {object} context - Import context { defaultTimeZone, timeZones, warnings, inviteAttendees }
+ * @returns {object} { uid, recurrenceId, exdates, cancelled, graphEvent, attendeesSkipped }
+ */
+function buildGraphEvent(vevent, context) {
+  const first = name => vevent.properties.find(property => property.name === name);
+  const text = name => (first(name) ? unescapeText(first(name).value).trim() : '');
+  const uid = text('UID');
+  const summary = text('SUMMARY') || '(No subject)';
+
+  const startProperty = first('DTSTART');
+  const start = startProperty ? parseIcsDateTime(startProperty.value, startProperty.params, context) : null;
+  if (!start) {
+    throw new Error(`Event "${summary}" has no valid DTSTART`);
+  }
+
+  let end = null;
+  const endProperty = first('DTEND');
+  const durationProperty = first('DURATION');
+  if (endProperty) {
+    end = parseIcsDateTime(endProperty.value, endProperty.params, context);
+  } else if (durationProperty && parseDuration(durationProperty.value) !== null) {
+    end = { ...start, dateTime: addToWallClock(start.dateTime, parseDuration(durationProperty.value)) };
+  }
+  if (!end || end.dateTime < start.dateTime) {
+    // RFC 5545: without DTEND or DURATION a date lasts one day and a date-time has no duration
+    end = { ...start, dateTime: start.isDate ? addToWallClock(start.dateTime, DAY_MS) : start.dateTime };
+  }
+
+  const graphEvent = {
+    subject: summary,
+    body: { contentType: 'text', content: text('DESCRIPTION') },
+    start: { dateTime: start.dateTime, timeZone: start.timeZone },
+    end: { dateTime: end.dateTime, timeZone: end.timeZone },
+    isAllDay: start.isDate
+  };
+  if (text('LOCATION')) {
+    graphEvent.location = { displayName: text('LOCATION') };
+  }
+  const categories = vevent.properties.filter(property => property.name === 'CATEGORIES')
+    .flatMap(property => property.value.split(/(?<!\\),/).map(value => unescapeText(value).trim()))
+    .filter(Boolean);
+  if (categories.length > 0) {
+    graphEvent.categories = categories;
+  }
+  if (text('TRANSP').toUpperCase() === 'TRANSPARENT') {
+    graphEvent.showAs = 'free';
+  }
+  const classification = text('CLASS').toUpperCase();
+  if (classification === 'PRIVATE' || classification === 'CONFIDENTIAL') {
+    graphEvent.sensitivity = classification.toLowerCase();
+  }
+
+  const attendees = vevent.properties.filter(property => property.name === 'ATTENDEE')
+    .map(property => {
+      const address = property.value.replace(/^mailto:/i, '').trim();
+      if (!address.includes('@')) {
+        return null;
+      }
+      const isResource = ['RESOURCE', 'ROOM'].includes(String(property.params.CUTYPE || '').toUpperCase());
+      const isOptional = ['OPT-PARTICIPANT', 'NON-PARTICIPANT'].includes(String(property.params.ROLE || '').toUpperCase());
+      return {
+        emailAddress: { address, name: property.params.CN || address },
+        type: isResource ? 'resource' : (isOptional ? 'optional' : 'required')
+      };
+    })
+    .filter(Boolean);
+  // Adding attendees makes Graph send them invitations, so that is opt-in
+  if (context.inviteAttendees && attendees.length > 0) {
+    graphEvent.attendees = attendees;
+  }
+
+  const rrule = first('RRULE');
+  if (rrule) {
+    const recurrence = rruleToRecurrence(rrule.value, start);
+    if (recurrence) {
+      graphEvent.recurrence = recurrence;
+    } else {
+      context.warnings.push(`Recurrence of "${summary}" (${rrule.value}) is not supported by Outlook; only the first occurrence was imported`);
+    }
+  }
+
+  const recurrenceIdProperty = first('RECURRENCE-ID');
+  const exdates = vevent.properties.filter(property => property.name === 'EXDATE')
+    .flatMap(property => property.value.split(',').map(value => parseIcsDateTime(value, property.params, context)))
+    .filter(Boolean);
+
+  return {
+    uid,
+    recurrenceId: recurrenceIdProperty ? parseIcsDateTime(recurrenceIdProperty.value, recurrenceIdProperty.params, context) : null,
+    exdates,
+    cancelled: text('STATUS').toUpperCase() === 'CANCELLED',
+    graphEvent,
+    attendeesSkipped: context.inviteAttendees ? 0 : attendees.length
+  };
+}
+
+/**
+ * Finds the occurrence of a new series that starts at the given original time.
+ * @param {object} client - Graph client the series was created with (already scoped to the target mailbox)
+ * @param {string} eventsPath - Events collection the series was created in
+ * @param {string} seriesMasterId - Series master ID
+ * @param {object} originalStart - Parsed RECURRENCE-ID or EXDATE
+ * @returns {Promise<object|null>} Occurrence, or null when the series has none at that time
+ */
+async function findSeriesOccurrence(client, eventsPath, seriesMasterId, originalStart) {
+  const utc = originalStart.isDate ? null : toUtcDateTime(originalStart.dateTime, originalStart.timeZone);
+  const center = Date.parse(utc || `${originalStart.dateTime}Z`);
+  const windowStart = new Date(center - DAY_MS).toISOString();
+  const windowEnd = new Date(center + DAY_MS).toISOString();
+  const response = await client.api(`${eventsPath}/${seriesMasterId}/instances?startDateTime=${encodeURIComponent(windowStart)}&endDateTime=${encodeURIComponent(windowEnd)}&$select=id,start,originalStart`).get();
+
+  return (response.value || []).find(occurrence => (originalStart.isDate
+    ? String(occurrence.start?.dateTime || occurrence.originalStart || '').substring(0, 10) === originalStart.dateTime.substring(0, 10)
+    : Date.parse(occurrence.originalStart) === Date.parse(utc))) || null;
+}
+
+/**
+ * Applies a file's EXDATEs and edited occurrences (RECURRENCE-ID) to a newly created series.
+ * @param {object} client - Graph client the series was created with (already scoped to the target mailbox)
+ * @param {string} eventsPath - Events collection the series was created in
+ * @param {string} seriesMasterId - Series master ID
+ * @param {object} master - Parsed master VEVENT from buildGraphEvent
+ * @param {Array<object>} overrides - Parsed VEVENTs with the same UID and a RECURRENCE-ID
+ * @param {object} context - Import context (collects warnings)
+ */
+async function applySeriesChanges(client, eventsPath, seriesMasterId, master, overrides, context) {
+  const changes = [
+    ...master.exdates.map(originalStart => ({ originalStart, cancelled: true })),
+    ...overrides.map(override => ({ originalStart: override.recurrenceId, cancelled: override.cancelled, override }))
+  ];
+
+  for (const change of changes) {
+    const occurrence = await findSeriesOccurrence(client, eventsPath, seriesMasterId, change.originalStart);
+    if (!occurrence) {
+      context.warnings.push(`"${master.graphEvent.subject}" has no occurrence on ${change.originalStart.dateTime}; that change was skipped`);
+      continue;
+    }
+    if (change.cancelled) {
+      await client.api(`${eventsPath}/${occurrence.id}`).delete();
+    } else {
+      const { subject, body, start, end, location, isAllDay } = change.override.graphEvent;
+      await client.api(`${eventsPath}/${occurrence.id}`).patch({ subject, body, start, end, location, isAllDay });
+    }
+  }
+}
+
+/**
+ * Exports events as an iCalendar file: one event by ID, or every event in a time window.
+ * A window export includes each recurring series that has occurrences in it once, as a
+ * series with its edited occurrences, rather than one copy per occurrence.
+ * @param {object} [options] - Options
+ * @param {string} [options.eventId] - Export only this event
+ * @param {string} [options.start] - Window start, ISO date-time (default: now)
+ * @param {string} [options.end] - Window end, ISO date-time (default: 30 days after start)
+ * @param {string} [options.mailbox] - Delegated calendar owner
+ * @param {object} [options.req] - Request object
+ * @returns {Promise<object>} { filename, contentType, eventCount, content }
+ */
+async function exportEvents(options = {}) {
+  const { req } = options;
+  const requestUserId = req?.user?.userId;
+  const sessionId = req?.session?.id;
+  const startTime = Date.now();
+
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Processing exportEvents request', {
+      sessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString(),
+      userId: requestUserId,
+      parameters: {
+        hasEventId: !!options.eventId,
+        start: options.start,
+        end: options.end
+      }
+    }, 'calendar');
+  }
+
+  let windowStart = null;
+  let windowEnd = null;
+  if (!options.eventId) {
+    windowStart = options.start ? new Date(options.start) : new Date();
+    windowEnd = options.end ? new Date(options.end) : new Date(windowStart.getTime() + 30 * DAY_MS);
+    if (isNaN(windowStart.getTime()) || isNaN(windowEnd.getTime()) || windowEnd <= windowStart) {
+      throw icsError('start and end must be valid date-times with end after start', { operation: 'exportEvents' });
+    }
+    if (windowEnd - windowStart > MAX_EXPORT_DAYS * DAY_MS) {
+      throw icsError(`Export at most ${MAX_EXPORT_DAYS} days at a time`, { operation: 'exportEvents' });
+    }
+  }
+
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'exportEvents' });
+
+  try {
+    let rawEvents;
+    if (options.eventId) {
+      rawEvents = [await client.api(`/me/events/${options.eventId}?$select=${EVENT_SELECT_FIELDS}`).get()];
+    } else {
+      // calendarView expands series into occurrences; collect the series they belong to instead
+      const viewEvents = [];
+      let nextLink = `/me/calendarView?startDateTime=${encodeURIComponent(windowStart.toISOString())}&endDateTime=${encodeURIComponent(windowEnd.toISOString())}&$select=${EVENT_SELECT_FIELDS}&$top=100`;
+      while (nextLink && viewEvents.length < MAX_EXPORT_EVENTS) {
+        const page = await client.api(nextLink).get();
+        viewEvents.push(...(page.value || []));
+        nextLink = page['@odata.nextLink'];
+      }
+
+      const seriesMasterIds = [...new Set(viewEvents.filter(event => event.seriesMasterId).map(event => event.seriesMasterId))];
+      const seriesMasters = [];
+      for (const seriesMasterId of seriesMasterIds) {
+        seriesMasters.push(await client.api(`/me/events/${seriesMasterId}?$select=${EVENT_SELECT_FIELDS}`).get());
+      }
+      rawEvents = [
+        ...viewEvents.filter(event => !event.seriesMasterId || event.type === 'exception'),
+        ...seriesMasters
+      ].slice(0, MAX_EXPORT_EVENTS);
+    }
+
+    const events = rawEvents.map(event => normalizeEvent(event));
+    const content = serializeEvents(events);
+    const filename = options.eventId
+      ? `${(events[0].subject || 'event').replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 60) || 'event'}.ics`
+      : `calendar-${windowStart.toISOString().substring(0, 10)}-to-${windowEnd.toISOString().substring(0, 10)}.ics`;
+
+    // Pattern 2: User Activity Logs
+    const duration = Date.now() - startTime;
+    if (requestUserId) {
+      MonitoringService.info('Calendar events exported to iCalendar', {
+        eventCount: events.length,
+        size: content.length,
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.info('Calendar events exported to iCalendar with session', {
+        sessionId,
+        eventCount: events.length,
+        size: content.length,
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('calendar_ics_export_time', duration, {
+      eventCount: events.length,
+      timestamp: new Date().toISOString()
+    });
+
+    return {
+      filename,
+      contentType: ICS_CONTENT_TYPE,
+      eventCount: events.length,
+      content
+    };
+  } catch (error) {
+    // Mailbox access errors are already MCP errors
+    if (error.category) {
+      throw error;
+    }
+
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Error exporting calendar events: ${error.message || 'Unknown error'}`,
+      'error',
+      {
+        service: 'ics-service',
+        statusCode: error.statusCode || 'unknown',
+        errorMessage: error.message || 'No message',
+        timestamp: new Date().toISOString()
+      }
+    );
+    MonitoringService.logError(mcpError);
+
+    // Pattern 4: User Error Tracking
+    if (requestUserId) {
+      MonitoringService.error('Failed to export calendar events', {
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.error('Failed to export calendar events', {
+        sessionId,
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    throw mcpError;
+  }
+}
+
+/**
+ * Imports the events of an iCalendar file as new events. Each event is created on its own,
+ * so one that Graph rejects does not stop the rest; the result lists both.
+ * @param {object} options - Options
+ * @param {string} [options.content] - .ics content
+ * @param {string} [options.fileId] - ID of a .ics file in OneDrive (instead of content)
+ * @param {boolean} [options.inviteAttendees=false] - Add the file's attendees, which sends them invitations
+ * @param {string} [options.timeZone] - Time zone for times without one (default: the mailbox time zone)
+ * @param {string} [options.mailbox] - Delegated calendar owner to import into
+ * @param {object} [options.req] - Request object
+ * @returns {Promise<object>} { total, imported: [...], failed: [...], warnings: [...] }
+ */
+async function importEvents(options = {}) {
+  const { req } = options;
+  const requestUserId = req?.user?.userId;
+  const sessionId = req?.session?.id;
+  const startTime = Date.now();
+
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Processing importEvents request', {
+      sessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString(),
+      userId: requestUserId,
+      parameters: {
+        source: options.fileId ? 'onedrive' : 'content',
+        contentLength: typeof options.content === 'string' ? options.content.length : undefined,
+        inviteAttendees: !!options.inviteAttendees
+      }
+    }, 'calendar');
+  }
+
+  if (!!options.content === !!options.fileId) {
+    throw icsError('Provide either content or fileId with the iCalendar data', { operation: 'importEvents' });
+  }
+
+  const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'importEvents' });
+  // Series are created here and their occurrences edited here, all through the scoped client
+  const eventsPath = '/me/events';
+
+  try {
+    const content = options.fileId
+      ? (await filesService.downloadFile(options.fileId, req)).toString('utf8')
+      : options.content;
+    const { events: vevents, timeZones } = parseIcs(content);
+
+    const context = {
+      defaultTimeZone: options.timeZone || await getUserPreferredTimeZone(client),
+      timeZones,
+      warnings: [],
+      unknownTimeZones: new Set(),
+      inviteAttendees: !!options.inviteAttendees
+    };
+
+    // Group by UID: a series and its edited occurrences share one
+    const parsed = [];
+    const failed = [];
+    for (const vevent of vevents) {
+      try {
+        parsed.push(buildGraphEvent(vevent, context));
+      } catch (error) {
+        failed.push({ uid: null, subject: null, error: error.message });
+      }
+    }
+    const overridesByUid = new Map();
+    const toCreate = [];
+    for (const event of parsed) {
+      const isOverride = event.recurrenceId && event.uid && parsed.some(other => other.uid === event.uid && !other.recurrenceId);
+      if (isOverride) {
+        overridesByUid.set(event.uid, [...(overridesByUid.get(event.uid) || []), event]);
+      } else if (!event.cancelled) {
+        toCreate.push(event);
+      }
+    }
+    if (toCreate.length > MAX_IMPORT_EVENTS) {
+      throw icsError(`The file has ${toCreate.length} events; import at most ${MAX_IMPORT_EVENTS} at a time`, { operation: 'importEvents' });
+    }
+
+    const total = toCreate.length + failed.length;
+    const imported = [];
+    for (const event of toCreate) {
+      try {
+        const created = await client.api(eventsPath).post(event.graphEvent);
+        if (event.graphEvent.recurrence && (event.exdates.length > 0 || overridesByUid.has(event.uid))) {
+          await applySeriesChanges(client, eventsPath, created.id, event, overridesByUid.get(event.uid) || [], context);
+        }
+        imported.push({
+          uid: event.uid || null,
+          eventId: created.id,
+          subject: event.graphEvent.subject,
+          start: event.graphEvent.start,
+          isRecurring: !!event.graphEvent.recurrence,
+          attendeesSkipped: event.attendeesSkipped
+        });
+      } catch (error) {
+        failed.push({ uid: event.uid || null, subject: event.graphEvent.subject, error: error.message });
+      }
+    }
+
+    // Pattern 2: User Activity Logs
+    const duration = Date.now() - startTime;
+    if (requestUserId) {
+      MonitoringService.info('Calendar events imported from iCalendar', {
+        importedCount: imported.length,
+        failedCount: failed.length,
+        source: options.fileId ? 'onedrive' : 'content',
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.info('Calendar events imported from iCalendar with session', {
+        sessionId,
+        importedCount: imported.length,
+        failedCount: failed.length,
+        source: options.fileId ? 'onedrive' : 'content',
+        duration,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('calendar_ics_import_time', duration, {
+      importedCount: imported.length,
+      failedCount: failed.length,
+      timestamp: new Date().toISOString()
+    });
+
+    return {
+      total,
+      imported,
+      failed,
+      warnings: context.warnings
+    };
+  } catch (error) {
+    // Validation, file and mailbox access errors are already MCP errors
+    if (error.category) {
+      throw error;
+    }
+
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Error importing calendar events: ${error.message || 'Unknown error'}`,
+      'error',
+      {
+        service: 'ics-service',
+        statusCode: error.statusCode || 'unknown',
+        errorMessage: error.message || 'No message',
+        timestamp: new Date().toISOString()
+      }
+    );
+    MonitoringService.logError(mcpError);
+
+    // Pattern 4: User Error Tracking
+    if (requestUserId) {
+      MonitoringService.error('Failed to import calendar events', {
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, requestUserId);
+    } else if (sessionId) {
+      MonitoringService.error('Failed to import calendar events', {
+        sessionId,
+        error: error.message,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    throw mcpError;
+  }
+}
+
+module.exports = {
+  serializeEvents,
+  parseIcs,
+  exportEvents,
+  importEvents
+};
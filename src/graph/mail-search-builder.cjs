@@ -0,0 +1,296 @@
+/**
+ * @fileoverview Mail search builder - compiles structured mail criteria (from, to, subject,
+ * dates, importance, read state...) into Microsoft Graph query parameters.
+ * Criteria that $filter can express are sent as $filter; when any criterion needs KQL
+ * (free text, recipients, sender names) the whole query runs as $search, because Graph
+ * does not accept $search and $filter together on message collections.
+ */
+
+const ErrorService = require('../core/error-service.cjs');
+const MonitoringService = require('../core/monitoring-service.cjs');
+const GraphFilterValidator = require('./graph-filter-validator.cjs');
+
+const SEARCH_MODES = {
+  SEARCH: 'search',
+  FILTER: 'filter'
+};
+
+const IMPORTANCE_LEVELS = ['low', 'normal', 'high'];
+
+// Criteria that $search cannot express; applied to the results after retrieval instead
+const CLIENT_FILTERS = {
+  isRead: (message, value) => !!message.isRead === value
+};
+
+const EMAIL_ADDRESS_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Expected type of each criterion; anything else is rejected before clauses are built
+const CRITERIA_TYPES = {
+  query: 'string',
+  from: 'string',
+  to: 'string',
+  subject: 'string',
+  folder: 'string',
+  importance: 'string',
+  receivedAfter: 'string',
+  receivedBefore: 'string',
+  hasAttachments: 'boolean',
+  isRead: 'boolean'
+};
+
+// Filter results are sorted newest first. Graph only accepts $orderby with $filter when the
+// ordered property is also filtered on, ahead of every other property, so a filter without
+// a date range starts with this always-true bound.
+const FILTER_ORDER_BY = 'receivedDateTime desc';
+const EARLIEST_RECEIVED = '1900-01-01T00:00:00Z';
+
+/**
+ * Creates, logs and returns a warning-level error for invalid search criteria.
+ * @param {string} message - Error message
+ * @param {object} context - Additional error context
+ * @returns {object} MCP error
+ */
+function createCriteriaError(message, context) {
+  const mcpError = ErrorService.createError(
+    'mail',
+    message,
+    'warning',
+    {
+      service: 'mail-search-builder',
+      method: 'buildMailSearch',
+      ...context,
+      timestamp: new Date().toISOString()
+    }
+  );
+  MonitoringService.logError(mcpError);
+  return mcpError;
+}
+
+/**
+ * Checks that every supplied criterion has the expected type.
+ * @param {object} criteria - Structured criteria
+ * @throws {object} Warning-level MCP error naming the first invalid criterion
+ */
+function validateCriteriaTypes(criteria) {
+  if (typeof criteria !== 'object' || Array.isArray(criteria)) {
+    throw createCriteriaError('Search criteria must be an object', { criteriaType: Array.isArray(criteria) ? 'array' : typeof criteria });
+  }
+  for (const [name, expectedType] of Object.entries(CRITERIA_TYPES)) {
+    const value = criteria[name];
+    if (value !== undefined && value !== null && typeof value !== expectedType) {
+      throw createCriteriaError(`${name} must be a ${expectedType}`, { criterion: name, receivedType: Array.isArray(value) ? 'array' : typeof value });
+    }
+  }
+}
+
+/**
+ * Quotes a value as an OData string literal.
+ * @param {string} value - Raw value
+ * @returns {string} Quoted literal with embedded quotes doubled
+ */
+function odataString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Formats a value for KQL. Double quotes would end the $search string, so they are
+ * dropped; multi-word values are grouped in parentheses so every word must match.
+ * @param {string} value - Raw value
+ * @returns {string} KQL-safe value
+ */
+function kqlValue(value) {
+  const text = String(value).replace(/["()]/g, ' ').replace(/\s+/g, ' ').trim();
+  return /\s/.test(text) ? `(${text})` : text;
+}
+
+/**
+ * Parses an ISO 8601 date or date-time. Values without an offset are read as UTC.
+ * @param {string} value - Date input
+ * @returns {Date|null} Parsed date, or null when invalid
+ */
+function parseCriteriaDate(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const normalized = /^\d{4}-\d{2}-\d{2}T[\d:.]+$/.test(value) ? `${value}Z` : value;
+  const time = Date.parse(normalized);
+  return Number.isNaN(time) ? null : new Date(time);
+}
+
+/**
+ * Turns each criterion into a clause with its KQL form and, where Graph supports it,
+ * its $filter form.
+ * @param {object} criteria - Structured criteria
+ * @returns {Array<object>} Clauses: { name, kql, filter: { property, operator, expression } | null }
+ */
+function buildClauses(criteria) {
+  validateCriteriaTypes(criteria);
+  const clauses = [];
+
+  if (criteria.query && criteria.query.trim()) {
+    clauses.push({ name: 'query', kql: kqlValue(criteria.query), filter: null });
+  }
+
+  // Only exact addresses can be filtered; display names need KQL
+  const from = criteria.from ? criteria.from.trim() : '';
+  if (from) {
+    clauses.push({
+      name: 'from',
+      kql: `from:${kqlValue(from)}`,
+      filter: EMAIL_ADDRESS_PATTERN.test(from)
+        ? { property: 'from/emailAddress/address', operator: 'eq', expression: `from/emailAddress/address eq ${odataString(from)}` }
+        : null
+    });
+  }
+
+  if (criteria.to && criteria.to.trim()) {
+    clauses.push({ name: 'to', kql: `to:${kqlValue(criteria.to)}`, filter: null });
+  }
+
+  if (criteria.subject && criteria.subject.trim()) {
+    clauses.push({
+      name: 'subject',
+      kql: `subject:${kqlValue(criteria.subject)}`,
+      filter: { property: 'subject', operator: 'contains', expression: `contains(subject, ${odataString(criteria.subject)})` }
+    });
+  }
+
+  if (typeof criteria.hasAttachments === 'boolean') {
+    clauses.push({
+      name: 'hasAttachments',
+      kql: `hasAttachments:${criteria.hasAttachments}`,
+      filter: { property: 'hasAttachments', operator: 'eq', expression: `hasAttachments eq ${criteria.hasAttachments}` }
+    });
+  }
+
+  const receivedAfter = criteria.receivedAfter != null ? parseCriteriaDate(criteria.receivedAfter) : null;
+  const receivedBefore = criteria.receivedBefore != null ? parseCriteriaDate(criteria.receivedBefore) : null;
+
+  if (criteria.receivedAfter != null && !receivedAfter) {
+    throw createCriteriaError('receivedAfter must be an ISO 8601 date or date-time', { receivedAfter: criteria.receivedAfter });
+  }
+  if (criteria.receivedBefore != null && !receivedBefore) {
+    throw createCriteriaError('receivedBefore must be an ISO 8601 date or date-time', { receivedBefore: criteria.receivedBefore });
+  }
+  if (receivedAfter && receivedBefore && receivedAfter >= receivedBefore) {
+    throw createCriteriaError('receivedAfter must be earlier than receivedBefore', {
+      receivedAfter: criteria.receivedAfter,
+      receivedBefore: criteria.receivedBefore
+    });
+  }
+
+  // KQL compares whole days; $filter keeps the exact time
+  if (receivedAfter) {
+    clauses.push({
+      name: 'receivedAfter',
+      kql: `received>=${receivedAfter.toISOString().slice(0, 10)}`,
+      filter: { property: 'receivedDateTime', operator: 'ge', expression: `receivedDateTime ge ${receivedAfter.toISOString()}` }
+    });
+  }
+  if (receivedBefore) {
+    clauses.push({
+      name: 'receivedBefore',
+      kql: `received<${receivedBefore.toISOString().slice(0, 10)}`,
+      filter: { property: 'receivedDateTime', operator: 'lt', expression: `receivedDateTime lt ${receivedBefore.toISOString()}` }
+    });
+  }
+
+  if (criteria.importance !== undefined && criteria.importance !== null) {
+    const importance = criteria.importance.toLowerCase();
+    if (!IMPORTANCE_LEVELS.includes(importance)) {
+      throw createCriteriaError('importance must be low, normal or high', { importance: criteria.importance });
+    }
+    clauses.push({
+      name: 'importance',
+      kql: `importance:${importance}`,
+      filter: { property: 'importance', operator: 'eq', expression: `importance eq ${odataString(importance)}` }
+    });
+  }
+
+  if (typeof criteria.isRead === 'boolean') {
+    clauses.push({
+      name: 'isRead',
+      kql: null,
+      filter: { property: 'isRead', operator: 'eq', expression: `isRead eq ${criteria.isRead}` }
+    });
+  }
+
+  return clauses;
+}
+
+/**
+ * Compiles structured criteria into a $filter or $search query. $filter is used when every
+ * criterion maps to a property/operator pair that graph-filter-validator lists as supported
+ * and the combined filter passes validation; otherwise the query runs as KQL $search and
+ * criteria KQL cannot express are returned as clientFilters. Filters lead with the
+ * receivedDateTime clauses so they can be combined with orderBy.
+ * @param {object} criteria - { query, from, to, subject, hasAttachments, receivedAfter, receivedBefore, importance, isRead }
+ * @param {string} [userId] - User ID for logging context
+ * @param {string} [sessionId] - Session ID for logging context
+ * @returns {object} { mode: 'search'|'filter', search, filter, orderBy, clientFilters }
+ */
+function buildMailSearch(criteria = {}, userId, sessionId) {
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Building structured mail search', {
+      criteria: Object.keys(criteria || {}),
+      userId: userId || 'anonymous',
+      sessionId: sessionId || 'no-session',
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+
+  const clauses = buildClauses(criteria === undefined || criteria === null ? {} : criteria);
+  if (clauses.length === 0) {
+    throw createCriteriaError('At least one search criterion is required', { criteria: Object.keys(criteria || {}) });
+  }
+
+  const filterable = clauses.every(clause =>
+    clause.filter && GraphFilterValidator.isFilterOperatorSupported(clause.filter.property, clause.filter.operator)
+  );
+
+  if (filterable) {
+    const dateExpressions = clauses.filter(clause => clause.filter.property === 'receivedDateTime').map(clause => clause.filter.expression);
+    const otherExpressions = clauses.filter(clause => clause.filter.property !== 'receivedDateTime').map(clause => clause.filter.expression);
+    if (dateExpressions.length === 0) {
+      dateExpressions.push(`receivedDateTime ge ${EARLIEST_RECEIVED}`);
+    }
+    const filter = dateExpressions.concat(otherExpressions).join(' and ');
+    const validation = GraphFilterValidator.validateFilter(filter, userId, sessionId);
+    if (validation.isValid) {
+      return { mode: SEARCH_MODES.FILTER, search: null, filter, orderBy: FILTER_ORDER_BY, clientFilters: {} };
+    }
+    if (clauses.some(clause => !clause.kql)) {
+      throw GraphFilterValidator.createFilterValidationError(validation.error, filter, userId, sessionId);
+    }
+  }
+
+  const clientFilters = {};
+  const kqlParts = [];
+  for (const clause of clauses) {
+    if (clause.kql) {
+      kqlParts.push(clause.kql);
+    } else {
+      clientFilters[clause.name] = criteria[clause.name];
+    }
+  }
+
+  return { mode: SEARCH_MODES.SEARCH, search: kqlParts.join(' AND '), filter: null, orderBy: null, clientFilters };
+}
+
+/**
+ * Applies the client-side filters returned by buildMailSearch to raw Graph messages.
+ * @param {Array<object>} messages - Graph messages
+ * @param {object} clientFilters - { isRead } criteria to apply
+ * @returns {Array<object>} Messages that match every client filter
+ */
+function applyClientFilters(messages, clientFilters = {}) {
+  const filters = Object.entries(clientFilters).filter(([name]) => CLIENT_FILTERS[name]);
+  return messages.filter(message => filters.every(([name, value]) => CLIENT_FILTERS[name](message, value)));
+}
+
+module.exports = {
+  SEARCH_MODES,
+  buildMailSearch,
+  applyClientFilters
+};
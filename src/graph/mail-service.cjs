@@ -5,9 +5,64 @@
  */
 
 const graphClientFactory = require('./graph-client.cjs');
+const { BODY_FORMATS, formatBody, normalizeConversation } = require('./normalizers.cjs');
+const { uploadFileAttachment } = require('./attachment-upload-service.cjs');
+const { SEARCH_MODES, buildMailSearch, applyClientFilters } = require('./mail-search-builder.cjs');
+const { scopeClientToMailbox } = require('./mailbox-access.cjs');
+const { getUserPreferredTimeZone, toUtcDateTime } = require('./calendar-service.cjs');
 const ErrorService = require('../core/error-service.cjs');
+const storageService = require('../core/storage-service.cjs');
 const MonitoringService = require('../core/monitoring-service.cjs');
 
+// Graph action segment -> public method name for reply/forward operations
+const MESSAGE_RESPONSE_METHODS = {
+  reply: 'replyToEmail',
+  replyAll: 'replyAllToEmail',
+  forward: 'forwardEmail'
+};
+
+// Well-known folder names Graph accepts in place of a folder ID
+const WELL_KNOWN_MAIL_FOLDERS = [
+  'inbox',
+  'drafts',
+  'sentitems',
+  'deleteditems',
+  'archive',
+  'junkemail',
+  'outbox',
+  'scheduled',
+  'msgfolderroot'
+];
+
+// Delta sync state is stored per user and folder under this settings key prefix
+const MAIL_DELTA_SETTING_PREFIX = 'mail-delta:';
+const MAIL_DELTA_SELECT = 'subject,from,toRecipients,receivedDateTime,createdDateTime,bodyPreview,isRead,importance,categories,hasAttachments';
+const MAIL_DELTA_PAGE_SIZE = 50;
+
+// Upper bound on pages read while client-side search filters fill the requested count
+const MAX_CRITERIA_SEARCH_PAGES = 10;
+
+// Inbox rule fields that hold recipients; callers pass plain addresses for these
+const RULE_RECIPIENT_FIELDS = ['fromAddresses', 'sentToAddresses', 'forwardTo', 'forwardAsAttachmentTo', 'redirectTo'];
+const RULE_FOLDER_ACTIONS = ['moveToFolder', 'copyToFolder'];
+const MESSAGE_RULES_PATH = '/me/mailFolders/inbox/messageRules';
+
+// MIME (.eml) export/import
+const MIME_CONTENT_TYPE = 'message/rfc822';
+const MAX_MIME_IMPORT_SIZE = 4 * 1024 * 1024; // Graph request size limit for MIME uploads
+
+// Scheduled send: PidTagDeferredSendTime holds the UTC time Exchange releases a message from the Outbox
+const DEFERRED_SEND_TIME_PROPERTY = 'SystemTime 0x3FEF';
+const DEFERRED_SEND_EXPAND = `singleValueExtendedProperties($filter=id eq '${DEFERRED_SEND_TIME_PROPERTY}')`;
+
+// Bulk actions run as Graph $batch calls, which take at most 20 sub-requests each
+const BULK_MAIL_ACTIONS = ['markRead', 'markUnread', 'flag', 'unflag', 'move', 'delete'];
+const BATCH_CHUNK_SIZE = 20;
+const MAX_BULK_MESSAGES = 500;
+
+// Graph message importance values
+const MESSAGE_IMPORTANCE_LEVELS = ['low', 'normal', 'high'];
+
 // Log service initialization
 MonitoringService.info('Graph Mail Service initialized', {
     serviceName: 'graph-mail-service',
@@ -29,13 +84,338 @@ function normalizeEmail(graphEmail) {
     preview: graphEmail.bodyPreview?.substring(0, 150),
     isRead: graphEmail.isRead,
     importance: graphEmail.importance,
-    hasAttachments: graphEmail.hasAttachments
+    hasAttachments: graphEmail.hasAttachments,
+    categories: graphEmail.categories || []
+  };
+}
+
+/**
+ * Normalizes a Graph draft message, keeping the recipients a reviewer needs to see.
+ */
+function normalizeDraft(graphMessage) {
+  const toAddresses = recipients => (recipients || []).map(r => r.emailAddress?.address).filter(Boolean);
+  return {
+    id: graphMessage.id,
+    subject: graphMessage.subject,
+    to: toAddresses(graphMessage.toRecipients),
+    cc: toAddresses(graphMessage.ccRecipients),
+    bcc: toAddresses(graphMessage.bccRecipients),
+    preview: graphMessage.bodyPreview?.substring(0, 150),
+    importance: graphMessage.importance,
+    categories: graphMessage.categories || [],
+    hasAttachments: graphMessage.hasAttachments,
+    lastModified: graphMessage.lastModifiedDateTime,
+    webLink: graphMessage.webLink
+  };
+}
+
+/**
+ * Reads the deferred send time from a message fetched with DEFERRED_SEND_EXPAND.
+ * @param {object} graphMessage - Graph message
+ * @returns {string|null} UTC ISO send time, or null if the message is not scheduled
+ */
+function getDeferredSendTime(graphMessage) {
+  const property = (graphMessage?.singleValueExtendedProperties || []).find(
+    prop => prop.id && prop.id.toLowerCase() === DEFERRED_SEND_TIME_PROPERTY.toLowerCase()
+  );
+  return property?.value ? new Date(property.value).toISOString() : null;
+}
+
+/**
+ * Normalizes a scheduled (deferred) message waiting in the Outbox.
+ */
+function normalizeScheduledMessage(graphMessage) {
+  return {
+    ...normalizeDraft(graphMessage),
+    scheduledSendTime: getDeferredSendTime(graphMessage)
+  };
+}
+
+/**
+ * Resolves a sendAt value to the UTC time a deferred message should go out. Values without
+ * an offset are wall-clock times in timeZone, or in the mailbox time zone when none is given.
+ * @param {object} client - Graph client
+ * @param {string} sendAt - ISO 8601 date/time
+ * @param {string} [timeZone] - Windows or IANA time zone for wall-clock values
+ * @returns {Promise<object>} { scheduledSendTime (UTC ISO or null if invalid), timeZone (null for offset values) }
+ */
+async function resolveDeferredSendTime(client, sendAt, timeZone) {
+  // Values that carry their own offset need no time zone lookup
+  const zone = timeZone || (toUtcDateTime(sendAt) ? null : await getUserPreferredTimeZone(client));
+  return { scheduledSendTime: toUtcDateTime(sendAt, zone), timeZone: zone };
+}
+
+/**
+ * Builds the $batch sub-request that applies a bulk action to one message.
+ * @param {string} action - One of BULK_MAIL_ACTIONS
+ * @param {string} id - Message ID
+ * @param {object} options - { destinationFolderId } for move
+ * @returns {object} Sub-request without an id
+ */
+function buildBulkMailRequest(action, id, options) {
+  const jsonHeaders = { 'Content-Type': 'application/json' };
+  switch (action) {
+    case 'markRead':
+    case 'markUnread':
+      return { method: 'PATCH', url: `/me/messages/${id}`, body: { isRead: action === 'markRead' }, headers: jsonHeaders };
+    case 'flag':
+    case 'unflag':
+      return { method: 'PATCH', url: `/me/messages/${id}`, body: { flag: { flagStatus: action === 'flag' ? 'flagged' : 'notFlagged' } }, headers: jsonHeaders };
+    case 'move':
+      return { method: 'POST', url: `/me/messages/${id}/move`, body: { destinationId: resolveMailFolder(options.destinationFolderId) }, headers: jsonHeaders };
+    default:
+      return { method: 'DELETE', url: `/me/messages/${id}` };
+  }
+}
+
+/**
+ * Turns one $batch sub-response ({ id, status, body }) into a per-message bulk result.
+ * Error responses carry an error object; a moved message comes back under a new ID.
+ */
+function normalizeBulkResult(id, response) {
+  if (!response) {
+    return { id, success: false, error: { code: 'NoResponse', message: 'Graph returned no response for this message' } };
+  }
+  const body = response.body;
+  if (body?.error || response.status >= 400) {
+    return { id, success: false, error: { code: body?.error?.code || String(response.status), message: body?.error?.message || `Request failed with status ${response.status}` } };
+  }
+  const result = { id, success: true };
+  if (body?.id && body.id !== id) {
+    result.newId = body.id;
+  }
+  return result;
+}
+
+/**
+ * Normalizes a Graph mailFolder, including any child folders that were fetched.
+ */
+function normalizeMailFolder(graphFolder) {
+  const folder = {
+    id: graphFolder.id,
+    name: graphFolder.displayName,
+    parentFolderId: graphFolder.parentFolderId,
+    unreadCount: graphFolder.unreadItemCount || 0,
+    totalCount: graphFolder.totalItemCount || 0,
+    childFolderCount: graphFolder.childFolderCount || 0
+  };
+  if (Array.isArray(graphFolder.childFolders)) {
+    folder.childFolders = graphFolder.childFolders.map(normalizeMailFolder);
+  }
+  return folder;
+}
+
+/**
+ * Resolves a folder reference to its Graph path segment. Well-known names
+ * (e.g. 'sentitems', 'Archive') are matched case-insensitively.
+ * @param {string} folder - Folder ID or well-known folder name
+ * @returns {string} Path segment for /me/mailFolders/{segment}
+ */
+function resolveMailFolder(folder) {
+  const wellKnown = folder.toLowerCase();
+  return WELL_KNOWN_MAIL_FOLDERS.includes(wellKnown) ? wellKnown : folder;
+}
+
+/**
+ * Builds a safe .eml file name from a message subject.
+ * @param {string} subject - Message subject
+ * @returns {string} File name ending in .eml
+ */
+function buildEmlFileName(subject) {
+  const base = String(subject || '')
+    .replace(/[<>:"/\\|?*\x00-\x1f]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 100)
+    .trim();
+  return `${base || 'message'}.eml`;
+}
+
+/**
+ * Normalizes a Graph messageRule, flattening recipient lists to addresses.
+ */
+function normalizeMessageRule(graphRule) {
+  const flattenSection = section => {
+    if (!section) return {};
+    const flattened = { ...section };
+    for (const field of RULE_RECIPIENT_FIELDS) {
+      if (Array.isArray(section[field])) {
+        flattened[field] = section[field].map(r => r.emailAddress?.address || r);
+      }
+    }
+    return flattened;
+  };
+  return {
+    id: graphRule.id,
+    name: graphRule.displayName,
+    sequence: graphRule.sequence,
+    isEnabled: graphRule.isEnabled !== false,
+    hasError: !!graphRule.hasError,
+    isReadOnly: !!graphRule.isReadOnly,
+    conditions: flattenSection(graphRule.conditions),
+    exceptions: flattenSection(graphRule.exceptions),
+    actions: flattenSection(graphRule.actions)
   };
 }
 
+/**
+ * Formats recipients supplied as a string or array into Graph recipient objects.
+ * @param {string|Array<string>} recipients - Email address(es)
+ * @returns {Array<object>} Graph recipient objects
+ */
+function formatRecipients(recipients) {
+  if (!recipients) return [];
+  
+  // Convert string to array if needed
+  const recipientArray = Array.isArray(recipients) ? recipients : [recipients];
+  
+  // Format each recipient
+  return recipientArray.map(recipient => ({
+    emailAddress: { address: recipient }
+  }));
+}
+
+/**
+ * Converts attachments (OneDrive file IDs or attachment objects) into Graph fileAttachment objects.
+ * Invalid or unreadable attachments are logged and skipped.
+ * @param {Array<string|object>} attachments - File IDs or { name, contentType, contentBytes|content, isInline }
+ * @param {object} req - Express request object
+ * @param {string} method - Calling method name for error context
+ * @returns {Promise<Array<object>>} Valid Graph fileAttachment objects
+ */
+async function buildFileAttachments(attachments, req, method) {
+  const processedAttachments = await Promise.all(attachments.map(async attachment => {
+    try {
+      // Check if attachment is a file ID (string) or an attachment object
+      if (typeof attachment === 'string') {
+        if (process.env.NODE_ENV === 'development') {
+          MonitoringService.debug('Processing file attachment by ID', {
+            fileId: attachment,
+            timestamp: new Date().toISOString()
+          }, 'graph');
+        }
+        // This is a file ID from the files service
+        // We need to get the file content from the files service
+        try {
+          // Import the files service
+          const filesService = require('./files-service.cjs');
+          
+          // Get the file metadata and content
+          const fileMetadata = await filesService.getFileMetadata(attachment, req);
+          const fileContent = await filesService.getFileContent(attachment, req);
+          
+          if (!fileMetadata || !fileContent) {
+            MonitoringService.warn('Could not retrieve file for email attachment', {
+              fileId: attachment,
+              hasMetadata: !!fileMetadata,
+              hasContent: !!fileContent,
+              timestamp: new Date().toISOString()
+            }, 'graph');
+            return null;
+          }
+          
+          if (process.env.NODE_ENV === 'development') {
+            MonitoringService.debug('Retrieved file for email attachment', {
+              fileName: fileMetadata.name,
+              fileSize: fileContent.length,
+              timestamp: new Date().toISOString()
+            }, 'graph');
+          }
+          
+          // Convert file content to base64
+          const contentBytes = Buffer.from(fileContent).toString('base64');
+          
+          return {
+            '@odata.type': '#microsoft.graph.fileAttachment',
+            name: fileMetadata.name,
+            contentType: fileMetadata.contentType || 'application/octet-stream',
+            contentBytes: contentBytes,
+            isInline: false
+          };
+        } catch (fileError) {
+          const mcpError = ErrorService.createError(
+            'mail',
+            `Error retrieving file for email attachment: ${fileError.message}`,
+            'warning',
+            {
+              service: 'graph-mail-service',
+              method,
+              fileId: attachment,
+              stack: fileError.stack,
+              timestamp: new Date().toISOString()
+            }
+          );
+          MonitoringService.logError(mcpError);
+          return null;
+        }
+      }
+      
+      // Handle attachment object
+      // Check if we have contentBytes or need to convert from content
+      let contentBytes = attachment.contentBytes;
+      
+      // If we have content but not contentBytes, convert content to base64
+      if (!contentBytes && attachment.content) {
+        if (process.env.NODE_ENV === 'development') {
+          MonitoringService.debug('Converting content to contentBytes for attachment', {
+            attachmentName: attachment.name,
+            timestamp: new Date().toISOString()
+          }, 'graph');
+        }
+        contentBytes = Buffer.from(attachment.content).toString('base64');
+      }
+      
+      // Ensure contentBytes is properly formatted - must be a valid base64 string
+      if (contentBytes && typeof contentBytes === 'string') {
+        // Make sure it's properly padded base64
+        const paddingNeeded = contentBytes.length % 4;
+        if (paddingNeeded > 0) {
+          contentBytes += '='.repeat(4 - paddingNeeded);
+        }
+      }
+      
+      // Ensure we have all required fields for a valid attachment
+      if (!contentBytes || !attachment.name || !attachment.contentType) {
+        MonitoringService.warn('Invalid attachment missing required fields', {
+          hasName: !!attachment.name,
+          hasContentType: !!attachment.contentType,
+          hasContentBytes: !!contentBytes,
+          timestamp: new Date().toISOString()
+        }, 'graph');
+        return null; // Skip invalid attachments
+      }
+      
+      return {
+        '@odata.type': '#microsoft.graph.fileAttachment',
+        name: attachment.name,
+        contentType: attachment.contentType,
+        contentBytes: contentBytes,
+        isInline: attachment.isInline || false
+      };
+    } catch (attachmentError) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        `Error processing email attachment: ${attachmentError.message}`,
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method,
+          attachmentName: attachment.name || 'unknown',
+          stack: attachmentError.stack,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      return null;
+    }
+  }));
+  
+  return processedAttachments.filter(Boolean);
+}
+
 /**
  * Retrieves inbox emails.
- * @param {object} options
+ * @param {object} options - { top, mailbox: shared or delegated mailbox address/user ID (default: signed-in user) }
  * @param {object} req - Express request object
  * @param {string} userId - User ID for logging context
  * @param {string} sessionId - Session ID for logging context
@@ -60,7 +440,8 @@ async function getInbox(options = {}, req, userId, sessionId) {
   }
   
   try {
-    const client = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'getInbox' });
     const top = options.top || options.limit || 10;
     const res = await client.api(`/me/mailFolders/inbox/messages?$top=${top}`, contextUserId, contextSessionId).get();
     const emails = (res.value || []).map(normalizeEmail);
@@ -89,6 +470,11 @@ async function getInbox(options = {}, req, userId, sessionId) {
   } catch (error) {
     const executionTime = Date.now() - startTime;
     
+    // If it's already an MCP error, just track and rethrow
+    if (error.category) {
+      throw error;
+    }
+    
     // Pattern 3: Infrastructure Error Logging
     const mcpError = ErrorService.createError(
       'mail',
@@ -132,7 +518,7 @@ async function getInbox(options = {}, req, userId, sessionId) {
 /**
  * Searches emails by query string using Microsoft Graph KQL syntax.
  * @param {string} query - KQL search query (e.g., "from:user@domain.com subject:meeting")
- * @param {object} options
+ * @param {object} options - { top, mailbox }
  * @param {object} req - Express request object
  * @param {string} userId - User ID for logging context
  * @param {string} sessionId - Session ID for logging context
@@ -175,7 +561,9 @@ async function searchEmails(query, options = {}, req, userId, sessionId) {
       throw mcpError;
     }
     
-    const client = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'searchEmails' });
     const top = options.top || options.limit || 10;
     
     // Format the query for KQL syntax
@@ -270,12 +658,155 @@ async function searchEmails(query, options = {}, req, userId, sessionId) {
 }
 
 /**
- * Sends an email.
- * @param {object} emailData
+ * Searches emails with structured criteria. The criteria are compiled into $filter when Graph
+ * can filter on all of them, otherwise into a KQL $search; the result reports which was used.
+ * Filter results are ordered newest first by Graph.
+ * @param {object} criteria - { query, from, to, subject, hasAttachments, receivedAfter, receivedBefore, folder, importance, isRead }
+ * @param {object} options - { top (default 25, max 100), mailbox }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @returns {Promise<object>} { mode, search, filter, clientFilters, folder, count, emails }
+ */
+async function searchEmailsByCriteria(criteria = {}, options = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail searchEmailsByCriteria operation started', {
+      method: 'searchEmailsByCriteria',
+      criteria: Object.keys(criteria || {}),
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    // Validation errors for the criteria are raised by the builder
+    const compiled = buildMailSearch(criteria, contextUserId, contextSessionId);
+    const top = Math.min(options.top || options.limit || 25, 100);
+    const basePath = criteria.folder ? `/me/mailFolders/${resolveMailFolder(criteria.folder)}/messages` : '/me/messages';
+    const queryParam = compiled.mode === SEARCH_MODES.SEARCH
+      ? `$search=${encodeURIComponent(`"${compiled.search}"`)}`
+      : `$filter=${encodeURIComponent(compiled.filter)}&$orderby=${encodeURIComponent(compiled.orderBy)}`;
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'searchEmailsByCriteria' });
+    
+    // Client-side filters run after $top, so keep paging until enough messages match
+    const matches = [];
+    let nextPath = `${basePath}?${queryParam}&$top=${top}`;
+    let pageCount = 0;
+    while (nextPath && matches.length < top && pageCount < MAX_CRITERIA_SEARCH_PAGES) {
+      const res = await client.api(nextPath, contextUserId, contextSessionId).get();
+      matches.push(...applyClientFilters(res.value || [], compiled.clientFilters));
+      nextPath = res['@odata.nextLink'];
+      pageCount++;
+    }
+    const emails = matches.slice(0, top).map(normalizeEmail);
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Searched emails by criteria successfully', {
+        mode: compiled.mode,
+        resultCount: emails.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Searched emails by criteria with session', {
+        sessionId: contextSessionId,
+        mode: compiled.mode,
+        resultCount: emails.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_search_criteria_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'searchEmailsByCriteria',
+      mode: compiled.mode,
+      timestamp: new Date().toISOString()
+    });
+    
+    return {
+      mode: compiled.mode,
+      search: compiled.search,
+      filter: compiled.filter,
+      clientFilters: compiled.clientFilters,
+      folder: criteria.folder || null,
+      count: emails.length,
+      emails
+    };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to search emails by criteria: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'searchEmailsByCriteria',
+        criteria: Object.keys(criteria || {}),
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error searching emails by criteria', {
+        errorMessage: 'Failed to search emails by criteria',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error searching emails by criteria', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to search emails by criteria',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_search_criteria_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'searchEmailsByCriteria',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Sends an email, or schedules it when emailData.sendAt is set.
+ * @param {object} emailData - { to, subject, body, cc, bcc, contentType, attachments, sendAt, sendAtTimeZone, mailbox }; mailbox sends from a shared mailbox the user can send as
  * @param {object} req - Express request object
  * @param {string} userId - User ID for logging context
  * @param {string} sessionId - Session ID for logging context
- * @returns {Promise<boolean>}
+ * @returns {Promise<boolean|object>} true, or { scheduled, scheduledSendTime, timeZone } for a scheduled send
  */
 async function sendEmail(emailData, req, userId, sessionId) {
   const startTime = Date.now();
@@ -297,21 +828,9 @@ async function sendEmail(emailData, req, userId, sessionId) {
   }
   
   try {
-    const client = await graphClientFactory.createClient(req);
-    const { to, subject, body, cc, bcc, contentType, attachments } = emailData;
-    
-    // Handle recipients in various formats (string or array)
-    function formatRecipients(recipients) {
-      if (!recipients) return [];
-      
-      // Convert string to array if needed
-      const recipientArray = Array.isArray(recipients) ? recipients : [recipients];
-      
-      // Format each recipient
-      return recipientArray.map(recipient => ({
-        emailAddress: { address: recipient }
-      }));
-    }
+    const graphClient = await graphClientFactory.createClient(req);
+    const client = scopeClientToMailbox(graphClient, emailData.mailbox, { category: 'mail', operation: 'sendEmail' });
+    const { to, subject, body, cc, bcc, contentType, attachments, sendAt, sendAtTimeZone } = emailData;
     
     const message = {
       subject,
@@ -333,135 +852,7 @@ async function sendEmail(emailData, req, userId, sessionId) {
         }, 'graph');
       }
       
-      // Process attachments asynchronously
-      const processedAttachments = await Promise.all(attachments.map(async attachment => {
-        try {
-          // Check if attachment is a file ID (string) or an attachment object
-          if (typeof attachment === 'string') {
-            if (process.env.NODE_ENV === 'development') {
-              MonitoringService.debug('Processing file attachment by ID', {
-                fileId: attachment,
-                timestamp: new Date().toISOString()
-              }, 'graph');
-            }
-            // This is a file ID from the files service
-            // We need to get the file content from the files service
-            try {
-              // Import the files service
-              const filesService = require('./files-service.cjs');
-              
-              // Get the file metadata and content
-              const fileMetadata = await filesService.getFileMetadata(attachment, req);
-              const fileContent = await filesService.getFileContent(attachment, req);
-              
-              if (!fileMetadata || !fileContent) {
-                MonitoringService.warn('Could not retrieve file for email attachment', {
-                  fileId: attachment,
-                  hasMetadata: !!fileMetadata,
-                  hasContent: !!fileContent,
-                  timestamp: new Date().toISOString()
-                }, 'graph');
-                return null;
-              }
-              
-              if (process.env.NODE_ENV === 'development') {
-                MonitoringService.debug('Retrieved file for email attachment', {
-                  fileName: fileMetadata.name,
-                  fileSize: fileContent.length,
-                  timestamp: new Date().toISOString()
-                }, 'graph');
-              }
-              
-              // Convert file content to base64
-              const contentBytes = Buffer.from(fileContent).toString('base64');
-              
-              return {
-                '@odata.type': '#microsoft.graph.fileAttachment',
-                name: fileMetadata.name,
-                contentType: fileMetadata.contentType || 'application/octet-stream',
-                contentBytes: contentBytes,
-                isInline: false
-              };
-            } catch (fileError) {
-              const mcpError = ErrorService.createError(
-                'mail',
-                `Error retrieving file for email attachment: ${fileError.message}`,
-                'warning',
-                {
-                  service: 'graph-mail-service',
-                  method: 'sendEmail',
-                  fileId: attachment,
-                  stack: fileError.stack,
-                  timestamp: new Date().toISOString()
-                }
-              );
-              MonitoringService.logError(mcpError);
-              return null;
-            }
-          }
-          
-          // Handle attachment object
-          // Check if we have contentBytes or need to convert from content
-          let contentBytes = attachment.contentBytes;
-          
-          // If we have content but not contentBytes, convert content to base64
-          if (!contentBytes && attachment.content) {
-            if (process.env.NODE_ENV === 'development') {
-              MonitoringService.debug('Converting content to contentBytes for attachment', {
-                attachmentName: attachment.name,
-                timestamp: new Date().toISOString()
-              }, 'graph');
-            }
-            contentBytes = Buffer.from(attachment.content).toString('base64');
-          }
-          
-          // Ensure contentBytes is properly formatted - must be a valid base64 string
-          if (contentBytes && typeof contentBytes === 'string') {
-            // Make sure it's properly padded base64
-            const paddingNeeded = contentBytes.length % 4;
-            if (paddingNeeded > 0) {
-              contentBytes += '='.repeat(4 - paddingNeeded);
-            }
-          }
-          
-          // Ensure we have all required fields for a valid attachment
-          if (!contentBytes || !attachment.name || !attachment.contentType) {
-            MonitoringService.warn('Invalid attachment missing required fields', {
-              hasName: !!attachment.name,
-              hasContentType: !!attachment.contentType,
-              hasContentBytes: !!contentBytes,
-              timestamp: new Date().toISOString()
-            }, 'graph');
-            return null; // Skip invalid attachments
-          }
-          
-          return {
-            '@odata.type': '#microsoft.graph.fileAttachment',
-            name: attachment.name,
-            contentType: attachment.contentType,
-            contentBytes: contentBytes,
-            isInline: attachment.isInline || false
-          };
-        } catch (attachmentError) {
-          const mcpError = ErrorService.createError(
-            'mail',
-            `Error processing email attachment: ${attachmentError.message}`,
-            'warning',
-            {
-              service: 'graph-mail-service',
-              method: 'sendEmail',
-              attachmentName: attachment.name || 'unknown',
-              stack: attachmentError.stack,
-              timestamp: new Date().toISOString()
-            }
-          );
-          MonitoringService.logError(mcpError);
-          return null;
-        }
-      }));
-      
-      // Filter out null entries from invalid attachments
-      message.attachments = processedAttachments.filter(Boolean);
+      message.attachments = await buildFileAttachments(attachments, req, 'sendEmail');
       
       MonitoringService.trackMetric('graph_mail_attachments_processed', Date.now() - startTime, {
         originalCount: attachments.length,
@@ -490,6 +881,31 @@ async function sendEmail(emailData, req, userId, sessionId) {
       }, 'graph');
     }
     
+    // Scheduled send: Exchange holds the message in the Outbox until the deferred send time
+    let schedule = null;
+    if (sendAt) {
+      schedule = await resolveDeferredSendTime(client, sendAt, sendAtTimeZone);
+      if (!schedule.scheduledSendTime || new Date(schedule.scheduledSendTime) <= new Date()) {
+        const mcpError = ErrorService.createError(
+          'mail',
+          'sendAt must be a future ISO 8601 date/time in a recognized time zone',
+          'warning',
+          {
+            service: 'graph-mail-service',
+            method: 'sendEmail',
+            sendAt,
+            timeZone: schedule.timeZone,
+            timestamp: new Date().toISOString()
+          }
+        );
+        MonitoringService.logError(mcpError);
+        throw mcpError;
+      }
+      message.singleValueExtendedProperties = [
+        { id: DEFERRED_SEND_TIME_PROPERTY, value: schedule.scheduledSendTime }
+      ];
+    }
+    
     // Explicitly set saveToSentItems to true to ensure the email is saved with attachments
     // Also explicitly set the hasAttachments flag if we have attachments
     if (message.attachments && message.attachments.length > 0) {
@@ -512,6 +928,7 @@ async function sendEmail(emailData, req, userId, sessionId) {
         recipientCount: message.toRecipients ? message.toRecipients.length : 0,
         hasAttachments: !!(message.attachments && message.attachments.length > 0),
         attachmentCount: message.attachments ? message.attachments.length : 0,
+        scheduledSendTime: schedule?.scheduledSendTime,
         executionTimeMs: executionTime,
         timestamp: new Date().toISOString()
       }, 'mail', null, contextUserId);
@@ -521,6 +938,7 @@ async function sendEmail(emailData, req, userId, sessionId) {
         recipientCount: message.toRecipients ? message.toRecipients.length : 0,
         hasAttachments: !!(message.attachments && message.attachments.length > 0),
         attachmentCount: message.attachments ? message.attachments.length : 0,
+        scheduledSendTime: schedule?.scheduledSendTime,
         executionTimeMs: executionTime,
         timestamp: new Date().toISOString()
       }, 'mail');
@@ -534,13 +952,22 @@ async function sendEmail(emailData, req, userId, sessionId) {
       bccCount: message.bccRecipients ? message.bccRecipients.length : 0,
       attachmentCount: message.attachments ? message.attachments.length : 0,
       contentType: message.body.contentType,
+      scheduled: !!schedule,
       timestamp: new Date().toISOString()
     });
     
+    if (schedule) {
+      return { scheduled: true, scheduledSendTime: schedule.scheduledSendTime, timeZone: schedule.timeZone };
+    }
     return true;
   } catch (error) {
     const executionTime = Date.now() - startTime;
     
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
     // Pattern 3: Infrastructure Error Logging
     const mcpError = ErrorService.createError(
       'mail',
@@ -596,9 +1023,10 @@ async function sendEmail(emailData, req, userId, sessionId) {
  * @param {object} req - Express request object
  * @param {string} userId - User ID for logging context
  * @param {string} sessionId - Session ID for logging context
+ * @param {object} [options] - { mailbox }
  * @returns {Promise<boolean>}
  */
-async function flagEmail(id, flag = true, req, userId, sessionId) {
+async function flagEmail(id, flag = true, req, userId, sessionId, options = {}) {
   const startTime = Date.now();
   
   // Extract user context from request if not provided
@@ -634,7 +1062,9 @@ async function flagEmail(id, flag = true, req, userId, sessionId) {
       throw mcpError;
     }
     
-    const client = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'flagEmail' });
     await client.api(`/me/messages/${id}`, contextUserId, contextSessionId).patch({
       flag: { flagStatus: flag ? 'flagged' : 'notFlagged' }
     });
@@ -717,9 +1147,10 @@ async function flagEmail(id, flag = true, req, userId, sessionId) {
  * @param {object} req - Express request object
  * @param {string} userId - User ID for logging context
  * @param {string} sessionId - Session ID for logging context
+ * @param {object} [options] - { mailbox }
  * @returns {Promise<Array<object>>}
  */
-async function getAttachments(id, req, userId, sessionId) {
+async function getAttachments(id, req, userId, sessionId, options = {}) {
   const startTime = Date.now();
   
   // Extract user context from request if not provided
@@ -754,7 +1185,9 @@ async function getAttachments(id, req, userId, sessionId) {
       throw mcpError;
     }
     
-    const client = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'getAttachments' });
     
     // First check if the email exists and has attachments
     try {
@@ -900,7 +1333,7 @@ async function getAttachments(id, req, userId, sessionId) {
 
 /**
  * Retrieves raw inbox data (no normalization).
- * @param {object} options
+ * @param {object} options - { top, mailbox }
  * @param {object} req - Express request object
  * @param {string} userId - User ID for logging context
  * @param {string} sessionId - Session ID for logging context
@@ -925,7 +1358,8 @@ async function getInboxRaw(options = {}, req, userId, sessionId) {
   }
   
   try {
-    const client = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'getInboxRaw' });
     const top = options.top || options.limit || 10;
     const res = await client.api(`/me/mailFolders/inbox/messages?$top=${top}`, contextUserId, contextSessionId).get();
     const emails = res.value || [];
@@ -954,6 +1388,11 @@ async function getInboxRaw(options = {}, req, userId, sessionId) {
   } catch (error) {
     const executionTime = Date.now() - startTime;
     
+    // If it's already an MCP error, just track and rethrow
+    if (error.category) {
+      throw error;
+    }
+    
     // Pattern 3: Infrastructure Error Logging
     const mcpError = ErrorService.createError(
       'mail',
@@ -997,12 +1436,13 @@ async function getInboxRaw(options = {}, req, userId, sessionId) {
 /**
  * Retrieves detailed information for a specific email by ID.
  * @param {string} id - Email ID
+ * @param {object} [options] - { bodyFormat: 'html' | 'text' | 'markdown' | 'summary-ready', mailbox }; default returns the body as Graph sent it
  * @param {object} req - Express request object
  * @param {string} userId - User ID for logging context
  * @param {string} sessionId - Session ID for logging context
  * @returns {Promise<object>}
  */
-async function getEmailDetails(id, req, userId, sessionId) {
+async function getEmailDetails(id, options = {}, req, userId, sessionId) {
   const startTime = Date.now();
   
   // Extract user context from request if not provided
@@ -1037,7 +1477,26 @@ async function getEmailDetails(id, req, userId, sessionId) {
       throw mcpError;
     }
     
-    const client = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const { bodyFormat } = options || {};
+    if (bodyFormat !== undefined && !BODY_FORMATS.includes(bodyFormat)) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        `bodyFormat must be one of: ${BODY_FORMATS.join(', ')}`,
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'getEmailDetails',
+          bodyFormat,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options?.mailbox, { category: 'mail', operation: 'getEmailDetails' });
     const message = await client.api(`/me/messages/${id}`, contextUserId, contextSessionId).get();
     
     if (!message) {
@@ -1085,6 +1544,12 @@ async function getEmailDetails(id, req, userId, sessionId) {
       categories: message.categories || []
     };
     
+    if (bodyFormat && message.body) {
+      const formatted = formatBody(message.body, bodyFormat);
+      emailDetails.body = formatted.content;
+      emailDetails.contentType = formatted.contentType;
+    }
+    
     const executionTime = Date.now() - startTime;
     
     // Pattern 2: User Activity Logs
@@ -1161,9 +1626,10 @@ async function getEmailDetails(id, req, userId, sessionId) {
  * @param {object} req - Express request object
  * @param {string} userId - User ID for logging context
  * @param {string} sessionId - Session ID for logging context
+ * @param {object} [options] - { mailbox }
  * @returns {Promise<boolean>}
  */
-async function markAsRead(id, isRead = true, req, userId, sessionId) {
+async function markAsRead(id, isRead = true, req, userId, sessionId, options = {}) {
   const startTime = Date.now();
   
   // Extract user context from request if not provided
@@ -1199,7 +1665,9 @@ async function markAsRead(id, isRead = true, req, userId, sessionId) {
       throw mcpError;
     }
     
-    const client = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'markAsRead' });
     await client.api(`/me/messages/${id}`, contextUserId, contextSessionId).patch({
       isRead: isRead
     });
@@ -1277,7 +1745,157 @@ async function markAsRead(id, isRead = true, req, userId, sessionId) {
 }
 
 /**
- * Add an attachment to an existing email message.
+ * Changes the importance of an email.
+ * @param {string} id - Email ID
+ * @param {string} importance - 'low', 'normal' or 'high'
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @param {object} [options] - { mailbox }
+ * @returns {Promise<object>} { id, importance }
+ */
+async function setEmailImportance(id, importance, req, userId, sessionId, options = {}) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail setEmailImportance operation started', {
+      method: 'setEmailImportance',
+      emailId: id ? id.substring(0, 20) + '...' : null,
+      importance,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!id || typeof id !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Email ID must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'setEmailImportance',
+          idType: typeof id,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    if (!MESSAGE_IMPORTANCE_LEVELS.includes(importance)) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Importance must be low, normal or high',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'setEmailImportance',
+          importance,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'setEmailImportance' });
+    await client.api(`/me/messages/${id}`, contextUserId, contextSessionId).patch({ importance });
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Email importance updated successfully', {
+        emailId: id ? id.substring(0, 20) + '...' : null,
+        importance,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Email importance updated with session', {
+        sessionId: contextSessionId,
+        emailId: id ? id.substring(0, 20) + '...' : null,
+        importance,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_importance_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'setEmailImportance',
+      importance,
+      timestamp: new Date().toISOString()
+    });
+    
+    return { id, importance };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to set email importance: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'setEmailImportance',
+        emailId: id ? id.substring(0, 20) + '...' : null,
+        importance,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error setting email importance', {
+        errorMessage: 'Failed to set email importance',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error setting email importance', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to set email importance',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_importance_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'setEmailImportance',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Add an attachment to an existing email message. Files above Graph's 3 MB inline limit
+ * are uploaded in chunks through an upload session.
  * @param {string} messageId - ID of the email message
  * @param {object} attachment - Attachment data
  * @param {string} attachment.name - Name of the attachment
@@ -1287,9 +1905,10 @@ async function markAsRead(id, isRead = true, req, userId, sessionId) {
  * @param {object} req - Express request object
  * @param {string} userId - User ID for logging context
  * @param {string} sessionId - Session ID for logging context
- * @returns {Promise<object>} Created attachment object
+ * @param {object} [options] - { mailbox }
+ * @returns {Promise<object>} Created attachment object, with uploadMethod 'inline' or 'uploadSession'
  */
-async function addMailAttachment(messageId, attachment, req, userId, sessionId) {
+async function addMailAttachment(messageId, attachment, req, userId, sessionId, options = {}) {
   const startTime = Date.now();
   
   // Extract user context from request if not provided
@@ -1342,33 +1961,33 @@ async function addMailAttachment(messageId, attachment, req, userId, sessionId)
       throw mcpError;
     }
     
-    const client = await graphClientFactory.createClient(req);
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
     
-    // Prepare the attachment object for Microsoft Graph API
-    const attachmentData = {
-      '@odata.type': '#microsoft.graph.fileAttachment',
-      name: attachment.name,
-      contentBytes: attachment.contentBytes,
-      contentType: attachment.contentType || 'application/octet-stream',
-      isInline: attachment.isInline || false
-    };
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'addMailAttachment' });
     
     MonitoringService.debug('Adding attachment to email', {
       messageId: messageId,
       attachmentName: attachment.name,
-      contentType: attachmentData.contentType,
-      isInline: attachmentData.isInline,
+      contentType: attachment.contentType || 'application/octet-stream',
+      isInline: attachment.isInline || false,
       timestamp: new Date().toISOString()
     }, 'graph-mail-service');
     
-    // Add the attachment to the message
-    const result = await client.api(`/me/messages/${messageId}/attachments`).post(attachmentData);
+    // Small files are posted inline; larger ones go through an upload session
+    const result = await uploadFileAttachment(client, `/me/messages/${messageId}`, attachment, {
+      category: 'mail',
+      parentType: 'message',
+      parentId: messageId,
+      userId: contextUserId,
+      sessionId: contextSessionId
+    });
     
     const executionTime = Date.now() - startTime;
     MonitoringService.trackMetric('graph_mail_add_attachment_success', executionTime, {
       service: 'graph-mail-service',
       method: 'addMailAttachment',
       attachmentName: attachment.name,
+      uploadMethod: result.uploadMethod,
       timestamp: new Date().toISOString()
     });
     
@@ -1376,6 +1995,7 @@ async function addMailAttachment(messageId, attachment, req, userId, sessionId)
       messageId: messageId,
       attachmentId: result.id,
       attachmentName: result.name,
+      uploadMethod: result.uploadMethod,
       executionTime: executionTime,
       timestamp: new Date().toISOString()
     }, 'graph-mail-service');
@@ -1418,9 +2038,10 @@ async function addMailAttachment(messageId, attachment, req, userId, sessionId)
  * @param {object} req - Express request object
  * @param {string} userId - User ID for logging context
  * @param {string} sessionId - Session ID for logging context
+ * @param {object} [options] - { mailbox }
  * @returns {Promise<object>} Success status
  */
-async function removeMailAttachment(messageId, attachmentId, req, userId, sessionId) {
+async function removeMailAttachment(messageId, attachmentId, req, userId, sessionId, options = {}) {
   const startTime = Date.now();
   
   // Extract user context from request if not provided
@@ -1472,7 +2093,9 @@ async function removeMailAttachment(messageId, attachmentId, req, userId, sessio
       throw mcpError;
     }
     
-    const client = await graphClientFactory.createClient(req);
+    const graphClient = await graphClientFactory.createClient(req);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'removeMailAttachment' });
     
     MonitoringService.info('Attempting to remove attachment from email', {
       messageId: messageId,
@@ -1565,15 +2188,3575 @@ async function removeMailAttachment(messageId, attachmentId, req, userId, sessio
   }
 }
 
+/**
+ * Replies to, replies all to, or forwards an existing message.
+ * Graph keeps the new message in the original conversation thread.
+ * @param {string} id - ID of the message being answered
+ * @param {string} action - One of: reply, replyAll, forward
+ * @param {object} [responseData]
+ * @param {string} [responseData.comment] - Text added above the quoted original
+ * @param {string|Array<string>} [responseData.to] - Recipients (required for forward, added for replies)
+ * @param {string|Array<string>} [responseData.cc] - Extra CC recipients
+ * @param {string|Array<string>} [responseData.bcc] - Extra BCC recipients
+ * @param {Array<string|object>} [responseData.attachments] - File IDs or attachment objects
+ * @param {string} [responseData.mailbox] - Shared or delegated mailbox that holds the message
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>} Result with success flag, action and message ID
+ */
+async function respondToMessage(id, action, responseData = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  const method = MESSAGE_RESPONSE_METHODS[action];
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  const data = responseData || {};
+  const { comment, to, cc, bcc, attachments } = data;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug(`Mail ${method} operation started`, {
+      method,
+      action,
+      emailId: id ? id.substring(0, 20) + '...' : null,
+      hasComment: !!comment,
+      attachmentCount: Array.isArray(attachments) ? attachments.length : 0,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!method) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        `Invalid message response action: ${action}. Must be one of: ${Object.keys(MESSAGE_RESPONSE_METHODS).join(', ')}`,
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'respondToMessage',
+          action,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    if (!id || typeof id !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Email ID must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method,
+          idType: typeof id,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const toRecipients = formatRecipients(to);
+    const ccRecipients = formatRecipients(cc);
+    const bccRecipients = formatRecipients(bcc);
+    
+    if (action === 'forward' && toRecipients.length === 0) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'At least one recipient is required to forward an email',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method,
+          emailId: id.substring(0, 20) + '...',
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, data.mailbox, { category: 'mail', operation: 'respondToMessage' });
+    
+    // Extra recipients and attachments travel on the message object; Graph merges
+    // them with the recipients it derives from the original message
+    const message = {};
+    if (action !== 'forward' && toRecipients.length > 0) {
+      message.toRecipients = toRecipients;
+    }
+    if (ccRecipients.length > 0) {
+      message.ccRecipients = ccRecipients;
+    }
+    if (bccRecipients.length > 0) {
+      message.bccRecipients = bccRecipients;
+    }
+    if (Array.isArray(attachments) && attachments.length > 0) {
+      message.attachments = await buildFileAttachments(attachments, req, method);
+    }
+    
+    const requestBody = {
+      comment: comment || ''
+    };
+    if (action === 'forward') {
+      requestBody.toRecipients = toRecipients;
+    }
+    if (Object.keys(message).length > 0) {
+      requestBody.message = message;
+    }
+    
+    await client.api(`/me/messages/${id}/${action}`, contextUserId, contextSessionId).post(requestBody);
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info(`Email ${action} sent successfully`, {
+        emailId: id.substring(0, 20) + '...',
+        recipientCount: toRecipients.length + ccRecipients.length + bccRecipients.length,
+        attachmentCount: message.attachments ? message.attachments.length : 0,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info(`Email ${action} sent with session`, {
+        sessionId: contextSessionId,
+        emailId: id.substring(0, 20) + '...',
+        recipientCount: toRecipients.length + ccRecipients.length + bccRecipients.length,
+        attachmentCount: message.attachments ? message.attachments.length : 0,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric(`graph_mail_${action.toLowerCase()}_success`, executionTime, {
+      service: 'graph-mail-service',
+      method,
+      attachmentCount: message.attachments ? message.attachments.length : 0,
+      timestamp: new Date().toISOString()
+    });
+    
+    return { success: true, action, messageId: id };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to ${action} email: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method,
+        emailId: id ? id.substring(0, 20) + '...' : null,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error(`User experienced error sending email ${action}`, {
+        errorMessage: `Failed to ${action} email`,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error(`Session experienced error sending email ${action}`, {
+        sessionId: contextSessionId,
+        errorMessage: `Failed to ${action} email`,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric(`graph_mail_${action.toLowerCase()}_failure`, executionTime, {
+      service: 'graph-mail-service',
+      method,
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Replies to the sender of a message.
+ * @param {string} id - Email ID
+ * @param {object} replyData - { comment, to, cc, bcc, attachments }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>}
+ */
+async function replyToEmail(id, replyData, req, userId, sessionId) {
+  return respondToMessage(id, 'reply', replyData, req, userId, sessionId);
+}
+
+/**
+ * Replies to the sender and all recipients of a message.
+ * @param {string} id - Email ID
+ * @param {object} replyData - { comment, to, cc, bcc, attachments }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>}
+ */
+async function replyAllToEmail(id, replyData, req, userId, sessionId) {
+  return respondToMessage(id, 'replyAll', replyData, req, userId, sessionId);
+}
+
+/**
+ * Forwards a message to new recipients.
+ * @param {string} id - Email ID
+ * @param {object} forwardData - { to (required), comment, cc, bcc, attachments }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>}
+ */
+async function forwardEmail(id, forwardData, req, userId, sessionId) {
+  return respondToMessage(id, 'forward', forwardData, req, userId, sessionId);
+}
+
+/**
+ * Confirms a message is still a draft before it is edited or deleted through the drafts API,
+ * so a draft ID mix-up can never modify or remove received mail.
+ * @param {object} client - Graph client
+ * @param {string} id - Message ID
+ * @param {string} method - Calling method name for error context
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @returns {Promise<void>}
+ */
+async function assertDraftMessage(client, id, method, userId, sessionId) {
+  const message = await client.api(`/me/messages/${id}?$select=id,isDraft`, userId, sessionId).get();
+  if (!message || message.isDraft !== true) {
+    const mcpError = ErrorService.createError(
+      'mail',
+      'Message is not a draft; only unsent drafts can be changed through the drafts API',
+      'warning',
+      {
+        service: 'graph-mail-service',
+        method,
+        emailId: id.substring(0, 20) + '...',
+        timestamp: new Date().toISOString()
+      }
+    );
+    MonitoringService.logError(mcpError);
+    throw mcpError;
+  }
+}
+
+/**
+ * Creates a draft message in the Drafts folder without sending it.
+ * @param {object} draftData - { subject, body, contentType, to, cc, bcc, importance, attachments, mailbox }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>} Normalized draft
+ */
+async function createDraft(draftData = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail createDraft operation started', {
+      method: 'createDraft',
+      hasSubject: !!draftData?.subject,
+      attachmentCount: Array.isArray(draftData?.attachments) ? draftData.attachments.length : 0,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    const { subject, body, contentType, to, cc, bcc, importance, attachments } = draftData || {};
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const client = scopeClientToMailbox(graphClient, draftData?.mailbox, { category: 'mail', operation: 'createDraft' });
+    
+    const message = {
+      subject: subject || '',
+      body: {
+        contentType: contentType || 'Text',
+        content: body || ''
+      },
+      toRecipients: formatRecipients(to),
+      ccRecipients: formatRecipients(cc),
+      bccRecipients: formatRecipients(bcc)
+    };
+    if (importance) {
+      message.importance = importance;
+    }
+    if (Array.isArray(attachments) && attachments.length > 0) {
+      message.attachments = await buildFileAttachments(attachments, req, 'createDraft');
+    }
+    
+    // POST to /me/messages saves the message in the Drafts folder instead of sending it
+    const draft = await client.api('/me/messages', contextUserId, contextSessionId).post(message);
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Draft created successfully', {
+        draftId: draft.id ? draft.id.substring(0, 20) + '...' : null,
+        recipientCount: message.toRecipients.length + message.ccRecipients.length + message.bccRecipients.length,
+        attachmentCount: message.attachments ? message.attachments.length : 0,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Draft created with session', {
+        sessionId: contextSessionId,
+        draftId: draft.id ? draft.id.substring(0, 20) + '...' : null,
+        recipientCount: message.toRecipients.length + message.ccRecipients.length + message.bccRecipients.length,
+        attachmentCount: message.attachments ? message.attachments.length : 0,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_create_draft_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'createDraft',
+      attachmentCount: message.attachments ? message.attachments.length : 0,
+      timestamp: new Date().toISOString()
+    });
+    
+    return normalizeDraft(draft);
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to create draft: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'createDraft',
+        hasSubject: !!draftData?.subject,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error creating draft', {
+        errorMessage: 'Failed to create draft',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error creating draft', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to create draft',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_create_draft_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'createDraft',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Updates an existing draft. Only the fields supplied are changed; recipients replace the
+ * current list for that field and attachments are added alongside existing ones.
+ * @param {string} id - Draft message ID
+ * @param {object} updates - { subject, body, contentType, to, cc, bcc, importance, attachments, mailbox }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>} Normalized draft
+ */
+async function updateDraft(id, updates = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail updateDraft operation started', {
+      method: 'updateDraft',
+      emailId: id ? id.substring(0, 20) + '...' : null,
+      updateFields: Object.keys(updates || {}),
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!id || typeof id !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Draft ID must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'updateDraft',
+          idType: typeof id,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const { subject, body, contentType, to, cc, bcc, importance, attachments } = updates || {};
+    const patch = {};
+    if (subject !== undefined) {
+      patch.subject = subject;
+    }
+    if (body !== undefined) {
+      patch.body = { contentType: contentType || 'Text', content: body };
+    }
+    if (to !== undefined) {
+      patch.toRecipients = formatRecipients(to);
+    }
+    if (cc !== undefined) {
+      patch.ccRecipients = formatRecipients(cc);
+    }
+    if (bcc !== undefined) {
+      patch.bccRecipients = formatRecipients(bcc);
+    }
+    if (importance !== undefined) {
+      patch.importance = importance;
+    }
+    const hasAttachments = Array.isArray(attachments) && attachments.length > 0;
+    
+    if (Object.keys(patch).length === 0 && !hasAttachments) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'No draft fields provided to update',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'updateDraft',
+          emailId: id.substring(0, 20) + '...',
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, updates?.mailbox, { category: 'mail', operation: 'updateDraft' });
+    await assertDraftMessage(client, id, 'updateDraft', contextUserId, contextSessionId);
+    
+    // Graph does not accept attachments in a PATCH, so new ones are posted individually
+    let addedAttachments = 0;
+    if (hasAttachments) {
+      const fileAttachments = await buildFileAttachments(attachments, req, 'updateDraft');
+      for (const attachment of fileAttachments) {
+        await client.api(`/me/messages/${id}/attachments`, contextUserId, contextSessionId).post(attachment);
+        addedAttachments++;
+      }
+    }
+    
+    const draft = Object.keys(patch).length > 0
+      ? await client.api(`/me/messages/${id}`, contextUserId, contextSessionId).patch(patch)
+      : await client.api(`/me/messages/${id}`, contextUserId, contextSessionId).get();
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Draft updated successfully', {
+        draftId: id.substring(0, 20) + '...',
+        updatedFields: Object.keys(patch),
+        addedAttachments,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Draft updated with session', {
+        sessionId: contextSessionId,
+        draftId: id.substring(0, 20) + '...',
+        updatedFields: Object.keys(patch),
+        addedAttachments,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_update_draft_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'updateDraft',
+      addedAttachments,
+      timestamp: new Date().toISOString()
+    });
+    
+    return normalizeDraft(draft);
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to update draft: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'updateDraft',
+        emailId: id ? id.substring(0, 20) + '...' : null,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error updating draft', {
+        errorMessage: 'Failed to update draft',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error updating draft', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to update draft',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_update_draft_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'updateDraft',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Lists messages in the Drafts folder, most recently edited first.
+ * @param {object} options - { top, skip, mailbox }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<Array<object>>} Normalized drafts
+ */
+async function listDrafts(options = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail listDrafts operation started', {
+      method: 'listDrafts',
+      top: options?.top,
+      skip: options?.skip,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    const top = options?.top || 25;
+    const skip = options?.skip || 0;
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'listDrafts' });
+    
+    const select = 'id,subject,toRecipients,ccRecipients,bccRecipients,bodyPreview,importance,categories,hasAttachments,lastModifiedDateTime,webLink';
+    const res = await client.api(`/me/mailFolders/drafts/messages?$top=${top}&$skip=${skip}&$orderby=${encodeURIComponent('lastModifiedDateTime desc')}&$select=${select}`, contextUserId, contextSessionId).get();
+    const drafts = (res.value || []).map(normalizeDraft);
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Drafts retrieved successfully', {
+        draftCount: drafts.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Drafts retrieved with session', {
+        sessionId: contextSessionId,
+        draftCount: drafts.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_list_drafts_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'listDrafts',
+      draftCount: drafts.length,
+      timestamp: new Date().toISOString()
+    });
+    
+    return drafts;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to list drafts: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'listDrafts',
+        top: options?.top,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error listing drafts', {
+        errorMessage: 'Failed to list drafts',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error listing drafts', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to list drafts',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_list_drafts_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'listDrafts',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Sends an existing draft. The sent copy is saved to Sent Items by Graph.
+ * @param {string} id - Draft message ID
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @param {object} [options] - { mailbox }
+ * @returns {Promise<object>} Result with success flag and message ID
+ */
+async function sendDraft(id, req, userId, sessionId, options = {}) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail sendDraft operation started', {
+      method: 'sendDraft',
+      emailId: id ? id.substring(0, 20) + '...' : null,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!id || typeof id !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Draft ID must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'sendDraft',
+          idType: typeof id,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'sendDraft' });
+    await client.api(`/me/messages/${id}/send`, contextUserId, contextSessionId).post({});
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Draft sent successfully', {
+        draftId: id.substring(0, 20) + '...',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Draft sent with session', {
+        sessionId: contextSessionId,
+        draftId: id.substring(0, 20) + '...',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_send_draft_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'sendDraft',
+      timestamp: new Date().toISOString()
+    });
+    
+    return { success: true, messageId: id };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to send draft: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'sendDraft',
+        emailId: id ? id.substring(0, 20) + '...' : null,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error sending draft', {
+        errorMessage: 'Failed to send draft',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error sending draft', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to send draft',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_send_draft_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'sendDraft',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Deletes a draft. Refuses to delete messages that are not drafts.
+ * @param {string} id - Draft message ID
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @param {object} [options] - { mailbox }
+ * @returns {Promise<object>} Result with success flag and message ID
+ */
+async function deleteDraft(id, req, userId, sessionId, options = {}) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail deleteDraft operation started', {
+      method: 'deleteDraft',
+      emailId: id ? id.substring(0, 20) + '...' : null,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!id || typeof id !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Draft ID must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'deleteDraft',
+          idType: typeof id,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'deleteDraft' });
+    await assertDraftMessage(client, id, 'deleteDraft', contextUserId, contextSessionId);
+    await client.api(`/me/messages/${id}`, contextUserId, contextSessionId).delete();
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Draft deleted successfully', {
+        draftId: id.substring(0, 20) + '...',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Draft deleted with session', {
+        sessionId: contextSessionId,
+        draftId: id.substring(0, 20) + '...',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_delete_draft_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'deleteDraft',
+      timestamp: new Date().toISOString()
+    });
+    
+    return { success: true, messageId: id };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to delete draft: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'deleteDraft',
+        emailId: id ? id.substring(0, 20) + '...' : null,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error deleting draft', {
+        errorMessage: 'Failed to delete draft',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error deleting draft', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to delete draft',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_delete_draft_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'deleteDraft',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Lists mail folders with unread and total counts, optionally walking child folders.
+ * @param {object} options - { parentFolderId, includeChildren (default true), maxDepth (default 3), mailbox }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<Array<object>>} Normalized folders; nested under childFolders when requested
+ */
+async function listMailFolders(options = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail listMailFolders operation started', {
+      method: 'listMailFolders',
+      parentFolderId: options?.parentFolderId,
+      includeChildren: options?.includeChildren,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    const includeChildren = options?.includeChildren !== false;
+    const maxDepth = options?.maxDepth || 3;
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'listMailFolders' });
+    
+    // Graph only returns one level per request, so child folders are fetched level by level
+    const fetchFolders = async (path, depth) => {
+      const res = await client.api(`${path}?$top=100`, contextUserId, contextSessionId).get();
+      const folders = res.value || [];
+      if (includeChildren && depth < maxDepth) {
+        await Promise.all(folders.filter(folder => folder.childFolderCount > 0).map(async folder => {
+          folder.childFolders = await fetchFolders(`/me/mailFolders/${folder.id}/childFolders`, depth + 1);
+        }));
+      }
+      return folders;
+    };
+    
+    const rootPath = options?.parentFolderId
+      ? `/me/mailFolders/${resolveMailFolder(options.parentFolderId)}/childFolders`
+      : '/me/mailFolders';
+    const folders = (await fetchFolders(rootPath, 1)).map(normalizeMailFolder);
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Mail folders retrieved successfully', {
+        folderCount: folders.length,
+        includeChildren,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Mail folders retrieved with session', {
+        sessionId: contextSessionId,
+        folderCount: folders.length,
+        includeChildren,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_list_folders_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'listMailFolders',
+      folderCount: folders.length,
+      timestamp: new Date().toISOString()
+    });
+    
+    return folders;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to list mail folders: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'listMailFolders',
+        parentFolderId: options?.parentFolderId,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error listing mail folders', {
+        errorMessage: 'Failed to list mail folders',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error listing mail folders', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to list mail folders',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_list_folders_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'listMailFolders',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Retrieves messages from any mail folder, newest first.
+ * @param {string} folder - Folder ID or well-known name (inbox, sentitems, archive, deleteditems, ...)
+ * @param {object} options - { top, skip, mailbox }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<Array<object>>} Normalized emails
+ */
+async function getMessagesInFolder(folder, options = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail getMessagesInFolder operation started', {
+      method: 'getMessagesInFolder',
+      folder,
+      optionKeys: Object.keys(options || {}),
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!folder || typeof folder !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        `Folder must be a folder ID or a well-known folder name (${WELL_KNOWN_MAIL_FOLDERS.join(', ')})`,
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'getMessagesInFolder',
+          folderType: typeof folder,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'getMessagesInFolder' });
+    const top = options?.top || options?.limit || 10;
+    const skip = options?.skip || 0;
+    const orderBy = encodeURIComponent('receivedDateTime desc');
+    const res = await client.api(`/me/mailFolders/${resolveMailFolder(folder)}/messages?$top=${top}&$skip=${skip}&$orderby=${orderBy}`, contextUserId, contextSessionId).get();
+    const emails = (res.value || []).map(normalizeEmail);
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Retrieved folder emails successfully', {
+        folder: resolveMailFolder(folder),
+        emailCount: emails.length,
+        requestedTop: top,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Retrieved folder emails with session', {
+        sessionId: contextSessionId,
+        folder: resolveMailFolder(folder),
+        emailCount: emails.length,
+        requestedTop: top,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_get_folder_messages_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'getMessagesInFolder',
+      emailCount: emails.length,
+      timestamp: new Date().toISOString()
+    });
+    
+    return emails;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to get folder emails: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'getMessagesInFolder',
+        folder: typeof folder === 'string' ? folder : null,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error retrieving folder emails', {
+        errorMessage: 'Failed to get folder emails',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error retrieving folder emails', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to get folder emails',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_get_folder_messages_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'getMessagesInFolder',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Creates a mail folder at the top level or under a parent folder.
+ * @param {object} folderData - { displayName, parentFolderId, mailbox }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>} Normalized folder
+ */
+async function createMailFolder(folderData = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail createMailFolder operation started', {
+      method: 'createMailFolder',
+      hasParent: !!folderData?.parentFolderId,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!folderData?.displayName || typeof folderData.displayName !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Folder display name must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'createMailFolder',
+          displayNameType: typeof folderData?.displayName,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, folderData?.mailbox, { category: 'mail', operation: 'createMailFolder' });
+    const path = folderData.parentFolderId
+      ? `/me/mailFolders/${resolveMailFolder(folderData.parentFolderId)}/childFolders`
+      : '/me/mailFolders';
+    const created = await client.api(path, contextUserId, contextSessionId).post({ displayName: folderData.displayName });
+    const folder = normalizeMailFolder(created);
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Mail folder created successfully', {
+        folderId: folder.id ? folder.id.substring(0, 20) + '...' : null,
+        hasParent: !!folderData.parentFolderId,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Mail folder created with session', {
+        sessionId: contextSessionId,
+        folderId: folder.id ? folder.id.substring(0, 20) + '...' : null,
+        hasParent: !!folderData.parentFolderId,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_create_folder_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'createMailFolder',
+      timestamp: new Date().toISOString()
+    });
+    
+    return folder;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to create mail folder: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'createMailFolder',
+        hasParent: !!folderData?.parentFolderId,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error creating mail folder', {
+        errorMessage: 'Failed to create mail folder',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error creating mail folder', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to create mail folder',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_create_folder_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'createMailFolder',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Moves a message to another folder. Graph assigns the moved message a new ID.
+ * @param {string} id - Email ID
+ * @param {string} destinationFolderId - Destination folder ID or well-known name
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @param {object} [options] - { mailbox }
+ * @returns {Promise<object>} Result with the ID of the message in the destination folder
+ */
+async function moveEmail(id, destinationFolderId, req, userId, sessionId, options = {}) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail moveEmail operation started', {
+      method: 'moveEmail',
+      emailId: id ? id.substring(0, 20) + '...' : null,
+      destinationFolderId,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!id || typeof id !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Email ID must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'moveEmail',
+          idType: typeof id,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    if (!destinationFolderId || typeof destinationFolderId !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        `Destination must be a folder ID or a well-known folder name (${WELL_KNOWN_MAIL_FOLDERS.join(', ')})`,
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'moveEmail',
+          folderType: typeof destinationFolderId,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'moveEmail' });
+    const movedMessage = await client.api(`/me/messages/${id}/move`, contextUserId, contextSessionId).post({
+      destinationId: resolveMailFolder(destinationFolderId)
+    });
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Email moved successfully', {
+        emailId: id.substring(0, 20) + '...',
+        destinationFolderId: resolveMailFolder(destinationFolderId),
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Email moved with session', {
+        sessionId: contextSessionId,
+        emailId: id.substring(0, 20) + '...',
+        destinationFolderId: resolveMailFolder(destinationFolderId),
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_move_email_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'moveEmail',
+      timestamp: new Date().toISOString()
+    });
+    
+    return {
+      success: true,
+      action: 'move',
+      messageId: id,
+      newMessageId: movedMessage?.id,
+      destinationFolderId: movedMessage?.parentFolderId || resolveMailFolder(destinationFolderId)
+    };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to move email: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'moveEmail',
+        emailId: id ? id.substring(0, 20) + '...' : null,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error moving email', {
+        errorMessage: 'Failed to move email',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error moving email', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to move email',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_move_email_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'moveEmail',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Copies a message to another folder.
+ * @param {string} id - Email ID
+ * @param {string} destinationFolderId - Destination folder ID or well-known name
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @param {object} [options] - { mailbox }
+ * @returns {Promise<object>} Result with the ID of the message in the destination folder
+ */
+async function copyEmail(id, destinationFolderId, req, userId, sessionId, options = {}) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail copyEmail operation started', {
+      method: 'copyEmail',
+      emailId: id ? id.substring(0, 20) + '...' : null,
+      destinationFolderId,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!id || typeof id !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Email ID must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'copyEmail',
+          idType: typeof id,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    if (!destinationFolderId || typeof destinationFolderId !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        `Destination must be a folder ID or a well-known folder name (${WELL_KNOWN_MAIL_FOLDERS.join(', ')})`,
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'copyEmail',
+          folderType: typeof destinationFolderId,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'copyEmail' });
+    const copiedMessage = await client.api(`/me/messages/${id}/copy`, contextUserId, contextSessionId).post({
+      destinationId: resolveMailFolder(destinationFolderId)
+    });
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Email copied successfully', {
+        emailId: id.substring(0, 20) + '...',
+        destinationFolderId: resolveMailFolder(destinationFolderId),
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Email copied with session', {
+        sessionId: contextSessionId,
+        emailId: id.substring(0, 20) + '...',
+        destinationFolderId: resolveMailFolder(destinationFolderId),
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_copy_email_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'copyEmail',
+      timestamp: new Date().toISOString()
+    });
+    
+    return {
+      success: true,
+      action: 'copy',
+      messageId: id,
+      newMessageId: copiedMessage?.id,
+      destinationFolderId: copiedMessage?.parentFolderId || resolveMailFolder(destinationFolderId)
+    };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to copy email: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'copyEmail',
+        emailId: id ? id.substring(0, 20) + '...' : null,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error copying email', {
+        errorMessage: 'Failed to copy email',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error copying email', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to copy email',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_copy_email_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'copyEmail',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Retrieves a whole email thread across all folders as one conversation object.
+ * @param {object} params - { conversationId, messageId, maxMessages, mailbox }; messageId resolves its conversation
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>} Normalized conversation with participants and per-message summaries
+ */
+async function getConversation(params = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail getConversation operation started', {
+      method: 'getConversation',
+      hasConversationId: !!params?.conversationId,
+      hasMessageId: !!params?.messageId,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!params?.conversationId && !params?.messageId) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Either a conversationId or a messageId is required',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'getConversation',
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, params?.mailbox, { category: 'mail', operation: 'getConversation' });
+    const maxMessages = params.maxMessages || 100;
+    
+    let conversationId = params.conversationId;
+    if (!conversationId) {
+      const message = await client.api(`/me/messages/${params.messageId}?$select=id,conversationId`, contextUserId, contextSessionId).get();
+      conversationId = message?.conversationId;
+    }
+    
+    if (!conversationId) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Could not determine the conversation for this message',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'getConversation',
+          messageId: params.messageId ? params.messageId.substring(0, 20) + '...' : null,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    // /me/messages spans every folder, so sent replies are included alongside received mail.
+    // Graph rejects $orderby combined with a conversationId filter, so ordering happens in the normalizer.
+    const filter = encodeURIComponent(`conversationId eq '${conversationId.replace(/'/g, "''")}'`);
+    const select = 'id,conversationId,subject,from,toRecipients,ccRecipients,sentDateTime,receivedDateTime,uniqueBody,body,bodyPreview,isRead,hasAttachments,parentFolderId';
+    const options = { headers: { Prefer: 'outlook.body-content-type="text"' } };
+    
+    const messages = [];
+    let nextPath = `/me/messages?$filter=${filter}&$select=${select}&$top=50`;
+    while (nextPath && messages.length < maxMessages) {
+      const res = await client.api(nextPath, contextUserId, contextSessionId).get(options);
+      messages.push(...(res.value || []));
+      nextPath = res['@odata.nextLink'];
+    }
+    
+    const conversation = normalizeConversation(messages.slice(0, maxMessages), contextUserId, contextSessionId);
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Conversation retrieved successfully', {
+        messageCount: conversation.messageCount,
+        participantCount: conversation.participants.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Conversation retrieved with session', {
+        sessionId: contextSessionId,
+        messageCount: conversation.messageCount,
+        participantCount: conversation.participants.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_get_conversation_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'getConversation',
+      messageCount: conversation.messageCount,
+      timestamp: new Date().toISOString()
+    });
+    
+    return conversation;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to get conversation: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'getConversation',
+        hasConversationId: !!params?.conversationId,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error retrieving conversation', {
+        errorMessage: 'Failed to get conversation',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error retrieving conversation', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to get conversation',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_get_conversation_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'getConversation',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Returns what changed in a mail folder since the last call, using Graph delta queries.
+ * The delta link is stored per user and folder through the storage service. The first call
+ * establishes the baseline and reports every message in the folder as added.
+ * @param {string} folder - Folder ID or well-known name (default: inbox)
+ * @param {object} options - { reset: start a fresh baseline, maxPages: page limit per call (default 10), mailbox }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>} { folder, isInitialSync, added, changed, removed, hasMore, syncedAt }
+ */
+async function getMailChanges(folder = 'inbox', options = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail getMailChanges operation started', {
+      method: 'getMailChanges',
+      folder,
+      reset: !!options?.reset,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!folder || typeof folder !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        `Folder must be a folder ID or a well-known folder name (${WELL_KNOWN_MAIL_FOLDERS.join(', ')})`,
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'getMailChanges',
+          folderType: typeof folder,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    // Sync state belongs to the signed-in user; session-only callers get their own state
+    const storageUserId = contextUserId || (contextSessionId ? `session:${contextSessionId}` : null);
+    if (!storageUserId) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'A user or session context is required to track mail sync state',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'getMailChanges',
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const folderSegment = resolveMailFolder(folder);
+    // Shared mailboxes keep their own sync state next to the user's own folders
+    const settingKey = options.mailbox
+      ? `${MAIL_DELTA_SETTING_PREFIX}${String(options.mailbox).toLowerCase()}:${folderSegment}`
+      : `${MAIL_DELTA_SETTING_PREFIX}${folderSegment}`;
+    const maxPages = options?.maxPages || 10;
+    const initialPath = `/me/mailFolders/${folderSegment}/messages/delta?$select=${MAIL_DELTA_SELECT}`;
+    const requestOptions = { headers: { Prefer: `odata.maxpagesize=${MAIL_DELTA_PAGE_SIZE}` } };
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'getMailChanges' });
+    
+    // State is { deltaLink, resumeLink, lastSyncedAt, initialSyncInProgress }
+    const syncState = options?.reset ? null : await storageService.getSetting(settingKey, storageUserId);
+    let isInitialSync = !syncState?.deltaLink && (!syncState?.resumeLink || !!syncState?.initialSyncInProgress);
+    let since = isInitialSync ? null : syncState.lastSyncedAt;
+    let nextPath = syncState?.resumeLink || syncState?.deltaLink || initialPath;
+    
+    const added = [];
+    const changed = [];
+    const removed = [];
+    let deltaLink = null;
+    let pages = 0;
+    let restarted = false;
+    
+    while (nextPath && pages < maxPages) {
+      let res;
+      try {
+        res = await client.api(nextPath, contextUserId, contextSessionId).get(requestOptions);
+      } catch (error) {
+        // Graph answers 410 Gone once a stored delta token expires; fall back to a full resync
+        if (error.context?.statusCode === 410 && !restarted && nextPath !== initialPath) {
+          restarted = true;
+          isInitialSync = true;
+          since = null;
+          nextPath = initialPath;
+          added.length = 0;
+          changed.length = 0;
+          removed.length = 0;
+          continue;
+        }
+        throw error;
+      }
+      pages++;
+      
+      for (const item of res.value || []) {
+        if (item['@removed']) {
+          removed.push({ id: item.id, reason: item['@removed'].reason });
+          continue;
+        }
+        // Delta does not say whether an item is new, so anything created after the last sync counts as added
+        const createdAt = item.createdDateTime || item.receivedDateTime;
+        if (!since || !createdAt || new Date(createdAt) > new Date(since)) {
+          added.push(normalizeEmail(item));
+        } else {
+          changed.push(normalizeEmail(item));
+        }
+      }
+      
+      deltaLink = res['@odata.deltaLink'] || null;
+      nextPath = deltaLink ? null : res['@odata.nextLink'];
+    }
+    
+    const syncedAt = new Date().toISOString();
+    const hasMore = !deltaLink && !!nextPath;
+    
+    // When the page limit cuts a sync short, keep the old baseline so the next call resumes where this one stopped
+    await storageService.setSetting(settingKey, hasMore
+      ? { resumeLink: nextPath, lastSyncedAt: since, initialSyncInProgress: isInitialSync }
+      : { deltaLink, lastSyncedAt: syncedAt }, storageUserId, contextSessionId);
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Mail changes retrieved successfully', {
+        folder: folderSegment,
+        isInitialSync,
+        addedCount: added.length,
+        changedCount: changed.length,
+        removedCount: removed.length,
+        pages,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Mail changes retrieved with session', {
+        sessionId: contextSessionId,
+        folder: folderSegment,
+        isInitialSync,
+        addedCount: added.length,
+        changedCount: changed.length,
+        removedCount: removed.length,
+        pages,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_delta_sync_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'getMailChanges',
+      isInitialSync,
+      pages,
+      changeCount: added.length + changed.length + removed.length,
+      timestamp: new Date().toISOString()
+    });
+    
+    return {
+      folder: folderSegment,
+      isInitialSync,
+      added,
+      changed,
+      removed,
+      hasMore,
+      syncedAt
+    };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to get mail changes: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'getMailChanges',
+        folder: typeof folder === 'string' ? folder : null,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error syncing mail changes', {
+        errorMessage: 'Failed to get mail changes',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error syncing mail changes', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to get mail changes',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_delta_sync_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'getMailChanges',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Converts rule input ({ name, sequence, isEnabled, conditions, exceptions, actions }) into a
+ * Graph messageRule payload. Only supplied fields are included, so it also serves updates.
+ * Folder actions given as well-known names are resolved to folder IDs, which rules require.
+ * @param {object} client - Graph client
+ * @param {object} ruleData - Rule fields using plain email addresses for recipient fields
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @returns {Promise<object>} Graph messageRule payload
+ */
+async function buildMessageRulePayload(client, ruleData, userId, sessionId) {
+  const toGraphSection = section => {
+    const graphSection = { ...section };
+    for (const field of RULE_RECIPIENT_FIELDS) {
+      if (graphSection[field] !== undefined) {
+        graphSection[field] = formatRecipients(graphSection[field]);
+      }
+    }
+    return graphSection;
+  };
+  
+  const payload = {};
+  if (ruleData.name !== undefined) payload.displayName = ruleData.name;
+  if (ruleData.sequence !== undefined) payload.sequence = ruleData.sequence;
+  if (ruleData.isEnabled !== undefined) payload.isEnabled = ruleData.isEnabled;
+  if (ruleData.conditions !== undefined) payload.conditions = toGraphSection(ruleData.conditions);
+  if (ruleData.exceptions !== undefined) payload.exceptions = toGraphSection(ruleData.exceptions);
+  if (ruleData.actions !== undefined) {
+    payload.actions = toGraphSection(ruleData.actions);
+    for (const action of RULE_FOLDER_ACTIONS) {
+      const folder = payload.actions[action];
+      if (typeof folder === 'string' && WELL_KNOWN_MAIL_FOLDERS.includes(folder.toLowerCase())) {
+        const graphFolder = await client.api(`/me/mailFolders/${folder.toLowerCase()}?$select=id`, userId, sessionId).get();
+        payload.actions[action] = graphFolder.id;
+      }
+    }
+  }
+  return payload;
+}
+
+/**
+ * Lists the inbox rules (messageRules) in the order Outlook applies them.
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @param {object} [options] - { mailbox }
+ * @returns {Promise<Array<object>>} Normalized rules
+ */
+async function listMailRules(req, userId, sessionId, options = {}) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail listMailRules operation started', {
+      method: 'listMailRules',
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'listMailRules' });
+    const res = await client.api(MESSAGE_RULES_PATH, contextUserId, contextSessionId).get();
+    const rules = (res.value || []).map(normalizeMessageRule).sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Mail rules retrieved successfully', {
+        ruleCount: rules.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Mail rules retrieved with session', {
+        sessionId: contextSessionId,
+        ruleCount: rules.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_list_rules_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'listMailRules',
+      ruleCount: rules.length,
+      timestamp: new Date().toISOString()
+    });
+    
+    return rules;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to list mail rules: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'listMailRules',
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error listing mail rules', {
+        errorMessage: 'Failed to list mail rules',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error listing mail rules', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to list mail rules',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_list_rules_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'listMailRules',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Creates an inbox rule. With options.preview the rule is validated and returned without being saved.
+ * @param {object} ruleData - { name, sequence, isEnabled, conditions, exceptions, actions }
+ * @param {object} options - { preview, mailbox }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>} Normalized rule, or a preview of it
+ */
+async function createMailRule(ruleData = {}, options = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail createMailRule operation started', {
+      method: 'createMailRule',
+      hasConditions: !!ruleData?.conditions,
+      actionKeys: Object.keys(ruleData?.actions || {}),
+      preview: !!options?.preview,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!ruleData?.name || typeof ruleData.name !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Rule name must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'createMailRule',
+          nameType: typeof ruleData?.name,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    if (!ruleData.actions || Object.keys(ruleData.actions).length === 0) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'A rule needs at least one action',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'createMailRule',
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'createMailRule' });
+    const payload = await buildMessageRulePayload(client, { isEnabled: true, sequence: 1, ...ruleData }, contextUserId, contextSessionId);
+    
+    const result = options?.preview
+      ? { preview: true, operation: 'create', rule: normalizeMessageRule(payload) }
+      : normalizeMessageRule(await client.api(MESSAGE_RULES_PATH, contextUserId, contextSessionId).post(payload));
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Mail rule created successfully', {
+        preview: !!options?.preview,
+        actionKeys: Object.keys(payload.actions || {}),
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Mail rule created with session', {
+        sessionId: contextSessionId,
+        preview: !!options?.preview,
+        actionKeys: Object.keys(payload.actions || {}),
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_create_rule_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'createMailRule',
+      preview: !!options?.preview,
+      timestamp: new Date().toISOString()
+    });
+    
+    return result;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to create mail rule: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'createMailRule',
+        preview: !!options?.preview,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error creating mail rule', {
+        errorMessage: 'Failed to create mail rule',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error creating mail rule', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to create mail rule',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_create_rule_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'createMailRule',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Updates an inbox rule. With options.preview nothing is saved; the current rule, the proposed
+ * rule and the changed fields are returned so the change can be confirmed first.
+ * @param {string} id - Rule ID
+ * @param {object} updates - Any of { name, sequence, isEnabled, conditions, exceptions, actions }
+ * @param {object} options - { preview, mailbox }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>} Normalized rule, or a preview of the change
+ */
+async function updateMailRule(id, updates = {}, options = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail updateMailRule operation started', {
+      method: 'updateMailRule',
+      ruleId: id ? id.substring(0, 20) + '...' : null,
+      updateFields: Object.keys(updates || {}),
+      preview: !!options?.preview,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!id || typeof id !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Rule ID must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'updateMailRule',
+          idType: typeof id,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'updateMailRule' });
+    const payload = await buildMessageRulePayload(client, updates || {}, contextUserId, contextSessionId);
+    
+    if (Object.keys(payload).length === 0) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'No rule fields provided to update',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'updateMailRule',
+          ruleId: id.substring(0, 20) + '...',
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    let result;
+    if (options?.preview) {
+      const current = await client.api(`${MESSAGE_RULES_PATH}/${id}`, contextUserId, contextSessionId).get();
+      const changedFields = Object.keys(payload).filter(field => JSON.stringify(current[field]) !== JSON.stringify(payload[field]));
+      result = {
+        preview: true,
+        operation: 'update',
+        ruleId: id,
+        current: normalizeMessageRule(current),
+        proposed: normalizeMessageRule({ ...current, ...payload }),
+        changedFields
+      };
+    } else {
+      result = normalizeMessageRule(await client.api(`${MESSAGE_RULES_PATH}/${id}`, contextUserId, contextSessionId).patch(payload));
+    }
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Mail rule updated successfully', {
+        ruleId: id.substring(0, 20) + '...',
+        preview: !!options?.preview,
+        updatedFields: Object.keys(payload),
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Mail rule updated with session', {
+        sessionId: contextSessionId,
+        ruleId: id.substring(0, 20) + '...',
+        preview: !!options?.preview,
+        updatedFields: Object.keys(payload),
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_update_rule_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'updateMailRule',
+      preview: !!options?.preview,
+      timestamp: new Date().toISOString()
+    });
+    
+    return result;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to update mail rule: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'updateMailRule',
+        ruleId: id ? id.substring(0, 20) + '...' : null,
+        preview: !!options?.preview,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error updating mail rule', {
+        errorMessage: 'Failed to update mail rule',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error updating mail rule', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to update mail rule',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_update_rule_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'updateMailRule',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Deletes an inbox rule. With options.preview the rule that would be deleted is returned instead.
+ * @param {string} id - Rule ID
+ * @param {object} options - { preview, mailbox }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>} Result with success flag, or a preview of the deletion
+ */
+async function deleteMailRule(id, options = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail deleteMailRule operation started', {
+      method: 'deleteMailRule',
+      ruleId: id ? id.substring(0, 20) + '...' : null,
+      preview: !!options?.preview,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!id || typeof id !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Rule ID must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'deleteMailRule',
+          idType: typeof id,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'deleteMailRule' });
+    
+    let result;
+    if (options?.preview) {
+      const current = await client.api(`${MESSAGE_RULES_PATH}/${id}`, contextUserId, contextSessionId).get();
+      result = { preview: true, operation: 'delete', rule: normalizeMessageRule(current) };
+    } else {
+      await client.api(`${MESSAGE_RULES_PATH}/${id}`, contextUserId, contextSessionId).delete();
+      result = { success: true, ruleId: id };
+    }
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Mail rule deleted successfully', {
+        ruleId: id.substring(0, 20) + '...',
+        preview: !!options?.preview,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Mail rule deleted with session', {
+        sessionId: contextSessionId,
+        ruleId: id.substring(0, 20) + '...',
+        preview: !!options?.preview,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_delete_rule_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'deleteMailRule',
+      preview: !!options?.preview,
+      timestamp: new Date().toISOString()
+    });
+    
+    return result;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to delete mail rule: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'deleteMailRule',
+        ruleId: id ? id.substring(0, 20) + '...' : null,
+        preview: !!options?.preview,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error deleting mail rule', {
+        errorMessage: 'Failed to delete mail rule',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error deleting mail rule', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to delete mail rule',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_delete_rule_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'deleteMailRule',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Export a message as raw MIME (.eml) content from /messages/{id}/$value.
+ * @param {string} id - Message ID
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @param {object} [options] - { mailbox }
+ * @returns {Promise<object>} { id, subject, fileName, contentType, size, content (Buffer) }
+ */
+async function exportEmailAsMime(id, req, userId, sessionId, options = {}) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail exportEmailAsMime operation started', {
+      method: 'exportEmailAsMime',
+      messageId: id ? id.substring(0, 20) + '...' : null,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!id || typeof id !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Message ID must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'exportEmailAsMime',
+          messageIdType: typeof id,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'exportEmailAsMime' });
+    const message = await client.api(`/me/messages/${id}?$select=subject`, contextUserId, contextSessionId).get();
+    const content = await client.api(`/me/messages/${id}/$value`, contextUserId, contextSessionId).get({ responseType: 'buffer' });
+    
+    const result = {
+      id,
+      subject: message?.subject || '',
+      fileName: buildEmlFileName(message?.subject),
+      contentType: MIME_CONTENT_TYPE,
+      size: content.length,
+      content
+    };
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Message exported as MIME successfully', {
+        size: result.size,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Message exported as MIME with session', {
+        sessionId: contextSessionId,
+        size: result.size,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_export_mime_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'exportEmailAsMime',
+      size: result.size,
+      timestamp: new Date().toISOString()
+    });
+    
+    return result;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to export message as MIME: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'exportEmailAsMime',
+        messageId: id ? id.substring(0, 20) + '...' : null,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error exporting message as MIME', {
+        errorMessage: 'Failed to export message as MIME',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error exporting message as MIME', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to export message as MIME',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_export_mime_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'exportEmailAsMime',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Import a message from MIME (.eml) content. The source is raw MIME text, base64 MIME, or an
+ * .eml file in OneDrive. Graph creates imported messages as drafts in the target folder.
+ * @param {object} source - Exactly one of mimeContent, contentBytes or fileId
+ * @param {string} [source.mimeContent] - Raw MIME text
+ * @param {string} [source.contentBytes] - Base64-encoded MIME
+ * @param {string} [source.fileId] - OneDrive item ID of an .eml file
+ * @param {string} [source.folder] - Target folder ID or well-known name (default: Drafts)
+ * @param {string} [source.mailbox] - Shared or delegated mailbox to import into
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>} Normalized imported message
+ */
+async function importMimeMessage(source = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail importMimeMessage operation started', {
+      method: 'importMimeMessage',
+      source: source?.fileId ? 'file' : (source?.contentBytes ? 'base64' : 'mime'),
+      folder: source?.folder,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    const { mimeContent, contentBytes, fileId, folder, mailbox } = source || {};
+    
+    if ([mimeContent, contentBytes, fileId].filter(Boolean).length !== 1) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Provide exactly one of mimeContent, contentBytes or fileId',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'importMimeMessage',
+          hasMimeContent: !!mimeContent,
+          hasContentBytes: !!contentBytes,
+          hasFileId: !!fileId,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    // The .eml file comes from the signed-in user's own OneDrive; only the message goes to the target mailbox
+    const client = scopeClientToMailbox(graphClient, mailbox, { category: 'mail', operation: 'importMimeMessage' });
+    
+    let mimeBase64;
+    if (fileId) {
+      const file = await graphClient.api(`/me/drive/items/${fileId}/content`, contextUserId, contextSessionId).get({ responseType: 'buffer' });
+      mimeBase64 = file.toString('base64');
+    } else if (contentBytes) {
+      mimeBase64 = contentBytes.replace(/\s+/g, '');
+    } else {
+      mimeBase64 = Buffer.from(mimeContent, 'utf8').toString('base64');
+    }
+    
+    if (mimeBase64.length > MAX_MIME_IMPORT_SIZE) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        `MIME content exceeds the ${MAX_MIME_IMPORT_SIZE / (1024 * 1024)}MB import limit`,
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'importMimeMessage',
+          size: mimeBase64.length,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    // Graph takes MIME as a base64 text/plain body
+    const path = folder ? `/me/mailFolders/${resolveMailFolder(folder)}/messages` : '/me/messages';
+    const created = await client.api(path, contextUserId, contextSessionId).post(mimeBase64, { headers: { 'Content-Type': 'text/plain' } });
+    const result = normalizeEmail(created);
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Message imported from MIME successfully', {
+        messageId: result.id ? result.id.substring(0, 20) + '...' : null,
+        folder: folder || 'drafts',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Message imported from MIME with session', {
+        sessionId: contextSessionId,
+        messageId: result.id ? result.id.substring(0, 20) + '...' : null,
+        folder: folder || 'drafts',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_import_mime_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'importMimeMessage',
+      timestamp: new Date().toISOString()
+    });
+    
+    return result;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to import MIME message: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'importMimeMessage',
+        hasFileId: !!source?.fileId,
+        folder: source?.folder,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error importing MIME message', {
+        errorMessage: 'Failed to import MIME message',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error importing MIME message', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to import MIME message',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_import_mime_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'importMimeMessage',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Lists scheduled (deferred) messages waiting in the Outbox, next to go out first.
+ * @param {object} options - { top, mailbox }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<Array<object>>} Normalized messages with scheduledSendTime
+ */
+async function listScheduledEmails(options = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail listScheduledEmails operation started', {
+      method: 'listScheduledEmails',
+      top: options?.top,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    const top = options?.top || 25;
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'listScheduledEmails' });
+    
+    const select = 'id,subject,toRecipients,ccRecipients,bccRecipients,bodyPreview,importance,categories,hasAttachments,lastModifiedDateTime,webLink';
+    const res = await client.api(`/me/mailFolders/outbox/messages?$top=${top}&$select=${select}&$expand=${encodeURIComponent(DEFERRED_SEND_EXPAND)}`, contextUserId, contextSessionId).get();
+    const scheduled = (res.value || [])
+      .map(normalizeScheduledMessage)
+      .filter(message => message.scheduledSendTime)
+      .sort((a, b) => a.scheduledSendTime.localeCompare(b.scheduledSendTime));
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Scheduled emails retrieved successfully', {
+        scheduledCount: scheduled.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Scheduled emails retrieved with session', {
+        sessionId: contextSessionId,
+        scheduledCount: scheduled.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_list_scheduled_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'listScheduledEmails',
+      scheduledCount: scheduled.length,
+      timestamp: new Date().toISOString()
+    });
+    
+    return scheduled;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to list scheduled emails: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'listScheduledEmails',
+        top: options?.top,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error listing scheduled emails', {
+        errorMessage: 'Failed to list scheduled emails',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error listing scheduled emails', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to list scheduled emails',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_list_scheduled_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'listScheduledEmails',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Cancels a scheduled (deferred) message before it goes out. By default the message is moved
+ * back to Drafts so it can be edited; its send time is then in the past, so sending the draft
+ * again delivers it immediately. With options.discard the message is deleted instead.
+ * @param {string} id - Message ID
+ * @param {object} options - { discard, mailbox }
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>} { id, subject, scheduledSendTime, cancelled, action }
+ */
+async function cancelScheduledEmail(id, options = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail cancelScheduledEmail operation started', {
+      method: 'cancelScheduledEmail',
+      messageId: id ? id.substring(0, 20) + '...' : null,
+      discard: !!options?.discard,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    if (!id || typeof id !== 'string') {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Message ID must be a non-empty string',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'cancelScheduledEmail',
+          messageIdType: typeof id,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'cancelScheduledEmail' });
+    const message = await client.api(`/me/messages/${id}?$select=id,subject&$expand=${encodeURIComponent(DEFERRED_SEND_EXPAND)}`, contextUserId, contextSessionId).get();
+    const scheduledSendTime = getDeferredSendTime(message);
+    
+    if (!scheduledSendTime) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Message is not scheduled for later delivery',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'cancelScheduledEmail',
+          messageId: id.substring(0, 20) + '...',
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    if (new Date(scheduledSendTime) <= new Date()) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Message has already reached its scheduled send time and can no longer be cancelled',
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'cancelScheduledEmail',
+          messageId: id.substring(0, 20) + '...',
+          scheduledSendTime,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    let result;
+    if (options?.discard) {
+      await client.api(`/me/messages/${id}`, contextUserId, contextSessionId).delete();
+      result = { id, subject: message.subject, scheduledSendTime, cancelled: true, action: 'deleted' };
+    } else {
+      const moved = await client.api(`/me/messages/${id}/move`, contextUserId, contextSessionId).post({ destinationId: 'drafts' });
+      result = { id: moved?.id || id, subject: message.subject, scheduledSendTime, cancelled: true, action: 'movedToDrafts' };
+    }
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Scheduled email cancelled successfully', {
+        action: result.action,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Scheduled email cancelled with session', {
+        sessionId: contextSessionId,
+        action: result.action,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_cancel_scheduled_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'cancelScheduledEmail',
+      action: result.action,
+      timestamp: new Date().toISOString()
+    });
+    
+    return result;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to cancel scheduled email: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'cancelScheduledEmail',
+        messageId: id ? id.substring(0, 20) + '...' : null,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error cancelling scheduled email', {
+        errorMessage: 'Failed to cancel scheduled email',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error cancelling scheduled email', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to cancel scheduled email',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_cancel_scheduled_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'cancelScheduledEmail',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Applies one action to many messages through Graph $batch, 20 messages per call. A failed
+ * message does not stop the others; every message ID gets its own result.
+ * @param {string} action - 'markRead', 'markUnread', 'flag', 'unflag', 'move' or 'delete'
+ * @param {Array<string>} ids - Message IDs (duplicates are ignored)
+ * @param {object} options - { destinationFolderId } for move, { mailbox } for a shared mailbox
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>} { action, total, succeeded, failed, results: [{ id, success, newId, error }] }
+ */
+async function bulkMailAction(action, ids, options = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Mail bulkMailAction operation started', {
+      method: 'bulkMailAction',
+      action,
+      messageCount: Array.isArray(ids) ? ids.length : 0,
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    const messageIds = [...new Set((Array.isArray(ids) ? ids : [ids]).filter(id => typeof id === 'string' && id))];
+    
+    if (!BULK_MAIL_ACTIONS.includes(action)) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        `Unsupported bulk action '${action}'. Use one of: ${BULK_MAIL_ACTIONS.join(', ')}`,
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'bulkMailAction',
+          action,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    if (messageIds.length === 0 || messageIds.length > MAX_BULK_MESSAGES) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        `Provide between 1 and ${MAX_BULK_MESSAGES} message IDs`,
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'bulkMailAction',
+          messageCount: messageIds.length,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    if (action === 'move' && (!options?.destinationFolderId || typeof options.destinationFolderId !== 'string')) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        `Destination must be a folder ID or a well-known folder name (${WELL_KNOWN_MAIL_FOLDERS.join(', ')})`,
+        'warning',
+        {
+          service: 'graph-mail-service',
+          method: 'bulkMailAction',
+          action,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'bulkMailAction' });
+    const results = [];
+    
+    for (let i = 0; i < messageIds.length; i += BATCH_CHUNK_SIZE) {
+      const chunk = messageIds.slice(i, i + BATCH_CHUNK_SIZE);
+      const requests = chunk.map((id, index) => ({ id: String(index + 1), ...buildBulkMailRequest(action, id, options) }));
+      
+      try {
+        // Sub-responses can arrive in any order; pair each message with the response to its request id
+        const responses = new Map((await client.batch(requests)).filter(Boolean).map(response => [String(response.id), response]));
+        requests.forEach((request, index) => results.push(normalizeBulkResult(chunk[index], responses.get(request.id))));
+      } catch (error) {
+        // A failed $batch call fails every message in its chunk; later chunks still run
+        chunk.forEach(id => results.push({ id, success: false, error: { code: error.code || 'BatchFailed', message: error.message } }));
+      }
+    }
+    
+    const succeeded = results.filter(r => r.success).length;
+    const result = { action, total: results.length, succeeded, failed: results.length - succeeded, results };
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Bulk mail action completed successfully', {
+        action,
+        total: result.total,
+        failed: result.failed,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Bulk mail action completed with session', {
+        sessionId: contextSessionId,
+        action,
+        total: result.total,
+        failed: result.failed,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_bulk_action_success', executionTime, {
+      service: 'graph-mail-service',
+      method: 'bulkMailAction',
+      action,
+      total: result.total,
+      failed: result.failed,
+      timestamp: new Date().toISOString()
+    });
+    
+    return result;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to run bulk mail action: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mail-service',
+        method: 'bulkMailAction',
+        action,
+        messageCount: Array.isArray(ids) ? ids.length : 0,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error running bulk mail action', {
+        errorMessage: 'Failed to run bulk mail action',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error running bulk mail action', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to run bulk mail action',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mail_bulk_action_failure', executionTime, {
+      service: 'graph-mail-service',
+      method: 'bulkMailAction',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Marks many messages as read or unread in one bulk operation.
+ * @param {Array<string>} ids - Message IDs
+ * @param {boolean} isRead - Read state to set
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>} Bulk result
+ */
+async function bulkMarkAsRead(ids, isRead = true, req, userId, sessionId) {
+  return bulkMailAction(isRead ? 'markRead' : 'markUnread', ids, {}, req, userId, sessionId);
+}
+
+/**
+ * Flags or unflags many messages in one bulk operation.
+ * @param {Array<string>} ids - Message IDs
+ * @param {boolean} flag - Flag state
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>} Bulk result
+ */
+async function bulkFlagEmails(ids, flag = true, req, userId, sessionId) {
+  return bulkMailAction(flag ? 'flag' : 'unflag', ids, {}, req, userId, sessionId);
+}
+
+/**
+ * Moves many messages to a folder in one bulk operation.
+ * @param {Array<string>} ids - Message IDs
+ * @param {string} destinationFolderId - Folder ID or well-known folder name
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>} Bulk result; moved messages include their newId
+ */
+async function bulkMoveEmails(ids, destinationFolderId, req, userId, sessionId) {
+  return bulkMailAction('move', ids, { destinationFolderId }, req, userId, sessionId);
+}
+
+/**
+ * Deletes many messages (moves them to Deleted Items) in one bulk operation.
+ * @param {Array<string>} ids - Message IDs
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for logging context
+ * @param {string} sessionId - Session ID for logging context
+ * @returns {Promise<object>} Bulk result
+ */
+async function bulkDeleteEmails(ids, req, userId, sessionId) {
+  return bulkMailAction('delete', ids, {}, req, userId, sessionId);
+}
+
 module.exports = {
   getInbox,
   searchEmails,
+  searchEmailsByCriteria,
   sendEmail,
   flagEmail,
   getAttachments,
   getInboxRaw,
   getEmailDetails,
   markAsRead,
+  setEmailImportance,
   addMailAttachment,
-  removeMailAttachment
+  removeMailAttachment,
+  replyToEmail,
+  replyAllToEmail,
+  forwardEmail,
+  createDraft,
+  updateDraft,
+  listDrafts,
+  sendDraft,
+  deleteDraft,
+  listMailFolders,
+  getMessagesInFolder,
+  createMailFolder,
+  moveEmail,
+  copyEmail,
+  getConversation,
+  getMailChanges,
+  listMailRules,
+  createMailRule,
+  updateMailRule,
+  deleteMailRule,
+  exportEmailAsMime,
+  importMimeMessage,
+  listScheduledEmails,
+  cancelScheduledEmail,
+  bulkMailAction,
+  bulkMarkAsRead,
+  bulkFlagEmails,
+  bulkMoveEmails,
+  bulkDeleteEmails
 };
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Mailbox access - lets mail and calendar operations target a shared or
+ * delegated mailbox (/users/{id}) instead of the signed-in user's own (/me).
+ * Services build paths as /me/...; scopeClientToMailbox rewrites them for the target
+ * mailbox and turns Graph permission failures into descriptive MCP errors.
+ */
+
+const ErrorService = require('../core/error-service.cjs');
+const MonitoringService = require('../core/monitoring-service.cjs');
+
+const EMAIL_ADDRESS_PATTERN = /^[^\s/@]+@[^\s/@]+\.[^\s/@]+$/;
+const OBJECT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Graph error codes returned when the target mailbox does not exist or cannot be reached over REST
+const MAILBOX_NOT_FOUND_CODES = /ErrorInvalidUser|ErrorNonExistentMailbox|MailboxNotEnabledForRESTAPI|MailboxNotFound/i;
+
+// Delegated permissions needed on top of the mailbox owner's grant
+const SHARED_SCOPES = {
+  mail: 'Mail.ReadWrite.Shared and Mail.Send.Shared permissions',
+  calendar: 'Calendars.ReadWrite.Shared permission'
+};
+
+/**
+ * Whether a mailbox argument refers to the signed-in user's own mailbox.
+ * @param {string} [mailbox] - Mailbox address, user ID or 'me'
+ * @returns {boolean}
+ */
+function isOwnMailbox(mailbox) {
+  return mailbox === undefined || mailbox === null || mailbox === '' || String(mailbox).toLowerCase() === 'me';
+}
+
+/**
+ * Returns the Graph path prefix for a mailbox.
+ * @param {string} [mailbox] - Email address or user object ID of a shared/delegated mailbox; 'me' or empty for the signed-in user
+ * @param {object} [context] - { category, operation } for error reporting
+ * @returns {string} '/me' or '/users/{mailbox}'
+ */
+function getMailboxPath(mailbox, context = {}) {
+  if (isOwnMailbox(mailbox)) {
+    return '/me';
+  }
+
+  const value = typeof mailbox === 'string' ? mailbox.trim() : '';
+  if (!EMAIL_ADDRESS_PATTERN.test(value) && !OBJECT_ID_PATTERN.test(value)) {
+    const mcpError = ErrorService.createError(
+      context.category || 'graph',
+      'mailbox must be an email address or user ID',
+      'warning',
+      {
+        service: 'mailbox-access',
+        operation: context.operation,
+        mailboxType: typeof mailbox,
+        timestamp: new Date().toISOString()
+      }
+    );
+    MonitoringService.logError(mcpError);
+    throw mcpError;
+  }
+
+  return `/users/${encodeURIComponent(value)}`;
+}
+
+/**
+ * Turns a Graph failure on another user's mailbox into an error that says what is missing.
+ * @param {object} error - Error thrown by the Graph client
+ * @param {string} mailbox - Target mailbox
+ * @param {object} [context] - { category, operation }
+ * @returns {object|null} MCP error, or null when the failure is not about mailbox access
+ */
+function createMailboxAccessError(error, mailbox, context = {}) {
+  const category = context.category || 'graph';
+  const statusCode = error?.context?.statusCode;
+  const graphCode = error?.context?.graphError?.code || '';
+  const details = `${graphCode} ${error?.message || ''}`;
+
+  let message;
+  let code;
+  if (statusCode === 403 || /ErrorAccessDenied|AccessDenied/i.test(graphCode)) {
+    code = 'MAILBOX_ACCESS_DENIED';
+    message = `Access to mailbox ${mailbox} was denied. The signed-in user needs ${category === 'calendar' ? 'delegate access to that calendar' : 'Full Access or delegate permission on that mailbox'}` +
+      ` and the app needs the ${SHARED_SCOPES[category] || SHARED_SCOPES.mail}.`;
+  } else if (MAILBOX_NOT_FOUND_CODES.test(details)) {
+    code = 'MAILBOX_NOT_FOUND';
+    message = `Mailbox ${mailbox} was not found or is not available through Microsoft Graph.`;
+  } else {
+    return null;
+  }
+
+  const mcpError = ErrorService.createError(
+    code === 'MAILBOX_ACCESS_DENIED' ? ErrorService.CATEGORIES.AUTH : category,
+    message,
+    'error',
+    {
+      service: 'mailbox-access',
+      operation: context.operation,
+      code,
+      mailbox,
+      statusCode,
+      graphErrorCode: graphCode || undefined,
+      timestamp: new Date().toISOString()
+    }
+  );
+  MonitoringService.logError(mcpError);
+  return mcpError;
+}
+
+/**
+ * Wraps a Graph client so requests built for /me go to the given mailbox. The signed-in
+ * user's own mailbox gets the client back unchanged.
+ * @param {object} client - Graph client from graphClientFactory.createClient
+ * @param {string} [mailbox] - Email address or user ID of a shared/delegated mailbox
+ * @param {object} [context] - { category: 'mail' | 'calendar', operation } for error reporting
+ * @returns {object} Client with the same api/batch/upload interface
+ */
+function scopeClientToMailbox(client, mailbox, context = {}) {
+  if (isOwnMailbox(mailbox)) {
+    return client;
+  }
+
+  const mailboxPath = getMailboxPath(mailbox, context);
+  const scopePath = path => (typeof path === 'string' ? path.replace(/^\/me(?=[/?]|$)/, mailboxPath) : path);
+  const withAccessErrors = promise => promise.catch(error => {
+    throw createMailboxAccessError(error, mailbox, context) || error;
+  });
+
+  return {
+    api(path, userId, sessionId) {
+      const request = client.api(scopePath(path), userId, sessionId);
+      return {
+        get: options => withAccessErrors(request.get(options)),
+        post: (body, options) => withAccessErrors(request.post(body, options)),
+        put: (body, options) => withAccessErrors(request.put(body, options)),
+        patch: (body, options) => withAccessErrors(request.patch(body, options)),
+        delete: options => withAccessErrors(request.delete(options))
+      };
+    },
+    batch: requests => withAccessErrors(client.batch(requests.map(request => ({ ...request, url: scopePath(request.url) })))),
+    uploadRange: (...args) => client.uploadRange(...args),
+    getUploadSession: (...args) => client.getUploadSession(...args)
+  };
+}
+
+module.exports = {
+  isOwnMailbox,
+  getMailboxPath,
+  createMailboxAccessError,
+  scopeClientToMailbox
+};
@@ -0,0 +1,741 @@
+/**
+ * @fileoverview MailboxSettingsService - Microsoft Graph mailbox settings operations.
+ * Reads and updates automatic replies (out-of-office), working hours, language and
+ * time/date formats. All methods are async and use GraphClient for requests.
+ */
+
+const graphClientFactory = require('./graph-client.cjs');
+const MonitoringService = require('../core/monitoring-service.cjs');
+const ErrorService = require('../core/error-service.cjs');
+const { scopeClientToMailbox } = require('./mailbox-access.cjs');
+
+const MAILBOX_SETTINGS_PATH = '/me/mailboxSettings';
+
+// Graph automaticRepliesSetting enums
+const AUTOMATIC_REPLY_STATUSES = ['disabled', 'alwaysEnabled', 'scheduled'];
+const EXTERNAL_AUDIENCES = ['none', 'contactsOnly', 'all'];
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Normalizes a Graph automaticRepliesSetting resource.
+ * @param {object} setting - Raw automaticRepliesSetting
+ * @returns {object} Normalized automatic replies
+ */
+function normalizeAutomaticReplies(setting) {
+  if (!setting) {
+    return null;
+  }
+
+  return {
+    status: setting.status || 'disabled',
+    externalAudience: setting.externalAudience || 'none',
+    scheduledStart: setting.scheduledStartDateTime || null,
+    scheduledEnd: setting.scheduledEndDateTime || null,
+    internalReplyMessage: setting.internalReplyMessage || '',
+    externalReplyMessage: setting.externalReplyMessage || ''
+  };
+}
+
+/**
+ * Normalizes a Graph mailboxSettings resource.
+ * @param {object} settings - Raw mailboxSettings
+ * @returns {object} Normalized mailbox settings
+ */
+function normalizeMailboxSettings(settings) {
+  const workingHours = settings.workingHours || null;
+
+  return {
+    timeZone: settings.timeZone || null,
+    language: settings.language?.locale || null,
+    languageName: settings.language?.displayName || null,
+    dateFormat: settings.dateFormat || null,
+    timeFormat: settings.timeFormat || null,
+    workingHours: workingHours ? {
+      daysOfWeek: workingHours.daysOfWeek || [],
+      startTime: workingHours.startTime || null,
+      endTime: workingHours.endTime || null,
+      timeZone: workingHours.timeZone?.name || null
+    } : null,
+    automaticReplies: normalizeAutomaticReplies(settings.automaticRepliesSetting)
+  };
+}
+
+/**
+ * Converts a date/time input into a Graph dateTimeTimeZone. Values carrying a UTC
+ * offset ("Z" or "+02:00") are converted to UTC; plain local values use `timeZone`.
+ * @param {string|object} value - ISO date/time string or { dateTime, timeZone }
+ * @param {string} timeZone - Time zone for values without an offset
+ * @returns {object|null} { dateTime, timeZone } or null when the value cannot be parsed
+ */
+function toDateTimeTimeZone(value, timeZone) {
+  if (value && typeof value === 'object') {
+    return value.dateTime ? { dateTime: value.dateTime, timeZone: value.timeZone || timeZone } : null;
+  }
+  if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+    return null;
+  }
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+    return { dateTime: new Date(value).toISOString().replace(/\.\d{3}Z$/, ''), timeZone: 'UTC' };
+  }
+  // A bare date means the start of that day
+  return { dateTime: /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value, timeZone };
+}
+
+/**
+ * Pads "9:00" / "09:00" style times to the HH:mm:ss form Graph expects.
+ * @param {string} time - Time of day
+ * @returns {string|null} Normalized time or null when invalid
+ */
+function toTimeOfDay(time) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(time || '').trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null;
+  }
+  return `${match[1].padStart(2, '0')}:${match[2]}:${match[3] || '00'}`;
+}
+
+/**
+ * Gets the signed-in user's mailbox settings: time zone, language, date/time formats,
+ * working hours and automatic replies.
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @param {object} [options] - { mailbox }
+ * @returns {Promise<object>} Normalized mailbox settings
+ */
+async function getMailboxSettings(req, userId, sessionId, options = {}) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Getting mailbox settings', {
+      method: 'getMailboxSettings',
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'getMailboxSettings' });
+    const settings = await client.api(MAILBOX_SETTINGS_PATH, contextUserId, contextSessionId).get();
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Mailbox settings retrieved successfully', {
+        timeZone: settings.timeZone,
+        automaticRepliesStatus: settings.automaticRepliesSetting?.status || 'unknown',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Mailbox settings retrieved with session', {
+        sessionId: contextSessionId,
+        timeZone: settings.timeZone,
+        automaticRepliesStatus: settings.automaticRepliesSetting?.status || 'unknown',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mailbox_settings_get_success', executionTime, {
+      service: 'graph-mailbox-settings-service',
+      method: 'getMailboxSettings',
+      timestamp: new Date().toISOString()
+    });
+    
+    return normalizeMailboxSettings(settings);
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to get mailbox settings: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mailbox-settings-service',
+        method: 'getMailboxSettings',
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error getting mailbox settings', {
+        errorMessage: 'Failed to get mailbox settings',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error getting mailbox settings', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to get mailbox settings',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mailbox_settings_get_failure', executionTime, {
+      service: 'graph-mailbox-settings-service',
+      method: 'getMailboxSettings',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Updates working hours, language and time/date formats. Working hours may be partial;
+ * missing fields keep their current values.
+ * @param {object} updates - Settings to change
+ * @param {object} [updates.workingHours] - { daysOfWeek, startTime, endTime, timeZone }
+ * @param {string} [updates.language] - Locale such as "en-US"
+ * @param {string} [updates.timeFormat] - Time format such as "HH:mm" or "h:mm tt"
+ * @param {string} [updates.dateFormat] - Date format such as "yyyy-MM-dd"
+ * @param {string} [updates.mailbox] - Shared or delegated mailbox to update
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @returns {Promise<object>} Normalized mailbox settings after the update
+ */
+async function updateMailboxSettings(updates = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Updating mailbox settings', {
+      method: 'updateMailboxSettings',
+      updateFields: Object.keys(updates || {}),
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    const { workingHours, language, timeFormat, dateFormat } = updates || {};
+    
+    if (!workingHours && !language && !timeFormat && !dateFormat) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'At least one of workingHours, language, timeFormat or dateFormat is required',
+        'warning',
+        {
+          service: 'graph-mailbox-settings-service',
+          method: 'updateMailboxSettings',
+          updateFields: Object.keys(updates || {}),
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, updates?.mailbox, { category: 'mail', operation: 'updateMailboxSettings' });
+    const current = await client.api(MAILBOX_SETTINGS_PATH, contextUserId, contextSessionId).get();
+    const payload = {};
+    
+    if (workingHours) {
+      // Graph replaces workingHours as a whole, so merge partial updates onto the current value
+      const currentHours = current.workingHours || {};
+      const daysOfWeek = (workingHours.daysOfWeek || currentHours.daysOfWeek || []).map(day => String(day).toLowerCase());
+      const startTime = workingHours.startTime ? toTimeOfDay(workingHours.startTime) : currentHours.startTime;
+      const endTime = workingHours.endTime ? toTimeOfDay(workingHours.endTime) : currentHours.endTime;
+      
+      if (daysOfWeek.length === 0 || daysOfWeek.some(day => !DAYS_OF_WEEK.includes(day))) {
+        const mcpError = ErrorService.createError(
+          'mail',
+          'Invalid workingHours.daysOfWeek: use day names such as monday',
+          'warning',
+          {
+            service: 'graph-mailbox-settings-service',
+            method: 'updateMailboxSettings',
+            daysOfWeek,
+            timestamp: new Date().toISOString()
+          }
+        );
+        MonitoringService.logError(mcpError);
+        throw mcpError;
+      }
+      
+      if (!startTime || !endTime || startTime >= endTime) {
+        const mcpError = ErrorService.createError(
+          'mail',
+          'Invalid working hours: startTime and endTime must be HH:mm and startTime must be before endTime',
+          'warning',
+          {
+            service: 'graph-mailbox-settings-service',
+            method: 'updateMailboxSettings',
+            startTime: workingHours.startTime,
+            endTime: workingHours.endTime,
+            timestamp: new Date().toISOString()
+          }
+        );
+        MonitoringService.logError(mcpError);
+        throw mcpError;
+      }
+      
+      payload.workingHours = {
+        daysOfWeek,
+        startTime,
+        endTime,
+        timeZone: { name: workingHours.timeZone || currentHours.timeZone?.name || current.timeZone || 'UTC' }
+      };
+    }
+    if (language) {
+      payload.language = { locale: language };
+    }
+    if (timeFormat) {
+      payload.timeFormat = timeFormat;
+    }
+    if (dateFormat) {
+      payload.dateFormat = dateFormat;
+    }
+    
+    const updated = await client.api(MAILBOX_SETTINGS_PATH, contextUserId, contextSessionId).patch(payload);
+    const settings = normalizeMailboxSettings({ ...current, ...payload, ...(updated || {}) });
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Mailbox settings updated successfully', {
+        updatedFields: Object.keys(payload),
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Mailbox settings updated with session', {
+        sessionId: contextSessionId,
+        updatedFields: Object.keys(payload),
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mailbox_settings_update_success', executionTime, {
+      service: 'graph-mailbox-settings-service',
+      method: 'updateMailboxSettings',
+      timestamp: new Date().toISOString()
+    });
+    
+    return settings;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to update mailbox settings: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mailbox-settings-service',
+        method: 'updateMailboxSettings',
+        updateFields: Object.keys(updates || {}),
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error updating mailbox settings', {
+        errorMessage: 'Failed to update mailbox settings',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error updating mailbox settings', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to update mailbox settings',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mailbox_settings_update_failure', executionTime, {
+      service: 'graph-mailbox-settings-service',
+      method: 'updateMailboxSettings',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Gets the automatic replies (out-of-office) setting.
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @param {object} [options] - { mailbox }
+ * @returns {Promise<object>} Normalized automatic replies
+ */
+async function getAutomaticReplies(req, userId, sessionId, options = {}) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Getting automatic replies', {
+      method: 'getAutomaticReplies',
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, options.mailbox, { category: 'mail', operation: 'getAutomaticReplies' });
+    const setting = await client.api(`${MAILBOX_SETTINGS_PATH}/automaticRepliesSetting`, contextUserId, contextSessionId).get();
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Automatic replies retrieved successfully', {
+        status: setting?.status || 'unknown',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Automatic replies retrieved with session', {
+        sessionId: contextSessionId,
+        status: setting?.status || 'unknown',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mailbox_automatic_replies_get_success', executionTime, {
+      service: 'graph-mailbox-settings-service',
+      method: 'getAutomaticReplies',
+      timestamp: new Date().toISOString()
+    });
+    
+    return normalizeAutomaticReplies(setting);
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to get automatic replies: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mailbox-settings-service',
+        method: 'getAutomaticReplies',
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error getting automatic replies', {
+        errorMessage: 'Failed to get automatic replies',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error getting automatic replies', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to get automatic replies',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mailbox_automatic_replies_get_failure', executionTime, {
+      service: 'graph-mailbox-settings-service',
+      method: 'getAutomaticReplies',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+/**
+ * Sets automatic replies (out-of-office). Passing a start and end schedules the replies for
+ * that window; status "disabled" turns them off. Messages left out keep their current text.
+ * @param {object} settings - Automatic reply settings
+ * @param {string} [settings.status] - disabled, alwaysEnabled or scheduled
+ * @param {string|object} [settings.startDateTime] - Start of the scheduled window
+ * @param {string|object} [settings.endDateTime] - End of the scheduled window
+ * @param {string} [settings.timeZone] - Time zone for start/end values without an offset
+ * @param {string} [settings.internalReplyMessage] - Reply sent inside the organization
+ * @param {string} [settings.externalReplyMessage] - Reply sent to external senders
+ * @param {string} [settings.externalAudience] - none, contactsOnly or all
+ * @param {string} [settings.mailbox] - Shared or delegated mailbox to update
+ * @param {object} req - Express request object
+ * @param {string} userId - User ID for context
+ * @param {string} sessionId - Session ID for context
+ * @returns {Promise<object>} Normalized automatic replies after the update
+ */
+async function setAutomaticReplies(settings = {}, req, userId, sessionId) {
+  const startTime = Date.now();
+  
+  // Extract user context from request if not provided
+  const contextUserId = userId || req?.user?.userId;
+  const contextSessionId = sessionId || req?.session?.id;
+  
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Setting automatic replies', {
+      method: 'setAutomaticReplies',
+      status: settings?.status,
+      hasSchedule: !!(settings?.startDateTime || settings?.endDateTime),
+      sessionId: contextSessionId,
+      userAgent: req?.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'mail');
+  }
+  
+  try {
+    const {
+      startDateTime,
+      endDateTime,
+      internalReplyMessage,
+      externalReplyMessage,
+      externalAudience
+    } = settings || {};
+    // A date range implies a scheduled reply; otherwise turn replies on until switched off
+    const status = settings?.status || (startDateTime || endDateTime ? 'scheduled' : 'alwaysEnabled');
+    
+    if (!AUTOMATIC_REPLY_STATUSES.includes(status)) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        `Invalid status: use ${AUTOMATIC_REPLY_STATUSES.join(', ')}`,
+        'warning',
+        {
+          service: 'graph-mailbox-settings-service',
+          method: 'setAutomaticReplies',
+          status,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    if (externalAudience && !EXTERNAL_AUDIENCES.includes(externalAudience)) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        `Invalid externalAudience: use ${EXTERNAL_AUDIENCES.join(', ')}`,
+        'warning',
+        {
+          service: 'graph-mailbox-settings-service',
+          method: 'setAutomaticReplies',
+          externalAudience,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    if (status === 'scheduled' && (!startDateTime || !endDateTime)) {
+      const mcpError = ErrorService.createError(
+        'mail',
+        'Scheduled automatic replies need both startDateTime and endDateTime',
+        'warning',
+        {
+          service: 'graph-mailbox-settings-service',
+          method: 'setAutomaticReplies',
+          hasStart: !!startDateTime,
+          hasEnd: !!endDateTime,
+          timestamp: new Date().toISOString()
+        }
+      );
+      MonitoringService.logError(mcpError);
+      throw mcpError;
+    }
+    
+    const graphClient = await graphClientFactory.createClient(req, contextUserId, contextSessionId);
+    
+    const client = scopeClientToMailbox(graphClient, settings?.mailbox, { category: 'mail', operation: 'setAutomaticReplies' });
+    const payload = { status };
+    
+    if (status === 'scheduled') {
+      // Local times without an offset are read in the given zone, falling back to the mailbox time zone
+      let timeZone = settings?.timeZone;
+      if (!timeZone) {
+        const current = await client.api(`${MAILBOX_SETTINGS_PATH}?$select=timeZone`, contextUserId, contextSessionId).get();
+        timeZone = current?.timeZone || 'UTC';
+      }
+      const start = toDateTimeTimeZone(startDateTime, timeZone);
+      const end = toDateTimeTimeZone(endDateTime, timeZone);
+      
+      if (!start || !end || (start.timeZone === end.timeZone && start.dateTime >= end.dateTime)) {
+        const mcpError = ErrorService.createError(
+          'mail',
+          'Invalid schedule: startDateTime and endDateTime must be valid dates with the start before the end',
+          'warning',
+          {
+            service: 'graph-mailbox-settings-service',
+            method: 'setAutomaticReplies',
+            startDateTime,
+            endDateTime,
+            timestamp: new Date().toISOString()
+          }
+        );
+        MonitoringService.logError(mcpError);
+        throw mcpError;
+      }
+      
+      payload.scheduledStartDateTime = start;
+      payload.scheduledEndDateTime = end;
+    }
+    if (internalReplyMessage !== undefined) {
+      payload.internalReplyMessage = internalReplyMessage;
+    }
+    if (externalReplyMessage !== undefined) {
+      payload.externalReplyMessage = externalReplyMessage;
+    }
+    if (externalAudience) {
+      payload.externalAudience = externalAudience;
+    }
+    
+    const updated = await client.api(MAILBOX_SETTINGS_PATH, contextUserId, contextSessionId).patch({ automaticRepliesSetting: payload });
+    const result = normalizeAutomaticReplies({ ...payload, ...(updated?.automaticRepliesSetting || {}) });
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Automatic replies updated successfully', {
+        status: result.status,
+        externalAudience: result.externalAudience,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Automatic replies updated with session', {
+        sessionId: contextSessionId,
+        status: result.status,
+        externalAudience: result.externalAudience,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mailbox_automatic_replies_set_success', executionTime, {
+      service: 'graph-mailbox-settings-service',
+      method: 'setAutomaticReplies',
+      timestamp: new Date().toISOString()
+    });
+    
+    return result;
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+    
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'mail',
+      `Failed to set automatic replies: ${error.message}`,
+      'error',
+      {
+        service: 'graph-mailbox-settings-service',
+        method: 'setAutomaticReplies',
+        status: settings?.status,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+    
+    MonitoringService.logError(mcpError);
+    
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error setting automatic replies', {
+        errorMessage: 'Failed to set automatic replies',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error setting automatic replies', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to set automatic replies',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'mail');
+    }
+    
+    MonitoringService.trackMetric('graph_mailbox_automatic_replies_set_failure', executionTime, {
+      service: 'graph-mailbox-settings-service',
+      method: 'setAutomaticReplies',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+    
+    throw mcpError;
+  }
+}
+
+module.exports = {
+  getMailboxSettings,
+  updateMailboxSettings,
+  getAutomaticReplies,
+  setAutomaticReplies
+};
@@ -79,6 +79,7 @@ function normalizeEmail(graphEmail, userId, sessionId) {
             preview: graphEmail.bodyPreview ? graphEmail.bodyPreview.substring(0, 150) : '',
             isRead: !!graphEmail.isRead,
             importance: graphEmail.importance,
+            categories: Array.isArray(graphEmail.categories) ? graphEmail.categories : [],
             hasAttachments: !!graphEmail.hasAttachments,
             hasInlineImages: !!(graphEmail.attachments && graphEmail.attachments.some(att => att.isInline))
         };
@@ -146,6 +147,603 @@ function normalizeEmail(graphEmail, userId, sessionId) {
     }
 }
 
+// Reply/forward headers that start the quoted history of a message
+const QUOTE_MARKERS = [
+    /^\s*On\b[^\n]{0,200}(?:\n[^\n]{0,200})?\bwrote:\s*$/m,
+    /^\s*-{2,}\s*(?:Original Message|Forwarded message)\s*-{2,}/im,
+    /^\s*_{10,}\s*$/m,
+    /^\s*From:\s[^\n]+\n(?:[^\n]+\n){0,3}?\s*(?:Sent|Date):\s/im
+];
+
+// The "-- " signature delimiter (RFC 3676) and the footers mobile clients append
+const SIGNATURE_MARKERS = [
+    /^-- ?$/m,
+    /^\s*Sent from my [^\n]{1,40}$/im,
+    /^\s*Get Outlook for (?:iOS|Android)\s*$/im
+];
+
+/**
+ * Cuts a plain-text body at the earliest of the given markers.
+ * @param {string} text - Plain-text body
+ * @param {Array<RegExp>} markers - Markers to look for
+ * @returns {string} Text before the first marker found
+ */
+function cutAtMarkers(text, markers) {
+    let body = text;
+    for (const marker of markers) {
+        const match = body.match(marker);
+        if (match) {
+            body = body.substring(0, match.index);
+        }
+    }
+    return body;
+}
+
+/**
+ * Removes quoted earlier messages from a plain-text email body so each message in a
+ * thread only contributes what its author actually wrote.
+ * @param {string} text - Plain-text message body
+ * @returns {string} Body without quoted replies or forwarded history
+ */
+function stripQuotedReply(text) {
+    if (!text || typeof text !== 'string') {
+        return '';
+    }
+    
+    // Cut everything from the first reply/forward header onwards
+    const body = cutAtMarkers(text.replace(/\r\n/g, '\n'), QUOTE_MARKERS);
+    
+    // Drop any remaining '>' quoted lines
+    return body
+        .split('\n')
+        .filter(line => !/^\s*>/.test(line))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Body formats callers can request; 'html' returns the body exactly as Graph sent it
+const BODY_FORMATS = ['html', 'text', 'markdown', 'summary-ready'];
+
+const HTML_ENTITIES = {
+    nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+    ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    bull: '•', middot: '·', copy: '©', reg: '®', trade: '™', euro: '€',
+    zwnj: '', zwj: '', shy: ''
+};
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+
+// Elements that end a line, and those that also leave a blank line around them
+const LINE_TAGS = new Set(['div', 'tr', 'li', 'dt', 'dd', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'center', 'address', 'figure', 'figcaption', 'form', 'fieldset']);
+const PARAGRAPH_TAGS = new Set(['p', 'table', 'ul', 'ol', 'dl', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre']);
+
+// Elements whose content is rewritten as a whole when they close
+const CAPTURE_TAGS = new Set(['a', 'b', 'strong', 'i', 'em', 'code', 'blockquote', 'pre']);
+
+// Marks preformatted lines so whitespace cleanup leaves them alone
+const PRE_LINE_MARK = '\u0001';
+
+/**
+ * Decodes named and numeric HTML character references.
+ * @param {string} text - HTML text
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+        }
+        const named = HTML_ENTITIES[code.toLowerCase()];
+        return named !== undefined ? named : entity;
+    });
+}
+
+/**
+ * Parses the attribute text of an HTML tag.
+ * @param {string} attributeText - Text between the tag name and '>'
+ * @returns {object} Attributes keyed by lowercase name
+ */
+function parseHtmlAttributes(attributeText) {
+    const attributes = {};
+    const pattern = /([^\s=/"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+    while ((match = pattern.exec(attributeText)) !== null) {
+        attributes[match[1].toLowerCase()] = decodeHtmlEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return attributes;
+}
+
+/**
+ * Whether an element is never shown to the reader: hidden by style or attribute (preheaders,
+ * Outlook mso-hide blocks) or a 1x1 tracking pixel.
+ * @param {string} tag - Lowercase tag name
+ * @param {object} attributes - Parsed attributes
+ * @returns {boolean}
+ */
+function isHiddenElement(tag, attributes) {
+    const style = (attributes.style || '').toLowerCase().replace(/\s+/g, '');
+    if ('hidden' in attributes || /display:none|visibility:hidden|mso-hide:all|opacity:0(?:[;!]|$)/.test(style)) {
+        return true;
+    }
+    if (tag === 'img') {
+        const size = name => parseInt(attributes[name] || (style.match(new RegExp(`(?:^|;)${name}:(\\d+)`)) || [])[1], 10);
+        return size('width') <= 1 || size('height') <= 1;
+    }
+    return false;
+}
+
+/**
+ * Whether an element is a signature block added by Outlook, Gmail or similar clients.
+ * @param {object} attributes - Parsed attributes
+ * @returns {boolean}
+ */
+function isSignatureElement(attributes) {
+    return /signature/i.test(`${attributes.id || ''} ${attributes.class || ''} ${attributes['data-smartmail'] || ''}`);
+}
+
+/**
+ * Whether an element starts the quoted history of a reply or forward. Clients put the
+ * history last, so everything from here on is dropped.
+ * @param {string} tag - Lowercase tag name
+ * @param {object} attributes - Parsed attributes
+ * @returns {boolean}
+ */
+function isQuotedHistoryElement(tag, attributes) {
+    if (tag === 'blockquote' && (attributes.type || '').toLowerCase() === 'cite') {
+        return true;
+    }
+    return /(?:^|_)(?:divRplyFwdMsg|appendonsend)$/i.test(attributes.id || '') ||
+        /(?:^|\s)(?:gmail_quote|yahoo_quoted|moz-cite-prefix)(?:\s|$)/i.test(attributes.class || '');
+}
+
+/**
+ * Converts an HTML email or event body to Markdown or plain text. Hidden elements, tracking
+ * pixels, signatures and quoted reply history are removed along the way.
+ * @param {string} html - HTML content
+ * @param {string} [format='markdown'] - 'markdown', 'text' or 'summary-ready' (text without links or blank lines)
+ * @returns {string} Converted body
+ */
+function htmlToMarkdown(html, format = 'markdown') {
+    const markdown = format === 'markdown';
+    const source = String(html || '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<![^>]*>/g, '')
+        .replace(/<(head|style|script|title|xml)\b[\s\S]*?<\/\1\s*>/gi, '');
+
+    const output = [];
+    const captures = [];
+    const lists = [];
+    let skip = null;
+    let preDepth = 0;
+
+    // Ends the current line or paragraph without stacking breaks from nested blocks
+    const breakLine = count => {
+        let existing = 0;
+        for (let i = output.length - 1; i >= 0; i--) {
+            const trailing = output[i].match(/\s*$/)[0];
+            existing += (trailing.match(/\n/g) || []).length;
+            if (trailing.length < output[i].length) {
+                break;
+            }
+        }
+        if (output.length > 0 && existing < count) {
+            output.push('\n'.repeat(count - existing));
+        }
+    };
+    const blockBreak = tag => {
+        if (PARAGRAPH_TAGS.has(tag)) {
+            // Nested lists continue the item they sit in
+            breakLine((tag === 'ul' || tag === 'ol') && lists.length > 0 ? 1 : 2);
+        } else if (LINE_TAGS.has(tag)) {
+            breakLine(1);
+        }
+    };
+
+    // A '<' that does not open a well-formed tag is text, as in 'x<y'
+    const tokenPattern = /<(\/?)([a-zA-Z][\w:-]*)((?:[^<>"']|"[^"]*"|'[^']*')*)>|([^<]+)|</g;
+    let token;
+    while ((token = tokenPattern.exec(source)) !== null) {
+        const [raw, slash, tagName, attributeText = '', text] = token;
+
+        if (!tagName) {
+            if (!skip) {
+                const value = decodeHtmlEntities(text ?? raw);
+                output.push(preDepth ? value : value.replace(/\s+/g, ' '));
+            }
+            continue;
+        }
+
+        const tag = tagName.toLowerCase();
+        const isClosing = slash === '/';
+        const isVoid = VOID_TAGS.has(tag) || attributeText.trim().endsWith('/');
+
+        // Inside a removed element: only track nesting until it closes
+        if (skip) {
+            if (tag === skip.tag && !isVoid) {
+                skip.depth += isClosing ? -1 : 1;
+                if (skip.depth === 0) {
+                    skip = null;
+                }
+            }
+            continue;
+        }
+
+        if (isClosing) {
+            if (CAPTURE_TAGS.has(tag)) {
+                const index = captures.map(capture => capture.tag).lastIndexOf(tag);
+                if (index !== -1) {
+                    const [capture] = captures.splice(index);
+                    const inner = output.splice(capture.start).join('');
+                    output.push(closeCapturedElement(capture, inner, format));
+                    if (tag === 'pre') {
+                        preDepth--;
+                    }
+                }
+            } else if (tag === 'ul' || tag === 'ol') {
+                lists.pop();
+            }
+            blockBreak(tag);
+            continue;
+        }
+
+        const attributes = parseHtmlAttributes(attributeText);
+        if (isQuotedHistoryElement(tag, attributes)) {
+            break;
+        }
+        if (isHiddenElement(tag, attributes) || isSignatureElement(attributes)) {
+            if (!isVoid) {
+                skip = { tag, depth: 1 };
+            }
+            continue;
+        }
+
+        blockBreak(tag);
+
+        if (CAPTURE_TAGS.has(tag) && !isVoid) {
+            captures.push({ tag, start: output.length, href: attributes.href });
+            if (tag === 'pre') {
+                preDepth++;
+            }
+            continue;
+        }
+
+        switch (tag) {
+            case 'br':
+                output.push('\n');
+                break;
+            case 'hr':
+                breakLine(2);
+                if (markdown) {
+                    output.push('---\n\n');
+                }
+                break;
+            case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+                if (markdown) {
+                    output.push(`${'#'.repeat(Number(tag[1]))} `);
+                }
+                break;
+            case 'ul':
+            case 'ol':
+                lists.push({ ordered: tag === 'ol', index: 0 });
+                break;
+            case 'li': {
+                const list = lists[lists.length - 1] || { ordered: false, index: 0 };
+                const marker = list.ordered ? `${++list.index}. ` : '- ';
+                output.push(`${'  '.repeat(Math.max(lists.length - 1, 0))}${marker}`);
+                break;
+            }
+            case 'td':
+            case 'th':
+                output.push(' ');
+                break;
+            case 'img':
+                // Only remote images are worth a reference; inline cid: images cannot be fetched
+                if (markdown && /^https?:/i.test(attributes.src || '')) {
+                    output.push(`![${(attributes.alt || '').trim()}](${attributes.src})`);
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    const lines = output.join('').replace(/\r\n?/g, '\n').replace(/\u00a0/g, ' ').split('\n').map(line => {
+        if (line.startsWith(PRE_LINE_MARK)) {
+            return line.substring(PRE_LINE_MARK.length).replace(/\s+$/, '');
+        }
+        // Keep list indentation, drop the stray spaces left between inline elements
+        const listItem = line.match(/^(\s*)((?:-|\d+\.) .*)$/);
+        return listItem ? `${listItem[1]}${listItem[2].trim()}` : line.replace(/ {2,}/g, ' ').trim();
+    });
+
+    // Other lines are already trimmed; leading spaces can only be preformatted indentation
+    let result = cutAtMarkers(lines.join('\n'), QUOTE_MARKERS.concat(SIGNATURE_MARKERS))
+        .replace(/\n{3,}/g, '\n\n')
+        .replace(/^\n+|\s+$/g, '');
+    if (markdown) {
+        // A rule that only separated the reply from the removed history
+        result = result.replace(/(?:^|\n+)---$/, '');
+    }
+    if (format === 'summary-ready') {
+        result = result.replace(/\n{2,}/g, '\n');
+    }
+    return result;
+}
+
+/**
+ * Renders the content collected for a link, emphasis, code, quote or preformatted element.
+ * @param {object} capture - { tag, href }
+ * @param {string} inner - Converted content of the element
+ * @param {string} format - 'markdown', 'text' or 'summary-ready'
+ * @returns {string} Rendered element
+ */
+function closeCapturedElement(capture, inner, format) {
+    const markdown = format === 'markdown';
+    const text = capture.tag === 'pre' ? inner : inner.replace(/\s+/g, ' ').trim();
+    // Markers must hug the text, so surrounding whitespace moves outside them
+    const wrap = marker => {
+        if (!markdown || !text) {
+            return inner;
+        }
+        return `${/^\s/.test(inner) ? ' ' : ''}${marker}${text}${marker}${/\s$/.test(inner) ? ' ' : ''}`;
+    };
+
+    switch (capture.tag) {
+        case 'a': {
+            const href = (capture.href || '').trim();
+            if (!text || !/^https?:/i.test(href) || format === 'summary-ready' || text === href) {
+                return text || '';
+            }
+            return markdown ? `[${text}](${href})` : `${text} (${href})`;
+        }
+        case 'b':
+        case 'strong':
+            return wrap('**');
+        case 'i':
+        case 'em':
+            return wrap('_');
+        case 'code':
+            return wrap('`');
+        case 'blockquote': {
+            const quoted = inner.replace(/\n{3,}/g, '\n\n').trim();
+            return markdown ? quoted.split('\n').map(line => `> ${line.trim()}`.trimEnd()).join('\n') : quoted;
+        }
+        case 'pre': {
+            const body = inner.replace(/^\n+|\s+$/g, '').split('\n').map(line => `${PRE_LINE_MARK}${line}`).join('\n');
+            return markdown ? `${PRE_LINE_MARK}\`\`\`\n${body}\n${PRE_LINE_MARK}\`\`\`` : body;
+        }
+        default:
+            return inner;
+    }
+}
+
+/**
+ * Converts a Graph itemBody into the requested format. HTML bodies are converted with
+ * htmlToMarkdown; plain-text bodies get the same quoted-history and signature cleanup.
+ * @param {object|string} body - Graph itemBody { contentType, content }, or raw content
+ * @param {string} [bodyFormat='html'] - One of BODY_FORMATS
+ * @returns {object} { content, contentType } where contentType is 'html', 'text' or 'markdown'
+ */
+function formatBody(body, bodyFormat = 'html') {
+    const format = String(bodyFormat || 'html').toLowerCase();
+    if (!BODY_FORMATS.includes(format)) {
+        const mcpError = ErrorService.createError(
+            'graph',
+            `bodyFormat must be one of: ${BODY_FORMATS.join(', ')}`,
+            'warning',
+            {
+                bodyFormat,
+                timestamp: new Date().toISOString()
+            }
+        );
+        MonitoringService.logError(mcpError);
+        throw mcpError;
+    }
+
+    const content = typeof body === 'string' ? body : (body?.content || '');
+    const contentType = typeof body === 'string'
+        ? (/<[a-z][\s\S]*>/i.test(body) ? 'html' : 'text')
+        : String(body?.contentType || 'text').toLowerCase();
+    const outputType = format === 'markdown' ? 'markdown' : 'text';
+
+    if (format === 'html') {
+        return { content, contentType };
+    }
+    if (contentType === 'html') {
+        return { content: htmlToMarkdown(content, format), contentType: outputType };
+    }
+
+    let text = cutAtMarkers(stripQuotedReply(content), SIGNATURE_MARKERS).trim();
+    if (format === 'summary-ready') {
+        text = text.replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n');
+    }
+    return { content: text, contentType: outputType };
+}
+
+/**
+ * Normalizes the messages of one conversation into a single thread object, ordered
+ * oldest first, with participants and a de-quoted summary of each message.
+ * @param {Array<object>} messages - Raw Graph messages sharing a conversationId
+ * @param {string} [userId] - User ID for context tracking
+ * @param {string} [sessionId] - Session ID for context tracking
+ * @returns {object} Normalized conversation thread
+ */
+function normalizeConversation(messages, userId, sessionId) {
+    const MAX_SUMMARY_LENGTH = 500;
+    const startTime = Date.now();
+
+    // Pattern 1: Development Debug Logs
+    if (process.env.NODE_ENV === 'development') {
+        MonitoringService.debug('Starting conversation normalization', {
+            messageCount: Array.isArray(messages) ? messages.length : 0,
+            userId: userId || 'anonymous',
+            sessionId: sessionId || 'no-session',
+            timestamp: new Date().toISOString()
+        }, 'graph');
+    }
+
+    if (!Array.isArray(messages)) {
+        // Pattern 3: Infrastructure Error Logging
+        const error = ErrorService.createError(
+            'graph',
+            'Invalid message list for conversation normalization',
+            'error',
+            {
+                messagesType: typeof messages,
+                userId: userId || 'anonymous',
+                sessionId: sessionId || 'no-session',
+                timestamp: new Date().toISOString()
+            }
+        );
+        MonitoringService.logError(error);
+        
+        // Pattern 4: User Error Tracking
+        if (userId) {
+            MonitoringService.error('Conversation normalization failed - invalid input', {
+                error: 'Invalid message list provided',
+                messagesType: typeof messages,
+                timestamp: new Date().toISOString()
+            }, 'graph', null, userId);
+        } else if (sessionId) {
+            MonitoringService.error('Conversation normalization failed - invalid input', {
+                sessionId: sessionId,
+                error: 'Invalid message list provided',
+                messagesType: typeof messages,
+                timestamp: new Date().toISOString()
+            }, 'graph');
+        }
+        
+        throw error;
+    }
+    try {
+        const messageTime = message => new Date(message.sentDateTime || message.receivedDateTime || 0).getTime();
+        const ordered = [...messages].sort((a, b) => messageTime(a) - messageTime(b));
+        
+        const toPerson = recipient => ({
+            name: recipient?.emailAddress?.name,
+            email: recipient?.emailAddress?.address
+        });
+        
+        // Participants keyed by address; messageCount counts messages each person sent
+        const participants = new Map();
+        const addParticipant = (person, isSender) => {
+            if (!person.email) return;
+            const key = person.email.toLowerCase();
+            const existing = participants.get(key) || { name: person.name, email: person.email, messageCount: 0 };
+            if (!existing.name && person.name) {
+                existing.name = person.name;
+            }
+            if (isSender) {
+                existing.messageCount++;
+            }
+            participants.set(key, existing);
+        };
+        
+        const threadMessages = ordered.map(message => {
+            const from = message.from ? toPerson(message.from) : undefined;
+            const to = (message.toRecipients || []).map(toPerson);
+            const cc = (message.ccRecipients || []).map(toPerson);
+            if (from) addParticipant(from, true);
+            to.concat(cc).forEach(person => addParticipant(person, false));
+            
+            // uniqueBody already omits most quoted history; fall back to the full body
+            const source = message.uniqueBody || message.body || {};
+            const text = source.content
+                ? formatBody(source, 'text').content
+                : stripQuotedReply(message.bodyPreview || '');
+            
+            return {
+                id: message.id,
+                from,
+                to,
+                cc,
+                sent: message.sentDateTime || null,
+                received: message.receivedDateTime || null,
+                folderId: message.parentFolderId,
+                isRead: !!message.isRead,
+                hasAttachments: !!message.hasAttachments,
+                summary: text.length > MAX_SUMMARY_LENGTH ? text.substring(0, MAX_SUMMARY_LENGTH) + '...' : text
+            };
+        });
+        
+        const first = ordered[0] || {};
+        const last = ordered[ordered.length - 1] || {};
+        const normalizedConversation = {
+            conversationId: first.conversationId,
+            type: 'conversation',
+            subject: (first.subject || '').replace(/^(?:\s*(?:re|fw|fwd|aw|sv)\s*:\s*)+/i, ''),
+            messageCount: threadMessages.length,
+            participants: Array.from(participants.values()),
+            startedAt: first.sentDateTime || first.receivedDateTime || null,
+            lastActivityAt: last.receivedDateTime || last.sentDateTime || null,
+            messages: threadMessages
+        };
+        
+        // Track performance metric
+        const executionTime = Date.now() - startTime;
+        MonitoringService.trackMetric('conversation_normalization_time', executionTime, {
+            messageCount: threadMessages.length,
+            userId: userId || 'anonymous',
+            timestamp: new Date().toISOString()
+        }, userId, null, false, sessionId);
+        
+        // Pattern 2: User Activity Logs
+        if (userId) {
+            MonitoringService.info('Conversation normalized successfully', {
+                messageCount: threadMessages.length,
+                participantCount: normalizedConversation.participants.length,
+                executionTime: executionTime,
+                timestamp: new Date().toISOString()
+            }, 'graph', null, userId);
+        } else if (sessionId) {
+            MonitoringService.info('Conversation normalized successfully', {
+                sessionId: sessionId,
+                messageCount: threadMessages.length,
+                participantCount: normalizedConversation.participants.length,
+                executionTime: executionTime,
+                timestamp: new Date().toISOString()
+            }, 'graph');
+        }
+        
+        return normalizedConversation;
+    } catch (error) {
+        // Pattern 3: Infrastructure Error Logging
+        const mcpError = ErrorService.createError(
+            'graph',
+            `Failed to normalize conversation: ${error.message || 'Unknown error'}`,
+            'error',
+            {
+                messageCount: messages.length,
+                originalError: error.message,
+                userId: userId || 'anonymous',
+                sessionId: sessionId || 'no-session',
+                timestamp: new Date().toISOString()
+            }
+        );
+        MonitoringService.logError(mcpError);
+        
+        // Pattern 4: User Error Tracking
+        if (userId) {
+            MonitoringService.error('Conversation normalization failed', {
+                error: error.message || 'Unknown error',
+                messageCount: messages.length,
+                timestamp: new Date().toISOString()
+            }, 'graph', null, userId);
+        } else if (sessionId) {
+            MonitoringService.error('Conversation normalization failed', {
+                sessionId: sessionId,
+                error: error.message || 'Unknown error',
+                messageCount: messages.length,
+                timestamp: new Date().toISOString()
+            }, 'graph');
+        }
+        
+        throw mcpError;
+    }
+}
+
 /**
  * Normalizes a Microsoft Graph driveItem (file/folder) to MCP format.
  * @param {object} item - Raw driveItem from Graph API
@@ -314,6 +912,92 @@ function normalizeFile(item, userId, sessionId) {
     }
 }
 
+/**
+ * Extracts the join link and dial-in details of an online meeting event.
+ * Graph fills in onlineMeeting once the meeting has been provisioned, which can lag
+ * slightly behind the event creation.
+ * @param {object} event - Raw event object from Graph API
+ * @returns {object|null} Join details, or null when the event is not an online meeting
+ */
+function normalizeOnlineMeeting(event) {
+    const info = event?.onlineMeeting || {};
+    const joinUrl = info.joinUrl || event?.onlineMeetingUrl || null;
+    if (!event?.isOnlineMeeting && !joinUrl) {
+        return null;
+    }
+
+    return {
+        provider: event.onlineMeetingProvider || 'unknown',
+        joinUrl,
+        conferenceId: info.conferenceId || null,
+        tollNumber: info.tollNumber || null,
+        tollFreeNumbers: Array.isArray(info.tollFreeNumbers) ? info.tollFreeNumbers : [],
+        quickDial: info.quickDial || null,
+        phones: Array.isArray(info.phones) ?
+            info.phones.filter(phone => phone?.number).map(phone => ({ number: phone.number, type: phone.type || 'unknown' })) :
+            []
+    };
+}
+
+/**
+ * Normalizes a calendar permission: who a calendar is shared with and at which role.
+ * @param {object} permission - Raw calendarPermission from Graph API
+ * @returns {object} { id, email, name, role, allowedRoles, isRemovable, isInsideOrganization }
+ */
+function normalizeCalendarPermission(permission) {
+    return {
+        id: permission.id,
+        email: permission.emailAddress?.address || '',
+        name: permission.emailAddress?.name || '',
+        role: permission.role || 'none',
+        allowedRoles: Array.isArray(permission.allowedRoles) ? permission.allowedRoles : [],
+        isRemovable: permission.isRemovable === true,
+        isInsideOrganization: permission.isInsideOrganization === true
+    };
+}
+
+/**
+ * Normalizes a Microsoft Graph calendar object to MCP format.
+ * Graph only lets the owner share a calendar, so canShare tells own calendars apart from
+ * calendars shared with the user when the owner's address is not known.
+ * @param {object} calendar - Raw calendar object from Graph API
+ * @param {object} [options]
+ * @param {string} [options.ownerEmail] - Address of the mailbox the calendars were listed for
+ * @param {Array<object>} [options.permissions] - Raw calendarPermissions, when loaded
+ * @returns {object|null} Normalized calendar object
+ */
+function normalizeCalendar(calendar, options = {}) {
+    if (!calendar) return null;
+
+    const ownerAddress = calendar.owner?.address || '';
+    const isOwner = options.ownerEmail && ownerAddress ?
+        ownerAddress.toLowerCase() === options.ownerEmail.toLowerCase() :
+        calendar.isDefaultCalendar === true || calendar.canShare === true;
+
+    return {
+        id: calendar.id,
+        name: calendar.name,
+        color: calendar.color || 'auto',
+        hexColor: calendar.hexColor || null,
+        owner: calendar.owner ? {
+            name: calendar.owner.name || '',
+            email: ownerAddress
+        } : null,
+        isOwner,
+        canEdit: calendar.canEdit === true,
+        canShare: calendar.canShare === true,
+        canViewPrivateItems: calendar.canViewPrivateItems === true,
+        isDefaultCalendar: calendar.isDefaultCalendar === true,
+        isRemovable: calendar.isRemovable === true,
+        // Calendars someone else owns and shared or delegated to the user
+        isDelegated: !isOwner && !!ownerAddress,
+        // Who the calendar is shared with; null when permissions were not loaded
+        permissions: Array.isArray(options.permissions) ? options.permissions.map(normalizeCalendarPermission) : null,
+        // Original data for reference if needed
+        _raw: calendar
+    };
+}
+
 /**
  * Normalizes a Microsoft Graph calendar event object to MCP format.
  * @param {object} event - Raw event object from Graph API
@@ -492,8 +1176,17 @@ function normalizeEvent(event, userId, sessionId) {
             
             // Optional properties
             onlineMeetingUrl: event.onlineMeeting?.joinUrl || event.onlineMeetingUrl,
+            onlineMeeting: normalizeOnlineMeeting(event),
             recurrence: event.recurrence,
+            // singleInstance, seriesMaster, occurrence or exception (an edited occurrence)
+            eventType: event.type || 'singleInstance',
+            seriesMasterId: event.seriesMasterId || null,
+            // Start of an occurrence or exception as originally scheduled (UTC)
+            originalStart: event.originalStart || null,
+            // Identifier shared with other calendar systems (the iCalendar UID)
+            iCalUId: event.iCalUId || null,
             importance: event.importance || 'normal',
+            categories: Array.isArray(event.categories) ? event.categories : [],
             webLink: event.webLink,
             
             // Handle body content
@@ -925,10 +1618,89 @@ function normalizePerson(person, userId, sessionId) {
     }
 }
 
+/**
+ * Normalizes a Microsoft Graph contact (Outlook personal contact) to MCP format.
+ * @param {object} contact - Raw contact object from Graph API
+ * @param {string} [userId] - User ID for context tracking
+ * @param {string} [sessionId] - Session ID for context tracking
+ * @returns {object} Normalized contact object
+ */
+function normalizeContact(contact, userId, sessionId) {
+    if (!contact || typeof contact !== 'object') {
+        // Pattern 3: Infrastructure Error Logging
+        const error = ErrorService.createError(
+            'graph',
+            'Invalid contact object for normalization',
+            'error',
+            {
+                contactType: typeof contact,
+                userId: userId || 'anonymous',
+                sessionId: sessionId || 'no-session',
+                timestamp: new Date().toISOString()
+            }
+        );
+        MonitoringService.logError(error);
+        throw error;
+    }
+    
+    const emailAddresses = Array.isArray(contact.emailAddresses)
+        ? contact.emailAddresses.filter(email => email && email.address).map(email => ({
+            name: email.name || '',
+            address: email.address
+        }))
+        : [];
+    const businessPhones = Array.isArray(contact.businessPhones) ? contact.businessPhones.filter(Boolean) : [];
+    const homePhones = Array.isArray(contact.homePhones) ? contact.homePhones.filter(Boolean) : [];
+    
+    // Addresses come back with every field present but empty; keep only the ones that were filled in
+    const normalizeAddress = address => (address && Object.values(address).some(Boolean) ? {
+        street: address.street || '',
+        city: address.city || '',
+        state: address.state || '',
+        postalCode: address.postalCode || '',
+        countryOrRegion: address.countryOrRegion || ''
+    } : null);
+    
+    return {
+        id: contact.id,
+        type: 'contact',
+        displayName: contact.displayName || [contact.givenName, contact.surname].filter(Boolean).join(' '),
+        givenName: contact.givenName || '',
+        surname: contact.surname || '',
+        nickName: contact.nickName || '',
+        email: emailAddresses.length > 0 ? emailAddresses[0].address : '',
+        emailAddresses,
+        phone: contact.mobilePhone || businessPhones[0] || homePhones[0] || '',
+        mobilePhone: contact.mobilePhone || '',
+        businessPhones,
+        homePhones,
+        jobTitle: contact.jobTitle || '',
+        companyName: contact.companyName || '',
+        department: contact.department || '',
+        officeLocation: contact.officeLocation || '',
+        businessAddress: normalizeAddress(contact.businessAddress),
+        homeAddress: normalizeAddress(contact.homeAddress),
+        birthday: contact.birthday ? contact.birthday.substring(0, 10) : null,
+        notes: contact.personalNotes || '',
+        categories: Array.isArray(contact.categories) ? contact.categories : [],
+        folderId: contact.parentFolderId || null,
+        createdDateTime: contact.createdDateTime || null,
+        lastModifiedDateTime: contact.lastModifiedDateTime || null
+    };
+}
+
 module.exports = {
+    BODY_FORMATS,
+    formatBody,
+    htmlToMarkdown,
     normalizeEmail,
+    normalizeConversation,
     normalizeFile,
     normalizeEvent,
+    normalizeOnlineMeeting,
+    normalizeCalendar,
+    normalizeCalendarPermission,
     normalizeUser,
-    normalizePerson
+    normalizePerson,
+    normalizeContact
 };
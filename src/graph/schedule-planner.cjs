@@ -0,0 +1,401 @@
+/**
+ * @fileoverview Schedule planner - the slot math behind automatic scheduling. Turns working
+ * hours into working windows, and plans focus time blocks and travel buffers around existing
+ * commitments. Nothing here calls Graph or reads the clock: times are epoch milliseconds and
+ * the same input always gives the same plan.
+ */
+
+const ErrorService = require('../core/error-service.cjs');
+const MonitoringService = require('../core/monitoring-service.cjs');
+const { toUtcDateTime, getTimeZoneOffsetMs } = require('./calendar-service.cjs');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Focus blocks start on a quarter hour and last whole quarter hours
+const SLOT_MINUTES = 15;
+
+// Gap kept between focus blocks planned on the same day so they do not run together
+const FOCUS_GAP_MINUTES = 30;
+
+// A travel buffer trimmed shorter than this by neighbouring commitments is not added
+const MIN_BUFFER_MINUTES = 5;
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_OF_DAY_PATTERN = /^(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/;
+
+// Locations that are really an online meeting (join links, meeting apps), not a place to travel to
+const ONLINE_LOCATION_PATTERN = /^https?:\/\/|microsoft teams|skype|zoom|webex|google meet/i;
+
+/**
+ * Creates, logs and returns a validation error for planner input.
+ * @param {string} message - What is wrong
+ * @param {object} [context] - Extra error context
+ * @returns {object} MCP error
+ */
+function createPlannerError(message, context = {}) {
+  const mcpError = ErrorService.createError(
+    'calendar',
+    message,
+    'warning',
+    {
+      service: 'schedule-planner',
+      ...context,
+      timestamp: new Date().toISOString()
+    }
+  );
+  MonitoringService.logError(mcpError);
+  return mcpError;
+}
+
+/**
+ * Parses a time of day such as '09:00', '09:00:00' or Graph's '09:00:00.0000000'.
+ * @param {string} value - Time of day
+ * @returns {number|null} Minutes after midnight, or null if the value is not a time of day
+ */
+function parseTimeOfDay(value) {
+  const match = TIME_OF_DAY_PATTERN.exec(String(value ?? '').trim());
+  if (!match) {
+    return null;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+/**
+ * Adds whole days to a date.
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().substring(0, 10);
+}
+
+/**
+ * Calendar date of an instant in a time zone.
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} YYYY-MM-DD
+ */
+function getLocalDate(timestamp, timeZone) {
+  return new Date(timestamp + getTimeZoneOffsetMs(timeZone, timestamp)).toISOString().substring(0, 10);
+}
+
+/**
+ * Monday of the week a date falls in. Weeks run Monday to Sunday.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function getWeekStart(date) {
+  const dayIndex = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addDays(date, -((dayIndex + 6) % 7));
+}
+
+/**
+ * Instant at which a wall-clock time on a date occurs in a time zone.
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes after midnight; values past 24:00 fall on the following days
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Epoch milliseconds
+ */
+function localTimeToTimestamp(date, minutes, timeZone) {
+  const dayOffset = Math.floor(minutes / (24 * 60));
+  const minuteOfDay = minutes - dayOffset * 24 * 60;
+  const time = `${String(Math.floor(minuteOfDay / 60)).padStart(2, '0')}:${String(minuteOfDay % 60).padStart(2, '0')}:00`;
+  return Date.parse(toUtcDateTime(`${addDays(date, dayOffset)}T${time}`, timeZone));
+}
+
+/**
+ * Sorts intervals and merges the ones that overlap or touch.
+ * @param {Array<object>} intervals - { start, end } in epoch milliseconds
+ * @returns {Array<object>} Merged { start, end } intervals in time order
+ */
+function mergeIntervals(intervals) {
+  const sorted = (intervals || [])
+    .filter(interval => interval.end > interval.start)
+    .map(({ start, end }) => ({ start, end }))
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push(interval);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Removes busy time from windows. The free pieces keep the other fields of their window.
+ * @param {Array<object>} windows - { start, end, ... } in time order
+ * @param {Array<object>} busy - { start, end } intervals to cut out
+ * @returns {Array<object>} Free pieces in time order
+ */
+function subtractIntervals(windows, busy) {
+  const blocked = mergeIntervals(busy);
+  const free = [];
+  for (const window of windows) {
+    let cursor = window.start;
+    for (const interval of blocked) {
+      if (interval.start >= window.end || cursor >= window.end) {
+        break;
+      }
+      if (interval.end <= cursor) {
+        continue;
+      }
+      if (interval.start > cursor) {
+        free.push({ ...window, start: cursor, end: interval.start });
+      }
+      cursor = interval.end;
+    }
+    if (cursor < window.end) {
+      free.push({ ...window, start: cursor, end: window.end });
+    }
+  }
+  return free;
+}
+
+/**
+ * Builds the working windows in a range from weekly working hours. Working hours that end at or
+ * before their start run past midnight into the next day.
+ * @param {object} workingHours - { daysOfWeek, startTime, endTime, timeZone (IANA) }
+ * @param {number} rangeStart - Epoch milliseconds
+ * @param {number} rangeEnd - Epoch milliseconds
+ * @returns {Array<object>} { start, end, date, weekStart } per working day, clipped to the range
+ */
+function buildWorkingWindows(workingHours, rangeStart, rangeEnd) {
+  const { startTime, endTime, timeZone } = workingHours || {};
+  const daysOfWeek = (workingHours?.daysOfWeek || []).map(day => String(day).toLowerCase());
+  if (daysOfWeek.length === 0 || daysOfWeek.some(day => !DAYS_OF_WEEK.includes(day))) {
+    throw createPlannerError('Working hours need daysOfWeek given as day names such as monday', { daysOfWeek });
+  }
+
+  const startMinutes = parseTimeOfDay(startTime);
+  const endMinutes = parseTimeOfDay(endTime);
+  if (startMinutes === null || endMinutes === null || startMinutes === endMinutes) {
+    throw createPlannerError('Working hours need a startTime and a different endTime such as 09:00 and 17:00', { startTime, endTime });
+  }
+  if (!toUtcDateTime('2000-01-01T00:00:00', timeZone)) {
+    throw createPlannerError(`Unknown working hours time zone "${timeZone}"`, { timeZone });
+  }
+  const endOffset = endMinutes > startMinutes ? endMinutes : endMinutes + 24 * 60;
+
+  const windows = [];
+  const lastDate = getLocalDate(rangeEnd, timeZone);
+  // Start a day early to pick up overnight hours that began the evening before the range
+  for (let date = addDays(getLocalDate(rangeStart, timeZone), -1); date <= lastDate; date = addDays(date, 1)) {
+    if (!daysOfWeek.includes(DAYS_OF_WEEK[new Date(`${date}T00:00:00Z`).getUTCDay()])) {
+      continue;
+    }
+    const start = Math.max(localTimeToTimestamp(date, startMinutes, timeZone), rangeStart);
+    const end = Math.min(localTimeToTimestamp(date, endOffset, timeZone), rangeEnd);
+    if (end > start) {
+      windows.push({ start, end, date, weekStart: getWeekStart(date) });
+    }
+  }
+  return windows;
+}
+
+/**
+ * Finds a focus block in a day's free time: the earliest piece that fits the wanted length, or
+ * failing that the earliest piece that fits the minimum, cut to quarter hours.
+ * @param {Array<object>} freePieces - Free { start, end } pieces in time order
+ * @param {number} wantedMinutes - Preferred block length
+ * @param {number} minimumMinutes - Shortest acceptable block
+ * @returns {object|null} { start, end }, or null if nothing fits
+ */
+function findFocusSlot(freePieces, wantedMinutes, minimumMinutes) {
+  const slotMs = SLOT_MINUTES * MINUTE_MS;
+  const candidates = freePieces.map(piece => {
+    const start = Math.ceil(piece.start / slotMs) * slotMs;
+    return { start, minutes: Math.floor((piece.end - start) / slotMs) * SLOT_MINUTES };
+  });
+  const slot = candidates.find(candidate => candidate.minutes >= wantedMinutes)
+    || candidates.find(candidate => candidate.minutes >= minimumMinutes);
+  if (!slot) {
+    return null;
+  }
+  return { start: slot.start, end: slot.start + Math.min(wantedMinutes, slot.minutes) * MINUTE_MS };
+}
+
+/**
+ * Plans focus blocks that bring each week up to a target without going over it. Weeks run
+ * Monday to Sunday in the given time zone, and focus time already on the calendar counts toward
+ * its week. Each pass over a week places at most one block per working day, so focus time is
+ * spread across the week before any day gets a second block.
+ * @param {object} options - Planning input
+ * @param {Array<object>} options.windows - Working windows from buildWorkingWindows
+ * @param {Array<object>} [options.busy] - Commitments to keep clear of, as { start, end }
+ * @param {Array<object>} [options.existingFocus] - Focus blocks already booked, as { start, end }
+ * @param {number} options.targetMinutes - Focus time wanted per week
+ * @param {number} [options.minBlockMinutes=60] - Shortest block worth booking
+ * @param {number} [options.maxBlockMinutes=120] - Longest single block
+ * @param {string} options.timeZone - IANA time zone the weeks are counted in
+ * @returns {object} { weeks: [{ weekStart, targetMinutes, existingMinutes, plannedMinutes, shortfallMinutes }], blocks: [{ start, end, date, weekStart }] }
+ */
+function planFocusBlocks(options) {
+  const { windows = [], busy = [], existingFocus = [], targetMinutes, minBlockMinutes = 60, maxBlockMinutes = 120, timeZone } = options || {};
+  if (!Number.isFinite(targetMinutes) || targetMinutes <= 0) {
+    throw createPlannerError('targetMinutes must be a positive number of minutes', { targetMinutes });
+  }
+  if (!Number.isFinite(minBlockMinutes) || minBlockMinutes < SLOT_MINUTES || !Number.isFinite(maxBlockMinutes) || maxBlockMinutes < minBlockMinutes) {
+    throw createPlannerError(`Focus blocks must be at least ${SLOT_MINUTES} minutes, and maxBlockMinutes cannot be below minBlockMinutes`, { minBlockMinutes, maxBlockMinutes });
+  }
+
+  const gapMs = FOCUS_GAP_MINUTES * MINUTE_MS;
+  const existingByWeek = new Map();
+  for (const block of existingFocus) {
+    const weekStart = getWeekStart(getLocalDate(block.start, timeZone));
+    existingByWeek.set(weekStart, (existingByWeek.get(weekStart) || 0) + (block.end - block.start) / MINUTE_MS);
+  }
+  const blocked = [
+    ...busy,
+    ...existingFocus.map(block => ({ start: block.start - gapMs, end: block.end + gapMs }))
+  ];
+
+  const weeks = [];
+  const blocks = [];
+  for (const weekStart of [...new Set(windows.map(window => window.weekStart))].sort()) {
+    const weekWindows = windows.filter(window => window.weekStart === weekStart);
+    const dates = [...new Set(weekWindows.map(window => window.date))].sort();
+    const existingMinutes = Math.round(existingByWeek.get(weekStart) || 0);
+    let remaining = targetMinutes - existingMinutes;
+    let plannedMinutes = 0;
+
+    let placed = true;
+    while (placed) {
+      placed = false;
+      for (const date of dates) {
+        // Never book past the target: stop once what is left is shorter than a minimum block
+        const wantedMinutes = Math.min(maxBlockMinutes, Math.floor(remaining / SLOT_MINUTES) * SLOT_MINUTES);
+        if (wantedMinutes < minBlockMinutes) {
+          break;
+        }
+        const freePieces = subtractIntervals(weekWindows.filter(window => window.date === date), blocked);
+        const slot = findFocusSlot(freePieces, wantedMinutes, minBlockMinutes);
+        if (!slot) {
+          continue;
+        }
+        const minutes = (slot.end - slot.start) / MINUTE_MS;
+        blocks.push({ ...slot, date, weekStart });
+        blocked.push({ start: slot.start - gapMs, end: slot.end + gapMs });
+        remaining -= minutes;
+        plannedMinutes += minutes;
+        placed = true;
+      }
+    }
+
+    weeks.push({
+      weekStart,
+      targetMinutes,
+      existingMinutes,
+      plannedMinutes,
+      shortfallMinutes: Math.max(0, remaining)
+    });
+  }
+
+  blocks.sort((a, b) => a.start - b.start);
+  return { weeks, blocks };
+}
+
+/**
+ * Whether a Graph event is a meeting the user has to be somewhere for: it has a physical
+ * location, is not online, all-day, cancelled, declined or shown as free.
+ * @param {object} event - Graph event
+ * @returns {boolean} True for in-person meetings
+ */
+function isInPersonMeeting(event) {
+  if (!event || event.isCancelled || event.isAllDay || event.isOnlineMeeting || event.showAs === 'free' || event.responseStatus?.response === 'declined') {
+    return false;
+  }
+  const place = String(event.location?.displayName || '').trim();
+  return place !== '' && !ONLINE_LOCATION_PATTERN.test(place);
+}
+
+/**
+ * Plans travel buffers before and after in-person meetings. A buffer is trimmed so it does not
+ * overlap other commitments, including buffers planned for earlier meetings, and is skipped when
+ * less than a few minutes are left or the meeting already has one on that side.
+ * @param {object} options - Planning input
+ * @param {Array<object>} options.meetings - In-person meetings as { id, subject, location, start, end }
+ * @param {Array<object>} [options.busy] - Commitments to keep clear of, as { start, end }
+ * @param {Array<object>} [options.existingBuffers] - Travel buffers already booked, as { start, end }
+ * @param {number} [options.beforeMinutes=0] - Travel time before each meeting
+ * @param {number} [options.afterMinutes=0] - Travel time after each meeting
+ * @returns {object} { buffers: [{ meetingId, subject, location, side, start, end, trimmed }], skipped: [{ meetingId, subject, side, reason }] }
+ */
+function planTravelBuffers(options) {
+  const { meetings = [], busy = [], existingBuffers = [], beforeMinutes = 0, afterMinutes = 0 } = options || {};
+  for (const [name, value] of [['beforeMinutes', beforeMinutes], ['afterMinutes', afterMinutes]]) {
+    if (!Number.isFinite(value) || value < 0) {
+      throw createPlannerError(`${name} must be zero or a positive number of minutes`, { [name]: value });
+    }
+  }
+
+  const blocked = [...busy];
+  const buffers = [];
+  const skipped = [];
+  const sorted = [...meetings].sort((a, b) => a.start - b.start || a.end - b.end || String(a.id).localeCompare(String(b.id)));
+  for (const meeting of sorted) {
+    for (const [side, minutes] of [['before', beforeMinutes], ['after', afterMinutes]]) {
+      if (!minutes) {
+        continue;
+      }
+      const edge = side === 'before' ? meeting.start : meeting.end;
+      if (existingBuffers.some(buffer => (side === 'before' ? buffer.end : buffer.start) === edge)) {
+        skipped.push({ meetingId: meeting.id, subject: meeting.subject, side, reason: 'alreadyScheduled' });
+        continue;
+      }
+
+      const wanted = side === 'before'
+        ? { start: edge - minutes * MINUTE_MS, end: edge }
+        : { start: edge, end: edge + minutes * MINUTE_MS };
+      const overlapping = blocked.filter(interval => interval.start < wanted.end && interval.end > wanted.start);
+      const slot = side === 'before'
+        ? { start: Math.max(wanted.start, ...overlapping.map(interval => Math.min(interval.end, edge))), end: edge }
+        : { start: edge, end: Math.min(wanted.end, ...overlapping.map(interval => Math.max(interval.start, edge))) };
+      if (slot.end - slot.start < MIN_BUFFER_MINUTES * MINUTE_MS) {
+        skipped.push({ meetingId: meeting.id, subject: meeting.subject, side, reason: 'noRoom' });
+        continue;
+      }
+
+      buffers.push({
+        meetingId: meeting.id,
+        subject: meeting.subject,
+        location: meeting.location,
+        side,
+        start: slot.start,
+        end: slot.end,
+        trimmed: slot.end - slot.start < minutes * MINUTE_MS
+      });
+      blocked.push(slot);
+    }
+  }
+
+  buffers.sort((a, b) => a.start - b.start);
+  return { buffers, skipped };
+}
+
+module.exports = {
+  SLOT_MINUTES,
+  FOCUS_GAP_MINUTES,
+  MIN_BUFFER_MINUTES,
+  parseTimeOfDay,
+  addDays,
+  getLocalDate,
+  getWeekStart,
+  localTimeToTimestamp,
+  mergeIntervals,
+  subtractIntervals,
+  buildWorkingWindows,
+  planFocusBlocks,
+  isInPersonMeeting,
+  planTravelBuffers
+};
@@ -0,0 +1,595 @@
+/**
+ * @fileoverview SchedulingService - automatic scheduling on top of the calendar. Books focus
+ * time in free working hours up to a weekly target and adds travel time around in-person
+ * meetings, keeping clear of existing commitments. The slot math lives in schedule-planner.cjs;
+ * this service reads working hours and the calendar from Graph and writes the planned events.
+ * Every event a run creates carries the run's ID, so a run can be previewed first (dryRun) and
+ * undone later (rollbackSchedule).
+ */
+
+const crypto = require('crypto');
+const graphClientFactory = require('./graph-client.cjs');
+const { scopeClientToMailbox } = require('./mailbox-access.cjs');
+const { getUserPreferredTimeZone, resolveIanaTimeZone, resolveViewBound, getTimeZoneOffsetMs } = require('./calendar-service.cjs');
+const planner = require('./schedule-planner.cjs');
+const MonitoringService = require('../core/monitoring-service.cjs');
+const ErrorService = require('../core/error-service.cjs');
+
+// Named extended properties that mark events created by a scheduling run and what they are for
+const SCHEDULING_PROPERTY_SET = '{8a5e3c2f-6d41-4b7a-9f0e-1c2d3b4a5e6f}';
+const SCHEDULING_RUN_PROPERTY = `String ${SCHEDULING_PROPERTY_SET} Name SchedulingRunId`;
+const SCHEDULING_KIND_PROPERTY = `String ${SCHEDULING_PROPERTY_SET} Name SchedulingKind`;
+const SCHEDULING_EXPAND = `singleValueExtendedProperties($filter=id eq '${SCHEDULING_RUN_PROPERTY}' or id eq '${SCHEDULING_KIND_PROPERTY}')`;
+const SCHEDULING_KINDS = { focus: 'focus', travel: 'travel' };
+
+// Planning window when no end is given, and the longest window one run may cover
+const SCHEDULING_LOOKAHEAD_DAYS = 14;
+const MAX_SCHEDULING_DAYS = 62;
+
+// Used when the mailbox has no working hours set
+const DEFAULT_WORKING_HOURS = {
+  daysOfWeek: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+  startTime: '09:00:00.0000000',
+  endTime: '17:00:00.0000000'
+};
+
+const DEFAULT_FOCUS_SUBJECT = 'Focus time';
+const MAX_FOCUS_HOURS_PER_WEEK = 60;
+const MAX_TRAVEL_MINUTES = 240;
+
+// Free/busy values that keep the time taken; free and workingElsewhere leave it open
+const BLOCKING_SHOW_AS = ['busy', 'oof', 'tentative'];
+
+const RUN_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Creates, logs and returns a validation error for scheduling input.
+ * @param {string} message - What is wrong with the input
+ * @param {string} method - Service method that rejected it
+ * @returns {object} MCP error
+ */
+function schedulingInputError(message, method) {
+  const mcpError = ErrorService.createError(
+    'calendar',
+    message,
+    'warning',
+    {
+      service: 'graph-scheduling-service',
+      method,
+      timestamp: new Date().toISOString()
+    }
+  );
+  MonitoringService.logError(mcpError);
+  return mcpError;
+}
+
+/**
+ * Reads the scheduling run and kind from an event fetched with SCHEDULING_EXPAND.
+ * @param {object} event - Graph event
+ * @returns {object|null} { runId, kind }, or null if no scheduling run created the event
+ */
+function getSchedulingTag(event) {
+  const properties = event?.singleValueExtendedProperties || [];
+  const valueOf = id => properties.find(property => property.id && property.id.toLowerCase() === id.toLowerCase())?.value;
+  const runId = valueOf(SCHEDULING_RUN_PROPERTY);
+  return runId ? { runId, kind: valueOf(SCHEDULING_KIND_PROPERTY) || null } : null;
+}
+
+/**
+ * Epoch milliseconds of a Graph dateTimeTimeZone. Without a Prefer header Graph returns UTC.
+ * @param {object} value - { dateTime, timeZone }
+ * @returns {number} Epoch milliseconds
+ */
+function toTimestamp(value) {
+  const dateTime = String(value?.dateTime || '');
+  return Date.parse(/(Z|[+-]\d{2}:\d{2})$/i.test(dateTime) ? dateTime : `${dateTime}Z`);
+}
+
+/**
+ * Graph dateTimeTimeZone for an instant, in UTC.
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {object} { dateTime, timeZone }
+ */
+function toGraphDateTime(timestamp) {
+  return { dateTime: new Date(timestamp).toISOString().replace('Z', ''), timeZone: 'UTC' };
+}
+
+/**
+ * Describes a planned interval for a preview: UTC instants plus the wall-clock times in the
+ * working hours time zone.
+ * @param {object} interval - { start, end } in epoch milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {object} { start, end, localStart, localEnd, minutes }
+ */
+function describeInterval(interval, timeZone) {
+  const local = timestamp => new Date(timestamp + getTimeZoneOffsetMs(timeZone, timestamp)).toISOString().substring(0, 16);
+  return {
+    start: new Date(interval.start).toISOString(),
+    end: new Date(interval.end).toISOString(),
+    localStart: local(interval.start),
+    localEnd: local(interval.end),
+    minutes: Math.round((interval.end - interval.start) / 60000)
+  };
+}
+
+/**
+ * Reads the mailbox working hours, falling back to weekdays 09:00-17:00 in the mailbox time zone.
+ * @param {object} client - Graph client scoped to the mailbox
+ * @returns {Promise<object>} { daysOfWeek, startTime, endTime, timeZone (IANA), source }
+ */
+async function readWorkingHours(client) {
+  const settings = await client.api('/me/mailboxSettings?$select=workingHours,timeZone').get();
+  const workingHours = settings?.workingHours;
+  // Working hours can carry a custom time zone name Intl does not know; fall back to the mailbox zone
+  const timeZone = resolveIanaTimeZone(workingHours?.timeZone?.name)
+    || resolveIanaTimeZone(settings?.timeZone)
+    || resolveIanaTimeZone(await getUserPreferredTimeZone(client))
+    || 'UTC';
+
+  if (workingHours?.daysOfWeek?.length && workingHours.startTime && workingHours.endTime) {
+    return {
+      daysOfWeek: workingHours.daysOfWeek.map(day => String(day).toLowerCase()),
+      startTime: workingHours.startTime,
+      endTime: workingHours.endTime,
+      timeZone,
+      source: 'mailboxSettings'
+    };
+  }
+  return { ...DEFAULT_WORKING_HOURS, timeZone, source: 'default' };
+}
+
+/**
+ * Reads every calendar view item in a window, with the scheduling tags of items a run created.
+ * @param {object} client - Graph client scoped to the mailbox
+ * @param {number} start - Epoch milliseconds
+ * @param {number} end - Epoch milliseconds
+ * @returns {Promise<Array<object>>} Graph events
+ */
+async function listCalendarItems(client, start, end) {
+  const select = 'id,subject,start,end,location,showAs,isAllDay,isCancelled,isOnlineMeeting,responseStatus';
+  const items = [];
+  let nextLink = `/me/calendarView?startDateTime=${encodeURIComponent(new Date(start).toISOString())}&endDateTime=${encodeURIComponent(new Date(end).toISOString())}&$select=${select}&$expand=${encodeURIComponent(SCHEDULING_EXPAND)}&$orderby=${encodeURIComponent('start/dateTime')}&$top=100`;
+  while (nextLink) {
+    const page = await client.api(nextLink).get();
+    items.push(...(page.value || []));
+    nextLink = page['@odata.nextLink'];
+  }
+  return items;
+}
+
+/**
+ * Reads an optional number option and checks its range.
+ * @param {*} value - Option value
+ * @param {string} name - Option name, for the error message
+ * @param {number} defaultValue - Value when the option is not given
+ * @param {number} max - Largest allowed value
+ * @returns {number} The option value
+ */
+function readNumberOption(value, name, defaultValue, max) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > max) {
+    throw schedulingInputError(`${name} must be a number from 0 to ${max}`, 'autoSchedule');
+  }
+  return number;
+}
+
+/**
+ * Plans focus time and travel buffers and, unless dryRun is set, adds them to the calendar.
+ * Travel is planned first so focus time never lands on top of it. Focus time is booked only in
+ * working hours and only up to the weekly target, counting focus time earlier runs booked.
+ * @param {object} [options] - Scheduling options
+ * @param {number} [options.focusHoursPerWeek] - Weekly focus time target in hours (0 or omitted: no focus time)
+ * @param {number} [options.minFocusMinutes=60] - Shortest focus block
+ * @param {number} [options.maxFocusMinutes=120] - Longest focus block
+ * @param {string} [options.focusSubject='Focus time'] - Subject of focus blocks
+ * @param {number} [options.travelMinutesBefore] - Travel time before in-person meetings
+ * @param {number} [options.travelMinutesAfter] - Travel time after in-person meetings
+ * @param {string} [options.start] - Window start, date (YYYY-MM-DD) or ISO date-time (default and earliest: now)
+ * @param {string} [options.end] - Window end, date (inclusive) or ISO date-time (default: 14 days after start)
+ * @param {boolean} [options.dryRun=false] - Return the plan without creating anything
+ * @param {string} [options.mailbox] - Shared or delegated calendar owner
+ * @param {object} [options.req] - Request object
+ * @returns {Promise<object>} { runId, dryRun, timeZone, workingHours, window, focus, travel, created, failed }
+ */
+async function autoSchedule(options = {}) {
+  const { req } = options;
+  const dryRun = options.dryRun === true || options.dryRun === 'true';
+  const startTime = Date.now();
+  const contextUserId = req?.user?.userId;
+  const contextSessionId = req?.session?.id;
+
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Planning automatic scheduling run', {
+      method: 'autoSchedule',
+      dryRun,
+      focusHoursPerWeek: options.focusHoursPerWeek,
+      sessionId: contextSessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'calendar');
+  }
+
+  try {
+    const focusHoursPerWeek = readNumberOption(options.focusHoursPerWeek, 'focusHoursPerWeek', 0, MAX_FOCUS_HOURS_PER_WEEK);
+    const travelMinutesBefore = readNumberOption(options.travelMinutesBefore, 'travelMinutesBefore', 0, MAX_TRAVEL_MINUTES);
+    const travelMinutesAfter = readNumberOption(options.travelMinutesAfter, 'travelMinutesAfter', 0, MAX_TRAVEL_MINUTES);
+    const minFocusMinutes = readNumberOption(options.minFocusMinutes, 'minFocusMinutes', 60, 8 * 60);
+    const maxFocusMinutes = readNumberOption(options.maxFocusMinutes, 'maxFocusMinutes', Math.max(120, minFocusMinutes), 8 * 60);
+    if (!focusHoursPerWeek && !travelMinutesBefore && !travelMinutesAfter) {
+      throw schedulingInputError('Nothing to schedule: set focusHoursPerWeek, travelMinutesBefore or travelMinutesAfter', 'autoSchedule');
+    }
+
+    const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'autoSchedule' });
+    const workingHours = await readWorkingHours(client);
+    const { timeZone } = workingHours;
+
+    // Never plan in the past: a start before now moves up to now
+    const now = Date.now();
+    const requestedStart = options.start ? Date.parse(resolveViewBound(options.start, timeZone, false)) : now;
+    const windowStart = Math.max(requestedStart, now);
+    const windowEnd = options.end
+      ? Date.parse(resolveViewBound(options.end, timeZone, true))
+      : windowStart + SCHEDULING_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+    if (Number.isNaN(requestedStart) || Number.isNaN(windowEnd) || windowEnd <= windowStart) {
+      throw schedulingInputError('Invalid scheduling window: start and end must be dates or ISO date-times, with end in the future and after start', 'autoSchedule');
+    }
+    if (windowEnd - windowStart > MAX_SCHEDULING_DAYS * 24 * 60 * 60 * 1000) {
+      throw schedulingInputError(`A scheduling run can cover at most ${MAX_SCHEDULING_DAYS} days`, 'autoSchedule');
+    }
+
+    // Read whole weeks so focus time already booked earlier or later in a week counts toward its target
+    const readStart = Math.min(windowStart, planner.localTimeToTimestamp(planner.getWeekStart(planner.getLocalDate(windowStart, timeZone)), 0, timeZone));
+    const readEnd = Math.max(windowEnd, planner.localTimeToTimestamp(planner.addDays(planner.getWeekStart(planner.getLocalDate(windowEnd - 1, timeZone)), 7), 0, timeZone));
+    const items = await listCalendarItems(client, readStart, readEnd);
+
+    const toInterval = item => ({ start: toTimestamp(item.start), end: toTimestamp(item.end) });
+    const taggedAs = kind => item => getSchedulingTag(item)?.kind === kind && !item.isCancelled;
+    const busy = items
+      .filter(item => !item.isCancelled && BLOCKING_SHOW_AS.includes(item.showAs) && item.responseStatus?.response !== 'declined')
+      .map(toInterval);
+    // The time before the window is treated as taken so nothing is planned before now
+    busy.push({ start: readStart, end: windowStart });
+
+    let travel = null;
+    let travelPlan = { buffers: [], skipped: [] };
+    if (travelMinutesBefore || travelMinutesAfter) {
+      const meetings = items
+        .filter(item => planner.isInPersonMeeting(item) && !getSchedulingTag(item))
+        .map(item => ({ id: item.id, subject: item.subject, location: item.location.displayName.trim(), ...toInterval(item) }))
+        .filter(meeting => meeting.start >= windowStart && meeting.start < windowEnd);
+      travelPlan = planner.planTravelBuffers({
+        meetings,
+        busy,
+        existingBuffers: items.filter(taggedAs(SCHEDULING_KINDS.travel)).map(toInterval),
+        beforeMinutes: travelMinutesBefore,
+        afterMinutes: travelMinutesAfter
+      });
+      travel = {
+        minutesBefore: travelMinutesBefore,
+        minutesAfter: travelMinutesAfter,
+        meetingCount: meetings.length,
+        planned: travelPlan.buffers.map(buffer => ({
+          subject: `${buffer.side === 'before' ? 'Travel to' : 'Travel from'} ${buffer.location}`,
+          meetingId: buffer.meetingId,
+          meetingSubject: buffer.subject,
+          location: buffer.location,
+          side: buffer.side,
+          ...describeInterval(buffer, timeZone),
+          trimmed: buffer.trimmed
+        })),
+        skipped: travelPlan.skipped
+      };
+    }
+
+    let focus = null;
+    if (focusHoursPerWeek) {
+      const focusPlan = planner.planFocusBlocks({
+        windows: planner.buildWorkingWindows(workingHours, windowStart, windowEnd),
+        busy: [...busy, ...travelPlan.buffers],
+        existingFocus: items.filter(taggedAs(SCHEDULING_KINDS.focus)).map(toInterval),
+        targetMinutes: Math.round(focusHoursPerWeek * 60),
+        minBlockMinutes: minFocusMinutes,
+        maxBlockMinutes: maxFocusMinutes,
+        timeZone
+      });
+      focus = {
+        targetMinutesPerWeek: Math.round(focusHoursPerWeek * 60),
+        weeks: focusPlan.weeks,
+        planned: focusPlan.blocks.map(block => ({
+          subject: options.focusSubject || DEFAULT_FOCUS_SUBJECT,
+          date: block.date,
+          ...describeInterval(block, timeZone)
+        }))
+      };
+    }
+
+    const runId = dryRun ? null : crypto.randomUUID();
+    const created = [];
+    const failed = [];
+    if (!dryRun) {
+      const entries = [
+        ...(travel?.planned || []).map(entry => ({ ...entry, kind: SCHEDULING_KINDS.travel })),
+        ...(focus?.planned || []).map(entry => ({ ...entry, kind: SCHEDULING_KINDS.focus }))
+      ];
+      // Keep going past a failed event; everything created so far can still be rolled back by run ID
+      for (const entry of entries) {
+        const description = entry.kind === SCHEDULING_KINDS.travel
+          ? `Travel time for "${entry.meetingSubject}", added by automatic scheduling run ${runId}.`
+          : `Focus time added by automatic scheduling run ${runId}.`;
+        const event = {
+          subject: entry.subject,
+          body: { contentType: 'Text', content: description },
+          start: toGraphDateTime(Date.parse(entry.start)),
+          end: toGraphDateTime(Date.parse(entry.end)),
+          showAs: 'busy',
+          isReminderOn: false,
+          singleValueExtendedProperties: [
+            { id: SCHEDULING_RUN_PROPERTY, value: runId },
+            { id: SCHEDULING_KIND_PROPERTY, value: entry.kind }
+          ]
+        };
+        if (entry.location) {
+          event.location = { displayName: entry.location };
+        }
+        try {
+          const result = await client.api('/me/events').post(event);
+          created.push({ id: result.id, kind: entry.kind, subject: entry.subject, start: entry.start, end: entry.end });
+        } catch (error) {
+          failed.push({ kind: entry.kind, subject: entry.subject, start: entry.start, end: entry.end, error: error.message });
+        }
+      }
+    }
+
+    const executionTime = Date.now() - startTime;
+
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info(dryRun ? 'Automatic scheduling previewed successfully' : 'Automatic scheduling run completed', {
+        runId,
+        plannedFocusCount: focus?.planned.length || 0,
+        plannedTravelCount: travel?.planned.length || 0,
+        createdCount: created.length,
+        failedCount: failed.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info(dryRun ? 'Automatic scheduling previewed with session' : 'Automatic scheduling run completed with session', {
+        sessionId: contextSessionId,
+        runId,
+        plannedFocusCount: focus?.planned.length || 0,
+        plannedTravelCount: travel?.planned.length || 0,
+        createdCount: created.length,
+        failedCount: failed.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_auto_schedule_success', executionTime, {
+      service: 'graph-scheduling-service',
+      method: 'autoSchedule',
+      dryRun,
+      createdCount: created.length,
+      timestamp: new Date().toISOString()
+    });
+
+    return {
+      runId,
+      dryRun,
+      timeZone,
+      workingHours: {
+        daysOfWeek: workingHours.daysOfWeek,
+        startTime: workingHours.startTime,
+        endTime: workingHours.endTime,
+        source: workingHours.source
+      },
+      window: { start: new Date(windowStart).toISOString(), end: new Date(windowEnd).toISOString() },
+      focus,
+      travel,
+      created,
+      failed
+    };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Failed to run automatic scheduling: ${error.message}`,
+      'error',
+      {
+        service: 'graph-scheduling-service',
+        method: 'autoSchedule',
+        dryRun,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+
+    MonitoringService.logError(mcpError);
+
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error running automatic scheduling', {
+        errorMessage: 'Failed to run automatic scheduling',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error running automatic scheduling', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to run automatic scheduling',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_auto_schedule_failure', executionTime, {
+      service: 'graph-scheduling-service',
+      method: 'autoSchedule',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+
+    throw mcpError;
+  }
+}
+
+/**
+ * Deletes every event a scheduling run created. Events the user already deleted are skipped.
+ * @param {string} runId - Run ID returned by autoSchedule
+ * @param {object} [options] - { mailbox, req }
+ * @returns {Promise<object>} { runId, removedCount, removed, failed }
+ */
+async function rollbackSchedule(runId, options = {}) {
+  const { req } = options;
+  const startTime = Date.now();
+  const contextUserId = req?.user?.userId;
+  const contextSessionId = req?.session?.id;
+
+  // Pattern 1: Development Debug Logs
+  if (process.env.NODE_ENV === 'development') {
+    MonitoringService.debug('Rolling back automatic scheduling run', {
+      method: 'rollbackSchedule',
+      runId,
+      sessionId: contextSessionId,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date().toISOString()
+    }, 'calendar');
+  }
+
+  try {
+    // The run ID goes into an OData filter, so only accept the IDs autoSchedule hands out
+    if (!RUN_ID_PATTERN.test(String(runId || ''))) {
+      throw schedulingInputError('A scheduling run ID (as returned by autoSchedule) is required', 'rollbackSchedule');
+    }
+
+    const client = scopeClientToMailbox(await graphClientFactory.createClient(req), options.mailbox, { category: 'calendar', operation: 'rollbackSchedule' });
+    const filter = `singleValueExtendedProperties/any(ep: ep/id eq '${SCHEDULING_RUN_PROPERTY}' and ep/value eq '${runId}')`;
+    const events = [];
+    let nextLink = `/me/events?$filter=${encodeURIComponent(filter)}&$select=id,subject,start,end&$top=100`;
+    while (nextLink) {
+      const page = await client.api(nextLink).get();
+      events.push(...(page.value || []));
+      nextLink = page['@odata.nextLink'];
+    }
+    if (events.length === 0) {
+      throw schedulingInputError(`No events from scheduling run ${runId} were found; it may already have been rolled back`, 'rollbackSchedule');
+    }
+
+    const removed = [];
+    const failed = [];
+    for (const event of events) {
+      const summary = { id: event.id, subject: event.subject, start: event.start, end: event.end };
+      try {
+        await client.api(`/me/events/${encodeURIComponent(event.id)}`).delete();
+        removed.push(summary);
+      } catch (error) {
+        // Gone between the lookup and the delete counts as removed
+        if (error.context?.statusCode === 404) {
+          removed.push(summary);
+        } else {
+          failed.push({ ...summary, error: error.message });
+        }
+      }
+    }
+
+    const executionTime = Date.now() - startTime;
+
+    // Pattern 2: User Activity Logs
+    if (contextUserId) {
+      MonitoringService.info('Automatic scheduling run rolled back', {
+        runId,
+        removedCount: removed.length,
+        failedCount: failed.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.info('Automatic scheduling run rolled back with session', {
+        sessionId: contextSessionId,
+        runId,
+        removedCount: removed.length,
+        failedCount: failed.length,
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_schedule_rollback_success', executionTime, {
+      service: 'graph-scheduling-service',
+      method: 'rollbackSchedule',
+      removedCount: removed.length,
+      timestamp: new Date().toISOString()
+    });
+
+    return { runId, removedCount: removed.length, removed, failed };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+
+    // If it's already an MCP error, just rethrow
+    if (error.category) {
+      throw error;
+    }
+
+    // Pattern 3: Infrastructure Error Logging
+    const mcpError = ErrorService.createError(
+      'calendar',
+      `Failed to roll back scheduling run: ${error.message}`,
+      'error',
+      {
+        service: 'graph-scheduling-service',
+        method: 'rollbackSchedule',
+        runId,
+        executionTimeMs: executionTime,
+        graphMessage: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }
+    );
+
+    MonitoringService.logError(mcpError);
+
+    // Pattern 4: User Error Tracking
+    if (contextUserId) {
+      MonitoringService.error('User experienced error rolling back scheduling run', {
+        errorMessage: 'Failed to roll back scheduling run',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar', null, contextUserId);
+    } else if (contextSessionId) {
+      MonitoringService.error('Session experienced error rolling back scheduling run', {
+        sessionId: contextSessionId,
+        errorMessage: 'Failed to roll back scheduling run',
+        executionTimeMs: executionTime,
+        timestamp: new Date().toISOString()
+      }, 'calendar');
+    }
+
+    MonitoringService.trackMetric('graph_calendar_schedule_rollback_failure', executionTime, {
+      service: 'graph-scheduling-service',
+      method: 'rollbackSchedule',
+      errorType: error.code || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+
+    throw mcpError;
+  }
+}
+
+module.exports = {
+  autoSchedule,
+  rollbackSchedule
+};
@@ -14,6 +14,12 @@ const monitoringService = require('../core/monitoring-service.cjs');
 
 const app = express();
 
+// Routes that take base64 attachment content in the JSON body
+const ATTACHMENT_UPLOAD_ROUTES = [
+    '/api/v1/mail/:id/attachments',
+    '/api/v1/calendar/events/:id/attachments'
+];
+
 /**
  * Sets up middleware for the Express app.
  * @param {express.Application} expressApp - The Express app to set up middleware for
@@ -85,6 +91,10 @@ function setupMiddleware(expressApp, userId, sessionId) {
     
     // Middleware
     expressApp.use(cors(corsOptions));
+    // Base64 attachments are about 4/3 of the file size; large files use Graph upload sessions.
+    // Only the attachment upload routes accept the larger body; this parser runs first, and the
+    // global one then skips bodies that are already parsed
+    expressApp.post(ATTACHMENT_UPLOAD_ROUTES, bodyParser.json({ limit: process.env.MAX_JSON_BODY_SIZE || '50mb' }));
     expressApp.use(bodyParser.json({ limit: '2mb' }));
     // Configure morgan to skip logging for all API endpoints to reduce log volume
     expressApp.use(morgan('dev', {
@@ -11,18 +11,42 @@ const ErrorService = require('../../core/error-service.cjs');
 
 const CALENDAR_CAPABILITIES = [
     'getEvents',
+    'getCalendarView',
     'createEvent',
     'updateEvent',
     'getAvailability',
     'acceptEvent',
     'tentativelyAcceptEvent',
     'declineEvent',
+    'forwardEvent',
+    'getPendingProposals',
+    'acceptProposedTime',
+    'getResponseStatus',
+    'draftResponseReminder',
+    'autoSchedule',
+    'rollbackSchedule',
     'cancelEvent',
+    'getEventInstances',
+    'getMeetingJoinInfo',
+    'exportEvents',
+    'importEvents',
     'findMeetingTimes',
     'getRooms',
     'getCalendars',
+    'getCalendarGroups',
+    'createCalendarGroup',
+    'updateCalendarGroup',
+    'deleteCalendarGroup',
+    'createCalendar',
+    'updateCalendar',
+    'deleteCalendar',
+    'getCalendarPermissions',
+    'shareCalendar',
+    'updateCalendarPermission',
+    'revokeCalendarPermission',
     'addAttachment',
-    'removeAttachment'
+    'removeAttachment',
+    'setEventCategories'
 ];
 
 // --- Attachment Constants and Schema ---
@@ -374,6 +398,56 @@ const CalendarModule = {
         }
     },
     
+    /**
+     * Fetch the events in a time window with recurring series expanded into occurrences
+     * @param {object} [options] - { start, end } or { timeframe }, plus { calendarId, top, bodyFormat, mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} { start, end, calendarId, events }
+     */
+    async getCalendarView(options = {}, req) {
+        const { graphService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
+
+        monitoringService?.debug('Attempting to get calendar view', { start: options.start, end: options.end, timeframe: options.timeframe, timestamp: new Date().toISOString() }, 'calendar');
+
+        if (!graphService || typeof graphService.getCalendarView !== 'function') {
+            const error = errorService?.createError('calendar', 'GraphService.getCalendarView not implemented', 'error');
+            monitoringService?.logError(error);
+            throw error || new Error('GraphService.getCalendarView not implemented');
+        }
+
+        const startTime = Date.now();
+        try {
+            const result = await graphService.getCalendarView({ ...options, req });
+
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.getCalendarView.duration', duration, {
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+            monitoringService?.info('Successfully retrieved calendar view', { count: result?.events?.length, duration }, 'calendar');
+
+            return result;
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.getCalendarView.duration', duration, {
+                success: false,
+                timestamp: new Date().toISOString()
+            });
+            // Validation and access errors from the service already carry a useful message
+            if (error.category) {
+                throw error;
+            }
+            const mcpError = errorService?.createError(
+                'calendar',
+                'Failed to get calendar view in module',
+                'error',
+                { originalError: error.message, stack: error.stack }
+            );
+            monitoringService?.logError(mcpError);
+            throw mcpError;
+        }
+    },
+    
     /**
      * Creates a calendar event using the Graph Service.
      * This function is exposed as a capability and called by handleIntent.
@@ -395,6 +469,7 @@ const CalendarModule = {
      * @param {string} [eventData.body.contentType="HTML"] - Content type ('HTML' or 'text').
      * @param {string} eventData.body.content - The content of the body.
      * @param {boolean} [eventData.isOnlineMeeting=false] - Optional. Whether the event is an online meeting.
+     * @param {string} [eventData.onlineMeetingProvider] - Optional. teamsForBusiness, skypeForBusiness or skypeForConsumer (defaults to the calendar's provider).
      * @param {object} [req] - Optional Express request object, potentially containing user context.
      * @returns {Promise<object>} The *normalized* created event object.
      * @throws {Error} If the Graph Service fails to create the event.
@@ -435,7 +510,9 @@ const CalendarModule = {
                 throw error;
             }
             
-            let finalEventData = { ...eventData };
+            // mailbox, calendarId and conflictPolicy steer the write; they are not part of the event payload
+            const { mailbox, calendarId, conflictPolicy, ...eventFields } = eventData;
+            let finalEventData = { ...eventFields };
             const startTime = Date.now();
 
             // 1. Resolve attendee names if attendees are provided
@@ -473,11 +550,14 @@ const CalendarModule = {
             }
 
             // 2. Create the event via the service
-            const createdEvent = await graphService.createEvent(finalEventData, 'me', { req });
+            const createdEvent = await graphService.createEvent(finalEventData, 'me', { req, mailbox, calendarId, conflictPolicy });
             const elapsedTime = Date.now() - startTime;
             
-            // 3. Normalize the result before returning
+            // 3. Normalize the result before returning, keeping the conflict report
             const normalizedEvent = normalizeEvent(createdEvent);
+            if (createdEvent.conflicts) {
+                normalizedEvent.conflicts = createdEvent.conflicts;
+            }
             
             // Log success and track performance
             monitoringService?.info('Event created successfully', { 
@@ -497,6 +577,11 @@ const CalendarModule = {
             return normalizedEvent;
             
         } catch (error) {
+            // A blocked double-booking carries its conflict report back to the caller
+            if (error.conflicts) {
+                throw error;
+            }
+            
             const mcpError = errorService?.createError(
                 'calendar',
                 `Failed to create event: ${error.message}`,
@@ -636,7 +721,9 @@ const CalendarModule = {
 
             // Call the Graph service directly with minimal processing
             // This allows us to see exactly what Microsoft Graph receives
-            const result = await graphService.updateEvent(eventId, updates, 'me', { req });
+            // mailbox, applyTo and conflictPolicy steer the update; they are not part of the event payload
+            const { mailbox, applyTo, conflictPolicy, ...eventUpdates } = updates;
+            const result = await graphService.updateEvent(eventId, eventUpdates, 'me', { req, mailbox, applyTo, conflictPolicy });
 
             // Calculate elapsed time and track metric
             const elapsedTime = Date.now() - startTime;
@@ -653,6 +740,10 @@ const CalendarModule = {
 
             return result;
         } catch (error) {
+            if (error.conflicts) {
+                throw error;
+            }
+
             const graphDetails = {
                 statusCode: error.statusCode,
                 code: error.code,
@@ -1008,8 +1099,8 @@ const CalendarModule = {
         let comment = '';
         let options = {};
         
-        if (action === 'cancel' && typeof commentOrOptions === 'object') {
-            // For cancel action with options object
+        if (commentOrOptions && typeof commentOrOptions === 'object') {
+            // Options object: cancel settings, or { comment, mailbox } for a delegated calendar
             comment = commentOrOptions.comment || '';
             options = commentOrOptions;
         } else {
@@ -1053,8 +1144,8 @@ const CalendarModule = {
                 // For cancel, pass the full options object
                 result = await graphService[graphMethodName](eventId, options, req);
             } else {
-                // For other actions, pass comment string
-                result = await graphService[graphMethodName](eventId, comment, req);
+                // For other actions, pass comment string (or options for a delegated calendar or a proposed new time)
+                result = await graphService[graphMethodName](eventId, options.mailbox || options.proposedNewTime ? options : comment, req);
             }
             
             // Calculate elapsed time and track metric
@@ -1102,7 +1193,7 @@ const CalendarModule = {
     /**
      * Accept a calendar event invitation
      * @param {string} eventId - ID of the event to accept
-     * @param {string} comment - Optional comment to include with the response
+     * @param {string|object} comment - Optional comment, or { comment, mailbox } for a delegated calendar
      * @returns {Promise<object>} Response status
      */
     async acceptEvent(eventId, comment = '', req) {
@@ -1112,7 +1203,8 @@ const CalendarModule = {
     /**
      * Tentatively accept a calendar event invitation
      * @param {string} eventId - ID of the event to tentatively accept
-     * @param {string} comment - Optional comment to include with the response
+     * @param {string|object} comment - Optional comment, or { comment, mailbox, proposedNewTime } for a delegated
+     *   calendar or to propose a new time ({ start, end }) to the organizer
      * @returns {Promise<object>} Response status
      */
     async tentativelyAcceptEvent(eventId, comment = '', req) {
@@ -1122,7 +1214,8 @@ const CalendarModule = {
     /**
      * Decline a calendar event invitation
      * @param {string} eventId - ID of the event to decline
-     * @param {string} comment - Optional comment to include with the response
+     * @param {string|object} comment - Optional comment, or { comment, mailbox, proposedNewTime } for a delegated
+     *   calendar or to propose a new time ({ start, end }) to the organizer
      * @returns {Promise<object>} Response status
      */
     async declineEvent(eventId, comment = '', req) {
@@ -1132,19 +1225,24 @@ const CalendarModule = {
     /**
      * Cancel a calendar event and send cancellation messages to attendees
      * @param {string} eventId - ID of the event to cancel
-     * @param {string} comment - Optional comment to include with the cancellation
+     * @param {string|object} comment - Optional comment, or { comment, mailbox, applyTo } for a delegated
+     *   calendar or to cancel a whole recurring series ('series') instead of one occurrence
      * @returns {Promise<object>} Response status
      */
     async cancelEvent(eventId, comment = '', req) {
+        const { comment: cancelComment = '', mailbox, applyTo } = comment && typeof comment === 'object' ? comment : { comment };
+
         // Fix: Replace internal user ID with 'me' for Graph API calls
         // The Graph API expects 'me' for the current authenticated user, not internal user IDs
         const userId = 'me'; // Always use 'me' for the current user in Graph API calls
         
         // Pass userId in options to ensure Graph service uses 'me'
         const options = {
-            comment,
+            comment: cancelComment,
             userId,
-            sendCancellation: true
+            sendCancellation: true,
+            mailbox,
+            applyTo
         };
         
         return await this._handleEventAction('cancel', eventId, options, req);
@@ -1369,162 +1467,971 @@ const CalendarModule = {
     },
     
     /**
-     * Add an attachment to an event
-     * @param {string} eventId - ID of the event
-     * @param {object} attachment - Attachment data
-     * @returns {Promise<object>} Created attachment
+     * Private helper that forwards calendar and sharing management to CalendarManagementService.
+     * @param {string} method - CalendarManagementService method, e.g. 'shareCalendar'
+     * @param {Array} args - Leading arguments for the service method
+     * @param {object} [options] - Trailing service options such as { mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<*>} Result of the service method
+     * @private
      */
-    async addAttachment(eventId, attachment, req) {
-        // Get services with fallbacks
-        const { graphService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
+    async _manageCalendars(method, args, options = {}, req) {
+        const { calendarManagementService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
 
-        // Log the request attempt
-        monitoringService?.debug('Adding attachment to calendar event', { 
-            eventId,
-            attachmentName: attachment?.name,
-            contentType: attachment?.contentType,
-            timestamp: new Date().toISOString()
-        }, 'calendar');
+        monitoringService?.debug(`Attempting calendar management action ${method}`, { method, timestamp: new Date().toISOString() }, 'calendar');
 
-        if (!graphService || typeof graphService.addEventAttachment !== 'function') {
-            const methodError = errorService?.createError(
-                'calendar',
-                'Required GraphService method \'addEventAttachment\' not implemented or service unavailable',
-                'error',
-                { 
-                    eventId,
-                    timestamp: new Date().toISOString() 
-                }
-            );
-            
-            monitoringService?.logError(methodError);
-                
-            throw new Error('Required GraphService method \'addEventAttachment\' not implemented or service unavailable.');
+        if (!calendarManagementService || typeof calendarManagementService[method] !== 'function') {
+            const error = errorService?.createError('calendar', `CalendarManagementService.${method} not implemented`, 'error');
+            monitoringService?.logError(error);
+            throw error || new Error(`CalendarManagementService.${method} not implemented`);
         }
 
-        // Validate attachment data
-        let validatedAttachment;
+        const startTime = Date.now();
         try {
-            const { error, value } = attachmentSchema.validate(attachment, { abortEarly: false });
-            if (error) {
-                const validationError = errorService.createError(
-                    'validation',
-                    'Invalid attachment data',
-                    'warn',
-                    { 
-                        details: error.details.map(d => d.message), 
-                        eventId,
-                        timestamp: new Date().toISOString()
-                    }
-                );
-                monitoringService?.logError(validationError);
-                throw validationError;
+            const result = await calendarManagementService[method](...args, { ...options, req });
+
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric(`calendar.${method}.duration`, duration, {
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+            monitoringService?.info(`Successfully performed calendar management action ${method}`, { method, duration }, 'calendar');
+
+            return result;
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric(`calendar.${method}.duration`, duration, {
+                success: false,
+                timestamp: new Date().toISOString()
+            });
+            // Validation and access errors from the service already carry a useful message
+            if (error.category) {
+                throw error;
             }
-            validatedAttachment = value; // Use the validated and potentially defaulted value
-        } catch (validationError) {
-            // Rethrow validation errors immediately
-            throw validationError; 
+            const mcpError = errorService?.createError(
+                'calendar',
+                `Failed to ${method} in module`,
+                'error',
+                { originalError: error.message, stack: error.stack }
+            );
+            monitoringService?.logError(mcpError);
+            throw mcpError;
         }
+    },
 
-        // Create audit log context with safe data for logging
-        const auditLogContext = { 
-            eventId, 
-            attachmentName: validatedAttachment.name, 
-            contentType: validatedAttachment.contentType, 
-            sizeBytes: Buffer.byteLength(validatedAttachment.contentBytes, 'base64'),
-            timestamp: new Date().toISOString()
-        };
+    /**
+     * List calendar groups
+     * @param {object} [options] - { includeCalendars, mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<Array<object>>} Calendar groups
+     */
+    async getCalendarGroups(options = {}, req) {
+        const { includeCalendars, mailbox } = options;
+        return await this._manageCalendars('listCalendarGroups', [], { includeCalendars, mailbox }, req);
+    },
 
-        // Log the attachment attempt
-        monitoringService?.info('Attempting to add attachment to calendar event', auditLogContext, 'calendar');
+    /**
+     * Create a calendar group
+     * @param {object} groupData - { name, mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} Created calendar group
+     */
+    async createCalendarGroup(groupData = {}, req) {
+        const { mailbox, ...group } = groupData;
+        return await this._manageCalendars('createCalendarGroup', [group], { mailbox }, req);
+    },
+
+    /**
+     * Rename a calendar group
+     * @param {string} groupId - Calendar group ID
+     * @param {object} updates - { name, mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} Updated calendar group
+     */
+    async updateCalendarGroup(groupId, updates = {}, req) {
+        const { mailbox, ...changes } = updates;
+        return await this._manageCalendars('updateCalendarGroup', [groupId, changes], { mailbox }, req);
+    },
+
+    /**
+     * Delete an empty calendar group
+     * @param {string} groupId - Calendar group ID
+     * @param {object} [options] - { mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} { id, deleted }
+     */
+    async deleteCalendarGroup(groupId, options = {}, req) {
+        return await this._manageCalendars('deleteCalendarGroup', [groupId], { mailbox: options.mailbox }, req);
+    },
+
+    /**
+     * Create a secondary calendar
+     * @param {object} calendarData - { name, color, calendarGroupId, mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} Created calendar
+     */
+    async createCalendar(calendarData = {}, req) {
+        const { mailbox, ...calendar } = calendarData;
+        return await this._manageCalendars('createCalendar', [calendar], { mailbox }, req);
+    },
+
+    /**
+     * Rename a calendar or change its color
+     * @param {string} calendarId - Calendar ID
+     * @param {object} updates - { name, color, mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} Updated calendar
+     */
+    async updateCalendar(calendarId, updates = {}, req) {
+        const { mailbox, ...changes } = updates;
+        return await this._manageCalendars('updateCalendar', [calendarId, changes], { mailbox }, req);
+    },
+
+    /**
+     * Delete a secondary calendar and its events
+     * @param {string} calendarId - Calendar ID
+     * @param {object} [options] - { mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} { id, deleted }
+     */
+    async deleteCalendar(calendarId, options = {}, req) {
+        return await this._manageCalendars('deleteCalendar', [calendarId], { mailbox: options.mailbox }, req);
+    },
+
+    /**
+     * List who a calendar is shared with
+     * @param {string} calendarId - Calendar ID
+     * @param {object} [options] - { mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<Array<object>>} Calendar permissions
+     */
+    async getCalendarPermissions(calendarId, options = {}, req) {
+        return await this._manageCalendars('listCalendarPermissions', [calendarId], { mailbox: options.mailbox }, req);
+    },
+
+    /**
+     * Share a calendar with someone
+     * @param {string} calendarId - Calendar ID
+     * @param {object} shareData - { email, name, role, mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} Calendar permission
+     */
+    async shareCalendar(calendarId, shareData = {}, req) {
+        const { mailbox, ...share } = shareData;
+        return await this._manageCalendars('shareCalendar', [calendarId, share], { mailbox }, req);
+    },
+
+    /**
+     * Change the role someone has on a calendar
+     * @param {string} calendarId - Calendar ID
+     * @param {object} permissionData - { permissionId or email, role, mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} Calendar permission
+     */
+    async updateCalendarPermission(calendarId, permissionData = {}, req) {
+        const { mailbox, ...permission } = permissionData;
+        return await this._manageCalendars('updateCalendarPermission', [calendarId, permission], { mailbox }, req);
+    },
+
+    /**
+     * Stop sharing a calendar with someone
+     * @param {string} calendarId - Calendar ID
+     * @param {object} permissionData - { permissionId or email, mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} { id, calendarId, email, revoked }
+     */
+    async revokeCalendarPermission(calendarId, permissionData = {}, req) {
+        const { mailbox, ...permission } = permissionData;
+        return await this._manageCalendars('revokeCalendarPermission', [calendarId, permission], { mailbox }, req);
+    },
+    
+    /**
+     * List the occurrences of a recurring series
+     * @param {string} eventId - Series master or occurrence ID
+     * @param {object} [options] - { start, end, top, mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} { seriesMasterId, start, end, instances }
+     */
+    async getEventInstances(eventId, options = {}, req) {
+        const { graphService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
+
+        monitoringService?.debug('Attempting to get event occurrences', { eventId, options, timestamp: new Date().toISOString() }, 'calendar');
+
+        if (!graphService || typeof graphService.getEventInstances !== 'function') {
+            const error = errorService?.createError('calendar', 'GraphService.getEventInstances not implemented', 'error');
+            monitoringService?.logError(error);
+            throw error || new Error('GraphService.getEventInstances not implemented');
+        }
 
+        const startTime = Date.now();
         try {
-            // Track performance
-            const startTime = Date.now();
-            
-            // Call the Graph API
-            const result = await graphService.addEventAttachment(eventId, validatedAttachment, req);
-            
-            // Calculate elapsed time and track metric
-            const elapsedTime = Date.now() - startTime;
-            monitoringService?.trackMetric('calendar_add_attachment', elapsedTime, {
-                timestamp: new Date().toISOString()
-            });
+            const result = await graphService.getEventInstances(eventId, { ...options, req });
 
-            // Log success
-            monitoringService?.info('Successfully added attachment to calendar event', { 
-                ...auditLogContext, 
-                attachmentId: result.id,
-                elapsedTime,
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.getEventInstances.duration', duration, {
+                success: true,
                 timestamp: new Date().toISOString()
-            }, 'calendar');
-
-            return result; // Return the created attachment object from Graph
+            });
+            monitoringService?.info('Successfully retrieved event occurrences', { count: result?.instances?.length, duration }, 'calendar');
 
+            return result;
         } catch (error) {
-            // Create standardized error object
-            const graphDetails = { 
-                statusCode: error.statusCode, 
-                code: error.code, 
-                graphRequestId: error.requestId, 
-                originalMessage: error.message 
-            };
-            
-            const attachmentError = errorService?.createError(
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.getEventInstances.duration', duration, {
+                success: false,
+                timestamp: new Date().toISOString()
+            });
+            // Validation and access errors from the service already carry a useful message
+            if (error.category) {
+                throw error;
+            }
+            const mcpError = errorService?.createError(
                 'calendar',
-                `Failed to add attachment: ${error.code || error.message}`,
+                'Failed to get event occurrences in module',
                 'error',
-                { 
-                    originalError: error.stack,
-                    graphDetails, 
-                    ...auditLogContext
-                }
+                { originalError: error.message, stack: error.stack }
             );
-            
-            // Log the error
-            monitoringService?.logError(attachmentError);
-                
-            throw attachmentError || new Error(`Failed to add attachment: ${error.message}`);
+            monitoringService?.logError(mcpError);
+            throw mcpError;
         }
     },
     
     /**
-     * Remove an attachment from an event
-     * @param {string} eventId - ID of the event
-     * @param {string} attachmentId - ID of the attachment to remove
-     * @returns {Promise<boolean>} Success status
+     * Get the join link and dial-in details of an online meeting
+     * @param {string} eventId - Event ID
+     * @param {object} [options] - { mailbox } for a delegated calendar
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} { eventId, subject, start, end, isOnlineMeeting, provider, joinUrl, conferenceId, dialIn }
      */
-    async removeAttachment(eventId, attachmentId, req) {
-        // Get services with fallbacks
+    async getMeetingJoinInfo(eventId, options = {}, req) {
         const { graphService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
 
-        // Log the request attempt
-        monitoringService?.debug('Removing attachment from calendar event', { 
-            eventId,
-            attachmentId,
-            timestamp: new Date().toISOString()
-        }, 'calendar');
+        monitoringService?.debug('Attempting to get meeting join info', { eventId, timestamp: new Date().toISOString() }, 'calendar');
 
-        if (!graphService || typeof graphService.removeEventAttachment !== 'function') {
-            const methodError = errorService?.createError(
-                'calendar',
-                'Required GraphService method \'removeEventAttachment\' not implemented or service unavailable',
-                'error',
-                { 
-                    eventId,
-                    attachmentId,
-                    timestamp: new Date().toISOString() 
-                }
-            );
-            
-            monitoringService?.logError(methodError);
-                
-            throw new Error('Required GraphService method \'removeEventAttachment\' not implemented or service unavailable.');
+        if (!graphService || typeof graphService.getMeetingJoinInfo !== 'function') {
+            const error = errorService?.createError('calendar', 'GraphService.getMeetingJoinInfo not implemented', 'error');
+            monitoringService?.logError(error);
+            throw error || new Error('GraphService.getMeetingJoinInfo not implemented');
         }
 
-        // Create audit log context with safe data for logging
-        const auditLogContext = { 
-            eventId, 
+        const startTime = Date.now();
+        try {
+            const result = await graphService.getMeetingJoinInfo(eventId, { ...options, req });
+
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.getMeetingJoinInfo.duration', duration, {
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+            monitoringService?.info('Successfully retrieved meeting join info', { isOnlineMeeting: result?.isOnlineMeeting, duration }, 'calendar');
+
+            return result;
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.getMeetingJoinInfo.duration', duration, {
+                success: false,
+                timestamp: new Date().toISOString()
+            });
+            // Access errors from the service already carry a useful message
+            if (error.category) {
+                throw error;
+            }
+            const mcpError = errorService?.createError(
+                'calendar',
+                'Failed to get meeting join info in module',
+                'error',
+                { originalError: error.message, stack: error.stack }
+            );
+            monitoringService?.logError(mcpError);
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Forward a meeting invitation to new recipients
+     * @param {string} eventId - Event ID
+     * @param {object} forwardData - { recipients, comment, mailbox }; recipients are email addresses or { email, name }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} { success, eventId, recipients, comment, message }
+     */
+    async forwardEvent(eventId, forwardData = {}, req) {
+        const { graphService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
+
+        monitoringService?.debug('Attempting to forward event', { eventId, timestamp: new Date().toISOString() }, 'calendar');
+
+        if (!graphService || typeof graphService.forwardEvent !== 'function') {
+            const error = errorService?.createError('calendar', 'GraphService.forwardEvent not implemented', 'error');
+            monitoringService?.logError(error);
+            throw error || new Error('GraphService.forwardEvent not implemented');
+        }
+
+        const startTime = Date.now();
+        try {
+            const result = await graphService.forwardEvent(eventId, forwardData.recipients, { comment: forwardData.comment, mailbox: forwardData.mailbox, req });
+
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.forwardEvent.duration', duration, {
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+            monitoringService?.info('Successfully forwarded event', { recipientCount: result?.recipients?.length, duration }, 'calendar');
+
+            return result;
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.forwardEvent.duration', duration, {
+                success: false,
+                timestamp: new Date().toISOString()
+            });
+            // Validation and access errors from the service already carry a useful message
+            if (error.category) {
+                throw error;
+            }
+            const mcpError = errorService?.createError(
+                'calendar',
+                'Failed to forward event in module',
+                'error',
+                { originalError: error.message, stack: error.stack }
+            );
+            monitoringService?.logError(mcpError);
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Summarize the new times attendees proposed for upcoming events the user organizes
+     * @param {object} [options] - { start, end, mailbox }; the window defaults to the next 30 days
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} { start, end, eventCount, proposalCount, events }
+     */
+    async getPendingProposals(options = {}, req) {
+        const { graphService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
+
+        monitoringService?.debug('Attempting to get pending time proposals', { options, timestamp: new Date().toISOString() }, 'calendar');
+
+        if (!graphService || typeof graphService.getPendingProposals !== 'function') {
+            const error = errorService?.createError('calendar', 'GraphService.getPendingProposals not implemented', 'error');
+            monitoringService?.logError(error);
+            throw error || new Error('GraphService.getPendingProposals not implemented');
+        }
+
+        const startTime = Date.now();
+        try {
+            const result = await graphService.getPendingProposals({ ...options, req });
+
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.getPendingProposals.duration', duration, {
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+            monitoringService?.info('Successfully retrieved pending time proposals', { proposalCount: result?.proposalCount, duration }, 'calendar');
+
+            return result;
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.getPendingProposals.duration', duration, {
+                success: false,
+                timestamp: new Date().toISOString()
+            });
+            // Validation and access errors from the service already carry a useful message
+            if (error.category) {
+                throw error;
+            }
+            const mcpError = errorService?.createError(
+                'calendar',
+                'Failed to get pending time proposals in module',
+                'error',
+                { originalError: error.message, stack: error.stack }
+            );
+            monitoringService?.logError(mcpError);
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Move an event the user organizes to the time an attendee proposed
+     * @param {string} eventId - Event ID
+     * @param {object} [options] - { attendee, conflictPolicy, mailbox }; attendee may be left out when
+     *   only one attendee proposed a new time
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} Updated event with acceptedProposal and conflicts
+     */
+    async acceptProposedTime(eventId, options = {}, req) {
+        const { graphService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
+
+        monitoringService?.debug('Attempting to accept a proposed time', { eventId, hasAttendee: !!options.attendee, timestamp: new Date().toISOString() }, 'calendar');
+
+        if (!graphService || typeof graphService.acceptProposedTime !== 'function') {
+            const error = errorService?.createError('calendar', 'GraphService.acceptProposedTime not implemented', 'error');
+            monitoringService?.logError(error);
+            throw error || new Error('GraphService.acceptProposedTime not implemented');
+        }
+
+        const startTime = Date.now();
+        try {
+            const result = await graphService.acceptProposedTime(eventId, { ...options, req });
+
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.acceptProposedTime.duration', duration, {
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+            monitoringService?.info('Successfully accepted proposed time', { eventId, duration }, 'calendar');
+
+            return result;
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.acceptProposedTime.duration', duration, {
+                success: false,
+                timestamp: new Date().toISOString()
+            });
+            // Validation, conflict and access errors from the service already carry a useful message
+            if (error.category) {
+                throw error;
+            }
+            const mcpError = errorService?.createError(
+                'calendar',
+                'Failed to accept proposed time in module',
+                'error',
+                { originalError: error.message, stack: error.stack }
+            );
+            monitoringService?.logError(mcpError);
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Group the attendees of an event the user organizes (or of every upcoming event they organize)
+     * by response: accepted, tentative, declined and none
+     * @param {object} [options] - { eventId } or { start, end }, plus { pendingOnly, mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} { start, end, timeZone, eventCount, totals, events }
+     */
+    async getResponseStatus(options = {}, req) {
+        const { graphService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
+
+        monitoringService?.debug('Attempting to get attendee response status', { hasEventId: !!options.eventId, timestamp: new Date().toISOString() }, 'calendar');
+
+        if (!graphService || typeof graphService.getResponseStatus !== 'function') {
+            const error = errorService?.createError('calendar', 'GraphService.getResponseStatus not implemented', 'error');
+            monitoringService?.logError(error);
+            throw error || new Error('GraphService.getResponseStatus not implemented');
+        }
+
+        const startTime = Date.now();
+        try {
+            const result = await graphService.getResponseStatus({ ...options, req });
+
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.getResponseStatus.duration', duration, {
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+            monitoringService?.info('Successfully retrieved attendee response status', { eventCount: result?.eventCount, duration }, 'calendar');
+
+            return result;
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.getResponseStatus.duration', duration, {
+                success: false,
+                timestamp: new Date().toISOString()
+            });
+            // Validation and access errors from the service already carry a useful message
+            if (error.category) {
+                throw error;
+            }
+            const mcpError = errorService?.createError(
+                'calendar',
+                'Failed to get attendee response status in module',
+                'error',
+                { originalError: error.message, stack: error.stack }
+            );
+            monitoringService?.logError(mcpError);
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Builds the subject and plain-text body of a reminder to respond to an event.
+     * @param {object} event - Event summary from getResponseStatus
+     * @param {string} timeZone - Calendar owner's time zone for showing the start time
+     * @param {string} [message] - Custom message replacing the default request
+     * @returns {object} { subject, body }
+     * @private
+     */
+    _composeResponseReminder(event, timeZone, message) {
+        const { graphService } = this.services || {};
+        const ianaTimeZone = (typeof graphService?.resolveIanaTimeZone === 'function' && graphService.resolveIanaTimeZone(timeZone)) || 'UTC';
+        const start = new Date(`${String(event.start?.dateTime || '').replace(/Z$/, '')}Z`);
+        const when = Number.isNaN(start.getTime()) ? '' : `${new Intl.DateTimeFormat('en-US', {
+            timeZone: ianaTimeZone,
+            dateStyle: 'full',
+            timeStyle: 'short'
+        }).format(start)} (${ianaTimeZone === 'UTC' ? 'UTC' : timeZone})`;
+
+        const lines = [
+            'Hi,',
+            '',
+            message || 'I have not seen a response from you yet to the meeting below. Could you accept or decline the invitation so I can plan accordingly?',
+            '',
+            event.subject,
+            when,
+            event.location ? `Location: ${event.location}` : '',
+            '',
+            'Thank you!'
+        ];
+        return {
+            subject: `Reminder: please respond to "${event.subject}"`,
+            body: lines.filter((line, index) => line !== '' || lines[index - 1] !== '').join('\n')
+        };
+    },
+    
+    /**
+     * Draft a reminder email to the attendees who have not responded to an event the user organizes.
+     * The draft is saved through the mail module for review; nothing is sent.
+     * @param {string} eventId - Event ID
+     * @param {object} [options] - { includeTentative, message, mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} { eventId, subject, recipients, draft }
+     */
+    async draftResponseReminder(eventId, options = {}, req) {
+        const { graphService, mailModule, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
+
+        monitoringService?.debug('Attempting to draft a response reminder', { eventId, includeTentative: !!options.includeTentative, timestamp: new Date().toISOString() }, 'calendar');
+
+        if (!graphService || typeof graphService.getResponseStatus !== 'function') {
+            const error = errorService?.createError('calendar', 'GraphService.getResponseStatus not implemented', 'error');
+            monitoringService?.logError(error);
+            throw error || new Error('GraphService.getResponseStatus not implemented');
+        }
+        if (!mailModule || typeof mailModule.createDraft !== 'function') {
+            const error = errorService?.createError('calendar', 'The mail module is not available to draft the reminder', 'error');
+            monitoringService?.logError(error);
+            throw error || new Error('The mail module is not available to draft the reminder');
+        }
+
+        const startTime = Date.now();
+        try {
+            const status = await graphService.getResponseStatus({ eventId, mailbox: options.mailbox, req });
+            const event = status.events[0];
+            const recipients = event ? [...event.none, ...(options.includeTentative ? event.tentative : [])] : [];
+            if (recipients.length === 0) {
+                const error = errorService?.createError(
+                    'calendar',
+                    `No attendee is still waiting to respond${options.includeTentative ? ' or tentative' : ''}; there is no one to remind`,
+                    'warning',
+                    { eventId, timestamp: new Date().toISOString() }
+                );
+                monitoringService?.logError(error);
+                throw error;
+            }
+
+            const reminder = this._composeResponseReminder(event, status.timeZone, options.message);
+            const draft = await mailModule.createDraft({
+                subject: reminder.subject,
+                body: reminder.body,
+                contentType: 'Text',
+                to: recipients.map(recipient => recipient.email),
+                mailbox: options.mailbox
+            }, req);
+
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.draftResponseReminder.duration', duration, {
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+            monitoringService?.info('Successfully drafted response reminder', { eventId, recipientCount: recipients.length, duration }, 'calendar');
+
+            return {
+                eventId,
+                subject: event.subject,
+                recipients: recipients.map(({ email, name }) => ({ email, name })),
+                draft
+            };
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.draftResponseReminder.duration', duration, {
+                success: false,
+                timestamp: new Date().toISOString()
+            });
+            // Validation and access errors from the services already carry a useful message
+            if (error.category) {
+                throw error;
+            }
+            const mcpError = errorService?.createError(
+                'calendar',
+                'Failed to draft response reminder in module',
+                'error',
+                { originalError: error.message, stack: error.stack }
+            );
+            monitoringService?.logError(mcpError);
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Book focus time up to a weekly target in free working hours and add travel time around
+     * in-person meetings. With dryRun the plan is returned and nothing is created.
+     * @param {object} [options] - { focusHoursPerWeek, minFocusMinutes, maxFocusMinutes, focusSubject, travelMinutesBefore, travelMinutesAfter, start, end, dryRun, mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} { runId, dryRun, timeZone, workingHours, window, focus, travel, created, failed }
+     */
+    async autoSchedule(options = {}, req) {
+        const { schedulingService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
+
+        monitoringService?.debug('Attempting automatic scheduling', { dryRun: !!options.dryRun, focusHoursPerWeek: options.focusHoursPerWeek, timestamp: new Date().toISOString() }, 'calendar');
+
+        if (!schedulingService || typeof schedulingService.autoSchedule !== 'function') {
+            const error = errorService?.createError('calendar', 'SchedulingService.autoSchedule not implemented', 'error');
+            monitoringService?.logError(error);
+            throw error || new Error('SchedulingService.autoSchedule not implemented');
+        }
+
+        const startTime = Date.now();
+        try {
+            const result = await schedulingService.autoSchedule({ ...options, req });
+
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.autoSchedule.duration', duration, {
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+            monitoringService?.info('Successfully completed automatic scheduling', { runId: result?.runId, dryRun: result?.dryRun, createdCount: result?.created?.length, duration }, 'calendar');
+
+            return result;
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.autoSchedule.duration', duration, {
+                success: false,
+                timestamp: new Date().toISOString()
+            });
+            // Validation errors from the service and planner already carry a useful message
+            if (error.category) {
+                throw error;
+            }
+            const mcpError = errorService?.createError(
+                'calendar',
+                'Failed to run automatic scheduling in module',
+                'error',
+                { originalError: error.message, stack: error.stack }
+            );
+            monitoringService?.logError(mcpError);
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Remove every event an automatic scheduling run created
+     * @param {string} runId - Run ID returned by autoSchedule
+     * @param {object} [options] - { mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} { runId, removedCount, removed, failed }
+     */
+    async rollbackSchedule(runId, options = {}, req) {
+        const { schedulingService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
+
+        monitoringService?.debug('Attempting to roll back scheduling run', { runId, timestamp: new Date().toISOString() }, 'calendar');
+
+        if (!schedulingService || typeof schedulingService.rollbackSchedule !== 'function') {
+            const error = errorService?.createError('calendar', 'SchedulingService.rollbackSchedule not implemented', 'error');
+            monitoringService?.logError(error);
+            throw error || new Error('SchedulingService.rollbackSchedule not implemented');
+        }
+
+        const startTime = Date.now();
+        try {
+            const result = await schedulingService.rollbackSchedule(runId, { ...options, req });
+
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.rollbackSchedule.duration', duration, {
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+            monitoringService?.info('Successfully rolled back scheduling run', { runId, removedCount: result?.removedCount, duration }, 'calendar');
+
+            return result;
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.rollbackSchedule.duration', duration, {
+                success: false,
+                timestamp: new Date().toISOString()
+            });
+            // Validation errors from the service and planner already carry a useful message
+            if (error.category) {
+                throw error;
+            }
+            const mcpError = errorService?.createError(
+                'calendar',
+                'Failed to roll back scheduling run in module',
+                'error',
+                { originalError: error.message, stack: error.stack }
+            );
+            monitoringService?.logError(mcpError);
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Export events as an iCalendar (.ics) file
+     * @param {object} [options] - { eventId } or { start, end }, plus { mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} { filename, contentType, eventCount, content }
+     */
+    async exportEvents(options = {}, req) {
+        const { icsService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
+
+        monitoringService?.debug('Attempting to export events to iCalendar', { hasEventId: !!options.eventId, timestamp: new Date().toISOString() }, 'calendar');
+
+        if (!icsService || typeof icsService.exportEvents !== 'function') {
+            const error = errorService?.createError('calendar', 'IcsService.exportEvents not implemented', 'error');
+            monitoringService?.logError(error);
+            throw error || new Error('IcsService.exportEvents not implemented');
+        }
+
+        const startTime = Date.now();
+        try {
+            const result = await icsService.exportEvents({ ...options, req });
+
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.exportEvents.duration', duration, {
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+            monitoringService?.info('Successfully exported events to iCalendar', { eventCount: result?.eventCount, duration }, 'calendar');
+
+            return result;
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.exportEvents.duration', duration, {
+                success: false,
+                timestamp: new Date().toISOString()
+            });
+            // Validation and access errors from the service already carry a useful message
+            if (error.category) {
+                throw error;
+            }
+            const mcpError = errorService?.createError(
+                'calendar',
+                'Failed to export events in module',
+                'error',
+                { originalError: error.message, stack: error.stack }
+            );
+            monitoringService?.logError(mcpError);
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Import the events of an iCalendar (.ics) file as new events
+     * @param {object} options - { content } or { fileId } of a .ics file in OneDrive, plus { inviteAttendees, timeZone, mailbox }
+     * @param {object} [req] - Express request object
+     * @returns {Promise<object>} { total, imported, failed, warnings }
+     */
+    async importEvents(options = {}, req) {
+        const { icsService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
+
+        monitoringService?.debug('Attempting to import events from iCalendar', { source: options.fileId ? 'onedrive' : 'content', timestamp: new Date().toISOString() }, 'calendar');
+
+        if (!icsService || typeof icsService.importEvents !== 'function') {
+            const error = errorService?.createError('calendar', 'IcsService.importEvents not implemented', 'error');
+            monitoringService?.logError(error);
+            throw error || new Error('IcsService.importEvents not implemented');
+        }
+
+        const startTime = Date.now();
+        try {
+            const result = await icsService.importEvents({ ...options, req });
+
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.importEvents.duration', duration, {
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+            monitoringService?.info('Successfully imported events from iCalendar', { importedCount: result?.imported?.length, failedCount: result?.failed?.length, duration }, 'calendar');
+
+            return result;
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.importEvents.duration', duration, {
+                success: false,
+                timestamp: new Date().toISOString()
+            });
+            // Validation, file and access errors from the service already carry a useful message
+            if (error.category) {
+                throw error;
+            }
+            const mcpError = errorService?.createError(
+                'calendar',
+                'Failed to import events in module',
+                'error',
+                { originalError: error.message, stack: error.stack }
+            );
+            monitoringService?.logError(mcpError);
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Add an attachment to an event
+     * @param {string} eventId - ID of the event
+     * @param {object} attachment - Attachment data
+     * @param {object} [req] - Express request object
+     * @param {object} [options] - { mailbox } for a delegated calendar
+     * @returns {Promise<object>} Created attachment
+     */
+    async addAttachment(eventId, attachment, req, options = {}) {
+        // Get services with fallbacks
+        const { graphService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
+
+        // Log the request attempt
+        monitoringService?.debug('Adding attachment to calendar event', { 
+            eventId,
+            attachmentName: attachment?.name,
+            contentType: attachment?.contentType,
+            timestamp: new Date().toISOString()
+        }, 'calendar');
+
+        if (!graphService || typeof graphService.addEventAttachment !== 'function') {
+            const methodError = errorService?.createError(
+                'calendar',
+                'Required GraphService method \'addEventAttachment\' not implemented or service unavailable',
+                'error',
+                { 
+                    eventId,
+                    timestamp: new Date().toISOString() 
+                }
+            );
+            
+            monitoringService?.logError(methodError);
+                
+            throw new Error('Required GraphService method \'addEventAttachment\' not implemented or service unavailable.');
+        }
+
+        // Validate attachment data
+        let validatedAttachment;
+        try {
+            const { error, value } = attachmentSchema.validate(attachment, { abortEarly: false });
+            if (error) {
+                const validationError = errorService.createError(
+                    'validation',
+                    'Invalid attachment data',
+                    'warn',
+                    { 
+                        details: error.details.map(d => d.message), 
+                        eventId,
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                monitoringService?.logError(validationError);
+                throw validationError;
+            }
+            validatedAttachment = value; // Use the validated and potentially defaulted value
+        } catch (validationError) {
+            // Rethrow validation errors immediately
+            throw validationError; 
+        }
+
+        // Create audit log context with safe data for logging
+        const auditLogContext = { 
+            eventId, 
+            attachmentName: validatedAttachment.name, 
+            contentType: validatedAttachment.contentType, 
+            sizeBytes: Buffer.byteLength(validatedAttachment.contentBytes, 'base64'),
+            timestamp: new Date().toISOString()
+        };
+
+        // Log the attachment attempt
+        monitoringService?.info('Attempting to add attachment to calendar event', auditLogContext, 'calendar');
+
+        try {
+            // Track performance
+            const startTime = Date.now();
+            
+            // Call the Graph API
+            const result = await graphService.addEventAttachment(eventId, validatedAttachment, req, { mailbox: options.mailbox });
+            
+            // Calculate elapsed time and track metric
+            const elapsedTime = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar_add_attachment', elapsedTime, {
+                timestamp: new Date().toISOString()
+            });
+
+            // Log success
+            monitoringService?.info('Successfully added attachment to calendar event', { 
+                ...auditLogContext, 
+                attachmentId: result.id,
+                elapsedTime,
+                timestamp: new Date().toISOString()
+            }, 'calendar');
+
+            return result; // Return the created attachment object from Graph
+
+        } catch (error) {
+            // Create standardized error object
+            const graphDetails = { 
+                statusCode: error.statusCode, 
+                code: error.code, 
+                graphRequestId: error.requestId, 
+                originalMessage: error.message 
+            };
+            
+            const attachmentError = errorService?.createError(
+                'calendar',
+                `Failed to add attachment: ${error.code || error.message}`,
+                'error',
+                { 
+                    originalError: error.stack,
+                    graphDetails, 
+                    ...auditLogContext
+                }
+            );
+            
+            // Log the error
+            monitoringService?.logError(attachmentError);
+                
+            throw attachmentError || new Error(`Failed to add attachment: ${error.message}`);
+        }
+    },
+    
+    /**
+     * Remove an attachment from an event
+     * @param {string} eventId - ID of the event
+     * @param {string} attachmentId - ID of the attachment to remove
+     * @param {object} [req] - Express request object
+     * @param {object} [options] - { mailbox } for a delegated calendar
+     * @returns {Promise<boolean>} Success status
+     */
+    async removeAttachment(eventId, attachmentId, req, options = {}) {
+        // Get services with fallbacks
+        const { graphService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
+
+        // Log the request attempt
+        monitoringService?.debug('Removing attachment from calendar event', { 
+            eventId,
+            attachmentId,
+            timestamp: new Date().toISOString()
+        }, 'calendar');
+
+        if (!graphService || typeof graphService.removeEventAttachment !== 'function') {
+            const methodError = errorService?.createError(
+                'calendar',
+                'Required GraphService method \'removeEventAttachment\' not implemented or service unavailable',
+                'error',
+                { 
+                    eventId,
+                    attachmentId,
+                    timestamp: new Date().toISOString() 
+                }
+            );
+            
+            monitoringService?.logError(methodError);
+                
+            throw new Error('Required GraphService method \'removeEventAttachment\' not implemented or service unavailable.');
+        }
+
+        // Create audit log context with safe data for logging
+        const auditLogContext = { 
+            eventId, 
             attachmentId,
             timestamp: new Date().toISOString()
         };
@@ -1537,7 +2444,7 @@ const CalendarModule = {
             const startTime = Date.now();
             
             // Graph remove attachment usually returns void (204 No Content) on success
-            await graphService.removeEventAttachment(eventId, attachmentId, req);
+            await graphService.removeEventAttachment(eventId, attachmentId, req, { mailbox: options.mailbox });
             
             // Calculate elapsed time and track metric
             const elapsedTime = Date.now() - startTime;
@@ -1581,6 +2488,58 @@ const CalendarModule = {
         }
     },
     
+    /**
+     * Assign or remove categories on an event
+     * @param {string} eventId - ID of the event
+     * @param {object} changes - { add, remove, set } as category names or arrays of names
+     * @returns {Promise<object>} { id, itemType, categories } with the resulting categories
+     */
+    async setEventCategories(eventId, changes = {}, req) {
+        const { categoriesService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
+
+        monitoringService?.debug('Updating event categories', { eventId, timestamp: new Date().toISOString() }, 'calendar');
+
+        if (!categoriesService || typeof categoriesService.updateItemCategories !== 'function') {
+            const error = errorService?.createError('calendar', 'CategoriesService.updateItemCategories not implemented', 'error');
+            monitoringService?.logError(error);
+            throw error || new Error('CategoriesService.updateItemCategories not implemented');
+        }
+
+        const startTime = Date.now();
+        try {
+            const result = await categoriesService.updateItemCategories('event', eventId, changes, req);
+
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.setEventCategories.duration', duration, {
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+            monitoringService?.info('Successfully updated event categories', { eventId, categoryCount: result?.categories?.length, duration }, 'calendar');
+
+            return result;
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            monitoringService?.trackMetric('calendar.setEventCategories.duration', duration, {
+                success: false,
+                timestamp: new Date().toISOString()
+            });
+
+            // Validation errors from the categories service are already structured
+            if (error.category) {
+                throw error;
+            }
+
+            const mcpError = errorService?.createError(
+                'calendar',
+                'Failed to update event categories in module',
+                'error',
+                { eventId, originalError: error.message, stack: error.stack }
+            );
+            monitoringService?.logError(mcpError);
+            throw mcpError;
+        }
+    },
+    
     /**
      * Handles calendar-related intents routed to this module.
      * @param {string} intent
@@ -1606,7 +2565,10 @@ const CalendarModule = {
 
         const intentHandlers = {
             'getEvents': async (entities, context) => {
-                const range = entities.range || {};
+                const range = { ...entities.range };
+                if (entities.bodyFormat) range.bodyFormat = entities.bodyFormat;
+                if (entities.mailbox) range.mailbox = entities.mailbox;
+                if (entities.calendarId) range.calendarId = entities.calendarId;
                 const cacheKey = `calendar:events:${JSON.stringify(range)}`;
                 let events = cacheService && await cacheService.get(cacheKey);
                 if (!events) {
@@ -1618,14 +2580,22 @@ const CalendarModule = {
                 }
                 return { type: 'calendarList', items: events };
             },
+            'getCalendarView': async (entities, context) => {
+                const { start, end, timeframe, calendarId, top, bodyFormat, mailbox } = entities;
+                const view = await this.getCalendarView({ start, end, timeframe, calendarId, top, bodyFormat, mailbox }, context.req);
+                return { type: 'calendarList', start: view.start, end: view.end, calendarId: view.calendarId, items: view.events };
+            },
             'createEvent': async (entities, context) => {
-                const eventData = entities.event;
+                const { mailbox, calendarId, conflictPolicy } = entities;
+                const eventData = mailbox || calendarId || conflictPolicy
+                    ? { ...entities.event, ...(mailbox && { mailbox }), ...(calendarId && { calendarId }), ...(conflictPolicy && { conflictPolicy }) }
+                    : entities.event;
                 const normalizedEvent = await this.createEvent(eventData, context.req);
                 return { type: 'calendarEvent', event: normalizedEvent };
             },
             'updateEvent': async (entities, context) => {
-                const { eventId, updates } = entities;
-                const normalizedUpdatedEvent = await this.updateEvent(eventId, updates, context.req);
+                const { eventId, updates, mailbox, applyTo, conflictPolicy } = entities;
+                const normalizedUpdatedEvent = await this.updateEvent(eventId, mailbox || applyTo || conflictPolicy ? { ...updates, mailbox, applyTo, conflictPolicy } : updates, context.req);
                 return { type: 'calendarEvent', event: normalizedUpdatedEvent };
             },
             'getAvailability': async (entities, context) => {
@@ -1633,8 +2603,8 @@ const CalendarModule = {
                 return { type: 'availabilityResult', data: availabilityResult };
             },
             'acceptEvent': async (entities, context) => {
-                const { eventId, comment } = entities;
-                const result = await this.acceptEvent(eventId, comment, context.req);
+                const { eventId, comment, mailbox } = entities;
+                const result = await this.acceptEvent(eventId, mailbox ? { comment, mailbox } : comment, context.req);
                 // Return the result directly if it has a proper structure, otherwise format it
                 if (result && result.success) {
                     return { 
@@ -1648,8 +2618,8 @@ const CalendarModule = {
                 return { type: 'eventResponse', status: 'accepted', eventId };
             },
             'tentativelyAcceptEvent': async (entities, context) => {
-                const { eventId, comment } = entities;
-                const result = await this.tentativelyAcceptEvent(eventId, comment, context.req);
+                const { eventId, comment, mailbox, proposedNewTime } = entities;
+                const result = await this.tentativelyAcceptEvent(eventId, mailbox || proposedNewTime ? { comment, mailbox, proposedNewTime } : comment, context.req);
                 // Return the result directly if it has a proper structure, otherwise format it
                 if (result && result.success) {
                     return { 
@@ -1663,8 +2633,8 @@ const CalendarModule = {
                 return { type: 'eventResponse', status: 'tentativelyAccepted', eventId };
             },
             'declineEvent': async (entities, context) => {
-                const { eventId, comment } = entities;
-                const result = await this.declineEvent(eventId, comment, context.req);
+                const { eventId, comment, mailbox, proposedNewTime } = entities;
+                const result = await this.declineEvent(eventId, mailbox || proposedNewTime ? { comment, mailbox, proposedNewTime } : comment, context.req);
                 // Return the result directly if it has a proper structure, otherwise format it
                 if (result && result.success) {
                     return { 
@@ -1678,8 +2648,8 @@ const CalendarModule = {
                 return { type: 'eventResponse', status: 'declined', eventId };
             },
             'cancelEvent': async (entities, context) => {
-                const { eventId, comment } = entities;
-                const result = await this.cancelEvent(eventId, comment, context.req);
+                const { eventId, comment, mailbox, applyTo } = entities;
+                const result = await this.cancelEvent(eventId, mailbox || applyTo ? { comment, mailbox, applyTo } : comment, context.req);
                 // Return the result directly if it has a proper structure, otherwise format it
                 if (result && result.success) {
                     return { 
@@ -1692,6 +2662,61 @@ const CalendarModule = {
                 }
                 return { type: 'eventResponse', status: 'cancelled', eventId };
             },
+            'getEventInstances': async (entities, context) => {
+                const { eventId, start, end, top, mailbox } = entities;
+                const result = await this.getEventInstances(eventId, { start, end, top, mailbox }, context.req);
+                return { type: 'calendarList', seriesMasterId: result.seriesMasterId, items: result.instances };
+            },
+            'forwardEvent': async (entities, context) => {
+                const { eventId, recipients, comment, mailbox } = entities;
+                const result = await this.forwardEvent(eventId, { recipients, comment, mailbox }, context.req);
+                return { type: 'eventForwarded', ...result };
+            },
+            'getPendingProposals': async (entities, context) => {
+                const { start, end, mailbox } = entities;
+                const result = await this.getPendingProposals({ start, end, mailbox }, context.req);
+                return { type: 'timeProposals', ...result };
+            },
+            'acceptProposedTime': async (entities, context) => {
+                const { eventId, attendee, conflictPolicy, mailbox } = entities;
+                const event = await this.acceptProposedTime(eventId, { attendee, conflictPolicy, mailbox }, context.req);
+                return { type: 'calendarEvent', event };
+            },
+            'getResponseStatus': async (entities, context) => {
+                const { eventId, start, end, pendingOnly, mailbox } = entities;
+                const result = await this.getResponseStatus({ eventId, start, end, pendingOnly, mailbox }, context.req);
+                return { type: 'responseStatus', ...result };
+            },
+            'draftResponseReminder': async (entities, context) => {
+                const { eventId, includeTentative, message, mailbox } = entities;
+                const result = await this.draftResponseReminder(eventId, { includeTentative, message, mailbox }, context.req);
+                return { type: 'responseReminderDraft', ...result };
+            },
+            'autoSchedule': async (entities, context) => {
+                const { focusHoursPerWeek, minFocusMinutes, maxFocusMinutes, focusSubject, travelMinutesBefore, travelMinutesAfter, start, end, dryRun, mailbox } = entities;
+                const result = await this.autoSchedule({ focusHoursPerWeek, minFocusMinutes, maxFocusMinutes, focusSubject, travelMinutesBefore, travelMinutesAfter, start, end, dryRun, mailbox }, context.req);
+                return { type: 'schedulingRun', ...result };
+            },
+            'rollbackSchedule': async (entities, context) => {
+                const { runId, mailbox } = entities;
+                const result = await this.rollbackSchedule(runId, { mailbox }, context.req);
+                return { type: 'schedulingRollback', ...result };
+            },
+            'getMeetingJoinInfo': async (entities, context) => {
+                const { eventId, mailbox } = entities;
+                const joinInfo = await this.getMeetingJoinInfo(eventId, { mailbox }, context.req);
+                return { type: 'meetingJoinInfo', ...joinInfo };
+            },
+            'exportEvents': async (entities, context) => {
+                const { eventId, start, end, mailbox } = entities;
+                const exported = await this.exportEvents({ eventId, start, end, mailbox }, context.req);
+                return { type: 'icsExport', ...exported };
+            },
+            'importEvents': async (entities, context) => {
+                const { content, fileId, inviteAttendees, timeZone, mailbox } = entities;
+                const result = await this.importEvents({ content, fileId, inviteAttendees, timeZone, mailbox }, context.req);
+                return { type: 'icsImport', ...result };
+            },
             'findMeetingTimes': async (entities, context) => {
                 const options = entities.options || {};
                 const suggestions = await this.findMeetingTimes(options, context.req);
@@ -1704,19 +2729,80 @@ const CalendarModule = {
                 return { type: 'roomList', rooms: roomData.rooms, nextLink: roomData.nextLink };
             },
             'getCalendars': async (entities, context) => {
-                const calendars = await this.getCalendars({}, context.req); // Expect array
+                const { mailbox, includePermissions } = entities;
+                const calendars = await this.getCalendars({ mailbox, includePermissions }, context.req); // Expect array
                 return { type: 'calendarList', calendars: calendars };
             },
+            'getCalendarGroups': async (entities, context) => {
+                const { includeCalendars, mailbox } = entities;
+                const groups = await this.getCalendarGroups({ includeCalendars, mailbox }, context.req);
+                return { type: 'calendarGroupList', groups };
+            },
+            'createCalendarGroup': async (entities, context) => {
+                const { name, mailbox } = entities;
+                const group = await this.createCalendarGroup({ name, mailbox }, context.req);
+                return { type: 'calendarGroup', group };
+            },
+            'updateCalendarGroup': async (entities, context) => {
+                const { groupId, name, mailbox } = entities;
+                const group = await this.updateCalendarGroup(groupId, { name, mailbox }, context.req);
+                return { type: 'calendarGroup', group };
+            },
+            'deleteCalendarGroup': async (entities, context) => {
+                const { groupId, mailbox } = entities;
+                const result = await this.deleteCalendarGroup(groupId, { mailbox }, context.req);
+                return { type: 'calendarGroupDeleted', ...result };
+            },
+            'createCalendar': async (entities, context) => {
+                const { name, color, calendarGroupId, mailbox } = entities;
+                const calendar = await this.createCalendar({ name, color, calendarGroupId, mailbox }, context.req);
+                return { type: 'calendar', calendar };
+            },
+            'updateCalendar': async (entities, context) => {
+                const { calendarId, name, color, mailbox } = entities;
+                const calendar = await this.updateCalendar(calendarId, { name, color, mailbox }, context.req);
+                return { type: 'calendar', calendar };
+            },
+            'deleteCalendar': async (entities, context) => {
+                const { calendarId, mailbox } = entities;
+                const result = await this.deleteCalendar(calendarId, { mailbox }, context.req);
+                return { type: 'calendarDeleted', ...result };
+            },
+            'getCalendarPermissions': async (entities, context) => {
+                const { calendarId, mailbox } = entities;
+                const permissions = await this.getCalendarPermissions(calendarId, { mailbox }, context.req);
+                return { type: 'calendarPermissionList', calendarId, permissions };
+            },
+            'shareCalendar': async (entities, context) => {
+                const { calendarId, email, name, role, mailbox } = entities;
+                const permission = await this.shareCalendar(calendarId, { email, name, role, mailbox }, context.req);
+                return { type: 'calendarPermission', calendarId, permission };
+            },
+            'updateCalendarPermission': async (entities, context) => {
+                const { calendarId, permissionId, email, role, mailbox } = entities;
+                const permission = await this.updateCalendarPermission(calendarId, { permissionId, email, role, mailbox }, context.req);
+                return { type: 'calendarPermission', calendarId, permission };
+            },
+            'revokeCalendarPermission': async (entities, context) => {
+                const { calendarId, permissionId, email, mailbox } = entities;
+                const result = await this.revokeCalendarPermission(calendarId, { permissionId, email, mailbox }, context.req);
+                return { type: 'calendarPermissionRevoked', ...result };
+            },
             'addAttachment': async (entities, context) => {
-                const { id, name, contentBytes, contentType } = entities;
+                const { id, name, contentBytes, contentType, mailbox } = entities;
                 const attachment = { name, contentBytes, contentType };
-                const result = await this.addAttachment(id, attachment, context.req);
+                const result = await this.addAttachment(id, attachment, context.req, { mailbox });
                 return { type: 'attachmentAdded', attachment: result };
             },
             'removeAttachment': async (entities, context) => {
-                const { eventId, attachmentId } = entities;
-                const success = await this.removeAttachment(eventId, attachmentId, context.req);
+                const { eventId, attachmentId, mailbox } = entities;
+                const success = await this.removeAttachment(eventId, attachmentId, context.req, { mailbox });
                 return { type: 'attachmentRemoved', success, eventId, attachmentId };
+            },
+            'setEventCategories': async (entities, context) => {
+                const { eventId, add, remove, set } = entities;
+                const result = await this.setEventCategories(eventId, { add, remove, set }, context.req);
+                return { type: 'eventCategories', ...result };
             }
             // Add handlers for addAttachment/removeAttachment if they become intents
         };
@@ -1829,7 +2915,7 @@ const CalendarModule = {
     capabilities: CALENDAR_CAPABILITIES,
     /**
      * Initializes the calendar module with dependencies.
-     * @param {object} services - { graphService, cacheService, eventService }
+     * @param {object} services - { graphService, categoriesService, icsService, calendarManagementService, schedulingService, mailModule, cacheService, eventService }
      * @returns {object} Initialized module
      */
     init(services) {
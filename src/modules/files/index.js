@@ -20,7 +20,8 @@ const FILES_CAPABILITIES = [
     'updateFileContent',    // Update or set file content with options.setContent
     'createSharingLink',    // Create sharing links for files
     'getSharingLinks',      // Get existing sharing links for files
-    'removeSharingPermission' // Remove sharing permissions from files
+    'removeSharingPermission', // Remove sharing permissions from files
+    'saveEmailToOneDrive'   // Save an email to OneDrive as an .eml file
 ];
 
 // Log module initialization
@@ -1277,6 +1278,72 @@ const FilesModule = {
         }
     },
     
+    /**
+     * Saves an email to OneDrive as an .eml file
+     * @param {string} messageId - Email ID
+     * @param {object} options - { folderPath, fileName }
+     * @param {object} req - Express request object (optional)
+     * @returns {Promise<object>} Created drive item
+     */
+    async saveEmailToOneDrive(messageId, options = {}, req) {
+        // Get services with fallbacks
+        const { graphService, errorService = ErrorService, monitoringService = MonitoringService } = this.services || {};
+        
+        // Start tracking execution time
+        const startTime = Date.now();
+        
+        // Validate input
+        if (!messageId) {
+            const err = errorService.createError(
+                ErrorService.CATEGORIES.VALIDATION,
+                'Message ID is required for saveEmailToOneDrive',
+                ErrorService.SEVERITIES.ERROR,
+                { timestamp: new Date().toISOString() }
+            );
+            monitoringService?.logError(err);
+            throw err;
+        }
+        
+        try {
+            if (!graphService || typeof graphService.saveEmailToOneDrive !== 'function') {
+                const err = errorService.createError(
+                    ErrorService.CATEGORIES.SYSTEM,
+                    'GraphService.saveEmailToOneDrive not implemented',
+                    ErrorService.SEVERITIES.ERROR,
+                    { messageId, timestamp: new Date().toISOString() }
+                );
+                monitoringService?.logError(err);
+                throw err;
+            }
+            
+            const result = await graphService.saveEmailToOneDrive(messageId, options, req);
+            const executionTime = Date.now() - startTime;
+            
+            monitoringService?.trackMetric('files_save_email_success', executionTime, {
+                size: result?.size, timestamp: new Date().toISOString()
+            });
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            monitoringService?.trackMetric('files_save_email_failure', executionTime, {
+                errorType: error.code || 'unknown',
+                timestamp: new Date().toISOString()
+            });
+            
+            const mcpError = error.id ? error : errorService.createError(
+                ErrorService.CATEGORIES.SYSTEM,
+                `Failed to save email to OneDrive: ${error.message}`,
+                ErrorService.SEVERITIES.ERROR,
+                { messageId, error: error.toString(), stack: error.stack, timestamp: new Date().toISOString() }
+            );
+            
+            monitoringService?.logError(mcpError);
+            throw mcpError;
+        }
+    },
+    
     /**
      * Gets file content by ID
      * @param {string} id - File ID
@@ -1677,6 +1744,20 @@ async handleIntent(intent, entities = {}, context = {}) {
                 result = { type: 'permissionRemoved', fileId, permissionId, result: removeResult };
                 break;
             }
+            
+            case 'saveEmailToOneDrive': {
+                // Handle saving an email as an .eml file
+                const { messageId, folderPath, fileName } = entities;
+                
+                monitoringService?.debug('Handling saveEmailToOneDrive intent', {
+                    folderPath,
+                    timestamp: new Date().toISOString()
+                }, 'files');
+                
+                const file = await this.saveEmailToOneDrive(messageId, { folderPath, fileName }, context.req);
+                result = { type: 'emailSaved', messageId, file };
+                break;
+            }
             default: {
                 // Create a standardized error for unsupported intent
                 const unsupportedError = errorService.createError(
@@ -16,7 +16,42 @@ const MAIL_CAPABILITIES = [
     'readMailDetails',
     'markEmailRead',
     'addMailAttachment',
-    'removeMailAttachment'
+    'removeMailAttachment',
+    'replyToEmail',
+    'replyAllToEmail',
+    'forwardEmail',
+    'createDraft',
+    'updateDraft',
+    'listDrafts',
+    'sendDraft',
+    'deleteDraft',
+    'listMailFolders',
+    'getMessagesInFolder',
+    'createMailFolder',
+    'moveEmail',
+    'copyEmail',
+    'getConversation',
+    'getMailChanges',
+    'listMailRules',
+    'createMailRule',
+    'updateMailRule',
+    'deleteMailRule',
+    'getMailboxSettings',
+    'updateMailboxSettings',
+    'getAutomaticReplies',
+    'setAutomaticReplies',
+    'exportEmailAsMime',
+    'importMimeMessage',
+    'listScheduledEmails',
+    'cancelScheduledEmail',
+    'bulkMailAction',
+    'listCategories',
+    'createCategory',
+    'updateCategory',
+    'deleteCategory',
+    'setEmailCategories',
+    'setEmailImportance',
+    'searchEmailsByCriteria'
 ];
 
 // Log module initialization
@@ -730,9 +765,10 @@ const MailModule = {
      * @param {object} req - Express request object (optional)
      * @param {string} userId - User ID for context
      * @param {string} sessionId - Session ID for context
+     * @param {object} [options] - { mailbox }
      * @returns {Promise<boolean>} Success indicator
      */
-    async flagEmail(id, flag = true, req, userId, sessionId) {
+    async flagEmail(id, flag = true, req, userId, sessionId, options = {}) {
         const startTime = Date.now();
         
         // Extract user context from req if not provided
@@ -787,7 +823,7 @@ const MailModule = {
                 throw mcpError;
             }
             
-            const result = await graphService.flagEmail(id, flag, req, userId, sessionId);
+            const result = await graphService.flagEmail(id, flag, req, userId, sessionId, options);
             const executionTime = Date.now() - startTime;
             
             // Pattern 2: User Activity Logs
@@ -871,9 +907,10 @@ const MailModule = {
      * @param {object} req - Express request object (optional)
      * @param {string} userId - User ID for context
      * @param {string} sessionId - Session ID for context
+     * @param {object} [options] - { mailbox }
      * @returns {Promise<Array<object>>} List of attachments
      */
-    async getAttachments(id, req, userId, sessionId) {
+    async getAttachments(id, req, userId, sessionId, options = {}) {
         const startTime = Date.now();
         
         // Extract user context from req if not provided
@@ -927,7 +964,7 @@ const MailModule = {
                 throw mcpError;
             }
             
-            const result = await graphService.getAttachments(id, req, userId, sessionId);
+            const result = await graphService.getAttachments(id, req, userId, sessionId, options);
             const executionTime = Date.now() - startTime;
             
             // Pattern 2: User Activity Logs
@@ -1008,12 +1045,13 @@ const MailModule = {
     /**
      * Get detailed information for a specific email
      * @param {string} id - Email ID
+     * @param {object} options - { bodyFormat: 'html' | 'text' | 'markdown' | 'summary-ready' }
      * @param {object} req - Express request object (optional)
      * @param {string} userId - User ID for context
      * @param {string} sessionId - Session ID for context
      * @returns {Promise<object>} Email details
      */
-    async getEmailDetails(id, req, userId, sessionId) {
+    async getEmailDetails(id, options = {}, req, userId, sessionId) {
         const startTime = Date.now();
         
         // Extract user context from req if not provided
@@ -1067,7 +1105,7 @@ const MailModule = {
                 throw mcpError;
             }
             
-            const result = await graphService.getEmailDetails(id, req, userId, sessionId);
+            const result = await graphService.getEmailDetails(id, options, req, userId, sessionId);
             const executionTime = Date.now() - startTime;
             
             // Pattern 2: User Activity Logs
@@ -1152,9 +1190,10 @@ const MailModule = {
      * @param {object} req - Express request object (optional)
      * @param {string} userId - User ID for context
      * @param {string} sessionId - Session ID for context
+     * @param {object} [options] - { mailbox }
      * @returns {Promise<boolean>} Success indicator
      */
-    async markAsRead(id, isRead = true, req, userId, sessionId) {
+    async markAsRead(id, isRead = true, req, userId, sessionId, options = {}) {
         const startTime = Date.now();
         
         // Extract user context from req if not provided
@@ -1209,7 +1248,7 @@ const MailModule = {
                 throw mcpError;
             }
             
-            const result = await graphService.markAsRead(id, isRead, req, userId, sessionId);
+            const result = await graphService.markAsRead(id, isRead, req, userId, sessionId, options);
             const executionTime = Date.now() - startTime;
             
             // Pattern 2: User Activity Logs
@@ -1294,9 +1333,10 @@ const MailModule = {
      * @param {object} req - Express request object (optional)
      * @param {string} userId - User ID for context
      * @param {string} sessionId - Session ID for context
+     * @param {object} [options] - { mailbox }
      * @returns {Promise<boolean>} Success indicator
      */
-    async addMailAttachment(id, attachment, req, userId, sessionId) {
+    async addMailAttachment(id, attachment, req, userId, sessionId, options = {}) {
         const startTime = Date.now();
         
         // Extract user context from req if not provided
@@ -1352,7 +1392,7 @@ const MailModule = {
                 throw mcpError;
             }
             
-            const result = await graphService.addMailAttachment(id, attachment, req, userId, sessionId);
+            const result = await graphService.addMailAttachment(id, attachment, req, userId, sessionId, options);
             const executionTime = Date.now() - startTime;
             
             // Pattern 2: User Activity Logs
@@ -1439,9 +1479,10 @@ const MailModule = {
      * @param {object} req - Express request object (optional)
      * @param {string} userId - User ID for context
      * @param {string} sessionId - Session ID for context
+     * @param {object} [options] - { mailbox }
      * @returns {Promise<boolean>} Success indicator
      */
-    async removeMailAttachment(id, attachmentId, req, userId, sessionId) {
+    async removeMailAttachment(id, attachmentId, req, userId, sessionId, options = {}) {
         const startTime = Date.now();
         
         // Extract user context from req if not provided
@@ -1496,7 +1537,7 @@ const MailModule = {
                 throw mcpError;
             }
             
-            const result = await graphService.removeMailAttachment(id, attachmentId, req, userId, sessionId);
+            const result = await graphService.removeMailAttachment(id, attachmentId, req, userId, sessionId, options);
             const executionTime = Date.now() - startTime;
             
             // Pattern 2: User Activity Logs
@@ -1572,12 +1613,4980 @@ const MailModule = {
         }
     },
     
+    /**
+     * Reply to the sender of an email
+     * @param {string} id - Email ID
+     * @param {object} replyData - Reply options: { comment, to, cc, bcc, attachments }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Result with success flag
+     */
+    async replyToEmail(id, replyData = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Replying to email', {
+                    emailId: id ? id.substring(0, 20) + '...' : 'none',
+                    hasComment: !!replyData?.comment,
+                    attachmentCount: Array.isArray(replyData?.attachments) ? replyData.attachments.length : 0,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.replyToEmail !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.replyToEmail not implemented',
+                    'error',
+                    {
+                        method: 'replyToEmail',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to reply to email', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to reply to email', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.replyToEmail(id, replyData, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email reply sent successfully', {
+                    attachmentCount: Array.isArray(replyData?.attachments) ? replyData.attachments.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email reply sent with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    attachmentCount: Array.isArray(replyData?.attachments) ? replyData.attachments.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to reply to email', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to reply to email', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error replying to email: ${error.message}`,
+                'error',
+                {
+                    method: 'replyToEmail',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to reply to email', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to reply to email', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Reply to the sender and all recipients of an email
+     * @param {string} id - Email ID
+     * @param {object} replyData - Reply options: { comment, to, cc, bcc, attachments }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Result with success flag
+     */
+    async replyAllToEmail(id, replyData = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Replying all to email', {
+                    emailId: id ? id.substring(0, 20) + '...' : 'none',
+                    hasComment: !!replyData?.comment,
+                    attachmentCount: Array.isArray(replyData?.attachments) ? replyData.attachments.length : 0,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.replyAllToEmail !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.replyAllToEmail not implemented',
+                    'error',
+                    {
+                        method: 'replyAllToEmail',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to reply all to email', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to reply all to email', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.replyAllToEmail(id, replyData, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email reply-all sent successfully', {
+                    attachmentCount: Array.isArray(replyData?.attachments) ? replyData.attachments.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email reply-all sent with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    attachmentCount: Array.isArray(replyData?.attachments) ? replyData.attachments.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to reply all to email', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to reply all to email', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error replying all to email: ${error.message}`,
+                'error',
+                {
+                    method: 'replyAllToEmail',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to reply all to email', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to reply all to email', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Forward an email to new recipients
+     * @param {string} id - Email ID
+     * @param {object} forwardData - Forward options: { to, comment, cc, bcc, attachments }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Result with success flag
+     */
+    async forwardEmail(id, forwardData = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Forwarding email', {
+                    emailId: id ? id.substring(0, 20) + '...' : 'none',
+                    hasComment: !!forwardData?.comment,
+                    attachmentCount: Array.isArray(forwardData?.attachments) ? forwardData.attachments.length : 0,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.forwardEmail !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.forwardEmail not implemented',
+                    'error',
+                    {
+                        method: 'forwardEmail',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to forward email', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to forward email', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.forwardEmail(id, forwardData, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email forwarded successfully', {
+                    attachmentCount: Array.isArray(forwardData?.attachments) ? forwardData.attachments.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email forwarded with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    attachmentCount: Array.isArray(forwardData?.attachments) ? forwardData.attachments.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to forward email', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to forward email', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error forwarding email: ${error.message}`,
+                'error',
+                {
+                    method: 'forwardEmail',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to forward email', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to forward email', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Create a draft email without sending it
+     * @param {object} draftData - Draft fields: { subject, body, contentType, to, cc, bcc, importance, attachments }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Normalized draft
+     */
+    async createDraft(draftData = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Creating draft email', {
+                    hasSubject: !!draftData?.subject,
+                    attachmentCount: Array.isArray(draftData?.attachments) ? draftData.attachments.length : 0,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.createDraft !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.createDraft not implemented',
+                    'error',
+                    {
+                        method: 'createDraft',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to create draft', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to create draft', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.createDraft(draftData, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Draft created successfully', {
+                    draftId: result?.id ? result.id.substring(0, 20) + '...' : null,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Draft created with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    draftId: result?.id ? result.id.substring(0, 20) + '...' : null,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to create draft', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to create draft', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error creating draft: ${error.message}`,
+                'error',
+                {
+                    method: 'createDraft',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to create draft', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to create draft', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Update the recipients, body, subject or attachments of a draft
+     * @param {string} id - Draft ID
+     * @param {object} updates - Fields to change: { subject, body, contentType, to, cc, bcc, importance, attachments }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Normalized draft
+     */
+    async updateDraft(id, updates = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Updating draft email', {
+                    draftId: id ? id.substring(0, 20) + '...' : 'none',
+                    updateFields: Object.keys(updates || {}),
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.updateDraft !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.updateDraft not implemented',
+                    'error',
+                    {
+                        method: 'updateDraft',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to update draft', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to update draft', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.updateDraft(id, updates, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Draft updated successfully', {
+                    draftId: id ? id.substring(0, 20) + '...' : 'none',
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Draft updated with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    draftId: id ? id.substring(0, 20) + '...' : 'none',
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to update draft', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to update draft', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error updating draft: ${error.message}`,
+                'error',
+                {
+                    method: 'updateDraft',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to update draft', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to update draft', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * List drafts awaiting review, most recently edited first
+     * @param {object} options - { top, skip }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<Array<object>>} Normalized drafts
+     */
+    async listDrafts(options = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Listing draft emails', {
+                    top: options?.top,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.listDrafts !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.listDrafts not implemented',
+                    'error',
+                    {
+                        method: 'listDrafts',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to list drafts', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to list drafts', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.listDrafts(options, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Drafts retrieved successfully', {
+                    draftCount: Array.isArray(result) ? result.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Drafts retrieved with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    draftCount: Array.isArray(result) ? result.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to list drafts', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to list drafts', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error listing drafts: ${error.message}`,
+                'error',
+                {
+                    method: 'listDrafts',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to list drafts', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to list drafts', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Send a previously created draft
+     * @param {string} id - Draft ID
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @param {object} [options] - { mailbox }
+     * @returns {Promise<object>} Result with success flag
+     */
+    async sendDraft(id, req, userId, sessionId, options = {}) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Sending draft email', {
+                    draftId: id ? id.substring(0, 20) + '...' : 'none',
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.sendDraft !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.sendDraft not implemented',
+                    'error',
+                    {
+                        method: 'sendDraft',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to send draft', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to send draft', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.sendDraft(id, req, userId, sessionId, options);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Draft sent successfully', {
+                    draftId: id ? id.substring(0, 20) + '...' : 'none',
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Draft sent with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    draftId: id ? id.substring(0, 20) + '...' : 'none',
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to send draft', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to send draft', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error sending draft: ${error.message}`,
+                'error',
+                {
+                    method: 'sendDraft',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to send draft', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to send draft', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Delete a draft that should not be sent
+     * @param {string} id - Draft ID
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @param {object} [options] - { mailbox }
+     * @returns {Promise<object>} Result with success flag
+     */
+    async deleteDraft(id, req, userId, sessionId, options = {}) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Deleting draft email', {
+                    draftId: id ? id.substring(0, 20) + '...' : 'none',
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.deleteDraft !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.deleteDraft not implemented',
+                    'error',
+                    {
+                        method: 'deleteDraft',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to delete draft', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to delete draft', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.deleteDraft(id, req, userId, sessionId, options);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Draft deleted successfully', {
+                    draftId: id ? id.substring(0, 20) + '...' : 'none',
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Draft deleted with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    draftId: id ? id.substring(0, 20) + '...' : 'none',
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to delete draft', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to delete draft', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error deleting draft: ${error.message}`,
+                'error',
+                {
+                    method: 'deleteDraft',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to delete draft', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to delete draft', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * List mail folders with unread counts and child folders
+     * @param {object} options - { parentFolderId, includeChildren, maxDepth }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<Array<object>>} Normalized folders
+     */
+    async listMailFolders(options = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Listing mail folders', {
+                    parentFolderId: options?.parentFolderId,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.listMailFolders !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.listMailFolders not implemented',
+                    'error',
+                    {
+                        method: 'listMailFolders',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to list mail folders', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to list mail folders', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.listMailFolders(options, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mail folders retrieved successfully', {
+                    folderCount: Array.isArray(result) ? result.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mail folders retrieved with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    folderCount: Array.isArray(result) ? result.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to list mail folders', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to list mail folders', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error listing mail folders: ${error.message}`,
+                'error',
+                {
+                    method: 'listMailFolders',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to list mail folders', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to list mail folders', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Get messages from a folder by ID or well-known name (inbox, sentitems, archive, deleteditems)
+     * @param {string} folder - Folder ID or well-known name
+     * @param {object} options - { top, skip }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<Array<object>>} Normalized emails
+     */
+    async getMessagesInFolder(folder, options = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Getting messages in folder', {
+                    folder,
+                    top: options?.top,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.getMessagesInFolder !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.getMessagesInFolder not implemented',
+                    'error',
+                    {
+                        method: 'getMessagesInFolder',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to get folder messages', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to get folder messages', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.getMessagesInFolder(folder, options, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Folder messages retrieved successfully', {
+                    folder,
+                    emailCount: Array.isArray(result) ? result.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Folder messages retrieved with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    folder,
+                    emailCount: Array.isArray(result) ? result.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to get folder messages', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to get folder messages', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error getting folder messages: ${error.message}`,
+                'error',
+                {
+                    method: 'getMessagesInFolder',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to get folder messages', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to get folder messages', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Create a mail folder, optionally under a parent folder
+     * @param {object} folderData - { displayName, parentFolderId }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Normalized folder
+     */
+    async createMailFolder(folderData = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Creating mail folder', {
+                    hasParent: !!folderData?.parentFolderId,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.createMailFolder !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.createMailFolder not implemented',
+                    'error',
+                    {
+                        method: 'createMailFolder',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to create mail folder', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to create mail folder', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.createMailFolder(folderData, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mail folder created successfully', {
+                    folderId: result?.id ? result.id.substring(0, 20) + '...' : null,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mail folder created with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    folderId: result?.id ? result.id.substring(0, 20) + '...' : null,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to create mail folder', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to create mail folder', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error creating mail folder: ${error.message}`,
+                'error',
+                {
+                    method: 'createMailFolder',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to create mail folder', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to create mail folder', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Move an email to another folder
+     * @param {string} id - Email ID
+     * @param {string} destinationFolderId - Destination folder ID or well-known name
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @param {object} [options] - { mailbox }
+     * @returns {Promise<object>} Result with the new message ID
+     */
+    async moveEmail(id, destinationFolderId, req, userId, sessionId, options = {}) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Moving email', {
+                    emailId: id ? id.substring(0, 20) + '...' : 'none',
+                    destinationFolderId,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.moveEmail !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.moveEmail not implemented',
+                    'error',
+                    {
+                        method: 'moveEmail',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to move email', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to move email', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.moveEmail(id, destinationFolderId, req, userId, sessionId, options);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email moved successfully', {
+                    destinationFolderId,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email moved with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    destinationFolderId,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to move email', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to move email', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error moving email: ${error.message}`,
+                'error',
+                {
+                    method: 'moveEmail',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to move email', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to move email', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Copy an email to another folder
+     * @param {string} id - Email ID
+     * @param {string} destinationFolderId - Destination folder ID or well-known name
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @param {object} [options] - { mailbox }
+     * @returns {Promise<object>} Result with the ID of the copy
+     */
+    async copyEmail(id, destinationFolderId, req, userId, sessionId, options = {}) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Copying email', {
+                    emailId: id ? id.substring(0, 20) + '...' : 'none',
+                    destinationFolderId,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.copyEmail !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.copyEmail not implemented',
+                    'error',
+                    {
+                        method: 'copyEmail',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to copy email', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to copy email', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.copyEmail(id, destinationFolderId, req, userId, sessionId, options);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email copied successfully', {
+                    destinationFolderId,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email copied with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    destinationFolderId,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to copy email', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to copy email', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error copying email: ${error.message}`,
+                'error',
+                {
+                    method: 'copyEmail',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to copy email', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to copy email', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Get a whole email thread (all folders) with participants and per-message summaries
+     * @param {object} params - { conversationId, messageId, maxMessages }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Normalized conversation
+     */
+    async getConversation(params = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Getting email conversation', {
+                    hasConversationId: !!params?.conversationId,
+                    hasMessageId: !!params?.messageId,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.getConversation !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.getConversation not implemented',
+                    'error',
+                    {
+                        method: 'getConversation',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to get conversation', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to get conversation', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.getConversation(params, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Conversation retrieved successfully', {
+                    messageCount: result?.messageCount || 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Conversation retrieved with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    messageCount: result?.messageCount || 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to get conversation', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to get conversation', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error getting conversation: ${error.message}`,
+                'error',
+                {
+                    method: 'getConversation',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to get conversation', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to get conversation', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Get what's new in a mail folder since the last check (added, changed and removed messages)
+     * @param {string} folder - Folder ID or well-known name (default: inbox)
+     * @param {object} options - { reset, maxPages }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Change set with added, changed and removed messages
+     */
+    async getMailChanges(folder = 'inbox', options = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Getting mail changes since last sync', {
+                    folder,
+                    reset: !!options?.reset,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.getMailChanges !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.getMailChanges not implemented',
+                    'error',
+                    {
+                        method: 'getMailChanges',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to get mail changes', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to get mail changes', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.getMailChanges(folder, options, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mail changes retrieved successfully', {
+                    folder,
+                    addedCount: result?.added ? result.added.length : 0,
+                    removedCount: result?.removed ? result.removed.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mail changes retrieved with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    folder,
+                    addedCount: result?.added ? result.added.length : 0,
+                    removedCount: result?.removed ? result.removed.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to get mail changes', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to get mail changes', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error getting mail changes: ${error.message}`,
+                'error',
+                {
+                    method: 'getMailChanges',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to get mail changes', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to get mail changes', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * List inbox rules in the order they are applied
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @param {object} [options] - { mailbox }
+     * @returns {Promise<Array<object>>} Normalized rules
+     */
+    async listMailRules(req, userId, sessionId, options = {}) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Listing mail rules', {
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.listMailRules !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.listMailRules not implemented',
+                    'error',
+                    {
+                        method: 'listMailRules',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to list mail rules', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to list mail rules', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.listMailRules(req, userId, sessionId, options);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mail rules retrieved successfully', {
+                    ruleCount: Array.isArray(result) ? result.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mail rules retrieved with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    ruleCount: Array.isArray(result) ? result.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to list mail rules', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to list mail rules', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error listing mail rules: ${error.message}`,
+                'error',
+                {
+                    method: 'listMailRules',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to list mail rules', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to list mail rules', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Create an inbox rule (e.g. move newsletters from a sender into a folder)
+     * @param {object} ruleData - { name, sequence, isEnabled, conditions, exceptions, actions }
+     * @param {object} options - { preview } to validate and return the rule without saving it
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Normalized rule or preview
+     */
+    async createMailRule(ruleData = {}, options = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Creating mail rule', {
+                    actionKeys: Object.keys(ruleData?.actions || {}),
+                    preview: !!options?.preview,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.createMailRule !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.createMailRule not implemented',
+                    'error',
+                    {
+                        method: 'createMailRule',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to create mail rule', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to create mail rule', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.createMailRule(ruleData, options, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mail rule created successfully', {
+                    preview: !!options?.preview,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mail rule created with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    preview: !!options?.preview,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to create mail rule', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to create mail rule', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error creating mail rule: ${error.message}`,
+                'error',
+                {
+                    method: 'createMailRule',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to create mail rule', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to create mail rule', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Update an inbox rule; use options.preview to see the change before applying it
+     * @param {string} id - Rule ID
+     * @param {object} updates - Any of { name, sequence, isEnabled, conditions, exceptions, actions }
+     * @param {object} options - { preview }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Normalized rule or preview
+     */
+    async updateMailRule(id, updates = {}, options = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Updating mail rule', {
+                    ruleId: id ? id.substring(0, 20) + '...' : 'none',
+                    updateFields: Object.keys(updates || {}),
+                    preview: !!options?.preview,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.updateMailRule !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.updateMailRule not implemented',
+                    'error',
+                    {
+                        method: 'updateMailRule',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to update mail rule', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to update mail rule', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.updateMailRule(id, updates, options, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mail rule updated successfully', {
+                    ruleId: id ? id.substring(0, 20) + '...' : 'none',
+                    preview: !!options?.preview,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mail rule updated with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    ruleId: id ? id.substring(0, 20) + '...' : 'none',
+                    preview: !!options?.preview,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to update mail rule', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to update mail rule', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error updating mail rule: ${error.message}`,
+                'error',
+                {
+                    method: 'updateMailRule',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to update mail rule', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to update mail rule', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Delete an inbox rule; use options.preview to see which rule would be removed
+     * @param {string} id - Rule ID
+     * @param {object} options - { preview }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Result with success flag or preview
+     */
+    async deleteMailRule(id, options = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Deleting mail rule', {
+                    ruleId: id ? id.substring(0, 20) + '...' : 'none',
+                    preview: !!options?.preview,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.deleteMailRule !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.deleteMailRule not implemented',
+                    'error',
+                    {
+                        method: 'deleteMailRule',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to delete mail rule', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to delete mail rule', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.deleteMailRule(id, options, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mail rule deleted successfully', {
+                    ruleId: id ? id.substring(0, 20) + '...' : 'none',
+                    preview: !!options?.preview,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mail rule deleted with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    ruleId: id ? id.substring(0, 20) + '...' : 'none',
+                    preview: !!options?.preview,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to delete mail rule', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to delete mail rule', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error deleting mail rule: ${error.message}`,
+                'error',
+                {
+                    method: 'deleteMailRule',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to delete mail rule', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to delete mail rule', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Get mailbox settings: time zone, language, date/time formats, working hours and automatic replies
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @param {object} [options] - { mailbox }
+     * @returns {Promise<object>} Normalized mailbox settings
+     */
+    async getMailboxSettings(req, userId, sessionId, options = {}) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Getting mailbox settings', {
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { mailboxSettingsService } = this.services || {};
+            if (!mailboxSettingsService || typeof mailboxSettingsService.getMailboxSettings !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'MailboxSettingsService.getMailboxSettings not implemented',
+                    'error',
+                    {
+                        method: 'getMailboxSettings',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to get mailbox settings', {
+                        error: 'MailboxSettingsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to get mailbox settings', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'MailboxSettingsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await mailboxSettingsService.getMailboxSettings(req, userId, sessionId, options);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mailbox settings retrieved successfully', {
+                    timeZone: result?.timeZone,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mailbox settings retrieved with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    timeZone: result?.timeZone,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to get mailbox settings', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to get mailbox settings', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error getting mailbox settings: ${error.message}`,
+                'error',
+                {
+                    method: 'getMailboxSettings',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to get mailbox settings', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to get mailbox settings', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Update working hours, language, time format or date format
+     * @param {object} updates - { workingHours, language, timeFormat, dateFormat }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Normalized mailbox settings after the update
+     */
+    async updateMailboxSettings(updates = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Updating mailbox settings', {
+                    updateFields: Object.keys(updates || {}),
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { mailboxSettingsService } = this.services || {};
+            if (!mailboxSettingsService || typeof mailboxSettingsService.updateMailboxSettings !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'MailboxSettingsService.updateMailboxSettings not implemented',
+                    'error',
+                    {
+                        method: 'updateMailboxSettings',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to update mailbox settings', {
+                        error: 'MailboxSettingsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to update mailbox settings', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'MailboxSettingsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await mailboxSettingsService.updateMailboxSettings(updates, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Mailbox settings updated successfully', {
+                    updateFields: Object.keys(updates || {}),
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Mailbox settings updated with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    updateFields: Object.keys(updates || {}),
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to update mailbox settings', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to update mailbox settings', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error updating mailbox settings: ${error.message}`,
+                'error',
+                {
+                    method: 'updateMailboxSettings',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to update mailbox settings', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to update mailbox settings', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Get the automatic replies (out-of-office) setting
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @param {object} [options] - { mailbox }
+     * @returns {Promise<object>} Normalized automatic replies
+     */
+    async getAutomaticReplies(req, userId, sessionId, options = {}) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Getting automatic replies', {
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { mailboxSettingsService } = this.services || {};
+            if (!mailboxSettingsService || typeof mailboxSettingsService.getAutomaticReplies !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'MailboxSettingsService.getAutomaticReplies not implemented',
+                    'error',
+                    {
+                        method: 'getAutomaticReplies',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to get automatic replies', {
+                        error: 'MailboxSettingsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to get automatic replies', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'MailboxSettingsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await mailboxSettingsService.getAutomaticReplies(req, userId, sessionId, options);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Automatic replies retrieved successfully', {
+                    status: result?.status,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Automatic replies retrieved with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    status: result?.status,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to get automatic replies', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to get automatic replies', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error getting automatic replies: ${error.message}`,
+                'error',
+                {
+                    method: 'getAutomaticReplies',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to get automatic replies', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to get automatic replies', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Set automatic replies (out-of-office), optionally scheduled for a date range
+     * @param {object} settings - { status, startDateTime, endDateTime, timeZone, internalReplyMessage, externalReplyMessage, externalAudience }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Normalized automatic replies after the update
+     */
+    async setAutomaticReplies(settings = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Setting automatic replies', {
+                    status: settings?.status,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { mailboxSettingsService } = this.services || {};
+            if (!mailboxSettingsService || typeof mailboxSettingsService.setAutomaticReplies !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'MailboxSettingsService.setAutomaticReplies not implemented',
+                    'error',
+                    {
+                        method: 'setAutomaticReplies',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to set automatic replies', {
+                        error: 'MailboxSettingsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to set automatic replies', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'MailboxSettingsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await mailboxSettingsService.setAutomaticReplies(settings, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Automatic replies updated successfully', {
+                    status: result?.status,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Automatic replies updated with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    status: result?.status,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to set automatic replies', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to set automatic replies', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error setting automatic replies: ${error.message}`,
+                'error',
+                {
+                    method: 'setAutomaticReplies',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to set automatic replies', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to set automatic replies', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Export an email as raw MIME (.eml) content
+     * @param {string} id - Email ID
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @param {object} [options] - { mailbox }
+     * @returns {Promise<object>} { id, subject, fileName, contentType, size, content (Buffer) }
+     */
+    async exportEmailAsMime(id, req, userId, sessionId, options = {}) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Exporting email as MIME', {
+                    emailId: id ? id.substring(0, 20) + '...' : 'none',
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.exportEmailAsMime !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.exportEmailAsMime not implemented',
+                    'error',
+                    {
+                        method: 'exportEmailAsMime',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to export email as MIME', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to export email as MIME', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.exportEmailAsMime(id, req, userId, sessionId, options);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email exported as MIME successfully', {
+                    size: result?.size,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email exported as MIME with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    size: result?.size,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to export email as MIME', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to export email as MIME', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error exporting email as MIME: ${error.message}`,
+                'error',
+                {
+                    method: 'exportEmailAsMime',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to export email as MIME', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to export email as MIME', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Import an email from MIME (.eml) content or a OneDrive .eml file
+     * @param {object} source - { mimeContent | contentBytes | fileId, folder }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Normalized imported message
+     */
+    async importMimeMessage(source = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Importing email from MIME', {
+                    hasFileId: !!source?.fileId,
+                    folder: source?.folder || 'drafts',
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.importMimeMessage !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.importMimeMessage not implemented',
+                    'error',
+                    {
+                        method: 'importMimeMessage',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to import MIME message', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to import MIME message', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.importMimeMessage(source, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email imported from MIME successfully', {
+                    folder: source?.folder || 'drafts',
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email imported from MIME with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    folder: source?.folder || 'drafts',
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to import MIME message', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to import MIME message', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error importing MIME message: ${error.message}`,
+                'error',
+                {
+                    method: 'importMimeMessage',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to import MIME message', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to import MIME message', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * List scheduled (deferred) emails waiting to be sent
+     * @param {object} options - { top }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<Array<object>>} Scheduled messages with scheduledSendTime
+     */
+    async listScheduledEmails(options = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Listing scheduled emails', {
+                    top: options?.top,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.listScheduledEmails !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.listScheduledEmails not implemented',
+                    'error',
+                    {
+                        method: 'listScheduledEmails',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to list scheduled emails', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to list scheduled emails', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.listScheduledEmails(options, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Scheduled emails retrieved successfully', {
+                    scheduledCount: Array.isArray(result) ? result.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Scheduled emails retrieved with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    scheduledCount: Array.isArray(result) ? result.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to list scheduled emails', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to list scheduled emails', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error listing scheduled emails: ${error.message}`,
+                'error',
+                {
+                    method: 'listScheduledEmails',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to list scheduled emails', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to list scheduled emails', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Cancel a scheduled email, moving it back to Drafts or discarding it
+     * @param {string} id - Message ID
+     * @param {object} options - { discard }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Cancellation result
+     */
+    async cancelScheduledEmail(id, options = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Cancelling scheduled email', {
+                    emailId: id ? id.substring(0, 20) + '...' : 'none',
+                    discard: !!options?.discard,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.cancelScheduledEmail !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.cancelScheduledEmail not implemented',
+                    'error',
+                    {
+                        method: 'cancelScheduledEmail',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to cancel scheduled email', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to cancel scheduled email', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.cancelScheduledEmail(id, options, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Scheduled email cancelled successfully', {
+                    action: result?.action,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Scheduled email cancelled with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    action: result?.action,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to cancel scheduled email', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to cancel scheduled email', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error cancelling scheduled email: ${error.message}`,
+                'error',
+                {
+                    method: 'cancelScheduledEmail',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to cancel scheduled email', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to cancel scheduled email', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Apply one action (markRead, markUnread, flag, unflag, move, delete) to many emails
+     * @param {string} action - Bulk action
+     * @param {Array<string>} ids - Email IDs
+     * @param {object} options - { destinationFolderId } for move
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Per-message results with succeeded/failed counts
+     */
+    async bulkMailAction(action, ids, options = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Running bulk mail action', {
+                    action,
+                    messageCount: Array.isArray(ids) ? ids.length : 0,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.bulkMailAction !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.bulkMailAction not implemented',
+                    'error',
+                    {
+                        method: 'bulkMailAction',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to run bulk mail action', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to run bulk mail action', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.bulkMailAction(action, ids, options, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Bulk mail action completed successfully', {
+                    action,
+                    total: result?.total,
+                    failed: result?.failed,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Bulk mail action completed with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    action,
+                    total: result?.total,
+                    failed: result?.failed,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to run bulk mail action', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to run bulk mail action', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error running bulk mail action: ${error.message}`,
+                'error',
+                {
+                    method: 'bulkMailAction',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to run bulk mail action', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to run bulk mail action', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * List the master categories with their colors
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @param {object} [options] - { mailbox }
+     * @returns {Promise<Array<object>>} Normalized categories
+     */
+    async listCategories(req, userId, sessionId, options = {}) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Listing categories', {
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { categoriesService } = this.services || {};
+            if (!categoriesService || typeof categoriesService.listCategories !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'CategoriesService.listCategories not implemented',
+                    'error',
+                    {
+                        method: 'listCategories',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to list categories', {
+                        error: 'CategoriesService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to list categories', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'CategoriesService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await categoriesService.listCategories(req, userId, sessionId, options);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Categories retrieved successfully', {
+                    categoryCount: Array.isArray(result) ? result.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Categories retrieved with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    categoryCount: Array.isArray(result) ? result.length : 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to list categories', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to list categories', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error listing categories: ${error.message}`,
+                'error',
+                {
+                    method: 'listCategories',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to list categories', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to list categories', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Create a master category
+     * @param {object} categoryData - { displayName, color } where color is a preset (preset0-preset24) or color name
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Normalized category
+     */
+    async createCategory(categoryData = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Creating category', {
+                    color: categoryData?.color,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { categoriesService } = this.services || {};
+            if (!categoriesService || typeof categoriesService.createCategory !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'CategoriesService.createCategory not implemented',
+                    'error',
+                    {
+                        method: 'createCategory',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to create category', {
+                        error: 'CategoriesService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to create category', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'CategoriesService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await categoriesService.createCategory(categoryData, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Category created successfully', {
+                    categoryId: result?.id,
+                    color: result?.color,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Category created with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    categoryId: result?.id,
+                    color: result?.color,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to create category', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to create category', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error creating category: ${error.message}`,
+                'error',
+                {
+                    method: 'createCategory',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to create category', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to create category', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Change a master category's color
+     * @param {string} id - Category ID
+     * @param {object} updates - { color }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Normalized category
+     */
+    async updateCategory(id, updates = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Updating category', {
+                    categoryId: id,
+                    color: updates?.color,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { categoriesService } = this.services || {};
+            if (!categoriesService || typeof categoriesService.updateCategory !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'CategoriesService.updateCategory not implemented',
+                    'error',
+                    {
+                        method: 'updateCategory',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to update category', {
+                        error: 'CategoriesService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to update category', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'CategoriesService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await categoriesService.updateCategory(id, updates, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Category updated successfully', {
+                    categoryId: id,
+                    color: result?.color,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Category updated with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    categoryId: id,
+                    color: result?.color,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to update category', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to update category', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error updating category: ${error.message}`,
+                'error',
+                {
+                    method: 'updateCategory',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to update category', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to update category', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Delete a master category
+     * @param {string} id - Category ID
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @param {object} [options] - { mailbox }
+     * @returns {Promise<boolean>} True when deleted
+     */
+    async deleteCategory(id, req, userId, sessionId, options = {}) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Deleting category', {
+                    categoryId: id,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { categoriesService } = this.services || {};
+            if (!categoriesService || typeof categoriesService.deleteCategory !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'CategoriesService.deleteCategory not implemented',
+                    'error',
+                    {
+                        method: 'deleteCategory',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to delete category', {
+                        error: 'CategoriesService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to delete category', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'CategoriesService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await categoriesService.deleteCategory(id, req, userId, sessionId, options);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Category deleted successfully', {
+                    categoryId: id,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Category deleted with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    categoryId: id,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to delete category', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to delete category', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error deleting category: ${error.message}`,
+                'error',
+                {
+                    method: 'deleteCategory',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to delete category', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to delete category', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Assign or remove categories on an email
+     * @param {string} id - Email ID
+     * @param {object} changes - { add, remove, set } as category names or arrays of names
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} { id, itemType, categories } with the resulting categories
+     */
+    async setEmailCategories(id, changes = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Updating email categories', {
+                    emailId: id ? id.substring(0, 20) + '...' : null,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { categoriesService } = this.services || {};
+            if (!categoriesService || typeof categoriesService.updateItemCategories !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'CategoriesService.updateItemCategories not implemented',
+                    'error',
+                    {
+                        method: 'setEmailCategories',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to update email categories', {
+                        error: 'CategoriesService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to update email categories', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'CategoriesService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await categoriesService.updateItemCategories('message', id, changes, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email categories updated successfully', {
+                    emailId: id ? id.substring(0, 20) + '...' : null,
+                    categoryCount: result?.categories?.length,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email categories updated with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    emailId: id ? id.substring(0, 20) + '...' : null,
+                    categoryCount: result?.categories?.length,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to update email categories', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to update email categories', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error updating email categories: ${error.message}`,
+                'error',
+                {
+                    method: 'setEmailCategories',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to update email categories', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to update email categories', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Change the importance of an email
+     * @param {string} id - Email ID
+     * @param {string} importance - 'low', 'normal' or 'high'
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @param {object} [options] - { mailbox }
+     * @returns {Promise<object>} { id, importance }
+     */
+    async setEmailImportance(id, importance, req, userId, sessionId, options = {}) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Setting email importance', {
+                    emailId: id ? id.substring(0, 20) + '...' : null,
+                    importance,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.setEmailImportance !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.setEmailImportance not implemented',
+                    'error',
+                    {
+                        method: 'setEmailImportance',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to set email importance', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to set email importance', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.setEmailImportance(id, importance, req, userId, sessionId, options);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Email importance updated successfully', {
+                    emailId: id ? id.substring(0, 20) + '...' : null,
+                    importance,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Email importance updated with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    emailId: id ? id.substring(0, 20) + '...' : null,
+                    importance,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to set email importance', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to set email importance', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error setting email importance: ${error.message}`,
+                'error',
+                {
+                    method: 'setEmailImportance',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to set email importance', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to set email importance', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Search emails with structured criteria, run as $filter or KQL $search
+     * @param {object} criteria - { query, from, to, subject, hasAttachments, receivedAfter, receivedBefore, folder, importance, isRead }
+     * @param {object} options - { top }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} { mode, search, filter, clientFilters, folder, count, emails }
+     */
+    async searchEmailsByCriteria(criteria = {}, options = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Searching emails by criteria', {
+                    criteria: Object.keys(criteria || {}),
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            const { graphService } = this.services || {};
+            if (!graphService || typeof graphService.searchEmailsByCriteria !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'mail',
+                    'GraphService.searchEmailsByCriteria not implemented',
+                    'error',
+                    {
+                        method: 'searchEmailsByCriteria',
+                        moduleId: 'mail',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to search emails by criteria', {
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to search emails by criteria', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'GraphService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await graphService.searchEmailsByCriteria(criteria, options, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Searched emails by criteria successfully', {
+                    mode: result?.mode,
+                    resultCount: result?.count,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Searched emails by criteria with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    mode: result?.mode,
+                    resultCount: result?.count,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to search emails by criteria', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to search emails by criteria', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'mail');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'mail',
+                `Error searching emails by criteria: ${error.message}`,
+                'error',
+                {
+                    method: 'searchEmailsByCriteria',
+                    moduleId: 'mail',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to search emails by criteria', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to search emails by criteria', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'mail');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
     id: 'mail',
     name: 'Outlook Mail',
     capabilities: MAIL_CAPABILITIES,
     /**
      * Initializes the mail module with dependencies.
-     * @param {object} services - { graphService, cacheService, eventService }
+     * @param {object} services - { graphService, mailboxSettingsService, categoriesService, cacheService, eventService }
      * @param {string} userId - User ID for context
      * @param {string} sessionId - Session ID for context
      * @returns {object} Initialized module
@@ -1736,17 +6745,18 @@ const MailModule = {
                 }, 'mail');
             }
             
-            const { graphService, cacheService } = this.services || {};
+            const { graphService, mailboxSettingsService, categoriesService, cacheService } = this.services || {};
             let result;
             
             switch (intent) {
                 case 'readMail': {
                     const count = entities.count || 10;
+                    const { mailbox } = entities;
                     // Try cache first
-                    const cacheKey = `mail:inbox:${count}`;
+                    const cacheKey = `mail:inbox:${mailbox || 'me'}:${count}`;
                     let mailList = cacheService && await cacheService.get(cacheKey);
                     if (!mailList) {
-                        const raw = await graphService.getInbox({ top: count }, context.req, userId, sessionId);
+                        const raw = await graphService.getInbox({ top: count, mailbox }, context.req, userId, sessionId);
                         mailList = Array.isArray(raw) ? raw.map(normalizeEmail) : [];
 
                         if (cacheService) await cacheService.set(cacheKey, mailList, 60);
@@ -1756,63 +6766,267 @@ const MailModule = {
                 }
                 case 'searchMail': {
                     const query = entities.query || '';
-                    const cacheKey = `mail:search:${query}`;
+                    const { mailbox } = entities;
+                    const cacheKey = `mail:search:${mailbox || 'me'}:${query}`;
                     let results = cacheService && await cacheService.get(cacheKey);
                     if (!results) {
-                        const raw = await graphService.searchEmails(query, {}, context.req, userId, sessionId);
+                        const raw = await graphService.searchEmails(query, { mailbox }, context.req, userId, sessionId);
                         results = Array.isArray(raw) ? raw.map(normalizeEmail) : [];
                         if (cacheService) await cacheService.set(cacheKey, results, 60);
                     }
                     result = { type: 'mailList', items: results };
                     break;
                 }
+                case 'searchEmailsByCriteria': {
+                    const { top, mailbox, ...criteria } = entities;
+                    const searchResult = await graphService.searchEmailsByCriteria(criteria, { top, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'mailSearchResult', ...searchResult };
+                    break;
+                }
                 case 'sendMail': {
-                    const { to, subject, body, cc, bcc } = entities;
-                    const sent = await graphService.sendEmail({ to, subject, body, cc, bcc }, context.req, userId, sessionId);
+                    const { to, subject, body, cc, bcc, contentType, attachments, sendAt, sendAtTimeZone, mailbox } = entities;
+                    const sent = await graphService.sendEmail({ to, subject, body, cc, bcc, contentType, attachments, sendAt, sendAtTimeZone, mailbox }, context.req, userId, sessionId);
                     result = { type: 'mailSendResult', success: !!sent, sent };
                     break;
                 }
                 case 'flagMail': {
-                    const { mailId, flag } = entities;
-                    const flagged = await graphService.flagEmail(mailId, flag, context.req, userId, sessionId);
+                    const { mailId, flag, mailbox } = entities;
+                    const flagged = await graphService.flagEmail(mailId, flag, context.req, userId, sessionId, { mailbox });
                     result = { type: 'mailFlagResult', flagged };
                     break;
                 }
                 case 'getMailAttachments': {
-                    const { mailId } = entities;
-                    const attachments = await graphService.getAttachments(mailId, context.req, userId, sessionId);
+                    const { mailId, mailbox } = entities;
+                    const attachments = await graphService.getAttachments(mailId, context.req, userId, sessionId, { mailbox });
                     result = { type: 'mailAttachments', attachments };
                     break;
                 }
                 case 'readMailDetails': {
-                    const { id } = entities;
-                    const cacheKey = `mail:details:${id}`;
+                    const { id, bodyFormat, mailbox } = entities;
+                    const cacheKey = `mail:details:${mailbox || 'me'}:${id}:${bodyFormat || 'html'}`;
                     let details = cacheService && await cacheService.get(cacheKey);
                     if (!details) {
-                        details = await graphService.getEmailDetails(id, context.req, userId, sessionId);
+                        details = await graphService.getEmailDetails(id, { bodyFormat, mailbox }, context.req, userId, sessionId);
                         if (cacheService) await cacheService.set(cacheKey, details, 60);
                     }
                     result = { type: 'mailDetails', email: details };
                     break;
                 }
                 case 'markEmailRead': {
-                    const { id, isRead = true } = entities;
-                    const success = await graphService.markAsRead(id, isRead, context.req, userId, sessionId);
+                    const { id, isRead = true, mailbox } = entities;
+                    const success = await graphService.markAsRead(id, isRead, context.req, userId, sessionId, { mailbox });
                     result = { type: 'mailMarkReadResult', success, isRead };
                     break;
                 }
                 case 'addMailAttachment': {
-                    const { id, attachment } = entities;
-                    const added = await graphService.addMailAttachment(id, attachment, context.req, userId, sessionId);
+                    const { id, attachment, mailbox } = entities;
+                    const added = await graphService.addMailAttachment(id, attachment, context.req, userId, sessionId, { mailbox });
                     result = { type: 'mailAttachmentAddResult', added };
                     break;
                 }
                 case 'removeMailAttachment': {
-                    const { id, attachmentId } = entities;
-                    const removed = await graphService.removeMailAttachment(id, attachmentId, context.req, userId, sessionId);
+                    const { id, attachmentId, mailbox } = entities;
+                    const removed = await graphService.removeMailAttachment(id, attachmentId, context.req, userId, sessionId, { mailbox });
                     result = { type: 'mailAttachmentRemoveResult', removed };
                     break;
                 }
+                case 'replyToEmail': {
+                    const { id, comment, to, cc, bcc, attachments, mailbox } = entities;
+                    const replied = await graphService.replyToEmail(id, { comment, to, cc, bcc, attachments, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'mailReplyResult', replied };
+                    break;
+                }
+                case 'replyAllToEmail': {
+                    const { id, comment, to, cc, bcc, attachments, mailbox } = entities;
+                    const replied = await graphService.replyAllToEmail(id, { comment, to, cc, bcc, attachments, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'mailReplyResult', replied };
+                    break;
+                }
+                case 'forwardEmail': {
+                    const { id, comment, to, cc, bcc, attachments, mailbox } = entities;
+                    const forwarded = await graphService.forwardEmail(id, { comment, to, cc, bcc, attachments, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'mailForwardResult', forwarded };
+                    break;
+                }
+                case 'createDraft': {
+                    const { subject, body, contentType, to, cc, bcc, importance, attachments, mailbox } = entities;
+                    const draft = await graphService.createDraft({ subject, body, contentType, to, cc, bcc, importance, attachments, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'mailDraft', draft };
+                    break;
+                }
+                case 'updateDraft': {
+                    const { id, ...updates } = entities;
+                    const draft = await graphService.updateDraft(id, updates, context.req, userId, sessionId);
+                    result = { type: 'mailDraft', draft };
+                    break;
+                }
+                case 'listDrafts': {
+                    const { top, skip, mailbox } = entities;
+                    const drafts = await graphService.listDrafts({ top, skip, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'mailDraftList', drafts };
+                    break;
+                }
+                case 'sendDraft': {
+                    const { id, mailbox } = entities;
+                    const sent = await graphService.sendDraft(id, context.req, userId, sessionId, { mailbox });
+                    result = { type: 'mailDraftSendResult', sent };
+                    break;
+                }
+                case 'deleteDraft': {
+                    const { id, mailbox } = entities;
+                    const deleted = await graphService.deleteDraft(id, context.req, userId, sessionId, { mailbox });
+                    result = { type: 'mailDraftDeleteResult', deleted };
+                    break;
+                }
+                case 'listMailFolders': {
+                    const { parentFolderId, includeChildren, maxDepth, mailbox } = entities;
+                    const folders = await graphService.listMailFolders({ parentFolderId, includeChildren, maxDepth, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'mailFolderList', folders };
+                    break;
+                }
+                case 'getMessagesInFolder': {
+                    const { folder, folderId, top, skip, mailbox } = entities;
+                    const messages = await graphService.getMessagesInFolder(folder || folderId, { top, skip, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'mailList', items: messages };
+                    break;
+                }
+                case 'createMailFolder': {
+                    const { displayName, parentFolderId, mailbox } = entities;
+                    const folder = await graphService.createMailFolder({ displayName, parentFolderId, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'mailFolder', folder };
+                    break;
+                }
+                case 'moveEmail': {
+                    const { id, destinationFolderId, mailbox } = entities;
+                    const moved = await graphService.moveEmail(id, destinationFolderId, context.req, userId, sessionId, { mailbox });
+                    result = { type: 'mailMoveResult', moved };
+                    break;
+                }
+                case 'copyEmail': {
+                    const { id, destinationFolderId, mailbox } = entities;
+                    const copied = await graphService.copyEmail(id, destinationFolderId, context.req, userId, sessionId, { mailbox });
+                    result = { type: 'mailCopyResult', copied };
+                    break;
+                }
+                case 'getConversation': {
+                    const { conversationId, messageId, id, maxMessages, mailbox } = entities;
+                    const conversation = await graphService.getConversation({ conversationId, messageId: messageId || id, maxMessages, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'mailConversation', conversation };
+                    break;
+                }
+                case 'getMailChanges': {
+                    const { folder = 'inbox', reset, maxPages, mailbox } = entities;
+                    const changes = await graphService.getMailChanges(folder, { reset, maxPages, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'mailChanges', changes };
+                    break;
+                }
+                case 'listMailRules': {
+                    const rules = await graphService.listMailRules(context.req, userId, sessionId, { mailbox: entities.mailbox });
+                    result = { type: 'mailRuleList', rules };
+                    break;
+                }
+                case 'createMailRule': {
+                    const { preview, mailbox, ...ruleData } = entities;
+                    const rule = await graphService.createMailRule(ruleData, { preview, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'mailRule', rule };
+                    break;
+                }
+                case 'updateMailRule': {
+                    const { id, preview, mailbox, ...updates } = entities;
+                    const rule = await graphService.updateMailRule(id, updates, { preview, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'mailRule', rule };
+                    break;
+                }
+                case 'deleteMailRule': {
+                    const { id, preview, mailbox } = entities;
+                    const deleted = await graphService.deleteMailRule(id, { preview, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'mailRuleDeleteResult', deleted };
+                    break;
+                }
+                case 'getMailboxSettings': {
+                    const settings = await mailboxSettingsService.getMailboxSettings(context.req, userId, sessionId, { mailbox: entities.mailbox });
+                    result = { type: 'mailboxSettings', settings };
+                    break;
+                }
+                case 'updateMailboxSettings': {
+                    const settings = await mailboxSettingsService.updateMailboxSettings(entities, context.req, userId, sessionId);
+                    result = { type: 'mailboxSettings', settings };
+                    break;
+                }
+                case 'getAutomaticReplies': {
+                    const automaticReplies = await mailboxSettingsService.getAutomaticReplies(context.req, userId, sessionId, { mailbox: entities.mailbox });
+                    result = { type: 'automaticReplies', automaticReplies };
+                    break;
+                }
+                case 'setAutomaticReplies': {
+                    const automaticReplies = await mailboxSettingsService.setAutomaticReplies(entities, context.req, userId, sessionId);
+                    result = { type: 'automaticReplies', automaticReplies };
+                    break;
+                }
+                case 'exportEmailAsMime': {
+                    const { id, mailbox } = entities;
+                    const mime = await graphService.exportEmailAsMime(id, context.req, userId, sessionId, { mailbox });
+                    const { content, ...metadata } = mime;
+                    result = { type: 'emailMime', ...metadata, contentBytes: content.toString('base64') };
+                    break;
+                }
+                case 'importMimeMessage': {
+                    const email = await graphService.importMimeMessage(entities, context.req, userId, sessionId);
+                    result = { type: 'email', email };
+                    break;
+                }
+                case 'listScheduledEmails': {
+                    const scheduled = await graphService.listScheduledEmails(entities, context.req, userId, sessionId);
+                    result = { type: 'scheduledMailList', items: scheduled };
+                    break;
+                }
+                case 'cancelScheduledEmail': {
+                    const { id, discard, mailbox } = entities;
+                    const cancelled = await graphService.cancelScheduledEmail(id, { discard, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'scheduledMailCancelled', ...cancelled };
+                    break;
+                }
+                case 'bulkMailAction': {
+                    const { action, ids, destinationFolderId, mailbox } = entities;
+                    const bulkResult = await graphService.bulkMailAction(action, ids, { destinationFolderId, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'bulkMailResult', ...bulkResult };
+                    break;
+                }
+                case 'listCategories': {
+                    const categories = await categoriesService.listCategories(context.req, userId, sessionId, { mailbox: entities.mailbox });
+                    result = { type: 'categoryList', categories };
+                    break;
+                }
+                case 'createCategory': {
+                    const { displayName, color, mailbox } = entities;
+                    const category = await categoriesService.createCategory({ displayName, color, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'category', category };
+                    break;
+                }
+                case 'updateCategory': {
+                    const { id, color, mailbox } = entities;
+                    const category = await categoriesService.updateCategory(id, { color, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'category', category };
+                    break;
+                }
+                case 'deleteCategory': {
+                    const { id, mailbox } = entities;
+                    const deleted = await categoriesService.deleteCategory(id, context.req, userId, sessionId, { mailbox });
+                    result = { type: 'categoryDeleteResult', deleted };
+                    break;
+                }
+                case 'setEmailCategories': {
+                    const { id, add, remove, set, mailbox } = entities;
+                    const updated = await categoriesService.updateItemCategories('message', id, { add, remove, set, mailbox }, context.req, userId, sessionId);
+                    result = { type: 'emailCategories', ...updated };
+                    break;
+                }
+                case 'setEmailImportance': {
+                    const { id, importance, mailbox } = entities;
+                    const updated = await graphService.setEmailImportance(id, importance, context.req, userId, sessionId, { mailbox });
+                    result = { type: 'emailImportance', ...updated };
+                    break;
+                }
                 default: {
                     // Pattern 3: Infrastructure Error Logging
                     const mcpError = ErrorService.createError(
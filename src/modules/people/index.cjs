@@ -10,7 +10,14 @@ const ErrorService = require('../../core/error-service.cjs');
 const PEOPLE_CAPABILITIES = [
     'findPeople',
     'getPersonById',
-    'getRelevantPeople'
+    'getRelevantPeople',
+    'listContacts',
+    'searchContacts',
+    'getContact',
+    'createContact',
+    'updateContact',
+    'deleteContact',
+    'listContactFolders'
 ];
 
 // Log module initialization
@@ -558,9 +565,983 @@ const PeopleModule = {
         }
     },
     
+    /**
+     * Lists the user's Outlook contacts
+     * @param {object} options - { top, skip, folderId }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<Array<object>>} Normalized contacts
+     */
+    async listContacts(options = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Listing contacts', {
+                    hasFolder: !!options.folderId,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            const { contactsService } = this.services || {};
+            if (!contactsService || typeof contactsService.listContacts !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'people',
+                    'ContactsService.listContacts not implemented',
+                    'error',
+                    {
+                        method: 'listContacts',
+                        moduleId: 'people',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to list contacts', {
+                        error: 'ContactsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to list contacts', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'ContactsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await contactsService.listContacts(options, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Contacts listed successfully', {
+                    count: result?.length || 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Contacts listed with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    count: result?.length || 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to list contacts', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to list contacts', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'people',
+                `Failed to list contacts: ${error.message}`,
+                'error',
+                {
+                    method: 'listContacts',
+                    moduleId: 'people',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to list contacts', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to list contacts', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Searches the user's Outlook contacts by name, company or email address
+     * @param {string} query - Search text
+     * @param {object} options - { top, folderId }
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<Array<object>>} Matching contacts
+     */
+    async searchContacts(query, options = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Searching contacts', {
+                    queryLength: query ? String(query).length : 0,
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            const { contactsService } = this.services || {};
+            if (!contactsService || typeof contactsService.searchContacts !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'people',
+                    'ContactsService.searchContacts not implemented',
+                    'error',
+                    {
+                        method: 'searchContacts',
+                        moduleId: 'people',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to search contacts', {
+                        error: 'ContactsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to search contacts', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'ContactsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await contactsService.searchContacts(query, options, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Contacts searched successfully', {
+                    count: result?.length || 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Contacts searched with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    count: result?.length || 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to search contacts', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to search contacts', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'people',
+                `Failed to search contacts: ${error.message}`,
+                'error',
+                {
+                    method: 'searchContacts',
+                    moduleId: 'people',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to search contacts', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to search contacts', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Gets a single Outlook contact
+     * @param {string} id - Contact ID
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Normalized contact
+     */
+    async getContact(id, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Getting contact', {
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            const { contactsService } = this.services || {};
+            if (!contactsService || typeof contactsService.getContact !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'people',
+                    'ContactsService.getContact not implemented',
+                    'error',
+                    {
+                        method: 'getContact',
+                        moduleId: 'people',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to get contact', {
+                        error: 'ContactsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to get contact', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'ContactsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await contactsService.getContact(id, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Contact retrieved successfully', {
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Contact retrieved with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to get contact', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to get contact', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'people',
+                `Failed to get contact: ${error.message}`,
+                'error',
+                {
+                    method: 'getContact',
+                    moduleId: 'people',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to get contact', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to get contact', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Creates an Outlook contact, e.g. from the sender and signature of an email
+     * @param {object} contactData - Contact fields plus optional folderId
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Created contact
+     */
+    async createContact(contactData = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Creating contact', {
+                    fields: Object.keys(contactData),
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            const { contactsService } = this.services || {};
+            if (!contactsService || typeof contactsService.createContact !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'people',
+                    'ContactsService.createContact not implemented',
+                    'error',
+                    {
+                        method: 'createContact',
+                        moduleId: 'people',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to create contact', {
+                        error: 'ContactsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to create contact', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'ContactsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await contactsService.createContact(contactData, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Contact created successfully', {
+                    contactId: result?.id,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Contact created with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    contactId: result?.id,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to create contact', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to create contact', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'people',
+                `Failed to create contact: ${error.message}`,
+                'error',
+                {
+                    method: 'createContact',
+                    moduleId: 'people',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to create contact', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to create contact', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Updates fields of an Outlook contact
+     * @param {string} id - Contact ID
+     * @param {object} updates - Contact fields to change
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} Updated contact
+     */
+    async updateContact(id, updates = {}, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Updating contact', {
+                    fields: Object.keys(updates),
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            const { contactsService } = this.services || {};
+            if (!contactsService || typeof contactsService.updateContact !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'people',
+                    'ContactsService.updateContact not implemented',
+                    'error',
+                    {
+                        method: 'updateContact',
+                        moduleId: 'people',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to update contact', {
+                        error: 'ContactsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to update contact', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'ContactsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await contactsService.updateContact(id, updates, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Contact updated successfully', {
+                    contactId: result?.id,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Contact updated with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    contactId: result?.id,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to update contact', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to update contact', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'people',
+                `Failed to update contact: ${error.message}`,
+                'error',
+                {
+                    method: 'updateContact',
+                    moduleId: 'people',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to update contact', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to update contact', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Deletes an Outlook contact
+     * @param {string} id - Contact ID
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<object>} { id, deleted: true }
+     */
+    async deleteContact(id, req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Deleting contact', {
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            const { contactsService } = this.services || {};
+            if (!contactsService || typeof contactsService.deleteContact !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'people',
+                    'ContactsService.deleteContact not implemented',
+                    'error',
+                    {
+                        method: 'deleteContact',
+                        moduleId: 'people',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to delete contact', {
+                        error: 'ContactsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to delete contact', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'ContactsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await contactsService.deleteContact(id, req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Contact deleted successfully', {
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Contact deleted with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to delete contact', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to delete contact', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'people',
+                `Failed to delete contact: ${error.message}`,
+                'error',
+                {
+                    method: 'deleteContact',
+                    moduleId: 'people',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to delete contact', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to delete contact', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
+    /**
+     * Lists the user's contact folders
+     * @param {object} req - Express request object (optional)
+     * @param {string} userId - User ID for context
+     * @param {string} sessionId - Session ID for context
+     * @returns {Promise<Array<object>>} { id, name, parentFolderId }
+     */
+    async listContactFolders(req, userId, sessionId) {
+        const startTime = Date.now();
+        
+        // Extract user context from req if not provided
+        if (!userId && req?.user?.userId) {
+            userId = req.user.userId;
+        }
+        if (!sessionId && req?.session?.id) {
+            sessionId = req.session.id;
+        }
+        
+        try {
+            // Pattern 1: Development Debug Logs
+            if (process.env.NODE_ENV === 'development') {
+                MonitoringService.debug('Listing contact folders', {
+                    userId: userId ? userId.substring(0, 20) + '...' : 'anonymous',
+                    sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            const { contactsService } = this.services || {};
+            if (!contactsService || typeof contactsService.listContactFolders !== 'function') {
+                // Pattern 3: Infrastructure Error Logging
+                const mcpError = ErrorService.createError(
+                    'people',
+                    'ContactsService.listContactFolders not implemented',
+                    'error',
+                    {
+                        method: 'listContactFolders',
+                        moduleId: 'people',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+                MonitoringService.logError(mcpError);
+                
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to list contact folders', {
+                        error: 'ContactsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to list contact folders', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: 'ContactsService not available',
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                
+                throw mcpError;
+            }
+            
+            const result = await contactsService.listContactFolders(req, userId, sessionId);
+            const executionTime = Date.now() - startTime;
+            
+            // Pattern 2: User Activity Logs
+            if (userId) {
+                MonitoringService.info('Contact folders listed successfully', {
+                    count: result?.length || 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people', null, userId);
+            } else if (sessionId) {
+                MonitoringService.info('Contact folders listed with session', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    count: result?.length || 0,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            return result;
+        } catch (error) {
+            const executionTime = Date.now() - startTime;
+            
+            // If it's already an MCP error, just track user error and rethrow
+            if (error.category) {
+                // Pattern 4: User Error Tracking
+                if (userId) {
+                    MonitoringService.error('Failed to list contact folders', {
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people', null, userId);
+                } else if (sessionId) {
+                    MonitoringService.error('Failed to list contact folders', {
+                        sessionId: sessionId.substring(0, 8) + '...',
+                        error: error.message,
+                        executionTimeMs: executionTime,
+                        timestamp: new Date().toISOString()
+                    }, 'people');
+                }
+                throw error;
+            }
+            
+            // Pattern 3: Infrastructure Error Logging
+            const mcpError = ErrorService.createError(
+                'people',
+                `Failed to list contact folders: ${error.message}`,
+                'error',
+                {
+                    method: 'listContactFolders',
+                    moduleId: 'people',
+                    stack: error.stack,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }
+            );
+            MonitoringService.logError(mcpError);
+            
+            // Pattern 4: User Error Tracking
+            if (userId) {
+                MonitoringService.error('Failed to list contact folders', {
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people', null, userId);
+            } else if (sessionId) {
+                MonitoringService.error('Failed to list contact folders', {
+                    sessionId: sessionId.substring(0, 8) + '...',
+                    error: error.message,
+                    executionTimeMs: executionTime,
+                    timestamp: new Date().toISOString()
+                }, 'people');
+            }
+            
+            throw mcpError;
+        }
+    },
+    
     /**
      * Initializes the people module with dependencies.
-     * @param {object} services - { graphService, cacheService, errorService, monitoringService }
+     * @param {object} services - { graphService, contactsService, cacheService, errorService, monitoringService }
      * @param {string} userId - User ID for context
      * @param {string} sessionId - Session ID for context
      * @returns {object} Initialized module
@@ -569,13 +1550,14 @@ const PeopleModule = {
         const startTime = Date.now();
         
         // Destructure provided services and apply defaults
-        const { graphService, cacheService, errorService = ErrorService, monitoringService = MonitoringService } = services;
+        const { graphService, contactsService, cacheService, errorService = ErrorService, monitoringService = MonitoringService } = services;
 
         // Pattern 1: Development Debug Logs
         if (process.env.NODE_ENV === 'development') {
             MonitoringService.debug('Initializing People Module', {
                 sessionId: sessionId,
                 hasGraphService: !!graphService,
+                hasContactsService: !!contactsService,
                 hasCacheService: !!cacheService,
                 timestamp: new Date().toISOString()
             }, 'people');
@@ -615,7 +1597,7 @@ const PeopleModule = {
         }
 
         // Store services for later use
-        this.services = { graphService, cacheService, errorService, monitoringService };
+        this.services = { graphService, contactsService, cacheService, errorService, monitoringService };
 
         const elapsedTime = Date.now() - startTime;
         
@@ -827,6 +1809,48 @@ const PeopleModule = {
                     break;
                 }
                 
+                case 'listContacts': {
+                    const contacts = await this.listContacts(entities.options || {}, context.req, contextUserId, contextSessionId);
+                    result = { type: 'contactList', items: contacts };
+                    break;
+                }
+                
+                case 'searchContacts': {
+                    const contacts = await this.searchContacts(entities.query, entities.options || {}, context.req, contextUserId, contextSessionId);
+                    result = { type: 'contactList', items: contacts };
+                    break;
+                }
+                
+                case 'getContact': {
+                    const contact = await this.getContact(entities.contactId, context.req, contextUserId, contextSessionId);
+                    result = { type: 'contact', contact };
+                    break;
+                }
+                
+                case 'createContact': {
+                    const contact = await this.createContact(entities.contact || {}, context.req, contextUserId, contextSessionId);
+                    result = { type: 'contactCreated', contact };
+                    break;
+                }
+                
+                case 'updateContact': {
+                    const contact = await this.updateContact(entities.contactId, entities.updates || {}, context.req, contextUserId, contextSessionId);
+                    result = { type: 'contactUpdated', contact };
+                    break;
+                }
+                
+                case 'deleteContact': {
+                    const deleted = await this.deleteContact(entities.contactId, context.req, contextUserId, contextSessionId);
+                    result = { type: 'contactDeleted', ...deleted };
+                    break;
+                }
+                
+                case 'listContactFolders': {
+                    const folders = await this.listContactFolders(context.req, contextUserId, contextSessionId);
+                    result = { type: 'contactFolderList', items: folders };
+                    break;
+                }
+                
                 default: {
                     // Pattern 3: Infrastructure Error Logging
                     const mcpError = ErrorService.createError(
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Test script for email and event body conversion.
+ * htmlToMarkdown and formatBody are pure functions, so each HTML snippet is converted
+ * to Markdown, text and summary-ready output and compared with the exact result.
+ */
+
+const assert = require('assert');
+
+// Reduce service console output so test results stay readable
+process.env.MCP_SILENT_MODE = 'true';
+
+const { htmlToMarkdown, formatBody } = require('../src/graph/normalizers.cjs');
+
+// Converts one snippet to every format so a test can compare them side by side
+const convertAll = html => ({
+  markdown: htmlToMarkdown(html, 'markdown'),
+  text: htmlToMarkdown(html, 'text'),
+  summary: htmlToMarkdown(html, 'summary-ready')
+});
+
+// Test suite for body conversion
+async function runTests() {
+  console.log('Running Body Format Tests');
+  console.log('----------------------------------------');
+
+  let passCount = 0;
+  let failCount = 0;
+
+  const check = (name, fn) => {
+    try {
+      fn();
+      console.log(`✅ PASS: ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`❌ FAIL: ${name}: ${error.message}`);
+      failCount++;
+    }
+  };
+
+  // Test 1: Headings become # lines in Markdown and plain paragraphs otherwise
+  check('Headings keep their level in Markdown', () => {
+    assert.deepStrictEqual(convertAll('<h1>Title</h1><h3>Sub <em>part</em></h3><p>Body</p>'), {
+      markdown: '# Title\n\n### Sub _part_\n\nBody',
+      text: 'Title\n\nSub part\n\nBody',
+      summary: 'Title\nSub part\nBody'
+    });
+  });
+
+  // Test 2: Nested lists are numbered and indented under their parent item
+  check('Nested ordered and unordered lists are indented', () => {
+    const { markdown, text } = convertAll('<ul><li>One</li><li>Two<ol><li>A</li><li>B</li></ol></li></ul><p>After</p>');
+    assert.strictEqual(markdown, '- One\n- Two\n  1. A\n  2. B\n\nAfter');
+    assert.strictEqual(text, markdown);
+  });
+
+  // Test 3: Links are Markdown links, text with the URL in brackets, or just the text
+  check('Links follow the requested format', () => {
+    const html = '<p>See <a href="https://example.com/docs">the docs</a>, <a href="mailto:a@example.com">mail us</a> or <a href="https://example.com">https://example.com</a></p>';
+    assert.deepStrictEqual(convertAll(html), {
+      markdown: 'See [the docs](https://example.com/docs), mail us or https://example.com',
+      text: 'See the docs (https://example.com/docs), mail us or https://example.com',
+      summary: 'See the docs, mail us or https://example.com'
+    });
+  });
+
+  // Test 4: Table rows become lines with their cells separated by spaces
+  check('Table rows become one line each', () => {
+    const html = '<table><tr><th>Name</th><th>Qty</th></tr><tr><td>Apples</td><td>3</td></tr></table><p>Total</p>';
+    assert.deepStrictEqual(convertAll(html), {
+      markdown: 'Name Qty\nApples 3\n\nTotal',
+      text: 'Name Qty\nApples 3\n\nTotal',
+      summary: 'Name Qty\nApples 3\nTotal'
+    });
+  });
+
+  // Test 5: Preformatted blocks keep their whitespace and become fenced code in Markdown
+  check('Preformatted text keeps its indentation', () => {
+    const html = '<p>Code:</p><pre>  if (a &lt; b) {\n    return;\n  }</pre>';
+    assert.deepStrictEqual(convertAll(html), {
+      markdown: 'Code:\n\n```\n  if (a < b) {\n    return;\n  }\n```',
+      text: 'Code:\n\n  if (a < b) {\n    return;\n  }',
+      summary: 'Code:\n  if (a < b) {\n    return;\n  }'
+    });
+  });
+
+  // Test 6: A body that starts with preformatted text keeps the first line's indentation
+  check('Indentation survives when the body starts with preformatted text', () => {
+    assert.deepStrictEqual(convertAll('<pre>    indented\n  second</pre><p>After</p>'), {
+      markdown: '```\n    indented\n  second\n```\n\nAfter',
+      text: '    indented\n  second\n\nAfter',
+      summary: '    indented\n  second\nAfter'
+    });
+  });
+
+  // Test 7: Named, decimal and hex entities are decoded; unknown ones are left alone
+  check('HTML entities are decoded', () => {
+    const html = '<p>Fish &amp; chips &mdash; &#8364;5 &#x2713; &lt;tag&gt; &quot;q&quot; &bogus;</p>';
+    assert.strictEqual(htmlToMarkdown(html, 'text'), 'Fish & chips — €5 ✓ <tag> "q" &bogus;');
+  });
+
+  // Test 8: Hidden preheaders, tracking pixels, signatures and quoted history are removed
+  check('Hidden content, signatures and quoted history are dropped', () => {
+    const html = '<p>Thanks!<img src="https://t.example.com/p.gif" width="1" height="1"><span style="display:none">preheader</span></p>' +
+      '<div class="signature">Bob</div><div id="divRplyFwdMsg">From: Ann</div><p>Earlier message</p>';
+    assert.strictEqual(htmlToMarkdown(html, 'markdown'), 'Thanks!');
+  });
+
+  // Test 9: The rule Outlook puts above the quoted history goes with it
+  check('Rule before quoted history is dropped', () => {
+    const html = '<p>Thanks!</p><hr style="display:inline-block;width:98%"><div id="divRplyFwdMsg">From: Ann</div><p>Earlier message</p>';
+    assert.strictEqual(htmlToMarkdown(html, 'markdown'), 'Thanks!');
+    assert.strictEqual(htmlToMarkdown('<p>One</p><hr><p>Two</p>', 'markdown'), 'One\n\n---\n\nTwo');
+  });
+
+  // Test 10: A '<' that does not start a tag is kept as text
+  check('Less-than signs in text are kept', () => {
+    assert.deepStrictEqual(convertAll('<p>x<y and more text</p><p>a < b</p>'), {
+      markdown: 'x<y and more text\n\na < b',
+      text: 'x<y and more text\n\na < b',
+      summary: 'x<y and more text\na < b'
+    });
+  });
+
+  // Test 11: formatBody converts HTML bodies and reports the output content type
+  check('formatBody converts HTML bodies', () => {
+    assert.deepStrictEqual(formatBody({ contentType: 'html', content: '<h2>Agenda</h2><ul><li>Budget</li></ul>' }, 'markdown'), {
+      content: '## Agenda\n\n- Budget',
+      contentType: 'markdown'
+    });
+    assert.deepStrictEqual(formatBody('<p>Raw <b>HTML</b></p>', 'text'), { content: 'Raw HTML', contentType: 'text' });
+    assert.deepStrictEqual(formatBody({ contentType: 'HTML', content: '<b>x</b>' }, 'html'), { content: '<b>x</b>', contentType: 'html' });
+  });
+
+  // Test 12: Plain-text bodies lose their signature and quoted reply
+  check('formatBody cleans plain-text bodies', () => {
+    const body = { contentType: 'text', content: 'Hello\n\nSee   you\n-- \nBob\n\nOn Mon, Jan 1, 2024 Ann wrote:\n> earlier' };
+    assert.deepStrictEqual(formatBody(body, 'text'), { content: 'Hello\n\nSee   you', contentType: 'text' });
+    assert.deepStrictEqual(formatBody(body, 'summary-ready'), { content: 'Hello\nSee you', contentType: 'text' });
+  });
+
+  // Test 13: Unknown formats are rejected as validation warnings
+  check('Unknown body formats are rejected', () => {
+    assert.throws(() => formatBody('text', 'pdf'), error => error.severity === 'warning' && /bodyFormat must be one of/.test(error.message));
+  });
+
+  // Summary
+  console.log('\nTest Summary:');
+  console.log(`✅ Passed: ${passCount}`);
+  console.log(`❌ Failed: ${failCount}`);
+  console.log('----------------------------------------');
+
+  return failCount === 0;
+}
+
+// Run the tests
+runTests()
+  .then(success => {
+    if (success) {
+      console.log('All tests passed! 🎉');
+      process.exit(0);
+    } else {
+      console.error('Some tests failed! 😢');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('Test execution error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Test script for reading events through the calendar view.
+ * Runs CalendarService.getEvents with a timeframe against a local Graph stand-in whose
+ * calendar view never runs out of pages, so the number of events read shows the limit used.
+ */
+
+const http = require('http');
+const assert = require('assert');
+
+// Reduce service console output so test results stay readable
+process.env.MCP_SILENT_MODE = 'true';
+
+const PAGE_SIZE = 20;
+
+/**
+ * Local Graph stand-in with an endless, paged calendar view.
+ */
+function createGraphStandIn() {
+  const state = { requests: [] };
+  let baseUrl = '';
+  let nextId = 0;
+
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const url = new URL(req.url, baseUrl);
+      state.requests.push(`${req.method} ${url.pathname}${url.search}`);
+      let payload;
+
+      if (url.pathname.endsWith('/calendarView')) {
+        const value = Array.from({ length: PAGE_SIZE }, () => {
+          nextId++;
+          return {
+            id: `evt-${nextId}`,
+            subject: `Occurrence ${nextId}`,
+            start: { dateTime: '2030-03-04T10:00:00', timeZone: 'UTC' },
+            end: { dateTime: '2030-03-04T10:30:00', timeZone: 'UTC' }
+          };
+        });
+        payload = { value, '@odata.nextLink': `${baseUrl}/me/calendarView?page=${nextId}` };
+      } else if (url.pathname.endsWith('/mailboxSettings')) {
+        payload = { timeZone: 'UTC' };
+      } else {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { code: 'NotFound', message: `Unknown path ${url.pathname}` } }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, baseUrl, state });
+    });
+  });
+}
+
+// Test suite for the calendar view
+async function runTests() {
+  console.log('Running Calendar View Tests');
+  console.log('----------------------------------------');
+
+  let passCount = 0;
+  let failCount = 0;
+
+  const standIn = await createGraphStandIn();
+
+  // The Graph base URL is read when the client module loads, so set it first
+  process.env.MICROSOFT_GRAPH_BASE_URL = standIn.baseUrl;
+  const graphClientFactory = require('../src/graph/graph-client.cjs');
+  const calendarService = require('../src/graph/calendar-service.cjs');
+
+  // Use an unauthenticated client against the stand-in
+  graphClientFactory.createClient = async () => new graphClientFactory.GraphClient('stand-in-token');
+
+  const viewRequests = () => standIn.state.requests.filter(request => request.includes('/calendarView'));
+
+  // Test 1: A timeframe without a limit returns the default 50 events
+  try {
+    standIn.state.requests = [];
+    const events = await calendarService.getEvents({ timeframe: 'this_week' });
+    assert.strictEqual(events.length, 50, 'The default limit should apply');
+    assert.strictEqual(viewRequests().length, 3, 'Paging should stop once 50 events are read');
+    assert.ok(viewRequests()[0].includes('$top=50'), 'The first page should ask for 50 events');
+    console.log('✅ PASS: Timeframe without a limit returns 50 events');
+    passCount++;
+  } catch (error) {
+    console.error(`❌ FAIL: Default limit test failed: ${error.message}`);
+    failCount++;
+  }
+
+  // Test 2: An explicit limit is used instead of the default
+  try {
+    standIn.state.requests = [];
+    const events = await calendarService.getEvents({ timeframe: 'this_week', limit: 5 });
+    assert.strictEqual(events.length, 5, 'The limit should apply');
+    assert.strictEqual(viewRequests().length, 1, 'One page should be enough');
+    console.log('✅ PASS: Timeframe with a limit returns that many events');
+    passCount++;
+  } catch (error) {
+    console.error(`❌ FAIL: Explicit limit test failed: ${error.message}`);
+    failCount++;
+  }
+
+  standIn.server.close();
+
+  // Summary
+  console.log('\nTest Summary:');
+  console.log(`✅ Passed: ${passCount}`);
+  console.log(`❌ Failed: ${failCount}`);
+  console.log('----------------------------------------');
+
+  return failCount === 0;
+}
+
+// Run the tests
+runTests()
+  .then(success => {
+    if (success) {
+      console.log('All tests passed! 🎉');
+      process.exit(0);
+    } else {
+      console.error('Some tests failed! 😢');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('Test execution error:', error);
+    process.exit(1);
+  });
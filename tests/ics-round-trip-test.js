@@ -0,0 +1,349 @@
+/**
+ * @fileoverview Test script for iCalendar export and import.
+ * Serializes normalized events with IcsService.serializeEvents and imports files with
+ * IcsService.importEvents against a local Graph stand-in that records the events it is sent,
+ * so a series can be exported and imported again and compared with the original.
+ */
+
+const http = require('http');
+const assert = require('assert');
+
+// Reduce service console output so test results stay readable
+process.env.MCP_SILENT_MODE = 'true';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Local Graph stand-in. Created events get sequential IDs; a series has one occurrence at
+ * the middle of every instances window unless missingOccurrences is set.
+ */
+function createGraphStandIn() {
+  const state = { requests: [], missingOccurrences: false };
+  let baseUrl = '';
+  let nextId = 1;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, baseUrl);
+      state.requests.push({ method: req.method, path: decodeURIComponent(url.pathname), body: body ? JSON.parse(body) : null });
+
+      if (req.method === 'DELETE') {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+
+      let payload = {};
+      if (url.pathname.endsWith('/instances')) {
+        const center = new Date(Date.parse(url.searchParams.get('startDateTime')) + DAY_MS).toISOString().replace('.000Z', 'Z');
+        payload = {
+          value: state.missingOccurrences ? [] : [{ id: `occ-${center}`, start: { dateTime: center.replace('Z', ''), timeZone: 'UTC' }, originalStart: center }]
+        };
+      } else if (req.method === 'POST' && url.pathname.endsWith('/events')) {
+        payload = { id: `created-${nextId++}` };
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, baseUrl, state });
+    });
+  });
+}
+
+/**
+ * Wraps VEVENT lines in a minimal calendar.
+ * @param {Array<string>} lines - Content lines
+ * @returns {string} .ics content
+ */
+function calendar(...lines) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Test//EN', ...lines, 'END:VCALENDAR'].join('\r\n');
+}
+
+/**
+ * Builds a series master as normalizeEvent returns it from a raw Graph event.
+ */
+function seriesMaster(normalizeEvent, overrides = {}) {
+  return normalizeEvent({
+    id: 'master-1',
+    iCalUId: 'uid-series',
+    type: 'seriesMaster',
+    subject: 'Standup',
+    start: { dateTime: '2030-03-25T09:00:00.0000000', timeZone: 'W. Europe Standard Time' },
+    end: { dateTime: '2030-03-25T09:15:00.0000000', timeZone: 'W. Europe Standard Time' },
+    recurrence: {
+      pattern: { type: 'weekly', interval: 1, daysOfWeek: ['monday', 'wednesday'], firstDayOfWeek: 'monday' },
+      range: { type: 'endDate', startDate: '2030-03-25', endDate: '2030-04-30', recurrenceTimeZone: 'W. Europe Standard Time' }
+    },
+    ...overrides
+  });
+}
+
+// Test suite for iCalendar export and import
+async function runTests() {
+  console.log('Running iCalendar Round-Trip Tests');
+  console.log('----------------------------------------');
+
+  let passCount = 0;
+  let failCount = 0;
+
+  const check = async (name, fn) => {
+    try {
+      await fn();
+      console.log(`✅ PASS: ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`❌ FAIL: ${name}: ${error.message}`);
+      failCount++;
+    }
+  };
+
+  const standIn = await createGraphStandIn();
+
+  // The Graph base URL is read when the client module loads, so set it first
+  process.env.MICROSOFT_GRAPH_BASE_URL = standIn.baseUrl;
+  const graphClientFactory = require('../src/graph/graph-client.cjs');
+  const { normalizeEvent } = require('../src/graph/normalizers.cjs');
+  const icsService = require('../src/graph/ics-service.cjs');
+
+  // Use an unauthenticated client against the stand-in
+  graphClientFactory.createClient = async () => new graphClientFactory.GraphClient('stand-in-token');
+
+  // Imports a file and returns the import result with the Graph requests it made
+  const importFile = async (content, options = {}) => {
+    standIn.state.requests = [];
+    const result = await icsService.importEvents({ content, timeZone: 'UTC', ...options });
+    return { result, requests: standIn.state.requests };
+  };
+  const createdEvents = requests => requests.filter(request => request.method === 'POST').map(request => request.body);
+  const unfold = content => content.replace(/\r\n /g, '').split('\r\n');
+
+  // Test 1: A series is written with local times, an RRULE whose UNTIL is in UTC, and its time zone
+  await check('Series export writes TZID times, RRULE and UNTIL in UTC', () => {
+    const lines = unfold(icsService.serializeEvents([seriesMaster(normalizeEvent)]));
+    assert.ok(lines.includes('DTSTART;TZID=Europe/Berlin:20300325T090000'), 'Start should be local time in the series time zone');
+    // End of 30 April in Berlin (UTC+2) is 21:59:59 UTC
+    assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=MO,WE;WKST=MO;UNTIL=20300430T215959Z'), 'RRULE should end at the last local day');
+    assert.ok(lines.includes('TZID:Europe/Berlin'), 'The series time zone should be defined');
+  });
+
+  // Test 2: VTIMEZONE rules follow each zone's daylight saving transitions
+  await check('VTIMEZONE has the zone\'s daylight saving transitions', () => {
+    const berlin = unfold(icsService.serializeEvents([seriesMaster(normalizeEvent)]));
+    const daylight = berlin.slice(berlin.indexOf('BEGIN:DAYLIGHT'), berlin.indexOf('END:DAYLIGHT'));
+    const standard = berlin.slice(berlin.indexOf('BEGIN:STANDARD'), berlin.indexOf('END:STANDARD'));
+    assert.deepStrictEqual(daylight.slice(1), ['DTSTART:20290325T020000', 'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0200']);
+    assert.deepStrictEqual(standard.slice(1), ['DTSTART:20291028T030000', 'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU', 'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0100']);
+
+    const newYork = unfold(icsService.serializeEvents([seriesMaster(normalizeEvent, {
+      start: { dateTime: '2030-03-25T09:00:00', timeZone: 'Eastern Standard Time' },
+      end: { dateTime: '2030-03-25T09:15:00', timeZone: 'Eastern Standard Time' },
+      recurrence: { pattern: { type: 'daily', interval: 1 }, range: { type: 'noEnd', startDate: '2030-03-25' } }
+    })]));
+    assert.ok(newYork.includes('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU'), 'US daylight time starts on the second Sunday of March');
+    assert.ok(newYork.includes('RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU'), 'US standard time starts on the first Sunday of November');
+
+    const tokyo = unfold(icsService.serializeEvents([seriesMaster(normalizeEvent, {
+      start: { dateTime: '2030-03-25T09:00:00', timeZone: 'Asia/Tokyo' },
+      end: { dateTime: '2030-03-25T09:15:00', timeZone: 'Asia/Tokyo' },
+      recurrence: { pattern: { type: 'daily', interval: 1 }, range: { type: 'noEnd', startDate: '2030-03-25' } }
+    })]));
+    assert.ok(!tokyo.includes('BEGIN:DAYLIGHT'), 'A zone without daylight saving has no DAYLIGHT rule');
+    assert.ok(tokyo.includes('TZOFFSETFROM:+0900') && tokyo.includes('TZOFFSETTO:+0900'), 'A fixed zone has a single +0900 observance');
+  });
+
+  // Test 3: Exported recurrences come back unchanged when the file is imported
+  await check('Recurrence patterns and ranges survive export and import', async () => {
+    const recurrences = [
+      {
+        pattern: { type: 'weekly', interval: 1, daysOfWeek: ['monday', 'wednesday'], firstDayOfWeek: 'monday' },
+        range: { type: 'endDate', startDate: '2030-03-25', endDate: '2030-04-30', recurrenceTimeZone: 'Europe/Berlin' }
+      },
+      {
+        pattern: { type: 'relativeMonthly', interval: 2, daysOfWeek: ['friday'], index: 'last' },
+        range: { type: 'numbered', startDate: '2030-03-25', numberOfOccurrences: 5, recurrenceTimeZone: 'Europe/Berlin' }
+      },
+      {
+        pattern: { type: 'absoluteYearly', interval: 1, dayOfMonth: 25, month: 3 },
+        range: { type: 'noEnd', startDate: '2030-03-25', recurrenceTimeZone: 'Europe/Berlin' }
+      },
+      {
+        pattern: { type: 'relativeYearly', interval: 1, daysOfWeek: ['thursday'], index: 'fourth', month: 11 },
+        range: { type: 'numbered', startDate: '2030-03-25', numberOfOccurrences: 3, recurrenceTimeZone: 'Europe/Berlin' }
+      }
+    ];
+    for (const recurrence of recurrences) {
+      const content = icsService.serializeEvents([seriesMaster(normalizeEvent, { recurrence })]);
+      const { result, requests } = await importFile(content);
+      assert.deepStrictEqual(result.warnings, [], `${recurrence.pattern.type} should import without warnings`);
+      const [created] = createdEvents(requests);
+      assert.deepStrictEqual(created.recurrence, recurrence, `${recurrence.pattern.type} should round-trip`);
+      assert.deepStrictEqual(created.start, { dateTime: '2030-03-25T09:00:00', timeZone: 'Europe/Berlin' }, 'Start should keep its local time');
+    }
+  });
+
+  // Test 4: UNTIL as a date or as a UTC time that falls on the next day in UTC
+  await check('UNTIL ends the series on the local date', async () => {
+    const { requests } = await importFile(calendar(
+      'BEGIN:VEVENT', 'UID:until-utc', 'DTSTART;TZID=America/New_York:20300401T200000', 'DTEND;TZID=America/New_York:20300401T210000',
+      'RRULE:FREQ=DAILY;UNTIL=20300411T000000Z', 'SUMMARY:Evening', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:until-date', 'DTSTART;VALUE=DATE:20300401', 'DTEND;VALUE=DATE:20300402',
+      'RRULE:FREQ=WEEKLY;UNTIL=20300429', 'SUMMARY:All day', 'END:VEVENT'
+    ));
+    const [evening, allDay] = createdEvents(requests);
+    assert.strictEqual(evening.recurrence.range.endDate, '2030-04-10', 'Midnight UTC is still the previous evening in New York');
+    assert.strictEqual(evening.recurrence.range.recurrenceTimeZone, 'America/New_York', 'Series should keep its time zone');
+    assert.strictEqual(allDay.recurrence.range.endDate, '2030-04-29', 'A date UNTIL is the last date');
+    assert.deepStrictEqual(allDay.recurrence.pattern.daysOfWeek, ['monday'], 'A weekly rule without BYDAY repeats on the start weekday');
+  });
+
+  // Test 5: COUNT, ordinal BYDAY and rules Outlook cannot express
+  await check('RRULE parts map to Graph patterns or are reported', async () => {
+    const { result, requests } = await importFile(calendar(
+      'BEGIN:VEVENT', 'UID:count', 'DTSTART:20300402T090000Z', 'DTEND:20300402T100000Z',
+      'RRULE:FREQ=MONTHLY;BYDAY=1TU;COUNT=6', 'SUMMARY:Monthly', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:weekdays', 'DTSTART:20300401T090000Z', 'DTEND:20300401T100000Z',
+      'RRULE:FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR', 'SUMMARY:Weekdays', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:hourly', 'DTSTART:20300401T090000Z', 'DTEND:20300401T100000Z',
+      'RRULE:FREQ=DAILY;BYHOUR=9,15', 'SUMMARY:Twice a day', 'END:VEVENT'
+    ));
+    const [monthly, weekdays, hourly] = createdEvents(requests);
+    assert.deepStrictEqual(monthly.recurrence.pattern, { interval: 1, type: 'relativeMonthly', daysOfWeek: ['tuesday'], index: 'first' });
+    assert.deepStrictEqual(monthly.recurrence.range, { type: 'numbered', startDate: '2030-04-02', recurrenceTimeZone: 'UTC', numberOfOccurrences: 6 });
+    assert.strictEqual(weekdays.recurrence.pattern.type, 'weekly', 'Daily on weekdays becomes a weekly pattern');
+    assert.strictEqual(weekdays.recurrence.pattern.daysOfWeek.length, 5, 'All five weekdays should be kept');
+    assert.strictEqual(hourly.recurrence, undefined, 'An unsupported rule imports only the first occurrence');
+    assert.ok(result.warnings.some(warning => warning.includes('Twice a day')), 'The unsupported rule should be reported');
+  });
+
+  // Test 6: Windows names, vendor prefixes and X-LIC-LOCATION resolve to IANA zones
+  await check('TZID values resolve to time zones Graph accepts', async () => {
+    const { result, requests } = await importFile(calendar(
+      'BEGIN:VTIMEZONE', 'TZID:Custom Zone 1', 'X-LIC-LOCATION:Asia/Tokyo', 'END:VTIMEZONE',
+      'BEGIN:VEVENT', 'UID:windows', 'DTSTART;TZID=W. Europe Standard Time:20300401T090000', 'DTEND;TZID=W. Europe Standard Time:20300401T100000', 'SUMMARY:Windows', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:prefixed', 'DTSTART;TZID=/citadel.org/20190914_1/America/Chicago:20300401T090000', 'DTEND;TZID=/citadel.org/20190914_1/America/Chicago:20300401T100000', 'SUMMARY:Prefixed', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:location', 'DTSTART;TZID="Custom Zone 1":20300401T090000', 'DTEND;TZID="Custom Zone 1":20300401T100000', 'SUMMARY:Location', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:floating', 'DTSTART:20300401T090000', 'DTEND:20300401T100000', 'SUMMARY:Floating', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:unknown', 'DTSTART;TZID=Mars Standard Time:20300401T090000', 'DTEND;TZID=Mars Standard Time:20300401T100000', 'SUMMARY:Unknown', 'END:VEVENT'
+    ), { timeZone: 'Europe/London' });
+    assert.deepStrictEqual(createdEvents(requests).map(event => event.start.timeZone),
+      ['Europe/Berlin', 'America/Chicago', 'Asia/Tokyo', 'Europe/London', 'UTC']);
+    assert.deepStrictEqual(result.warnings, ['Unknown time zone "Mars Standard Time"; its times were read as UTC']);
+  });
+
+  // Test 7: Edited occurrences are patched and EXDATEs deleted, in the mailbox the series was created in
+  await check('RECURRENCE-ID overrides and EXDATEs are applied to the new series', async () => {
+    const exception = normalizeEvent({
+      id: 'exception-1',
+      type: 'exception',
+      seriesMasterId: 'master-1',
+      subject: 'Standup (moved)',
+      // 09:00 in Berlin before daylight saving starts
+      originalStart: '2030-03-27T08:00:00Z',
+      start: { dateTime: '2030-03-27T09:30:00', timeZone: 'UTC' },
+      end: { dateTime: '2030-03-27T09:45:00', timeZone: 'UTC' }
+    });
+    const exported = icsService.serializeEvents([seriesMaster(normalizeEvent), exception]);
+    assert.ok(unfold(exported).includes('RECURRENCE-ID;TZID=Europe/Berlin:20300327T090000'), 'Override should point at the original local start');
+
+    // An EXDATE added by another calendar system removes two more occurrences
+    const content = exported.replace('SUMMARY:Standup\r\n', 'SUMMARY:Standup\r\nEXDATE;TZID=Europe/Berlin:20300401T090000,20300403T090000\r\n');
+    const { result, requests } = await importFile(content, { mailbox: 'team@example.com' });
+    assert.strictEqual(result.imported.length, 1, 'The override should not be imported as its own event');
+    assert.deepStrictEqual(requests.filter(request => request.method !== 'GET').map(request => `${request.method} ${request.path}`), [
+      'POST /users/team@example.com/events',
+      'DELETE /users/team@example.com/events/occ-2030-04-01T07:00:00Z',
+      'DELETE /users/team@example.com/events/occ-2030-04-03T07:00:00Z',
+      'PATCH /users/team@example.com/events/occ-2030-03-27T08:00:00Z'
+    ]);
+    assert.ok(requests.filter(request => request.method === 'GET').every(request => /^\/users\/team@example\.com\/events\/created-\d+\/instances$/.test(request.path)),
+      'Occurrences should be looked up in the same mailbox');
+    assert.strictEqual(requests[requests.length - 1].body.subject, 'Standup (moved)', 'Override should carry its own subject');
+  });
+
+  // Test 8: Changes without a matching occurrence are reported instead of failing the import
+  await check('Missing occurrences are reported as warnings', async () => {
+    standIn.state.missingOccurrences = true;
+    try {
+      const { result } = await importFile(calendar(
+        'BEGIN:VEVENT', 'UID:gone', 'DTSTART:20300401T090000Z', 'DTEND:20300401T100000Z',
+        'RRULE:FREQ=DAILY;COUNT=3', 'EXDATE:20300409T090000Z', 'SUMMARY:Short', 'END:VEVENT'
+      ));
+      assert.strictEqual(result.imported.length, 1, 'The series should still be imported');
+      assert.ok(result.warnings[0].includes('has no occurrence on 2030-04-09T09:00:00'), 'The skipped change should be reported');
+    } finally {
+      standIn.state.missingOccurrences = false;
+    }
+  });
+
+  // Test 9: Long lines are folded at 75 octets and special characters escaped and restored
+  await check('Folding and escaping round-trip text exactly', async () => {
+    const subject = 'Quarterly review; budget, hiring \\ roadmap — Überprüfung der Ergebnisse 📅 mit allen Teams und Partnern';
+    const body = 'First line\nSecond line, with commas; and semicolons';
+    const content = icsService.serializeEvents([normalizeEvent({
+      id: 'single-1',
+      subject,
+      body: { contentType: 'text', content: body },
+      start: { dateTime: '2030-04-01T09:00:00', timeZone: 'UTC' },
+      end: { dateTime: '2030-04-01T10:00:00', timeZone: 'UTC' }
+    })]);
+    const lines = content.split('\r\n');
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75), 'No line should exceed 75 octets');
+    assert.ok(lines.some(line => line.startsWith(' ')), 'The long summary should be folded');
+    assert.ok(unfold(content).includes('DESCRIPTION:First line\\nSecond line\\, with commas\\; and semicolons'), 'Description should be escaped');
+
+    const { requests } = await importFile(content);
+    const [created] = createdEvents(requests);
+    assert.strictEqual(created.subject, subject, 'Subject should survive folding and escaping');
+    assert.strictEqual(created.body.content, body, 'Description should survive escaping');
+  });
+
+  // Test 10: Events without categories or attendees, and patterns iCalendar cannot express
+  await check('Incomplete events export without failing', () => {
+    const content = icsService.serializeEvents([{
+      id: 'raw-1',
+      eventType: 'seriesMaster',
+      subject: 'Raw',
+      start: { dateTime: '2030-04-01T09:00:00', timeZone: 'UTC' },
+      end: { dateTime: '2030-04-01T10:00:00', timeZone: 'UTC' },
+      recurrence: { pattern: { type: 'relativeMonthly', interval: 1, index: 'first' }, range: { type: 'noEnd', startDate: '2030-04-01' } }
+    }]);
+    const lines = unfold(content);
+    assert.ok(lines.includes('SUMMARY:Raw'), 'The event should be exported');
+    assert.ok(!lines.some(line => line.startsWith('RRULE') || line.startsWith('CATEGORIES') || line.startsWith('ATTENDEE')),
+      'No RRULE without weekdays, and no empty categories or attendees');
+  });
+
+  standIn.server.close();
+
+  // Summary
+  console.log('\nTest Summary:');
+  console.log(`✅ Passed: ${passCount}`);
+  console.log(`❌ Failed: ${failCount}`);
+  console.log('----------------------------------------');
+
+  return failCount === 0;
+}
+
+// Run the tests
+runTests()
+  .then(success => {
+    if (success) {
+      console.log('All tests passed! 🎉');
+      process.exit(0);
+    } else {
+      console.error('Some tests failed! 😢');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('Test execution error:', error);
+    process.exit(1);
+  });
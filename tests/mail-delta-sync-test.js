@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Test script for incremental mail sync (Graph delta queries).
+ * Runs MailService.getMailChanges against a local Graph stand-in that serves
+ * delta pages, with sync state kept in memory instead of the database.
+ */
+
+const http = require('http');
+const assert = require('assert');
+
+// Reduce service console output so test results stay readable
+process.env.MCP_SILENT_MODE = 'true';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const standInMessages = {
+  'msg-1': { id: 'msg-1', subject: 'Welcome', isRead: true },
+  'msg-2': { id: 'msg-2', subject: 'Budget review', isRead: false },
+  'msg-3': { id: 'msg-3', subject: 'Lunch?', isRead: false }
+};
+
+/**
+ * Local Graph stand-in. Each delta token maps to one response page; links point back at this server.
+ */
+function createGraphStandIn() {
+  const requests = [];
+  let baseUrl = '';
+  const oldDate = new Date(Date.now() - 30 * DAY_MS).toISOString();
+
+  const pages = {
+    // Initial sync: two pages then a delta link
+    initial: () => ({
+      value: [
+        { ...standInMessages['msg-1'], createdDateTime: oldDate },
+        { ...standInMessages['msg-2'], createdDateTime: oldDate }
+      ],
+      '@odata.nextLink': `${baseUrl}/me/mailFolders/inbox/messages/delta?$skiptoken=page2`
+    }),
+    page2: () => ({
+      value: [{ ...standInMessages['msg-3'], createdDateTime: oldDate }],
+      '@odata.deltaLink': `${baseUrl}/me/mailFolders/inbox/messages/delta?$deltatoken=token1`
+    }),
+    // One new message, one read-state change and one deletion since the baseline
+    token1: () => ({
+      value: [
+        { id: 'msg-4', subject: 'New proposal', isRead: false, createdDateTime: new Date(Date.now() + 1000).toISOString() },
+        { ...standInMessages['msg-2'], isRead: true, createdDateTime: oldDate },
+        { id: 'msg-3', '@removed': { reason: 'deleted' } }
+      ],
+      '@odata.deltaLink': `${baseUrl}/me/mailFolders/inbox/messages/delta?$deltatoken=token2`
+    }),
+    token2: () => ({
+      value: [],
+      '@odata.deltaLink': `${baseUrl}/me/mailFolders/inbox/messages/delta?$deltatoken=token2`
+    })
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, baseUrl);
+    requests.push({ path: url.pathname, query: url.searchParams, prefer: req.headers.prefer });
+
+    const token = url.searchParams.get('$deltatoken') || url.searchParams.get('$skiptoken') || 'initial';
+    if (!url.pathname.endsWith('/messages/delta')) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { code: 'NotFound', message: 'Unknown path' } }));
+      return;
+    }
+    if (token === 'expired') {
+      res.writeHead(410, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { code: 'SyncStateNotFound', message: 'The sync state is no longer valid' } }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(pages[token]()));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, baseUrl, requests });
+    });
+  });
+}
+
+// Test suite for mail delta sync
+async function runTests() {
+  console.log('Running Mail Delta Sync Tests');
+  console.log('----------------------------------------');
+
+  let passCount = 0;
+  let failCount = 0;
+
+  const standIn = await createGraphStandIn();
+
+  // The Graph base URL is read when the client module loads, so set it first
+  process.env.MICROSOFT_GRAPH_BASE_URL = standIn.baseUrl;
+  const graphClientFactory = require('../src/graph/graph-client.cjs');
+  const storageService = require('../src/core/storage-service.cjs');
+  const mailService = require('../src/graph/mail-service.cjs');
+
+  // Use an unauthenticated client against the stand-in and keep sync state in memory
+  const settings = new Map();
+  graphClientFactory.createClient = async () => new graphClientFactory.GraphClient('stand-in-token');
+  storageService.getSetting = async (key, userId) => settings.get(`${userId}|${key}`) || null;
+  storageService.setSetting = async (key, value, userId) => { settings.set(`${userId}|${key}`, value); };
+
+  const userId = 'delta-test-user';
+
+  // Test 1: First sync establishes the baseline across all delta pages
+  try {
+    const result = await mailService.getMailChanges('inbox', {}, null, userId);
+    assert.strictEqual(result.isInitialSync, true, 'First sync should be the initial sync');
+    assert.deepStrictEqual(result.added.map(m => m.id), ['msg-1', 'msg-2', 'msg-3'], 'All messages should be reported as added');
+    assert.strictEqual(result.hasMore, false, 'Initial sync should complete');
+    assert.ok(settings.get(`${userId}|mail-delta:inbox`).deltaLink.includes('token1'), 'Delta link should be stored');
+    assert.ok(standIn.requests[0].prefer.includes('odata.maxpagesize'), 'Page size preference should be sent');
+    console.log('✅ PASS: Initial sync walks every page and stores the delta link');
+    passCount++;
+  } catch (error) {
+    console.error(`❌ FAIL: Initial sync test failed: ${error.message}`);
+    failCount++;
+  }
+
+  // Test 2: Next sync returns only what changed since the baseline
+  try {
+    const result = await mailService.getMailChanges('inbox', {}, null, userId);
+    assert.strictEqual(result.isInitialSync, false, 'Second sync should be incremental');
+    assert.deepStrictEqual(result.added.map(m => m.id), ['msg-4'], 'Only the new message should be added');
+    assert.deepStrictEqual(result.changed.map(m => m.id), ['msg-2'], 'The read message should be changed');
+    assert.strictEqual(result.changed[0].isRead, true, 'Changed message should carry its new state');
+    assert.deepStrictEqual(result.removed, [{ id: 'msg-3', reason: 'deleted' }], 'Deleted message should be removed');
+    console.log('✅ PASS: Incremental sync reports added, changed and removed messages');
+    passCount++;
+  } catch (error) {
+    console.error(`❌ FAIL: Incremental sync test failed: ${error.message}`);
+    failCount++;
+  }
+
+  // Test 3: Nothing new means an empty change set
+  try {
+    const result = await mailService.getMailChanges('Inbox', {}, null, userId);
+    assert.strictEqual(result.added.length + result.changed.length + result.removed.length, 0, 'No changes expected');
+    console.log('✅ PASS: Sync with no changes returns empty lists');
+    passCount++;
+  } catch (error) {
+    console.error(`❌ FAIL: Empty sync test failed: ${error.message}`);
+    failCount++;
+  }
+
+  // Test 4: Page limit stops early and the next call resumes the same baseline
+  try {
+    const result = await mailService.getMailChanges('inbox', { reset: true, maxPages: 1 }, null, 'paged-user');
+    assert.strictEqual(result.hasMore, true, 'Sync should report more pages');
+    assert.strictEqual(result.added.length, 2, 'First page should return two messages');
+
+    const resumed = await mailService.getMailChanges('inbox', {}, null, 'paged-user');
+    assert.strictEqual(resumed.isInitialSync, true, 'Resumed sync should still be part of the baseline');
+    assert.deepStrictEqual(resumed.added.map(m => m.id), ['msg-3'], 'Resumed sync should return the remaining page');
+    assert.strictEqual(resumed.hasMore, false, 'Resumed sync should complete');
+    console.log('✅ PASS: Page limit resumes from the stored next link');
+    passCount++;
+  } catch (error) {
+    console.error(`❌ FAIL: Page limit test failed: ${error.message}`);
+    failCount++;
+  }
+
+  // Test 5: An expired delta token falls back to a full resync
+  try {
+    settings.set('expired-user|mail-delta:inbox', {
+      deltaLink: `${standIn.baseUrl}/me/mailFolders/inbox/messages/delta?$deltatoken=expired`,
+      lastSyncedAt: new Date().toISOString()
+    });
+    const result = await mailService.getMailChanges('inbox', {}, null, 'expired-user');
+    assert.strictEqual(result.isInitialSync, true, 'Expired token should trigger a new baseline');
+    assert.strictEqual(result.added.length, 3, 'Full resync should return every message');
+    assert.ok(settings.get('expired-user|mail-delta:inbox').deltaLink.includes('token1'), 'Fresh delta link should be stored');
+    console.log('✅ PASS: Expired delta token triggers a full resync');
+    passCount++;
+  } catch (error) {
+    console.error(`❌ FAIL: Expired token test failed: ${error.message}`);
+    failCount++;
+  }
+
+  standIn.server.close();
+
+  // Summary
+  console.log('\nTest Summary:');
+  console.log(`✅ Passed: ${passCount}`);
+  console.log(`❌ Failed: ${failCount}`);
+  console.log('----------------------------------------');
+
+  return failCount === 0;
+}
+
+// Run the tests
+runTests()
+  .then(success => {
+    if (success) {
+      console.log('All tests passed! 🎉');
+      process.exit(0);
+    } else {
+      console.error('Some tests failed! 😢');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('Test execution error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Test script for the schedule planner slot math.
+ * Working windows, focus time blocks and travel buffers are planned from fixed
+ * inputs, so no Graph stand-in is needed and every expected time is exact.
+ */
+
+const assert = require('assert');
+
+// Reduce service console output so test results stay readable
+process.env.MCP_SILENT_MODE = 'true';
+
+const planner = require('../src/graph/schedule-planner.cjs');
+
+const TIME_ZONE = 'America/Los_Angeles';
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+const at = iso => Date.parse(iso);
+const span = (start, end) => ({ start: at(start), end: at(end) });
+const toIso = interval => ({ start: new Date(interval.start).toISOString(), end: new Date(interval.end).toISOString() });
+
+// Test suite for the schedule planner
+async function runTests() {
+  console.log('Running Schedule Planner Tests');
+  console.log('----------------------------------------');
+
+  let passCount = 0;
+  let failCount = 0;
+
+  const check = (name, fn) => {
+    try {
+      fn();
+      console.log(`✅ PASS: ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`❌ FAIL: ${name}: ${error.message}`);
+      failCount++;
+    }
+  };
+
+  // Test 1: Graph and plain time-of-day formats
+  check('Times of day are parsed from Graph and plain formats', () => {
+    assert.strictEqual(planner.parseTimeOfDay('08:30:00.0000000'), 510);
+    assert.strictEqual(planner.parseTimeOfDay('17:00'), 1020);
+    assert.strictEqual(planner.parseTimeOfDay('24:00'), 1440);
+    assert.strictEqual(planner.parseTimeOfDay('25:00'), null);
+    assert.strictEqual(planner.parseTimeOfDay('noon'), null);
+  });
+
+  // Test 2: Working windows follow the working days and the time zone, across a DST change
+  check('Working windows follow working days and daylight saving time', () => {
+    const windows = planner.buildWorkingWindows(
+      { daysOfWeek: ['Friday', 'monday'], startTime: '09:00:00.0000000', endTime: '17:00:00.0000000', timeZone: TIME_ZONE },
+      at('2026-10-30T00:00:00Z'),
+      at('2026-11-03T00:00:00Z')
+    );
+    // Daylight saving time ends on 1 November, so 09:00 moves from 16:00Z to 17:00Z
+    assert.deepStrictEqual(windows.map(toIso), [
+      { start: '2026-10-30T16:00:00.000Z', end: '2026-10-31T00:00:00.000Z' },
+      { start: '2026-11-02T17:00:00.000Z', end: '2026-11-03T00:00:00.000Z' }
+    ]);
+    assert.deepStrictEqual(windows.map(window => [window.date, window.weekStart]), [
+      ['2026-10-30', '2026-10-26'],
+      ['2026-11-02', '2026-11-02']
+    ]);
+  });
+
+  // Test 3: Overnight working hours run into the next day
+  check('Working hours ending before they start run past midnight', () => {
+    const windows = planner.buildWorkingWindows(
+      { daysOfWeek: ['friday'], startTime: '22:00', endTime: '06:00', timeZone: 'UTC' },
+      at('2026-10-23T00:00:00Z'),
+      at('2026-10-26T00:00:00Z')
+    );
+    assert.deepStrictEqual(windows.map(toIso), [{ start: '2026-10-23T22:00:00.000Z', end: '2026-10-24T06:00:00.000Z' }]);
+  });
+
+  // Test 4: Busy time is cut out of windows
+  check('Busy time is merged and removed from windows', () => {
+    const free = planner.subtractIntervals(
+      [{ ...span('2026-10-19T09:00:00Z', '2026-10-19T17:00:00Z'), date: '2026-10-19' }],
+      [span('2026-10-19T11:00:00Z', '2026-10-19T12:00:00Z'), span('2026-10-19T11:30:00Z', '2026-10-19T13:00:00Z'), span('2026-10-19T08:00:00Z', '2026-10-19T09:30:00Z')]
+    );
+    assert.deepStrictEqual(free.map(toIso), [
+      { start: '2026-10-19T09:30:00.000Z', end: '2026-10-19T11:00:00.000Z' },
+      { start: '2026-10-19T13:00:00.000Z', end: '2026-10-19T17:00:00.000Z' }
+    ]);
+    assert.strictEqual(free[0].date, '2026-10-19', 'Free pieces should keep their window fields');
+  });
+
+  const utcWeek = planner.buildWorkingWindows(
+    { daysOfWeek: WEEKDAYS, startTime: '09:00', endTime: '17:00', timeZone: 'UTC' },
+    at('2026-10-19T00:00:00Z'),
+    at('2026-10-24T00:00:00Z')
+  );
+
+  // Test 5: Focus time is spread over the week, one block per day first
+  check('Focus blocks are spread across working days, earliest free time first', () => {
+    const plan = planner.planFocusBlocks({
+      windows: utcWeek,
+      busy: [span('2026-10-19T09:00:00Z', '2026-10-19T09:50:00Z'), span('2026-10-20T09:00:00Z', '2026-10-20T17:00:00Z')],
+      targetMinutes: 480,
+      timeZone: 'UTC'
+    });
+    assert.deepStrictEqual(plan.blocks.map(toIso), [
+      // Starts on the next quarter hour after the 09:50 meeting
+      { start: '2026-10-19T10:00:00.000Z', end: '2026-10-19T12:00:00.000Z' },
+      { start: '2026-10-21T09:00:00.000Z', end: '2026-10-21T11:00:00.000Z' },
+      { start: '2026-10-22T09:00:00.000Z', end: '2026-10-22T11:00:00.000Z' },
+      { start: '2026-10-23T09:00:00.000Z', end: '2026-10-23T11:00:00.000Z' }
+    ]);
+    assert.deepStrictEqual(plan.weeks, [
+      { weekStart: '2026-10-19', targetMinutes: 480, existingMinutes: 0, plannedMinutes: 480, shortfallMinutes: 0 }
+    ]);
+  });
+
+  // Test 6: Existing focus time counts, the target is never exceeded and same-day blocks keep a gap
+  check('Existing focus counts toward the target and later blocks keep their distance', () => {
+    const oneDay = utcWeek.filter(window => window.date === '2026-10-19');
+    const plan = planner.planFocusBlocks({
+      windows: oneDay,
+      existingFocus: [span('2026-10-19T09:00:00Z', '2026-10-19T10:00:00Z')],
+      targetMinutes: 280,
+      timeZone: 'UTC'
+    });
+    assert.deepStrictEqual(plan.blocks.map(toIso), [
+      { start: '2026-10-19T10:30:00.000Z', end: '2026-10-19T12:30:00.000Z' },
+      { start: '2026-10-19T13:00:00.000Z', end: '2026-10-19T14:30:00.000Z' }
+    ]);
+    // 280 - 60 existing = 220: 120 + 90 booked, and the last 10 minutes are below a minimum block
+    assert.deepStrictEqual(plan.weeks[0], { weekStart: '2026-10-19', targetMinutes: 280, existingMinutes: 60, plannedMinutes: 210, shortfallMinutes: 10 });
+  });
+
+  // Test 7: A full calendar reports the shortfall instead of squeezing in short blocks
+  check('Weeks without room report a shortfall', () => {
+    const plan = planner.planFocusBlocks({
+      windows: utcWeek,
+      busy: utcWeek.map(window => ({ start: window.start + 30 * 60000, end: window.end })),
+      targetMinutes: 240,
+      timeZone: 'UTC'
+    });
+    assert.strictEqual(plan.blocks.length, 0, 'Half-hour gaps are below the one-hour minimum');
+    assert.strictEqual(plan.weeks[0].shortfallMinutes, 240);
+  });
+
+  // Test 8: Planning is deterministic
+  check('The same input gives the same plan', () => {
+    const input = { windows: utcWeek, busy: [span('2026-10-21T10:00:00Z', '2026-10-21T11:15:00Z')], targetMinutes: 600, minBlockMinutes: 45, maxBlockMinutes: 90, timeZone: 'UTC' };
+    assert.deepStrictEqual(planner.planFocusBlocks(input), planner.planFocusBlocks({ ...input, busy: [...input.busy] }));
+  });
+
+  // Test 9: In-person meetings are told apart from online and all-day events
+  check('Only meetings at a physical location need travel', () => {
+    assert.strictEqual(planner.isInPersonMeeting({ location: { displayName: 'HQ Room 4' }, showAs: 'busy' }), true);
+    assert.strictEqual(planner.isInPersonMeeting({ location: { displayName: 'Microsoft Teams Meeting' }, showAs: 'busy' }), false);
+    assert.strictEqual(planner.isInPersonMeeting({ location: { displayName: 'https://zoom.us/j/1' } }), false);
+    assert.strictEqual(planner.isInPersonMeeting({ location: { displayName: 'HQ' }, isOnlineMeeting: true }), false);
+    assert.strictEqual(planner.isInPersonMeeting({ location: { displayName: 'HQ' }, isAllDay: true }), false);
+    assert.strictEqual(planner.isInPersonMeeting({ location: { displayName: 'HQ' }, responseStatus: { response: 'declined' } }), false);
+    assert.strictEqual(planner.isInPersonMeeting({ location: { displayName: '' } }), false);
+  });
+
+  // Test 10: Travel buffers are trimmed around commitments and back-to-back meetings
+  check('Travel buffers avoid commitments and each other', () => {
+    const meetings = [
+      { id: 'm2', subject: 'Coffee', location: 'Cafe', ...span('2026-10-22T11:20:00Z', '2026-10-22T12:00:00Z') },
+      { id: 'm1', subject: 'Client visit', location: 'HQ', ...span('2026-10-22T10:00:00Z', '2026-10-22T11:00:00Z') }
+    ];
+    const plan = planner.planTravelBuffers({
+      meetings,
+      busy: [span('2026-10-22T09:00:00Z', '2026-10-22T09:45:00Z'), ...meetings],
+      beforeMinutes: 30,
+      afterMinutes: 30
+    });
+    assert.deepStrictEqual(plan.buffers.map(buffer => ({ meetingId: buffer.meetingId, side: buffer.side, ...toIso(buffer), trimmed: buffer.trimmed })), [
+      { meetingId: 'm1', side: 'before', start: '2026-10-22T09:45:00.000Z', end: '2026-10-22T10:00:00.000Z', trimmed: true },
+      { meetingId: 'm1', side: 'after', start: '2026-10-22T11:00:00.000Z', end: '2026-10-22T11:20:00.000Z', trimmed: true },
+      { meetingId: 'm2', side: 'after', start: '2026-10-22T12:00:00.000Z', end: '2026-10-22T12:30:00.000Z', trimmed: false }
+    ]);
+    assert.deepStrictEqual(plan.skipped, [{ meetingId: 'm2', subject: 'Coffee', side: 'before', reason: 'noRoom' }]);
+  });
+
+  // Test 11: Meetings that already have travel booked are left alone
+  check('Existing travel buffers are not booked twice', () => {
+    const meeting = { id: 'm1', subject: 'Client visit', location: 'HQ', ...span('2026-10-22T10:00:00Z', '2026-10-22T11:00:00Z') };
+    const plan = planner.planTravelBuffers({
+      meetings: [meeting],
+      busy: [meeting],
+      existingBuffers: [span('2026-10-22T09:30:00Z', '2026-10-22T10:00:00Z')],
+      beforeMinutes: 30,
+      afterMinutes: 15
+    });
+    assert.deepStrictEqual(plan.buffers.map(buffer => buffer.side), ['after']);
+    assert.deepStrictEqual(plan.skipped.map(entry => [entry.side, entry.reason]), [['before', 'alreadyScheduled']]);
+  });
+
+  // Test 12: Bad input is rejected as a validation warning
+  check('Invalid working hours and targets are rejected', () => {
+    const expectWarning = fn => assert.throws(fn, error => error.severity === 'warning');
+    expectWarning(() => planner.buildWorkingWindows({ daysOfWeek: ['funday'], startTime: '09:00', endTime: '17:00', timeZone: 'UTC' }, 0, 1));
+    expectWarning(() => planner.buildWorkingWindows({ daysOfWeek: WEEKDAYS, startTime: '09:00', endTime: '09:00', timeZone: 'UTC' }, 0, 1));
+    expectWarning(() => planner.buildWorkingWindows({ daysOfWeek: WEEKDAYS, startTime: '09:00', endTime: '17:00', timeZone: 'Nowhere/Special' }, 0, 1));
+    expectWarning(() => planner.planFocusBlocks({ windows: utcWeek, targetMinutes: 0, timeZone: 'UTC' }));
+    expectWarning(() => planner.planFocusBlocks({ windows: utcWeek, targetMinutes: 60, minBlockMinutes: 90, maxBlockMinutes: 60, timeZone: 'UTC' }));
+    expectWarning(() => planner.planTravelBuffers({ meetings: [], beforeMinutes: -5 }));
+  });
+
+  // Summary
+  console.log('\nTest Summary:');
+  console.log(`✅ Passed: ${passCount}`);
+  console.log(`❌ Failed: ${failCount}`);
+  console.log('----------------------------------------');
+
+  return failCount === 0;
+}
+
+// Run the tests
+runTests()
+  .then(success => {
+    if (success) {
+      console.log('All tests passed! 🎉');
+      process.exit(0);
+    } else {
+      console.error('Some tests failed! 😢');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('Test execution error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Test script for scheduled send through the MCP tool path.
+ * A sendMail tool call is transformed by the tools service, sent by the MCP adapter to a
+ * local API stand-in, and the request it receives is handed to the mail controller, so the
+ * test follows sendAt from the tool arguments to MailModule.sendEmail.
+ */
+
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const assert = require('assert');
+
+// Reduce service console output so test results stay readable
+process.env.MCP_SILENT_MODE = 'true';
+
+const createToolsService = require('../src/core/tools-service.cjs');
+const mailControllerFactory = require('../src/api/controllers/mail-controller.js');
+
+const SCHEDULED_ARGUMENTS = {
+  to: 'alex@example.com',
+  subject: 'Quarterly numbers',
+  body: 'See attached.',
+  contentType: 'Text',
+  attachments: [{ name: 'numbers.txt', contentBytes: 'MTIz' }],
+  sendAt: '2030-03-05T08:00:00',
+  sendAtTimeZone: 'Europe/Oslo'
+};
+
+/**
+ * Local API stand-in that records every request the adapter makes.
+ */
+function createApiStandIn() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, path: req.url, body: body ? JSON.parse(body) : null });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ scheduled: true }));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}`, requests }));
+  });
+}
+
+/**
+ * Starts the MCP adapter against the stand-in and sends it one tools/call request.
+ * @returns {Promise<object>} JSON-RPC response
+ */
+function callAdapterTool(apiUrl, name, args) {
+  return new Promise((resolve, reject) => {
+    const adapter = spawn(process.execPath, [path.join(__dirname, '..', 'mcp-adapter.cjs')], {
+      env: { ...process.env, MCP_SERVER_URL: apiUrl, MCP_BEARER_TOKEN: 'stand-in-token' },
+      stdio: ['pipe', 'pipe', 'ignore']
+    });
+    const timer = setTimeout(() => {
+      adapter.kill();
+      reject(new Error('Adapter did not answer within 20 seconds'));
+    }, 20000);
+    let output = '';
+    adapter.stdout.on('data', chunk => {
+      output += chunk;
+      const line = output.split('\n').find(entry => entry.includes('"id":1'));
+      if (line) {
+        clearTimeout(timer);
+        adapter.kill();
+        resolve(JSON.parse(line));
+      }
+    });
+    adapter.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } })}\n`);
+  });
+}
+
+// Test suite for scheduled send
+async function runTests() {
+  console.log('Running Scheduled Send Tests');
+  console.log('----------------------------------------');
+
+  let passCount = 0;
+  let failCount = 0;
+
+  const standIn = await createApiStandIn();
+  let sentRequest = null;
+
+  // Test 1: The tools service keeps the scheduling fields of a sendMail call
+  try {
+    const toolsService = createToolsService({
+      moduleRegistry: {
+        getAllModules: () => [{ id: 'mail', name: 'mail', capabilities: ['sendEmail'] }],
+        getModule: id => (id === 'mail' ? { id: 'mail', capabilities: ['sendEmail'] } : null)
+      },
+      logger: { debug() {}, info() {}, warn() {}, error() {} }
+    });
+    const { mapping, params } = toolsService.transformToolParameters('sendMail', { ...SCHEDULED_ARGUMENTS, mailbox: 'team@example.com' });
+    assert.deepStrictEqual(mapping, { moduleName: 'mail', methodName: 'sendEmail' });
+    assert.strictEqual(params.sendAt, SCHEDULED_ARGUMENTS.sendAt, 'sendAt should be kept');
+    assert.strictEqual(params.sendAtTimeZone, SCHEDULED_ARGUMENTS.sendAtTimeZone, 'sendAtTimeZone should be kept');
+    assert.deepStrictEqual(params.attachments, SCHEDULED_ARGUMENTS.attachments, 'Attachments should be kept');
+    assert.strictEqual(params.contentType, 'Text', 'Content type should be kept');
+    assert.strictEqual(params.mailbox, 'team@example.com', 'Mailbox should be kept');
+    console.log('✅ PASS: Tool parameter transform keeps sendAt, sendAtTimeZone and attachments');
+    passCount++;
+  } catch (error) {
+    console.error(`❌ FAIL: Tool parameter transform test failed: ${error.message}`);
+    failCount++;
+  }
+
+  // Test 2: The adapter posts the scheduling fields to the send endpoint
+  try {
+    const response = await callAdapterTool(standIn.url, 'sendMail', SCHEDULED_ARGUMENTS);
+    assert.ok(!response.error, `Tool call should succeed: ${response.error && response.error.message}`);
+    sentRequest = standIn.requests.find(request => request.method === 'POST' && request.path.endsWith('/mail/send'));
+    assert.ok(sentRequest, 'The adapter should call the send endpoint');
+    assert.strictEqual(sentRequest.body.sendAt, SCHEDULED_ARGUMENTS.sendAt, 'sendAt should be posted');
+    assert.strictEqual(sentRequest.body.sendAtTimeZone, SCHEDULED_ARGUMENTS.sendAtTimeZone, 'sendAtTimeZone should be posted');
+    assert.strictEqual(sentRequest.body.attachments.length, 1, 'Attachments should be posted');
+    console.log('✅ PASS: MCP adapter posts sendAt to the send endpoint');
+    passCount++;
+  } catch (error) {
+    console.error(`❌ FAIL: Adapter test failed: ${error.message}`);
+    failCount++;
+  }
+
+  // Test 3: The controller hands the posted request to MailModule.sendEmail unchanged
+  try {
+    assert.ok(sentRequest, 'Needs the request captured by the adapter test');
+    const calls = [];
+    const controller = mailControllerFactory({
+      mailModule: { sendEmail: async (emailData) => { calls.push(emailData); return { scheduled: true }; } }
+    });
+    const req = { body: sentRequest.body, query: {}, params: {}, user: { userId: 'test-user' }, session: { id: 'test-session' }, get: () => 'test' };
+    const res = { status() { return this; }, json(body) { this.body = body; return this; }, setHeader() {} };
+    await controller.sendMail(req, res);
+    assert.strictEqual(calls.length, 1, `sendEmail should be called once: ${JSON.stringify(res.body)}`);
+    assert.strictEqual(calls[0].sendAt, SCHEDULED_ARGUMENTS.sendAt, 'sendEmail should receive sendAt');
+    assert.strictEqual(calls[0].sendAtTimeZone, SCHEDULED_ARGUMENTS.sendAtTimeZone, 'sendEmail should receive sendAtTimeZone');
+    console.log('✅ PASS: sendAt reaches MailModule.sendEmail');
+    passCount++;
+  } catch (error) {
+    console.error(`❌ FAIL: Controller test failed: ${error.message}`);
+    failCount++;
+  }
+
+  standIn.server.close();
+
+  // Summary
+  console.log('\nTest Summary:');
+  console.log(`✅ Passed: ${passCount}`);
+  console.log(`❌ Failed: ${failCount}`);
+  console.log('----------------------------------------');
+
+  return failCount === 0;
+}
+
+// Run the tests
+runTests()
+  .then(success => {
+    if (success) {
+      console.log('All tests passed! 🎉');
+      process.exit(0);
+    } else {
+      console.error('Some tests failed! 😢');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('Test execution error:', error);
+    process.exit(1);
+  });
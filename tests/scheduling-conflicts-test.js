@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Test script for the conflict check run when an event is moved.
+ * Runs CalendarService.updateEvent against a local Graph stand-in so the free/busy
+ * items, the calendar view and the event being moved can be controlled per test.
+ */
+
+const http = require('http');
+const assert = require('assert');
+
+// Reduce service console output so test results stay readable
+process.env.MCP_SILENT_MODE = 'true';
+
+const ORGANIZER = 'organizer@example.com';
+const ATTENDEE = 'attendee@example.com';
+const CURRENT_SLOT = { start: '2030-03-04T10:00:00', end: '2030-03-04T10:30:00' };
+
+const movedEvent = {
+  id: 'evt-1',
+  iCalUId: 'uid-1',
+  subject: 'Planning',
+  start: { dateTime: CURRENT_SLOT.start, timeZone: 'UTC' },
+  end: { dateTime: CURRENT_SLOT.end, timeZone: 'UTC' },
+  organizer: { emailAddress: { address: ORGANIZER } },
+  attendees: [{ type: 'required', emailAddress: { address: ATTENDEE, name: 'Attendee' } }]
+};
+
+/**
+ * Local Graph stand-in. Each test sets the free/busy items per address and the organizer's calendar view.
+ */
+function createGraphStandIn() {
+  const state = { scheduleItems: {}, calendarView: [], requests: [] };
+  let baseUrl = '';
+
+  const slotItem = (subject, slot = CURRENT_SLOT) => ({
+    subject,
+    status: 'busy',
+    start: { dateTime: slot.start, timeZone: 'UTC' },
+    end: { dateTime: slot.end, timeZone: 'UTC' }
+  });
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, baseUrl);
+      state.requests.push(`${req.method} ${url.pathname}`);
+      let payload;
+
+      if (url.pathname.endsWith('/calendar/getSchedule')) {
+        const { schedules } = JSON.parse(body);
+        payload = {
+          value: schedules.map(email => ({
+            scheduleId: email,
+            availabilityView: '2',
+            scheduleItems: (state.scheduleItems[email] || []).map(([subject, slot]) => slotItem(subject, slot))
+          }))
+        };
+      } else if (url.pathname.endsWith('/calendarView')) {
+        payload = { value: state.calendarView };
+      } else if (url.pathname.endsWith('/findMeetingTimes')) {
+        payload = { meetingTimeSuggestions: [] };
+      } else if (url.pathname.endsWith('/mailboxSettings')) {
+        payload = { timeZone: 'UTC' };
+      } else if (url.pathname.endsWith('/events/evt-1')) {
+        payload = req.method === 'PATCH' ? { ...movedEvent, ...JSON.parse(body) } : movedEvent;
+      } else {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { code: 'NotFound', message: `Unknown path ${url.pathname}` } }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, baseUrl, state });
+    });
+  });
+}
+
+// Test suite for scheduling conflicts
+async function runTests() {
+  console.log('Running Scheduling Conflict Tests');
+  console.log('----------------------------------------');
+
+  let passCount = 0;
+  let failCount = 0;
+
+  const standIn = await createGraphStandIn();
+
+  // The Graph base URL is read when the client module loads, so set it first
+  process.env.MICROSOFT_GRAPH_BASE_URL = standIn.baseUrl;
+  const graphClientFactory = require('../src/graph/graph-client.cjs');
+  const calendarService = require('../src/graph/calendar-service.cjs');
+
+  // Use an unauthenticated client against the stand-in
+  graphClientFactory.createClient = async () => new graphClientFactory.GraphClient('stand-in-token');
+
+  // Moves the event 15 minutes later so the new window overlaps its current slot
+  const moveEvent = () => calendarService.updateEvent('evt-1', {
+    start: { dateTime: '2030-03-04T10:15:00', timeZone: 'UTC' },
+    end: { dateTime: '2030-03-04T10:45:00', timeZone: 'UTC' }
+  }, 'me', { conflictPolicy: 'warn' });
+
+  const ownCopy = { id: 'evt-1', iCalUId: 'uid-1', start: movedEvent.start, end: movedEvent.end };
+
+  // Test 1: The organizer's own copy of the event does not clash with its new time
+  try {
+    standIn.state.scheduleItems = { [ORGANIZER]: [['Planning']], [ATTENDEE]: [] };
+    standIn.state.calendarView = [ownCopy];
+    const result = await moveEvent();
+    assert.strictEqual(result.conflicts.checked, true, 'Conflict check should run');
+    assert.strictEqual(result.conflicts.hasConflicts, false, 'The event should not clash with itself');
+    assert.ok(standIn.state.requests.some(request => request.endsWith('/calendarView')), 'Calendar view should be read to match the event');
+    console.log('✅ PASS: Organizer\'s own copy of the moved event is ignored');
+    passCount++;
+  } catch (error) {
+    console.error(`❌ FAIL: Own copy test failed: ${error.message}`);
+    failCount++;
+  }
+
+  // Test 2: An attendee's other meeting at exactly the current time is still reported
+  try {
+    standIn.state.scheduleItems = { [ORGANIZER]: [['Planning']], [ATTENDEE]: [['Customer call']] };
+    standIn.state.calendarView = [ownCopy];
+    const result = await moveEvent();
+    assert.strictEqual(result.conflicts.hasConflicts, true, 'The attendee\'s meeting should clash');
+    assert.deepStrictEqual(result.conflicts.busyAttendees, [ATTENDEE], 'Only the attendee should be busy');
+    assert.strictEqual(result.conflicts.overlappingEvents[0].subject, 'Customer call', 'The clashing meeting should be reported');
+    console.log('✅ PASS: Attendee meeting in the same slot is reported');
+    passCount++;
+  } catch (error) {
+    console.error(`❌ FAIL: Attendee same-slot test failed: ${error.message}`);
+    failCount++;
+  }
+
+  // Test 3: A second organizer meeting with the same start and end is not hidden by the moved event
+  try {
+    standIn.state.scheduleItems = { [ORGANIZER]: [['Planning'], ['Budget review']], [ATTENDEE]: [] };
+    standIn.state.calendarView = [ownCopy, { id: 'evt-2', iCalUId: 'uid-2', start: movedEvent.start, end: movedEvent.end }];
+    const result = await moveEvent();
+    assert.strictEqual(result.conflicts.overlappingEvents.length, 1, 'Exactly one organizer item should clash');
+    assert.deepStrictEqual(result.conflicts.busyAttendees, [ORGANIZER], 'The organizer should be busy');
+    console.log('✅ PASS: Organizer meeting in the same slot is reported');
+    passCount++;
+  } catch (error) {
+    console.error(`❌ FAIL: Organizer same-slot test failed: ${error.message}`);
+    failCount++;
+  }
+
+  // Test 4: A busy item whose span matches no copy of the event is not ignored
+  try {
+    standIn.state.scheduleItems = { [ORGANIZER]: [['Offsite']], [ATTENDEE]: [] };
+    standIn.state.calendarView = [{ id: 'evt-3', iCalUId: 'uid-3', start: movedEvent.start, end: movedEvent.end }];
+    const result = await moveEvent();
+    assert.strictEqual(result.conflicts.hasConflicts, true, 'An unrelated event should clash');
+    console.log('✅ PASS: Unmatched organizer item in the same slot is reported');
+    passCount++;
+  } catch (error) {
+    console.error(`❌ FAIL: Unmatched item test failed: ${error.message}`);
+    failCount++;
+  }
+
+  standIn.server.close();
+
+  // Summary
+  console.log('\nTest Summary:');
+  console.log(`✅ Passed: ${passCount}`);
+  console.log(`❌ Failed: ${failCount}`);
+  console.log('----------------------------------------');
+
+  return failCount === 0;
+}
+
+// Run the tests
+runTests()
+  .then(success => {
+    if (success) {
+      console.log('All tests passed! 🎉');
+      process.exit(0);
+    } else {
+      console.error('Some tests failed! 😢');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('Test execution error:', error);
+    process.exit(1);
+  });